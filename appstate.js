@@ -0,0 +1,123 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                     NERO BOT - APPSTATE ENCRYPTION TOOL                       ║
+ * ║          Inspect, encrypt, rotate or decrypt the accounts/ appstate files     ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ *   npm run appstate -- genkey     Print a new random key for NERO_APPSTATE_KEY
+ *   npm run appstate -- status     Show which files are encrypted, and with which key
+ *   npm run appstate -- rotate     Encrypt every file with NERO_APPSTATE_KEY
+ *                                  (old keys go in NERO_APPSTATE_OLD_KEYS)
+ *   npm run appstate -- decrypt    Write every file back as plaintext
+ *
+ * Snapshots in accounts/.history (src/utils/appstateHistory.js) are included.
+ * Stop the bot first: it rewrites these files when it auto-saves cookies.
+ * See src/utils/appstateVault.js.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const chalk = require("chalk");
+const appstateVault = require("./src/utils/appstateVault");
+
+const ACCOUNTS_DIR = path.join(__dirname, "accounts");
+const HISTORY_DIR = path.join(ACCOUNTS_DIR, ".history");
+
+/**
+ * Appstate files in a folder (snapshot indexes aren't appstates)
+ * @param {string} dir - Folder
+ * @returns {string[]} Full paths
+ */
+function appstateFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs
+        .readdirSync(dir)
+        .filter((file) => file.endsWith(".json") && file !== "index.json")
+        .map((file) => path.join(dir, file));
+}
+
+/**
+ * Account files, then every account's snapshots
+ * @returns {string[]} Full paths
+ */
+function listFiles() {
+    const accounts = fs.existsSync(HISTORY_DIR) ? fs.readdirSync(HISTORY_DIR) : [];
+    return [
+        ...appstateFiles(ACCOUNTS_DIR),
+        ...accounts.flatMap((name) => appstateFiles(path.join(HISTORY_DIR, name))),
+    ];
+}
+
+/**
+ * Runs an action on every file, printing one line each
+ * @param {function(string): string} action - Returns a status word
+ * @returns {number} Number of files that failed
+ */
+function eachFile(action) {
+    const files = listFiles();
+    let failed = 0;
+    for (const filePath of files) {
+        const name = path.relative(ACCOUNTS_DIR, filePath);
+        try {
+            console.log(`${chalk.green(action(filePath).padEnd(10))} ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`${chalk.red("failed".padEnd(10))} ${name} ${chalk.gray(error.message)}`);
+        }
+    }
+    if (files.length === 0) console.log(`No appstate files in ${ACCOUNTS_DIR}`);
+    return failed;
+}
+
+const COMMANDS = {
+    genkey() {
+        console.log(crypto.randomBytes(32).toString("base64url"));
+    },
+
+    status() {
+        const { current } = appstateVault.getKeys();
+        console.log(`Current key: ${current ? current.id : chalk.yellow("none (plaintext)")}`);
+        return eachFile((filePath) => {
+            const { encrypted, kid } = appstateVault.readFile(filePath);
+            if (!encrypted) return "plaintext";
+            return kid === current?.id ? "encrypted" : `key ${kid}`;
+        });
+    },
+
+    rotate() {
+        if (!appstateVault.isEnabled()) {
+            throw new Error("Set NERO_APPSTATE_KEY (and NERO_APPSTATE_OLD_KEYS when rotating)");
+        }
+        return eachFile((filePath) => appstateVault.rekeyFile(filePath));
+    },
+
+    decrypt() {
+        return eachFile((filePath) => {
+            const { appState, encrypted } = appstateVault.readFile(filePath);
+            if (!encrypted) return "plaintext";
+            appstateVault.writeFile(filePath, appState, { encrypt: false });
+            return "decrypted";
+        });
+    },
+};
+
+const [command] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+    console.log("Usage: npm run appstate -- <genkey|status|rotate|decrypt>");
+    process.exit(command && command !== "help" ? 1 : 0);
+}
+
+try {
+    const failed = COMMANDS[command]();
+    if (failed > 0) process.exit(1);
+} catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+}
@@ -0,0 +1,490 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                       NERO BOT - DEVELOPER CONSOLE                            ║
+ * ║          Chat with the bot in the terminal, no Facebook account needed        ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * `npm run console` boots the real command, event and background handlers on
+ * top of the offline simulator (src/utils/simulator) and opens a prompt. Plain
+ * lines are sent as messages from the current user to the current thread;
+ * lines starting with ":" are console commands (`:help` lists them).
+ *
+ * Bot output is rendered as it happens: messages (attachments as file paths),
+ * replies, reactions, edits, unsends and member changes. Every message gets a
+ * `#n` tag so it can be replied to, reacted to or unsent.
+ *
+ * Flags:
+ *  --verbose        Keep the bot's info/debug logs
+ *  --no-background  Don't start background tasks
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const readline = require("readline");
+const chalk = require("chalk");
+const config = require("./src/config/config");
+const logger = require("./src/utils/logger");
+
+const VERBOSE = process.argv.includes("--verbose");
+const BACKGROUND = !process.argv.includes("--no-background");
+
+// Quiet logs unless asked, before the handlers start logging
+logger.configure({
+    console: true,
+    file: false,
+    levels: VERBOSE ? config.logging.levels : "warn",
+    timestamps: config.logging.timestamps,
+    colors: config.logging.colors,
+    moduleWidth: config.logging.moduleWidth,
+});
+
+const commandHandler = require("./src/handlers/commandHandler");
+const eventHandler = require("./src/handlers/eventHandler");
+const backgroundHandler = require("./src/handlers/backgroundHandler");
+const { createDispatcher } = require("./src/handlers/dispatcher");
+const AccountManager = require("./src/utils/accountManager");
+const { Simulator } = require("./src/utils/simulator");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WORLD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const BOT_ID = "100000000000000";
+const GUEST_ID = "100000000000002";
+const GROUP_ID = "200000000000001";
+
+/** The developer acts as the first configured (super)admin so admin commands work */
+const DEVELOPER_ID = config.bot.superAdmins?.[0] || config.bot.admins?.[0] || "100000000000001";
+
+const sim = new Simulator({
+    bots: [{ id: BOT_ID, name: config.bot.name, account: "console" }],
+    users: [
+        { id: DEVELOPER_ID, name: "Developer" },
+        { id: GUEST_ID, name: "Guest User" },
+    ],
+    threads: [
+        {
+            id: GROUP_ID,
+            name: "Console Group",
+            participants: [BOT_ID, DEVELOPER_ID, GUEST_ID],
+            admins: [DEVELOPER_ID],
+        },
+    ],
+});
+
+const accountManager = new AccountManager({
+    simulator: sim,
+    neroOptions: config.neroOptions,
+    logger,
+    autoSaveAppState: false,
+});
+
+/** Who is typing and where */
+const session = {
+    userID: DEVELOPER_ID,
+    threadID: GROUP_ID,
+    groupID: GROUP_ID,
+};
+
+/** @type {Array<string>} Message IDs by `#n` tag (n - 1) */
+const refs = [];
+
+/** @type {readline.Interface|null} */
+let rl = null;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Prints above the prompt without mangling what's being typed
+ * @param {string} text - Text to print
+ */
+function print(text) {
+    if (!rl) {
+        console.log(text);
+        return;
+    }
+
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(text);
+    rl.prompt(true);
+}
+
+/**
+ * Tag for a message (assigned on first sight)
+ * @param {string} messageID - Message ID
+ * @returns {string} e.g. "#3"
+ */
+function tag(messageID) {
+    let index = refs.indexOf(messageID);
+    if (index === -1) index = refs.push(messageID) - 1;
+    return `#${index + 1}`;
+}
+
+/**
+ * Resolves "#3", "3" or a raw message ID
+ * @param {string} ref - Reference typed by the user
+ * @returns {string|null} Message ID
+ */
+function resolveRef(ref) {
+    if (!ref) return null;
+
+    const number = /^#?(\d+)$/.exec(ref);
+    if (number && refs[Number(number[1]) - 1]) return refs[Number(number[1]) - 1];
+
+    return sim.getMessage(ref) ? ref : null;
+}
+
+/**
+ * Display name of a user
+ * @param {string} id - User ID
+ * @returns {string}
+ */
+function nameOf(id) {
+    return sim.getUser(id)?.name || id;
+}
+
+/**
+ * Short label of a thread
+ * @param {string} threadID - Thread ID
+ * @returns {string}
+ */
+function threadLabel(threadID) {
+    const thread = sim.getThread(threadID);
+    if (!thread) return threadID;
+    return thread.isGroup ? thread.threadName || threadID : `DM ${nameOf(threadID)}`;
+}
+
+/**
+ * File path (or URL) of an outgoing attachment
+ * @param {*} attachment - Stream, buffer or object the command passed
+ * @returns {string}
+ */
+function describeAttachment(attachment) {
+    if (!attachment) return "(empty)";
+    if (typeof attachment === "string") return attachment;
+    if (attachment.path) return String(attachment.path);
+    if (attachment.url) return attachment.url;
+    if (Buffer.isBuffer(attachment)) return `<buffer ${attachment.length} bytes>`;
+    return "<stream>";
+}
+
+/**
+ * Renders something a bot did
+ * @param {Object} action - Simulator outbox record
+ */
+function renderAction(action) {
+    const where =
+        action.threadID === session.threadID
+            ? ""
+            : chalk.gray(` [${threadLabel(action.threadID)}]`);
+    const bot = chalk.cyan.bold(`🤖 ${nameOf(action.botID)}`);
+
+    switch (action.type) {
+        case "message": {
+            const reply = action.replyTo ? chalk.gray(` ↩ ${tag(action.replyTo)}`) : "";
+            const lines = [`${bot} ${chalk.gray(tag(action.messageID))}${reply}${where}`];
+            if (action.body) lines.push(action.body.replace(/^/gm, "   "));
+            for (const attachment of action.attachments) {
+                lines.push(chalk.yellow(`   📎 ${describeAttachment(attachment)}`));
+            }
+            print(lines.join("\n"));
+            break;
+        }
+        case "edit":
+            print(
+                `${bot} ${chalk.gray(`edited ${tag(action.messageID)}`)}${where}\n` +
+                    action.body.replace(/^/gm, "   ")
+            );
+            break;
+        case "unsend":
+            print(`${bot} ${chalk.gray(`unsent ${tag(action.messageID)}`)}${where}`);
+            break;
+        case "reaction":
+            print(
+                `${bot} ${chalk.gray("reacted")} ${action.reaction || "(removed)"} ` +
+                    `${chalk.gray(`to ${tag(action.messageID)}`)}${where}`
+            );
+            break;
+        case "members":
+            print(
+                `${bot} ${chalk.gray(action.action === "add" ? "added" : "removed")} ` +
+                    `${action.userIDs.map(nameOf).join(", ")}${where}`
+            );
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Prompt showing the current identity and thread
+ * @returns {string}
+ */
+function promptText() {
+    return `${chalk.green(nameOf(session.userID))} ${chalk.gray("@")} ${chalk.magenta(
+        threadLabel(session.threadID)
+    )} ${chalk.gray("›")} `;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSOLE COMMANDS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Finds a user by ID or (partial) name
+ * @param {string} query - ID or name
+ * @returns {Object|null}
+ */
+function findUser(query) {
+    if (!query) return null;
+    if (sim.getUser(query)) return sim.getUser(query);
+
+    const lower = query.toLowerCase();
+    return (
+        [...sim.users.values()].find((user) => user.name.toLowerCase().startsWith(lower)) || null
+    );
+}
+
+/**
+ * Opens (creating if needed) the DM between the bot and a user
+ * @param {string} userID - User ID
+ * @returns {string} Thread ID
+ */
+function openDM(userID) {
+    if (!sim.getThread(userID)) {
+        sim.addThread({ id: userID, participants: [BOT_ID, userID], isGroup: false });
+    }
+    return userID;
+}
+
+const HELP = `
+${chalk.bold("Messages")}
+  <text>                 Send as the current user to the current thread
+  :reply <#n> <text>     Reply to a message
+  :react <#n> <emoji>    React to a message (no emoji removes it)
+  :unsend <#n>           Unsend one of your messages
+
+${chalk.bold("Identity & threads")}
+  :as <id|name>          Switch user (a new numeric ID creates the user)
+  :user <id> <name>      Add or rename a user
+  :users                 List users
+  :dm                    Talk to the bot privately as the current user
+  :group                 Back to the group
+  :whoami                Current user and thread
+
+${chalk.bold("Group")}
+  :join <id|name>        Someone joins the group (added by you)
+  :leave                 You leave the group
+  :kick <id|name>        You remove someone from the group
+  :members               List group members
+
+${chalk.bold("Console")}
+  :clear                 Clear the screen
+  :quit                  Exit`;
+
+/** Console command implementations by name */
+const COMMANDS = {
+    help: () => print(HELP),
+
+    async reply([ref, ...words]) {
+        const messageID = resolveRef(ref);
+        if (!messageID || words.length === 0) return print(chalk.red("Usage: :reply <#n> <text>"));
+
+        const event = await sim.reply(session.userID, messageID, words.join(" "));
+        print(chalk.gray(`   ${tag(event.messageID)} ↩ ${tag(messageID)}`));
+    },
+
+    async react([ref, emoji]) {
+        const messageID = resolveRef(ref);
+        if (!messageID) return print(chalk.red("Usage: :react <#n> <emoji>"));
+        await sim.react(session.userID, messageID, emoji || "");
+    },
+
+    async unsend([ref]) {
+        const messageID = resolveRef(ref);
+        if (!messageID) return print(chalk.red("Usage: :unsend <#n>"));
+        await sim.unsend(session.userID, messageID);
+    },
+
+    as([query]) {
+        let user = findUser(query);
+        if (!user && /^\d+$/.test(query || "")) user = sim.addUser({ id: query });
+        if (!user) return print(chalk.red(`No user "${query}". Add one with :user <id> <name>`));
+
+        const inDM = !sim.getThread(session.threadID)?.isGroup;
+        session.userID = user.id;
+        if (inDM) session.threadID = openDM(user.id);
+
+        const thread = sim.getThread(session.threadID);
+        if (!thread.participantIDs.includes(user.id)) {
+            print(
+                chalk.yellow(`${user.name} isn't in ${threadLabel(thread.threadID)} (:join them)`)
+            );
+        }
+    },
+
+    user([id, ...name]) {
+        if (!/^\d+$/.test(id || "")) return print(chalk.red("Usage: :user <numeric id> <name>"));
+        const user = sim.addUser({ id, name: name.join(" ") || undefined });
+        print(chalk.gray(`Saved ${user.name} (${user.id})`));
+    },
+
+    users() {
+        const lines = [...sim.users.values()].map((user) => {
+            const marks = [
+                user.isBot ? "bot" : null,
+                config.isAdmin(user.id) ? "admin" : null,
+                user.id === session.userID ? "you" : null,
+            ].filter(Boolean);
+            return `  ${user.id}  ${user.name}${marks.length ? chalk.gray(` (${marks.join(", ")})`) : ""}`;
+        });
+        print(lines.join("\n"));
+    },
+
+    dm() {
+        session.threadID = openDM(session.userID);
+    },
+
+    group() {
+        session.threadID = session.groupID;
+    },
+
+    whoami() {
+        print(`${nameOf(session.userID)} (${session.userID}) in ${threadLabel(session.threadID)}`);
+    },
+
+    async join([query]) {
+        const user = findUser(query) || (/^\d+$/.test(query || "") && sim.addUser({ id: query }));
+        if (!user) return print(chalk.red("Usage: :join <id|name>"));
+
+        const result = await sim.join(session.groupID, user.id, { author: session.userID });
+        if (result.type === "error_gc") print(chalk.red(result.error));
+    },
+
+    async leave() {
+        const result = await sim.leave(session.groupID, session.userID);
+        if (result.type === "error_gc") print(chalk.red(result.error));
+    },
+
+    async kick([query]) {
+        const user = findUser(query);
+        if (!user) return print(chalk.red("Usage: :kick <id|name>"));
+
+        const result = await sim.leave(session.groupID, user.id, { author: session.userID });
+        if (result.type === "error_gc") print(chalk.red(result.error));
+    },
+
+    members() {
+        const thread = sim.getThread(session.groupID);
+        print(
+            thread.participantIDs
+                .map((id) => `  ${id}  ${nameOf(id)}${thread.adminIDs.includes(id) ? " ⭐" : ""}`)
+                .join("\n")
+        );
+    },
+
+    clear: () => console.clear(),
+
+    quit: () => rl.close(),
+    exit: () => rl.close(),
+};
+
+/**
+ * Handles one line of input
+ * @param {string} line - What the developer typed
+ * @returns {Promise<void>}
+ */
+async function handleLine(line) {
+    const input = line.trim();
+    if (!input) return;
+
+    if (input.startsWith(":")) {
+        const [name, ...args] = input.slice(1).split(/\s+/);
+        const command = COMMANDS[name.toLowerCase()];
+        if (!command) {
+            print(chalk.red(`Unknown console command ":${name}" (try :help)`));
+            return;
+        }
+        await command(args);
+        return;
+    }
+
+    const event = await sim.send(session.userID, session.threadID, input);
+    print(chalk.gray(`   ${tag(event.messageID)}`));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STARTUP / SHUTDOWN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Stops background tasks and listeners, then exits
+ */
+async function shutdown() {
+    try {
+        await backgroundHandler.stopAll();
+    } catch (error) {
+        logger.debug("Console", `Background cleanup error (ignored): ${error.message}`);
+    }
+    accountManager.stopAllListeners();
+
+    console.log(chalk.gray("\nBye!"));
+    process.exit(0);
+}
+
+/**
+ * Boots the handlers on the simulator and starts the prompt
+ */
+async function start() {
+    await accountManager.init();
+    await accountManager.loginAll();
+
+    await commandHandler.init();
+    await eventHandler.init();
+    await backgroundHandler.init();
+
+    accountManager.startAllListeners(createDispatcher(accountManager));
+    if (BACKGROUND) {
+        await backgroundHandler.startAll(null, accountManager);
+    }
+
+    sim.on("action", renderAction);
+    sim.on("dispatchError", (error) => print(chalk.red(`Dispatch error: ${error.message}`)));
+
+    const prefix = Array.isArray(config.bot.prefix) ? config.bot.prefix[0] : config.bot.prefix;
+    console.log(chalk.bold.cyan(`\n${config.bot.name} console`));
+    console.log(
+        chalk.gray(
+            `${commandHandler.commands.size} commands, ${eventHandler.handlers.size} events loaded. ` +
+                `Prefix: ${config.bot.prefixEnabled ? prefix : "(none)"}. Type :help for console commands.\n`
+        )
+    );
+
+    rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.setPrompt(promptText());
+    rl.prompt();
+
+    rl.on("line", async (line) => {
+        try {
+            await handleLine(line);
+        } catch (error) {
+            print(chalk.red(error.message));
+        }
+        rl.setPrompt(promptText());
+        rl.prompt();
+    });
+
+    rl.on("close", shutdown);
+}
+
+start().catch((error) => {
+    logger.error("Console", `Failed to start: ${error.message}`);
+    logger.debug("Console", error.stack);
+    process.exit(1);
+});
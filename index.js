@@ -53,9 +53,12 @@ logger.configure({
 
 const commandHandler = require("./src/handlers/commandHandler");
 const eventHandler = require("./src/handlers/eventHandler");
+const { createDispatcher } = require("./src/handlers/dispatcher");
 const backgroundHandler = require("./src/handlers/backgroundHandler");
 const AccountManager = require("./src/utils/accountManager");
 const statsTracker = require("./src/utils/statsTracker");
+const maintenanceManager = require("./src/utils/maintenanceManager");
+const storage = require("./src/utils/storage");
 
 // Nero framework
 const nero = require("./src/core");
@@ -74,12 +77,41 @@ const accountManager = new AccountManager({
     logger: logger,
     autoSaveAppState: true, // Auto-save fresh cookies to keep sessions alive
     autoSaveInterval: 30, // Save appstate/cookies every 30 minutes
+    maxAppStateSnapshots: 10, // Working appstates kept per account for rollback
     sessionRefreshInterval: 1, // Refresh session cookies every 1 hour to keep login alive
 });
 
+/** @type {Updater} Release checks and the post-update health check */
+const updater = new Updater(config.updater);
+
 /** @type {boolean} Whether the bot is currently running */
 let isRunning = false;
 
+/**
+ * Restarts the bot with the same command (after an update or rollback)
+ */
+async function restartProcess() {
+    // Small delay to let user see the message
+    await new Promise((resolve) => {
+        setTimeout(resolve, 2000);
+    });
+
+    // Restart using the same command
+    const { spawn } = require("child_process");
+    const child = spawn(process.argv[0], process.argv.slice(1), {
+        stdio: "inherit",
+        detached: false,
+    });
+
+    child.on("error", (err) => {
+        console.error("Failed to restart:", err.message);
+        process.exit(1);
+    });
+
+    // Exit current process
+    process.exit(0);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // INITIALIZATION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -94,32 +126,27 @@ async function initialize() {
         // PHASE 0: CHECK FOR UPDATES (Before anything else)
         // ═══════════════════════════════════════════════════════════════════
 
-        const updater = new Updater();
-        const needsRestart = await updater.checkAndPrompt();
-
-        if (needsRestart) {
-            // Restart the process after update
-            console.log(chalk.cyan("[Updater]") + " Restarting bot with updated code...\n");
+        // An update that never came online is rolled back on the next boot
+        const pendingUpdate = await updater.resumePendingUpdate();
 
-            // Small delay to let user see the message
-            await new Promise((resolve) => {
-                setTimeout(resolve, 2000);
-            });
+        if (pendingUpdate === "rolled-back") {
+            console.log(chalk.yellow("[Updater]") + " Update rolled back, restarting...\n");
+            await restartProcess();
+        }
 
-            // Restart using the same command
-            const { spawn } = require("child_process");
-            const child = spawn(process.argv[0], process.argv.slice(1), {
-                stdio: "inherit",
-                detached: false,
+        if (pendingUpdate === "pending") {
+            updater.watchHealth(() => {
+                console.log(chalk.yellow("[Updater]") + " Update rolled back, restarting...\n");
+                restartProcess();
             });
+        }
 
-            child.on("error", (err) => {
-                console.error("Failed to restart:", err.message);
-                process.exit(1);
-            });
+        const needsRestart = config.updater.checkOnStart && (await updater.checkAndPrompt());
 
-            // Exit current process
-            process.exit(0);
+        if (needsRestart) {
+            // Restart the process after update
+            console.log(chalk.cyan("[Updater]") + " Restarting bot with updated code...\n");
+            await restartProcess();
         }
 
         // ═══════════════════════════════════════════════════════════════════
@@ -210,11 +237,19 @@ async function initialize() {
         logger.info("Listener", `Active listeners: ${listenerCount}`);
         logger.success("Main", "Bot is now online and ready!");
 
+        // Passes the health check of a just-applied update
+        if (updater.confirmHealthy()) {
+            logger.success("Updater", `Update to v${updater.currentVersion} confirmed healthy`);
+        }
+
         // Start background tasks
         const _taskCount = await backgroundHandler.startAll(null, accountManager);
         // Only log background started ONCE (BackgroundHandler already logs)
         logger.divider();
 
+        // Start and end scheduled maintenance windows
+        await maintenanceManager.start(accountManager);
+
         // Start API server
         try {
             startServer();
@@ -364,64 +399,8 @@ function displayAccountStatus() {
 // EVENT HANDLING
 // ═══════════════════════════════════════════════════════════════════════════════
 
-/**
- * Main event handler - processes all incoming events from all accounts
- * @param {Object} api - The Nero API instance for this account
- * @param {Object} event - The event object from Nero
- * @param {Object} account - Account info object
- */
-async function handleEvent(api, event, account) {
-    try {
-        // Skip if event is blocked (e.g., by anti-spam)
-        if (event.__blocked) {
-            return;
-        }
-
-        // Track message in stats (for message events)
-        if (event.type === "message" || event.type === "message_reply") {
-            statsTracker.recordMessage(event);
-        }
-
-        // Track reactions
-        if (event.type === "message_reaction") {
-            statsTracker.recordReaction();
-        }
-
-        // Skip if user/thread is blocked (only for message events with senderID)
-        if (event.senderID && config.isBlocked(event.senderID)) {
-            return;
-        }
-        if (
-            event.threadID &&
-            config.isThreadBlocked(event.threadID) &&
-            !config.isAdmin(event.senderID)
-        ) {
-            return;
-        }
-
-        // Process through event handlers first (like anti-spam, welcome, antiLeave)
-        await eventHandler.handle(api, event);
-
-        // Check if event was blocked by an event handler
-        if (event.__blocked) {
-            return;
-        }
-
-        // Process commands (for message events)
-        if (event.type === "message" || event.type === "message_reply") {
-            const wasCommand = await commandHandler.handle(api, event);
-
-            // If it was a command, update stats and we're done
-            if (wasCommand) {
-                accountManager.incrementCommandCount(account.name);
-                return;
-            }
-        }
-    } catch (error) {
-        logger.error("EventHandler", `Error processing event: ${error.message}`);
-        logger.debug("EventHandler", error.stack);
-    }
-}
+/** Listener callback for every account (see handlers/dispatcher) */
+const handleEvent = createDispatcher(accountManager);
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // GRACEFUL SHUTDOWN
@@ -439,6 +418,7 @@ async function shutdown(signal) {
     // Stop background tasks first
     try {
         await backgroundHandler.stopAll();
+        maintenanceManager.stop();
     } catch (err) {
         logger.debug("Shutdown", `Background tasks cleanup error (ignored): ${err.message}`);
     }
@@ -451,6 +431,14 @@ async function shutdown(signal) {
         logger.debug("Shutdown", `Cleanup error (ignored): ${err.message}`);
     }
 
+    // Persist stats and flush pending storage writes
+    try {
+        statsTracker.save();
+        storage.close();
+    } catch (err) {
+        logger.debug("Shutdown", `Storage cleanup error (ignored): ${err.message}`);
+    }
+
     logger.success("Shutdown", "Bot has been shut down cleanly");
     logger.close();
 
@@ -0,0 +1,178 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                        NERO BOT - API KEY MANAGER                             ║
+ * ║             Mint, list and revoke REST API keys; read the audit log           ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ *   npm run keys -- create <name> --scopes stats:read,cookies:read
+ *                         [--expires 30d|12h|2026-12-31] [--accounts <uid>,<uid>]
+ *   npm run keys -- list
+ *   npm run keys -- revoke <id|name>
+ *   npm run keys -- audit [--key <id>] [--limit 50]
+ *
+ * Changes apply to a running server right away (see src/utils/apiKeys.js).
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const chalk = require("chalk");
+const { ApiKeyStore, SCOPES } = require("./src/utils/apiKeys");
+const { ValidationError } = require("./src/utils/errors");
+
+const store = new ApiKeyStore();
+
+/**
+ * Splits argv into positionals and --flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{positionals: string[], flags: Object<string, string>}}
+ */
+function parseArgv(argv) {
+    const positionals = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            positionals.push(argv[i]);
+        } else if (match[2] !== undefined) {
+            flags[match[1]] = match[2];
+        } else {
+            flags[match[1]] = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : "true";
+        }
+    }
+    return { positionals, flags };
+}
+
+/**
+ * Parses --expires: a duration ("30d", "12h") or a date
+ * @param {string} [value] - Flag value
+ * @returns {number|null} Epoch ms, null for no expiry
+ */
+function parseExpiry(value) {
+    if (!value) return null;
+    const duration = /^(\d+)([hd])$/.exec(value);
+    if (duration) {
+        const unit = duration[2] === "h" ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+        return Date.now() + Number(duration[1]) * unit;
+    }
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new ValidationError(`Invalid --expires value: ${value} (use 30d, 12h or a date)`);
+    }
+    return time;
+}
+
+/**
+ * Splits a comma-separated flag
+ * @param {string} [value] - Flag value
+ * @returns {string[]}
+ */
+function list(value) {
+    return value
+        ? value
+              .split(",")
+              .map((item) => item.trim())
+              .filter(Boolean)
+        : [];
+}
+
+/**
+ * Formats an epoch time (or "never")
+ * @param {number|null} time - Epoch ms
+ * @returns {string}
+ */
+function formatTime(time) {
+    return time ? new Date(time).toISOString().replace("T", " ").slice(0, 16) : "never";
+}
+
+const COMMANDS = {
+    create({ positionals, flags }) {
+        const accounts = list(flags.accounts);
+        const { token, key } = store.create({
+            name: positionals[0],
+            scopes: list(flags.scopes),
+            expiresAt: parseExpiry(flags.expires),
+            accounts: accounts.length > 0 ? accounts : null,
+        });
+
+        console.log(chalk.green(`Created key ${key.id} (${key.name})`));
+        console.log(`  Scopes:   ${key.scopes.join(", ")}`);
+        console.log(`  Accounts: ${key.accounts ? key.accounts.join(", ") : "all"}`);
+        console.log(`  Expires:  ${formatTime(key.expiresAt)}`);
+        console.log("");
+        console.log(chalk.yellow("Copy the key now - it is not stored and can't be shown again:"));
+        console.log(chalk.bold(token));
+    },
+
+    list() {
+        const keys = store.list();
+        if (keys.length === 0) {
+            console.log("No API keys yet. Create one with `npm run keys -- create <name>`.");
+            return;
+        }
+
+        const colors = { active: chalk.green, expired: chalk.yellow, revoked: chalk.red };
+        for (const key of keys) {
+            console.log(
+                `${chalk.bold(key.id)}  ${key.name.padEnd(20)} ${colors[key.status](key.status.padEnd(8))} ` +
+                    `${key.scopes.join(",")}` +
+                    chalk.gray(
+                        `  accounts: ${key.accounts ? key.accounts.join(",") : "all"}` +
+                            `  expires: ${formatTime(key.expiresAt)}`
+                    )
+            );
+        }
+    },
+
+    revoke({ positionals }) {
+        const key = store.revoke(positionals[0]);
+        console.log(chalk.green(`Revoked key ${key.id} (${key.name})`));
+    },
+
+    audit({ flags }) {
+        const entries = store.readAudit({ key: flags.key, limit: Number(flags.limit) || 50 });
+        for (const entry of entries) {
+            const status = entry.status < 400 ? chalk.green(entry.status) : chalk.red(entry.status);
+            console.log(
+                `${chalk.gray(entry.time)} ${status} ${(entry.key || "-").padEnd(8)} ` +
+                    `${entry.method} ${entry.path}` +
+                    (entry.account ? chalk.cyan(` account:${entry.account}`) : "") +
+                    chalk.gray(` ${entry.ip}${entry.reason ? ` ${entry.reason}` : ""}`)
+            );
+        }
+        if (entries.length === 0) console.log("The audit log is empty.");
+    },
+};
+
+/**
+ * Prints usage
+ */
+function printHelp() {
+    console.log(`Usage: npm run keys -- <command>
+
+  create <name> --scopes <scope,...> [--expires 30d|12h|<date>] [--accounts <uid,...>]
+  list
+  revoke <id|name>
+  audit [--key <id>] [--limit <n>]
+
+Scopes:`);
+    for (const [scope, description] of Object.entries(SCOPES)) {
+        console.log(`  ${scope.padEnd(14)} ${description}`);
+    }
+}
+
+const [command, ...rest] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+    printHelp();
+    process.exit(command && command !== "help" ? 1 : 0);
+}
+
+try {
+    COMMANDS[command](parseArgv(rest));
+} catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+}
@@ -20,8 +20,28 @@
  * API ENDPOINTS:
  * ──────────────────────────────────────────────────────────────────────────────
  * GET  /api/stats              - Bot status, statistics, and accounts list (public)
+ * GET  /api/stats/history      - Hourly/daily activity buckets for a range (requires
+ *                                 API key with stats:read)
+ * GET  /metrics                - OpenMetrics/Prometheus scrape (own auth toggle)
+ * GET  /api/stream             - Live events, commands, errors and account changes as
+ *                                 SSE, or WebSocket on upgrade (always requires API key;
+ *                                 filters: ?account=&thread=&type=&level=)
+ * *    /api/admin/*             - Manage commands, events, tasks, maintenance, admins,
+ *                                 block lists and accounts (always requires API key;
+ *                                 see src/utils/adminApi.js)
  * POST /api/cookies            - Upload or validate cookies (requires API key)
  * GET  /api/cookies/appstate   - Retrieve appstate (requires API key)
+ *
+ * APPSTATE ENCRYPTION:
+ * With NERO_APPSTATE_KEY set, uploaded cookies are stored encrypted
+ * (src/utils/appstateVault.js); plaintext legacy files are still served.
+ *
+ * API KEYS:
+ * Named keys minted with `npm run keys` (src/utils/apiKeys.js), each with scopes
+ * (stats:read, cookies:read, cookies:write, admin), an optional account list
+ * (enforced on cookie routes, admin account routes and the stream), expiry and
+ * revocation; config.server.apiKey still works as a full-access key.
+ * Authenticated requests are appended to data/audit.log.
  * ══════════════════════════════════════════════════════════════════════════════
  */
 
@@ -45,6 +65,12 @@ const {
     wrapError,
 } = require("./src/utils/errors");
 const { validateAppstate, formatAsAppstate } = require("./src/utils/cookieValidator");
+const metrics = require("./src/utils/metrics");
+const adminApi = require("./src/utils/adminApi");
+const eventStream = require("./src/utils/eventStream");
+const { ApiKeyStore } = require("./src/utils/apiKeys");
+const appstateVault = require("./src/utils/appstateVault");
+const { WebSocketServer } = require("ws");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -56,11 +82,10 @@ const CONFIG = {
     accountsDir: path.join(__dirname, "accounts"),
     cors: {
         origin: "*",
-        methods: "GET, POST, OPTIONS",
+        methods: "GET, POST, DELETE, OPTIONS",
         headers: "Content-Type, Accept, X-API-Key, x-api-key",
     },
-    // Security settings
-    apiKey: config.server?.apiKey || "NERO-9F4B-7C2D-A1E8-6H3J-K0LM",
+    // Security settings (keys themselves live in the ApiKeyStore below)
     requireAuth: config.server?.requireAuth ?? true,
     publicEndpoints: config.server?.publicEndpoints || ["/api/stats"],
     // Rate limiting
@@ -70,8 +95,27 @@ const CONFIG = {
         maxRequests: config.server?.rateLimit?.maxRequests || 100,
         message: config.server?.rateLimit?.message || "Too many requests, please try again later",
     },
+    // Admin API
+    admin: {
+        enabled: config.server?.admin?.enabled ?? true,
+    },
+    // Live event stream (SSE / WebSocket)
+    stream: {
+        path: "/api/stream",
+        enabled: config.server?.stream?.enabled ?? true,
+        maxClients: config.server?.stream?.maxClients || 20,
+        heartbeatMs: (config.server?.stream?.heartbeatSeconds || 25) * 1000,
+    },
+    // Prometheus scrape endpoint
+    metrics: {
+        enabled: config.server?.metrics?.enabled ?? true,
+        requireAuth: config.server?.metrics?.requireAuth ?? true,
+    },
 };
 
+/** Scoped API keys and the audit log; config.server.apiKey acts as a full-access key */
+const apiKeys = new ApiKeyStore({ configKey: config.server?.apiKey || null });
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // RATE LIMITER
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -223,12 +267,20 @@ const getApiKey = (req) => {
     return req.headers["x-api-key"] || req.headers["authorization"]?.replace("Bearer ", "") || null;
 };
 
+/**
+ * Endpoints that need a key even under a public prefix (history ranges are
+ * costly to build)
+ * @type {string[]}
+ */
+const PROTECTED_ENDPOINTS = ["/api/stats/history"];
+
 /**
  * Check if endpoint is public (no auth required)
  * @param {string} pathname - Request pathname
  * @returns {boolean}
  */
 const isPublicEndpoint = (pathname) => {
+    if (PROTECTED_ENDPOINTS.includes(pathname)) return false;
     return CONFIG.publicEndpoints.some(
         (endpoint) => pathname === endpoint || pathname.startsWith(endpoint + "/")
     );
@@ -239,34 +291,112 @@ const isPublicEndpoint = (pathname) => {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Authentication middleware
+ * Scope a key needs for an endpoint
+ * @param {string} pathname - Request pathname
+ * @returns {string|null} Null if any valid key will do
+ */
+const getRequiredScope = (pathname) => {
+    if (pathname === CONFIG.stream.path || pathname.startsWith(adminApi.PREFIX)) return "admin";
+    if (pathname === "/api/cookies/appstate") return "cookies:read";
+    if (pathname === "/api/cookies") return "cookies:write";
+    if (pathname === "/metrics" || pathname.startsWith("/api/stats")) return "stats:read";
+    return null;
+};
+
+/**
+ * Whether the request's key may touch an account (always true when auth is off)
+ * @param {http.IncomingMessage} req - Authenticated request
+ * @param {string} uid - Account user ID
+ * @returns {boolean}
+ */
+const canAccessAccount = (req, uid) => {
+    return !req.apiKey || apiKeys.canAccessAccount(req.apiKey, uid);
+};
+
+/**
+ * Checks a request's API key and scope; on success the key is set as req.apiKey
  * @param {http.IncomingMessage} req - Request object
- * @param {http.ServerResponse} res - Response object
  * @param {string} pathname - Request pathname
- * @returns {boolean} True if authenticated, false otherwise
+ * @returns {AuthenticationError|null} Error to send, or null if allowed
  */
-const authenticate = (req, res, pathname) => {
-    // Skip auth if disabled or public endpoint
-    if (!CONFIG.requireAuth || isPublicEndpoint(pathname)) {
-        return true;
+const checkAuth = (req, pathname) => {
+    const isStream = pathname === CONFIG.stream.path;
+
+    // The admin API and the stream are never public
+    if (isStream || pathname.startsWith(adminApi.PREFIX)) {
+        // Always authenticated
+    } else if (pathname === "/metrics") {
+        // /metrics has its own toggle
+        if (!CONFIG.metrics.requireAuth) return null;
+    } else if (!CONFIG.requireAuth || isPublicEndpoint(pathname)) {
+        return null;
+    }
+
+    // No built-in fallback key: protected endpoints stay closed until one exists
+    if (!apiKeys.hasKeys()) {
+        return new AuthenticationError(
+            "No API keys are set up - create one with `npm run keys create` or set server.apiKey",
+            "API_KEY_NOT_SET"
+        );
     }
 
-    const apiKey = getApiKey(req);
+    // EventSource can't set headers, so the stream also takes ?key=
+    const token =
+        getApiKey(req) ||
+        (isStream ? new URL(req.url, "http://localhost").searchParams.get("key") : null);
+    const scope = getRequiredScope(pathname);
+    let principal = null;
 
-    if (!apiKey) {
-        const error = AuthenticationError.invalidApiKey();
-        sendJson(res, error.statusCode, error.toResponse());
-        logger.warn("Server", `Auth failed: Missing API key from ${getClientIP(req)}`);
-        return false;
+    try {
+        principal = apiKeys.verify(token);
+        if (scope && !apiKeys.hasScope(principal, scope)) {
+            throw AuthenticationError.insufficientPermissions(`${pathname} (needs ${scope})`);
+        }
+    } catch (error) {
+        const ip = getClientIP(req);
+        logger.warn("Server", `Auth failed (${error.code}) for ${pathname} from ${ip}`);
+        apiKeys.audit({
+            key: principal?.id || apiKeys.identify(token)?.id || null,
+            ip,
+            method: req.method,
+            path: pathname,
+            status: error.statusCode,
+            reason: error.code,
+        });
+        return error;
     }
 
-    if (apiKey !== CONFIG.apiKey) {
-        const error = AuthenticationError.invalidApiKey();
+    req.apiKey = principal;
+    return null;
+};
+
+/**
+ * Authentication middleware; authenticated requests are audited once answered
+ * @param {http.IncomingMessage} req - Request object
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} pathname - Request pathname
+ * @returns {boolean} True if authenticated, false otherwise
+ */
+const authenticate = (req, res, pathname) => {
+    const error = checkAuth(req, pathname);
+    if (error) {
         sendJson(res, error.statusCode, error.toResponse());
-        logger.warn("Server", `Auth failed: Invalid API key from ${getClientIP(req)}`);
         return false;
     }
 
+    if (req.apiKey) {
+        res.on("finish", () => {
+            apiKeys.audit({
+                key: req.apiKey.id,
+                name: req.apiKey.name,
+                ip: getClientIP(req),
+                method: req.method,
+                path: pathname,
+                account: req.auditAccount,
+                status: res.statusCode,
+            });
+        });
+    }
     return true;
 };
 
@@ -334,6 +464,33 @@ const isValidUid = (uid) => {
     return typeof uid === "string" && /^\d{10,20}$/.test(uid);
 };
 
+/**
+ * Parse the ?days= stats window (default 7, 1-90)
+ * @param {string|null} value - Query value
+ * @returns {number}
+ * @throws {ValidationError} If it isn't a whole number in range
+ */
+const parseDays = (value) => {
+    if (value === null || value === "") return 7;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+        throw new ValidationError("days must be a whole number from 1 to 90", {
+            days: "invalid",
+        });
+    }
+    return days;
+};
+
+/**
+ * Parse a ?from= / ?to= time (epoch ms or anything Date understands)
+ * @param {string|null} value - Query value
+ * @returns {number|string|undefined} Undefined when not given
+ */
+const parseTime = (value) => {
+    if (value === null || value === "") return undefined;
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+
 /**
  * Retrieves list of accounts from accounts directory with user names
  * @returns {Array} Array of account objects with uid, filename, and name
@@ -386,45 +543,68 @@ const getAccountsList = () => {
 };
 
 /**
- * Reads appstate from a specific account file
+ * The running bot's AccountManager (only when index.js is loaded in this process;
+ * looked up in the require cache so a request never boots the bot)
+ * @returns {Object|null}
+ */
+const getAccountManager = () => {
+    return require.cache[require.resolve("./index")]?.exports?.accountManager || null;
+};
+
+/**
+ * Reads appstate from a specific account file (decrypted if it is encrypted)
  * @param {string} uid - User ID to read appstate for
  * @returns {Object|null} Appstate data or null if not found
+ * @throws {AuthenticationError} If the file is encrypted and can't be decrypted
  */
 const readAppstate = (uid) => {
     try {
         const filePath = path.join(CONFIG.accountsDir, `${uid}.json`);
         if (fs.existsSync(filePath)) {
-            const content = fs.readFileSync(filePath, "utf-8");
-            return JSON.parse(content);
+            return appstateVault.readFile(filePath).appState;
         }
         return null;
     } catch (error) {
         logger.error("Server", `Error reading appstate for ${uid}: ${error.message}`);
+        if (error instanceof AuthenticationError) throw error;
         return null;
     }
 };
 
 /**
- * Saves appstate to account file
+ * Saves appstate to account file (encrypted when NERO_APPSTATE_KEY is set)
  * @param {string} uid - User ID to save appstate for
  * @param {Object} appstate - Appstate data to save
- * @returns {boolean} Success status
+ * @returns {{encrypted: boolean}|null} Null on failure
  */
 const saveAppstate = (uid, appstate) => {
     try {
-        if (!fs.existsSync(CONFIG.accountsDir)) {
-            fs.mkdirSync(CONFIG.accountsDir, { recursive: true });
-        }
-
         const filePath = path.join(CONFIG.accountsDir, `${uid}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(appstate, null, 2));
-        return true;
+        return appstateVault.writeFile(filePath, appstate);
     } catch (error) {
         logger.error("Server", `Error saving appstate for ${uid}: ${error.message}`);
-        return false;
+        return null;
     }
 };
 
+/**
+ * Builds the subscriber filter for a stream request and checks there is room
+ * @param {URL} url - Request URL (?account=&thread=&type=&level=)
+ * @param {Object|null} apiKey - Verified key; its account limit narrows the filter
+ * @returns {Object} Filter for eventStream.subscribe
+ * @throws {ValidationError|RateLimitError}
+ */
+const openStream = (url, apiKey) => {
+    const filter = eventStream.parseFilter(Object.fromEntries(url.searchParams));
+    filter.allowedAccounts = apiKey?.accounts ? new Set(apiKey.accounts) : null;
+    if (eventStream.size >= CONFIG.stream.maxClients) {
+        throw new RateLimitError("Too many stream subscribers", 30, {
+            limit: CONFIG.stream.maxClients,
+        });
+    }
+    return filter;
+};
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // API ROUTE HANDLERS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -433,9 +613,13 @@ const handlers = {
     /**
      * GET /api/stats
      * Returns comprehensive bot statistics and account information
+     * Query: ?days=7 (optional) - Window for the trend and top commands (1-90)
      */
     getStats: (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const days = parseDays(url.searchParams.get("days"));
         const stats = statsTracker.getStats();
+        const { today, yesterday } = statsTracker.compareDays();
         const accounts = getAccountsList();
         const memUsage = process.memoryUsage();
 
@@ -485,6 +669,15 @@ const handlers = {
                 topCommands: stats.topCommands || [],
             },
 
+            // History (hourly/daily buckets, survives restarts)
+            history: {
+                days,
+                today,
+                yesterday,
+                trend: statsTracker.getTrend(days),
+                topCommands: statsTracker.getTopCommands(10, { days }),
+            },
+
             // System stats
             system: {
                 memory: {
@@ -506,6 +699,101 @@ const handlers = {
         sendJson(res, 200, response);
     },
 
+    /**
+     * GET /api/stats/history
+     * Returns activity buckets and their totals for a time range
+     * Query: ?from=<ISO|ms>&to=<ISO|ms>&granularity=hour|day (all optional;
+     *        defaults to the last 24 hours)
+     */
+    getStatsHistory: (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const range = {
+            from: parseTime(url.searchParams.get("from")),
+            to: parseTime(url.searchParams.get("to")),
+            granularity: url.searchParams.get("granularity") || undefined,
+        };
+        const buckets = statsTracker.getHistory(range);
+
+        sendJson(res, 200, {
+            success: true,
+            granularity: range.granularity || "hour",
+            summary: statsTracker.history.summarize(buckets, 10),
+            buckets,
+        });
+    },
+
+    /**
+     * GET /metrics
+     * Returns bot, handler, account and process metrics in OpenMetrics text format
+     */
+    getMetrics: (req, res) => {
+        const body = metrics.collect({ accountManager: getAccountManager() });
+        res.writeHead(200, { ...getCorsHeaders(), "Content-Type": metrics.CONTENT_TYPE });
+        res.end(body);
+    },
+
+    /**
+     * GET /api/stream
+     * Server-sent events: one `event: <type>` per stream entry (see
+     * src/utils/eventStream.js), with a comment ping every heartbeat
+     */
+    streamEvents: (req, res) => {
+        const filter = openStream(new URL(req.url, `http://${req.headers.host}`), req.apiKey);
+
+        res.writeHead(200, {
+            ...getCorsHeaders(),
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            "X-Accel-Buffering": "no",
+        });
+        res.write("retry: 5000\n\n");
+
+        const unsubscribe = eventStream.subscribe(filter, (entry) => {
+            res.write(`id: ${entry.id}\nevent: ${entry.type}\ndata: ${JSON.stringify(entry)}\n\n`);
+        });
+        const heartbeat = setInterval(() => res.write(": ping\n\n"), CONFIG.stream.heartbeatMs);
+        heartbeat.unref();
+
+        req.on("close", () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    },
+
+    /**
+     * /api/admin/* (see src/utils/adminApi.js)
+     * Runs a matched admin route and sends its result
+     * @param {Object} route - { handler, params } from adminApi.match
+     */
+    handleAdmin: async (req, res, route) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const accountManager = getAccountManager();
+
+        // Keys limited to some accounts can only act on those
+        if (route.account) {
+            const uid = adminApi.accountID(accountManager, route.params.name);
+            req.auditAccount = uid;
+            if (!canAccessAccount(req, uid)) {
+                throw AuthenticationError.insufficientPermissions(`account ${uid}`);
+            }
+        }
+
+        const body = req.method === "GET" ? {} : await parseJsonBody(req);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+            throw new ValidationError("Request body must be a JSON object");
+        }
+
+        const result = await route.handler({
+            params: route.params,
+            query: Object.fromEntries(url.searchParams),
+            body,
+            accountManager,
+            canAccessAccount: (uid) => canAccessAccount(req, uid),
+        });
+        sendJson(res, 200, { success: true, ...result });
+    },
+
     /**
      * POST /api/cookies
      * Handles cookie operations: upload or validate
@@ -565,6 +853,12 @@ const handlers = {
                 });
             }
 
+            req.auditAccount = targetUid;
+            if (!canAccessAccount(req, targetUid)) {
+                const error = AuthenticationError.insufficientPermissions(`account ${targetUid}`);
+                return sendJson(res, error.statusCode, error.toResponse());
+            }
+
             // Format cookies as appstate using shared utility
             const appstate = formatAsAppstate(cookies);
 
@@ -577,6 +871,7 @@ const handlers = {
                     message: `Appstate saved successfully for UID: ${targetUid}. System will restart in 3 seconds...`,
                     uid: targetUid,
                     cookieCount: appstate.length,
+                    encrypted: saved.encrypted,
                     warnings: validation.warnings,
                     restarting: true,
                 });
@@ -624,7 +919,19 @@ const handlers = {
                 return sendJson(res, error.statusCode, error.toResponse());
             }
 
-            const appstate = readAppstate(uid);
+            req.auditAccount = uid;
+            if (!canAccessAccount(req, uid)) {
+                const error = AuthenticationError.insufficientPermissions(`account ${uid}`);
+                return sendJson(res, error.statusCode, error.toResponse());
+            }
+
+            let appstate;
+            try {
+                appstate = readAppstate(uid);
+            } catch (error) {
+                // The file exists but this server can't open it - not the caller's fault
+                return sendJson(res, 500, error.toResponse());
+            }
 
             if (appstate) {
                 return sendJson(res, 200, {
@@ -639,8 +946,8 @@ const handlers = {
             }
         }
 
-        // No UID provided, list available accounts
-        const accounts = getAccountsList();
+        // No UID provided, list the available accounts this key may see
+        const accounts = getAccountsList().filter((account) => canAccessAccount(req, account.uid));
         sendJson(res, 200, {
             success: true,
             message: "Available accounts. Use ?uid=<uid> to get specific appstate.",
@@ -669,6 +976,12 @@ const handlers = {
             endpoints: [
                 "GET  /              - API info (public)",
                 "GET  /api/stats     - Bot statistics (public)",
+                "GET  /api/stats/history - Activity history by hour/day (auth)",
+                "GET  /metrics       - OpenMetrics/Prometheus scrape",
+                "GET  /api/stream    - Live event stream, SSE or WebSocket (auth)",
+                ...(CONFIG.admin.enabled
+                    ? adminApi.describeRoutes().map((route) => `${route} (auth)`)
+                    : []),
                 "POST /api/cookies   - Upload/validate cookies (auth)",
                 "GET  /api/cookies/appstate - Retrieve appstate (auth)",
             ],
@@ -684,6 +997,10 @@ const handlers = {
             error: "Endpoint not found",
             availableEndpoints: [
                 "GET  /api/stats",
+                "GET  /api/stats/history",
+                "GET  /metrics",
+                "GET  /api/stream",
+                "*    /api/admin/*",
                 "POST /api/cookies",
                 "GET  /api/cookies/appstate",
             ],
@@ -731,15 +1048,21 @@ const router = async (req, res) => {
         const routes = {
             "GET:/": handlers.getRoot,
             "GET:/api/stats": handlers.getStats,
+            "GET:/api/stats/history": handlers.getStatsHistory,
+            ...(CONFIG.metrics.enabled && { "GET:/metrics": handlers.getMetrics }),
+            ...(CONFIG.stream.enabled && { [`GET:${CONFIG.stream.path}`]: handlers.streamEvents }),
             "POST:/api/cookies": handlers.handleCookies,
             "GET:/api/cookies/appstate": handlers.getAppstate,
         };
 
         const routeKey = `${method}:${pathname}`;
         const handler = routes[routeKey];
+        const adminRoute = CONFIG.admin.enabled && adminApi.match(method, pathname);
 
         if (handler) {
             await handler(req, res);
+        } else if (adminRoute) {
+            await handlers.handleAdmin(req, res, adminRoute);
         } else {
             handlers.notFound(req, res);
         }
@@ -757,6 +1080,80 @@ const router = async (req, res) => {
 
 const server = http.createServer(router);
 
+/** WebSocket side of /api/stream (upgrades are routed by hand) */
+const wss = new WebSocketServer({ noServer: true });
+
+/**
+ * Handles WebSocket upgrades: /api/stream sends each stream entry as a JSON
+ * text message and is pinged every heartbeat; anything else is refused
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {import("net").Socket} socket - Client socket
+ * @param {Buffer} head - First packet of the upgraded stream
+ */
+const handleUpgrade = (req, socket, head) => {
+    let filter;
+
+    try {
+        // Fixed base: a malformed Host header must not throw before the socket is answered
+        const url = new URL(req.url, "http://localhost");
+        if (!CONFIG.stream.enabled || url.pathname !== CONFIG.stream.path) {
+            throw new NotFoundError("Endpoint", url.pathname);
+        }
+        const limit = CONFIG.rateLimit.enabled && rateLimiter.check(getClientIP(req));
+        if (limit && !limit.allowed) {
+            throw new RateLimitError(CONFIG.rateLimit.message, limit.retryAfter);
+        }
+        const authError = checkAuth(req, url.pathname);
+        if (authError) throw authError;
+        filter = openStream(url, req.apiKey);
+        apiKeys.audit({
+            key: req.apiKey.id,
+            name: req.apiKey.name,
+            ip: getClientIP(req),
+            method: "GET",
+            path: url.pathname,
+            status: 101,
+        });
+    } catch (error) {
+        const wrappedError = wrapError(error);
+        const body = JSON.stringify(wrappedError.toResponse());
+        socket.end(
+            `HTTP/1.1 ${wrappedError.statusCode} ${http.STATUS_CODES[wrappedError.statusCode]}\r\n` +
+                "Content-Type: application/json\r\n" +
+                `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+                "Connection: close\r\n\r\n" +
+                body
+        );
+        return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+        const unsubscribe = eventStream.subscribe(filter, (entry) => {
+            ws.send(JSON.stringify(entry));
+        });
+
+        // Drop clients that stop answering pings
+        let alive = true;
+        ws.on("pong", () => {
+            alive = true;
+        });
+        const heartbeat = setInterval(() => {
+            if (!alive) return ws.terminate();
+            alive = false;
+            ws.ping();
+        }, CONFIG.stream.heartbeatMs);
+        heartbeat.unref();
+
+        ws.on("close", () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+        ws.on("error", () => ws.terminate());
+    });
+};
+
+server.on("upgrade", handleUpgrade);
+
 /**
  * Start the server
  * @param {boolean} silent - Whether to suppress startup logs
@@ -773,6 +1170,10 @@ const startServer = (silent = false) => {
             logger.info("Server", "");
             logger.info("Server", "Security:");
             logger.info("Server", `  Auth Required: ${CONFIG.requireAuth ? "YES" : "NO"}`);
+            logger.info(
+                "Server",
+                `  API Keys: ${apiKeys.list().filter((key) => key.status === "active").length} active${apiKeys.configKey ? " + server.apiKey" : ""}`
+            );
             logger.info(
                 "Server",
                 `  Rate Limiting: ${CONFIG.rateLimit.enabled ? `${CONFIG.rateLimit.maxRequests} req/${CONFIG.rateLimit.windowMs / 1000}s` : "DISABLED"}`
@@ -781,6 +1182,25 @@ const startServer = (silent = false) => {
             logger.info("Server", "");
             logger.info("Server", "Endpoints:");
             logger.info("Server", "  GET  /api/stats              - Bot statistics (public)");
+            logger.info("Server", "  GET  /api/stats/history      - Activity history (auth)");
+            if (CONFIG.admin.enabled) {
+                logger.info(
+                    "Server",
+                    `  *    /api/admin/*             - Admin API (${apiKeys.hasKeys() ? "auth" : "closed: no API keys"})`
+                );
+            }
+            if (CONFIG.stream.enabled) {
+                logger.info(
+                    "Server",
+                    `  GET  /api/stream             - Live event stream (${apiKeys.hasKeys() ? "auth" : "closed: no API keys"})`
+                );
+            }
+            if (CONFIG.metrics.enabled) {
+                logger.info(
+                    "Server",
+                    `  GET  /metrics                - OpenMetrics (${CONFIG.metrics.requireAuth ? "auth" : "public"})`
+                );
+            }
             logger.info(
                 "Server",
                 "  POST /api/cookies            - Upload/validate cookies (auth)"
@@ -804,7 +1224,7 @@ const startServer = (silent = false) => {
 // MODULE EXPORTS & AUTO-START
 // ═══════════════════════════════════════════════════════════════════════════════
 
-module.exports = { server, startServer, CONFIG };
+module.exports = { server, startServer, CONFIG, apiKeys };
 
 // Auto-start if run directly
 if (require.main === module) {
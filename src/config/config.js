@@ -15,8 +15,8 @@
 "use strict";
 
 const path = require("path");
-const fs = require("fs");
 const settings = require("./settings");
+const storage = require("../utils/storage");
 
 // Load .env file if it exists (silently)
 try {
@@ -29,27 +29,19 @@ try {
     // dotenv not installed or .env not found - will use defaults
 }
 
-// Load dynamic config
-const dynamicConfigPath = path.resolve(__dirname, "dynamic.json");
-let dynamicConfig = {
-    admins: [],
-    blockedUsers: [],
-    blockedThreads: [],
+// Load persisted admin/block lists (imported from dynamic.json on first run)
+const dynamicConfig = {
+    admins: storage.get("config", "admins", []),
+    blockedUsers: storage.get("config", "blockedUsers", []),
+    blockedThreads: storage.get("config", "blockedThreads", []),
 };
 
-try {
-    if (fs.existsSync(dynamicConfigPath)) {
-        const fileContent = fs.readFileSync(dynamicConfigPath, "utf8");
-        dynamicConfig = JSON.parse(fileContent);
-    }
-} catch (error) {
-    console.error("Failed to load dynamic config:", error);
-}
-
 // Helper to save dynamic config
 function saveDynamicConfig(newConfig) {
     try {
-        fs.writeFileSync(dynamicConfigPath, JSON.stringify(newConfig, null, 2));
+        for (const [key, value] of Object.entries(newConfig)) {
+            storage.set("config", key, value);
+        }
         return true;
     } catch (error) {
         console.error("Failed to save dynamic config:", error);
@@ -141,6 +133,11 @@ const config = {
     // ═══════════════════════════════════════════════════════════════════════════
     rateLimit: settings.rateLimit,
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // UPDATER (from settings.js)
+    // ═══════════════════════════════════════════════════════════════════════════
+    updater: settings.updater,
+
     // ═══════════════════════════════════════════════════════════════════════════
     // ENVIRONMENT VARIABLES
     // ═══════════════════════════════════════════════════════════════════════════
@@ -182,6 +179,7 @@ const config = {
 
         // API SECURITY
         // ───────────────────────────────────────────────────────────────────────
+        // Optional full-access key; prefer scoped keys from `npm run keys`
         apiKey: process.env.NERO_API_KEY || "",
         requireAuth: true, // Require API key for sensitive endpoints
         publicEndpoints: ["/api/stats", "/", "/favicon.ico"], // Endpoints accessible without API key
@@ -195,6 +193,28 @@ const config = {
             skipSuccessfulRequests: false, // Count all requests
             message: "Too many requests, please try again later",
         },
+
+        // ADMIN API (/api/admin/*) - always needs a key with the admin scope
+        // ───────────────────────────────────────────────────────────────────────
+        admin: {
+            enabled: true, // Serve the admin REST API
+        },
+
+        // LIVE EVENT STREAM (/api/stream, SSE or WebSocket) - always needs a key
+        // with the admin scope
+        // ───────────────────────────────────────────────────────────────────────
+        stream: {
+            enabled: true, // Serve the live event stream
+            maxClients: 20, // Concurrent subscribers
+            heartbeatSeconds: 25, // Keep-alive ping interval
+        },
+
+        // PROMETHEUS / OPENMETRICS
+        // ───────────────────────────────────────────────────────────────────────
+        metrics: {
+            enabled: true, // Serve GET /metrics
+            requireAuth: true, // Require the API key (X-API-Key or Authorization: Bearer)
+        },
     },
 };
 
@@ -364,5 +384,8 @@ Object.freeze(config.env);
 Object.freeze(config.apiKeys);
 Object.freeze(config.server);
 Object.freeze(config.server.rateLimit);
+Object.freeze(config.server.metrics);
+Object.freeze(config.server.admin);
+Object.freeze(config.server.stream);
 
 module.exports = config;
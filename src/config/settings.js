@@ -85,6 +85,8 @@ const settings = {
         allowInDM: true, // Allow commands in DMs
         allowInGroups: true, // Allow commands in groups
         singleReplyInSharedGC: true, // Only allow one bot to reply in shared groups
+        interactionTimeout: 60, // Seconds a command waits for awaitReply/awaitReaction
+        paginationTimeout: 120, // Seconds a paginated list stays navigable after the last page turn
     },
 
     // ═══════════════════════════════════════════════════════════════════════════
@@ -104,6 +106,65 @@ const settings = {
         enabled: true, // Enable/disable background task system
     },
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // PERMISSION SETTINGS - Extra roles for the `role` command (see utils/permissions)
+    // ═══════════════════════════════════════════════════════════════════════════
+    //   Built-in: user, moderator, threadAdmin, admin, superadmin
+    //   Example:  helper: { description: "Trusted member", nodes: ["broadcast.use"] }
+    //
+    permissions: {
+        roles: {}, // Custom role definitions (name -> { description, nodes, inherits })
+        threadAdminCacheSeconds: 300, // How long Messenger group admin lists are cached
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // LOCALIZATION - Catalogs live in src/locales/<code>.json (see utils/i18n)
+    // ═══════════════════════════════════════════════════════════════════════════
+    //   Users pick their own language with the `language` command; threads use
+    //   `threadconfig set language <code>`. Anything else gets defaultLocale.
+    //
+    i18n: {
+        defaultLocale: "en", // Locale for users/threads that haven't chosen one
+        fallbackLocale: "en", // Catalog used for keys missing from a locale
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // STORAGE SETTINGS - Where persisted bot state lives (config lists, thread
+    // settings, reminders, AI memory, stats)
+    // ═══════════════════════════════════════════════════════════════════════════
+    //   • json   - One file per namespace in data/storage/ (no dependencies)
+    //   • sqlite - Single data/nero.db (Node 22.5+, or the optional better-sqlite3)
+    //
+    storage: {
+        driver: "json", // Storage backend: "json" or "sqlite"
+        flushInterval: 1000, // JSON driver: batch writes for this many ms
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // STATS HISTORY - Hourly/daily activity buckets (see utils/statsHistory)
+    // ═══════════════════════════════════════════════════════════════════════════
+    //   Used by the `info` command and /api/stats for today vs yesterday,
+    //   7-day trends and top commands over a window. Hours and days start
+    //   in config.bot.timeZone.
+    //
+    stats: {
+        hourlyRetention: 168, // Hours of hourly buckets to keep (7 days)
+        dailyRetention: 90, // Days of daily buckets to keep
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // UPDATER - Staged updates from GitHub releases (see utils/updater)
+    // ═══════════════════════════════════════════════════════════════════════════
+    //   A release is checked out and tested in .update/staging before it
+    //   replaces the running code, and rolled back if the bot doesn't come
+    //   online within the health-check window. Update from chat with `update`.
+    //
+    updater: {
+        checkOnStart: true, // Offer new releases in the terminal on startup
+        healthCheckWindow: 120, // Seconds the updated bot has to come online
+        checks: ["npm test", "node tests/utils/checkImports.js"], // Must pass in staging
+    },
+
     // ═══════════════════════════════════════════════════════════════════════════
     // LOGGING CONFIGURATION (Bot Logger - Controls ALL bot output)
     // ═══════════════════════════════════════════════════════════════════════════
@@ -138,13 +199,57 @@ const settings = {
     },
 
     // ═══════════════════════════════════════════════════════════════════════════
-    // RATE LIMITING & ANTI-SPAM
+    // RATE LIMITING & ANTI-SPAM (see utils/rateLimiter)
     // ═══════════════════════════════════════════════════════════════════════════
+    //   Token buckets: `limit` uses per `per` (seconds or "30s"/"1m"/"1h") for
+    //   each user, thread, account or everyone (`scope`, may be a list).
+    //   Command cooldowns always apply; the limits below only when enabled.
+    //
     rateLimit: {
-        enabled: true, // Enable rate limiting
-        maxMessages: 5, // Maximum messages per window
-        windowSeconds: 10, // Time window in seconds
-        penaltySeconds: 30, // Penalty time when rate limited
+        enabled: true, // Enable anti-spam and command rate limits
+        messages: { limit: 5, per: 10, scope: "user" }, // Messages before anti-spam kicks in
+        penaltySeconds: 30, // Messages ignored for this long once over the limit
+        // Per-command limits, overriding a command's own `rateLimit` config:
+        //   music: { limit: 2, per: "1m", scope: "thread" },
+        //   dl: [{ limit: 5, per: "1h", scope: "user" }, { limit: 20, per: "1h", scope: "global" }],
+        commands: {},
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // MODERATION - Warnings, escalation and filters (see utils/moderation)
+    // ═══════════════════════════════════════════════════════════════════════════
+    //   Defaults for every group. Thread admins change them for their thread
+    //   with the `moderation` command; `threadconfig disable event moderation`
+    //   turns the automatic filters off for a thread.
+    //
+    moderation: {
+        warningExpiryDays: 30, // Warnings stop counting after this many days
+        ladder: [
+            { warnings: 3, action: "mute", minutes: 60 }, // No bot commands for an hour
+            { warnings: 5, action: "kick" }, // Removed from the group (bot must be admin)
+        ],
+        words: [], // Blocked words/phrases (case-insensitive, whole words)
+        links: false, // Warn for links
+        flood: 4, // Warn after this many identical messages in a row (0 = off)
+        floodSeconds: 30, // ...sent within this many seconds
+        logSize: 200, // Moderation log entries kept per thread
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SEND QUEUE - Outbound messages per account (see utils/sendQueue)
+    // ═══════════════════════════════════════════════════════════════════════════
+    //   Messages to one thread always go out in order. Failed sends are kept
+    //   as dead letters in storage.
+    //
+    sendQueue: {
+        enabled: true, // Route every account's sendMessage through the queue
+        concurrency: 2, // Threads sent to at once per account
+        globalConcurrency: 4, // Sends in flight at once across all accounts
+        intervalMs: 500, // Minimum gap between sends starting on one account
+        maxDepth: 500, // Waiting messages per account before new sends are refused
+        retries: 2, // Retries for transient failures (network, 5xx, 429)
+        retryDelayMs: 1000, // First retry delay (doubles each retry)
+        deadLetterSize: 100, // Failed sends kept per account
     },
 };
 
@@ -153,7 +258,16 @@ Object.freeze(settings.neroOptions);
 Object.freeze(settings.commands);
 Object.freeze(settings.events);
 Object.freeze(settings.background);
+Object.freeze(settings.permissions);
+Object.freeze(settings.i18n);
+Object.freeze(settings.storage);
+Object.freeze(settings.stats);
+Object.freeze(settings.updater);
 Object.freeze(settings.logging);
 Object.freeze(settings.rateLimit);
+Object.freeze(settings.rateLimit.messages);
+Object.freeze(settings.rateLimit.commands);
+Object.freeze(settings.moderation);
+Object.freeze(settings.sendQueue);
 
 module.exports = settings;
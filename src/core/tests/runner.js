@@ -26,6 +26,7 @@
 const { execSync } = require("child_process");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
 
 // ═══════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -68,7 +69,29 @@ const CONFIG = {
         handlers: {
             name: "Handler Tests",
             path: "../../handlers/tests",
-            files: ["commandHandler.test.js"],
+            files: [
+                "commandHandler.test.js",
+                "backgroundHandler.test.js",
+                "storage.test.js",
+                "permissions.test.js",
+                "paginator.test.js",
+                "i18n.test.js",
+                "simulator.test.js",
+                "commands.test.js",
+                "statsHistory.test.js",
+                "metrics.test.js",
+                "adminApi.test.js",
+                "eventStream.test.js",
+                "apiKeys.test.js",
+                "appstateVault.test.js",
+                "appstateHistory.test.js",
+                "maintenanceWindows.test.js",
+                "moderation.test.js",
+                "rateLimiter.test.js",
+                "sendQueue.test.js",
+                "updater.test.js",
+                "threadConfig.test.js",
+            ],
             icon: "🎮",
         },
     },
@@ -398,6 +421,13 @@ async function main() {
 
     printHeader();
 
+    // Test files load real modules; keep their storage and audit log away from data/
+    if (!process.env.NERO_DATA_DIR) {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "nero-test-"));
+        process.env.NERO_DATA_DIR = dataDir;
+        process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+    }
+
     const runner = new TestRunner();
 
     if (options.suites.length > 0) {
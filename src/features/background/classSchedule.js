@@ -26,8 +26,7 @@ function convert12to24(time12h) {
     return { hours, minutes };
 }
 
-function getTimeParts(timezone) {
-    const now = new Date();
+function getTimeParts(timezone, date = new Date()) {
     const formatter = new Intl.DateTimeFormat("en-US", {
         timeZone: timezone,
         weekday: "long",
@@ -36,7 +35,7 @@ function getTimeParts(timezone) {
         hour12: false,
     });
 
-    const parts = formatter.formatToParts(now);
+    const parts = formatter.formatToParts(date);
     const partMap = {};
     parts.forEach(({ type, value }) => (partMap[type] = value));
 
@@ -70,7 +69,9 @@ module.exports = {
         name: "classSchedule",
         description: "Reminders 30 mins before and at class time with auto-unsend",
         enabled: true,
-        interval: 60000,
+        // Every class starts on the hour or half hour, so only wake up then
+        schedule: "0,30 * * * *",
+        catchUp: "skip",
     },
 
     TIMEZONE: config.bot?.timeZone || "Asia/Manila",
@@ -449,8 +450,7 @@ module.exports = {
         },
     ],
 
-    async cleanupOldClassStartMessages(api) {
-        const now = Date.now();
+    async cleanupOldClassStartMessages(api, now) {
         for (const [key, data] of this.sentMessages.classStartMessages) {
             if (now - data.sentAt >= this.UNSEND_CLASS_START_AFTER) {
                 try {
@@ -463,11 +463,13 @@ module.exports = {
         }
     },
 
-    async execute({ api }) {
+    async execute({ api, scheduledAt = new Date() }) {
         try {
-            const { weekday: dayName, hour, minute } = getTimeParts(this.TIMEZONE);
+            // Do time math on the slot we were scheduled for, not when we woke up
+            const slot = scheduledAt.getTime();
+            const { weekday: dayName, hour, minute } = getTimeParts(this.TIMEZONE, scheduledAt);
 
-            await this.cleanupOldClassStartMessages(api);
+            await this.cleanupOldClassStartMessages(api, slot);
 
             // Iterate over each schedule section
             for (const section of this.schedules) {
@@ -497,15 +499,14 @@ module.exports = {
 
                         for (const threadId of section.targetGroups) {
                             try {
-                                const sendFn = api.sendMessageDirect || api.sendMessage;
-                                const msgInfo = await sendFn(message, threadId);
+                                const msgInfo = await api.sendMessage(message, threadId);
 
                                 if (this.UNSEND_30MIN_ON_CLASS_START && msgInfo?.messageID) {
                                     this.sentMessages.thirtyMinReminders.set(
                                         `${classKey}-${threadId}`,
                                         {
                                             messageId: msgInfo.messageID,
-                                            sentAt: Date.now(),
+                                            sentAt: slot,
                                         }
                                     );
                                 }
@@ -547,15 +548,14 @@ module.exports = {
                             }
 
                             try {
-                                const sendFn = api.sendMessageDirect || api.sendMessage;
-                                const msgInfo = await sendFn(message, threadId);
+                                const msgInfo = await api.sendMessage(message, threadId);
 
                                 if (msgInfo?.messageID) {
                                     this.sentMessages.classStartMessages.set(
                                         `${classKey}-${threadId}`,
                                         {
                                             messageId: msgInfo.messageID,
-                                            sentAt: Date.now(),
+                                            sentAt: slot,
                                         }
                                     );
                                 }
@@ -15,12 +15,40 @@
 
 "use strict";
 
+/** Target argument shared by add/remove */
+const TARGET_ARG = {
+    name: "target",
+    type: "user",
+    required: true,
+    description: "Mention, reply or user ID",
+};
+
+/**
+ * Gets a display name for a user
+ * @param {Object} api - Nero API
+ * @param {Object} event - Message event
+ * @param {string} targetID - User ID
+ * @param {Function} t - Translator for the reply
+ * @returns {Promise<string>}
+ */
+async function getTargetName(api, event, targetID, t) {
+    const mentioned = event.mentions?.[targetID];
+    if (mentioned) return mentioned.replace("@", "");
+
+    try {
+        const userInfo = await api.getUserInfo(targetID);
+        return userInfo[targetID]?.name || t("common.user", { id: targetID });
+    } catch (_err) {
+        return t("common.user", { id: targetID });
+    }
+}
+
 module.exports = {
     config: {
         name: "admin",
         aliases: ["manager", "mod"],
         description: "Add or remove bot administrators",
-        usage: "admin <-a|-r|-l> [@user|reply|user ID]",
+        usage: "admin <add|remove|list> [@user|reply|user ID]",
         category: "admin",
         cooldown: 5,
         permissions: "superadmin", // Only superadmins can manage admins
@@ -29,123 +57,84 @@ module.exports = {
         groupOnly: false,
     },
 
-    async execute({ api, event, args, config, _senderID }) {
-        const { threadID, messageReply, mentions, messageID } = event;
-        const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
-        const commandName = this.config.name;
-
-        if (args.length === 0) {
-            return api.sendMessage(
-                `❌ Invalid usage!\n\n` +
-                    `Usage:\n` +
-                    `• ${actualPrefix}${commandName} -a @user : Add admin\n` +
-                    `• ${actualPrefix}${commandName} -r @user : Remove admin\n` +
-                    `• ${actualPrefix}${commandName} -l       : List admins`,
-                threadID,
-                messageID
-            );
-        }
-
-        const action = args[0].toLowerCase();
-
-        // List Admins
-        if (action === "-l" || action === "list") {
-            const admins = config.bot.admins;
-            const superAdmins = config.bot.superAdmins;
-
-            let msg = "👑 **Bot Administrators** 👑\n\n";
-
-            msg += "**Super Admins:**\n";
-            superAdmins.forEach((id, index) => {
-                msg += `${index + 1}. ${id}\n`;
-            });
-
-            msg += "\n**Admins:**\n";
-            if (admins.length > 0) {
-                admins.forEach((id, index) => {
+    subcommands: {
+        add: {
+            aliases: ["-a"],
+            description: "Add an admin",
+            args: [TARGET_ARG],
+            async execute({ api, event, params, config, t }) {
+                const { threadID, messageID } = event;
+                const targetID = params.target;
+
+                if (config.isSuperAdmin(targetID)) {
+                    return api.sendMessage(t("admin.alreadySuperAdmin"), threadID, null, messageID);
+                }
+
+                const targetName = await getTargetName(api, event, targetID, t);
+                const success = config.addAdmin(targetID);
+                if (success) {
+                    return api.sendMessage(
+                        t("admin.added", { name: targetName }),
+                        threadID,
+                        null,
+                        messageID
+                    );
+                }
+                return api.sendMessage(t("admin.alreadyAdmin"), threadID, null, messageID);
+            },
+        },
+
+        remove: {
+            aliases: ["-r", "del"],
+            description: "Remove an admin",
+            args: [TARGET_ARG],
+            async execute({ api, event, params, config, t }) {
+                const { threadID, messageID } = event;
+                const targetID = params.target;
+
+                if (config.isSuperAdmin(targetID)) {
+                    return api.sendMessage(t("admin.cannotRemoveSuper"), threadID, null, messageID);
+                }
+
+                const targetName = await getTargetName(api, event, targetID, t);
+                const success = config.removeAdmin(targetID);
+                if (success) {
+                    return api.sendMessage(
+                        t("admin.removed", { name: targetName }),
+                        threadID,
+                        null,
+                        messageID
+                    );
+                }
+                return api.sendMessage(t("admin.notAdmin"), threadID, null, messageID);
+            },
+        },
+
+        list: {
+            aliases: ["-l"],
+            description: "List admins",
+            async execute({ api, event, config, t }) {
+                const admins = config.bot.admins;
+                const superAdmins = config.bot.superAdmins;
+
+                let msg = `${t("admin.listTitle")}\n\n`;
+
+                msg += `${t("admin.superAdmins")}\n`;
+                superAdmins.forEach((id, index) => {
                     msg += `${index + 1}. ${id}\n`;
                 });
-            } else {
-                msg += "None\n";
-            }
-
-            return api.sendMessage(msg, threadID, null, messageID);
-        }
-
-        // Get target user
-        let targetID = null;
-        let targetName = "";
-
-        if (messageReply) {
-            targetID = messageReply.senderID;
-            try {
-                const userInfo = await api.getUserInfo(targetID);
-                targetName = userInfo[targetID]?.name || "Replied User";
-            } catch (_err) {
-                targetName = "Replied User";
-            }
-        } else if (Object.keys(mentions).length > 0) {
-            targetID = Object.keys(mentions)[0];
-            targetName = mentions[targetID].replace("@", "");
-        } else if (args[1]) {
-            // Try to parse ID directly
-            if (!isNaN(args[1])) {
-                targetID = args[1];
-                try {
-                    const userInfo = await api.getUserInfo(targetID);
-                    targetName = userInfo[targetID]?.name || `User ${targetID}`;
-                } catch (_err) {
-                    targetName = `User ${targetID}`;
+
+                msg += `\n${t("admin.admins")}\n`;
+                if (admins.length > 0) {
+                    admins.forEach((id, index) => {
+                        msg += `${index + 1}. ${id}\n`;
+                    });
+                } else {
+                    msg += `${t("common.none")}\n`;
                 }
-            }
-        }
-
-        if (!targetID) {
-            return api.sendMessage("❌ Please reply to a user or mention them.", threadID, null, messageID);
-        }
-
-        // Action: Add Admin
-        if (action === "-a" || action === "add") {
-            if (config.isSuperAdmin(targetID)) {
-                return api.sendMessage("⚠️ User is already a Super Admin.", threadID, null, messageID);
-            }
-
-            const success = config.addAdmin(targetID);
-            if (success) {
-                return api.sendMessage(`✅ Successfully added ${targetName} as Admin!`, threadID, null, messageID);
-            } else {
-                return api.sendMessage(`⚠️ User is already an Admin.`, threadID, null, messageID);
-            }
-        }
-
-        // Action: Remove Admin
-        else if (action === "-r" || action === "remove" || action === "del") {
-            if (config.isSuperAdmin(targetID)) {
-                return api.sendMessage("❌ You cannot remove a Super Admin.", threadID, null, messageID);
-            }
-
-            const success = config.removeAdmin(targetID);
-            if (success) {
-                return api.sendMessage(
-                    `✅ Successfully removed ${targetName} from Admins.`,
-                    threadID,
-                    null,
-                    messageID
-                );
-            } else {
-                return api.sendMessage(`⚠️ User is not an Admin.`, threadID, null, messageID);
-            }
-        } else {
-            return api.sendMessage(
-                `❌ Unknown action: ${action}\n\n` +
-                    `Usage:\n` +
-                    `• ${actualPrefix}${commandName} -a @user : Add admin\n` +
-                    `• ${actualPrefix}${commandName} -r @user : Remove admin\n` +
-                    `• ${actualPrefix}${commandName} -l       : List admins`,
-                threadID,
-                null,
-                messageID
-            );
-        }
+
+                return api.sendMessage(msg, event.threadID, null, event.messageID);
+            },
+        },
     },
 };
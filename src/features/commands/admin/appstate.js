@@ -0,0 +1,161 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                           APPSTATE COMMAND                                    ║
+ * ║          List appstate snapshots and roll an account back (Admin Only)        ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *  • appstate history [account]              -> Snapshots, newest first (alias: -l, list)
+ *  • appstate restore <snapshot> [account]   -> Restore and log in again (alias: -r, rollback)
+ *
+ * The account defaults to the bot that received the command. A snapshot is
+ * its number in the history list (1 = newest) or its ID.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+/** Optional account argument shared by both subcommands */
+const ACCOUNT_ARG = {
+    name: "account",
+    type: "string",
+    description: "Account name or bot user ID (default: this bot)",
+};
+
+/** Icon for each cookie health status */
+const HEALTH_ICONS = { healthy: "🟢", good: "🟡", acceptable: "🟠", invalid: "🔴" };
+
+/**
+ * Resolves the account a command refers to
+ * @param {Object} accountManager - AccountManager
+ * @param {Object} api - API of the bot that received the command
+ * @param {string} [ref] - Account name or bot user ID
+ * @returns {string} Account name
+ */
+function resolveAccount(accountManager, api, ref) {
+    const id = ref || api.getCurrentUserID?.();
+    return accountManager.getAccountByUserID(id)?.name || accountManager.getAccount(id)?.name || id;
+}
+
+module.exports = {
+    config: {
+        name: "appstate",
+        aliases: ["cookies", "snapshots"],
+        description: "List appstate snapshots and roll an account back",
+        usage: "appstate <history|restore> [snapshot] [account]",
+        category: "admin",
+        cooldown: 5,
+        permissions: "admin",
+        enabled: true,
+        dmOnly: false,
+        groupOnly: false,
+    },
+
+    subcommands: {
+        history: {
+            aliases: ["-l", "list"],
+            description: "List appstate snapshots",
+            args: [ACCOUNT_ARG],
+            async execute({ api, event, params, accountManager, t }) {
+                const { threadID, messageID } = event;
+                if (!accountManager) {
+                    return api.sendMessage(t("appstate.noManager"), threadID, null, messageID);
+                }
+
+                const name = resolveAccount(accountManager, api, params.account);
+                const snapshots = accountManager.history.list(name);
+                if (snapshots.length === 0) {
+                    return api.sendMessage(
+                        t("appstate.empty", { name }),
+                        threadID,
+                        null,
+                        messageID
+                    );
+                }
+
+                let msg = t("appstate.title", { name });
+                snapshots.forEach((snapshot, index) => {
+                    const icon = HEALTH_ICONS[snapshot.health] || "⚪";
+                    const state = snapshot.failedAt
+                        ? t("appstate.failed")
+                        : snapshot.good
+                          ? " ✅"
+                          : "";
+                    msg += `${index + 1}. ${new Date(snapshot.time).toLocaleString()}${state}\n`;
+                    msg += t("appstate.entry", {
+                        icon,
+                        score: snapshot.score,
+                        cookies: snapshot.cookieCount,
+                        reason: snapshot.reason,
+                    });
+                });
+                msg += t("appstate.restoreHint", { account: params.account || "" }).trimEnd();
+
+                return api.sendMessage(msg, threadID, null, messageID);
+            },
+        },
+
+        restore: {
+            aliases: ["-r", "rollback"],
+            description: "Restore a snapshot and log in again",
+            args: [
+                {
+                    name: "snapshot",
+                    type: "string",
+                    required: true,
+                    description: "Number from the history list or snapshot ID",
+                },
+                ACCOUNT_ARG,
+            ],
+            async execute({ api, event, params, accountManager, logger, t }) {
+                const { threadID, messageID } = event;
+                if (!accountManager) {
+                    return api.sendMessage(t("appstate.noManager"), threadID, null, messageID);
+                }
+
+                const name = resolveAccount(accountManager, api, params.account);
+                const snapshot = accountManager.history.get(name, params.snapshot);
+                if (!snapshot) {
+                    return api.sendMessage(
+                        t("appstate.notFound", { snapshot: params.snapshot, name }),
+                        threadID,
+                        null,
+                        messageID
+                    );
+                }
+
+                // Sent first: restoring this bot's own account logs it out
+                await api.sendMessage(
+                    t("appstate.restoring", {
+                        time: new Date(snapshot.time).toLocaleString(),
+                        name,
+                    }),
+                    threadID,
+                    null,
+                    messageID
+                );
+                logger.warn(
+                    "Appstate",
+                    `Snapshot ${snapshot.id} of ${name} restored by ${event.senderID}`
+                );
+
+                const account = await accountManager.restoreAppState(name, snapshot.id);
+                const online = account?.status === "online";
+                const sender = online && account.api ? account.api : api;
+
+                return sender.sendMessage(
+                    online
+                        ? t("appstate.restored", { name, id: snapshot.id })
+                        : t("appstate.restoreFailed", {
+                              name,
+                              id: snapshot.id,
+                              error: account?.error,
+                          }),
+                    threadID
+                );
+            },
+        },
+    },
+};
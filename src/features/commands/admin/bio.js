@@ -37,8 +37,9 @@ module.exports = {
      * @param {Object} context.event - Event object
      * @param {Array} context.args - Command arguments
      * @param {Object} context.logger - Logger utility
+     * @param {Function} context.t - Translator for the reply
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
 
@@ -47,17 +48,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                "📝 **Bio Command**\n\n" +
-                    "Update the bot's Facebook bio/intro.\n\n" +
-                    "**Usage:**\n" +
-                    `• \`${actualPrefix}${commandName} <text>\` - Set new bio\n` +
-                    `• \`${actualPrefix}${commandName} -clear\` - Clear bio\n\n` +
-                    "**Notes:**\n" +
-                    "• Maximum 101 characters\n" +
-                    "• Emojis are supported 🎉\n\n" +
-                    "**Examples:**\n" +
-                    `• \`${actualPrefix}${commandName} Hello, I'm Nero Bot! 🤖\`\n` +
-                    `• \`${actualPrefix}${commandName} Living my best life ✨\``,
+                t("bio.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
@@ -65,12 +56,7 @@ module.exports = {
 
         // Check if setBio API exists
         if (!api.setBio) {
-            return api.sendMessage(
-                "❌ Bio API not available.\n\n" +
-                    "The bot needs to be restarted to load the new API.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("bio.unavailable"), threadID, messageID);
         }
 
         // Parse arguments
@@ -84,17 +70,14 @@ module.exports = {
         // Validate bio length
         if (bioText.length > 101) {
             return api.sendMessage(
-                `❌ Bio is too long!\n\n` +
-                    `📏 Your bio: ${bioText.length} characters\n` +
-                    `📏 Maximum: 101 characters\n\n` +
-                    `Please shorten your bio by ${bioText.length - 101} characters.`,
+                t("bio.tooLong", { length: bioText.length, over: bioText.length - 101 }),
                 threadID,
                 messageID
             );
         }
 
         // Send "updating" status
-        const statusMsg = await api.sendMessage(`📝 Updating bio...`, threadID);
+        const statusMsg = await api.sendMessage(t("bio.updating"), threadID);
 
         try {
             // Update bio
@@ -111,12 +94,11 @@ module.exports = {
 
             logger?.success?.("Bio", `Updated bio: "${bioText.substring(0, 30)}..."`);
 
-            let successMessage = `✅ **Bio Updated Successfully!**\n\n`;
+            let successMessage = `${t("bio.updated")}\n\n`;
             if (bioText) {
-                successMessage += `📝 New bio: "${bioText}"\n`;
-                successMessage += `📏 Length: ${bioText.length}/101 characters`;
+                successMessage += t("bio.newBio", { bio: bioText, length: bioText.length });
             } else {
-                successMessage += `📝 Bio has been cleared.`;
+                successMessage += t("bio.cleared");
             }
 
             return api.sendMessage(successMessage, threadID, null, messageID);
@@ -133,7 +115,7 @@ module.exports = {
             logger?.error?.("Bio", `Failed to update bio: ${error.message}`);
 
             return api.sendMessage(
-                `❌ Failed to update bio!\n\n` + `Error: ${error.message || "Unknown error"}`,
+                t("bio.failed", { error: error.message || t("common.unknownError") }),
                 threadID,
                 null,
                 messageID
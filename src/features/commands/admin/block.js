@@ -5,9 +5,9 @@
  * ╚═══════════════════════════════════════════════════════════════════════════════╝
  *
  * Usage:
- *  • block -a @user / reply  -> Block (ban) user
- *  • block -r @user / reply  -> Unblock (unban) user
- *  • block -l                -> List blocked users
+ *  • block add @user / reply     -> Block (ban) user    (alias: -a, ban)
+ *  • block remove @user / reply  -> Unblock (unban) user (alias: -r, unban, unblock)
+ *  • block list                  -> List blocked users  (alias: -l)
  *
  * @author 0x3EF8
  * @version 1.0.0
@@ -15,12 +15,35 @@
 
 "use strict";
 
+/** Target argument shared by add/remove */
+const TARGET_ARG = {
+    name: "target",
+    type: "user",
+    required: true,
+    description: "Mention, reply or user ID",
+};
+
+/**
+ * Gets a display name for a user from the mention text
+ * @param {Object} event - Message event
+ * @param {string} targetID - User ID
+ * @param {Function} t - Translator for the reply
+ * @returns {string}
+ */
+function getTargetName(event, targetID, t) {
+    const mentioned = event.mentions?.[targetID];
+    if (mentioned) return mentioned.replace("@", "");
+    return event.messageReply?.senderID === targetID
+        ? t("common.repliedUser")
+        : t("common.user", { id: targetID });
+}
+
 module.exports = {
     config: {
         name: "block",
         aliases: ["ban", "muteuser", "ignore"],
         description: "Block or unblock users from using bot commands",
-        usage: "block <-a|-r|-l> [@user|reply|user ID]",
+        usage: "block <add|remove|list> [@user|reply|user ID]",
         category: "admin",
         cooldown: 5,
         permissions: "admin",
@@ -29,109 +52,72 @@ module.exports = {
         groupOnly: false,
     },
 
-    async execute({ api, event, args, config }) {
-        const { threadID, messageReply, mentions, messageID } = event;
-        const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
-        const commandName = this.config.name;
-
-        if (args.length === 0) {
-            return api.sendMessage(
-                `❌ Invalid usage!\n\n` +
-                    `Usage:\n` +
-                    `• ${actualPrefix}${commandName} -a @user : Block user\n` +
-                    `• ${actualPrefix}${commandName} -r @user : Unblock user\n` +
-                    `• ${actualPrefix}${commandName} -l       : List blocked users`,
-                threadID,
-                messageID
-            );
-        }
-
-        const action = args[0].toLowerCase();
-
-        // List Blocked Users
-        if (action === "-l" || action === "list") {
-            const blockedUsers = config.bot.blockedUsers;
-
-            let msg = "🚫 **Blocked Users** 🚫\n\n";
+    subcommands: {
+        add: {
+            aliases: ["-a", "ban"],
+            description: "Block a user",
+            args: [TARGET_ARG],
+            async execute({ api, event, params, config, t }) {
+                const { threadID, messageID } = event;
+                const targetID = params.target;
 
-            if (blockedUsers.length > 0) {
-                // Determine if we can fetch names, for now just list IDs
-                // In a real scenario, you might want to resolve names asynchronously
-                blockedUsers.forEach((id, index) => {
-                    msg += `${index + 1}. ${id}\n`;
-                });
-            } else {
-                msg += "None\n";
-            }
+                // Prevent blocking admins
+                if (config.isAdmin(targetID)) {
+                    return api.sendMessage(t("block.admin"), threadID, null, messageID);
+                }
 
-            return api.sendMessage(msg, threadID, null, messageID);
-        }
+                const success = config.blockUser(targetID);
+                if (success) {
+                    return api.sendMessage(
+                        t("block.blocked", { name: getTargetName(event, targetID, t) }),
+                        threadID,
+                        null,
+                        messageID
+                    );
+                }
+                return api.sendMessage(t("block.alreadyBlocked"), threadID, null, messageID);
+            },
+        },
 
-        // Get target user
-        let targetID = null;
-        let targetName = "";
+        remove: {
+            aliases: ["-r", "unban", "unblock"],
+            description: "Unblock a user",
+            args: [TARGET_ARG],
+            async execute({ api, event, params, config, t }) {
+                const { threadID, messageID } = event;
+                const targetID = params.target;
 
-        if (messageReply) {
-            targetID = messageReply.senderID;
-            targetName = "Replied User";
-        } else if (Object.keys(mentions).length > 0) {
-            targetID = Object.keys(mentions)[0];
-            targetName = mentions[targetID].replace("@", "");
-        } else if (args[1]) {
-            // Try to parse ID directly
-            if (!isNaN(args[1])) {
-                targetID = args[1];
-                targetName = `User ${targetID}`;
-            }
-        }
+                const success = config.unblockUser(targetID);
+                if (success) {
+                    return api.sendMessage(
+                        t("block.unblocked", { name: getTargetName(event, targetID, t) }),
+                        threadID,
+                        null,
+                        messageID
+                    );
+                }
+                return api.sendMessage(t("block.notBlocked"), threadID, null, messageID);
+            },
+        },
 
-        if (!targetID) {
-            return api.sendMessage("❌ Please reply to a user or mention them.", threadID, null, messageID);
-        }
+        list: {
+            aliases: ["-l"],
+            description: "List blocked users",
+            async execute({ api, event, config, t }) {
+                const blockedUsers = config.bot.blockedUsers;
 
-        // Prevent blocking admins
-        if (config.isAdmin(targetID)) {
-            return api.sendMessage("🛡️ You cannot block a Bot Admin.", threadID, null, messageID);
-        }
+                let msg = `${t("block.listTitle")}\n\n`;
 
-        // Action: Block User
-        if (action === "-a" || action === "add" || action === "ban") {
-            const success = config.blockUser(targetID);
-            if (success) {
-                return api.sendMessage(
-                    `🚫 Successfully blocked ${targetName} from using the bot.`,
-                    threadID,
-                    null,
-                    messageID
-                );
-            } else {
-                return api.sendMessage(`⚠️ User is already blocked.`, threadID, null, messageID);
-            }
-        }
+                if (blockedUsers.length > 0) {
+                    blockedUsers.forEach((id, index) => {
+                        msg += `${index + 1}. ${id}\n`;
+                    });
+                } else {
+                    msg += `${t("common.none")}\n`;
+                }
 
-        // Action: Unblock User
-        else if (
-            action === "-r" ||
-            action === "remove" ||
-            action === "unban" ||
-            action === "unblock"
-        ) {
-            const success = config.unblockUser(targetID);
-            if (success) {
-                return api.sendMessage(`✅ Successfully unblocked ${targetName}.`, threadID, null, messageID);
-            } else {
-                return api.sendMessage(`⚠️ User is not blocked.`, threadID, null, messageID);
-            }
-        } else {
-            return api.sendMessage(
-                `❌ Unknown action: ${action}\n\n` +
-                    `Usage:\n` +
-                    `• ${actualPrefix}${commandName} -a @user : Block user\n` +
-                    `• ${actualPrefix}${commandName} -r @user : Unblock user\n` +
-                    `• ${actualPrefix}${commandName} -l       : List blocked users`,
-                threadID,
-                messageID
-            );
-        }
+                return api.sendMessage(msg, event.threadID, null, event.messageID);
+            },
+        },
     },
 };
@@ -19,6 +19,7 @@ const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
 const { getTempDirSync } = require("../../../utils/paths");
+const sendQueue = require("../../../utils/sendQueue");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 //                              CONSTANTS
@@ -27,7 +28,7 @@ const { getTempDirSync } = require("../../../utils/paths");
 /** @type {number} Maximum threads to fetch */
 const MAX_THREADS = 100;
 
-/** @type {number} Delay between messages (ms) to avoid rate limiting */
+/** @type {number} Delay between messages (ms) when the send queue is turned off */
 const MESSAGE_DELAY = 1000;
 
 /** @type {string[]} School GC thread IDs (from classSchedule) */
@@ -80,11 +81,12 @@ async function fetchThreads(api, filter = "all") {
 /**
  * Get display name for a thread
  * @param {Object} thread - Thread object
+ * @param {Function} t - Translator for the fallback names
  * @returns {string} Display name
  */
-function getThreadName(thread) {
+function getThreadName(thread, t) {
     if (thread.isGroup) {
-        return thread.threadName || thread.name || "Unnamed Group";
+        return thread.threadName || thread.name || t("broadcast.unnamedGroup");
     }
 
     if (thread.userInfo && thread.userInfo.length > 0) {
@@ -92,7 +94,7 @@ function getThreadName(thread) {
         if (user) return user.name;
     }
 
-    return thread.threadName || thread.name || "Unknown";
+    return thread.threadName || thread.name || t("common.unknown");
 }
 
 /**
@@ -106,6 +108,28 @@ function sleep(ms) {
     });
 }
 
+/**
+ * Runs a send for every thread. With the send queue on, only as many sends as
+ * it can start at once are handed over (it paces and retries them); without
+ * it, threads go one at a time with MESSAGE_DELAY in between.
+ * @param {Array} threads - Target threads
+ * @param {function(Object): Promise<void>} sendTo - Sends to one thread
+ * @returns {Promise<void>}
+ */
+async function sendToEach(threads, sendTo) {
+    const queued = sendQueue.options.enabled;
+    const workers = queued ? Math.max(1, sendQueue.options.concurrency) : 1;
+    let next = 0;
+
+    const worker = async () => {
+        while (next < threads.length) {
+            await sendTo(threads[next++]);
+            if (!queued && next < threads.length) await sleep(MESSAGE_DELAY);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(workers, threads.length) }, worker));
+}
+
 /**
  * Download attachment from URL
  * @param {string} url - URL to download
@@ -158,18 +182,14 @@ module.exports = {
     /**
      * Command execution function
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, logger, hasPermission, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const senderID = event.senderID;
 
         // Check if broadcast is already running
         if (activeBroadcasts.get(senderID)) {
-            return api.sendMessage(
-                "⚠️ You already have an active broadcast running.\nPlease wait for it to complete.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("broadcast.active"), threadID, messageID);
         }
 
         // --- 1. Handle Attachments (Reply Mode) ---
@@ -184,12 +204,12 @@ module.exports = {
             const att = event.messageReply.attachments[0]; // Take first attachment
             if (att.type === "photo" || att.type === "video" || att.type === "animated_image") {
                 try {
-                    api.sendMessage("⏳ Downloading attachment...", threadID, null, messageID);
+                    api.sendMessage(t("broadcast.downloading"), threadID, null, messageID);
                     attachmentType = att.type === "video" ? "video" : "photo";
                     attachmentPath = await downloadAttachment(att.url, attachmentType);
                 } catch (err) {
                     return api.sendMessage(
-                        `❌ Error downloading attachment: ${err.message}`,
+                        t("broadcast.downloadFailed", { error: err.message }),
                         threadID,
                         messageID
                     );
@@ -226,14 +246,11 @@ module.exports = {
             }
 
             if (selectedIDs.length === 0) {
-                return api.sendMessage(
-                    "❌ Please provide at least one Thread ID after -t.\nExample: /broadcast -t c12345, c67890 Hello",
-                    threadID
-                );
+                return api.sendMessage(t("broadcast.noTargets"), threadID);
             }
             messageStart = i;
         } else if (firstArg === "-list") {
-            return await this.listThreads(api, event, args[1] || "all", config);
+            return await this.listThreads(api, event, args[1] || "all", config, t);
         }
 
         // Show usage if no arguments and no attachment
@@ -241,28 +258,20 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                "📢 **Broadcast Command**\n\n" +
-                "Send a message (text, photo, video) to multiple threads.\n" +
-                "Reply to an attachment to broadcast it.\n\n" +
-                "**Usage:**\n" +
-                `• ${actualPrefix}${commandName} <message>` +
-                " - Send to all threads\n" +
-                `• ${actualPrefix}${commandName} -g <message>` +
-                " - Send to groups only\n" +
-                `• ${actualPrefix}${commandName} -d <message>` +
-                " - Send to DMs only\n" +
-                `• ${actualPrefix}${commandName} -s <message>` +
-                " - Send to school GCs\n" +
-                `• ${actualPrefix}${commandName} -t <id1> <id2>... <msg>` +
-                " - Send to target IDs\n" +
-                `• ${actualPrefix}${commandName} -list` +
-                " - List all threads\n\n" +
-                "**Attachments:** Reply to a photo/video with the command to broadcast it.",
+                t("broadcast.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
         }
 
+        // Sending to every thread needs its own node (admins hold it via "*")
+        if (filter === "all" && !(await hasPermission("broadcast.all"))) {
+            if (attachmentPath && fs.existsSync(attachmentPath)) {
+                fs.unlinkSync(attachmentPath);
+            }
+            return api.sendMessage(t("broadcast.allDenied"), threadID, messageID);
+        }
+
         // Get message text content - Preserving whitespace
         // Strategy: Locate where the actual message starts in event.body
         let broadcastMessage = "";
@@ -296,20 +305,14 @@ module.exports = {
         if (!broadcastMessage && !attachmentPath) {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             return api.sendMessage(
-                "❌ Please provide a message or reply to an attachment.\n\n" +
-                `Usage: \`${actualPrefix}broadcast <message>\``,
+                t("broadcast.noMessage", { command: `${actualPrefix}broadcast` }),
                 threadID,
                 messageID
             );
         }
 
         // Confirm broadcast
-        let filterText = filter;
-        if (filter === "all") filterText = "all threads";
-        else if (filter === "groups") filterText = "groups only";
-        else if (filter === "dms") filterText = "DMs only";
-        else if (filter === "school") filterText = "school GCs";
-        else if (filter === "custom") filterText = `target IDs (${selectedIDs.length})`;
+        const filterText = t(`broadcast.filter.${filter}`, { count: selectedIDs.length });
         try {
             // Fetch threads
             let targetThreads = [];
@@ -324,46 +327,53 @@ module.exports = {
             } else {
                 const threads = await fetchThreads(api, filter);
                 if (threads.length === 0) {
-                    return api.sendMessage(`📭 No ${filterText} found.`, threadID, null, messageID);
+                    return api.sendMessage(
+                        t("broadcast.noneFound", { filter: filterText }),
+                        threadID,
+                        null,
+                        messageID
+                    );
                 }
                 // Filter out current thread to avoid echo
-                targetThreads = threads.filter((t) => t.threadID !== threadID);
+                targetThreads = threads.filter((thread) => thread.threadID !== threadID);
             }
 
             if (targetThreads.length === 0) {
-                return api.sendMessage("📭 No targets found.", threadID, null, messageID);
+                return api.sendMessage(t("broadcast.noneTargeted"), threadID, null, messageID);
             }
 
             // Send confirmation
             const confirmMsg = await api.sendMessage(
-                `📢 **Broadcasting to ${targetThreads.length} targets**\n` +
-                (attachmentPath ? `📎 With attachment (${attachmentType})\n` : "") +
-                (broadcastMessage
-                    ? `📝 Text: "${broadcastMessage.substring(0, 50)}..."\n`
-                    : "") +
-                `⏳ Starting...`,
+                t("broadcast.confirm", { count: targetThreads.length }) +
+                    (attachmentPath
+                        ? t("broadcast.withAttachment", { type: attachmentType })
+                        : "") +
+                    (broadcastMessage
+                        ? t("broadcast.text", { text: broadcastMessage.substring(0, 50) })
+                        : "") +
+                    t("broadcast.starting"),
                 threadID
             );
 
             // Mark broadcast as active
             activeBroadcasts.set(senderID, true);
 
-            // Send messages
+            // Send messages (each attachment stream is opened right before its send)
             let successCount = 0;
             let failCount = 0;
             const failedThreads = [];
 
             logger?.info?.("Broadcast", `Starting broadcast to ${targetThreads.length} threads`);
 
-            for (const thread of targetThreads) {
+            await sendToEach(targetThreads, async (thread) => {
                 try {
                     const msgOptions = {};
 
                     // Add text if exists
                     if (broadcastMessage) {
-                        msgOptions.body = `📢 **BROADCAST**\n\n${broadcastMessage}`;
+                        msgOptions.body = t("broadcast.body", { message: broadcastMessage });
                     } else if (attachmentPath) {
-                        msgOptions.body = `📢 **BROADCAST**`;
+                        msgOptions.body = t("broadcast.header");
                     }
 
                     // Add attachment if exists
@@ -375,24 +385,21 @@ module.exports = {
                     successCount++;
                     logger?.debug?.(
                         "Broadcast",
-                        `Sent to ${getThreadName(thread)} (${thread.threadID})`
+                        `Sent to ${getThreadName(thread, t)} (${thread.threadID})`
                     );
                 } catch (error) {
                     failCount++;
                     failedThreads.push({
-                        name: getThreadName(thread),
+                        name: getThreadName(thread, t),
                         id: thread.threadID,
                         error: error.message,
                     });
                     logger?.debug?.(
                         "Broadcast",
-                        `Failed: ${getThreadName(thread)} - ${error.message}`
+                        `Failed: ${getThreadName(thread, t)} - ${error.message}`
                     );
                 }
-
-                // Delay between messages
-                await sleep(MESSAGE_DELAY);
-            }
+            });
 
             // Cleanup attachment file
             if (attachmentPath && fs.existsSync(attachmentPath)) {
@@ -410,12 +417,13 @@ module.exports = {
             }
 
             // Send results
-            let resultMessage =
-                `✅ **Broadcast Complete**\n` +
-                `📤 Sent: ${successCount}/${targetThreads.length}\n`;
+            let resultMessage = t("broadcast.complete", {
+                sent: successCount,
+                total: targetThreads.length,
+            });
 
             if (failCount > 0) {
-                resultMessage += `❌ Failed: ${failCount}\n\nFAILED:\n`;
+                resultMessage += t("broadcast.failedCount", { count: failCount });
                 for (const ft of failedThreads.slice(0, 5)) {
                     resultMessage += `• ${ft.name}\n`;
                 }
@@ -428,7 +436,12 @@ module.exports = {
             if (attachmentPath && fs.existsSync(attachmentPath)) fs.unlinkSync(attachmentPath);
 
             logger?.error?.("Broadcast", `Error: ${error.message}`);
-            return api.sendMessage(`❌ Failed: ${error.message}`, threadID, null, messageID);
+            return api.sendMessage(
+                t("broadcast.failed", { error: error.message }),
+                threadID,
+                null,
+                messageID
+            );
         }
     },
 
@@ -437,8 +450,10 @@ module.exports = {
      * @param {Object} api - Nero API object
      * @param {Object} event - Event object
      * @param {string} filter - Filter type
+     * @param {Object} _config - Bot configuration
+     * @param {Function} t - Translator for the reply
      */
-    async listThreads(api, event, filter, _config) {
+    async listThreads(api, event, filter, _config, t) {
         const threadID = event.threadID;
         const messageID = event.messageID;
 
@@ -449,41 +464,41 @@ module.exports = {
             );
 
             if (threads.length === 0) {
-                return api.sendMessage("📭 No threads found.", threadID, null, messageID);
+                return api.sendMessage(t("broadcast.list.empty"), threadID, null, messageID);
             }
 
-            let list = `📋 **Thread List** (${threads.length})\n\n`;
+            let list = t("broadcast.list.title", { count: threads.length });
 
-            const groups = threads.filter((t) => t.isGroup);
-            const dms = threads.filter((t) => !t.isGroup);
+            const groups = threads.filter((thread) => thread.isGroup);
+            const dms = threads.filter((thread) => !thread.isGroup);
 
             if (groups.length > 0) {
-                list += `👥 **Groups (${groups.length}):**\n`;
+                list += t("broadcast.list.groups", { count: groups.length });
                 for (let i = 0; i < Math.min(groups.length, 10); i++) {
                     const g = groups[i];
-                    list += `${i + 1}. ${getThreadName(g)} (${g.threadID})\n`;
+                    list += `${i + 1}. ${getThreadName(g, t)} (${g.threadID})\n`;
                 }
                 if (groups.length > 10) {
-                    list += `... and ${groups.length - 10} more\n`;
+                    list += t("broadcast.list.more", { count: groups.length - 10 });
                 }
                 list += `\n`;
             }
 
             if (dms.length > 0) {
-                list += `👤 **DMs (${dms.length}):**\n`;
+                list += t("broadcast.list.dms", { count: dms.length });
                 for (let i = 0; i < Math.min(dms.length, 10); i++) {
                     const d = dms[i];
-                    list += `${i + 1}. ${getThreadName(d)} (${d.threadID})\n`;
+                    list += `${i + 1}. ${getThreadName(d, t)} (${d.threadID})\n`;
                 }
                 if (dms.length > 10) {
-                    list += `... and ${dms.length - 10} more\n`;
+                    list += t("broadcast.list.more", { count: dms.length - 10 });
                 }
             }
 
             return api.sendMessage(list, threadID, null, messageID);
         } catch (error) {
             return api.sendMessage(
-                `❌ Failed to fetch threads: ${error.message}`,
+                t("broadcast.list.failed", { error: error.message }),
                 threadID,
                 null,
                 messageID
@@ -65,11 +65,12 @@ async function fetchThreads(api, filter = "all") {
 /**
  * Get display name for a thread
  * @param {Object} thread - Thread object
+ * @param {Function} t - Translator for the fallback names
  * @returns {string} Display name
  */
-function getThreadName(thread) {
+function getThreadName(thread, t) {
     if (thread.isGroup) {
-        return thread.threadName || thread.name || "Unnamed Group";
+        return thread.threadName || thread.name || t("clean.unnamedGroup");
     }
 
     if (thread.userInfo && thread.userInfo.length > 0) {
@@ -77,7 +78,7 @@ function getThreadName(thread) {
         if (user) return user.name;
     }
 
-    return thread.threadName || thread.name || "Unknown";
+    return thread.threadName || thread.name || t("common.unknown");
 }
 
 /**
@@ -116,19 +117,19 @@ module.exports = {
      * @param {Object} context.event - Event object
      * @param {Array} context.args - Command arguments
      * @param {Object} context.logger - Logger utility
+     * @param {Function} context.awaitReply - Wait for a reply to a sent message
+     * @param {Function} context.awaitReaction - Wait for a reaction on a sent message
+     * @param {Function} context.cancelAwait - Stop waiting on a sent message
+     * @param {Function} context.t - Translator for the reply
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, logger, awaitReply, awaitReaction, cancelAwait, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const senderID = event.senderID;
 
         // Check if clean is already running
         if (activeCleans.get(senderID)) {
-            return api.sendMessage(
-                "⚠️ You already have an active clean operation running.\nPlease wait for it to complete.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("clean.active"), threadID, messageID);
         }
 
         // Show usage if no arguments
@@ -136,25 +137,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                "🧹 **Clean Command**\n\n" +
-                    "Delete conversations from your inbox.\n\n" +
-                    "⚠️ **WARNING:** This is destructive and cannot be undone!\n\n" +
-                    "**Usage:**\n" +
-                    `• 
-${actualPrefix}${commandName} all confirm
- - Delete ALL threads
-` +
-                    `• 
-${actualPrefix}${commandName} groups confirm
- - Delete groups only
-` +
-                    `• 
-${actualPrefix}${commandName} dms confirm
- - Delete DMs only
-` +
-                    `• 
-${actualPrefix}${commandName} list
- - Preview threads before deleting`,
+                t("clean.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
@@ -166,7 +149,7 @@ ${actualPrefix}${commandName} list
 
         // List threads
         if (filterArg === "list") {
-            return await this.listThreads(api, event, args[1] || "all", config);
+            return await this.listThreads(api, event, args[1] || "all", config, t);
         }
 
         // Validate filter
@@ -174,42 +157,36 @@ ${actualPrefix}${commandName} list
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                "❌ Invalid option.\n\n" +
-                    `Use: 
-${actualPrefix}${commandName} all
-, 
-${actualPrefix}${commandName} groups
-, or 
-${actualPrefix}${commandName} dms
-`,
+                t("clean.invalid", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
         }
 
-        // Require confirmation
+        // Require confirmation (skipped with an explicit "confirm" arg)
         if (confirmArg !== "confirm") {
-            const filterText =
-                filterArg === "all"
-                    ? "ALL threads"
-                    : filterArg === "groups"
-                      ? "all GROUPS"
-                      : "all DMs";
-            const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
-            const commandName = this.config.name;
-
-            return api.sendMessage(
-                `⚠️ **Confirmation Required**\n\n` +
-                    `You are about to delete ${filterText}.\n\n` +
-                    `This action CANNOT be undone!\n\n` +
-                    `To confirm, type:
-` +
-                    `
-${actualPrefix}${commandName} ${filterArg} confirm
-`,
+            const prompt = await api.sendMessage(
+                t("clean.confirm", { target: t(`clean.target.${filterArg}`) }),
                 threadID,
                 messageID
             );
+
+            const answer = await Promise.race([awaitReaction(prompt), awaitReply(prompt)]);
+            cancelAwait(prompt);
+
+            const confirmed =
+                answer?.type === "message_reaction"
+                    ? answer.reaction === "👍"
+                    : /^(y|yes|confirm)$/i.test((answer?.body || "").trim());
+
+            if (!confirmed) {
+                return api.sendMessage(
+                    t(answer ? "clean.cancelled" : "clean.timedOut"),
+                    threadID,
+                    null,
+                    messageID
+                );
+            }
         }
 
         try {
@@ -217,21 +194,19 @@ ${actualPrefix}${commandName} ${filterArg} confirm
             const threads = await fetchThreads(api, filterArg);
 
             if (threads.length === 0) {
-                return api.sendMessage("📭 No threads found to delete.", threadID, null, messageID);
+                return api.sendMessage(t("clean.noneFound"), threadID, null, messageID);
             }
 
             // Filter out current thread
-            const targetThreads = threads.filter((t) => t.threadID !== threadID);
+            const targetThreads = threads.filter((thread) => thread.threadID !== threadID);
 
             if (targetThreads.length === 0) {
-                return api.sendMessage("📭 No other threads to delete.", threadID, null, messageID);
+                return api.sendMessage(t("clean.noneOther"), threadID, null, messageID);
             }
 
             // Send status
             const statusMsg = await api.sendMessage(
-                `🧹 **Starting cleanup...**\n\n` +
-                    `📋 Threads to delete: ${targetThreads.length}\n\n` +
-                    `⏳ This may take a while...`,
+                t("clean.starting", { count: targetThreads.length }),
                 threadID
             );
 
@@ -252,17 +227,20 @@ ${actualPrefix}${commandName} ${filterArg} confirm
 
                     logger?.debug?.(
                         "Clean",
-                        `Deleted: ${getThreadName(thread)} (${thread.threadID})`
+                        `Deleted: ${getThreadName(thread, t)} (${thread.threadID})`
                     );
                 } catch (error) {
                     failCount++;
                     failedThreads.push({
-                        name: getThreadName(thread),
+                        name: getThreadName(thread, t),
                         id: thread.threadID,
                         error: error.message,
                     });
 
-                    logger?.debug?.("Clean", `Failed: ${getThreadName(thread)} - ${error.message}`);
+                    logger?.debug?.(
+                        "Clean",
+                        `Failed: ${getThreadName(thread, t)} - ${error.message}`
+                    );
                 }
 
                 // Delay between deletions
@@ -282,12 +260,13 @@ ${actualPrefix}${commandName} ${filterArg} confirm
             }
 
             // Send results
-            let resultMessage =
-                `✅ **Cleanup Complete**\n\n` +
-                `🗑️ Deleted: ${successCount}/${targetThreads.length}`;
+            let resultMessage = t("clean.complete", {
+                deleted: successCount,
+                total: targetThreads.length,
+            });
 
             if (failCount > 0) {
-                resultMessage += `\n❌ Failed: ${failCount}`;
+                resultMessage += t("clean.failedCount", { count: failCount });
             }
 
             logger?.success?.("Clean", `Completed: ${successCount} deleted, ${failCount} failed`);
@@ -298,7 +277,7 @@ ${actualPrefix}${commandName} ${filterArg} confirm
             logger?.error?.("Clean", `Error: ${error.message}`);
 
             return api.sendMessage(
-                `❌ Cleanup failed!\n\nError: ${error.message}`,
+                t("clean.failed", { error: error.message }),
                 threadID,
                 null,
                 messageID
@@ -311,8 +290,10 @@ ${actualPrefix}${commandName} ${filterArg} confirm
      * @param {Object} api - Nero API object
      * @param {Object} event - Event object
      * @param {string} filter - Filter type
+     * @param {Object} _config - Bot configuration
+     * @param {Function} t - Translator for the reply
      */
-    async listThreads(api, event, filter, _config) {
+    async listThreads(api, event, filter, _config, t) {
         const threadID = event.threadID;
         const messageID = event.messageID;
 
@@ -321,44 +302,44 @@ ${actualPrefix}${commandName} ${filterArg} confirm
             const threads = await fetchThreads(api, validFilter);
 
             if (threads.length === 0) {
-                return api.sendMessage("📭 No threads found.", threadID, null, messageID);
+                return api.sendMessage(t("clean.list.empty"), threadID, null, messageID);
             }
 
             // Filter out current thread
-            const deletable = threads.filter((t) => t.threadID !== threadID);
+            const deletable = threads.filter((thread) => thread.threadID !== threadID);
 
-            let list = `📋 **Thread Preview** (${deletable.length} total)\n\n`;
+            let list = t("clean.list.title", { count: deletable.length });
 
-            const groups = deletable.filter((t) => t.isGroup);
-            const dms = deletable.filter((t) => !t.isGroup);
+            const groups = deletable.filter((thread) => thread.isGroup);
+            const dms = deletable.filter((thread) => !thread.isGroup);
 
             if (groups.length > 0) {
-                list += `👥 **Groups (${groups.length}):**\n`;
+                list += t("clean.list.groups", { count: groups.length });
                 for (let i = 0; i < Math.min(groups.length, 10); i++) {
-                    list += `• ${getThreadName(groups[i])}\n`;
+                    list += `• ${getThreadName(groups[i], t)}\n`;
                 }
                 if (groups.length > 10) {
-                    list += `... and ${groups.length - 10} more\n`;
+                    list += t("clean.list.more", { count: groups.length - 10 });
                 }
                 list += `\n`;
             }
 
             if (dms.length > 0) {
-                list += `👤 **DMs (${dms.length}):**\n`;
+                list += t("clean.list.dms", { count: dms.length });
                 for (let i = 0; i < Math.min(dms.length, 10); i++) {
-                    list += `• ${getThreadName(dms[i])}\n`;
+                    list += `• ${getThreadName(dms[i], t)}\n`;
                 }
                 if (dms.length > 10) {
-                    list += `... and ${dms.length - 10} more\n`;
+                    list += t("clean.list.more", { count: dms.length - 10 });
                 }
             }
 
-            list += `\n⚠️ Total to delete: ${deletable.length}`;
+            list += t("clean.list.total", { count: deletable.length });
 
             return api.sendMessage(list, threadID, null, messageID);
         } catch (error) {
             return api.sendMessage(
-                `❌ Failed to fetch threads: ${error.message}`,
+                t("clean.list.failed", { error: error.message }),
                 threadID,
                 null,
                 messageID
@@ -70,8 +70,9 @@ module.exports = {
      * @param {Array<string>} context.args - Command arguments
      * @param {Object} context.config - Bot configuration
      * @param {Object} context.logger - Logger utility
+     * @param {Function} context.t - Translator for the reply
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID ? String(event.messageID) : null;
 
@@ -80,9 +81,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                `❌ Please provide code to execute.\n\n` +
-                `Usage: ${actualPrefix}${commandName} <code>\n\n` +
-                `Example: ${actualPrefix}${commandName} return 2 + 2`,
+                t("eval.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
@@ -131,20 +130,17 @@ module.exports = {
             const formattedResult = formatResult(result);
 
             // Send the result
-            const response =
-                `✅ Code executed successfully\n` +
-                `⏱️ Execution time: ${executionTime}ms\n\n` +
-                `📤 Output:\n${formattedResult}`;
+            const response = t("eval.success", { time: executionTime, output: formattedResult });
 
             api.sendMessage(response, threadID, null, messageID);
 
             logger.success("Eval", `Code executed in ${executionTime}ms`);
         } catch (error) {
-            const errorMessage =
-                `❌ Execution error\n\n` +
-                `🔴 Error: ${error.name}\n` +
-                `📝 Message: ${error.message}\n\n` +
-                `📍 Stack:\n${error.stack ? error.stack.substring(0, 500) : "No stack trace"}`;
+            const errorMessage = t("eval.failed", {
+                name: error.name,
+                error: error.message,
+                stack: error.stack ? error.stack.substring(0, 500) : t("eval.noStack"),
+            });
 
             api.sendMessage(errorMessage, threadID, null, messageID);
 
@@ -14,15 +14,17 @@
 "use strict";
 
 const axios = require("axios");
+const { paginate } = require("../../../utils/paginator");
 
 /**
  * Gets the display name for a thread (reused logic)
  * @param {Object} thread - Thread object
+ * @param {Function} t - Translator for the fallback names
  * @returns {string} Display name
  */
-function getThreadDisplayName(thread) {
+function getThreadDisplayName(thread, t) {
     if (thread.isGroup) {
-        return thread.threadName || thread.name || "Unnamed Group";
+        return thread.threadName || thread.name || t("gth.unnamedGroup");
     }
     if (thread.userInfo && thread.userInfo.length > 0) {
         // Find user who is not the bot (assuming bot ID is not easily available here without context,
@@ -30,7 +32,7 @@ function getThreadDisplayName(thread) {
         const userWithName = thread.userInfo.find((u) => u.name);
         if (userWithName) return userWithName.name;
     }
-    return thread.threadName || thread.name || "Unknown";
+    return thread.threadName || thread.name || t("common.unknown");
 }
 
 /**
@@ -76,7 +78,8 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, config }) {
+    async execute(context) {
+        const { api, event, args, config, t } = context;
         const threadID = event.threadID;
         const messageID = event.messageID;
         const limit = 20; // Number of threads to list
@@ -91,38 +94,40 @@ module.exports = {
 
                 if (!threads || threads.length === 0) {
                     api.setMessageReaction("❌", messageID, () => {}, true);
-                    return api.sendMessage("📭 Inbox is empty.", threadID, null, messageID);
+                    return api.sendMessage(t("gth.empty"), threadID, null, messageID);
                 }
 
-                let msg = `📬 **Recent Inbox Threads**\n\n`;
-                threads.forEach((t, i) => {
-                    const name = getThreadDisplayName(t);
-                    const type = t.isGroup ? "Group" : "User";
-                    const snippet = t.snippet
-                        ? t.snippet.length > 30
-                            ? t.snippet.substring(0, 30) + "..."
-                            : t.snippet
-                        : "No message";
-                    msg += `${i + 1}. **${name}** (${type})\n   ID: ${t.threadID}\n   📝 ${snippet}\n\n`;
-                });
-
-                msg += `👉 Type 
-${config.bot.prefix}gth <number>
- to view history.`;
-
                 api.setMessageReaction("✅", messageID, () => {}, true);
-                return api.sendMessage(msg, threadID, null, messageID);
+                return paginate(context, {
+                    title: t("gth.title"),
+                    items: threads,
+                    perPage: 5,
+                    separator: "\n\n",
+                    render: (thread, i) => {
+                        const name = getThreadDisplayName(thread, t);
+                        const type = t(thread.isGroup ? "gth.type.group" : "gth.type.user");
+                        const snippet = thread.snippet
+                            ? thread.snippet.length > 30
+                                ? thread.snippet.substring(0, 30) + "..."
+                                : thread.snippet
+                            : t("gth.noMessage");
+                        return t("gth.entry", {
+                            index: i + 1,
+                            name,
+                            type,
+                            id: thread.threadID,
+                            snippet,
+                        });
+                    },
+                    footer: t("gth.footer", { command: `${config.bot.prefix}gth` }),
+                });
             }
 
             // Mode 2: View History (With argument)
             const index = parseInt(args[0], 10);
 
             if (isNaN(index) || index < 1 || index > limit) {
-                return api.sendMessage(
-                    `❌ Invalid number. Please choose between 1 and ${limit}.`,
-                    threadID,
-                    messageID
-                );
+                return api.sendMessage(t("gth.invalidNumber", { limit }), threadID, messageID);
             }
 
             api.setMessageReaction("⏳", messageID, () => {}, true);
@@ -131,16 +136,12 @@ ${config.bot.prefix}gth <number>
             const threads = await api.getThreadList(limit, null, ["INBOX"]);
 
             if (!threads || index > threads.length) {
-                return api.sendMessage(
-                    "❌ Thread list changed or index out of range. Please list again.",
-                    threadID,
-                    messageID
-                );
+                return api.sendMessage(t("gth.outOfRange"), threadID, messageID);
             }
 
             const targetThread = threads[index - 1];
             const targetThreadID = targetThread.threadID;
-            const targetName = getThreadDisplayName(targetThread);
+            const targetName = getThreadDisplayName(targetThread, t);
 
             // Fetch history for the specific thread
             // Fetch 50 messages to get a good context
@@ -149,7 +150,7 @@ ${config.bot.prefix}gth <number>
             if (!history || history.length === 0) {
                 api.setMessageReaction("❌", messageID, () => {}, true);
                 return api.sendMessage(
-                    `📭 No history found for **${targetName}**.`,
+                    t("gth.noHistory", { name: targetName }),
                     threadID,
                     messageID
                 );
@@ -162,23 +163,28 @@ ${config.bot.prefix}gth <number>
                 targetThread.userInfo.forEach((u) => (userMap[u.id] = u.name));
             }
 
-            let historyMsg = `CHAT HISTORY: ${targetName}\n`;
-            historyMsg += `Thread ID: ${targetThreadID}\n`;
-            historyMsg += `Thread Type: ${targetThread.isGroup ? "Group" : "User"}\n`;
+            let historyMsg = t("gth.history.header", {
+                name: targetName,
+                id: targetThreadID,
+                type: t(targetThread.isGroup ? "gth.type.group" : "gth.type.user"),
+            });
             if (targetThread.isGroup && targetThread.participantIDs) {
-                historyMsg += `Participants: ${targetThread.participantIDs.length}\n`;
+                historyMsg += t("gth.history.participants", {
+                    count: targetThread.participantIDs.length,
+                });
             }
             if (targetThread.messageCount !== undefined) {
-                historyMsg += `Total Messages: ${targetThread.messageCount}\n`;
+                historyMsg += t("gth.history.messages", { count: targetThread.messageCount });
             }
-            historyMsg += `------------------------------------------\n\n`;
+            historyMsg += `------------------------------------------`;
 
             // Reverse to show oldest to newest (top is old, bottom is new)
             const sortedHistory = history.reverse();
 
             // Use for...of to handle async await for URL shortening
+            const lines = [];
             for (const msg of sortedHistory) {
-                const senderName = userMap[msg.senderID] || "Unknown User";
+                const senderName = userMap[msg.senderID] || t("gth.unknownUser");
 
                 // Detail attachment types and URLs
                 let attachmentInfo = "";
@@ -196,7 +202,7 @@ ${config.bot.prefix}gth <number>
                 }
 
                 const body = (msg.body || "") + attachmentInfo;
-                const finalContent = body.trim() || "[Action/Event or Empty Message]";
+                const finalContent = body.trim() || t("gth.emptyMessage");
 
                 // Compact Date-Time Formatting (MM/DD HH:MM)
                 const ts = parseInt(msg.timestamp, 10);
@@ -211,18 +217,22 @@ ${config.bot.prefix}gth <number>
                     dateTime = `${M}/${D} ${h}:${m}`;
                 }
 
-                historyMsg += `[${dateTime}] ${senderName}: ${finalContent}\n\n`;
+                lines.push(`[${dateTime}] ${senderName}: ${finalContent}`);
             }
 
-            historyMsg += `\n------------------------------------------`;
-
             api.setMessageReaction("✅", messageID, () => {}, true);
-            return api.sendMessage(historyMsg, threadID, null, messageID);
+            return paginate(context, {
+                title: historyMsg,
+                items: lines,
+                perPage: 15,
+                separator: "\n\n",
+                footer: `------------------------------------------`,
+            });
         } catch (error) {
             console.error(error);
             api.setMessageReaction("❌", messageID, () => {}, true);
             return api.sendMessage(
-                `❌ Error: ${error.message || "Something went wrong."}\n`,
+                t("gth.error", { error: error.message || t("gth.somethingWrong") }),
                 threadID,
                 messageID
             );
@@ -24,7 +24,7 @@ module.exports = {
         usage: "kick [@mentions...] | [reply] | [all] [expt @excludes...]",
         category: "user",
         cooldown: 5,
-        permissions: "user",
+        permissions: "kick.use", // Moderators, group admins and bot admins
         enabled: true,
         dmOnly: false,
         groupOnly: true,
@@ -34,7 +34,7 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const senderID = event.senderID;
@@ -42,17 +42,12 @@ module.exports = {
 
         // Must be in a group
         if (!isGroup) {
-            return api.sendMessage(`❌ This command only works in group chats!`, threadID, null, messageID);
+            return api.sendMessage(t("kick.groupOnly"), threadID, null, messageID);
         }
 
         // Check if gcmember API exists
         if (!api.gcmember) {
-            return api.sendMessage(
-                `❌ Member removal is not available in this API version.`,
-                threadID,
-                null,
-                messageID
-            );
+            return api.sendMessage(t("kick.unsupported"), threadID, null, messageID);
         }
 
         // Check if bot is admin in this group
@@ -62,16 +57,11 @@ module.exports = {
             const adminIDs = threadInfo.adminIDs ? threadInfo.adminIDs.map((a) => a.id || a) : [];
 
             if (!adminIDs.includes(botID)) {
-                return api.sendMessage(
-                    `❌ I need to be an admin to kick members!\n\n` +
-                        `Please make me an admin first, then try again.`,
-                    threadID,
-                    messageID
-                );
+                return api.sendMessage(t("kick.notAdmin"), threadID, messageID);
             }
         } catch (error) {
             return api.sendMessage(
-                `❌ Could not verify admin status!\n\n` + `Error: ${error.message || error}`,
+                t("kick.adminCheckFailed", { error: error.message || error }),
                 threadID
             );
         }
@@ -120,16 +110,13 @@ module.exports = {
         if (removeAllMembers) {
             try {
                 // Send loading message
-                const loadingMsg = await api.sendMessage("⏳ Fetching group members...", threadID);
+                const loadingMsg = await api.sendMessage(t("kick.fetching"), threadID);
 
                 // Get current thread info
                 const threadInfo = await api.getThreadInfo(threadID);
 
                 if (!threadInfo || !threadInfo.participantIDs) {
-                    return api.sendMessage(
-                        `❌ Could not get group members!\n\n` + `Please try again later.`,
-                        threadID
-                    );
+                    return api.sendMessage(t("kick.noMembers"), threadID);
                 }
 
                 // Get all participant IDs (excluding the bot and sender)
@@ -153,10 +140,10 @@ module.exports = {
                     const userInfo = await api.getUserInfo(usersToKick);
                     userNames = usersToKick.map((id) => {
                         const user = userInfo[id];
-                        return user ? user.name : `User ${id}`;
+                        return user ? user.name : t("common.user", { id });
                     });
                 } catch {
-                    userNames = usersToKick.map((_, i) => `Member ${i + 1}`);
+                    userNames = usersToKick.map((_, i) => t("kick.member", { index: i + 1 }));
                 }
 
                 // Delete loading message
@@ -169,7 +156,7 @@ module.exports = {
                 }
             } catch (error) {
                 return api.sendMessage(
-                    `❌ Failed to get group members!\n\n` + `Error: ${error.message || error}`,
+                    t("kick.membersFailed", { error: error.message || error }),
                     threadID
                 );
             }
@@ -181,12 +168,12 @@ module.exports = {
 
             // Don't allow kicking the bot
             if (replyUserID === botID) {
-                return api.sendMessage(`❌ You can't kick me! 😅`, threadID, null, messageID);
+                return api.sendMessage(t("kick.notBot"), threadID, null, messageID);
             }
 
             // Don't allow kicking yourself
             if (replyUserID === senderID) {
-                return api.sendMessage(`❌ You can't kick yourself!`, threadID, null, messageID);
+                return api.sendMessage(t("kick.notSelf"), threadID, null, messageID);
             }
 
             usersToKick = [replyUserID];
@@ -205,10 +192,10 @@ module.exports = {
                 const userInfo = await api.getUserInfo(usersToKick);
                 userNames = usersToKick.map((id) => {
                     const user = userInfo[id];
-                    return user ? user.name : `User ${id}`;
+                    return user ? user.name : t("common.user", { id });
                 });
             } catch {
-                userNames = usersToKick.map((_, i) => `User ${i + 1}`);
+                userNames = usersToKick.map((_, i) => t("common.user", { id: i + 1 }));
             }
         }
         // Case 3: Remove by mentions
@@ -219,15 +206,12 @@ module.exports = {
             usersToKick = mentionedIDs.filter((id) => id !== botID && id !== senderID);
 
             if (usersToKick.length === 0) {
-                return api.sendMessage(
-                    `❌ Can't kick those users!\n\n` + `You can't kick the bot or yourself.`,
-                    threadID
-                );
+                return api.sendMessage(t("kick.invalidTargets"), threadID);
             }
 
             userNames = usersToKick.map((id) => {
                 const name = mentions[id];
-                return name ? name.replace("@", "") : `User ${id}`;
+                return name ? name.replace("@", "") : t("common.user", { id });
             });
         }
         // No target specified
@@ -235,15 +219,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                `❌ Please specify who to kick!\n\n` +
-                    `📖 Usage:\n` +
-                    `• ${actualPrefix}${commandName} @user1 @user2 - Kick mentioned users\n` +
-                    `• ${actualPrefix}${commandName} [reply] - Reply to a message to kick that user\n` +
-                    `• ${actualPrefix}${commandName} all - Kick all members (except you and bot)\n` +
-                    `• ${actualPrefix}${commandName} all expt @user1 @user2 - Kick all except mentioned\n\n` +
-                    `📝 Options:\n` +
-                    `• "all" = kick all members\n` +
-                    `• "expt" = except/exclude mentioned users`,
+                t("kick.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID
             );
         }
@@ -262,7 +238,7 @@ module.exports = {
 
                     if (othersLeft.length === 0) {
                         // Only sender and bot left - leave the group
-                        await api.sendMessage(`👋 No other members in group. Leaving...`, threadID, null, messageID);
+                        await api.sendMessage(t("kick.leaving"), threadID, null, messageID);
                         await new Promise((resolve) => {
                             setTimeout(resolve, 1000);
                         });
@@ -278,8 +254,9 @@ module.exports = {
             }
 
             return api.sendMessage(
-                `❌ No users to kick!\n\n` +
-                    `${removeAllMembers ? "All members are excluded or it's just you and the bot." : "Please mention users to kick."}`,
+                t("kick.noUsers", {
+                    hint: t(removeAllMembers ? "kick.hint.all" : "kick.hint.mention"),
+                }),
                 threadID,
                 null,
                 messageID
@@ -287,9 +264,9 @@ module.exports = {
         }
 
         // Confirmation message
-        let confirmMsg = `⏳ Kicking ${usersToKick.length} member${usersToKick.length > 1 ? "s" : ""}...\n`;
+        let confirmMsg = t("kick.kicking", { count: usersToKick.length });
         if (excludeMembers && excludedNames.length > 0) {
-            confirmMsg += `🛡️ Keeping: ${excludedNames.join(", ")}\n`;
+            confirmMsg += t("kick.keeping", { names: excludedNames.join(", ") });
         }
 
         await api.sendMessage(confirmMsg, threadID, null, messageID);
@@ -301,7 +278,7 @@ module.exports = {
 
         for (let i = 0; i < usersToKick.length; i++) {
             const userID = usersToKick[i];
-            const userName = userNames[i] || `User ${i + 1}`;
+            const userName = userNames[i] || t("common.user", { id: i + 1 });
 
             try {
                 const result = await api.gcmember("remove", userID, threadID);
@@ -338,37 +315,32 @@ module.exports = {
         let resultMsg = "";
 
         if (successCount > 0 && failedCount === 0) {
-            resultMsg = `✅ Successfully kicked ${successCount} member${successCount > 1 ? "s" : ""}!\n\n`;
-            resultMsg += `👢 **Kicked:**\n`;
+            resultMsg = t("kick.success", { count: successCount });
             const displayLimit = 15;
             const displayNames = userNames.slice(0, displayLimit);
             displayNames.forEach((name, index) => {
                 resultMsg += `  ${index + 1}. ${name}\n`;
             });
             if (userNames.length > displayLimit) {
-                resultMsg += `  ... and ${userNames.length - displayLimit} more\n`;
+                resultMsg += t("kick.more", { count: userNames.length - displayLimit });
             }
         } else if (successCount > 0 && failedCount > 0) {
-            resultMsg = `⚠️ Partially completed!\n\n`;
-            resultMsg += `✅ Kicked: ${successCount} member${successCount > 1 ? "s" : ""}\n`;
-            resultMsg += `❌ Failed: ${failedCount} member${failedCount > 1 ? "s" : ""}\n\n`;
+            resultMsg = t("kick.partial");
+            resultMsg += t("kick.kickedCount", { count: successCount });
+            resultMsg += t("kick.failedCount", { count: failedCount });
             if (failedUsers.length <= 10) {
-                resultMsg += `**Failed to kick:**\n`;
+                resultMsg += t("kick.failedList");
                 failedUsers.forEach((name, index) => {
                     resultMsg += `  ${index + 1}. ${name}\n`;
                 });
             }
         } else {
-            resultMsg = `❌ Failed to kick members!\n\n`;
-            resultMsg += `This might happen if:\n`;
-            resultMsg += `• The bot doesn't have admin rights\n`;
-            resultMsg += `• The users are admins\n`;
-            resultMsg += `• Network issues occurred\n`;
+            resultMsg = t("kick.failed");
         }
 
         // Show excluded users if any
         if (excludeMembers && excludedNames.length > 0) {
-            resultMsg += `\n🛡️ **Protected (${excludedNames.length} users):**\n`;
+            resultMsg += t("kick.protected", { count: excludedNames.length });
             excludedNames.forEach((name, index) => {
                 resultMsg += `  ${index + 1}. ${name}\n`;
             });
@@ -400,10 +372,7 @@ module.exports = {
 
                     if (othersLeft.length === 0) {
                         // Only sender (and maybe bot) left - leave the group
-                        await api.sendMessage(
-                            `👋 No other members left. Leaving group...`,
-                            threadID
-                        );
+                        await api.sendMessage(t("kick.leavingAfter"), threadID);
 
                         await new Promise((resolve) => {
                             setTimeout(resolve, 1000);
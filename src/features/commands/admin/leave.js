@@ -24,11 +24,11 @@ module.exports = {
         groupOnly: true,
     },
 
-    async execute({ api, event, logger }) {
+    async execute({ api, event, logger, t }) {
         const { threadID, messageID } = event;
 
         try {
-            await api.sendMessage("👋 Goodbye! Leaving the group now...", threadID, null, messageID);
+            await api.sendMessage(t("leave.goodbye"), threadID, null, messageID);
 
             // Wait a moment for the message to be sent
             await new Promise((resolve) => {
@@ -45,7 +45,7 @@ module.exports = {
             }
         } catch (error) {
             logger.error("Leave Command", error);
-            api.sendMessage(`❌ Failed to leave group: ${error.message}`, threadID, null, messageID);
+            api.sendMessage(t("leave.failed", { error: error.message }), threadID, null, messageID);
         }
     },
 };
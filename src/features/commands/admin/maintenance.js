@@ -7,6 +7,14 @@
  * This command allows admins to toggle maintenance mode on/off.
  * When enabled, only admins can use the bot.
  *
+ * Maintenance can also be scheduled ahead as a window - once, or recurring
+ * with a cron expression - and limited to threads, accounts or command
+ * categories:
+ *  • maintenance schedule --at "2025-01-31 22:00" --for 2h Database upgrade
+ *  • maintenance schedule --every "0 3 * * 0" --for 30m --categories ai --announce
+ *  • maintenance windows / maintenance cancel <id>
+ *  • maintenance announce on   -> This thread hears when announced windows start/end
+ *
  * @author 0x3EF8
  * @version 1.0.0
  */
@@ -15,25 +23,49 @@
 
 const maintenanceManager = require("../../../utils/maintenanceManager");
 
+/** Flags that limit maintenance to part of the bot */
+const SCOPE_FLAGS = {
+    here: { type: "boolean", alias: "h", description: "Only this thread" },
+    threads: { type: "string", description: "Comma-separated thread IDs" },
+    accounts: { type: "string", description: "Comma-separated account names or bot IDs" },
+    categories: { type: "string", alias: "c", description: "Comma-separated command categories" },
+};
+
 /**
- * Parse time argument from args
- * @param {Array<string>} args - Command arguments
- * @returns {{time: number|null, cleanArgs: Array<string>}}
+ * Builds a scope from the scope flags
+ * @param {Object} flags - Parsed flags
+ * @param {Object} event - Message event
+ * @returns {{threads: string[], accounts: string[], categories: string[]}}
  */
-function parseTimeArg(args) {
-    let time = null;
-    const cleanArgs = [];
-
-    for (const arg of args) {
-        const timeMatch = arg.match(/^--time=(\d+)$/i) || arg.match(/^-t=?(\d+)$/i);
-        if (timeMatch) {
-            time = parseInt(timeMatch[1], 10);
-        } else {
-            cleanArgs.push(arg);
-        }
-    }
+function scopeFromFlags(flags, event) {
+    const split = (value) => (value ? String(value).split(",") : []);
+    return {
+        threads: [...split(flags.threads), ...(flags.here ? [String(event.threadID)] : [])],
+        accounts: split(flags.accounts),
+        categories: split(flags.categories),
+    };
+}
 
-    return { time, cleanArgs };
+/**
+ * Describes a scope in one line
+ * @param {Object} scope - Normalized scope
+ * @param {Function} t - Translator for the labels
+ * @returns {string}
+ */
+function describeScope(scope, t) {
+    const parts = ["threads", "accounts", "categories"]
+        .filter((key) => scope?.[key]?.length > 0)
+        .map((key) => t(`maintenance.command.scope.${key}`, { list: scope[key].join(", ") }));
+    return parts.length > 0 ? parts.join(" · ") : t("maintenance.command.scope.everything");
+}
+
+/**
+ * Gets the message ID to reply to
+ * @param {Object} event - Message event
+ * @returns {string|null}
+ */
+function replyID(event) {
+    return event.messageID ? String(event.messageID) : null;
 }
 
 module.exports = {
@@ -41,7 +73,6 @@ module.exports = {
         name: "maintenance",
         aliases: ["maint", "mt"],
         description: "Toggle and manage maintenance mode",
-        usage: "maintenance <on/off/status/reason/time/reset> [reason] [--time=minutes]",
         category: "admin",
         cooldown: 0,
         permissions: "admin",
@@ -50,178 +81,370 @@ module.exports = {
         groupOnly: false,
     },
 
-    async execute({ api, event, args, config, logger }) {
-        const threadID = event.threadID;
-        const messageID = event.messageID ? String(event.messageID) : null;
-
-        if (args.length === 0) {
-            const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
-            const commandName = this.config.name;
-
-            // Show status
-            const status = maintenanceManager.getStatus();
-
-            let response = `🔧 Maintenance Mode\n\n`;
-            response += `Status: ${status.enabled ? "🔴 ENABLED" : "🟢 DISABLED"}\n`;
-
-            if (status.enabled) {
-                response += `Reason: ${status.reason}\n`;
-                if (status.startedAt) {
-                    response += `Duration: ${status.duration}\n`;
-                }
-                if (status.estimatedEnd) {
-                    const remaining = status.estimatedEnd.getTime() - Date.now();
-                    if (remaining > 0) {
-                        response += `ETA: ${maintenanceManager.formatDuration(remaining)}\n`;
-                    }
-                }
-                response += `Notified Users: ${status.notifiedCount}`;
-            }
-
-            response += `\n\nUsage:\n`;
-            response += `• ${actualPrefix}${commandName} on [reason] [--time=minutes]\n`;
-            response += `• ${actualPrefix}${commandName} off\n`;
-            response += `• ${actualPrefix}${commandName} status\n`;
-            response += `• ${actualPrefix}${commandName} reason <new reason>\n`;
-            response += `• ${actualPrefix}${commandName} time <minutes>\n`;
-            response += `• ${actualPrefix}${commandName} reset`;
-
-            return api.sendMessage(response, threadID, null, messageID);
-        }
-
-        const action = args[0].toLowerCase();
-
-        switch (action) {
-            case "on":
-            case "enable":
-            case "start": {
-                const { time, cleanArgs } = parseTimeArg(args.slice(1));
-                const reason = cleanArgs.join(" ") || "The bot is currently under maintenance.";
-
-                const status = maintenanceManager.enable({
+    subcommands: {
+        on: {
+            aliases: ["enable", "start"],
+            description: "Enable maintenance mode",
+            args: [{ name: "reason", type: "rest", description: "Shown to users" }],
+            flags: {
+                time: {
+                    type: "duration",
+                    alias: "t",
+                    unit: "m",
+                    description: "Estimated duration (minutes, or e.g. 1h30m)",
+                },
+                ...SCOPE_FLAGS,
+            },
+            async execute({ api, event, params, flags, logger, t }) {
+                const reason = params.reason || t("maintenance.command.defaultReason");
+
+                maintenanceManager.enable({
                     reason,
-                    estimatedMinutes: time,
+                    estimatedMinutes: flags.time ? Math.ceil(flags.time / 60000) : null,
+                    scope: scopeFromFlags(flags, event),
                 });
 
                 logger.warn("Maintenance", `Maintenance mode ENABLED by ${event.senderID}`);
 
-                let response = `✅ Maintenance mode enabled!\n\n`;
-                response += `📝 Reason: ${status.reason}\n`;
-                if (status.estimatedEnd) {
-                    response += `⏱️ ETA: ${maintenanceManager.formatDuration(time * 60 * 1000)}`;
+                let response = t("maintenance.command.enabled", {
+                    reason: maintenanceManager.reason,
+                    scope: describeScope(maintenanceManager.scope, t),
+                });
+                if (maintenanceManager.estimatedEnd) {
+                    response += t("maintenance.command.eta", {
+                        time: maintenanceManager.formatDuration(flags.time),
+                    });
                 }
 
-                return api.sendMessage(response, threadID, null, messageID);
-            }
+                return api.sendMessage(response, event.threadID, null, replyID(event));
+            },
+        },
 
-            case "off":
-            case "disable":
-            case "stop": {
+        off: {
+            aliases: ["disable", "stop"],
+            description: "Disable maintenance mode",
+            async execute({ api, event, logger, t }) {
                 maintenanceManager.disable();
                 logger.success("Maintenance", `Maintenance mode DISABLED by ${event.senderID}`);
 
                 return api.sendMessage(
-                    `✅ Maintenance mode disabled!\n\nThe bot is now fully operational.`,
-                    threadID,
+                    t("maintenance.command.disabled"),
+                    event.threadID,
                     null,
-                    messageID
+                    replyID(event)
                 );
-            }
+            },
+        },
 
-            case "status": {
+        status: {
+            description: "Show detailed status",
+            async execute({ api, event, t }) {
                 const status = maintenanceManager.getStatus();
+                const notAvailable = t("maintenance.command.notAvailable");
 
-                let response = `🔧 Maintenance Status\n\n`;
-                response += `Status: ${status.enabled ? "🔴 ENABLED" : "🟢 DISABLED"}\n`;
+                let response = t("maintenance.command.statusTitle");
+                response += t("maintenance.command.state", {
+                    state: t(status.enabled ? "maintenance.command.on" : "maintenance.command.off"),
+                });
 
                 if (status.enabled) {
-                    response += `Reason: ${status.reason}\n`;
-                    response += `Started: ${status.startedAt ? status.startedAt.toLocaleString() : "N/A"}\n`;
-                    response += `Duration: ${status.duration || "N/A"}\n`;
+                    response += t("maintenance.command.reason", { reason: status.reason });
+                    response += t("maintenance.command.started", {
+                        time: status.startedAt ? status.startedAt.toLocaleString() : notAvailable,
+                    });
+                    response += t("maintenance.command.duration", {
+                        duration: status.duration || notAvailable,
+                    });
 
                     if (status.estimatedEnd) {
                         const remaining = status.estimatedEnd.getTime() - Date.now();
-                        response += `ETA: ${remaining > 0 ? maintenanceManager.formatDuration(remaining) : "Overdue"}\n`;
+                        response += t("maintenance.command.remaining", {
+                            time:
+                                remaining > 0
+                                    ? maintenanceManager.formatDuration(remaining)
+                                    : t("maintenance.command.overdue"),
+                        });
                     }
 
-                    response += `Users Notified: ${status.notifiedCount}`;
+                    response += t("maintenance.command.usersNotified", {
+                        count: status.notifiedCount,
+                    });
+                } else if (status.scope) {
+                    response += t("maintenance.command.scopedReason", {
+                        scope: describeScope(status.scope, t),
+                        reason: status.reason,
+                    });
                 }
 
-                return api.sendMessage(response, threadID, null, messageID);
-            }
+                if (status.windows.length > 0) {
+                    const active = status.windows.filter((window) => window.active).length;
+                    response += t("maintenance.command.windowsSummary", {
+                        count: status.windows.length,
+                        active,
+                    });
+                }
 
-            case "reason": {
-                const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
-                const commandName = this.config.name;
-                if (args.length < 2) {
+                return api.sendMessage(response, event.threadID, null, replyID(event));
+            },
+        },
+
+        schedule: {
+            aliases: ["plan", "window"],
+            description: "Schedule a maintenance window",
+            args: [{ name: "reason", type: "rest", description: "Shown to users" }],
+            flags: {
+                at: { type: "string", alias: "a", description: "Start date/time (default: now)" },
+                for: {
+                    type: "duration",
+                    alias: "f",
+                    unit: "m",
+                    description: "How long it (or each occurrence) lasts",
+                },
+                until: { type: "string", alias: "u", description: "End date/time" },
+                every: {
+                    type: "string",
+                    alias: "e",
+                    description: 'Cron expression for a recurring window, e.g. "0 3 * * 0"',
+                },
+                tz: { type: "string", description: "Timezone of the cron expression" },
+                announce: {
+                    type: "boolean",
+                    description: "Tell opted-in threads when it starts and ends",
+                },
+                ...SCOPE_FLAGS,
+            },
+            async execute({ api, event, params, flags, logger, t }) {
+                const start = flags.at ? new Date(flags.at).getTime() : Date.now();
+                const until = flags.until ? new Date(flags.until).getTime() : null;
+
+                let window;
+                try {
+                    window = maintenanceManager.schedule({
+                        reason: params.reason,
+                        start,
+                        end: until ?? (!flags.every && flags.for ? start + flags.for : null),
+                        cron: flags.every,
+                        durationMinutes: flags.every && flags.for ? flags.for / 60000 : null,
+                        timezone: flags.tz,
+                        scope: scopeFromFlags(flags, event),
+                        announce: flags.announce,
+                    });
+                } catch (error) {
+                    const details = Object.values(error.fields || {}).map((text) => `• ${text}`);
                     return api.sendMessage(
-                        `❌ Please provide a reason.\n\nUsage: ${actualPrefix}${commandName} reason <new reason>`,
-                        threadID,
-                        messageID
+                        t("maintenance.command.scheduleFailed", {
+                            details: details.join("\n") || error.message,
+                        }),
+                        event.threadID,
+                        null,
+                        replyID(event)
                     );
                 }
 
-                const newReason = args.slice(1).join(" ");
-                maintenanceManager.setReason(newReason);
-
-                return api.sendMessage(
-                    `✅ Maintenance reason updated!\n\n📝 ${newReason}`,
-                    threadID,
-                    messageID
+                logger.warn(
+                    "Maintenance",
+                    `Maintenance window ${window.id} scheduled by ${event.senderID}`
                 );
-            }
 
-            case "time":
-            case "eta": {
-                const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
-                const commandName = this.config.name;
-                if (args.length < 2) {
+                let response = t("maintenance.command.scheduled", {
+                    id: window.id,
+                    reason: window.reason,
+                    scope: describeScope(window.scope, t),
+                });
+                if (window.cron) response += t("maintenance.command.every", { cron: window.cron });
+                if (window.nextStart) {
+                    response += t(
+                        window.active
+                            ? "maintenance.command.startedAt"
+                            : "maintenance.command.startsAt",
+                        { time: window.nextStart.toLocaleString() }
+                    );
+                    response += t("maintenance.command.endsAt", {
+                        time: window.nextEnd.toLocaleString(),
+                    });
+                }
+
+                return api.sendMessage(response.trimEnd(), event.threadID, null, replyID(event));
+            },
+        },
+
+        windows: {
+            aliases: ["-w", "scheduled"],
+            description: "List scheduled maintenance windows",
+            async execute({ api, event, t }) {
+                const windows = maintenanceManager.listWindows();
+                if (windows.length === 0) {
                     return api.sendMessage(
-                        `❌ Please provide estimated time in minutes.\n\nUsage: ${actualPrefix}${commandName} time <minutes>`,
-                        threadID,
-                        messageID
+                        t("maintenance.command.noWindows"),
+                        event.threadID,
+                        null,
+                        replyID(event)
                     );
                 }
 
-                const minutes = parseInt(args[1], 10);
+                let response = t("maintenance.command.windowsTitle");
+                for (const window of windows) {
+                    const state = t(
+                        window.active
+                            ? "maintenance.command.active"
+                            : "maintenance.command.upcoming"
+                    );
+                    response += `[${window.id}] ${state}${window.announce ? " 📢" : ""} - ${window.reason}\n`;
+                    if (window.cron) response += `   🔁 ${window.cron}\n`;
+                    if (window.nextStart) {
+                        response += `   🕒 ${window.nextStart.toLocaleString()} → ${window.nextEnd.toLocaleString()}\n`;
+                    }
+                    response += `   🎯 ${describeScope(window.scope, t)}\n`;
+                }
 
-                if (isNaN(minutes) || minutes < 1) {
+                return api.sendMessage(response.trimEnd(), event.threadID, null, replyID(event));
+            },
+        },
+
+        cancel: {
+            aliases: ["unschedule", "rm"],
+            description: "Cancel a maintenance window",
+            args: [{ name: "id", type: "string", required: true, description: "Window ID" }],
+            async execute({ api, event, params, logger, t }) {
+                try {
+                    maintenanceManager.cancel(params.id);
+                } catch {
                     return api.sendMessage(
-                        `❌ Please provide a valid number of minutes.`,
-                        threadID,
-                        messageID
+                        t("maintenance.command.windowNotFound", { id: params.id }),
+                        event.threadID,
+                        null,
+                        replyID(event)
                     );
                 }
 
-                maintenanceManager.setEstimatedTime(minutes);
+                logger.info(
+                    "Maintenance",
+                    `Maintenance window ${params.id} cancelled by ${event.senderID}`
+                );
+                return api.sendMessage(
+                    t("maintenance.command.cancelled", { id: params.id }),
+                    event.threadID,
+                    null,
+                    replyID(event)
+                );
+            },
+        },
+
+        announce: {
+            description: "Announce scheduled windows in this thread",
+            args: [{ name: "enabled", type: "boolean", required: true }],
+            async execute({ api, event, params, t }) {
+                maintenanceManager.setAnnouncements(
+                    event.threadID,
+                    params.enabled ? api.getCurrentUserID() : null
+                );
 
                 return api.sendMessage(
-                    `✅ Estimated time updated!\n\n⏱️ ETA: ${maintenanceManager.formatDuration(minutes * 60 * 1000)}`,
-                    threadID,
-                    messageID
+                    t(
+                        params.enabled
+                            ? "maintenance.command.announceOn"
+                            : "maintenance.command.announceOff"
+                    ),
+                    event.threadID,
+                    null,
+                    replyID(event)
                 );
-            }
+            },
+        },
 
-            case "reset": {
-                maintenanceManager.resetAllNotifications();
+        reason: {
+            description: "Change the maintenance reason",
+            args: [{ name: "reason", type: "rest", required: true }],
+            async execute({ api, event, params, t }) {
+                maintenanceManager.setReason(params.reason);
 
                 return api.sendMessage(
-                    `✅ Notification tracking reset!\n\nAll users will be notified again on next command attempt.`,
-                    threadID,
-                    messageID
+                    t("maintenance.command.reasonUpdated", { reason: params.reason }),
+                    event.threadID,
+                    replyID(event)
                 );
-            }
+            },
+        },
+
+        time: {
+            aliases: ["eta"],
+            description: "Set the estimated time",
+            args: [
+                {
+                    name: "duration",
+                    type: "duration",
+                    unit: "m",
+                    required: true,
+                    description: "Minutes, or e.g. 1h30m",
+                },
+            ],
+            async execute({ api, event, params, t }) {
+                const minutes = Math.ceil(params.duration / 60000);
+                maintenanceManager.setEstimatedTime(minutes);
 
-            default: {
-                const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
-                const commandName = this.config.name;
                 return api.sendMessage(
-                    `❌ Unknown action: ${action}\n\n` +
-                        `Valid actions: ${actualPrefix}${commandName} on, ${actualPrefix}${commandName} off, ${actualPrefix}${commandName} status, ${actualPrefix}${commandName} reason, ${actualPrefix}${commandName} time, ${actualPrefix}${commandName} reset`,
-                    threadID,
-                    messageID
+                    t("maintenance.command.etaUpdated", {
+                        time: maintenanceManager.formatDuration(minutes * 60 * 1000),
+                    }),
+                    event.threadID,
+                    replyID(event)
                 );
+            },
+        },
+
+        reset: {
+            description: "Notify every user again",
+            async execute({ api, event, t }) {
+                maintenanceManager.resetAllNotifications();
+
+                return api.sendMessage(
+                    t("maintenance.command.notificationsReset"),
+                    event.threadID,
+                    replyID(event)
+                );
+            },
+        },
+    },
+
+    async execute({ api, event, args, prefix, t }) {
+        const usedPrefix = prefix || "";
+
+        // Show status
+        const status = maintenanceManager.getStatus();
+
+        let response =
+            args.length > 0 ? t("maintenance.command.unknownAction", { action: args[0] }) : "";
+        response += t("maintenance.command.title");
+        response += t("maintenance.command.state", {
+            state: t(status.enabled ? "maintenance.command.on" : "maintenance.command.off"),
+        });
+
+        if (status.enabled) {
+            response += t("maintenance.command.reason", { reason: status.reason });
+            if (status.startedAt) {
+                response += t("maintenance.command.duration", { duration: status.duration });
+            }
+            if (status.estimatedEnd) {
+                const remaining = status.estimatedEnd.getTime() - Date.now();
+                if (remaining > 0) {
+                    response += t("maintenance.command.remaining", {
+                        time: maintenanceManager.formatDuration(remaining),
+                    });
+                }
             }
+            response += t("maintenance.command.notifiedUsers", { count: status.notifiedCount });
+        } else if (status.scope) {
+            response += t("maintenance.command.scoped", { scope: describeScope(status.scope, t) });
+        }
+        if (status.windows.length > 0) {
+            response += t("maintenance.command.windowsCount", { count: status.windows.length });
         }
+
+        response += t("maintenance.command.usage");
+        response += this.subcommands.list
+            .map((sub) => `• ${usedPrefix}${sub.config.usage}`)
+            .join("\n");
+
+        return api.sendMessage(response, event.threadID, null, replyID(event));
     },
 };
@@ -13,6 +13,8 @@
 
 "use strict";
 
+const { paginate } = require("../../../utils/paginator");
+
 /**
  * Fetches pending message requests
  * @param {Object} api - The API instance
@@ -56,12 +58,13 @@ async function getPendingRequests(api) {
 /**
  * Gets the display name for a thread
  * @param {Object} thread - Thread object
+ * @param {Function} t - Translator for the fallback names
  * @returns {string} Display name
  */
-function getThreadDisplayName(thread) {
+function getThreadDisplayName(thread, t) {
     // For groups, use threadName
     if (thread.isGroup) {
-        return thread.threadName || thread.name || "Unnamed Group";
+        return thread.threadName || thread.name || t("messagerequest.unnamedGroup");
     }
 
     // For DMs, get name from userInfo array (excludes bot's own ID)
@@ -81,34 +84,34 @@ function getThreadDisplayName(thread) {
     }
 
     // Last fallback
-    return thread.threadName || thread.name || "Unknown";
+    return thread.threadName || thread.name || t("common.unknown");
 }
 
 /**
  * Formats thread info for display
  * @param {Object} thread - Thread object
  * @param {number} index - Index number
+ * @param {Function} t - Translator for the labels
  * @returns {string} Formatted string
  */
-function formatThreadInfo(thread, index) {
-    const name = getThreadDisplayName(thread);
+function formatThreadInfo(thread, index, t) {
+    const name = getThreadDisplayName(thread, t);
     const id = thread.threadID;
     const isGroup = thread.isGroup;
 
-    const typeLabel = isGroup ? "Group" : "User";
+    const typeLabel = t(isGroup ? "messagerequest.type.group" : "messagerequest.type.user");
     const participants = thread.participantIDs ? thread.participantIDs.length : 0;
     const snippet = thread.snippet
         ? thread.snippet.substring(0, 25) + (thread.snippet.length > 25 ? "..." : "")
-        : "No message";
+        : t("messagerequest.noMessage");
 
-    let info = `${index}. **${name}** (${typeLabel})\n`;
-    info += `   ID: ${id}`;
+    let info = t("messagerequest.entry", { index, name, type: typeLabel, id });
 
     if (isGroup) {
-        info += ` | ${participants} members`;
+        info += t("messagerequest.members", { count: participants });
     }
 
-    info += ` | "${snippet}"`;
+    info += t("messagerequest.snippet", { snippet });
 
     return info;
 }
@@ -131,11 +134,13 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, config }) {
+    async execute(context) {
+        const { api, event, args, config, awaitReply, t } = context;
         const threadID = event.threadID;
         const messageID = event.messageID;
         const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
         const commandName = this.config.name;
+        const command = `${actualPrefix}${commandName}`;
 
         // If no arguments, show list of pending message requests
         if (!args[0]) {
@@ -143,26 +148,29 @@ module.exports = {
                 const pendingRequests = await getPendingRequests(api);
 
                 if (pendingRequests.length === 0) {
-                    return api.sendMessage(
-                        `📭 No pending message requests!\n\n` +
-                            `All caught up! There are no message requests waiting for approval.`,
-                        threadID,
-                        messageID
-                    );
+                    return api.sendMessage(t("messagerequest.empty"), threadID, messageID);
                 }
 
-                let response = `📬 **Pending Message Requests** (${pendingRequests.length})\n\n`;
+                let response =
+                    t("messagerequest.title", { count: pendingRequests.length }) + "\n\n";
 
                 pendingRequests.forEach((thread, index) => {
-                    response += formatThreadInfo(thread, index + 1) + "\n\n";
+                    response += formatThreadInfo(thread, index + 1, t) + "\n\n";
                 });
 
-                response += `📖 **Usage:** ${actualPrefix}${commandName} <accept/decline/list> <number/all>`;
+                response += t("messagerequest.usage", { command });
+
+                const listMessage = await api.sendMessage(response, threadID, null, messageID);
 
-                return api.sendMessage(response, threadID, null, messageID);
+                // Let the admin pick straight from the list
+                const reply = await awaitReply(listMessage);
+                const replyArgs = (reply?.body || "").trim().split(/\s+/).filter(Boolean);
+                if (replyArgs.length === 0) return;
+
+                return this.execute({ ...context, event: reply, args: replyArgs });
             } catch (error) {
                 return api.sendMessage(
-                    `❌ Failed to fetch message requests!\n\n` + `Error: ${error.message || error}`,
+                    t("messagerequest.fetchFailed", { error: error.message || error }),
                     threadID,
                     messageID
                 );
@@ -177,19 +185,24 @@ module.exports = {
                 const pendingRequests = await getPendingRequests(api);
 
                 if (pendingRequests.length === 0) {
-                    return api.sendMessage(`📭 No pending message requests!`, threadID, null, messageID);
+                    return api.sendMessage(
+                        t("messagerequest.emptyShort"),
+                        threadID,
+                        null,
+                        messageID
+                    );
                 }
 
-                let response = `📬 **Pending Message Requests** (${pendingRequests.length})\n\n`;
-
-                pendingRequests.forEach((thread, index) => {
-                    response += formatThreadInfo(thread, index + 1) + "\n\n";
+                return paginate(context, {
+                    title: t("messagerequest.title", { count: pendingRequests.length }),
+                    items: pendingRequests,
+                    perPage: 5,
+                    separator: "\n\n",
+                    render: (thread, index) => formatThreadInfo(thread, index + 1, t),
                 });
-
-                return api.sendMessage(response, threadID, null, messageID);
             } catch (error) {
                 return api.sendMessage(
-                    `❌ Failed to fetch message requests!\n\n` + `Error: ${error.message || error}`,
+                    t("messagerequest.fetchFailed", { error: error.message || error }),
                     threadID,
                     messageID
                 );
@@ -199,12 +212,7 @@ module.exports = {
         // Validate action
         if (!["accept", "decline", "a", "d", "list", "l"].includes(action)) {
             return api.sendMessage(
-                `❌ Invalid action: "${action}"\n\n` +
-                    `Valid actions:\n` +
-                    `• (no args) - Show pending requests\n` +
-                    `• ${actualPrefix}${commandName} list (or l) - Show pending requests\n` +
-                    `• ${actualPrefix}${commandName} accept (or a) - Accept message request\n` +
-                    `• ${actualPrefix}${commandName} decline (or d) - Decline message request`,
+                t("messagerequest.invalidAction", { action, command }),
                 threadID
             );
         }
@@ -218,13 +226,18 @@ module.exports = {
             pendingRequests = await getPendingRequests(api);
         } catch (error) {
             return api.sendMessage(
-                `❌ Failed to fetch pending requests!\n\n` + `Error: ${error.message || error}`,
+                t("messagerequest.fetchPendingFailed", { error: error.message || error }),
                 threadID
             );
         }
 
         if (pendingRequests.length === 0) {
-            return api.sendMessage(`📭 No pending message requests to ${action}!`, threadID, null, messageID);
+            return api.sendMessage(
+                t("messagerequest.nothingTo", { action }),
+                threadID,
+                null,
+                messageID
+            );
         }
 
         let targetThreadIDs = [];
@@ -232,22 +245,10 @@ module.exports = {
 
         // Handle "accept all" or "decline all"
         if (targetArgs.length === 1 && targetArgs[0].toLowerCase() === "all") {
-            targetThreadIDs = pendingRequests.map((t) => t.threadID);
-            selectedNames = pendingRequests.map((t) => getThreadDisplayName(t));
+            targetThreadIDs = pendingRequests.map((thread) => thread.threadID);
+            selectedNames = pendingRequests.map((thread) => getThreadDisplayName(thread, t));
         } else if (targetArgs.length === 0) {
-            return api.sendMessage(
-                `❌ Please provide at least one number!\n\n` +
-                    `Usage:
-` +
-                    `• ${actualPrefix}${commandName} ${action} 1 - Single
-` +
-                    `• ${actualPrefix}${commandName} ${action} 1,2,3 - Multiple
-` +
-                    `• ${actualPrefix}${commandName} ${action} 1 2 3 - Multiple
-` +
-                    `• ${actualPrefix}${commandName} ${action} all - All requests`,
-                threadID
-            );
+            return api.sendMessage(t("messagerequest.noNumbers", { action, command }), threadID);
         } else {
             // Parse numbers - support both "1,2,3" and "1 2 3" formats
             const numbers = targetArgs
@@ -259,20 +260,18 @@ module.exports = {
                 .filter((n) => !isNaN(n));
 
             if (numbers.length === 0) {
-                return api.sendMessage(
-                    `❌ Invalid numbers provided!\n\n` +
-                        `Use list numbers like: msgreq ${action} 1,2,3`,
-                    threadID
-                );
+                return api.sendMessage(t("messagerequest.invalidNumbers", { action }), threadID);
             }
 
             // Validate numbers are in range
             const invalidNumbers = numbers.filter((n) => n < 1 || n > pendingRequests.length);
             if (invalidNumbers.length > 0) {
                 return api.sendMessage(
-                    `❌ Invalid number(s): ${invalidNumbers.join(", ")}\n\n` +
-                        `Valid range: 1 to ${pendingRequests.length}\n` +
-                        `Use "${actualPrefix}${commandName}" to see the list.`,
+                    t("messagerequest.outOfRange", {
+                        numbers: invalidNumbers.join(", "),
+                        max: pendingRequests.length,
+                        command,
+                    }),
                     threadID
                 );
             }
@@ -282,29 +281,24 @@ module.exports = {
             for (const num of uniqueNumbers) {
                 const thread = pendingRequests[num - 1];
                 targetThreadIDs.push(thread.threadID);
-                selectedNames.push(getThreadDisplayName(thread));
+                selectedNames.push(getThreadDisplayName(thread, t));
             }
         }
 
         // Determine if accepting or declining
         const isAccept = ["accept", "a"].includes(action);
-        const actionText = isAccept ? "Accepting" : "Declining";
-        const actionPast = isAccept ? "accepted" : "declined";
-        const emoji = isAccept ? "✅" : "🚫";
+        const outcome = isAccept ? "accept" : "decline";
 
         // Send processing message
         await api.sendMessage(
-            `⏳ ${actionText} ${targetThreadIDs.length} message request(s)...`,
+            t(`messagerequest.${outcome}.progress`, { count: targetThreadIDs.length }),
             threadID
         );
 
         try {
             // Check if handleMessageRequest exists
             if (!api.handleMessageRequest) {
-                return api.sendMessage(
-                    `❌ Message request handling is not available in this API version.`,
-                    threadID
-                );
+                return api.sendMessage(t("messagerequest.unsupported"), threadID);
             }
 
             // Handle the message requests
@@ -312,11 +306,7 @@ module.exports = {
 
             // Send welcome message to accepted threads
             if (isAccept) {
-                const welcomeMessage =
-                    `👋 Hello!\n\n` +
-                    `✅ Your message request has been accepted.\n` +
-                    `You can now chat with me freely!\n\n` +
-                    `Type "help" to see available commands.`;
+                const welcomeMessage = t("messagerequest.welcome");
 
                 for (const acceptedThreadID of targetThreadIDs) {
                     try {
@@ -328,24 +318,25 @@ module.exports = {
             }
 
             // Build success message
-            let response = `${emoji} Successfully ${actionPast} ${targetThreadIDs.length} message request(s)!\n\n`;
-            response += `📋 Threads:\n`;
+            let response = t(`messagerequest.${outcome}.success`, {
+                count: targetThreadIDs.length,
+            });
+            response += t("messagerequest.threads");
             selectedNames.slice(0, 10).forEach((name, index) => {
                 response += `  ${index + 1}. ${name}\n`;
             });
             if (selectedNames.length > 10) {
-                response += `  ... and ${selectedNames.length - 10} more`;
+                response += t("messagerequest.more", { count: selectedNames.length - 10 });
             }
 
             if (isAccept) {
-                response += `\n\n📨 Welcome messages sent to accepted threads!`;
+                response += t("messagerequest.welcomeSent");
             }
 
             await api.sendMessage(response, threadID, null, messageID);
         } catch (error) {
             await api.sendMessage(
-                `❌ Failed to ${action} message request(s)!\n\n` +
-                    `Error: ${error.message || error}`,
+                t("messagerequest.failed", { action, error: error.message || error }),
                 threadID,
                 null,
                 messageID
@@ -0,0 +1,296 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                          MODERATION COMMAND                                   ║
+ * ║        Escalation ladder, filters and moderation log for this group           ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *  • moderation                          -> Settings for this group (alias: status)
+ *  • moderation ladder 3:mute:1h 5:kick  -> Escalation steps ("none" = warnings only)
+ *  • moderation words <add|remove|clear> [words...]
+ *  • moderation links <on|off>           -> Warn for links
+ *  • moderation flood <count> [seconds]  -> Warn for repeated identical messages (0 = off)
+ *  • moderation reset [setting]          -> Back to the bot-wide defaults
+ *  • moderation log [count]              -> Recent warnings, mutes and kicks (moderators)
+ *  • moderation unmute @user             -> Lift a command mute early (moderators)
+ *
+ * Defaults come from settings.moderation. Turn the automatic filters off for a
+ * group with `threadconfig disable event moderation`.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const moderation = require("../../../utils/moderation");
+const threadConfig = require("../../../utils/threadConfig");
+const { ValidationError } = require("../../../utils/errors");
+
+/** Icon for each moderation log action */
+const LOG_ICONS = {
+    warn: "⚠️",
+    mute: "🔇",
+    unmute: "🔊",
+    kick: "👢",
+    kickFailed: "❌",
+    pardon: "✅",
+};
+
+/**
+ * Replies with a settings change, or the validation errors
+ * @param {Object} api - Nero API
+ * @param {Object} event - Message event
+ * @param {function(): string} change - Applies the change and returns the reply
+ */
+function reply(api, event, change) {
+    let msg;
+    try {
+        msg = change();
+    } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        msg = `❌ ${Object.values(error.fields).join("\n")}`;
+    }
+    return api.sendMessage(msg, event.threadID, null, event.messageID);
+}
+
+/**
+ * Replies with the group's moderation settings
+ * @param {Object} context - Command context
+ */
+async function showStatus({ api, event, t }) {
+    const { threadID, messageID } = event;
+    const options = moderation.getSettings(threadID);
+    const changed = Object.keys(moderation.getOverrides(threadID));
+    const mark = (key) => (changed.includes(key) ? " *" : "");
+    const filters = threadConfig.isEventEnabled(threadID, "moderation", true);
+
+    let msg = t("moderation.command.title");
+    msg += t("moderation.command.ladder", {
+        mark: mark("ladder"),
+        ladder: moderation.describeLadder(options.ladder),
+    });
+    msg += t("moderation.command.filters", {
+        state: t(filters ? "moderation.command.on" : "moderation.command.off"),
+    });
+    msg += t("moderation.command.words", {
+        mark: mark("words"),
+        words: options.words.length > 0 ? options.words.join(", ") : t("moderation.command.none"),
+    });
+    msg += t("moderation.command.links", {
+        mark: mark("links"),
+        state: t(options.links ? "moderation.command.warn" : "moderation.command.allowed"),
+    });
+    msg += t("moderation.command.flood", {
+        mark: mark("flood") || mark("floodSeconds"),
+        state:
+            options.flood > 0
+                ? t("moderation.command.floodRule", {
+                      count: options.flood,
+                      seconds: options.floodSeconds,
+                  })
+                : t("moderation.command.floodOff"),
+    });
+    msg += t("moderation.command.expiry", { days: options.warningExpiryDays });
+    msg += t("moderation.command.counts", {
+        warned: moderation.listWarned(threadID).length,
+        muted: moderation.listMutes(threadID).length,
+    });
+    if (changed.length > 0) msg += t("moderation.command.changed");
+
+    return api.sendMessage(msg, threadID, null, messageID);
+}
+
+module.exports = {
+    config: {
+        name: "moderation",
+        aliases: ["mod", "automod"],
+        description: "Escalation ladder, filters and log for this group",
+        usage: "moderation [ladder|words|links|flood|reset|log|unmute]",
+        category: "user",
+        cooldown: 3,
+        permissions: "moderation.config", // Group admins and bot admins
+        enabled: true,
+        dmOnly: false,
+        groupOnly: true,
+    },
+
+    subcommands: {
+        status: {
+            aliases: ["-s", "settings"],
+            description: "Settings for this group",
+            permissions: "moderation.use",
+            execute: showStatus,
+        },
+
+        ladder: {
+            aliases: ["escalation"],
+            description: "Set the escalation steps",
+            args: [
+                {
+                    name: "steps",
+                    type: "rest",
+                    required: true,
+                    description: "e.g. 3:mute:1h 5:kick, or none",
+                },
+            ],
+            async execute({ api, event, params, t }) {
+                return reply(api, event, () => {
+                    const ladder = moderation.setSetting(
+                        event.threadID,
+                        "ladder",
+                        moderation.parseLadder(params.steps)
+                    );
+                    return t("moderation.command.ladderSet", {
+                        ladder: moderation.describeLadder(ladder),
+                    });
+                });
+            },
+        },
+
+        words: {
+            aliases: ["filter", "word"],
+            description: "Change the blocked words",
+            args: [
+                {
+                    name: "action",
+                    type: "enum",
+                    values: ["add", "remove", "clear"],
+                    required: true,
+                },
+                { name: "words", type: "rest", description: "Words or phrases, comma-separated" },
+            ],
+            async execute({ api, event, params, t }) {
+                const { threadID } = event;
+                const words = (params.words || "")
+                    .split(",")
+                    .map((word) => word.trim().toLowerCase())
+                    .filter(Boolean);
+
+                if (params.action !== "clear" && words.length === 0) {
+                    return api.sendMessage(
+                        t("moderation.command.wordsUsage"),
+                        threadID,
+                        null,
+                        event.messageID
+                    );
+                }
+
+                const current = moderation.getSettings(threadID).words;
+                const next = {
+                    add: () => [...current, ...words],
+                    remove: () => current.filter((word) => !words.includes(word)),
+                    clear: () => [],
+                }[params.action]();
+
+                return reply(api, event, () => {
+                    const saved = moderation.setSetting(threadID, "words", next);
+                    return t("moderation.command.wordsSet", {
+                        words: saved.length > 0 ? saved.join(", ") : t("moderation.command.none"),
+                    });
+                });
+            },
+        },
+
+        links: {
+            aliases: ["link"],
+            description: "Warn for links",
+            args: [{ name: "enabled", type: "boolean", required: true }],
+            async execute({ api, event, params, t }) {
+                return reply(api, event, () =>
+                    t(
+                        moderation.setSetting(event.threadID, "links", params.enabled)
+                            ? "moderation.command.linksWarn"
+                            : "moderation.command.linksAllowed"
+                    )
+                );
+            },
+        },
+
+        flood: {
+            aliases: ["spam"],
+            description: "Warn for repeated identical messages",
+            args: [
+                { name: "count", type: "integer", min: 0, max: 100, required: true },
+                { name: "seconds", type: "integer", min: 1, max: 100 },
+            ],
+            async execute({ api, event, params, t }) {
+                const { threadID } = event;
+                return reply(api, event, () => {
+                    moderation.setSetting(threadID, "flood", params.count);
+                    if (params.seconds) {
+                        moderation.setSetting(threadID, "floodSeconds", params.seconds);
+                    }
+                    const { flood, floodSeconds } = moderation.getSettings(threadID);
+                    return flood > 0
+                        ? t("moderation.command.floodSet", { count: flood, seconds: floodSeconds })
+                        : t("moderation.command.floodDisabled");
+                });
+            },
+        },
+
+        reset: {
+            aliases: ["default"],
+            description: "Go back to the bot-wide defaults",
+            args: [{ name: "setting", type: "string", description: "One setting (default: all)" }],
+            async execute({ api, event, params, t }) {
+                const reset = moderation.resetSettings(event.threadID, params.setting);
+                const message = params.setting
+                    ? t("moderation.command.resetOne", { setting: params.setting })
+                    : t("moderation.command.resetAll");
+                return api.sendMessage(
+                    reset ? message : t("moderation.command.nothingToReset"),
+                    event.threadID,
+                    null,
+                    event.messageID
+                );
+            },
+        },
+
+        log: {
+            aliases: ["logs", "history"],
+            description: "Recent moderation actions",
+            permissions: "moderation.use",
+            args: [{ name: "count", type: "integer", min: 1, max: 50, default: 10 }],
+            async execute({ api, event, params, t }) {
+                const entries = moderation.getLog(event.threadID, params.count);
+
+                let msg = t("moderation.command.logTitle");
+                if (entries.length === 0) msg += t("moderation.command.logEmpty");
+                for (const entry of entries) {
+                    const by = entry.by === "auto" ? t("moderation.command.auto") : entry.by || "?";
+                    msg += `\n${LOG_ICONS[entry.action] || "•"} ${entry.action} ${entry.userID}`;
+                    if (entry.duration) msg += ` (${entry.duration})`;
+                    msg += t("moderation.command.logBy", {
+                        by,
+                        time: new Date(entry.at).toLocaleString(),
+                    });
+                    if (entry.reason) msg += `\n   ${entry.reason}`;
+                    if (entry.error) msg += `\n   ${entry.error}`;
+                }
+
+                return api.sendMessage(msg, event.threadID, null, event.messageID);
+            },
+        },
+
+        unmute: {
+            aliases: ["lift"],
+            description: "Lift a command mute early",
+            permissions: "moderation.use",
+            args: [{ name: "target", type: "user", required: true, description: "Mention or ID" }],
+            async execute({ api, event, params, t }) {
+                const unmuted = moderation.unmute(event.threadID, params.target, {
+                    by: event.senderID,
+                });
+                return api.sendMessage(
+                    t(unmuted ? "moderation.command.unmuted" : "moderation.command.notMuted"),
+                    event.threadID,
+                    null,
+                    event.messageID
+                );
+            },
+        },
+    },
+
+    execute: showStatus,
+};
@@ -30,7 +30,7 @@ module.exports = {
         groupOnly: true,
     },
 
-    async execute({ api, event, args, config, logger, _prefix }) {
+    async execute({ api, event, args, config, logger, _prefix, t }) {
         const { threadID, messageID } = event;
         // The original `prefix` variable is now `_prefix` as per the instruction.
         // If `_prefix` is passed directly, we use it. Otherwise, fall back to config.
@@ -43,12 +43,12 @@ module.exports = {
                 // Currently muted -> Unmute
                 config.unblockThread(threadID);
                 logger.info("Mute Command", `Unmuted thread ${threadID}`);
-                return api.sendMessage("🔔 Bot unmuted! Everyone can use commands now.", threadID, null, messageID);
+                return api.sendMessage(t("mute.unmuted"), threadID, null, messageID);
             } else {
                 // Currently unmuted -> Mute
                 config.blockThread(threadID);
                 logger.info("Mute Command", `Muted thread ${threadID}`);
-                return api.sendMessage("🔕 Bot muted! Only Admins can use commands now.", threadID, null, messageID);
+                return api.sendMessage(t("mute.muted"), threadID, null, messageID);
             }
         }
 
@@ -59,15 +59,15 @@ module.exports = {
         // ═══════════════════════════════════════════════════════════════════
         if (action === "-a" || action === "on" || action === "activate") {
             if (config.isThreadBlocked(threadID)) {
-                return api.sendMessage("⚠️ The bot is already muted in this group.", threadID, null, messageID);
+                return api.sendMessage(t("mute.alreadyMuted"), threadID, null, messageID);
             }
 
             const success = config.blockThread(threadID);
             if (success) {
                 logger.info("Mute Command", `Muted thread ${threadID}`);
-                return api.sendMessage("🔕 Bot muted! Only Admins can use commands now.", threadID, null, messageID);
+                return api.sendMessage(t("mute.muted"), threadID, null, messageID);
             } else {
-                return api.sendMessage("❌ Failed to mute the bot.", threadID, null, messageID);
+                return api.sendMessage(t("mute.muteFailed"), threadID, null, messageID);
             }
         }
 
@@ -76,15 +76,15 @@ module.exports = {
         // ═══════════════════════════════════════════════════════════════════
         else if (action === "-d" || action === "off" || action === "deactivate") {
             if (!config.isThreadBlocked(threadID)) {
-                return api.sendMessage("⚠️ The bot is not muted in this group.", threadID, null, messageID);
+                return api.sendMessage(t("mute.notMuted"), threadID, null, messageID);
             }
 
             const success = config.unblockThread(threadID);
             if (success) {
                 logger.info("Mute Command", `Unmuted thread ${threadID}`);
-                return api.sendMessage("🔔 Bot unmuted! Everyone can use commands now.", threadID, null, messageID);
+                return api.sendMessage(t("mute.unmuted"), threadID, null, messageID);
             } else {
-                return api.sendMessage("❌ Failed to unmute the bot.", threadID, null, messageID);
+                return api.sendMessage(t("mute.unmuteFailed"), threadID, null, messageID);
             }
         }
 
@@ -98,23 +98,22 @@ module.exports = {
             const blockedThreads = config.bot.blockedThreads || [];
 
             if (blockedThreads.length === 0) {
-                return api.sendMessage("📝 No groups are currently muted.", threadID, null, messageID);
+                return api.sendMessage(t("mute.noneMuted"), threadID, null, messageID);
             }
 
-            let msg = "🔕 **Muted Groups** 🔕\n\n";
+            let msg = `${t("mute.listTitle")}\n\n`;
 
             // Limit list to avoid huge messages if many threads blocked
             const limit = 20;
             const displayList = blockedThreads.slice(0, limit);
 
             displayList.forEach((id, index) => {
-                const marker = id === threadID ? " (Current)" : "";
+                const marker = id === threadID ? ` ${t("mute.current")}` : "";
                 msg += `${index + 1}. ${id}${marker}\n`;
             });
 
             if (blockedThreads.length > limit) {
-                msg += `
-...and ${blockedThreads.length - limit} more.`;
+                msg += `\n${t("mute.more", { count: blockedThreads.length - limit })}`;
             }
 
             return api.sendMessage(msg, threadID, null, messageID);
@@ -128,12 +127,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                `❌ Invalid usage!\n\n` +
-                    `Usage:\n` +
-                    `• ${actualPrefix}${commandName} -a : Activate mute (Silence bot)\n` +
-                    `• ${actualPrefix}${commandName} -d : Deactivate mute (Bot speaks)\n` +
-                    `• ${actualPrefix}${commandName} -l : List muted groups\n` +
-                    `• ${actualPrefix}${commandName}    : Toggle status`,
+                t("mute.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
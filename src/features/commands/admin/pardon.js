@@ -0,0 +1,76 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                             PARDON COMMAND                                    ║
+ * ║                 Remove warnings from a member of this group                   ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *  • pardon @user          -> Remove their latest warning
+ *  • pardon @user <number> -> Remove warning #number (see `warnings @user`)
+ *  • pardon @user all      -> Remove every warning and lift a command mute
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const moderation = require("../../../utils/moderation");
+
+module.exports = {
+    config: {
+        name: "pardon",
+        aliases: ["unwarn", "forgive"],
+        description: "Remove warnings from a member",
+        category: "user",
+        cooldown: 3,
+        permissions: "moderation.use", // Moderators, group admins and bot admins
+        enabled: true,
+        dmOnly: false,
+        groupOnly: true,
+        args: [
+            { name: "target", type: "user", required: true, description: "Mention, reply or ID" },
+            {
+                name: "warning",
+                type: "string",
+                description: "Warning number or all (default: latest)",
+            },
+        ],
+    },
+
+    /**
+     * Command execution function
+     * @param {Object} context - Command context
+     */
+    async execute({ api, event, params, t }) {
+        const { threadID, messageID, senderID } = event;
+        const targetID = params.target;
+        const which = (params.warning || "").toLowerCase();
+
+        let id;
+        if (which === "all") {
+            id = "all";
+        } else if (which) {
+            id = Number(which.replace(/^#/, ""));
+            if (!Number.isInteger(id)) {
+                return api.sendMessage(t("pardon.invalid"), threadID, null, messageID);
+            }
+        }
+
+        const { removed, unmuted } = moderation.pardon(threadID, targetID, { id, by: senderID });
+        const name = await moderation.getName(api, event, targetID);
+
+        if (removed === 0 && !unmuted) {
+            const msg =
+                id && id !== "all"
+                    ? t("pardon.notFound", { id, name })
+                    : t("pardon.none", { name });
+            return api.sendMessage(msg, threadID, null, messageID);
+        }
+
+        const left = moderation.getWarnings(threadID, targetID).length;
+        let msg = t("pardon.removed", { count: removed, name, left });
+        if (unmuted) msg += `\n${t("pardon.unmuted")}`;
+        return api.sendMessage(msg, threadID, null, messageID);
+    },
+};
@@ -115,8 +115,9 @@ module.exports = {
      * @param {Object} context.event - Event object
      * @param {Array} context.args - Command arguments
      * @param {Object} context.logger - Logger utility
+     * @param {Function} context.t - Translator for the reply
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const messageReply = event.messageReply;
@@ -126,14 +127,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                "📝 **Post Command**\n\n" +
-                    "Create a post on the bot's Facebook timeline.\n\n" +
-                    "**Usage:**\n" +
-                    `• \`${actualPrefix}${commandName} <message>\` - Text post\n` +
-                    `• \`${actualPrefix}${commandName} <message>\` (reply to image) - Post with image\n\n` +
-                    "**Examples:**\n" +
-                    `• \`${actualPrefix}${commandName} Hello world!\`\n` +
-                    `• Reply to a photo with \`${actualPrefix}${commandName} My vacation photo\``,
+                t("post.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
@@ -141,12 +135,7 @@ module.exports = {
 
         // Check if createPost API exists
         if (!api.createPost) {
-            return api.sendMessage(
-                "❌ Post API not available.\n\n" +
-                    "The bot needs to be restarted to load the new API.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("post.unavailable"), threadID, messageID);
         }
 
         // Get message content
@@ -160,7 +149,7 @@ module.exports = {
             if (imageUrls.length > 0) {
                 // Send "uploading" status
                 const statusMsg = await api.sendMessage(
-                    `📤 Downloading ${imageUrls.length} image(s)...`,
+                    t("post.downloading", { count: imageUrls.length }),
                     threadID
                 );
 
@@ -181,7 +170,7 @@ module.exports = {
                 } catch (error) {
                     logger?.error?.("Post", `Failed to download image: ${error.message}`);
                     return api.sendMessage(
-                        `❌ Failed to download image: ${error.message}`,
+                        t("post.downloadFailed", { error: error.message }),
                         threadID,
                         messageID
                     );
@@ -191,15 +180,11 @@ module.exports = {
 
         // Require message or image
         if (!postMessage && imageStreams.length === 0) {
-            return api.sendMessage(
-                "❌ Please provide a message or reply to an image.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("post.empty"), threadID, messageID);
         }
 
         // Send "posting" status
-        const postingMsg = await api.sendMessage(`📝 Creating post...`, threadID);
+        const postingMsg = await api.sendMessage(t("post.creating"), threadID);
 
         try {
             // Create the post
@@ -221,12 +206,14 @@ module.exports = {
 
             logger?.success?.("Post", `Created post: ${result.postID || "success"}`);
 
-            let successMessage = `✅ **Post Created Successfully!**\n\n`;
+            let successMessage = t("post.created");
             if (postMessage) {
-                successMessage += `📝 Message: "${postMessage.substring(0, 50)}${postMessage.length > 50 ? "..." : ""}"\n`;
+                successMessage += t("post.message", {
+                    message: postMessage.substring(0, 50) + (postMessage.length > 50 ? "..." : ""),
+                });
             }
             if (imageStreams.length > 0) {
-                successMessage += `📷 Images: ${imageStreams.length}\n`;
+                successMessage += t("post.images", { count: imageStreams.length });
             }
             if (result.url) {
                 successMessage += `\n🔗 ${result.url}`;
@@ -246,7 +233,7 @@ module.exports = {
             logger?.error?.("Post", `Failed to create post: ${error.message}`);
 
             return api.sendMessage(
-                `❌ Failed to create post!\n\n` + `Error: ${error.message || "Unknown error"}`,
+                t("post.failed", { error: error.message || t("common.unknownError") }),
                 threadID,
                 null,
                 messageID
@@ -31,7 +31,7 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, config, logger, commandHandler }) {
+    async execute({ api, event, args, config, logger, commandHandler, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID ? String(event.messageID) : null;
         const eventHandler = require("../../../handlers/eventHandler");
@@ -43,15 +43,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                "❌ Please specify what to reload.\n\n" +
-                    "Usage:\n" +
-                    `• ${actualPrefix}${commandName} all\n` +
-                    `• ${actualPrefix}${commandName} <name>\n\n` +
-                    "Examples:\n" +
-                    `• ${actualPrefix}${commandName} all\n` +
-                    `• ${actualPrefix}${commandName} help\n` +
-                    `• ${actualPrefix}${commandName} shell.js\n` +
-                    `• ${actualPrefix}${commandName} welcome`,
+                t("reload.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
@@ -67,16 +59,14 @@ module.exports = {
 
                 logger.success("Reload", `All handlers reloaded by ${event.senderID}`);
                 return api.sendMessage(
-                    `✅ Reloaded all handlers!\n\n` +
-                        `📦 Commands: ${cmdCount}\n` +
-                        `📡 Events: ${evtCount}`,
+                    t("reload.all", { commands: cmdCount, events: evtCount }),
                     threadID,
                     messageID
                 );
             } catch (error) {
                 logger.error("Reload", `Failed to reload all: ${error.message}`);
                 return api.sendMessage(
-                    `❌ Failed to reload: ${error.message}`,
+                    t("reload.allFailed", { error: error.message }),
                     threadID,
                     messageID
                 );
@@ -93,10 +83,10 @@ module.exports = {
 
             if (success) {
                 logger.success("Reload", `Command "${name}" reloaded by ${event.senderID}`);
-                return api.sendMessage(`✅ Command "${name}" reloaded!`, threadID, null, messageID);
+                return api.sendMessage(t("reload.command", { name }), threadID, null, messageID);
             } else {
                 return api.sendMessage(
-                    `❌ Failed to reload command "${name}".`,
+                    t("reload.commandFailed", { name }),
                     threadID,
                     null,
                     messageID
@@ -110,9 +100,14 @@ module.exports = {
 
             if (success) {
                 logger.success("Reload", `Event "${name}" reloaded by ${event.senderID}`);
-                return api.sendMessage(`✅ Event "${name}" reloaded!`, threadID, null, messageID);
+                return api.sendMessage(t("reload.event", { name }), threadID, null, messageID);
             } else {
-                return api.sendMessage(`❌ Failed to reload event "${name}".`, threadID, null, messageID);
+                return api.sendMessage(
+                    t("reload.eventFailed", { name }),
+                    threadID,
+                    null,
+                    messageID
+                );
             }
         }
 
@@ -137,7 +132,7 @@ module.exports = {
                 const cmdCount = await commandHandler.init();
                 logger.success("Reload", `New command "${name}" loaded by ${event.senderID}`);
                 return api.sendMessage(
-                    `✅ New command "${name}" loaded!\n\n📦 Total commands: ${cmdCount}`,
+                    t("reload.newCommand", { name, count: cmdCount }),
                     threadID,
                     messageID
                 );
@@ -164,7 +159,7 @@ module.exports = {
                     const success = await eventHandler.reloadEvent(actualName);
                     if (success) {
                         return api.sendMessage(
-                            `✅ Event "${actualName}" reloaded!`,
+                            t("reload.event", { name: actualName }),
                             threadID,
                             messageID
                         );
@@ -178,7 +173,7 @@ module.exports = {
                     `New/Updated event "${match}" loaded by ${event.senderID}`
                 );
                 return api.sendMessage(
-                    `✅ Event "${match}" loaded!\n\n📡 Total events: ${evtCount}`,
+                    t("reload.newEvent", { name: match, count: evtCount }),
                     threadID,
                     messageID
                 );
@@ -186,6 +181,6 @@ module.exports = {
         }
 
         // Not found anywhere
-        return api.sendMessage(`❌ "${name}" not found as command or event.`, threadID, null, messageID);
+        return api.sendMessage(t("reload.notFound", { name }), threadID, null, messageID);
     },
 };
@@ -31,18 +31,14 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, logger }) {
+    async execute({ api, event, logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
 
         logger.warn("Restart", `Bot restart initiated by ${event.senderID}`);
 
         // Send confirmation message
-        await api.sendMessage(
-            "🔄 Restarting bot...\n\n" + "The bot will be back online shortly.",
-            threadID,
-            messageID
-        );
+        await api.sendMessage(t("restart.restarting"), threadID, messageID);
 
         // Log the restart
         logger.info("Restart", "Shutting down for restart...");
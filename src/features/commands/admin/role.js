@@ -0,0 +1,154 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                              ROLE COMMAND                                     ║
+ * ║             Grant and revoke permission roles globally or per thread          ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *  • role                                   -> Show your roles in this thread
+ *  • role list                              -> List roles and their nodes
+ *  • role info [@user|reply|ID]             -> Show a user's roles in this thread
+ *  • role grant <role> <@user|reply|ID> [global]
+ *  • role revoke <role> <@user|reply|ID> [global]
+ *
+ * Grants are scoped to the current thread unless "global" is given.
+ * Global grants need `role.manage` (bot admins). Group admins hold `role.thread`
+ * and may grant roles in their own thread, but only roles they fully hold.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const permissions = require("../../../utils/permissions");
+
+/**
+ * Resolves the user a command targets (reply > mention > raw ID)
+ * @param {Object} event - Message event
+ * @param {string|undefined} arg - Argument that may hold a user ID
+ * @returns {string|null}
+ */
+function resolveTarget(event, arg) {
+    if (event.messageReply) return event.messageReply.senderID;
+
+    const mentioned = Object.keys(event.mentions || {});
+    if (mentioned.length > 0) return mentioned[0];
+
+    return arg && /^\d+$/.test(arg) ? arg : null;
+}
+
+module.exports = {
+    config: {
+        name: "role",
+        aliases: ["roles"],
+        description: "Grant or revoke permission roles",
+        usage: "role [list|info [@user]|grant|revoke <role> <@user|reply|ID> [global]]",
+        category: "admin",
+        cooldown: 3,
+        permissions: "user", // Grant/revoke checks are done per action
+        enabled: true,
+        dmOnly: false,
+        groupOnly: false,
+    },
+
+    async execute({ api, event, args, prefix, t }) {
+        const { threadID, messageID, senderID } = event;
+        const usedPrefix = prefix || "";
+        const commandName = this.config.name;
+        const action = (args[0] || "").toLowerCase();
+        const scope = { threadID, api };
+
+        const usage = t("role.usage", { prefix: usedPrefix, command: commandName });
+
+        // List role definitions
+        if (action === "list") {
+            let msg = `${t("role.listTitle")}\n\n`;
+            for (const [name, role] of Object.entries(permissions.roles)) {
+                const nodes = permissions.getRoleNodes(name);
+                msg += `• ${name} - ${role.description || t("role.noDescription")}\n`;
+                msg += `  ${nodes.length > 0 ? nodes.join(", ") : t("role.noNodes")}\n`;
+            }
+            const assignable = permissions.getAssignableRoles().join(", ") || t("role.none");
+            msg += `\n${t("role.assignable", { roles: assignable })}`;
+            return api.sendMessage(msg, threadID, messageID);
+        }
+
+        // Show roles for self or a target
+        if (!action || action === "info" || action === "me") {
+            const targetID =
+                action === "info" ? resolveTarget(event, args[1]) || senderID : senderID;
+            const roles = await permissions.getUserRoles(targetID, scope);
+            const grants = permissions.getGrants(targetID);
+
+            let msg =
+                targetID === senderID ? t("role.infoSelf") : t("role.info", { name: targetID });
+            msg += `\n\n${t("role.inThread", { roles: roles.join(", ") })}\n`;
+            if (grants.global.length > 0) {
+                msg += `${t("role.global", { roles: grants.global.join(", ") })}\n`;
+            }
+            return api.sendMessage(msg, threadID, messageID);
+        }
+
+        if (action !== "grant" && action !== "revoke") {
+            return api.sendMessage(t("role.unknownAction", { action, usage }), threadID, messageID);
+        }
+
+        const roleName = args[1];
+        const isGlobal = args.slice(2).some((arg) => arg.toLowerCase() === "global");
+        const targetID = resolveTarget(event, args[2]);
+
+        if (!roleName || !targetID) {
+            return api.sendMessage(t("role.missing", { usage }), threadID, messageID);
+        }
+
+        if (!isGlobal && !event.isGroup) {
+            return api.sendMessage(t("role.groupOnly"), threadID, messageID);
+        }
+
+        // Check the sender may manage roles at this scope
+        const senderNodes = await permissions.getUserNodes(senderID, scope);
+        const canManage = senderNodes.some((node) => permissions.matchNode(node, "role.manage"));
+        const canManageThread =
+            canManage || senderNodes.some((node) => permissions.matchNode(node, "role.thread"));
+
+        if (isGlobal ? !canManage : !canManageThread) {
+            return api.sendMessage(t("role.noPermission"), threadID, messageID);
+        }
+
+        if (
+            !canManage &&
+            permissions.getRole(roleName) &&
+            !permissions.covers(senderNodes, roleName)
+        ) {
+            return api.sendMessage(
+                t(`role.notHeld.${action}`, { role: roleName }),
+                threadID,
+                messageID
+            );
+        }
+
+        const where = t(isGlobal ? "role.where.global" : "role.where.thread");
+        const vars = { role: roleName, user: targetID, where };
+
+        try {
+            if (action === "grant") {
+                const granted = permissions.grant(targetID, roleName, isGlobal ? null : threadID);
+                return api.sendMessage(
+                    t(granted ? "role.granted" : "role.alreadyHas", vars),
+                    threadID,
+                    messageID
+                );
+            }
+
+            const revoked = permissions.revoke(targetID, roleName, isGlobal ? null : threadID);
+            return api.sendMessage(
+                t(revoked ? "role.revoked" : "role.doesNotHave", vars),
+                threadID,
+                messageID
+            );
+        } catch (error) {
+            return api.sendMessage(`❌ ${error.message}`, threadID, messageID);
+        }
+    },
+};
@@ -4,8 +4,8 @@
  * ║              Change the bot's command prefix (Admin Only)                     ║
  * ╚═══════════════════════════════════════════════════════════════════════════════╝
  *
- * This command allows admins to change the bot's command prefix.
- * Note: This is a runtime change and will reset on restart.
+ * This command allows admins to change the command prefix for the current
+ * thread. The prefix is saved in the thread config store and survives restarts.
  *
  * @author 0x3EF8
  * @version 1.0.0
@@ -13,12 +13,14 @@
 
 "use strict";
 
+const threadConfig = require("../../../utils/threadConfig");
+
 module.exports = {
     config: {
         name: "setprefix",
         aliases: ["prefix", "changeprefix"],
-        description: "Change the bot's command prefix (Admin Only)",
-        usage: "setprefix <new_prefix>",
+        description: "Change the command prefix for this thread (Admin Only)",
+        usage: "setprefix <new_prefix|reset>",
         category: "admin",
         cooldown: 10,
         permissions: "admin",
@@ -31,70 +33,56 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, threadSettings, logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
+        const currentPrefix = threadSettings.prefix;
 
         // Check if new prefix was provided
         if (args.length === 0) {
-            const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
+            const actualPrefix = threadSettings.prefixEnabled ? currentPrefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                `📝 Current prefix: ${config.bot.prefix}\n\n` +
-                    `Usage: ${actualPrefix}${commandName} <new_prefix>\n\n` +
-                    `Example: ${actualPrefix}${commandName} !\n` +
-                    `Example: ${actualPrefix}${commandName} /`,
+                t("setprefix.current", {
+                    prefix: currentPrefix,
+                    usage: `${actualPrefix}${commandName}`,
+                }),
                 threadID,
                 messageID
             );
         }
 
-        const newPrefix = args[0];
-
-        // Validate prefix
-        if (newPrefix.length > 5) {
+        // Restore the global prefix
+        if (args[0].toLowerCase() === "reset") {
+            threadConfig.reset(threadID, "prefix");
             return api.sendMessage(
-                "❌ Prefix is too long!\n\n" + "The prefix should be 1-5 characters.",
+                t("setprefix.reset", { prefix: config.bot.prefix }),
                 threadID,
                 messageID
             );
         }
 
-        const oldPrefix = config.bot.prefix;
-
-        // Note: Since config is frozen in production, this will throw an error
-        // In a real implementation, you'd use a mutable runtime config store
+        let newPrefix;
         try {
-            // For demonstration - in production, use a database or mutable config store
-            // config.bot.prefix = newPrefix; // This would throw if frozen
+            newPrefix = threadConfig.parseValue("prefix", args[0]);
+        } catch {
+            return api.sendMessage(t("setprefix.invalid"), threadID, messageID);
+        }
 
-            logger.info(
-                "SetPrefix",
-                `Prefix changed from "${oldPrefix}" to "${newPrefix}" by ${event.senderID}`
-            );
+        if (!threadConfig.set(threadID, "prefix", newPrefix)) {
+            return api.sendMessage(t("setprefix.saveFailed"), threadID, messageID);
+        }
 
-            await api.sendMessage(
-                `✅ Prefix changed successfully!\n\n` +
-                    `Old prefix: ${oldPrefix}\n` +
-                    `New prefix: ${newPrefix}\n\n` +
-                    `📝 Note: This change is temporary and will reset on restart.\n` +
-                    `To make it permanent, update config/config.js`,
-                threadID,
-                messageID
-            );
-        } catch (error) {
-            logger.error("SetPrefix", `Failed to change prefix: ${error.message}`);
+        logger.info(
+            "SetPrefix",
+            `Prefix in ${threadID} changed from "${currentPrefix}" to "${newPrefix}" by ${event.senderID}`
+        );
 
-            await api.sendMessage(
-                `⚠️ Could not change prefix at runtime.\n\n` +
-                    `To change the prefix, edit config/config.js:\n` +
-                    `1. Open config/config.js\n` +
-                    `2. Find: prefix: "${oldPrefix}"\n` +
-                    `3. Change to: prefix: "${newPrefix}"\n` +
-                    `4. Restart the bot`,
-                threadID,
-                messageID
-            );
-        }
+        await api.sendMessage(
+            `${t("setprefix.changed", { old: currentPrefix, prefix: newPrefix })}\n\n` +
+                t(threadSettings.prefixEnabled ? "setprefix.threadOnly" : "setprefix.notRequired"),
+            threadID,
+            messageID
+        );
     },
 };
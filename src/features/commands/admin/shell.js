@@ -76,7 +76,7 @@ module.exports = {
     /**
      * Command execution function
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID ? String(event.messageID) : null;
 
@@ -87,19 +87,13 @@ module.exports = {
             const shell = platform === "win32" ? "cmd.exe" : "/bin/bash";
 
             return api.sendMessage(
-                `🖥️ SHELL COMMAND\n\n` +
-                `Usage: ${actualPrefix}${commandName} <command>\n\n` +
-                `📋 System Info:\n` +
-                `   Platform: ${platform}\n` +
-                `   Shell: ${shell}\n` +
-                `   Hostname: ${os.hostname()}\n` +
-                `   User: ${os.userInfo().username}\n\n` +
-                `⚠️ Warning: Use with caution!\n\n` +
-                `Examples:\n` +
-                `   ${actualPrefix}${commandName} dir\n` +
-                `   ${actualPrefix}${commandName} echo Hello\n` +
-                `   ${actualPrefix}${commandName} node -v\n` +
-                `   ${actualPrefix}${commandName} npm list --depth=0`,
+                t("shell.usage", {
+                    command: `${actualPrefix}${commandName}`,
+                    platform,
+                    shell,
+                    hostname: os.hostname(),
+                    user: os.userInfo().username,
+                }),
                 threadID,
                 messageID
             );
@@ -129,25 +123,26 @@ module.exports = {
         const result = await executeCommand(command);
 
         // Build response
-        let response = `🖥️ SHELL OUTPUT\n\n`;
-        response += `📝 Command: ${command}\n`;
-        response += `⏱️ Time: ${result.executionTime}ms\n`;
-        response += `📊 Exit Code: ${result.exitCode}\n`;
+        let response = `${t("shell.result", {
+            command,
+            time: result.executionTime,
+            code: result.exitCode,
+        })}\n`;
 
         if (result.killed) {
-            response += `⚠️ Process was killed (timeout)\n`;
+            response += `${t("shell.killed")}\n`;
         }
 
         if (result.stdout) {
-            response += `\n📤 Output:\n${truncate(result.stdout)}`;
+            response += `\n${t("shell.output")}\n${truncate(result.stdout)}`;
         }
 
         if (result.stderr) {
-            response += `\n\n❌ Errors:\n${truncate(result.stderr)}`;
+            response += `\n\n${t("shell.errors")}\n${truncate(result.stderr)}`;
         }
 
         if (!result.stdout && !result.stderr) {
-            response += `\n📭 No output`;
+            response += `\n${t("shell.noOutput")}`;
         }
 
         await api.sendMessage(response, threadID, null, messageID);
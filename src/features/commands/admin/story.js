@@ -114,8 +114,9 @@ module.exports = {
      * @param {Object} context.event - Event object
      * @param {Array} context.args - Command arguments
      * @param {Object} context.logger - Logger utility
+     * @param {Function} context.t - Translator for the reply
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const messageReply = event.messageReply;
@@ -125,20 +126,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                "📖 **Story Command**\n\n" +
-                    "Create a story on the bot's Facebook profile.\n\n" +
-                    "**Usage:**\n" +
-                    `• \`${actualPrefix}${commandName} <text>\` - Text story\n` +
-                    `• \`${actualPrefix}${commandName} <text> -font <name>\` - Text story with font\n` +
-                    `• \`${actualPrefix}${commandName} <text> -bg <color>\` - Text story with background\n` +
-                    `• Reply to image with \`${actualPrefix}${commandName}\` - Photo story\n` +
-                    `• Reply to image with \`${actualPrefix}${commandName} <caption>\` - Photo story with caption\n\n` +
-                    "**Fonts:** headline, classic, casual, fancy\n" +
-                    "**Backgrounds:** orange, blue, green, modern\n\n" +
-                    "**Examples:**\n" +
-                    `• \`${actualPrefix}${commandName} Hello world!\`\n` +
-                    `• \`${actualPrefix}${commandName} Good morning! -font headline -bg orange\`\n` +
-                    `• Reply to a photo with \`${actualPrefix}${commandName} My vacation 🌴\``,
+                t("story.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
@@ -146,12 +134,7 @@ module.exports = {
 
         // Check if story API exists
         if (!api.story) {
-            return api.sendMessage(
-                "❌ Story API not available.\n\n" +
-                    "The bot needs to be restarted to load the new API.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("story.unavailable"), threadID, messageID);
         }
 
         // Parse arguments for font and background options
@@ -183,10 +166,7 @@ module.exports = {
 
             if (imageUrls.length > 0) {
                 // Photo story mode
-                const statusMsg = await api.sendMessage(
-                    `📤 Downloading image for story...`,
-                    threadID
-                );
+                const statusMsg = await api.sendMessage(t("story.downloading"), threadID);
 
                 let imageStream;
                 try {
@@ -203,14 +183,14 @@ module.exports = {
                 } catch (error) {
                     logger?.error?.("Story", `Failed to download image: ${error.message}`);
                     return api.sendMessage(
-                        `❌ Failed to download image: ${error.message}`,
+                        t("story.downloadFailed", { error: error.message }),
                         threadID,
                         messageID
                     );
                 }
 
                 // Send "creating story" status
-                const creatingMsg = await api.sendMessage(`📷 Creating photo story...`, threadID);
+                const creatingMsg = await api.sendMessage(t("story.creatingPhoto"), threadID);
 
                 try {
                     // Create photo story
@@ -230,13 +210,15 @@ module.exports = {
                         `Created photo story: ${result.storyID || "success"}`
                     );
 
-                    let successMessage = `✅ **Photo Story Created!**\n\n`;
-                    successMessage += `📷 Image story uploaded successfully\n`;
+                    let successMessage = t("story.photoCreated");
                     if (storyText) {
-                        successMessage += `📝 Caption: "${storyText.substring(0, 50)}${storyText.length > 50 ? "..." : ""}"\n`;
+                        successMessage += t("story.caption", {
+                            caption:
+                                storyText.substring(0, 50) + (storyText.length > 50 ? "..." : ""),
+                        });
                     }
                     if (result.storyID) {
-                        successMessage += `\n🔗 Story ID: ${result.storyID}`;
+                        successMessage += t("story.storyID", { id: result.storyID });
                     }
 
                     return api.sendMessage(successMessage, threadID, null, messageID);
@@ -253,8 +235,9 @@ module.exports = {
                     logger?.error?.("Story", `Failed to create photo story: ${error.message}`);
 
                     return api.sendMessage(
-                        `❌ Failed to create photo story!\n\n` +
-                            `Error: ${error.message || "Unknown error"}`,
+                        t("story.photoFailed", {
+                            error: error.message || t("common.unknownError"),
+                        }),
                         threadID,
                         null,
                         messageID
@@ -265,15 +248,11 @@ module.exports = {
 
         // Text story mode
         if (!storyText) {
-            return api.sendMessage(
-                "❌ Please provide text for the story or reply to an image.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("story.empty"), threadID, messageID);
         }
 
         // Send "creating story" status
-        const creatingMsg = await api.sendMessage(`📝 Creating text story...`, threadID);
+        const creatingMsg = await api.sendMessage(t("story.creatingText"), threadID);
 
         try {
             // Create text story
@@ -290,12 +269,13 @@ module.exports = {
 
             logger?.success?.("Story", `Created text story: ${result.storyID || "success"}`);
 
-            let successMessage = `✅ **Text Story Created!**\n\n`;
-            successMessage += `📝 Text: "${storyText.substring(0, 50)}${storyText.length > 50 ? "..." : ""}"\n`;
-            successMessage += `🎨 Font: ${fontName}\n`;
-            successMessage += `🖼️ Background: ${backgroundName}\n`;
+            let successMessage = t("story.textCreated", {
+                text: storyText.substring(0, 50) + (storyText.length > 50 ? "..." : ""),
+                font: fontName,
+                background: backgroundName,
+            });
             if (result.storyID) {
-                successMessage += `\n🔗 Story ID: ${result.storyID}`;
+                successMessage += t("story.storyID", { id: result.storyID });
             }
 
             return api.sendMessage(successMessage, threadID, null, messageID);
@@ -312,8 +292,7 @@ module.exports = {
             logger?.error?.("Story", `Failed to create text story: ${error.message}`);
 
             return api.sendMessage(
-                `❌ Failed to create text story!\n\n` +
-                    `Error: ${error.message || "Unknown error"}`,
+                t("story.textFailed", { error: error.message || t("common.unknownError") }),
                 threadID,
                 messageID
             );
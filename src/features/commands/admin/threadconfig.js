@@ -0,0 +1,197 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                         THREADCONFIG COMMAND                                  ║
+ * ║            View and edit per-thread settings from chat (Admin Only)           ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *  • threadconfig                          -> Show settings for this thread
+ *  • threadconfig set <key> <value>        -> Override a setting
+ *  • threadconfig reset [key]              -> Reset one or all settings
+ *  • threadconfig disable <command|event> <name>
+ *  • threadconfig enable <command|event> <name>
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const threadConfig = require("../../../utils/threadConfig");
+const eventHandler = require("../../../handlers/eventHandler");
+
+/** Commands that can never be disabled per thread (would lock admins out) */
+const PROTECTED_COMMANDS = ["threadconfig"];
+
+/**
+ * Formats a resolved value for display (on/off stay as typed in chat)
+ * @param {*} value - Setting value
+ * @param {function(string, Object=): string} t - Translator for the reply
+ * @returns {string}
+ */
+function formatValue(value, t) {
+    if (value === null) return t("threadconfig.inherit");
+    if (typeof value === "boolean") return value ? "on" : "off";
+    if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : t("threadconfig.none");
+    return String(value);
+}
+
+module.exports = {
+    config: {
+        name: "threadconfig",
+        aliases: ["tc", "tconfig"],
+        description: "View or change settings for this thread",
+        usage: "threadconfig [set <key> <value>|reset [key]|enable|disable <command|event> <name>]",
+        category: "admin",
+        cooldown: 3,
+        permissions: "admin",
+        enabled: true,
+        dmOnly: false,
+        groupOnly: false,
+    },
+
+    async execute({ api, event, args, prefix, commandHandler, t }) {
+        const { threadID, messageID } = event;
+        const usedPrefix = prefix || "";
+        const commandName = this.config.name;
+        const action = (args[0] || "").toLowerCase();
+
+        const usage = t("threadconfig.usage", {
+            prefix: usedPrefix,
+            command: commandName,
+            keys: threadConfig.getKeys().join(", "),
+        });
+
+        // Show settings
+        if (!action || action === "show" || action === "list") {
+            const settings = threadConfig.getAll(threadID);
+            const overrides = threadConfig.getOverrides(threadID);
+
+            let msg = `${t("threadconfig.title")}\n\n`;
+            for (const key of threadConfig.getKeys()) {
+                const marker = overrides[key] !== undefined ? "✏️" : "▫️";
+                msg += `${marker} ${key}: ${formatValue(settings[key], t)}\n`;
+            }
+            msg += `\n${t("threadconfig.legend")}`;
+
+            return api.sendMessage(msg, threadID, messageID);
+        }
+
+        // Set a value
+        if (action === "set") {
+            const key = args[1];
+            const rawValue = args.slice(2).join(" ");
+
+            if (!key || !rawValue) {
+                return api.sendMessage(t("threadconfig.missing", { usage }), threadID, messageID);
+            }
+
+            try {
+                const value = threadConfig.parseValue(key, rawValue);
+
+                if (key === "disabledCommands") {
+                    const locked = value.filter((name) => PROTECTED_COMMANDS.includes(name));
+                    if (locked.length > 0) {
+                        return api.sendMessage(
+                            t("threadconfig.cannotDisable", { names: locked.join(", ") }),
+                            threadID,
+                            messageID
+                        );
+                    }
+                }
+
+                threadConfig.set(threadID, key, value);
+                return api.sendMessage(
+                    t("threadconfig.set", { key, value: formatValue(value, t) }),
+                    threadID,
+                    messageID
+                );
+            } catch (error) {
+                return api.sendMessage(`❌ ${error.message}`, threadID, messageID);
+            }
+        }
+
+        // Reset one or all values
+        if (action === "reset") {
+            const key = args[1];
+
+            if (key && !threadConfig.getSchema(key)) {
+                return api.sendMessage(
+                    t("threadconfig.unknownSetting", { key }),
+                    threadID,
+                    messageID
+                );
+            }
+
+            const removed = threadConfig.reset(threadID, key);
+            if (!removed) {
+                return api.sendMessage(t("threadconfig.nothingToReset"), threadID, messageID);
+            }
+
+            return api.sendMessage(
+                key ? t("threadconfig.reset", { key }) : t("threadconfig.resetAll"),
+                threadID,
+                messageID
+            );
+        }
+
+        // Enable / disable a command or event handler
+        if (action === "enable" || action === "disable") {
+            const type = (args[1] || "").toLowerCase();
+            const name = (args[2] || "").toLowerCase();
+            const disable = action === "disable";
+
+            if (!["command", "event"].includes(type) || !name) {
+                return api.sendMessage(
+                    t("threadconfig.invalidUsage", { usage }),
+                    threadID,
+                    messageID
+                );
+            }
+
+            let targetName;
+            if (type === "command") {
+                const command = commandHandler.getCommand(name);
+                targetName = command?.config.name;
+
+                if (disable && PROTECTED_COMMANDS.includes(targetName)) {
+                    return api.sendMessage(
+                        t("threadconfig.protected", { name: targetName }),
+                        threadID,
+                        messageID
+                    );
+                }
+            } else {
+                const handler = [...eventHandler.getAllHandlers().values()].find(
+                    (h) => h.config.name.toLowerCase() === name
+                );
+                targetName = handler?.config.name;
+            }
+
+            if (!targetName) {
+                return api.sendMessage(
+                    t(`threadconfig.unknown.${type}`, { name }),
+                    threadID,
+                    messageID
+                );
+            }
+
+            const key = type === "command" ? "disabledCommands" : "disabledEvents";
+            const changed = threadConfig.toggleListItem(threadID, key, targetName, disable);
+
+            let result = disable ? "disabled" : "enabled";
+            if (!changed) result = disable ? "alreadyDisabled" : "alreadyEnabled";
+            return api.sendMessage(
+                t(`threadconfig.${result}.${type}`, { name: targetName }),
+                threadID,
+                messageID
+            );
+        }
+
+        return api.sendMessage(
+            t("threadconfig.unknownAction", { action, usage }),
+            threadID,
+            messageID
+        );
+    },
+};
@@ -13,6 +13,8 @@
 
 "use strict";
 
+const { paginate } = require("../../../utils/paginator");
+
 module.exports = {
     config: {
         name: "threads",
@@ -31,53 +33,45 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, logger }) {
+    async execute(context) {
+        const { api, event, args, logger, t } = context;
         const threadID = event.threadID;
         const messageID = event.messageID;
 
         try {
             const limit = parseInt(args[0]) || 50;
 
-            api.sendMessage("⏳ Fetching group list...", threadID, null, messageID);
+            api.sendMessage(t("threads.fetching"), threadID, null, messageID);
 
             // Fetch threads from inbox
             const threads = await api.getThreadList(limit, null, ["INBOX"]);
 
             if (!threads || threads.length === 0) {
-                return api.sendMessage("📭 No active threads found.", threadID, null, messageID);
+                return api.sendMessage(t("threads.noThreads"), threadID, null, messageID);
             }
 
             // Filter only group chats
-            const groups = threads.filter((t) => t.isGroup);
+            const groups = threads.filter((thread) => thread.isGroup);
 
             if (groups.length === 0) {
-                return api.sendMessage(
-                    "👥 No group chats found in the last " + limit + " threads.",
-                    threadID,
-                    null,
-                    messageID
-                );
+                return api.sendMessage(t("threads.noGroups", { limit }), threadID, null, messageID);
             }
 
-            let msg = `👥 **GROUP CHAT LIST** (${groups.length})\n`;
-            msg += `━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
-
-            groups.forEach((g, index) => {
-                const name = g.threadName || g.name || "Unnamed Group";
-                msg += `${index + 1}. **${name}**\n`;
-                msg += `🆔 ID: \`${g.threadID}\`\n\n`;
+            return paginate(context, {
+                title: `${t("threads.title", { count: groups.length })}\n━━━━━━━━━━━━━━━━━━━━━━━━━━`,
+                items: groups,
+                perPage: 10,
+                separator: "\n\n",
+                render: (g, index) => {
+                    const name = g.threadName || g.name || t("threads.unnamed");
+                    return `${index + 1}. **${name}**\n🆔 ID: \`${g.threadID}\``;
+                },
+                footer: `━━━━━━━━━━━━━━━━━━━━━━━━━━\n${t("threads.tip")}`,
             });
-
-            msg += `━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-            msg += `💡 *Tip: Copy the ID for use in /broadcast -c*`;
-
-            // If message is too long, it might fail. Break it down if needed,
-            // but for 50 groups it should be fine.
-            return api.sendMessage(msg, threadID, null, messageID);
         } catch (error) {
             logger.error("ThreadsCommand", `Error: ${error.message}`);
             return api.sendMessage(
-                `❌ Failed to fetch threads: ${error.message}`,
+                t("threads.failed", { error: error.message }),
                 threadID,
                 null,
                 messageID
@@ -125,8 +125,9 @@ module.exports = {
      * @param {Object} context.event - Event object
      * @param {Array} context.args - Command arguments
      * @param {Object} context.logger - Logger utility
+     * @param {Function} context.t - Translator for the reply
      */
-    async execute({ api, event, args, config, logger }) {
+    async execute({ api, event, args, config, logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const messageReply = event.messageReply;
@@ -203,10 +204,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                "📝 **Unsend Command Usage**\n\n" +
-                    `• Reply to a bot message and type \`${actualPrefix}${commandName}\` to unsend it\n` +
-                    `• Type \`${actualPrefix}${commandName} all\` to unsend all recent bot messages\n\n` +
-                    "Note: Only bot messages can be unsent.",
+                t("unsend.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
@@ -216,12 +214,7 @@ module.exports = {
         const repliedSenderID = messageReply.senderID;
 
         if (repliedSenderID !== botID) {
-            return api.sendMessage(
-                "❌ I can only unsend my own messages!\n\n" +
-                    "Please reply to one of my messages to unsend it.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("unsend.notMine"), threadID, messageID);
         }
 
         // Attempt to unsend the message
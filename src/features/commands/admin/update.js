@@ -0,0 +1,253 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                           UPDATE COMMAND                                      ║
+ * ║         Check for, apply and roll back bot updates (Admin Only)               ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *  • update                 -> Running version and the last update (alias: status)
+ *  • update check           -> Latest release and its changelog (alias: changelog)
+ *  • update apply           -> Stage, test and install the latest release (Super Admin)
+ *  • update rollback        -> Go back to the version before the last update (Super Admin)
+ *
+ * Updates are staged and tested before they replace the running code, and
+ * roll back by themselves if the bot isn't online again within the health
+ * check window (see src/utils/updater.js). The bot exits after apply and
+ * rollback; the process manager (pm2) starts it again.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const Updater = require("../../../utils/updater");
+
+/** Most commits listed in a changelog */
+const MAX_COMMITS = 15;
+
+/** Icon for each update state */
+const STATE_ICONS = {
+    applying: "⏳",
+    pending: "🩺",
+    healthy: "✅",
+    failed: "❌",
+    "rolled-back": "↩️",
+};
+
+/** Whether an update or rollback is running */
+let busy = false;
+
+/**
+ * Updater that logs progress through the bot logger
+ * @param {Object} config - Bot config
+ * @param {Object} logger - Logger
+ * @returns {Updater}
+ */
+function createUpdater(config, logger) {
+    return new Updater({
+        ...config.updater,
+        onProgress: (message) => logger.info("Updater", message),
+    });
+}
+
+/**
+ * Describes the update state in a few lines
+ * @param {Object|null} state - Updater state
+ * @param {Function} t - Translator for the labels
+ * @returns {string}
+ */
+function describeUpdate(state, t) {
+    if (!state) return t("update.lastNone");
+
+    let text = t("update.last", { icon: STATE_ICONS[state.status] || "•", status: state.status });
+    text += `\n   v${state.fromVersion} → v${state.version}`;
+    text += ` (${state.previous.slice(0, 7)} → ${state.target.slice(0, 7)})`;
+    const time = state.rolledBackAt || state.confirmedAt || state.appliedAt || state.startedAt;
+    if (time) text += `\n   ${new Date(time).toLocaleString()}`;
+    if (state.reason || state.error) text += `\n   ${state.reason || state.error}`;
+    return text;
+}
+
+/**
+ * Replies with the running version and the last update
+ * @param {Object} context - Command context
+ */
+async function showStatus({ api, event, config, logger, t }) {
+    const status = await createUpdater(config, logger).getStatus();
+
+    let msg = `📦 Nero v${status.version}`;
+    if (status.commit) msg += ` (${status.commit})`;
+    msg += `\n\n${describeUpdate(status.lastUpdate, t)}`;
+    msg += t("update.checkHint");
+
+    return api.sendMessage(msg, event.threadID, null, event.messageID);
+}
+
+/**
+ * Exits so the process manager restarts the bot
+ * @param {Object} logger - Logger
+ */
+function scheduleRestart(logger) {
+    logger.info("Updater", "Shutting down for restart...");
+    setTimeout(() => {
+        process.exit(0);
+    }, 1000);
+}
+
+module.exports = {
+    config: {
+        name: "update",
+        aliases: ["updates", "upgrade"],
+        description: "Check for, apply and roll back bot updates",
+        usage: "update [check|apply|rollback]",
+        category: "admin",
+        cooldown: 10,
+        permissions: "admin",
+        enabled: true,
+        dmOnly: false,
+        groupOnly: false,
+    },
+
+    subcommands: {
+        status: {
+            aliases: ["-s", "info"],
+            description: "Running version and the last update",
+            execute: showStatus,
+        },
+
+        check: {
+            aliases: ["-c", "changelog"],
+            description: "Show the latest release and its changelog",
+            async execute({ api, event, config, logger, t }) {
+                const { threadID, messageID } = event;
+                const updater = createUpdater(config, logger);
+
+                if (!(await updater.checkForUpdates())) {
+                    return api.sendMessage(
+                        t("update.upToDate", { version: updater.currentVersion }),
+                        threadID,
+                        null,
+                        messageID
+                    );
+                }
+
+                const release = updater.latestRelease;
+                let msg = t("update.available", {
+                    name: release.name,
+                    version: updater.currentVersion,
+                });
+
+                if (release.body) {
+                    msg += `\n${release.body.trim().split("\n").slice(0, 10).join("\n")}\n`;
+                }
+
+                try {
+                    const { commits } = await updater.getChangelog(release);
+                    msg += t("update.commits", { count: commits.length });
+                    msg += commits
+                        .slice(0, MAX_COMMITS)
+                        .map((commit) => `• ${commit.hash} ${commit.subject}`)
+                        .join("\n");
+                    if (commits.length > MAX_COMMITS) {
+                        msg += t("update.more", { count: commits.length - MAX_COMMITS });
+                    }
+                } catch (error) {
+                    msg += t("update.changelogFailed", { error: error.message });
+                }
+
+                msg += t("update.installHint", { url: release.url });
+                return api.sendMessage(msg, threadID, null, messageID);
+            },
+        },
+
+        apply: {
+            aliases: ["install", "now"],
+            description: "Stage, test and install the latest release",
+            permissions: "superadmin",
+            async execute({ api, event, config, logger, t }) {
+                const { threadID, messageID } = event;
+                if (busy) {
+                    return api.sendMessage(t("update.busy"), threadID, null, messageID);
+                }
+
+                const updater = createUpdater(config, logger);
+                if (!(await updater.checkForUpdates())) {
+                    return api.sendMessage(
+                        t("update.alreadyLatest", { version: updater.currentVersion }),
+                        threadID,
+                        null,
+                        messageID
+                    );
+                }
+
+                const { version } = updater.latestRelease;
+                busy = true;
+                try {
+                    await api.sendMessage(
+                        t("update.staging", { version }),
+                        threadID,
+                        null,
+                        messageID
+                    );
+                    logger.warn("Updater", `Update to v${version} started by ${event.senderID}`);
+                    await updater.applyUpdate();
+                } catch (error) {
+                    logger.error("Updater", `Update to v${version} failed: ${error.message}`);
+                    let msg = t("update.failed", { version, error: error.message });
+                    if (error.context?.output) msg += `\n\n${error.context.output}`;
+                    return api.sendMessage(msg, threadID, null, messageID);
+                } finally {
+                    busy = false;
+                }
+
+                await api.sendMessage(
+                    t("update.updated", {
+                        version,
+                        seconds: updater.healthCheckWindow,
+                        previous: updater.readState().fromVersion,
+                    }),
+                    threadID,
+                    null,
+                    messageID
+                );
+                scheduleRestart(logger);
+            },
+        },
+
+        rollback: {
+            aliases: ["revert", "undo"],
+            description: "Go back to the version before the last update",
+            permissions: "superadmin",
+            async execute({ api, event, config, logger, t }) {
+                const { threadID, messageID } = event;
+                if (busy) {
+                    return api.sendMessage(t("update.busy"), threadID, null, messageID);
+                }
+
+                let state;
+                busy = true;
+                try {
+                    state = await createUpdater(config, logger).rollback(
+                        `Rolled back by ${event.senderID}`
+                    );
+                } catch (error) {
+                    return api.sendMessage(`❌ ${error.message}`, threadID, null, messageID);
+                } finally {
+                    busy = false;
+                }
+
+                logger.warn("Updater", `Rolled back to v${state.fromVersion} by ${event.senderID}`);
+                await api.sendMessage(
+                    t("update.rolledBack", { version: state.fromVersion }),
+                    threadID,
+                    null,
+                    messageID
+                );
+                scheduleRestart(logger);
+            },
+        },
+    },
+
+    execute: showStatus,
+};
@@ -0,0 +1,78 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                              WARN COMMAND                                     ║
+ * ║          Warn a member; enough warnings mute or kick them automatically       ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *  • warn @user [reason...]   -> Warn a member (or reply to their message)
+ *
+ * Warnings count per group. The group's escalation ladder (see the
+ * `moderation` command) decides when a warning turns into a command mute or
+ * a kick. Undo with `pardon`, review with `warnings`.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const moderation = require("../../../utils/moderation");
+const permissions = require("../../../utils/permissions");
+
+module.exports = {
+    config: {
+        name: "warn",
+        aliases: ["strike"],
+        description: "Warn a member of this group",
+        category: "user",
+        cooldown: 3,
+        permissions: "moderation.use", // Moderators, group admins and bot admins
+        enabled: true,
+        dmOnly: false,
+        groupOnly: true,
+        args: [
+            { name: "target", type: "user", required: true, description: "Mention, reply or ID" },
+            { name: "reason", type: "rest", description: "Why they are warned" },
+        ],
+    },
+
+    /**
+     * Command execution function
+     * @param {Object} context - Command context
+     */
+    async execute({ api, event, params, config, logger, t, locale }) {
+        const { threadID, messageID, senderID } = event;
+        const targetID = params.target;
+
+        if (targetID === api.getCurrentUserID()) {
+            return api.sendMessage(t("warn.bot"), threadID, null, messageID);
+        }
+        if (targetID === senderID) {
+            return api.sendMessage(t("warn.self"), threadID, null, messageID);
+        }
+        if (
+            config.isAdmin(targetID) ||
+            (await permissions.has(targetID, "moderation.use", { threadID, api }))
+        ) {
+            return api.sendMessage(t("warn.protected"), threadID, null, messageID);
+        }
+
+        const result = await moderation.warn({
+            api,
+            threadID,
+            userID: targetID,
+            by: senderID,
+            reason: params.reason || undefined,
+        });
+        logger.info("Moderation", `${senderID} warned ${targetID} in ${threadID}`);
+
+        const name = await moderation.getName(api, event, targetID);
+        return api.sendMessage(
+            moderation.formatWarning(result, name, locale),
+            threadID,
+            null,
+            messageID
+        );
+    },
+};
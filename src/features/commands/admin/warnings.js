@@ -0,0 +1,126 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                            WARNINGS COMMAND                                   ║
+ * ║            See warnings and mutes in this group (yours or everyone's)         ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *  • warnings            -> Your warnings (moderators: everyone warned or muted)
+ *  • warnings @user      -> A member's warnings (moderators only)
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const moderation = require("../../../utils/moderation");
+
+/**
+ * Lists one user's warnings and mute
+ * @param {Object} api - Nero API
+ * @param {Object} event - Message event
+ * @param {string} userID - User to show
+ * @param {function(string, Object=): string} t - Translator for the reply
+ * @returns {Promise<string>}
+ */
+async function describeUser(api, event, userID, t) {
+    const { threadID } = event;
+    const warnings = moderation.getWarnings(threadID, userID);
+    const mute = moderation.getMute(threadID, userID);
+
+    let msg =
+        userID === event.senderID
+            ? t("warnings.titleSelf", { count: warnings.length })
+            : t("warnings.title", {
+                  name: await moderation.getName(api, event, userID),
+                  count: warnings.length,
+              });
+    msg += "\n";
+    for (const warning of warnings) {
+        const by =
+            warning.by === "auto" ? t("warnings.auto", { source: warning.source }) : warning.by;
+        msg += `\n${t("warnings.entry", {
+            id: warning.id,
+            reason: warning.reason,
+            by,
+            date: new Date(warning.at).toLocaleString(),
+        })}`;
+    }
+
+    if (mute) {
+        const time = moderation.formatDuration(mute.until - Date.now());
+        msg += `\n\n${t("warnings.muted", { time, reason: mute.reason })}`;
+    }
+
+    const { warningExpiryDays } = moderation.getSettings(threadID);
+    msg += `\n\n${t("warnings.expiry", { count: warningExpiryDays })}`;
+    return msg;
+}
+
+/**
+ * Lists everyone warned or muted in the thread
+ * @param {string} threadID - Thread ID
+ * @param {function(string, Object=): string} t - Translator for the reply
+ * @returns {string}
+ */
+function describeThread(threadID, t) {
+    const warned = moderation.listWarned(threadID);
+    const mutes = moderation.listMutes(threadID);
+
+    let msg = `${t("warnings.threadTitle")}\n\n`;
+    msg +=
+        warned.length > 0
+            ? warned.map((entry) => `• ${entry.userID}: ${entry.count}`).join("\n")
+            : t("warnings.none");
+
+    if (mutes.length > 0) {
+        msg += `\n\n${t("warnings.mutedTitle")}\n`;
+        msg += mutes
+            .map((mute) =>
+                t("warnings.mutedEntry", {
+                    user: mute.userID,
+                    time: moderation.formatDuration(mute.until - Date.now()),
+                })
+            )
+            .join("\n");
+    }
+
+    msg += `\n\n${t("warnings.details")}`;
+    return msg;
+}
+
+module.exports = {
+    config: {
+        name: "warnings",
+        aliases: ["warns", "strikes"],
+        description: "See warnings in this group",
+        category: "user",
+        cooldown: 3,
+        permissions: "user",
+        enabled: true,
+        dmOnly: false,
+        groupOnly: true,
+        args: [{ name: "target", type: "user", description: "Mention, reply or ID" }],
+    },
+
+    /**
+     * Command execution function
+     * @param {Object} context - Command context
+     */
+    async execute({ api, event, params, isAdmin, hasPermission, t }) {
+        const { threadID, messageID, senderID } = event;
+        const targetID = params.target;
+        const isModerator = isAdmin || (await hasPermission("moderation.use"));
+
+        if (targetID && targetID !== senderID && !isModerator) {
+            return api.sendMessage(t("warnings.notAllowed"), threadID, null, messageID);
+        }
+
+        const msg =
+            targetID || !isModerator
+                ? await describeUser(api, event, targetID || senderID, t)
+                : describeThread(threadID, t);
+        return api.sendMessage(msg, threadID, null, messageID);
+    },
+};
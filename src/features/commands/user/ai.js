@@ -34,14 +34,14 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, config }) {
+    async execute({ api, event, args, config, t }) {
         const { threadID, messageID } = event;
 
         if (args.length === 0) {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                `⚠️ Please provide a query.\nExample: ${actualPrefix}${commandName} Explain quantum physics`,
+                t("ai.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
@@ -69,12 +69,7 @@ Instructions:
 
             if (!responseText) {
                 api.setMessageReaction("❌", messageID, () => {}, true);
-                return api.sendMessage(
-                    "❌ The AI returned an empty response. Please try again.",
-                    threadID,
-                    null,
-                    messageID
-                );
+                return api.sendMessage(t("ai.empty"), threadID, null, messageID);
             }
 
             // Send response
@@ -84,9 +79,9 @@ Instructions:
             console.error("AI Command Error:", error);
             api.setMessageReaction("❌", messageID, () => {}, true);
 
-            let errorMessage = "❌ An error occurred while processing your request.";
+            let errorMessage = t("ai.failed");
             if (error.message?.includes("quota") || error.message?.includes("429")) {
-                errorMessage = "❌ AI usage limit reached. Please try again later.";
+                errorMessage = t("ai.quota");
             }
 
             return api.sendMessage(errorMessage, threadID, null, messageID);
@@ -26,6 +26,7 @@ module.exports = {
         usage: "dl <url>",
         category: "utility",
         cooldown: 10,
+        rateLimit: { limit: 5, per: "1h", scope: "user" },
         permissions: "user",
         enabled: true,
         dmOnly: false,
@@ -36,7 +37,7 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, config }) {
+    async execute({ api, event, args, config, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const statusMsg = null;
@@ -44,7 +45,7 @@ module.exports = {
         // check if url is provided
         if (args.length === 0) {
             return api.sendMessage(
-                `❌ Please provide a URL.\n\nUsage: ${config.bot.prefix}dl <url>`,
+                t("dl.usage", { command: `${config.bot.prefix}dl` }),
                 threadID,
                 messageID
             );
@@ -85,7 +86,10 @@ module.exports = {
                         });
                         finalUrl = getRes.request.res.responseUrl || url;
                     } catch (_e) {
-                        return api.sendMessage(`❌ Error: ${_e.message}`, event.threadID);
+                        return api.sendMessage(
+                            t("dl.error", { error: _e.message }),
+                            event.threadID
+                        );
                     }
                 }
             }
@@ -249,7 +253,10 @@ module.exports = {
                 (data.meta ? data.meta.title : null);
 
             if (!title) {
-                title = platform !== "Unknown" ? `${platform} Video` : "Downloaded Video";
+                title =
+                    platform !== "Unknown"
+                        ? t("dl.platformVideo", { platform })
+                        : t("dl.downloadedVideo");
             }
 
             // Improved Author Extraction
@@ -305,7 +312,7 @@ module.exports = {
                         ? generalMatch[1].substring(1)
                         : generalMatch[1];
                 } else {
-                    author = "Unknown";
+                    author = t("common.unknown");
                 }
             }
 
@@ -337,9 +344,9 @@ module.exports = {
             // Set final success reaction
             api.setMessageReaction("✅", messageID, () => {}, true);
 
-            let finalBody = `✅ **Download Complete**\n\nTitle: ${title}\n👤 From: ${author}`;
+            let finalBody = t("dl.complete", { title, author });
             if (platform === "Facebook") {
-                finalBody = `✅ **Download Complete**`;
+                finalBody = t("dl.completeShort");
             }
 
             // Combined message: Text (body) + Video (attachment) in ONE call
@@ -13,6 +13,10 @@
 
 "use strict";
 
+const { describeArgs } = require("../../../utils/argParser");
+const { paginate } = require("../../../utils/paginator");
+const rateLimiter = require("../../../utils/rateLimiter");
+
 /**
  * Formats category name for display
  * @param {string} category - Category name
@@ -34,12 +38,33 @@ function formatCategoryName(category) {
     return `${icon} ${category.charAt(0).toUpperCase() + category.slice(1)}`;
 }
 
+/**
+ * Lists a command's subcommands as an indented tree
+ * @param {Object|null} subcommands - Loaded subcommands ({ list, lookup })
+ * @param {number} [depth] - Nesting level
+ * @returns {Array<string>}
+ */
+function formatSubcommandTree(subcommands, depth = 0) {
+    if (!subcommands) return [];
+
+    const indent = "  ".repeat(depth);
+    const lines = [];
+
+    for (const sub of subcommands.list) {
+        const aliases = sub.config.aliases.length > 0 ? ` (${sub.config.aliases.join(", ")})` : "";
+        lines.push(`${indent}• ${sub.config.name}${aliases} - ${sub.config.description}`);
+        lines.push(...formatSubcommandTree(sub.subcommands, depth + 1));
+    }
+
+    return lines;
+}
+
 module.exports = {
     config: {
         name: "help",
         aliases: ["h", "commands", "cmd", "menu"],
         description: "Display available commands and their usage",
-        usage: "help [command_name]",
+        usage: "help [command_name] [subcommand]",
         category: "user",
         cooldown: 3,
         permissions: "user",
@@ -52,7 +77,8 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, prefix, config, commandHandler, isAdmin }) {
+    async execute(context) {
+        const { api, event, args, prefix, config, commandHandler, isAdmin, t } = context;
         const threadID = event.threadID;
         const messageID = event.messageID;
         const displayPrefix = prefix || config.bot.prefix || "";
@@ -64,8 +90,7 @@ module.exports = {
 
             if (!command) {
                 return api.sendMessage(
-                    `❌ Command "${commandName}" not found.\n\n` +
-                        `Use ${displayPrefix}help to see all available commands.`,
+                    t("help.notFound", { name: commandName, prefix: displayPrefix }),
                     threadID
                 );
             }
@@ -73,37 +98,65 @@ module.exports = {
             // Check if user can see this command
             if (command.config.permissions === "admin" && !isAdmin) {
                 return api.sendMessage(
-                    `❌ Command "${commandName}" not found.\n\n` +
-                        `Use ${displayPrefix}help to see all available commands.`,
+                    t("help.notFound", { name: commandName, prefix: displayPrefix }),
                     threadID
                 );
             }
 
+            // Drill into a subcommand when one is named (e.g. "help maintenance on")
+            const { target } = commandHandler.resolveSubcommand(command, args.slice(1));
+            const info = target.config;
+
             // Build detailed command info
             // Show only first alias or None
-            const alias = command.config.aliases.length > 0 ? command.config.aliases[0] : "None";
+            const alias = info.aliases.length > 0 ? info.aliases[0] : t("common.none");
 
             const permissionLabels = {
-                user: "Everyone",
-                admin: "Admins",
-                superadmin: "Super Admins",
+                user: t("help.access.user"),
+                admin: t("help.access.admin"),
+                superadmin: t("help.access.superadmin"),
             };
 
-            let details = `📖 **COMMAND INFO**\n\n`;
-            details += `📌 **Name:** ${command.config.name}\n`;
-            details += `📝 **Desc:** ${command.config.description}\n`;
-            details += `💡 **Usage:** ${displayPrefix}${command.config.usage}\n`;
-            details += `🏷️ **Alias:** ${alias}\n`;
-            details += `📁 **Group:** ${formatCategoryName(command.config.category)}\n`;
-            details += `⏱️ **Cooldown:** ${command.config.cooldown}s\n`;
-            details += `🔒 **Access:** ${permissionLabels[command.config.permissions] || command.config.permissions}`;
+            let details = t("help.details.header", {
+                name: info.path ? info.path.join(" ") : info.name,
+                description: info.description,
+                usage: `${displayPrefix}${info.usage}`,
+                alias,
+                group: formatCategoryName(command.config.category),
+                cooldown: info.cooldown,
+            });
+
+            const limits =
+                config.rateLimit.commands[command.config.name] ?? command.config.rateLimit;
+            if (config.rateLimit.enabled && limits) {
+                const described = [].concat(limits).map((rule) => rateLimiter.describeRule(rule));
+                details += t("help.details.limit", { limits: described.join(", ") });
+            }
+
+            details += t("help.details.access", {
+                access: permissionLabels[info.permissions] || info.permissions,
+            });
 
             if (command.config.dmOnly) {
-                details += "\n📱 **DM Only:** Yes";
+                details += t("help.details.dmOnly");
             }
 
             if (command.config.groupOnly) {
-                details += "\n👥 **Group Only:** Yes";
+                details += t("help.details.groupOnly");
+            }
+
+            // Arguments and flags declared in the command's schema
+            const argLines = describeArgs(info);
+            if (argLines.length > 0) {
+                details += t("help.details.arguments", {
+                    lines: argLines.map((line) => `• ${line}`).join("\n"),
+                });
+            }
+
+            // Subcommands, nested ones indented under their parent
+            const subLines = formatSubcommandTree(target.subcommands);
+            if (subLines.length > 0) {
+                details += t("help.details.subcommands", { lines: subLines.join("\n") });
             }
 
             return api.sendMessage(details, threadID, null, messageID);
@@ -132,32 +185,36 @@ module.exports = {
                 commandsByCategory.set(category, []);
             }
 
-            commandsByCategory.get(category).push(command.config.name);
+            const subNames = command.subcommands
+                ? ` (${command.subcommands.list.map((sub) => sub.config.name).join(", ")})`
+                : "";
+            commandsByCategory.get(category).push(`${command.config.name}${subNames}`);
         }
 
-        // Build the help message
-        let helpMessage = `📚 **${config.bot.name.toUpperCase()} HELP**\n`;
+        // Build the help header
+        let title = t("help.title", { name: config.bot.name.toUpperCase() });
 
         if (config.bot.prefixEnabled) {
-            helpMessage += `Prefix: \`${displayPrefix || "(None)"}\`\n\n`;
-        } else {
-            helpMessage += `\n`;
+            title += t("help.prefix", { prefix: displayPrefix || t("help.noPrefix") });
         }
 
-        // Add categories
+        // One page per category
+        const pages = [];
         for (const [category, commands] of commandsByCategory) {
             if (commands.length === 0) continue;
 
-            helpMessage += `${formatCategoryName(category)}\n`;
             // Join with newlines and bullet points
-            helpMessage += commands.map((cmd) => `• ${cmd}`).join("\n") + "\n\n";
+            pages.push(
+                `${formatCategoryName(category)}\n` + commands.map((cmd) => `• ${cmd}`).join("\n")
+            );
         }
 
         // Add stats and tip
         const stats = commandHandler.getStats();
-        helpMessage += `📊 ${stats.totalCommands} commands available\n`;
-        helpMessage += `💡 Type \`${displayPrefix}help <command>\` for details`;
+        const footer =
+            `${t("help.total", { count: stats.totalCommands })}\n` +
+            t("help.tip", { prefix: displayPrefix });
 
-        api.sendMessage(helpMessage, threadID, null, messageID);
+        return paginate(context, { title, pages, footer });
     },
 };
@@ -35,7 +35,7 @@ module.exports = {
     /**
      * Command execution function
      */
-    async execute({ api, event, args, config }) {
+    async execute({ api, event, args, config, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
 
@@ -52,7 +52,7 @@ module.exports = {
 
         if (!query) {
             return api.sendMessage(
-                `❌ Please provide a search query.\n\nUsage: ${config.bot.prefix}image <query> [count]`,
+                t("image.usage", { command: `${config.bot.prefix}image` }),
                 threadID,
                 messageID
             );
@@ -93,7 +93,7 @@ module.exports = {
 
             if (imageUrls.length === 0) {
                 api.setMessageReaction("❌", messageID, () => { }, true);
-                return api.sendMessage("❌ No images found.", threadID, null, messageID);
+                return api.sendMessage(t("image.noResults"), threadID, null, messageID);
             }
 
             // Shuffle results to give variety
@@ -147,12 +147,7 @@ module.exports = {
             }
 
             if (attachments.length === 0) {
-                return api.sendMessage(
-                    "❌ Failed to download images. Please try again.",
-                    threadID,
-                    null,
-                    messageID
-                );
+                return api.sendMessage(t("image.downloadFailed"), threadID, null, messageID);
             }
 
             api.setMessageReaction("✅", messageID, () => { }, true);
@@ -160,7 +155,7 @@ module.exports = {
             // Send messages
             await api.sendMessage(
                 {
-                    body: `🖼️ Image results for: ${query}`,
+                    body: t("image.results", { query }),
                     attachment: attachments,
                 },
                 threadID,
@@ -180,7 +175,12 @@ module.exports = {
         } catch (error) {
             console.error("[Image] Error:", error.message);
             api.setMessageReaction("❌", messageID, () => { }, true);
-            return api.sendMessage(`❌ An error occurred: ${error.message}`, threadID, null, messageID);
+            return api.sendMessage(
+                t("image.failed", { error: error.message }),
+                threadID,
+                null,
+                messageID
+            );
         }
     },
 };
@@ -5,7 +5,9 @@
  * ╚═══════════════════════════════════════════════════════════════════════════════╝
  *
  * This command displays detailed information about the bot,
- * including version, uptime, statistics, and more.
+ * including version, uptime, statistics, and more. Activity is compared
+ * with yesterday and shown as a daily trend; `info <days>` picks the window
+ * for the trend and top commands (default 7).
  *
  * @author 0x3EF8
  * @version 1.1.5
@@ -17,6 +19,7 @@ const packageJson = require("../../../../package.json");
 const eventHandler = require("../../../handlers/eventHandler");
 const backgroundHandler = require("../../../handlers/backgroundHandler");
 const statsTracker = require("../../../utils/statsTracker");
+const sendQueue = require("../../../utils/sendQueue");
 
 /**
  * Formats bytes into human-readable format
@@ -33,25 +36,54 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
 }
 
+/**
+ * Formats today's count against yesterday's
+ * @param {number} today - Today's count
+ * @param {number} yesterday - Yesterday's count
+ * @param {Function} t - Translator for the labels
+ * @returns {string} e.g. "120 (yesterday 98, +22%)"
+ */
+function formatChange(today, yesterday, t) {
+    const change =
+        yesterday > 0
+            ? `${today >= yesterday ? "+" : ""}${Math.round(((today - yesterday) / yesterday) * 100)}%`
+            : t("info.new");
+    return t("info.change", {
+        today: today.toLocaleString(),
+        yesterday: yesterday.toLocaleString(),
+        change,
+    });
+}
+
 module.exports = {
     config: {
         name: "info",
         aliases: ["botinfo", "about", "stats"],
         description: "Display bot information and statistics",
-        usage: "info",
+        usage: "info [days]",
         category: "user",
         cooldown: 10,
         permissions: "user",
         enabled: true,
         dmOnly: false,
         groupOnly: false,
+        args: [
+            {
+                name: "days",
+                type: "integer",
+                min: 1,
+                max: 90,
+                default: 7,
+                description: "Days covered by the trend and top commands",
+            },
+        ],
     },
 
     /**
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, config, commandHandler, accountManager }) {
+    async execute({ api, event, params, config, commandHandler, accountManager, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID ? String(event.messageID) : null;
 
@@ -65,43 +97,60 @@ module.exports = {
         const cmdStats = commandHandler.getStats();
         const eventStats = eventHandler.getStats();
         const bgStats = backgroundHandler.getStats();
+        const queueStats = sendQueue.getStats();
         const trackerStats = statsTracker.getStats();
+        const { today, yesterday } = statsTracker.compareDays();
+        const trend = statsTracker.getTrend(params.days);
+        const windowTop = statsTracker.getTopCommands(5, { days: params.days });
 
         // Get account information
         const onlineAccounts = accountManager ? accountManager.getOnlineAccounts().length : 1;
 
         // Conditional prefix display
-        const prefixInfo = config.bot.prefixEnabled ? `\nPrefix: ${config.bot.prefix}` : "";
+        const prefixInfo = config.bot.prefixEnabled
+            ? t("info.prefix", { prefix: config.bot.prefix })
+            : "";
 
         // Build the info message - Pure text only
-        const infoMessage = `NERO SYSTEM INFORMATION
-
-GENERAL INFORMATION
-Name: ${config.bot.name}
-Version: v${packageJson.version}${prefixInfo}
-Owner: 0x3EF8
-
-SYSTEM STATUS
-Platform: ${platform} (${arch})
-Node.js: ${nodeVersion}
-Memory: ${formatBytes(memUsage.heapUsed)} / ${formatBytes(memUsage.heapTotal)}
-Uptime: ${trackerStats.uptimeFormatted}
-
-BOT INFRASTRUCTURE
-Active Accounts: ${onlineAccounts}
-Commands: ${cmdStats.totalCommands}
-Event Handlers: ${eventStats.loaded}
-Background Tasks: ${bgStats.loaded}
-
-REAL-TIME METRICS
-Total Messages: ${trackerStats.messages.total.toLocaleString()}
-Commands Run: ${trackerStats.commands.successful.toLocaleString()}
-Active Users: ${trackerStats.activeUsers.toLocaleString()}
-Active Threads: ${trackerStats.activeThreads.toLocaleString()}
-
-ADMINISTRATION
-Admins: ${config.bot.admins.length}
-Super Admins: ${config.bot.superAdmins.length}`;
+        const infoMessage = t("info.report", {
+            name: config.bot.name,
+            version: packageJson.version,
+            prefix: prefixInfo,
+            platform,
+            arch,
+            node: nodeVersion,
+            memoryUsed: formatBytes(memUsage.heapUsed),
+            memoryTotal: formatBytes(memUsage.heapTotal),
+            uptime: trackerStats.uptimeFormatted,
+            accounts: onlineAccounts,
+            commands: cmdStats.totalCommands,
+            events: eventStats.loaded,
+            background: bgStats.loaded,
+            queued: queueStats.queued,
+            sending: queueStats.sending,
+            totalMessages: trackerStats.messages.total.toLocaleString(),
+            commandsRun: trackerStats.commands.successful.toLocaleString(),
+            activeUsers: trackerStats.activeUsers.toLocaleString(),
+            activeThreads: trackerStats.activeThreads.toLocaleString(),
+            messagesChange: formatChange(today.messages, yesterday.messages, t),
+            commandsChange: formatChange(today.commands.total, yesterday.commands.total, t),
+            failedChange: formatChange(today.commands.failed, yesterday.commands.failed, t),
+            days: params.days,
+            trend: trend
+                .map((day) =>
+                    t("info.trendLine", {
+                        date: day.date,
+                        messages: day.messages,
+                        commands: day.commands,
+                    })
+                )
+                .join("\n"),
+            top:
+                windowTop.map((cmd, i) => `${i + 1}. ${cmd.name} (${cmd.count})`).join("\n") ||
+                t("info.noneYet"),
+            admins: config.bot.admins.length,
+            superAdmins: config.bot.superAdmins.length,
+        });
 
         api.sendMessage(infoMessage, threadID, null, messageID);
     },
@@ -0,0 +1,105 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                           LANGUAGE COMMAND                                    ║
+ * ║                 Choose the language the bot replies to you in                 ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *  • language              -> Show your language and the available ones
+ *  • language set <code>   -> Reply to you in this language everywhere
+ *  • language reset        -> Follow each thread's language again
+ *
+ * A thread's language is set by its admins with `threadconfig set language <code>`.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const i18n = require("../../../utils/i18n");
+const threadConfig = require("../../../utils/threadConfig");
+
+/**
+ * Lists available locales with their names
+ * @returns {string}
+ */
+function listLocales() {
+    return i18n
+        .getLocales()
+        .map((locale) => `${locale} (${i18n.getLanguageName(locale)})`)
+        .join(", ");
+}
+
+module.exports = {
+    config: {
+        name: "language",
+        aliases: ["lang", "wika"],
+        description: "Choose the language the bot replies to you in",
+        category: "user",
+        cooldown: 3,
+        permissions: "user",
+        enabled: true,
+        dmOnly: false,
+        groupOnly: false,
+    },
+
+    subcommands: {
+        set: {
+            description: "Set your language",
+            args: [{ name: "locale", type: "string", required: true, description: "e.g. en, fil" }],
+            async execute({ api, event, params }) {
+                const { threadID, messageID, senderID } = event;
+
+                try {
+                    const locale = i18n.setUserLocale(senderID, params.locale);
+                    return api.sendMessage(
+                        i18n.t("language.set", { language: i18n.getLanguageName(locale) }, locale),
+                        threadID,
+                        messageID
+                    );
+                } catch (error) {
+                    return api.sendMessage(`❌ ${error.message}`, threadID, messageID);
+                }
+            },
+        },
+
+        reset: {
+            description: "Follow the thread's language again",
+            async execute({ api, event }) {
+                const { threadID, messageID, senderID } = event;
+
+                i18n.setUserLocale(senderID, null);
+                const locale = i18n.getLocale({ threadID });
+
+                return api.sendMessage(
+                    i18n.t("language.reset", { language: i18n.getLanguageName(locale) }, locale),
+                    threadID,
+                    messageID
+                );
+            },
+        },
+    },
+
+    async execute({ api, event, prefix, t, locale }) {
+        const { threadID, messageID, senderID } = event;
+
+        let source = "default";
+        if (i18n.getUserLocale(senderID)) {
+            source = "user";
+        } else if (threadConfig.getOverrides(threadID).language) {
+            source = "thread";
+        }
+
+        const msg =
+            `${t("language.current", {
+                language: i18n.getLanguageName(locale),
+                locale,
+                source: t(`language.source.${source}`),
+            })}\n` +
+            `${t("language.available", { locales: listLocales() })}\n\n` +
+            t("language.usage", { prefix: prefix || "" });
+
+        return api.sendMessage(msg, threadID, messageID);
+    },
+};
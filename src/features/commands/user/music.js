@@ -119,6 +119,7 @@ module.exports = {
         usage: "music <search query>",
         category: "media",
         cooldown: 10,
+        rateLimit: { limit: 2, per: "1m", scope: "thread" }, // Downloads are heavy
         permissions: "user",
         enabled: true,
         dmOnly: false,
@@ -128,7 +129,7 @@ module.exports = {
     /**
      * Command execution function
      */
-    async execute({ api, event, args, config }) {
+    async execute({ api, event, args, config, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
 
@@ -136,7 +137,7 @@ module.exports = {
 
         if (!query) {
             return api.sendMessage(
-                `❌ Please provide a search query.\n\nUsage: ${config.bot.prefix}music <query>`,
+                t("music.usage", { command: `${config.bot.prefix}music` }),
                 threadID,
                 messageID
             );
@@ -169,18 +170,14 @@ module.exports = {
 
             if (allVideos.length === 0) {
                 api.setMessageReaction("❌", messageID, () => {}, true);
-                return api.sendMessage(
-                    "❌ No music found for your search query.",
-                    threadID,
-                    messageID
-                );
+                return api.sendMessage(t("music.noResults"), threadID, messageID);
             }
 
             // Find video within duration limit using search result duration
             let selectedVideo = null;
             let videoTitle = "";
             let channelName = "";
-            let duration = "Unknown";
+            let duration = t("common.unknown");
 
             for (const video of allVideos) {
                 try {
@@ -194,7 +191,7 @@ module.exports = {
                     if (dur >= 10 && dur <= 600) {
                         selectedVideo = video;
                         videoTitle = video.title.text;
-                        channelName = video.author?.name || "Unknown";
+                        channelName = video.author?.name || t("common.unknown");
                         duration = durationText;
                         console.log(chalk.green(`✓ Found: ${videoTitle}`));
                         break;
@@ -207,8 +204,8 @@ module.exports = {
             if (!selectedVideo) {
                 selectedVideo = allVideos[0];
                 videoTitle = selectedVideo.title.text;
-                channelName = selectedVideo.author?.name || "Unknown";
-                duration = selectedVideo.duration?.text || "Unknown";
+                channelName = selectedVideo.author?.name || t("common.unknown");
+                duration = selectedVideo.duration?.text || t("common.unknown");
             }
 
             console.log(chalk.cyan(`🎵 Downloading: ${videoTitle}`));
@@ -231,7 +228,7 @@ module.exports = {
                 fs.unlinkSync(audioPath);
                 api.setMessageReaction("❌", messageID, () => {}, true);
                 return api.sendMessage(
-                    `⚠️ Audio file too large (${fileSizeMB.toFixed(2)} MB). Max: 50 MB`,
+                    t("music.tooLarge", { size: fileSizeMB.toFixed(2) }),
                     threadID,
                     messageID
                 );
@@ -243,7 +240,7 @@ module.exports = {
             // Send music and text in a single message
             await api.sendMessage(
                 {
-                    body: `🎵 ${videoTitle}\n👤 ${channelName}\n⏱️ ${duration}`,
+                    body: t("music.result", { title: videoTitle, channel: channelName, duration }),
                     attachment: fs.createReadStream(audioPath),
                 },
                 threadID,
@@ -278,7 +275,7 @@ module.exports = {
             }
 
             return api.sendMessage(
-                `❌ Failed to fetch music: ${error.message}`,
+                t("music.failed", { error: error.message }),
                 threadID,
                 messageID
             );
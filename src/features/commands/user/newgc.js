@@ -33,7 +33,7 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, config, logger: _logger }) {
+    async execute({ api, event, args, config, logger: _logger, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const senderID = event.senderID;
@@ -132,11 +132,7 @@ module.exports = {
                 const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
                 const commandName = this.config.name;
                 return api.sendMessage(
-                    `❌ The "all" option only works in group chats!\n\n` +
-                        `📖 Usage in groups:\n` +
-                        `• ${actualPrefix}${commandName} all - Add all current members\n` +
-                        `• ${actualPrefix}${commandName} all gn NewGroup - With group name\n` +
-                        `• ${actualPrefix}${commandName} all gn NewGroup expt @user - Exclude users`,
+                    t("newgc.allGroupOnly", { command: `${actualPrefix}${commandName}` }),
                     threadID,
                     messageID
                 );
@@ -144,17 +140,13 @@ module.exports = {
 
             try {
                 // Send loading message
-                const loadingMsg = await api.sendMessage("⏳ Fetching group members...", threadID);
+                const loadingMsg = await api.sendMessage(t("newgc.fetching"), threadID);
 
                 // Get current thread info
                 const threadInfo = await api.getThreadInfo(threadID);
 
                 if (!threadInfo || !threadInfo.participantIDs) {
-                    return api.sendMessage(
-                        `❌ Could not get group members!\n\n` + `Please try again later.`,
-                        threadID,
-                        messageID
-                    );
+                    return api.sendMessage(t("newgc.noMembers"), threadID, messageID);
                 }
 
                 // Get all participant IDs (excluding the bot)
@@ -173,10 +165,10 @@ module.exports = {
                     const userInfo = await api.getUserInfo(participantIDs);
                     memberNames = participantIDs.map((id) => {
                         const user = userInfo[id];
-                        return user ? user.name : `User ${id}`;
+                        return user ? user.name : t("common.user", { id });
                     });
                 } catch {
-                    memberNames = participantIDs.map((_, i) => `Member ${i + 1}`);
+                    memberNames = participantIDs.map((_, i) => t("newgc.member", { index: i + 1 }));
                 }
 
                 // Update loading message
@@ -189,7 +181,7 @@ module.exports = {
                 }
             } catch (error) {
                 return api.sendMessage(
-                    `❌ Failed to get group members!\n\n` + `Error: ${error.message || error}`,
+                    t("newgc.membersFailed", { error: error.message || error }),
                     threadID,
                     messageID
                 );
@@ -200,17 +192,7 @@ module.exports = {
                 const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
                 const commandName = this.config.name;
                 return api.sendMessage(
-                    `❌ Please mention users or use "all" to add everyone!\n\n` +
-                        `📖 Usage:\n` +
-                        `• ${actualPrefix}${commandName} @user1 @user2 - Specific users\n` +
-                        `• ${actualPrefix}${commandName} gn MyGroup @user1 @user2 - With name\n` +
-                        `• ${actualPrefix}${commandName} all - All current group members\n` +
-                        `• ${actualPrefix}${commandName} all gn NewGroup - All members with name\n` +
-                        `• ${actualPrefix}${commandName} all gn NewGroup expt @user1 @user2 - Exclude users\n\n` +
-                        `📝 Options:\n` +
-                        `• "gn" = group name\n` +
-                        `• "all" = add all members from current group\n` +
-                        `• "expt" = except/exclude mentioned users (use with "all")`,
+                    t("newgc.usage", { command: `${actualPrefix}${commandName}` }),
                     threadID,
                     messageID
                 );
@@ -228,8 +210,9 @@ module.exports = {
         // Need at least 2 participants (API requirement)
         if (participantIDs.length < 2) {
             return api.sendMessage(
-                `❌ Need at least 2 participants to create a group!\n\n` +
-                    `${addAllMembers ? "The current group needs more members." : "Mention more users to add them."}`,
+                t("newgc.tooFew", {
+                    hint: t(addAllMembers ? "newgc.hint.all" : "newgc.hint.mention"),
+                }),
                 threadID,
                 messageID
             );
@@ -238,20 +221,16 @@ module.exports = {
         try {
             // Check if createNewGroup exists
             if (!api.createNewGroup) {
-                return api.sendMessage(
-                    `❌ Group creation is not available in this API version.`,
-                    threadID,
-                    messageID
-                );
+                return api.sendMessage(t("newgc.unsupported"), threadID, messageID);
             }
 
             // Send creating message
-            let creatingMsg =
-                `⏳ Creating group${groupName ? ` "${groupName}"` : ""}...\n` +
-                `👥 Adding ${participantIDs.length} members...`;
+            let creatingMsg = groupName
+                ? t("newgc.creatingNamed", { name: groupName, count: participantIDs.length })
+                : t("newgc.creating", { count: participantIDs.length });
 
             if (excludeMembers && excludedNames.length > 0) {
-                creatingMsg += `\n🚫 Excluding: ${excludedNames.join(", ")}`;
+                creatingMsg += t("newgc.excluding", { names: excludedNames.join(", ") });
             }
 
             await api.sendMessage(creatingMsg, threadID, null, messageID);
@@ -260,16 +239,17 @@ module.exports = {
             const result = await api.createNewGroup(participantIDs, groupName);
 
             if (result && result.success) {
-                let response = `✅ Group created successfully!\n\n`;
-                response += `📋 **Details:**\n`;
+                let response = t("newgc.created");
                 if (groupName) {
-                    response += `• Name: ${groupName}\n`;
+                    response += t("newgc.name", { name: groupName });
                 }
-                response += `• Members: ${result.totalParticipants || participantIDs.length}\n`;
-                response += `• Thread ID: ${result.threadID}\n\n`;
+                response += t("newgc.details", {
+                    count: result.totalParticipants || participantIDs.length,
+                    id: result.threadID,
+                });
 
                 // Show member list (limit to 20 for readability)
-                response += `👥 **Added (${memberNames.length} users):**\n`;
+                response += t("newgc.added", { count: memberNames.length });
                 const displayLimit = 20;
                 const displayNames = memberNames.slice(0, displayLimit);
                 displayNames.forEach((name, index) => {
@@ -277,12 +257,12 @@ module.exports = {
                 });
 
                 if (memberNames.length > displayLimit) {
-                    response += `  ... and ${memberNames.length - displayLimit} more\n`;
+                    response += t("newgc.more", { count: memberNames.length - displayLimit });
                 }
 
                 // Show excluded users if any
                 if (excludeMembers && excludedNames.length > 0) {
-                    response += `\n🚫 **Excluded (${excludedNames.length} users):**\n`;
+                    response += t("newgc.excluded", { count: excludedNames.length });
                     excludedNames.forEach((name, index) => {
                         response += `  ${index + 1}. ${name}\n`;
                     });
@@ -302,7 +282,7 @@ module.exports = {
                             true
                         );
                         if (adminResult && adminResult.type !== "error_admin") {
-                            response += `\n👑 **Admin:** You have been promoted to admin!`;
+                            response += t("newgc.promoted");
                         }
                     } catch {
                         // Silently fail if admin promotion fails
@@ -310,15 +290,14 @@ module.exports = {
                     }
                 }
 
-                response += `\n💬 The group has been created! Check your messages.`;
+                response += t("newgc.check");
 
                 await api.sendMessage(response, threadID, null, messageID);
 
                 // Send a welcome message to the new group
-                const welcomeMsg =
-                    `👋 Welcome to${groupName ? ` "${groupName}"` : " the group"}!\n\n` +
-                    `This group was created with ${participantIDs.length} members.\n` +
-                    `Type "!help" to see available commands.`;
+                const welcomeMsg = groupName
+                    ? t("newgc.welcomeNamed", { name: groupName, count: participantIDs.length })
+                    : t("newgc.welcome", { count: participantIDs.length });
 
                 try {
                     await api.sendMessage(welcomeMsg, result.threadID);
@@ -326,16 +305,11 @@ module.exports = {
                     // Ignore if welcome message fails
                 }
             } else {
-                await api.sendMessage(
-                    `❌ Failed to create group!\n\n` + `Please try again later.`,
-                    threadID,
-                    messageID
-                );
+                await api.sendMessage(t("newgc.createFailed"), threadID, messageID);
             }
         } catch (error) {
             await api.sendMessage(
-                `❌ Failed to create group!\n\n` +
-                    `Error: ${error.message || error.error || error}`,
+                t("newgc.createError", { error: error.message || error.error || error }),
                 threadID,
                 messageID
             );
@@ -26,15 +26,15 @@ function getStatusEmoji(ping) {
 }
 
 /**
- * Gets status text based on ping
+ * Gets the catalog key of the status text for a ping
  * @param {number} ping - Ping in milliseconds
  * @returns {string}
  */
-function getStatusText(ping) {
-    if (ping < 100) return "Excellent";
-    if (ping < 300) return "Good";
-    if (ping < 500) return "Fair";
-    return "Poor";
+function getStatusKey(ping) {
+    if (ping < 100) return "ping.status.excellent";
+    if (ping < 300) return "ping.status.good";
+    if (ping < 500) return "ping.status.fair";
+    return "ping.status.poor";
 }
 
 /**
@@ -75,7 +75,7 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event }) {
+    async execute({ api, event, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
 
@@ -85,7 +85,7 @@ module.exports = {
         const ping = Date.now() - startTime;
 
         const status = getStatusEmoji(ping);
-        const statusText = getStatusText(ping);
+        const statusText = t(getStatusKey(ping));
 
         // Get system info
         const uptime = process.uptime();
@@ -94,12 +94,13 @@ module.exports = {
         const memUsedMB = (memUsage.heapUsed / 1024 / 1024).toFixed(2);
 
         // Build response
-        const response =
-            `🏓 Pong!\n\n` +
-            `${status} Status: ${statusText}\n` +
-            `⏱️ Latency: ${ping}ms\n` +
-            `🕐 Uptime: ${uptimeStr}\n` +
-            `💾 Memory: ${memUsedMB} MB`;
+        const response = t("ping.pong", {
+            emoji: status,
+            status: statusText,
+            ping,
+            uptime: uptimeStr,
+            memory: memUsedMB,
+        });
 
         // Send the result as a reply to the original message
         await api.sendMessage(response, threadID, null, messageID);
@@ -156,7 +156,7 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, args, config }) {
+    async execute({ api, event, args, config, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
 
@@ -165,17 +165,7 @@ module.exports = {
             const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
             const commandName = this.config.name;
             return api.sendMessage(
-                "⚠️ Please provide text, URL, or name to generate QR code.\n\n" +
-                "Usage:\n" +
-                `• ${actualPrefix}${commandName} <text> [-c <color>] - Generate styled QR with optional color\n` +
-                `• ${actualPrefix}${commandName} <list> - Bulk generate (numbered list or newlines)\n\n` +
-                "Options:\n" +
-                "• -c, -color : Hex code (e.g. #FF0000) or name (e.g. orange)\n\n" +
-                "Examples:\n" +
-                `• ${actualPrefix}${commandName} https://google.com -c red\n` +
-                `• ${actualPrefix}${commandName} -c orange\n` +
-                `1. Garcia, Adrian Michael\n` +
-                `2. Santos, Bianca Rose`,
+                t("qr.usage", { command: `${actualPrefix}${commandName}` }),
                 threadID,
                 messageID
             );
@@ -229,11 +219,7 @@ module.exports = {
         const rawData = body.trim();
 
         if (!rawData) {
-            return api.sendMessage(
-                "⚠️ Please provide text or data for the QR code.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("qr.noData"), threadID, messageID);
         }
 
         // Split by newline or numbering pattern (e.g. "1. Item 2. Item")
@@ -287,10 +273,12 @@ module.exports = {
 
             const messageBody =
                 items.length > 1
-                    ? `📱 Generated ${items.length} QR Codes`
+                    ? t("qr.generatedMany", { count: items.length })
                     : isName(items[0])
-                        ? `📱 QR Name Card Generated`
-                        : `📱 QR Code Generated\n\n📝 Data: ${items[0].length > 50 ? items[0].substring(0, 50) + "..." : items[0]}`;
+                        ? t("qr.generatedCard")
+                        : t("qr.generated", {
+                            data: items[0].length > 50 ? items[0].substring(0, 50) + "..." : items[0],
+                        });
 
             // Send all QR codes in one message
             await api.sendMessage(
@@ -307,7 +295,7 @@ module.exports = {
         } catch (error) {
             api.setMessageReaction("❌", messageID, () => { }, true);
             return api.sendMessage(
-                `❌ Failed to generate QR codes: ${error.message}`,
+                t("qr.failedMany", { error: error.message }),
                 threadID,
                 null,
                 messageID
@@ -321,7 +309,7 @@ module.exports = {
                         try {
                             fs.unlinkSync(file);
                         } catch (_e) {
-                            api.sendMessage("❌ Failed to generate QR code", threadID, null, messageID);
+                            api.sendMessage(t("qr.failed"), threadID, null, messageID);
                         }
                     }
                 });
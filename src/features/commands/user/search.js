@@ -32,14 +32,14 @@ module.exports = {
     /**
      * Command execution function
      */
-    async execute({ api, event, args, config }) {
+    async execute({ api, event, args, config, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const query = args.join(" ");
 
         if (!query) {
             return api.sendMessage(
-                `❌ Please provide a search query.\n\nUsage: ${config.bot.prefix}search <query>`,
+                t("search.usage", { command: `${config.bot.prefix}search` }),
                 threadID,
                 messageID
             );
@@ -69,7 +69,7 @@ module.exports = {
                 const title = titleElem.text().trim();
                 let link = titleElem.attr("href");
                 const description =
-                    $(elem).find(".result__snippet").text().trim() || "No description available.";
+                    $(elem).find(".result__snippet").text().trim() || t("search.noDescription");
 
                 // Decode DDG link
                 if (link && link.includes("uddg=")) {
@@ -90,16 +90,11 @@ module.exports = {
 
             if (results.length === 0) {
                 api.setMessageReaction("❌", messageID, () => {}, true);
-                return api.sendMessage(
-                    "Error: No results found for your query.",
-                    threadID,
-                    messageID
-                );
+                return api.sendMessage(t("search.noResults"), threadID, messageID);
             }
 
             // 3. Format Output
-            let message = `WEB SEARCH RESULTS\n`;
-            message += `QUERY: ${query.toUpperCase()}\n\n`;
+            let message = t("search.header", { query: query.toUpperCase() });
 
             results.forEach((res, index) => {
                 let domain = "";
@@ -109,20 +104,28 @@ module.exports = {
                     domain = "link";
                 }
 
-                message += `[${index + 1}] ${res.title}\n`;
-                message += `Source: ${domain}\n`;
-                message += `Summary: ${res.description}\n`;
-                message += `URL: ${res.link}\n\n`;
+                message += t("search.result", {
+                    index: index + 1,
+                    title: res.title,
+                    domain,
+                    description: res.description,
+                    link: res.link,
+                });
             });
 
-            message += `Total results retrieved: ${results.length}`;
+            message += t("search.total", { count: results.length });
 
             api.setMessageReaction("✅", messageID, () => {}, true);
             return api.sendMessage(message, threadID, null, messageID);
         } catch (error) {
             console.error("[Search] Error:", error.message);
             api.setMessageReaction("❌", messageID, () => {}, true);
-            return api.sendMessage(`❌ Failed to search: ${error.message}`, threadID, null, messageID);
+            return api.sendMessage(
+                t("search.failed", { error: error.message }),
+                threadID,
+                null,
+                messageID
+            );
         }
     },
 };
@@ -16,6 +16,7 @@
 const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
+const { paginate } = require("../../../utils/paginator");
 
 // Path to target users storage
 const TARGETS_PATH = path.resolve(__dirname, "..", "..", "..", "config", "shoti.json");
@@ -68,7 +69,8 @@ module.exports = {
     /**
      * Command execution function
      */
-    async execute({ api, event, args, config }, retries = 0) {
+    async execute(context, retries = 0) {
+        const { api, event, args, t } = context;
         const threadID = event.threadID;
         const messageID = event.messageID;
         const targetUsers = loadTargets();
@@ -80,29 +82,22 @@ module.exports = {
             // List Subcommand (-l)
             if (action === "-l" || action === "list") {
                 if (targetUsers.length === 0) {
-                    return api.sendMessage(
-                        "📝 The Shoti list is currently empty.",
-                        threadID,
-                        messageID
-                    );
+                    return api.sendMessage(t("shoti.listEmpty"), threadID, messageID);
                 }
-                const list = targetUsers.map((user, i) => `${i + 1}. ${user}`).join("\n");
-                return api.sendMessage(
-                    `🌟 **Shoti List** 🌟\n\n${list}\n\nTotal: ${targetUsers.length} users`,
-                    threadID,
-                    messageID
-                );
+                return paginate(context, {
+                    title: t("shoti.listTitle"),
+                    items: targetUsers,
+                    perPage: 20,
+                    render: (user, i) => `${i + 1}. ${user}`,
+                    footer: t("shoti.listFooter", { count: targetUsers.length }),
+                });
             }
 
             // Add Subcommand (-a)
             if (action === "-a" || action === "add") {
                 let newUser = args[1]?.toLowerCase();
                 if (!newUser) {
-                    return api.sendMessage(
-                        "❌ Please provide a TikTok username to add.",
-                        threadID,
-                        messageID
-                    );
+                    return api.sendMessage(t("shoti.addUsage"), threadID, messageID);
                 }
 
                 // Remove @ prefix if present
@@ -110,7 +105,7 @@ module.exports = {
 
                 if (targetUsers.includes(newUser)) {
                     return api.sendMessage(
-                        `⚠️ '${newUser}' is already in the list.`,
+                        t("shoti.alreadyListed", { username: newUser }),
                         threadID,
                         messageID
                     );
@@ -119,16 +114,12 @@ module.exports = {
                 targetUsers.push(newUser);
                 if (saveTargets(targetUsers)) {
                     return api.sendMessage(
-                        `✅ Added '${newUser}' to the Shoti  list!`,
+                        t("shoti.added", { username: newUser }),
                         threadID,
                         messageID
                     );
                 } else {
-                    return api.sendMessage(
-                        "❌ Failed to save the updated list. Please check logs.",
-                        threadID,
-                        messageID
-                    );
+                    return api.sendMessage(t("shoti.saveFailed"), threadID, messageID);
                 }
             }
 
@@ -136,17 +127,13 @@ module.exports = {
             if (action === "-r" || action === "remove") {
                 const userToDelete = args[1]?.toLowerCase();
                 if (!userToDelete) {
-                    return api.sendMessage(
-                        "❌ Please provide a TikTok username to remove.",
-                        threadID,
-                        messageID
-                    );
+                    return api.sendMessage(t("shoti.removeUsage"), threadID, messageID);
                 }
 
                 const index = targetUsers.indexOf(userToDelete);
                 if (index === -1) {
                     return api.sendMessage(
-                        `⚠️ '${userToDelete}' is not in the list.`,
+                        t("shoti.notListed", { username: userToDelete }),
                         threadID,
                         messageID
                     );
@@ -155,37 +142,25 @@ module.exports = {
                 targetUsers.splice(index, 1);
                 if (saveTargets(targetUsers)) {
                     return api.sendMessage(
-                        `✅ Removed '${userToDelete}' from the Shoti list!`,
+                        t("shoti.removed", { username: userToDelete }),
                         threadID,
                         messageID
                     );
                 } else {
-                    return api.sendMessage(
-                        "❌ Failed to save the updated list. Please check logs.",
-                        threadID,
-                        messageID
-                    );
+                    return api.sendMessage(t("shoti.saveFailed"), threadID, messageID);
                 }
             }
         }
 
         // 2. Base Command: Fetch Random Video
         if (targetUsers.length === 0) {
-            return api.sendMessage(
-                "❌ Shoti list is empty. Add users first using 'shoti add <username>'.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("shoti.empty"), threadID, messageID);
         }
 
         // Prevent infinite loops
         if (retries > 5) {
             api.setMessageReaction("❌", messageID, () => {}, true);
-            return api.sendMessage(
-                "❌ Failed to fetch a valid video after multiple attempts. Try again later.",
-                threadID,
-                messageID
-            );
+            return api.sendMessage(t("shoti.fetchFailed"), threadID, messageID);
         }
 
         // React to show processing
@@ -237,7 +212,7 @@ module.exports = {
             // If no videos found for this user, try a different user from the list
             if (videos.length === 0) {
                 console.log(`[Shoti] No videos found for '${randomUser}', trying different user...`);
-                return this.execute({ api, event, args, config }, retries + 1);
+                return this.execute(context, retries + 1);
             }
 
             // 3. Select a unique video
@@ -280,7 +255,7 @@ module.exports = {
             const size = videoStream.headers["content-length"];
             if (size && parseInt(size) > 50 * 1024 * 1024) {
                 console.log("[Shoti] Video too large, retrying...");
-                return this.execute({ api, event, args, config }, retries + 1);
+                return this.execute(context, retries + 1);
             }
 
             // Assign filename
@@ -304,18 +279,23 @@ module.exports = {
                     console.warn(
                         `[Shoti] Facebook rejected video. Retrying (Attempt ${retries + 1})...`
                     );
-                    return this.execute({ api, event, args, config }, retries + 1);
+                    return this.execute(context, retries + 1);
                 }
                 throw sendError;
             }
         } catch (error) {
             console.error("[Shoti] Error:", error.message);
             if (retries < 3) {
-                return this.execute({ api, event, args, config }, retries + 1);
+                return this.execute(context, retries + 1);
             }
 
             api.setMessageReaction("❌", messageID, () => {}, true);
-            return api.sendMessage(`❌ Error: ${error.message}`, threadID, null, messageID);
+            return api.sendMessage(
+                t("shoti.error", { error: error.message }),
+                threadID,
+                null,
+                messageID
+            );
         }
     },
 };
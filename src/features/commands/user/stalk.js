@@ -44,7 +44,7 @@ function fetchImage(url, filename) {
 /**
  * Estimate account creation period from UID
  */
-function estimateAccountAge(uid) {
+function estimateAccountAge(uid, t) {
     const uidNum = parseInt(uid);
     if (isNaN(uidNum)) return null;
 
@@ -54,7 +54,7 @@ function estimateAccountAge(uid) {
     if (uidNum < 1000000000) return "2010-2012";
     if (uidNum < 10000000000) return "2012-2015";
     if (uidNum < 100000000000) return "2015-2018";
-    return "2018-Present";
+    return t("stalk.since2018");
 }
 
 module.exports = {
@@ -76,7 +76,7 @@ module.exports = {
         groupOnly: false,
     },
 
-    async execute({ api, event, args, config }) {
+    async execute({ api, event, args, config, t }) {
         const { threadID, messageID, senderID, messageReply, mentions } = event;
 
         let targetID = null;
@@ -93,8 +93,7 @@ module.exports = {
                 const actualPrefix = config.bot.prefixEnabled ? config.bot.prefix : "";
                 const commandName = this.config.name;
                 return api.sendMessage(
-                    `❌ Invalid UID format.\n\n` +
-                        `Usage: ${actualPrefix}${commandName} [@mention | reply to message | UID]`,
+                    t("stalk.invalidUid", { command: `${actualPrefix}${commandName}` }),
                     threadID,
                     messageID
                 );
@@ -112,68 +111,80 @@ module.exports = {
             });
 
             if (!userInfo) {
-                return api.sendMessage("Could not fetch user information.", threadID, null, messageID);
+                return api.sendMessage(t("stalk.notFound"), threadID, null, messageID);
             }
 
             const formatGender = (gender) => {
-                if (!gender) return "Not specified";
+                if (!gender) return t("stalk.gender.unspecified");
                 const g = gender.toLowerCase();
-                if (g === "male" || g === "male_singular") return "Male";
-                if (g === "female" || g === "female_singular") return "Female";
+                if (g === "male" || g === "male_singular") return t("stalk.gender.male");
+                if (g === "female" || g === "female_singular") return t("stalk.gender.female");
                 return gender;
             };
 
-            const lines = [`𝗨𝗦𝗘𝗥 𝗣𝗥𝗢𝗙𝗜𝗟𝗘`, ``, `Name: ${userInfo.name || "Unknown"}`];
+            const lines = [
+                t("stalk.title"),
+                ``,
+                t("stalk.name", { name: userInfo.name || t("common.unknown") }),
+            ];
 
             if (userInfo.firstName && userInfo.lastName) {
-                lines.push(`First Name: ${userInfo.firstName}`);
-                lines.push(`Last Name: ${userInfo.lastName}`);
+                lines.push(t("stalk.firstName", { name: userInfo.firstName }));
+                lines.push(t("stalk.lastName", { name: userInfo.lastName }));
             }
 
-            lines.push(`User ID: ${userInfo.id || targetID}`);
+            lines.push(t("stalk.userId", { id: userInfo.id || targetID }));
 
             if (userInfo.vanity) {
-                lines.push(`Username: @${userInfo.vanity}`);
+                lines.push(t("stalk.username", { username: userInfo.vanity }));
             }
 
-            lines.push(`Gender: ${formatGender(userInfo.gender)}`);
+            lines.push(t("stalk.genderLine", { gender: formatGender(userInfo.gender) }));
 
             if (userInfo.type) {
-                lines.push(`Account Type: ${userInfo.type}`);
+                lines.push(t("stalk.type", { type: userInfo.type }));
             }
 
-            const ageEstimate = estimateAccountAge(targetID);
+            const ageEstimate = estimateAccountAge(targetID, t);
             if (ageEstimate) {
-                lines.push(`Est. Created: ${ageEstimate}`);
+                lines.push(t("stalk.created", { period: ageEstimate }));
             }
 
             if (userInfo.bio) {
                 lines.push(``);
-                lines.push(`Bio: ${userInfo.bio}`);
+                lines.push(t("stalk.bio", { bio: userInfo.bio }));
             }
 
             if (userInfo.headline) {
-                lines.push(`Headline: ${userInfo.headline}`);
+                lines.push(t("stalk.headline", { headline: userInfo.headline }));
             }
 
             if (userInfo.live_city) {
-                lines.push(`Location: ${userInfo.live_city}`);
+                lines.push(t("stalk.location", { location: userInfo.live_city }));
             }
 
             lines.push(``);
-            lines.push(`Verified: ${userInfo.isVerified ? "Yes" : "No"}`);
-            lines.push(`Birthday Today: ${userInfo.isBirthday ? "Yes" : "No"}`);
+            lines.push(
+                t("stalk.verified", { value: t(userInfo.isVerified ? "common.yes" : "common.no") })
+            );
+            lines.push(
+                t("stalk.birthday", { value: t(userInfo.isBirthday ? "common.yes" : "common.no") })
+            );
 
             if (userInfo.followers) {
-                lines.push(`Followers: ${userInfo.followers}`);
+                lines.push(t("stalk.followers", { count: userInfo.followers }));
             }
 
             if (userInfo.following) {
-                lines.push(`Following: ${userInfo.following}`);
+                lines.push(t("stalk.following", { count: userInfo.following }));
             }
 
             lines.push(``);
-            lines.push(`Profile: ${userInfo.profileUrl || `https://facebook.com/${targetID}`}`);
+            lines.push(
+                t("stalk.profile", {
+                    url: userInfo.profileUrl || `https://facebook.com/${targetID}`,
+                })
+            );
 
             const message = lines.join("\n");
 
@@ -214,7 +225,7 @@ module.exports = {
         } catch (error) {
             console.error("[STALK]", error);
             return api.sendMessage(
-                `Error: ${error.message || "Unknown error"}`,
+                t("stalk.error", { error: error.message || t("common.unknownError") }),
                 threadID,
                 messageID
             );
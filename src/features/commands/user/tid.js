@@ -31,33 +31,28 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event }) {
+    async execute({ api, event, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID ? String(event.messageID) : null;
 
         try {
             // Get thread info to possibly show the group name
             const threadInfo = await api.getThreadInfo(threadID);
-            const threadName = threadInfo.threadName || "Unnamed Group";
+            const threadName = threadInfo.threadName || t("tid.unnamed");
             const isGroup = threadInfo.isGroup;
             const participantCount = threadInfo.participantIDs ? threadInfo.participantIDs.length : 0;
 
-            const response =
-                `📂 Thread Information\n\n` +
-                `📛 Name: ${threadName}\n` +
-                `🆔 Thread ID: ${threadID}\n` +
-                `👥 Type: ${isGroup ? "Group Chat" : "Direct Message"}\n` +
-                `👤 Participants: ${participantCount}`;
+            const response = t("tid.info", {
+                name: threadName,
+                id: threadID,
+                type: t(isGroup ? "tid.type.group" : "tid.type.direct"),
+                count: participantCount,
+            });
 
             await api.sendMessage(response, threadID, null, messageID);
         } catch {
             // Fallback - just show the ID if getThreadInfo fails
-            await api.sendMessage(
-                `🆔 Thread ID:\n${threadID}`,
-                threadID,
-                null,
-                messageID
-            );
+            await api.sendMessage(t("tid.fallback", { id: threadID }), threadID, null, messageID);
         }
     },
 };
@@ -40,18 +40,14 @@ module.exports = {
     /**
      * Command execution function
      */
-    async execute({ api, event, args, messageID }, retries = 0) {
+    async execute({ api, event, args, messageID, t }, retries = 0) {
         const threadID = event.threadID;
         const query = args.join(" ");
 
         // Prevent infinite loops
         if (retries > 5) {
             api.setMessageReaction("❌", event.messageID, () => {}, true);
-            return api.sendMessage(
-                "❌ Failed to send video after multiple attempts.",
-                threadID,
-                event.messageID
-            );
+            return api.sendMessage(t("tiktok.sendFailed"), threadID, event.messageID);
         }
 
         // Set initial reaction
@@ -145,9 +141,7 @@ module.exports = {
             }
 
             if (!videos || videos.length === 0) {
-                throw new Error(
-                    query ? `No videos found for "${query}"` : "No trending videos found."
-                );
+                throw new Error(query ? t("tiktok.noResults", { query }) : t("tiktok.noTrending"));
             }
 
             // SELECT UNIQUE VIDEO
@@ -167,8 +161,8 @@ module.exports = {
                 }
             }
 
-            const title = videoData.title || "TikTok Video";
-            const _author = videoData.author ? videoData.author.nickname : "Unknown";
+            const title = videoData.title || t("tiktok.untitled");
+            const _author = videoData.author ? videoData.author.nickname : t("common.unknown");
             const username = videoData.author ? videoData.author.unique_id : "unknown";
             const likes = videoData.digg_count ? `❤️ ${videoData.digg_count}` : "";
 
@@ -192,7 +186,7 @@ module.exports = {
             // Validate stream
             const size = videoStream.headers["content-length"];
             if (size && parseInt(size) > 50 * 1024 * 1024) {
-                throw new Error("Video too large (>50MB).");
+                throw new Error(t("tiktok.tooLarge"));
             }
 
             // Assign filename
@@ -203,11 +197,16 @@ module.exports = {
 
             // Send message
             try {
-                const header = query ? `🔎 **Result for:** ${query}` : `🔥 **Viral TikTok (PH)**`;
+                const header = query ? t("tiktok.result", { query }) : t("tiktok.viral");
 
                 await api.sendMessage(
                     {
-                        body: `${header}\n\n👤 @${username}\n📝 ${title.substring(0, 100)}\n${likes}`,
+                        body: t("tiktok.body", {
+                            header,
+                            username,
+                            title: title.substring(0, 100),
+                            likes,
+                        }),
                         attachment: videoStream.data,
                     },
                     threadID,
@@ -227,7 +226,7 @@ module.exports = {
                     console.warn(
                         `[TikTok] Facebook rejected video. Retrying (Attempt ${retries + 1})...`
                     );
-                    return this.execute({ api, event, args, messageID }, retries + 1);
+                    return this.execute({ api, event, args, messageID, t }, retries + 1);
                 }
                 throw sendError;
             }
@@ -236,7 +235,7 @@ module.exports = {
             api.setMessageReaction("❌", event.messageID, () => {}, true);
 
             return api.sendMessage(
-                `❌ ${error.message || "Failed to fetch video."}`,
+                t("tiktok.failed", { error: error.message || t("tiktok.fetchFailed") }),
                 threadID,
                 event.messageID
             );
@@ -31,22 +31,22 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event }) {
+    async execute({ api, event, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID ? String(event.messageID) : null;
 
         let targetID = event.senderID;
-        let targetType = "Your";
+        let targetType = "uid.target.own";
 
         // Check if replying to someone
         if (event.messageReply && event.messageReply.senderID) {
             targetID = event.messageReply.senderID;
-            targetType = "Replied user's";
+            targetType = "uid.target.replied";
         }
         // Check if mentioning someone
         else if (event.mentions && Object.keys(event.mentions).length > 0) {
             targetID = Object.keys(event.mentions)[0];
-            targetType = "Mentioned user's";
+            targetType = "uid.target.mentioned";
         }
 
         // Try to get user info using Promise
@@ -54,7 +54,7 @@ module.exports = {
             const info = await api.getUserInfo(targetID);
 
             // Handle different response formats
-            let name = "Unknown";
+            let name = t("common.unknown");
             if (info) {
                 if (info.name) {
                     name = info.name;
@@ -63,13 +63,17 @@ module.exports = {
                 }
             }
 
-            const response =
-                `👤 User Information\n\n` + `📛 Name: ${name}\n` + `🔢 User ID: ${targetID}`;
+            const response = t("uid.info", { name, id: targetID });
 
             await api.sendMessage(response, threadID, null, messageID);
         } catch {
             // Fallback - just show the ID
-            await api.sendMessage(`🔢 ${targetType} User ID:\n${targetID}`, threadID, null, messageID);
+            await api.sendMessage(
+                t("uid.fallback", { target: t(targetType), id: targetID }),
+                threadID,
+                null,
+                messageID
+            );
         }
     },
 };
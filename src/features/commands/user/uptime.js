@@ -60,7 +60,7 @@ module.exports = {
      * Command execution function
      * @param {Object} context - Command context
      */
-    async execute({ api, event, config }) {
+    async execute({ api, event, config, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID ? String(event.messageID) : null;
 
@@ -79,30 +79,18 @@ module.exports = {
         const startTime = new Date(Date.now() - uptimeSeconds * 1000);
         const startTimeStr = startTime.toLocaleString();
 
-        const response =
-            `⏰ ${config.bot.name} Uptime
-
-` +
-            `📅 Days: ${time.days}
-` +
-            `⏱️ Hours: ${time.hours.toString().padStart(2, "0")}
-` +
-            `${hoursBar} ${time.hours}/24h
-
-` +
-            `⏱️ Minutes: ${time.minutes.toString().padStart(2, "0")}
-` +
-            `${minutesBar} ${time.minutes}/60m
-
-` +
-            `⏱️ Seconds: ${time.seconds.toString().padStart(2, "0")}
-` +
-            `${secondsBar} ${time.seconds}/60s
-
-` +
-            `📊 Day Progress: ${percentOfDay}%
-` +
-            `🚀 Started: ${startTimeStr}`;
+        const response = t("uptime.report", {
+            name: config.bot.name,
+            days: time.days,
+            hours: time.hours.toString().padStart(2, "0"),
+            hoursBar: `${hoursBar} ${time.hours}/24h`,
+            minutes: time.minutes.toString().padStart(2, "0"),
+            minutesBar: `${minutesBar} ${time.minutes}/60m`,
+            seconds: time.seconds.toString().padStart(2, "0"),
+            secondsBar: `${secondsBar} ${time.seconds}/60s`,
+            percent: percentOfDay,
+            started: startTimeStr,
+        });
 
         api.sendMessage(response, threadID, null, messageID);
     },
@@ -111,7 +111,7 @@ async function downloadVideoWithFallback(videoId, outputPath) {
 }
 
 // Helper function for video download
-async function attemptVideoDownload(api, threadID, messageID, query, downloadDir) {
+async function attemptVideoDownload(api, threadID, messageID, query, downloadDir, t) {
     let videoPath = null;
 
     try {
@@ -154,8 +154,8 @@ async function attemptVideoDownload(api, threadID, messageID, query, downloadDir
         }
 
         const videoTitle = selectedVideo.title.text;
-        const channelName = selectedVideo.author?.name || "Unknown";
-        const duration = selectedVideo.duration?.text || "Unknown";
+        const channelName = selectedVideo.author?.name || t("common.unknown");
+        const duration = selectedVideo.duration?.text || t("common.unknown");
 
         console.log(chalk.cyan(`🎬 Downloading: ${videoTitle}`));
 
@@ -177,7 +177,7 @@ async function attemptVideoDownload(api, threadID, messageID, query, downloadDir
         api.setMessageReaction("🔃", messageID, () => { }, true);
         await api.sendMessage(
             {
-                body: `🎬 ${videoTitle}\n👤 ${channelName}\n⏱️ ${duration}`,
+                body: t("video.result", { title: videoTitle, channel: channelName, duration }),
                 attachment: fs.createReadStream(videoPath),
             },
             threadID,
@@ -224,14 +224,14 @@ module.exports = {
     /**
      * Command execution function
      */
-    async execute({ api, event, args, config }) {
+    async execute({ api, event, args, config, t }) {
         const threadID = event.threadID;
         const messageID = event.messageID;
         const query = args.join(" ");
 
         if (!query) {
             return api.sendMessage(
-                `❌ Please provide a search query.\n\nUsage: ${config.bot.prefix}video <query>`,
+                t("video.usage", { command: `${config.bot.prefix}video` }),
                 threadID,
                 messageID
             );
@@ -261,7 +261,8 @@ module.exports = {
                 threadID,
                 messageID,
                 currentQuery,
-                downloadDir
+                downloadDir,
+                t
             );
             if (success) return;
 
@@ -272,10 +273,6 @@ module.exports = {
 
         // All failed
         api.setMessageReaction("❌", messageID, () => { }, true);
-        return api.sendMessage(
-            "❌ Failed to download video after multiple attempts.",
-            threadID,
-            messageID
-        );
+        return api.sendMessage(t("video.failed"), threadID, messageID);
     },
 };
@@ -15,11 +15,14 @@
  * - Conversation summarization for long contexts
  * - Thread activity analytics
  * - Automatic memory cleanup (LRU eviction)
+ * - Persisted to bot storage so history survives restarts
  */
 
 "use strict";
 
 const { MEMORY_CONFIG } = require("./constants");
+const storage = require("../../../../../utils/storage");
+const log = require("../../../../../utils/logger");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // TYPE DEFINITIONS
@@ -72,6 +75,85 @@ const userPreferences = new Map();
 /** @type {Map<string, string>} Thread ID -> Summary of older messages (NEW) */
 const conversationSummaries = new Map();
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// PERSISTENCE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Storage namespaces used by this module */
+const NAMESPACES = {
+    chat: "ai_chat",
+    threadStats: "ai_thread_stats",
+    userPrefs: "ai_user_prefs",
+    summaries: "ai_summaries",
+    messages: "ai_messages",
+};
+
+/**
+ * Persist a thread's history and statistics
+ * @param {string} threadID - Thread identifier
+ * @private
+ */
+function persistThread(threadID) {
+    try {
+        const stats = threadStats.get(threadID);
+
+        if (chatMemory.has(threadID)) {
+            storage.set(NAMESPACES.chat, threadID, chatMemory.get(threadID));
+        } else {
+            storage.delete(NAMESPACES.chat, threadID);
+        }
+
+        if (stats) {
+            storage.set(NAMESPACES.threadStats, threadID, { ...stats, users: [...stats.users] });
+        } else {
+            storage.delete(NAMESPACES.threadStats, threadID);
+        }
+    } catch (error) {
+        log.error(`[Memory] Failed to persist thread ${threadID}: ${error.message}`);
+    }
+}
+
+/**
+ * Load persisted memory into the in-memory caches
+ * @private
+ */
+function loadMemory() {
+    try {
+        for (const [threadID, stats] of Object.entries(storage.getAll(NAMESPACES.threadStats))) {
+            threadStats.set(threadID, { ...stats, users: new Set(stats.users) });
+        }
+
+        const history = storage.getAll(NAMESPACES.chat);
+        for (const [threadID, messages] of Object.entries(history)) {
+            chatMemory.set(threadID, messages);
+        }
+
+        // Rebuild LRU order from last activity, oldest first
+        threadAccessOrder.push(
+            ...Object.keys(history).sort(
+                (a, b) =>
+                    (threadStats.get(a)?.lastActive || 0) - (threadStats.get(b)?.lastActive || 0)
+            )
+        );
+
+        for (const [userID, prefs] of Object.entries(storage.getAll(NAMESPACES.userPrefs))) {
+            userPreferences.set(userID, prefs);
+        }
+
+        for (const [threadID, summary] of Object.entries(storage.getAll(NAMESPACES.summaries))) {
+            conversationSummaries.set(threadID, summary);
+        }
+
+        for (const messageID of storage.get(NAMESPACES.messages, "ids", [])) {
+            neroMessageIDs.add(messageID);
+        }
+    } catch (error) {
+        log.error(`[Memory] Failed to load persisted memory: ${error.message}`);
+    }
+}
+
+loadMemory();
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MEMORY MANAGEMENT (LRU Eviction)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -94,6 +176,7 @@ function touchThread(threadID) {
         if (oldestThread) {
             chatMemory.delete(oldestThread);
             threadStats.delete(oldestThread);
+            persistThread(oldestThread);
         }
     }
 }
@@ -132,6 +215,7 @@ function updateChat(threadID, name, message, intent = null) {
     // Update LRU and stats
     touchThread(threadID);
     updateThreadStats(threadID, name, intent);
+    persistThread(threadID);
 }
 
 /**
@@ -180,6 +264,8 @@ function clearHistory(threadID) {
     if (index > -1) {
         threadAccessOrder.splice(index, 1);
     }
+
+    persistThread(threadID);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -198,6 +284,12 @@ function trackBetaMessage(messageID) {
         const firstID = neroMessageIDs.values().next().value;
         neroMessageIDs.delete(firstID);
     }
+
+    try {
+        storage.set(NAMESPACES.messages, "ids", [...neroMessageIDs]);
+    } catch (error) {
+        log.error(`[Memory] Failed to persist tracked messages: ${error.message}`);
+    }
 }
 
 /**
@@ -346,6 +438,11 @@ function updateUserPreference(userID, data) {
 
     existing.lastInteraction = Date.now();
     userPreferences.set(userID, existing);
+    try {
+        storage.set(NAMESPACES.userPrefs, userID, existing);
+    } catch (error) {
+        log.error(`[Memory] Failed to persist preferences for ${userID}: ${error.message}`);
+    }
 }
 
 /**
@@ -393,6 +490,11 @@ function getUserContext(userID) {
  */
 function setConversationSummary(threadID, summary) {
     conversationSummaries.set(threadID, summary);
+    try {
+        storage.set(NAMESPACES.summaries, threadID, summary);
+    } catch (error) {
+        log.error(`[Memory] Failed to persist summary for ${threadID}: ${error.message}`);
+    }
 }
 
 /**
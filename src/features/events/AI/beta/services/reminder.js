@@ -9,7 +9,7 @@
  * - 15-minute pre-reminder notification
  * - On-time reminder notification
  * - Mentions the user who set the reminder
- * - Persists reminders to file
+ * - Persists reminders to bot storage
  *
  * @module services/reminder
  * @author 0x3EF8
@@ -18,24 +18,17 @@
 
 "use strict";
 
-const fs = require("fs");
-const path = require("path");
 const log = require("../../../../../utils/logger");
+const storage = require("../../../../../utils/storage");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const REMINDERS_FILE = path.join(__dirname, "../data/reminders.json");
+const STORAGE_NAMESPACE = "reminders";
 const CHECK_INTERVAL = 30 * 1000; // Check every 30 seconds
 const PRE_REMINDER_MINUTES = 15; // Send reminder 15 minutes before
 
-// Ensure data directory exists
-const dataDir = path.dirname(REMINDERS_FILE);
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // REMINDER STORAGE
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -47,13 +40,12 @@ if (!fs.existsSync(dataDir)) {
 let reminders = {};
 
 /**
- * Load reminders from file
+ * Load reminders from storage
  */
 function loadReminders() {
     try {
-        if (fs.existsSync(REMINDERS_FILE)) {
-            const data = fs.readFileSync(REMINDERS_FILE, "utf8");
-            reminders = JSON.parse(data);
+        reminders = storage.getAll(STORAGE_NAMESPACE);
+        if (Object.keys(reminders).length > 0) {
             log.info(`[Reminder] Loaded ${Object.keys(reminders).length} reminders`);
         }
     } catch (err) {
@@ -63,11 +55,11 @@ function loadReminders() {
 }
 
 /**
- * Save reminders to file
+ * Save reminders to storage
  */
 function saveReminders() {
     try {
-        fs.writeFileSync(REMINDERS_FILE, JSON.stringify(reminders, null, 2));
+        storage.replace(STORAGE_NAMESPACE, reminders);
     } catch (err) {
         log.error(`[Reminder] Failed to save reminders: ${err.message}`);
     }
@@ -5,7 +5,8 @@
  * ╚═══════════════════════════════════════════════════════════════════════════════╝
  *
  * This event handler implements rate limiting to prevent users
- * from spamming commands or messages.
+ * from spamming commands or messages. Messages are counted with the shared
+ * token buckets in utils/rateLimiter (settings.rateLimit.messages).
  *
  * @author 0x3EF8
  * @version 1.0.0
@@ -13,11 +14,7 @@
 
 "use strict";
 
-/**
- * User message tracking
- * @type {Map<string, {count: number, lastReset: number, warned: boolean}>}
- */
-const userMessages = new Map();
+const rateLimiter = require("../../../utils/rateLimiter");
 
 /**
  * Penalty tracking
@@ -32,17 +29,10 @@ const penalties = new Map();
 let cleanupInterval = null;
 
 /**
- * Cleans up old entries to prevent memory leaks
+ * Cleans up expired penalties to prevent memory leaks
  */
 function cleanup() {
     const now = Date.now();
-    const maxAge = 60000; // 1 minute
-
-    for (const [key, data] of userMessages) {
-        if (now - data.lastReset > maxAge) {
-            userMessages.delete(key);
-        }
-    }
 
     for (const [key, expiry] of penalties) {
         if (now > expiry) {
@@ -92,32 +82,20 @@ module.exports = {
             penalties.delete(userID);
         }
 
-        // Get or create user tracking data
-        const windowMs = config.rateLimit.windowSeconds * 1000;
-        let userData = userMessages.get(userID);
-
-        if (!userData || now - userData.lastReset > windowMs) {
-            userData = {
-                count: 0,
-                lastReset: now,
-                warned: false,
-            };
-            userMessages.set(userID, userData);
-        }
-
-        // Increment message count
-        userData.count++;
+        // Take a token from the user's message bucket (shared by every account)
+        const result = rateLimiter.consume([{ name: "messages", ...config.rateLimit.messages }], {
+            userID,
+            threadID,
+            messageID: event.messageID,
+        });
 
-        // Check if over limit
-        if (userData.count > config.rateLimit.maxMessages) {
+        if (!result.allowed) {
             // Apply penalty
             const penaltyMs = config.rateLimit.penaltySeconds * 1000;
             penalties.set(userID, now + penaltyMs);
 
-            // Send warning (only once per window)
-            if (!userData.warned) {
-                userData.warned = true;
-
+            // Send warning (another account already did for a shared message)
+            if (!result.duplicate) {
                 try {
                     api.sendMessage(
                         "⚠️ You're sending too many commands. Please wait a moment.",
@@ -153,7 +131,6 @@ module.exports = {
             clearInterval(cleanupInterval);
             cleanupInterval = null;
         }
-        userMessages.clear();
         penalties.clear();
     },
 };
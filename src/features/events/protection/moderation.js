@@ -0,0 +1,111 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                        MODERATION EVENT HANDLER                               ║
+ * ║          Warns for blocked words, links and floods of the same message        ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Checks group messages against the thread's filters (see utils/moderation).
+ * A match counts as a warning, so the escalation ladder applies, and the
+ * message is not processed any further. Bot admins and users holding
+ * `moderation.use` (moderators, group admins) are never filtered.
+ *
+ * Turn it off for one group with `threadconfig disable event moderation`.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const moderation = require("../../../utils/moderation");
+const permissions = require("../../../utils/permissions");
+
+/**
+ * Cleanup interval reference
+ * @type {NodeJS.Timeout|null}
+ */
+let cleanupInterval = null;
+
+module.exports = {
+    config: {
+        name: "moderation",
+        description: "Warns for blocked words, links and repeated messages",
+        eventTypes: ["message", "message_reply"],
+        priority: 90, // Right after antiSpam, before anything that replies
+        enabled: true,
+    },
+
+    /**
+     * Event execution function
+     * @param {Object} context - Event context
+     */
+    async execute({ api, event, config, logger, locale }) {
+        const { threadID, senderID } = event;
+
+        // Already dropped (e.g. by antiSpam) or not a group message
+        if (event.__blocked || !event.isGroup || !event.body) {
+            return;
+        }
+
+        if (config.isAdmin(senderID) || senderID === api.getCurrentUserID()) {
+            return;
+        }
+
+        const violation = moderation.inspect(event);
+        if (!violation) {
+            return;
+        }
+
+        // Moderators aren't filtered (checked last: it may look up group admins)
+        if (await permissions.has(senderID, "moderation.use", { threadID, api })) {
+            return;
+        }
+
+        event.__blocked = true;
+
+        const result = await moderation.warn({
+            api,
+            threadID,
+            userID: senderID,
+            by: "auto",
+            reason: violation.reason,
+            source: violation.type,
+        });
+        logger.warn(
+            "Moderation",
+            `Warned ${senderID} in ${threadID} (${violation.type}, ${result.count} warnings)`
+        );
+
+        try {
+            await api.sendMessage(
+                moderation.formatWarning(result, null, locale),
+                threadID,
+                null,
+                event.messageID
+            );
+        } catch (error) {
+            logger.error("Moderation", `Failed to send warning: ${error.message}`);
+        }
+    },
+
+    /**
+     * Called when the event handler is loaded
+     */
+    onLoad() {
+        if (!cleanupInterval) {
+            cleanupInterval = setInterval(() => moderation.cleanup(), 60000);
+            cleanupInterval.unref();
+        }
+    },
+
+    /**
+     * Called when the event handler is unloaded
+     */
+    onUnload() {
+        if (cleanupInterval) {
+            clearInterval(cleanupInterval);
+            cleanupInterval = null;
+        }
+        moderation.recentMessages.clear();
+    },
+};
@@ -13,24 +13,17 @@
 
 "use strict";
 
-/**
- * Goodbye message templates
- */
-const goodbyeTemplates = [
-    "👋 {name} has left the group. We'll miss you!",
-    "😢 Goodbye {name}! Hope to see you again someday.",
-    "🚪 {name} has departed. Take care out there!",
-    "💔 {name} is no longer with us. Farewell, friend!",
-];
+const i18n = require("../../../utils/i18n");
 
 /**
- * Gets a random goodbye message
+ * Gets a random goodbye message in the thread's language
+ * Templates live under `goodbye.templates` in src/locales/<code>.json
  * @param {string} name - User's name
+ * @param {string} threadID - Thread the message goes to
  * @returns {string}
  */
-function getRandomGoodbye(name) {
-    const template = goodbyeTemplates[Math.floor(Math.random() * goodbyeTemplates.length)];
-    return template.replace(/{name}/g, name);
+function getRandomGoodbye(name, threadID) {
+    return i18n.t("goodbye.templates", { name }, i18n.getLocale({ threadID }));
 }
 
 module.exports = {
@@ -82,7 +75,7 @@ module.exports = {
         }
 
         // Generate and send goodbye message
-        const goodbyeMessage = getRandomGoodbye(userName);
+        const goodbyeMessage = getRandomGoodbye(userName, threadID);
 
         try {
             await api.sendMessage(goodbyeMessage, threadID);
@@ -13,25 +13,17 @@
 
 "use strict";
 
-/**
- * Welcome message templates
- * You can customize these or add more variations
- */
-const welcomeTemplates = [
-    "👋 Welcome to the group, {name}!\n\nWe're glad to have you here. Feel free to introduce yourself!",
-    "🎉 Hey {name}, welcome aboard!\n\nMake yourself at home and don't be shy to participate in our conversations!",
-    "✨ {name} just joined the party!\n\nWelcome to the group! We hope you enjoy your stay.",
-    "🌟 A warm welcome to {name}!\n\nWe're excited to have you as part of our community!",
-];
+const i18n = require("../../../utils/i18n");
 
 /**
- * Gets a random welcome message
+ * Gets a random welcome message in the thread's language
+ * Templates live under `welcome.templates` in src/locales/<code>.json
  * @param {string} name - User's name
+ * @param {string} threadID - Thread the message goes to
  * @returns {string}
  */
-function getRandomWelcome(name) {
-    const template = welcomeTemplates[Math.floor(Math.random() * welcomeTemplates.length)];
-    return template.replace(/{name}/g, name);
+function getRandomWelcome(name, threadID) {
+    return i18n.t("welcome.templates", { name }, i18n.getLocale({ threadID }));
 }
 
 module.exports = {
@@ -81,7 +73,7 @@ module.exports = {
             }
 
             // Generate welcome message
-            const welcomeMessage = getRandomWelcome(fullName);
+            const welcomeMessage = getRandomWelcome(fullName, threadID);
 
             try {
                 // Send welcome message
@@ -7,7 +7,8 @@
  * This handler is responsible for:
  * - Loading background tasks from designated directories
  * - Registering tasks into a collection
- * - Managing task intervals and scheduling
+ * - Managing task intervals and cron schedules (timezone-aware)
+ * - Catching up on missed scheduled runs according to each task's policy
  * - Executing tasks with proper maintenance mode checks
  * - Tracking task execution statistics
  *
@@ -23,6 +24,19 @@ const config = require("../config/config");
 const logger = require("../utils/logger");
 const maintenanceManager = require("../utils/maintenanceManager");
 const statsTracker = require("../utils/statsTracker");
+const { parseCron, getNextRun, getRunsBetween, isValidTimezone } = require("../utils/cron");
+
+/** Longest delay a single setTimeout can handle (~24.8 days) */
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/** Supported policies for scheduled runs missed while the bot was busy or asleep */
+const CATCH_UP_POLICIES = ["skip", "once", "all"];
+
+/** How late a scheduled run may start before "skip" treats it as missed (ms) */
+const DEFAULT_MISFIRE_GRACE = 60 * 1000;
+
+/** Upper bound on missed runs replayed at once with the "all" policy */
+const MAX_CATCH_UP_RUNS = 50;
 
 /**
  * Background Task Handler
@@ -39,6 +53,9 @@ class BackgroundHandler {
         /** @type {Map<string, NodeJS.Timer>} Active interval timers */
         this.intervals = new Map();
 
+        /** @type {Map<string, Object>} Active cron schedules ({ timer, nextRun }) */
+        this.scheduled = new Map();
+
         /** @type {Object} Handler statistics */
         this.stats = {
             loaded: 0,
@@ -170,14 +187,45 @@ class BackgroundHandler {
             throw new Error(`Task ${taskName} is missing 'execute' or 'init' function`);
         }
 
+        // Validate cron schedule up front so bad expressions fail at load time
+        let cron = null;
+        const timezone = taskConfig.timezone || config.bot?.timeZone || "UTC";
+        const catchUp = taskConfig.catchUp || "skip";
+
+        if (taskSchedule) {
+            try {
+                cron = parseCron(taskSchedule);
+            } catch (error) {
+                throw new Error(`Task ${taskName} has invalid schedule: ${error.message}`);
+            }
+
+            if (!isValidTimezone(timezone)) {
+                throw new Error(`Task ${taskName} has unknown timezone: ${timezone}`);
+            }
+
+            if (!CATCH_UP_POLICIES.includes(catchUp)) {
+                throw new Error(
+                    `Task ${taskName} has invalid catchUp '${catchUp}' (use ${CATCH_UP_POLICIES.join(", ")})`
+                );
+            }
+
+            if (!getNextRun(cron, { timezone })) {
+                throw new Error(`Task ${taskName} schedule '${taskSchedule}' never fires`);
+            }
+        }
+
         // Set default values
         const taskData = {
             name: taskName,
             description: taskConfig.description || "No description provided",
             category: category,
             interval: taskInterval || null, // Interval in milliseconds
-            schedule: taskSchedule || null, // Cron-like schedule (future feature)
-            runOnStart: taskConfig.runOnStart !== false, // Default: true
+            schedule: taskSchedule || null, // Cron expression (5 or 6 fields)
+            cron: cron, // Parsed cron expression
+            timezone: timezone, // Timezone for cron schedule
+            catchUp: catchUp, // Missed run policy: "skip" | "once" | "all"
+            misfireGrace: taskConfig.misfireGrace ?? DEFAULT_MISFIRE_GRACE, // Late start tolerance for "skip"
+            runOnStart: taskConfig.runOnStart ?? !taskSchedule, // Default: true (false for cron tasks)
             enabled: taskConfig.enabled !== false, // Default: true
             init: task.init ? task.init.bind(task) : null, // Init function (bound to task)
             stop: task.stop ? task.stop.bind(task) : null, // Stop/cleanup function (bound)
@@ -186,6 +234,7 @@ class BackgroundHandler {
             onUnload: task.onUnload ? task.onUnload.bind(task) : null, // Called when task is unloaded
             filePath: filePath,
             lastRun: null,
+            nextRun: null,
             runCount: 0,
             errorCount: 0,
         };
@@ -214,7 +263,7 @@ class BackgroundHandler {
         this.stats.loaded++;
         logger.debug(
             "BackgroundHandler",
-            `Loaded task: ${taskData.name} (${category}) - Interval: ${taskData.interval}ms`
+            `Loaded task: ${taskData.name} (${category}) - ${this.describeTiming(taskData)}`
         );
     }
 
@@ -273,7 +322,10 @@ class BackgroundHandler {
             return false;
         }
 
-        if (this.intervals.has(taskName.toLowerCase())) {
+        if (
+            this.intervals.has(taskName.toLowerCase()) ||
+            this.scheduled.has(taskName.toLowerCase())
+        ) {
             logger.debug("BackgroundHandler", `Task already running: ${taskName}`);
             return true;
         }
@@ -304,9 +356,11 @@ class BackgroundHandler {
         // Set up interval if specified
         if (task.interval && task.interval > 0 && typeof task.execute === "function") {
             const intervalId = setInterval(async () => {
+                task.nextRun = new Date(Date.now() + task.interval);
                 await this.executeTask(task);
             }, task.interval);
 
+            task.nextRun = new Date(Date.now() + task.interval);
             this.intervals.set(taskName.toLowerCase(), intervalId);
             logger.debug(
                 "BackgroundHandler",
@@ -314,15 +368,123 @@ class BackgroundHandler {
             );
         }
 
+        // Set up cron schedule if specified
+        if (task.cron && typeof task.execute === "function") {
+            this.scheduleNext(task, new Date());
+            logger.debug(
+                "BackgroundHandler",
+                `Scheduled ${taskName} (${task.schedule} ${task.timezone}) - next run ${task.nextRun?.toISOString()}`
+            );
+        }
+
         return true;
     }
 
+    /**
+     * Arm the timer for a task's next cron run
+     * @param {Object} task - Task object with a parsed cron expression
+     * @param {Date} after - Compute the first run strictly after this time
+     * @returns {void}
+     */
+    scheduleNext(task, after) {
+        const name = task.name.toLowerCase();
+        const nextRun = getNextRun(task.cron, { from: after, timezone: task.timezone });
+
+        task.nextRun = nextRun;
+
+        if (!nextRun) {
+            this.scheduled.delete(name);
+            logger.warn("BackgroundHandler", `Schedule for ${task.name} has no further runs`);
+            return;
+        }
+
+        const entry = { timer: null, nextRun };
+        this.scheduled.set(name, entry);
+        this.armTimer(task, entry);
+    }
+
+    /**
+     * Set the timeout for a schedule entry, re-arming in chunks for far-off runs
+     * @param {Object} task - Task object
+     * @param {Object} entry - Schedule entry ({ timer, nextRun })
+     * @returns {void}
+     */
+    armTimer(task, entry) {
+        const name = task.name.toLowerCase();
+        const delay = Math.max(0, Math.min(entry.nextRun.getTime() - Date.now(), MAX_TIMEOUT));
+
+        entry.timer = setTimeout(() => {
+            // Task was stopped or rescheduled in the meantime
+            if (this.scheduled.get(name) !== entry) return;
+
+            if (Date.now() < entry.nextRun.getTime()) {
+                this.armTimer(task, entry);
+                return;
+            }
+
+            this.runScheduled(task, entry).catch((error) => {
+                logger.error(
+                    "BackgroundHandler",
+                    `Scheduled run failed for ${task.name}: ${error.message}`
+                );
+            });
+        }, delay);
+    }
+
+    /**
+     * Run a due cron task, applying its catch-up policy to any runs missed
+     * while the process was busy or asleep, then schedule the next run
+     * @param {Object} task - Task object
+     * @param {Object} entry - Schedule entry that fired
+     * @returns {Promise<void>}
+     */
+    async runScheduled(task, entry) {
+        const name = task.name.toLowerCase();
+        const now = new Date();
+        const due = [
+            entry.nextRun,
+            ...getRunsBetween(task.cron, entry.nextRun, now, {
+                timezone: task.timezone,
+                limit: MAX_CATCH_UP_RUNS - 1,
+            }),
+        ];
+        const latest = due[due.length - 1];
+
+        let runs;
+        if (task.catchUp === "all") {
+            runs = due;
+        } else if (task.catchUp === "once") {
+            runs = [latest];
+        } else {
+            runs = now - latest <= task.misfireGrace ? [latest] : [];
+        }
+
+        const missed = due.length - 1 + (now - latest > task.misfireGrace ? 1 : 0);
+        if (missed > 0) {
+            logger.warn(
+                "BackgroundHandler",
+                `${task.name} missed ${missed} scheduled run(s), running ${runs.length} (catchUp: ${task.catchUp})`
+            );
+        }
+
+        for (const scheduledAt of runs) {
+            if (this.scheduled.get(name) !== entry) return;
+            await this.executeTask(task, scheduledAt);
+        }
+
+        if (this.scheduled.get(name) !== entry) return;
+
+        // "all" replays from the last handled run so nothing beyond the cap is lost
+        this.scheduleNext(task, task.catchUp === "all" ? latest : now);
+    }
+
     /**
      * Execute a background task
      * @param {Object} task - Task object to execute
+     * @param {Date} [scheduledAt] - Time the run was due (defaults to now)
      * @returns {Promise<void>}
      */
-    async executeTask(task) {
+    async executeTask(task, scheduledAt = new Date()) {
         if (!task.enabled) return;
 
         // Skip execution during maintenance mode
@@ -351,7 +513,13 @@ class BackgroundHandler {
                 return;
             }
 
-            await task.execute({ api, config, logger, accountManager: this.accountManager });
+            await task.execute({
+                api,
+                config,
+                logger,
+                accountManager: this.accountManager,
+                scheduledAt,
+            });
             task.lastRun = new Date();
             task.runCount++;
             this.stats.executions++;
@@ -398,6 +566,15 @@ class BackgroundHandler {
             this.intervals.delete(name);
         }
 
+        // Clear cron schedule
+        const scheduleEntry = this.scheduled.get(name);
+        if (scheduleEntry) {
+            clearTimeout(scheduleEntry.timer);
+            this.scheduled.delete(name);
+        }
+
+        task.nextRun = null;
+
         // Call task's stop function if exists
         if (typeof task.stop === "function") {
             try {
@@ -408,7 +585,7 @@ class BackgroundHandler {
             }
         }
 
-        this.stats.active = this.intervals.size;
+        this.stats.active = this.intervals.size + this.scheduled.size;
         return true;
     }
 
@@ -524,7 +701,7 @@ class BackgroundHandler {
     }
 
     /**
-     * Get all tasks
+     * Get all tasks (each includes `lastRun` and `nextRun`)
      * @returns {Array<Object>} Array of task data
      */
     getAllTasks() {
@@ -545,7 +722,7 @@ class BackgroundHandler {
      * @returns {Array<Object>} Array of running task data
      */
     getRunningTasks() {
-        const runningNames = Array.from(this.intervals.keys());
+        const runningNames = [...this.intervals.keys(), ...this.scheduled.keys()];
         return this.getAllTasks().filter((t) => runningNames.includes(t.name.toLowerCase()));
     }
 
@@ -558,10 +735,22 @@ class BackgroundHandler {
             ...this.stats,
             total: this.tasks.size,
             categories: this.categories.size,
-            running: this.intervals.size,
+            running: this.intervals.size + this.scheduled.size,
         };
     }
 
+    /**
+     * Describe how a task is triggered (interval or cron schedule)
+     * @param {Object} task - Task data
+     * @returns {string} Human-readable timing
+     */
+    describeTiming(task) {
+        if (task.schedule) {
+            return `Schedule: ${task.schedule} (${task.timezone})`;
+        }
+        return `Interval: ${this.formatInterval(task.interval)}`;
+    }
+
     /**
      * Format interval to human-readable string
      * @param {number} ms - Interval in milliseconds
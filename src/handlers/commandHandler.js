@@ -21,7 +21,16 @@ const path = require("path");
 const config = require("../config/config");
 const logger = require("../utils/logger");
 const maintenanceManager = require("../utils/maintenanceManager");
+const moderation = require("../utils/moderation");
+const rateLimiter = require("../utils/rateLimiter");
 const statsTracker = require("../utils/statsTracker");
+const eventStream = require("../utils/eventStream");
+const threadConfig = require("../utils/threadConfig");
+const permissions = require("../utils/permissions");
+const i18n = require("../utils/i18n");
+const { parseArgs, formatUsage, hasSchema } = require("../utils/argParser");
+const { MiddlewarePipeline } = require("../utils/middleware");
+const { createHistogram, observe } = require("../utils/metrics");
 
 // Message tracking for unsend command
 let unsendCommand = null;
@@ -87,6 +96,238 @@ function wrapApiWithTracking(api, threadID, event) {
     };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUILT-IN MIDDLEWARES
+// ═══════════════════════════════════════════════════════════════════════════════
+// Each gets the dispatch ctx built in handle() and returns without calling
+// next() to stop the command. Plugins can be placed between them by name.
+
+/**
+ * Skips commands disabled in this thread (admins bypass)
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function threadDisabledMiddleware(ctx, next) {
+    if (
+        !threadConfig.isCommandEnabled(ctx.threadId, ctx.command.config.name) &&
+        !config.isAdmin(ctx.userId)
+    ) {
+        return;
+    }
+    await next();
+}
+
+/**
+ * Stops commands during maintenance that covers this bot, thread and
+ * command category (admins bypass)
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function maintenanceMiddleware(ctx, next) {
+    const active = maintenanceManager.getActive(
+        maintenanceManager.contextOf(ctx.api, ctx.threadId, ctx.command.config.category)
+    );
+    if (active && !config.isAdmin(ctx.userId)) {
+        // Only notify if not recently notified (prevents spam)
+        if (maintenanceManager.shouldNotify(ctx.userId)) {
+            maintenanceManager.markNotified(ctx.userId);
+            ctx.api.sendMessage(maintenanceManager.getMessage(ctx.t.locale, active), ctx.threadId);
+        }
+        return;
+    }
+    await next();
+}
+
+/**
+ * Drops commands from blocked users and blocked threads (admins bypass threads)
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function blockedMiddleware(ctx, next) {
+    if (
+        config.isBlocked(ctx.userId) ||
+        (config.isThreadBlocked(ctx.threadId) && !config.isAdmin(ctx.userId))
+    ) {
+        ctx.handler.stats.blocked++;
+        statsTracker.recordBlockedCommand();
+        return;
+    }
+    await next();
+}
+
+/**
+ * Drops commands from users muted in this thread by moderation (told once per mute)
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function mutedMiddleware(ctx, next) {
+    const mute = ctx.isGroup ? moderation.getMute(ctx.threadId, ctx.userId) : null;
+    if (mute && !config.isAdmin(ctx.userId)) {
+        ctx.handler.stats.blocked++;
+        if (moderation.markMuteNotified(ctx.threadId, ctx.userId)) {
+            const time = moderation.formatDuration(mute.until - Date.now());
+            ctx.api.sendMessage(ctx.t("handler.muted", { time }), ctx.threadId);
+        }
+        return;
+    }
+    await next();
+}
+
+/**
+ * Applies the global DM/group switches and the command's dmOnly/groupOnly
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function chatTypeMiddleware(ctx, next) {
+    const { api, command, isGroup, threadId, t } = ctx;
+
+    // Silently ignore chats the command system is switched off for
+    if (!isGroup && !config.commands.allowInDM) return;
+    if (isGroup && !config.commands.allowInGroups) return;
+
+    if (command.config.dmOnly && isGroup) {
+        api.sendMessage(t("handler.dmOnly"), threadId);
+        return;
+    }
+
+    if (command.config.groupOnly && !isGroup) {
+        api.sendMessage(t("handler.groupOnly"), threadId);
+        return;
+    }
+
+    await next();
+}
+
+/**
+ * Checks the (sub)command's permission level or node
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function permissionMiddleware(ctx, next) {
+    const hasPermission = await ctx.handler.checkPermission(
+        ctx.userId,
+        ctx.target.config.permissions,
+        { threadID: ctx.threadId, api: ctx.api, command: ctx.path.join(".") }
+    );
+
+    if (!hasPermission) {
+        ctx.api.sendMessage(ctx.t("handler.noPermission"), ctx.threadId);
+        ctx.handler.stats.blocked++;
+        return;
+    }
+    await next();
+}
+
+/**
+ * Answers routing-only levels (no execute) with the subcommands that can follow
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function routerMiddleware(ctx, next) {
+    const { target, args, t } = ctx;
+
+    if (typeof target.execute !== "function") {
+        const prefixText = ctx.prefix || "";
+        const options = target.subcommands.list
+            .map((sub) => `• ${prefixText}${sub.config.usage} - ${sub.config.description}`)
+            .join("\n");
+        const unknown =
+            args.length > 0 ? `${t("handler.unknownSubcommand", { name: args[0] })}\n\n` : "";
+        ctx.api.sendMessage(`${unknown}${t("handler.subcommandUsage", { options })}`, ctx.threadId);
+        return;
+    }
+    await next();
+}
+
+/**
+ * Enforces the command's cooldown and rate limits (skipped for admins if configured)
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function rateLimitMiddleware(ctx, next) {
+    if (!(config.commands.ignoreCooldownForAdmins && config.isAdmin(ctx.userId))) {
+        const result = rateLimiter.consume(ctx.handler.getRateLimits(ctx), {
+            userID: ctx.userId,
+            threadID: ctx.threadId,
+            account: ctx.api.getCurrentUserID?.(),
+            messageID: ctx.event.messageID,
+        });
+
+        if (!result.allowed) {
+            ctx.handler.stats.rateLimited++;
+            // Another account in a shared group already answered this message
+            if (!result.duplicate) {
+                ctx.api.sendMessage(ctx.handler.formatRateLimit(ctx, result), ctx.threadId);
+            }
+            return;
+        }
+    }
+    await next();
+}
+
+/**
+ * Resolves declared args/flags (mentions, replies, types) into ctx.params/flags
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function argsMiddleware(ctx, next) {
+    const { target } = ctx;
+
+    if (hasSchema(target.config)) {
+        try {
+            const parsed = parseArgs(target.config, ctx.args, ctx.event);
+            ctx.params = parsed.params;
+            ctx.flags = parsed.flags;
+        } catch (error) {
+            if (error.name !== "ValidationError") throw error;
+            ctx.api.sendMessage(
+                ctx.t("handler.invalidArgs", {
+                    error: error.message,
+                    usage: `${ctx.prefix || ""}${target.config.usage}`,
+                }),
+                ctx.threadId
+            );
+            return;
+        }
+    }
+    await next();
+}
+
+/**
+ * Multi-bot collision prevention for shared groups: claims the message right
+ * before execution so only one bot account replies
+ * @param {Object} ctx - Command dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function sharedGroupMiddleware(ctx, next) {
+    const { event, handler } = ctx;
+
+    if (config.commands.singleReplyInSharedGC && ctx.isGroup && event.messageID) {
+        if (handler.processedMessages.has(event.messageID)) {
+            // Another bot beat us to it (or we beat ourselves in a race)
+            logger.debug("CommandHandler", `Skipping duplicate execution for ${event.messageID}`);
+            return;
+        }
+        handler.processedMessages.add(event.messageID);
+    }
+    await next();
+}
+
+/** Built-in checks in the order they run */
+const BUILTIN_MIDDLEWARES = [
+    ["threadDisabled", threadDisabledMiddleware],
+    ["maintenance", maintenanceMiddleware],
+    ["blocked", blockedMiddleware],
+    ["muted", mutedMiddleware],
+    ["chatType", chatTypeMiddleware],
+    ["permission", permissionMiddleware],
+    ["router", routerMiddleware],
+    // After args, so a call with bad arguments doesn't use up a token
+    ["args", argsMiddleware],
+    ["rateLimit", rateLimitMiddleware],
+    ["sharedGroup", sharedGroupMiddleware],
+];
+
 /**
  * CommandHandler Class
  * Manages all command-related operations
@@ -102,9 +343,6 @@ class CommandHandler {
         /** @type {Map<string, Object>} Command aliases mapping */
         this.aliases = new Map();
 
-        /** @type {Map<string, number>} User cooldown tracking */
-        this.cooldowns = new Map();
-
         /** @type {Map<string, Object>} Command categories */
         this.categories = new Map();
 
@@ -114,6 +352,7 @@ class CommandHandler {
             executed: 0,
             failed: 0,
             blocked: 0,
+            rateLimited: 0,
         };
 
         /** @type {Map<string, Object>} Per-command usage statistics */
@@ -125,23 +364,29 @@ class CommandHandler {
         /** @type {Set<string>} Processed message IDs to prevent multi-bot replies */
         this.processedMessages = new Set();
 
-        // Start periodic cleanup for cooldowns and stats (every 60 seconds)
+        /** @type {Map<string, Object>} Pending awaitReply/awaitReaction waits keyed by type and message ID */
+        this.pendingInteractions = new Map();
+
+        /** @type {Object|null} AccountManager of the running bot (set by the dispatcher) */
+        this.accountManager = null;
+
+        /** @type {MiddlewarePipeline} Checks every command passes before it runs */
+        this.middleware = new MiddlewarePipeline("command");
+        for (const [name, fn] of BUILTIN_MIDDLEWARES) {
+            this.middleware.use(fn, { name });
+        }
+
+        // Start periodic cleanup for rate limits and stats (every 60 seconds)
         this._cleanupInterval = setInterval(() => this._periodicCleanup(), 60000);
     }
 
     /**
-     * Periodic cleanup of expired cooldowns and old stats
+     * Periodic cleanup of refilled rate-limit buckets and old stats
      * @private
      */
     _periodicCleanup() {
-        const now = Date.now();
-
-        // Clean expired cooldowns
-        for (const [key, data] of this.cooldowns) {
-            if (now >= data.expires) {
-                this.cooldowns.delete(key);
-            }
-        }
+        // Drop refilled rate-limit buckets
+        rateLimiter.cleanup();
 
         // Clear processed messages cache (simple flush every minute is sufficient)
         this.processedMessages.clear();
@@ -233,8 +478,40 @@ class CommandHandler {
         // Clear require cache to allow hot reloading
         delete require.cache[require.resolve(filePath)];
 
-        const command = require(filePath);
+        const commandData = this.normalizeCommand(require(filePath), category, filePath);
+
+        // Register command
+        this.commands.set(commandData.config.name.toLowerCase(), commandData);
 
+        // Register aliases
+        for (const alias of commandData.config.aliases) {
+            this.aliases.set(alias.toLowerCase(), commandData.config.name.toLowerCase());
+        }
+
+        // Add to category
+        const categoryData = this.categories.get(category);
+        if (categoryData) {
+            categoryData.commands.push(commandData.config.name);
+        }
+
+        // Call onLoad hook if exists
+        if (typeof commandData.onLoad === "function") {
+            await commandData.onLoad();
+        }
+
+        this.stats.loaded++;
+        logger.debug("CommandHandler", `Loaded command: ${commandData.config.name} (${category})`);
+    }
+
+    /**
+     * Fills in a command module's defaults and validates it (without registering it)
+     * @param {Object} command - The module's exports
+     * @param {string} category - Category name
+     * @param {string} filePath - Path to the command file
+     * @returns {Object} Command data as stored in `commands`
+     * @throws {Error} If config.name or execute is missing, or a rate-limit rule is invalid
+     */
+    normalizeCommand(command, category, filePath) {
         // Validate command structure
         if (!command.config || !command.config.name) {
             throw new Error(`Command at ${filePath} is missing required config.name`);
@@ -246,46 +523,132 @@ class CommandHandler {
                 name: command.config.name,
                 aliases: command.config.aliases || [],
                 description: command.config.description || "No description provided",
-                usage: command.config.usage || command.config.name,
+                usage:
+                    command.config.usage ||
+                    (hasSchema(command.config)
+                        ? formatUsage(command.config.name, command.config)
+                        : command.config.name),
                 category: category,
                 cooldown: command.config.cooldown ?? config.commands.defaultCooldown,
-                permissions: command.config.permissions || "user", // "user", "admin", "superadmin"
+                permissions: command.config.permissions || "user", // "user", "admin", "superadmin" or a node
                 enabled: command.config.enabled !== false,
                 dmOnly: command.config.dmOnly || false,
                 groupOnly: command.config.groupOnly || false,
+                args: command.config.args,
+                flags: command.config.flags,
+                rateLimit: command.config.rateLimit,
             },
             execute: command.execute || command.run || command.onCall,
+            subcommands: this.loadSubcommands(command.subcommands, command.config),
             onLoad: command.onLoad,
             onUnload: command.onUnload,
             filePath: filePath,
         };
 
-        // Validate execute function
-        if (typeof commandData.execute !== "function") {
-            throw new Error(`Command ${commandData.config.name} is missing execute function`);
+        // Default usage for routers lists their subcommands
+        if (!command.config.usage && commandData.subcommands) {
+            const names = commandData.subcommands.list.map((sub) => sub.config.name);
+            commandData.config.usage = `${command.config.name} <${names.join("|")}>`;
         }
 
-        // Register command
-        this.commands.set(commandData.config.name.toLowerCase(), commandData);
+        // Validate execute function (optional when the command only routes to subcommands)
+        if (typeof commandData.execute !== "function" && !commandData.subcommands) {
+            throw new Error(`Command ${commandData.config.name} is missing execute function`);
+        }
 
-        // Register aliases
-        for (const alias of commandData.config.aliases) {
-            this.aliases.set(alias.toLowerCase(), commandData.config.name.toLowerCase());
+        // Validate rate limits up front so a bad rule fails at load time, not on every call
+        for (const rule of this.getCommandLimits(commandData.config)) {
+            try {
+                rateLimiter.normalizeRule(rule);
+            } catch (error) {
+                throw new Error(
+                    `Command ${commandData.config.name} has invalid rateLimit: ${error.message}`
+                );
+            }
         }
 
-        // Add to category
-        const categoryData = this.categories.get(category);
-        if (categoryData) {
-            categoryData.commands.push(commandData.config.name);
+        return commandData;
+    }
+
+    /**
+     * Normalizes a command's `subcommands` map, inheriting settings from the parent
+     * @param {Object<string, Object>|undefined} definitions - Subcommand definitions
+     * @param {Object} parent - Parent command or subcommand config
+     * @param {Array<string>} [parentPath] - Names leading to this level
+     * @returns {{list: Array<Object>, lookup: Map<string, Object>}|null}
+     */
+    loadSubcommands(definitions, parent, parentPath = [parent.name]) {
+        if (!definitions || Object.keys(definitions).length === 0) return null;
+
+        const list = [];
+        const lookup = new Map();
+
+        for (const [name, definition] of Object.entries(definitions)) {
+            const path = [...parentPath, name];
+
+            if (typeof definition.execute !== "function" && !definition.subcommands) {
+                throw new Error(`Subcommand ${path.join(" ")} is missing execute function`);
+            }
+
+            const subConfig = {
+                name,
+                path,
+                aliases: definition.aliases || [],
+                description: definition.description || "No description provided",
+                usage:
+                    definition.usage ||
+                    (hasSchema(definition)
+                        ? formatUsage(path.join(" "), definition)
+                        : path.join(" ")),
+                cooldown: definition.cooldown ?? parent.cooldown ?? config.commands.defaultCooldown,
+                permissions: definition.permissions || parent.permissions || "user",
+                args: definition.args,
+                flags: definition.flags,
+            };
+
+            const subcommand = {
+                config: subConfig,
+                execute: definition.execute,
+                subcommands: this.loadSubcommands(definition.subcommands, subConfig, path),
+            };
+
+            if (!definition.usage && subcommand.subcommands) {
+                const names = subcommand.subcommands.list.map((sub) => sub.config.name);
+                subConfig.usage = `${path.join(" ")} <${names.join("|")}>`;
+            }
+
+            list.push(subcommand);
+            for (const key of [name, ...subConfig.aliases]) {
+                lookup.set(key.toLowerCase(), subcommand);
+            }
         }
 
-        // Call onLoad hook if exists
-        if (typeof commandData.onLoad === "function") {
-            await commandData.onLoad();
+        return { list, lookup };
+    }
+
+    /**
+     * Walks args down the subcommand tree
+     * @param {Object} command - Loaded command
+     * @param {Array<string>} args - Arguments after the command name
+     * @returns {{target: Object, args: Array<string>, path: Array<string>}}
+     *   The deepest matching command/subcommand and the args left for it
+     */
+    resolveSubcommand(command, args) {
+        let target = command;
+        let index = 0;
+
+        while (target.subcommands && index < args.length) {
+            const next = target.subcommands.lookup.get(String(args[index]).toLowerCase());
+            if (!next) break;
+            target = next;
+            index++;
         }
 
-        this.stats.loaded++;
-        logger.debug("CommandHandler", `Loaded command: ${commandData.config.name} (${category})`);
+        return {
+            target,
+            args: args.slice(index),
+            path: target.config.path || [command.config.name],
+        };
     }
 
     /**
@@ -324,6 +687,34 @@ class CommandHandler {
         }
     }
 
+    /**
+     * Enables a command
+     * @param {string} commandName - Command name or alias
+     * @returns {boolean} False if no such command
+     */
+    enableCommand(commandName) {
+        const command = this.getCommand(commandName);
+        if (!command) return false;
+
+        command.config.enabled = true;
+        logger.info("CommandHandler", `Enabled command: ${command.config.name}`);
+        return true;
+    }
+
+    /**
+     * Disables a command (it stays loaded but is ignored until enabled again)
+     * @param {string} commandName - Command name or alias
+     * @returns {boolean} False if no such command
+     */
+    disableCommand(commandName) {
+        const command = this.getCommand(commandName);
+        if (!command) return false;
+
+        command.config.enabled = false;
+        logger.info("CommandHandler", `Disabled command: ${command.config.name}`);
+        return true;
+    }
+
     /**
      * Gets a command by name or alias
      * @param {string} name - Command name or alias
@@ -347,35 +738,199 @@ class CommandHandler {
     }
 
     /**
-     * Checks if a user is on cooldown for a command
-     * @param {string} userId - User ID
-     * @param {string} commandName - Command name
-     * @returns {number} Remaining cooldown in seconds, or 0 if not on cooldown
+     * Gets the rate-limit rules for a command run: the per-user cooldown of the
+     * (sub)command, then the command's `rateLimit` (settings.rateLimit.commands
+     * overrides what the command declares). Subcommands share the command's limits.
+     * @param {Object} ctx - Command dispatch context
+     * @returns {Array<Object>} Rules for rateLimiter.consume
      */
-    getCooldown(userId, commandName) {
-        const key = `${userId}-${commandName}`;
-        const now = Date.now();
-        const cooldownData = this.cooldowns.get(key);
+    getRateLimits(ctx) {
+        const { command, target, commandKey, threadSettings } = ctx;
+        const rules = [];
 
-        if (!cooldownData) return 0;
+        const cooldown = target.config.cooldown * threadSettings.cooldownMultiplier;
+        if (cooldown > 0) {
+            rules.push({ name: `cooldown:${commandKey}`, limit: 1, per: cooldown, scope: "user" });
+        }
+
+        if (config.rateLimit.enabled) {
+            for (const rule of this.getCommandLimits(command.config)) {
+                rules.push({ ...rule, name: `command:${command.config.name}` });
+            }
+        }
 
-        const remaining = Math.ceil((cooldownData.expires - now) / 1000);
-        return remaining > 0 ? remaining : 0;
+        return rules;
     }
 
     /**
-     * Sets cooldown for a user on a command
-     * @param {string} userId - User ID
-     * @param {string} commandName - Command name
-     * @param {number} seconds - Cooldown duration in seconds
-     */
-    setCooldown(userId, commandName, seconds) {
-        const key = `${userId}-${commandName}`;
-        this.cooldowns.set(key, {
-            expires: Date.now() + seconds * 1000,
-            commandName,
+     * Gets a command's own rate-limit rules (settings.rateLimit.commands overrides
+     * what the command declares)
+     * @param {Object} commandConfig - The command's config
+     * @returns {Array<Object>} Rules, without names
+     */
+    getCommandLimits(commandConfig) {
+        const limits =
+            config.rateLimit.commands[commandConfig.name] ?? commandConfig.rateLimit ?? [];
+        return [].concat(limits);
+    }
+
+    /**
+     * Builds the "try again later" reply for a refused command
+     * @param {Object} ctx - Command dispatch context
+     * @param {{retryAfter: number, rule: Object}} result - Result of rateLimiter.consume
+     * @returns {string}
+     */
+    formatRateLimit(ctx, { retryAfter, rule }) {
+        if (rule.name.startsWith("cooldown:")) {
+            return ctx.t("handler.cooldown", { count: Math.ceil(retryAfter / 1000) });
+        }
+        return ctx.t("handler.rateLimited", {
+            command: ctx.command.config.name,
+            limit: rateLimiter.describeRule(rule),
+            time: rateLimiter.formatWait(retryAfter),
+        });
+    }
+
+    /**
+     * Waits for a reply to one of the bot's messages
+     * @param {string|Object} message - Message ID or the result of sendMessage
+     * @param {Object} [options] - See awaitInteraction
+     * @returns {Promise<Object|null>} The reply event, or null on timeout/cancel
+     */
+    awaitReply(message, options) {
+        return this.awaitInteraction("reply", message, options);
+    }
+
+    /**
+     * Waits for a reaction on one of the bot's messages
+     * @param {string|Object} message - Message ID or the result of sendMessage
+     * @param {Object} [options] - See awaitInteraction
+     * @returns {Promise<Object|null>} The reaction event, or null on timeout/cancel
+     */
+    awaitReaction(message, options) {
+        return this.awaitInteraction("reaction", message, options);
+    }
+
+    /**
+     * Registers a pending continuation for a bot message.
+     * A newer wait of the same type on the same message replaces (cancels) the older one.
+     * @param {"reply"|"reaction"} type - Event kind to wait for
+     * @param {string|Object} message - Message ID or the result of sendMessage
+     * @param {Object} [options]
+     * @param {string|Array<string>|null} [options.senderID] - Who may answer (null = anyone)
+     * @param {string} [options.threadID] - Only accept answers from this thread
+     * @param {number} [options.timeout] - Milliseconds to wait (default: commands.interactionTimeout)
+     * @param {function(Object): boolean} [options.filter] - Extra check on the event
+     * @returns {Promise<Object|null>}
+     */
+    awaitInteraction(type, message, options = {}) {
+        const messageID = message?.messageID ?? message;
+        if (!messageID) {
+            return Promise.reject(new Error(`Cannot await a ${type} without a message ID`));
+        }
+
+        const key = `${type}:${messageID}`;
+        this._settleInteraction(key, null);
+
+        const senders =
+            options.senderID === null || options.senderID === undefined
+                ? null
+                : [].concat(options.senderID).map(String);
+        const timeout = options.timeout ?? (config.commands.interactionTimeout || 60) * 1000;
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => this._settleInteraction(key, null), timeout);
+            timer.unref?.();
+
+            this.pendingInteractions.set(key, {
+                senders,
+                threadID: options.threadID ? String(options.threadID) : null,
+                filter: options.filter,
+                resolve,
+                timer,
+            });
         });
-        // Cleanup is handled by _periodicCleanup interval
+    }
+
+    /**
+     * Cancels pending waits on a message, resolving them with null
+     * @param {string|Object} message - Message ID or the result of sendMessage
+     * @returns {boolean} Whether anything was waiting
+     */
+    cancelInteraction(message) {
+        const messageID = message?.messageID ?? message;
+        const reply = this._settleInteraction(`reply:${messageID}`, null);
+        const reaction = this._settleInteraction(`reaction:${messageID}`, null);
+        return reply || reaction;
+    }
+
+    /**
+     * Delivers a reply/reaction event to the command waiting on it
+     * @param {Object} api - Nero API object
+     * @param {Object} event - Incoming event
+     * @returns {boolean} Whether the event was consumed
+     */
+    handleInteraction(api, event) {
+        if (this.pendingInteractions.size === 0) return false;
+
+        let key;
+        let userID;
+        if (event.type === "message_reply" && event.messageReply?.messageID) {
+            key = `reply:${event.messageReply.messageID}`;
+            userID = event.senderID;
+        } else if (event.type === "message_reaction" && event.messageID) {
+            key = `reaction:${event.messageID}`;
+            userID = event.userID || event.senderID;
+        } else {
+            return false;
+        }
+
+        const pending = this.pendingInteractions.get(key);
+        if (!pending) return false;
+
+        // Ignore the bot's own replies/reactions
+        const botID = api?.getCurrentUserID ? api.getCurrentUserID() : null;
+        if (botID && String(userID) === String(botID)) return false;
+
+        if (pending.senders && !pending.senders.includes(String(userID))) return false;
+        if (pending.threadID && String(event.threadID) !== pending.threadID) return false;
+
+        try {
+            if (pending.filter && !pending.filter(event)) return false;
+        } catch (error) {
+            logger.debug("CommandHandler", `Interaction filter error: ${error.message}`);
+            return false;
+        }
+
+        return this._settleInteraction(key, event);
+    }
+
+    /**
+     * Resolves and removes a pending interaction
+     * @param {string} key - Pending interaction key
+     * @param {Object|null} value - Value to resolve with
+     * @returns {boolean} Whether an interaction was pending
+     * @private
+     */
+    _settleInteraction(key, value) {
+        const pending = this.pendingInteractions.get(key);
+        if (!pending) return false;
+
+        clearTimeout(pending.timer);
+        this.pendingInteractions.delete(key);
+        pending.resolve(value);
+        return true;
+    }
+
+    /**
+     * Adds a middleware to command dispatch. It runs after the built-in checks
+     * unless placed with `before` / `after` (see utils/middleware).
+     * @param {function(Object, function(): Promise): *} fn - `async (ctx, next) => {}`
+     * @param {Object} [options] - name, before, after
+     * @returns {MiddlewarePipeline}
+     */
+    use(fn, options) {
+        return this.middleware.use(fn, options);
     }
 
     /**
@@ -400,6 +955,9 @@ class CommandHandler {
         const botID = api.getCurrentUserID ? api.getCurrentUserID() : null;
         const isSelfMessage = botID && senderID === botID;
 
+        // Per-thread settings (fall back to global config)
+        const threadSettings = threadConfig.getAll(event.threadID);
+
         let usedPrefix = null;
         let commandText = body;
 
@@ -416,14 +974,17 @@ class CommandHandler {
         }
         // Logic for Users
         else {
-            const prefixEnabled = config.bot.prefixEnabled !== false;
+            const prefixEnabled = threadSettings.prefixEnabled;
 
             if (prefixEnabled) {
                 // Prefix IS required for users
-                // Handle case where prefix might be an array or string
-                const mainPrefix = Array.isArray(config.bot.prefix)
+                // Thread prefix overrides the global one; global may be an array or string
+                const globalPrefix = Array.isArray(config.bot.prefix)
                     ? config.bot.prefix
                     : [config.bot.prefix];
+                const mainPrefix = threadConfig.getOverrides(event.threadID).prefix
+                    ? [threadSettings.prefix]
+                    : globalPrefix;
                 const userPrefixes = [
                     ...mainPrefix,
                     ...(config.bot.alternativePrefixes || []),
@@ -443,22 +1004,7 @@ class CommandHandler {
         }
 
         // Parse command and arguments
-        // Parse command and arguments with quote support
-        // Match words or quoted strings
-        const args = [];
-        const regex = /"([^"]+)"|'([^']+)'|([^\s]+)/g;
-        let match;
-
-        while ((match = regex.exec(commandText)) !== null) {
-            // match[1] or match[2] is the quoted content (without quotes)
-            // match[3] is the unquoted word
-            args.push(match[1] || match[2] || match[3]);
-        }
-
-        // Handle case where no args found (e.g. empty string), though commandText is trimmed
-        if (args.length === 0 && commandText) {
-            args.push(commandText);
-        }
+        const args = this.splitArgs(commandText);
         const commandName = args.shift();
 
         if (!commandName) return false;
@@ -480,122 +1026,136 @@ class CommandHandler {
 
         const userId = event.senderID;
         const threadId = event.threadID;
-        const isGroup = event.isGroup;
-
-        // Check maintenance mode (admins bypass)
-        if (maintenanceManager.isEnabled() && !config.isAdmin(userId)) {
-            // Only notify if not recently notified (prevents spam)
-            if (maintenanceManager.shouldNotify(userId)) {
-                maintenanceManager.markNotified(userId);
-                api.sendMessage(maintenanceManager.getMessage(), threadId);
-            }
-            return false;
-        }
 
-        // Check if user is blocked
-        if (config.isBlocked(userId)) {
-            this.stats.blocked++;
-            statsTracker.recordBlockedCommand();
-            return false;
-        }
+        // Replies use the sender's language (or the thread's)
+        const t = i18n.forContext({ userID: userId, threadID: threadId });
+
+        // Route to a subcommand if the first args name one
+        const {
+            target,
+            args: targetArgs,
+            path: commandPath,
+        } = this.resolveSubcommand(command, args);
+
+        // Dispatch context shared by every middleware and the final execution
+        const ctx = {
+            api,
+            event,
+            command,
+            target,
+            args: targetArgs,
+            path: commandPath,
+            commandKey: commandPath.join(" "),
+            prefix: usedPrefix,
+            userId,
+            threadId,
+            isGroup: event.isGroup,
+            threadSettings,
+            t,
+            params: {},
+            flags: {},
+            handler: this,
+            executed: false,
+        };
 
-        // Check if thread is blocked (Admins bypass)
-        if (config.isThreadBlocked(threadId) && !config.isAdmin(userId)) {
-            this.stats.blocked++;
-            statsTracker.recordBlockedCommand();
-            return false;
-        }
+        await this.middleware.run(ctx, () => this.executeCommand(ctx));
+        return ctx.executed;
+    }
 
-        // Check global DM/Group settings from config
-        if (!isGroup && !config.commands.allowInDM) {
-            return false; // Silently ignore DM commands
-        }
+    /**
+     * Splits command text into words, keeping quoted strings together
+     * @param {string} commandText - Text after the prefix
+     * @returns {Array<string>} Command name followed by its arguments
+     */
+    splitArgs(commandText) {
+        // Match words or quoted strings
+        const args = [];
+        const regex = /"([^"]+)"|'([^']+)'|([^\s]+)/g;
+        let match;
 
-        if (isGroup && !config.commands.allowInGroups) {
-            return false; // Silently ignore group commands
+        while ((match = regex.exec(commandText)) !== null) {
+            // match[1] or match[2] is the quoted content (without quotes)
+            // match[3] is the unquoted word
+            args.push(match[1] || match[2] || match[3]);
         }
 
-        // Check command-specific DM/Group restrictions
-        if (command.config.dmOnly && isGroup) {
-            api.sendMessage("❌ This command can only be used in private messages.", threadId);
-            return false;
+        // Handle case where no args found (e.g. empty string), though commandText is trimmed
+        if (args.length === 0 && commandText) {
+            args.push(commandText);
         }
 
-        if (command.config.groupOnly && !isGroup) {
-            api.sendMessage("❌ This command can only be used in groups.", threadId);
-            return false;
-        }
+        return args;
+    }
 
-        // Check permissions
-        const hasPermission = this.checkPermission(userId, command.config.permissions);
-        if (!hasPermission) {
-            api.sendMessage("🚫 You don't have permission to use this command.", threadId);
-            this.stats.blocked++;
-            return false;
-        }
+    /**
+     * Builds the context object a command's execute() receives
+     * @param {Object} ctx - Command dispatch context (see handle)
+     * @returns {Object} Command context
+     */
+    createContext(ctx) {
+        const { api, event, command, target, userId, threadId, threadSettings, t } = ctx;
 
-        // Check cooldown (skip for admins if configured)
-        if (!(config.commands.ignoreCooldownForAdmins && config.isAdmin(userId))) {
-            const remaining = this.getCooldown(userId, command.config.name);
-            if (remaining > 0) {
-                api.sendMessage(
-                    `⏳ Please wait ${remaining} seconds before using this command again.`,
-                    threadId
-                );
-                return false;
-            }
-        }
+        // Wrap API with tracking and auto DM detection
+        const wrappedApi = wrapApiWithTracking(api, threadId, event);
+
+        // Build context object
+        return {
+            api: wrappedApi,
+            event,
+            args: ctx.args,
+            params: ctx.params,
+            flags: ctx.flags,
+            prefix: ctx.prefix,
+            command: command.config,
+            subcommand: target === command ? null : target.config,
+            config,
+            threadSettings,
+            logger,
+            isAdmin: config.isAdmin(userId),
+            isSuperAdmin: config.isSuperAdmin(userId),
+            hasPermission: (node) => permissions.has(userId, node, { threadID: threadId, api }),
+            // Continuations default to the invoking user in this thread
+            awaitReply: (message, options) =>
+                this.awaitReply(message, { senderID: userId, threadID: threadId, ...options }),
+            awaitReaction: (message, options) =>
+                this.awaitReaction(message, {
+                    senderID: userId,
+                    threadID: threadId,
+                    ...options,
+                }),
+            cancelAwait: (message) => this.cancelInteraction(message),
+            commandHandler: this,
+            accountManager: this.accountManager,
+            t,
+            locale: t.locale,
+        };
+    }
+
+    /**
+     * Runs a command once every middleware has passed it on
+     * @param {Object} ctx - Command dispatch context (see handle)
+     * @returns {Promise<void>} Sets ctx.executed on success
+     */
+    async executeCommand(ctx) {
+        const { api, event, command, target, commandKey, userId, threadId, t } = ctx;
+        const startTime = Date.now();
 
-        // Execute command
         try {
             // Log command execution with details
-            const argsStr = args.length > 0 ? `args=[${args.join(", ")}]` : "args=[]";
+            const argsStr = ctx.args.length > 0 ? `args=[${ctx.args.join(", ")}]` : "args=[]";
             logger.info(
                 "CommandHandler",
-                `Executing: ${command.config.name} │ user:${userId} │ thread:${threadId} │ ${argsStr}`
+                `Executing: ${commandKey} │ user:${userId} │ thread:${threadId} │ ${argsStr}`
             );
 
-            // Multi-bot collision prevention for shared groups
-            // CHECK HERE: Only claim the message if we are actually about to execute
-            if (config.commands.singleReplyInSharedGC && isGroup && event.messageID) {
-                if (this.processedMessages.has(event.messageID)) {
-                    // Another bot beat us to it (or we beat ourselves in a race)
-                    logger.debug(
-                        "CommandHandler",
-                        `Skipping duplicate execution for ${event.messageID}`
-                    );
-                    return false;
-                }
-                this.processedMessages.add(event.messageID);
-            }
-
-            // Wrap API with tracking and auto DM detection
-            const wrappedApi = wrapApiWithTracking(api, threadId, event);
-
-            // Build context object
-            const context = {
-                api: wrappedApi,
-                event,
-                args,
-                prefix: usedPrefix,
-                command: command.config,
-                config,
-                logger,
-                isAdmin: config.isAdmin(userId),
-                isSuperAdmin: config.isSuperAdmin(userId),
-                commandHandler: this,
-            };
+            const context = this.createContext(ctx);
 
             // Execute the command
-            const startTime = Date.now();
-            await command.execute(context);
+            await target.execute.call(command, context);
             const duration = Date.now() - startTime;
 
             // Log success with duration
-            logger.success("CommandHandler", `Completed: ${command.config.name} │ ${duration}ms`);
-
-            // Set cooldown
-            this.setCooldown(userId, command.config.name, command.config.cooldown);
+            logger.success("CommandHandler", `Completed: ${commandKey} │ ${duration}ms`);
 
             // Update stats
             this.stats.executed++;
@@ -605,13 +1165,14 @@ class CommandHandler {
 
             // Track command stats
             this.trackCommandStats(command.config.name, userId, duration);
+            this.publishCommand(ctx, { success: true, duration });
 
             // Delete command message if configured
             if (config.commands.deleteCommandMessage) {
                 api.unsendMessage(event.messageID);
             }
 
-            return true;
+            ctx.executed = true;
         } catch (error) {
             const errorMsg = error.message || "Unknown error";
 
@@ -629,24 +1190,15 @@ class CommandHandler {
                         const refreshResult = await api.refreshSession();
                         if (refreshResult.success) {
                             logger.success("CommandHandler", "Session refreshed. Please retry the command.");
-                            api.sendMessage(
-                                "⚠️ Session was refreshed. Please try the command again.",
-                                threadId
-                            );
+                            api.sendMessage(t("handler.sessionRefreshed"), threadId);
                         } else {
-                            api.sendMessage(
-                                "❌ Session expired and refresh failed. The bot may need to be restarted.",
-                                threadId
-                            );
+                            api.sendMessage(t("handler.sessionRefreshFailed"), threadId);
                         }
                     } catch (refreshErr) {
                         logger.error("CommandHandler", `Session refresh failed: ${refreshErr.message}`);
                     }
                 } else {
-                    api.sendMessage(
-                        "❌ Session expired. Please wait for automatic refresh or restart the bot.",
-                        threadId
-                    );
+                    api.sendMessage(t("handler.sessionExpired"), threadId);
                 }
             } else {
                 logger.error(
@@ -654,33 +1206,71 @@ class CommandHandler {
                     `Command error (${command.config.name}): ${errorMsg}`
                 );
                 logger.debug("CommandHandler", error.stack);
-                api.sendMessage("❌ An error occurred while executing this command.", threadId);
+                api.sendMessage(t("handler.error"), threadId);
             }
 
             this.stats.failed++;
 
             // Track failed command in global stats
             statsTracker.recordCommand(command.config.name, userId, false);
-
-            return false;
+            this.publishCommand(ctx, {
+                success: false,
+                duration: Date.now() - startTime,
+                error: errorMsg,
+            });
         }
     }
 
     /**
-     * Checks if a user has the required permission level
+     * Streams a finished command to /api/stream subscribers
+     * @param {Object} ctx - Command dispatch context
+     * @param {Object} result - { success, duration, error? }
+     */
+    publishCommand(ctx, { success, duration, error }) {
+        eventStream.publish(
+            "command",
+            {
+                command: ctx.commandKey,
+                userID: ctx.userId,
+                args: ctx.args,
+                success,
+                duration,
+                error,
+            },
+            {
+                botID: ctx.api.getCurrentUserID?.(),
+                threadID: ctx.threadId,
+                level: success ? "info" : "warn",
+            }
+        );
+    }
+
+    /**
+     * Checks if a user may run a command.
+     * "admin" commands are also open to anyone holding the `<command>.use` node,
+     * and a dotted value (e.g. "kick.use") requires that node directly.
      * @param {string} userId - User ID
-     * @param {string} required - Required permission level
-     * @returns {boolean}
+     * @param {string} required - "user", "admin", "superadmin" or a permission node
+     * @param {Object} [options]
+     * @param {string} [options.threadID] - Thread the command runs in
+     * @param {Object} [options.api] - API used to look up group admins
+     * @param {string} [options.command] - Command name
+     * @returns {Promise<boolean>}
      */
-    checkPermission(userId, required) {
+    async checkPermission(userId, required, { threadID, api, command } = {}) {
         switch (required) {
             case "superadmin":
                 return config.isSuperAdmin(userId);
             case "admin":
-                return config.isAdmin(userId);
+                if (config.isAdmin(userId)) return true;
+                return command
+                    ? permissions.has(userId, `${command}.use`, { threadID, api })
+                    : false;
             case "user":
-            default:
+            case undefined:
                 return true;
+            default:
+                return permissions.has(userId, required, { threadID, api });
         }
     }
 
@@ -724,6 +1314,7 @@ class CommandHandler {
                 avgTime: 0,
                 lastUsed: null,
                 users: new Set(),
+                latency: createHistogram(),
             });
         }
 
@@ -731,6 +1322,7 @@ class CommandHandler {
         stats.uses++;
         stats.totalTime += duration;
         stats.avgTime = Math.round(stats.totalTime / stats.uses);
+        observe(stats.latency, duration);
         stats.lastUsed = new Date();
         stats.users.add(userId);
 
@@ -833,7 +1425,7 @@ class CommandHandler {
             totalCommands: this.commands.size,
             totalAliases: this.aliases.size,
             totalCategories: this.categories.size,
-            activeCooldowns: this.cooldowns.size,
+            rateLimitBuckets: rateLimiter.size,
             trackedCommands: this.commandStats.size,
             trackedUsers: this.userActivity.size,
         };
@@ -0,0 +1,84 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                             EVENT DISPATCHER                                  ║
+ * ║       Routes every incoming event through event handlers and commands         ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The listener callback given to AccountManager.startAllListeners. Kept out of
+ * index.js so the whole path (event middlewares -> event handlers -> awaited
+ * replies -> commands) can be driven without booting the bot, e.g. by the
+ * offline simulator (utils/simulator).
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const logger = require("../utils/logger");
+const statsTracker = require("../utils/statsTracker");
+const eventStream = require("../utils/eventStream");
+const commandHandler = require("./commandHandler");
+const eventHandler = require("./eventHandler");
+
+/**
+ * Creates the listener callback for an account manager
+ * @param {Object} accountManager - AccountManager whose command counts to update
+ * @returns {function(Object, Object, Object): Promise<void>} handleEvent(api, event, account)
+ */
+function createDispatcher(accountManager) {
+    // Account status changes and appstate saves go to /api/stream subscribers
+    eventStream.watchAccounts(accountManager);
+
+    // Commands that manage accounts (info, appstate) get it in their context
+    commandHandler.accountManager = accountManager;
+
+    /**
+     * Main event handler - processes all incoming events from all accounts
+     * @param {Object} api - The Nero API instance for this account
+     * @param {Object} event - The event object from Nero
+     * @param {Object} account - Account info object
+     */
+    return async function handleEvent(api, event, account) {
+        try {
+            // Skip if event is blocked (e.g., by anti-spam)
+            if (event.__blocked) {
+                return;
+            }
+
+            eventStream.publishEvent(event, account);
+
+            // Event middlewares (stats, blocked users/threads, ...) then event
+            // handlers like anti-spam, welcome, antiLeave
+            await eventHandler.handle(api, event);
+
+            // Check if event was blocked by a middleware or an event handler
+            if (event.__blocked) {
+                return;
+            }
+
+            // Replies/reactions a running command is waiting for (awaitReply/awaitReaction)
+            if (commandHandler.handleInteraction(api, event)) {
+                return;
+            }
+
+            // Process commands (for message events)
+            if (event.type === "message" || event.type === "message_reply") {
+                statsTracker.recordAccountActivity(account.name, "messages");
+                const wasCommand = await commandHandler.handle(api, event);
+
+                // If it was a command, update stats and we're done
+                if (wasCommand) {
+                    accountManager.incrementCommandCount(account.name);
+                    statsTracker.recordAccountActivity(account.name, "commands");
+                    return;
+                }
+            }
+        } catch (error) {
+            logger.error("EventHandler", `Error processing event: ${error.message}`);
+            logger.debug("EventHandler", error.stack);
+        }
+    };
+}
+
+module.exports = { createDispatcher };
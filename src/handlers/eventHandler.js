@@ -22,6 +22,129 @@ const config = require("../config/config");
 const logger = require("../utils/logger");
 const maintenanceManager = require("../utils/maintenanceManager");
 const statsTracker = require("../utils/statsTracker");
+const threadConfig = require("../utils/threadConfig");
+const permissions = require("../utils/permissions");
+const i18n = require("../utils/i18n");
+const { MiddlewarePipeline } = require("../utils/middleware");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUILT-IN MIDDLEWARES
+// ═══════════════════════════════════════════════════════════════════════════════
+// Every incoming event passes through these before any event handler runs.
+// Returning without next() skips the event handlers only; setting
+// `event.__blocked` as well drops the event for commands too.
+
+/**
+ * Records messages and reactions in the global stats
+ * @param {Object} ctx - Event dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function statsMiddleware(ctx, next) {
+    const { event } = ctx;
+
+    if (event.type === "message" || event.type === "message_reply") {
+        statsTracker.recordMessage(event);
+    }
+    if (event.type === "message_reaction") {
+        statsTracker.recordReaction();
+    }
+    await next();
+}
+
+/**
+ * Drops the cached group admin list (threadAdmin role) when admins change
+ * @param {Object} ctx - Event dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function threadAdminsMiddleware(ctx, next) {
+    if (ctx.event.logMessageType === "log:thread-admins") {
+        permissions.invalidateThread(ctx.event.threadID);
+    }
+    await next();
+}
+
+/**
+ * Drops events from blocked users and blocked threads (admins bypass threads)
+ * @param {Object} ctx - Event dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function blockedMiddleware(ctx, next) {
+    const { event } = ctx;
+
+    if (
+        (event.senderID && config.isBlocked(event.senderID)) ||
+        (event.threadID &&
+            config.isThreadBlocked(event.threadID) &&
+            !config.isAdmin(event.senderID))
+    ) {
+        event.__blocked = true;
+        return;
+    }
+    await next();
+}
+
+/**
+ * Skips event handlers when they're switched off, during maintenance (silently)
+ * and in chat types disabled in config
+ * @param {Object} ctx - Event dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function availabilityMiddleware(ctx, next) {
+    if (!config.events.enabled) return;
+    if (maintenanceManager.isEnabled(maintenanceManager.contextOf(ctx.api, ctx.event.threadID))) {
+        return;
+    }
+
+    // isGroup is true for group chats, false/undefined for DMs
+    if (!ctx.isGroup && config.events.allowInDM === false) return;
+    if (ctx.isGroup && config.events.allowInGroups === false) return;
+
+    await next();
+}
+
+/**
+ * Collects the enabled handlers for the event type into ctx.handlers
+ * @param {Object} ctx - Event dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function resolveMiddleware(ctx, next) {
+    ctx.handlers = ctx.handler.getActiveHandlers(ctx.event);
+    if (ctx.handlers.length === 0) return;
+
+    await next();
+}
+
+/**
+ * Multi-bot collision prevention for shared groups: only the first bot with
+ * handlers to run claims the event
+ * @param {Object} ctx - Event dispatch context
+ * @param {function(): Promise} next - Continue dispatch
+ */
+async function sharedGroupMiddleware(ctx, next) {
+    const { event, handler } = ctx;
+
+    if (config.events.singleEventInSharedGC && ctx.isGroup) {
+        const uniqueId =
+            event.messageID ||
+            `${event.threadID}-${event.logMessageType || event.type}-${event.timestamp}`;
+
+        if (handler.processedEvents.has(uniqueId)) {
+            return; // Already processed by another bot
+        }
+        handler.processedEvents.add(uniqueId);
+    }
+    await next();
+}
+
+/** Built-in checks in the order they run */
+const BUILTIN_MIDDLEWARES = [
+    ["stats", statsMiddleware],
+    ["threadAdmins", threadAdminsMiddleware],
+    ["blocked", blockedMiddleware],
+    ["availability", availabilityMiddleware],
+    ["resolve", resolveMiddleware],
+    ["sharedGroup", sharedGroupMiddleware],
+];
 
 /**
  * EventHandler Class
@@ -48,6 +171,12 @@ class EventHandler {
         /** @type {Set<string>} Processed event IDs to prevent multi-bot duplicates */
         this.processedEvents = new Set();
 
+        /** @type {MiddlewarePipeline} Checks every incoming event passes first */
+        this.middleware = new MiddlewarePipeline("event");
+        for (const [name, fn] of BUILTIN_MIDDLEWARES) {
+            this.middleware.use(fn, { name });
+        }
+
         // Auto-cleanup processed events every minute
         setInterval(() => this.processedEvents.clear(), 60000);
     }
@@ -124,17 +253,14 @@ class EventHandler {
     }
 
     /**
-     * Loads a single event handler from file
+     * Fills in an event module's defaults and validates it (without registering it)
+     * @param {Object} eventModule - The module's exports
      * @param {string} category - Category name
      * @param {string} filePath - Path to the event file
-     * @returns {Promise<void>}
+     * @returns {Object} Event data as stored in `handlers`
+     * @throws {Error} If config.name or execute is missing
      */
-    async loadEvent(category, filePath) {
-        // Clear require cache to allow hot reloading
-        delete require.cache[require.resolve(filePath)];
-
-        const eventModule = require(filePath);
-
+    normalizeEvent(eventModule, category, filePath) {
         // Validate event structure
         if (!eventModule.config || !eventModule.config.name) {
             throw new Error(`Event at ${filePath} is missing required config.name`);
@@ -161,6 +287,21 @@ class EventHandler {
             throw new Error(`Event ${eventData.config.name} is missing execute function`);
         }
 
+        return eventData;
+    }
+
+    /**
+     * Loads a single event handler from file
+     * @param {string} category - Category name
+     * @param {string} filePath - Path to the event file
+     * @returns {Promise<void>}
+     */
+    async loadEvent(category, filePath) {
+        // Clear require cache to allow hot reloading
+        delete require.cache[require.resolve(filePath)];
+
+        const eventData = this.normalizeEvent(require(filePath), category, filePath);
+
         // Register handler in handlers map
         this.handlers.set(eventData.config.name, eventData);
 
@@ -227,6 +368,17 @@ class EventHandler {
         }
     }
 
+    /**
+     * Adds a middleware to event dispatch. It runs after the built-in checks
+     * unless placed with `before` / `after` (see utils/middleware).
+     * @param {function(Object, function(): Promise): *} fn - `async (ctx, next) => {}`
+     * @param {Object} [options] - name, before, after
+     * @returns {MiddlewarePipeline}
+     */
+    use(fn, options) {
+        return this.middleware.use(fn, options);
+    }
+
     /**
      * Handles incoming events and dispatches to registered handlers
      * @param {Object} api - Nero API object
@@ -234,23 +386,24 @@ class EventHandler {
      * @returns {Promise<void>}
      */
     async handle(api, event) {
-        if (!config.events.enabled) return;
-
-        // Skip events during maintenance mode (silent - no notification)
-        if (maintenanceManager.isEnabled()) {
-            return;
-        }
+        // Dispatch context shared by every middleware and the handlers
+        const ctx = {
+            api,
+            event,
+            isGroup: event.isGroup === true,
+            handlers: [],
+            handler: this,
+        };
 
-        // Check global DM/Group settings from config
-        // isGroup is true for group chats, false/undefined for DMs
-        const isGroup = event.isGroup === true;
-        if (!isGroup && config.events.allowInDM === false) {
-            return; // Silently ignore DM events
-        }
-        if (isGroup && config.events.allowInGroups === false) {
-            return; // Silently ignore group events
-        }
+        await this.middleware.run(ctx, () => this.executeHandlers(ctx));
+    }
 
+    /**
+     * Enabled handlers for an event, "all" handlers included, by priority
+     * @param {Object} event - Event object from Nero
+     * @returns {Array<Object>}
+     */
+    getActiveHandlers(event) {
         const eventType = event.type;
 
         // Debug: Log event types for troubleshooting
@@ -278,40 +431,45 @@ class EventHandler {
         // Sort combined handlers by priority
         combinedHandlers.sort((a, b) => b.config.priority - a.config.priority);
 
-        // Filter enabled handlers
-        const activeHandlers = combinedHandlers.filter((h) => h.config.enabled);
-
-        if (activeHandlers.length === 0) return;
+        // Filter enabled handlers (thread settings override the handler's own flag)
+        return combinedHandlers.filter((h) =>
+            event.threadID
+                ? threadConfig.isEventEnabled(event.threadID, h.config.name, h.config.enabled)
+                : h.config.enabled
+        );
+    }
 
-        // Build context object
-        const context = {
+    /**
+     * Builds the context object an event handler's execute() receives
+     * @param {Object} api - Nero API
+     * @param {Object} event - Event object from Nero
+     * @returns {Object} Event context
+     */
+    createContext(api, event) {
+        const t = i18n.forContext({ userID: event.senderID, threadID: event.threadID });
+        return {
             api,
             event,
             config,
             logger,
             eventHandler: this,
+            t,
+            locale: t.locale,
         };
+    }
 
-        // Multi-bot collision prevention for shared groups
-        // CHECK HERE: Only claim the event if we found handlers and are about to execute
-        let uniqueId = null;
-        if (config.events.singleEventInSharedGC && isGroup) {
-            uniqueId =
-                event.messageID ||
-                `${event.threadID}-${event.logMessageType || event.type}-${event.timestamp}`;
-
-            if (this.processedEvents.has(uniqueId)) {
-                return; // Already processed by another bot
-            }
-        }
+    /**
+     * Runs the resolved handlers once every middleware has passed the event on
+     * @param {Object} ctx - Event dispatch context (see handle)
+     * @returns {Promise<void>}
+     */
+    async executeHandlers(ctx) {
+        const { api, event } = ctx;
 
-        // If we made it here, we are the first valid bot to process this event
-        if (uniqueId) {
-            this.processedEvents.add(uniqueId);
-        }
+        const context = this.createContext(api, event);
 
         // Execute all handlers
-        for (const handler of activeHandlers) {
+        for (const handler of ctx.handlers) {
             try {
                 this.stats.triggered++;
 
@@ -323,7 +481,7 @@ class EventHandler {
 
                 logger.debug(
                     "EventHandler",
-                    `Executing: ${handler.config.name} │ ${eventDetails.join(" │ ") || eventType}`
+                    `Executing: ${handler.config.name} │ ${eventDetails.join(" │ ") || event.type}`
                 );
 
                 await handler.execute(context);
@@ -0,0 +1,251 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                      NERO - Unit Tests: Admin API                            ║
+ * ║       Test Authentication, Management Routes and Account Actions             ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/adminApi.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+// Must be set before config loads: the admin API is refused without a key
+process.env.NERO_API_KEY = "test-admin-key";
+
+const fs = require("fs");
+const os = require("os");
+const nodePath = require("path");
+const http = require("http");
+const {
+    describe,
+    it,
+    assert,
+    beforeAll,
+    afterAll,
+    run,
+} = require("../../core/tests/lib/test-framework");
+const { server, apiKeys } = require("../../../server");
+const adminApi = require("../../utils/adminApi");
+const config = require("../../config/config");
+const maintenanceManager = require("../../utils/maintenanceManager");
+const CommandHandler = require("../commandHandler");
+const { Simulator } = require("../../utils/simulator");
+const AccountManager = require("../../utils/accountManager");
+
+const BOT = "100000000000060";
+const USER = "100000000000061";
+const OTHER_BOT = "100000000000062";
+const THREAD = "200000000000060";
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {}, success() {} };
+
+let tempDir;
+let app;
+let baseUrl;
+
+/**
+ * Calls the API on the test server
+ * @param {string} method - HTTP method
+ * @param {string} path - URL path
+ * @param {Object} [options] - { body, key }
+ * @returns {Promise<{status: number, json: Object}>}
+ */
+async function request(method, path, { body, key = "test-admin-key" } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+            "Content-Type": "application/json",
+            ...(key && { "X-API-Key": key }),
+        },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, json: await response.json() };
+}
+
+/**
+ * Runs an admin route directly with a given account manager
+ * @param {string} method - HTTP method
+ * @param {string} path - URL path
+ * @param {Object} context - { body, accountManager }
+ * @returns {Promise<Object>} Handler result
+ */
+function callRoute(method, path, context) {
+    const route = adminApi.match(method, path);
+    return route.handler({ params: route.params, query: {}, body: {}, ...context });
+}
+
+describe("Admin API", () => {
+    beforeAll(async () => {
+        tempDir = fs.mkdtempSync(nodePath.join(os.tmpdir(), "nero-admin-"));
+        apiKeys.file = nodePath.join(tempDir, "server-keys.json");
+        apiKeys.auditFile = nodePath.join(tempDir, "audit.log");
+
+        app = http.createServer(server.listeners("request")[0]);
+        await new Promise((resolve) => {
+            app.listen(0, "127.0.0.1", resolve);
+        });
+        baseUrl = `http://127.0.0.1:${app.address().port}`;
+
+        CommandHandler.commands.set("adminprobe", {
+            config: { name: "adminprobe", category: "user", enabled: true, aliases: [] },
+        });
+    });
+
+    afterAll(() => {
+        app.close();
+        CommandHandler.commands.delete("adminprobe");
+        maintenanceManager.disable();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should require the API key on every admin route", async () => {
+        const missing = await request("GET", "/api/admin/commands", { key: null });
+        assert.equal(missing.status, 401);
+
+        const wrong = await request("GET", "/api/admin/commands", { key: "nope" });
+        assert.equal(wrong.status, 401);
+
+        const ok = await request("GET", "/api/admin/commands");
+        assert.equal(ok.status, 200);
+        assert.ok(ok.json.commands.some((command) => command.name === "adminprobe"));
+    });
+
+    it("should enable and disable commands and report unknown ones", async () => {
+        const disabled = await request("POST", "/api/admin/commands/adminprobe/disable");
+        assert.equal(disabled.status, 200);
+        assert.equal(CommandHandler.getCommand("adminprobe").config.enabled, false);
+
+        await request("POST", "/api/admin/commands/adminprobe/enable");
+        assert.equal(CommandHandler.getCommand("adminprobe").config.enabled, true);
+
+        const unknown = await request("POST", "/api/admin/commands/nosuchcommand/reload");
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.json.code, "NOT_FOUND");
+    });
+
+    it("should toggle maintenance and validate the body", async () => {
+        const bad = await request("POST", "/api/admin/maintenance", { body: { enabled: "yes" } });
+        assert.equal(bad.status, 400);
+        assert.equal(bad.json.code, "VALIDATION_ERROR");
+
+        const on = await request("POST", "/api/admin/maintenance", {
+            body: { enabled: true, reason: "Upgrading", estimatedMinutes: 5 },
+        });
+        assert.equal(on.json.maintenance.enabled, true);
+        assert.ok(maintenanceManager.isEnabled());
+
+        await request("POST", "/api/admin/maintenance", { body: { enabled: false } });
+        assert.equal(maintenanceManager.isEnabled(), false);
+    });
+
+    it("should manage block lists through the config helpers", async () => {
+        const added = await request("POST", "/api/admin/blocked-threads", {
+            body: { threadID: THREAD },
+        });
+        assert.equal(added.json.added, true);
+        assert.ok(config.isThreadBlocked(THREAD));
+
+        const removed = await request("DELETE", `/api/admin/blocked-threads/${THREAD}`);
+        assert.equal(removed.json.removed, true);
+        assert.equal(config.isThreadBlocked(THREAD), false);
+
+        const again = await request("DELETE", `/api/admin/blocked-threads/${THREAD}`);
+        assert.equal(again.status, 404);
+
+        const invalid = await request("POST", "/api/admin/blocked-users", {
+            body: { userID: "x" },
+        });
+        assert.equal(invalid.status, 400);
+    });
+
+    it("should stop, start and send as simulated accounts", async () => {
+        const sim = new Simulator({
+            bots: [{ id: BOT, name: "Nero", account: "sim" }],
+            users: [{ id: USER, name: "Ana Cruz" }],
+            threads: [{ id: THREAD, name: "Admin Group", participants: [BOT, USER] }],
+        });
+        const accountManager = new AccountManager({
+            simulator: sim,
+            logger: quietLogger,
+            autoSaveAppState: false,
+        });
+        await accountManager.init();
+        await accountManager.loginAll();
+        accountManager.startAllListeners(async () => {});
+
+        const sent = await callRoute("POST", "/api/admin/accounts/sim/send", {
+            body: { threadID: THREAD, body: "Hello from the API" },
+            accountManager,
+        });
+        assert.equal(sent.account, "sim");
+        assert.equal(sim.getHistory(THREAD).at(-1).body, "Hello from the API");
+
+        const stopped = await callRoute("POST", "/api/admin/accounts/sim/stop", {
+            accountManager,
+        });
+        assert.equal(stopped.account.status, "offline");
+
+        try {
+            await callRoute("POST", "/api/admin/accounts/sim/send", {
+                body: { threadID: THREAD, body: "Nope" },
+                accountManager,
+            });
+            assert.ok(false, "Expected a ConflictError");
+        } catch (error) {
+            assert.equal(error.statusCode, 409);
+        }
+
+        const started = await callRoute("POST", "/api/admin/accounts/sim/start", {
+            accountManager,
+        });
+        assert.equal(started.account.status, "online");
+        assert.equal(started.account.listening, true);
+
+        // Keys limited to other accounts don't see this one
+        const listFor = (uid) =>
+            callRoute("GET", "/api/admin/accounts", {
+                accountManager,
+                canAccessAccount: (accountID) => accountID === uid,
+            });
+        assert.deepEqual(
+            (await listFor(BOT)).accounts.map((account) => account.name),
+            ["sim"]
+        );
+        assert.deepEqual((await listFor(OTHER_BOT)).accounts, []);
+        accountManager.stopAllListeners();
+    });
+
+    it("should refuse account routes for accounts outside a key's list", async () => {
+        const { token } = apiKeys.create({ name: "limited", scopes: ["admin"], accounts: [BOT] });
+        const routes = [
+            ["POST", "start"],
+            ["POST", "stop"],
+            ["POST", "relogin"],
+            ["POST", "send", { threadID: THREAD, body: "Hi" }],
+            ["GET", "appstate"],
+            ["POST", "appstate/restore", { snapshot: 1 }],
+        ];
+
+        for (const [method, action, body] of routes) {
+            const path = `/api/admin/accounts/${OTHER_BOT}/${action}`;
+            const denied = await request(method, path, { body, key: token });
+            assert.equal(denied.status, 403, `${method} ${action}`);
+            assert.equal(denied.json.code, "INSUFFICIENT_PERMISSIONS");
+
+            // Its own account gets past the check (the bot isn't running here)
+            const own = await request(method, path.replace(OTHER_BOT, BOT), { body, key: token });
+            assert.equal(own.status, 409, `${method} ${action} on its own account`);
+        }
+
+        const audited = apiKeys
+            .readAudit({ key: apiKeys.verify(token).id })
+            .filter((entry) => entry.status === 403);
+        assert.equal(audited.length, routes.length);
+        assert.ok(audited.every((entry) => entry.account === OTHER_BOT));
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,179 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                       NERO - Unit Tests: API Keys                            ║
+ * ║        Test Hashed Keys, Scopes, Expiry, Revocation and the Audit Log        ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/apiKeys.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+// Only stored keys in this file, no full-access config key
+delete process.env.NERO_API_KEY;
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const {
+    describe,
+    it,
+    assert,
+    beforeAll,
+    afterAll,
+    run,
+} = require("../../core/tests/lib/test-framework");
+const { ApiKeyStore } = require("../../utils/apiKeys");
+const { server, apiKeys } = require("../../../server");
+
+const ACCOUNT = "100000000000080";
+const OTHER_ACCOUNT = "100000000000081";
+
+let tempDir;
+let app;
+let baseUrl;
+
+/**
+ * GET against the test server
+ * @param {string} pathname - Path and query
+ * @param {string} [key] - API key
+ * @returns {Promise<{status: number, json: Object}>}
+ */
+async function get(pathname, key) {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+        headers: key ? { "X-API-Key": key } : {},
+    });
+    return { status: response.status, json: await response.json() };
+}
+
+describe("API Keys", () => {
+    beforeAll(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nero-keys-"));
+        apiKeys.file = path.join(tempDir, "server-keys.json");
+        apiKeys.auditFile = path.join(tempDir, "audit.log");
+
+        app = http.createServer(server.listeners("request")[0]);
+        await new Promise((resolve) => {
+            app.listen(0, "127.0.0.1", resolve);
+        });
+        baseUrl = `http://127.0.0.1:${app.address().port}`;
+    });
+
+    afterAll(() => {
+        app.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should store only hashes and reject expired or revoked keys", () => {
+        const clock = { time: Date.now() };
+        const file = path.join(tempDir, "keys.json");
+        const store = new ApiKeyStore({ file, now: () => clock.time });
+
+        const { token, key } = store.create({
+            name: "extension",
+            scopes: ["stats:read"],
+            expiresAt: clock.time + 60 * 1000,
+        });
+        assert.ok(!fs.readFileSync(file, "utf8").includes(token));
+        assert.deepEqual(store.verify(token).scopes, ["stats:read"]);
+
+        try {
+            store.create({ name: "extension", scopes: ["stats:read"] });
+            assert.ok(false, "Expected a ConflictError");
+        } catch (error) {
+            assert.equal(error.statusCode, 409);
+        }
+
+        clock.time += 2 * 60 * 1000;
+        try {
+            store.verify(token);
+            assert.ok(false, "Expected the key to be expired");
+        } catch (error) {
+            assert.equal(error.code, "TOKEN_EXPIRED");
+        }
+
+        // A revoke from another process (the CLI) is seen without a restart
+        const other = store.create({ name: "ci", scopes: ["admin"] });
+        new ApiKeyStore({ file }).revoke("ci");
+        try {
+            store.verify(other.token);
+            assert.ok(false, "Expected the key to be revoked");
+        } catch (error) {
+            assert.equal(error.code, "API_KEY_REVOKED");
+        }
+        assert.equal(store.list().find((entry) => entry.id === key.id).status, "expired");
+    });
+
+    it("should keep protected endpoints closed until a key exists", async () => {
+        const { status, json } = await get("/api/cookies/appstate", "anything");
+        assert.equal(status, 401);
+        assert.equal(json.code, "API_KEY_NOT_SET");
+
+        // History is under the public /api/stats prefix but is not public
+        const history = await get("/api/stats/history");
+        assert.equal(history.status, 401);
+        assert.equal((await get("/api/stats")).status, 200);
+    });
+
+    it("should enforce scopes and account limits and audit each request", async () => {
+        const stats = apiKeys.create({ name: "dashboard", scopes: ["stats:read"] });
+        const reader = apiKeys.create({
+            name: "reader",
+            scopes: ["cookies:read"],
+            accounts: [ACCOUNT],
+        });
+
+        const wrongScope = await get("/api/cookies/appstate", stats.token);
+        assert.equal(wrongScope.status, 403);
+        assert.equal(wrongScope.json.code, "INSUFFICIENT_PERMISSIONS");
+
+        const writer = apiKeys.create({ name: "uploader", scopes: ["cookies:write"] });
+        assert.equal((await get("/api/stats/history", writer.token)).status, 403);
+        const history = await get("/api/stats/history?from=0", stats.token);
+        assert.equal(history.status, 200);
+        assert.equal(history.json.buckets.length, 168);
+
+        const otherAccount = await get(`/api/cookies/appstate?uid=${OTHER_ACCOUNT}`, reader.token);
+        assert.equal(otherAccount.status, 403);
+
+        const ownAccount = await get(`/api/cookies/appstate?uid=${ACCOUNT}`, reader.token);
+        assert.equal(ownAccount.status, 404);
+
+        apiKeys.revoke("reader");
+        const revoked = await get(`/api/cookies/appstate?uid=${ACCOUNT}`, reader.token);
+        assert.equal(revoked.status, 401);
+
+        const audit = apiKeys.readAudit({ key: reader.key.id });
+        assert.deepEqual(
+            audit.map((entry) => [entry.status, entry.account]),
+            [
+                [403, OTHER_ACCOUNT],
+                [404, ACCOUNT],
+                [401, undefined],
+            ]
+        );
+        assert.equal(audit[0].name, "reader");
+        assert.equal(audit[2].reason, "API_KEY_REVOKED");
+    });
+
+    it("should answer requests when the audit log cannot be written", async () => {
+        const auditFile = apiKeys.auditFile;
+        const { token } = apiKeys.create({ name: "offline", scopes: ["stats:read"] });
+
+        // A file where the log's directory should be makes every write fail
+        apiKeys.auditFile = path.join(apiKeys.file, "audit.log");
+        try {
+            assert.isFalse(apiKeys.audit({ key: "k", status: 200 }));
+            assert.equal((await get("/api/cookies/appstate", token)).status, 403);
+            assert.equal((await get("/api/stats/history", token)).status, 200);
+        } finally {
+            apiKeys.auditFile = auditFile;
+        }
+    });
+});
+
+if (require.main === module) {
+    run();
+}
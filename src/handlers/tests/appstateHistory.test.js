@@ -0,0 +1,160 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                    NERO - Unit Tests: Appstate History                       ║
+ * ║        Test Snapshots, Pruning, Automatic Fallback and Manual Restore        ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/appstateHistory.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+delete process.env.NERO_APPSTATE_KEY;
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    describe,
+    it,
+    assert,
+    beforeEach,
+    afterEach,
+    run,
+} = require("../../core/tests/lib/test-framework");
+const { AppstateHistory } = require("../../utils/appstateHistory");
+const AccountManager = require("../../utils/accountManager");
+
+const UID = "100000000000095";
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {}, success() {} };
+
+/**
+ * Appstate with a given xs session value
+ * @param {string} xs - Session cookie value
+ * @returns {Array}
+ */
+function cookies(xs) {
+    return [
+        { key: "c_user", value: UID },
+        { key: "xs", value: xs },
+        { key: "datr", value: "browser-id" },
+        { key: "sb", value: "binding" },
+        { key: "fr", value: "tracking" },
+    ];
+}
+
+/**
+ * AccountManager whose login only accepts the given xs values
+ * @param {string} accountsPath - Accounts folder
+ * @param {string[]} workingSessions - xs values that log in
+ * @returns {AccountManager}
+ */
+function createManager(accountsPath, workingSessions) {
+    const manager = new AccountManager({
+        accountsPath,
+        logger: quietLogger,
+        maxLoginRetries: 1,
+        autoSaveAppState: false,
+    });
+    manager.nero = {
+        login({ appState }, options, callback) {
+            const xs = appState.find((cookie) => cookie.key === "xs").value;
+            if (!workingSessions.includes(xs)) {
+                callback(new Error("Session expired"));
+                return;
+            }
+            callback(null, {
+                getCurrentUserID: () => UID,
+                getAppState: () => appState,
+                logout: (done) => done(),
+            });
+        },
+    };
+    return manager;
+}
+
+let tempDir;
+
+describe("Appstate History", () => {
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nero-history-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should keep scored snapshots and prune all but the newest good one", () => {
+        let time = 1000;
+        const history = new AppstateHistory({
+            dir: path.join(tempDir, ".history"),
+            maxSnapshots: 3,
+            now: () => time++,
+        });
+
+        const first = history.record(UID, cookies("session-0001"), { reason: "login", good: true });
+        assert.equal(first.health, "healthy");
+        assert.equal(first.score, 100);
+        assert.equal(history.record(UID, cookies("session-0001")).id, first.id);
+
+        for (let i = 2; i <= 4; i++) {
+            history.record(UID, cookies(`session-000${i}`).slice(0, 3), { reason: "upload" });
+        }
+
+        const snapshots = history.list(UID);
+        assert.deepEqual(
+            snapshots.map((snapshot) => snapshot.id),
+            ["1003", "1002", first.id]
+        );
+        assert.equal(snapshots[0].health, "good");
+        assert.equal(snapshots[0].score, 75);
+        assert.equal(snapshots[0].hash, undefined);
+        assert.equal(history.get(UID, 3).id, first.id);
+        assert.equal(fs.readdirSync(path.join(tempDir, ".history", UID)).length, 4);
+    });
+
+    it("should fall back to the last good snapshot when the current file fails", async () => {
+        const filePath = path.join(tempDir, `${UID}.json`);
+        const manager = createManager(tempDir, ["working-session"]);
+        manager.history.record(UID, cookies("working-session"), { reason: "login", good: true });
+        fs.writeFileSync(filePath, JSON.stringify(cookies("broken-session")));
+
+        const restored = [];
+        manager.on("appStateRestored", (info) => restored.push(info));
+        const account = await manager.loginAccount(UID, filePath);
+
+        assert.equal(account.status, "online");
+        assert.equal(restored.length, 1);
+        assert.equal(restored[0].automatic, true);
+        assert.equal(JSON.parse(fs.readFileSync(filePath, "utf8"))[1].value, "working-session");
+    });
+
+    it("should mark a failing snapshot and still keep history after the file is deleted", async () => {
+        const filePath = path.join(tempDir, `${UID}.json`);
+        const manager = createManager(tempDir, []);
+        const snapshot = manager.history.record(UID, cookies("old-session"), { good: true });
+        fs.writeFileSync(filePath, "not json");
+
+        const account = await manager.loginAccount(UID, filePath);
+        assert.equal(account.status, "deleted");
+        assert.ok(!fs.existsSync(filePath));
+
+        const [failed] = manager.history.list(UID);
+        assert.equal(failed.id, snapshot.id);
+        assert.equal(failed.good, false);
+        assert.ok(failed.failedAt > 0);
+
+        // A manual restore brings the file back even after it was deleted
+        const working = createManager(tempDir, ["old-session"]);
+        const restoredAccount = await working.restoreAppState(UID, 1);
+        assert.equal(restoredAccount.status, "online");
+        assert.ok(fs.existsSync(filePath));
+        assert.equal(working.history.list(UID)[0].good, true);
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,154 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                   NERO - Unit Tests: Appstate Encryption                     ║
+ * ║      Test Encrypted Saves, Legacy Files, Tampering, Rotation and Serving     ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/appstateVault.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+// Must be set before config loads (full-access key for the cookie endpoints)
+process.env.NERO_API_KEY = "test-vault-key";
+process.env.NERO_APPSTATE_KEY = "current-secret";
+delete process.env.NERO_APPSTATE_OLD_KEYS;
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const {
+    describe,
+    it,
+    assert,
+    beforeAll,
+    afterAll,
+    run,
+} = require("../../core/tests/lib/test-framework");
+const appstateVault = require("../../utils/appstateVault");
+const AccountManager = require("../../utils/accountManager");
+const { server, CONFIG } = require("../../../server");
+
+const UID = "100000000000090";
+const COOKIES = [
+    { key: "c_user", value: UID },
+    { key: "xs", value: "secret-session" },
+    { key: "datr", value: "browser" },
+];
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {}, success() {} };
+
+let tempDir;
+let app;
+let baseUrl;
+
+describe("Appstate Encryption", () => {
+    beforeAll(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nero-vault-"));
+        CONFIG.accountsDir = tempDir;
+
+        app = http.createServer(server.listeners("request")[0]);
+        await new Promise((resolve) => {
+            app.listen(0, "127.0.0.1", resolve);
+        });
+        baseUrl = `http://127.0.0.1:${app.address().port}`;
+    });
+
+    afterAll(() => {
+        app.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should save encrypted appstate and still read legacy plaintext files", async () => {
+        const filePath = path.join(tempDir, `${UID}.json`);
+        fs.writeFileSync(filePath, JSON.stringify(COOKIES));
+
+        const accountManager = new AccountManager({ accountsPath: tempDir, logger: quietLogger });
+        assert.deepEqual(accountManager.validateAppState(filePath).appState, COOKIES);
+
+        accountManager.accounts.set("main", {
+            name: "main",
+            filePath,
+            status: "online",
+            api: { getAppState: () => [...COOKIES, { key: "fr", value: "fresh" }] },
+        });
+        const result = await accountManager.saveAppState("main", "test");
+        assert.equal(result.success, true);
+
+        const content = fs.readFileSync(filePath, "utf8");
+        assert.ok(!content.includes("secret-session"), "Cookies must not be stored in plaintext");
+        assert.equal(JSON.parse(content).alg, "aes-256-gcm");
+        assert.equal(accountManager.validateAppState(filePath).appState.length, 4);
+        assert.deepEqual(accountManager.discoverAccounts(), [{ name: UID, filePath }]);
+    });
+
+    it("should refuse tampered files and keep files whose key is missing", async () => {
+        const filePath = path.join(tempDir, "100000000000091.json");
+        const envelope = appstateVault.encrypt(COOKIES);
+        const data = Buffer.from(envelope.data, "base64");
+        data[0] ^= 1;
+        fs.writeFileSync(filePath, JSON.stringify({ ...envelope, data: data.toString("base64") }));
+
+        try {
+            appstateVault.readFile(filePath);
+            assert.ok(false, "Expected the tampered file to be refused");
+        } catch (error) {
+            assert.equal(error.code, "APPSTATE_TAMPERED");
+        }
+
+        appstateVault.writeFile(filePath, COOKIES);
+        process.env.NERO_APPSTATE_KEY = "another-secret";
+        try {
+            const accountManager = new AccountManager({
+                accountsPath: tempDir,
+                logger: quietLogger,
+            });
+            const account = await accountManager.loginAccount("locked", filePath);
+            assert.equal(account.status, "error");
+            assert.includes(account.error, "not configured");
+            assert.ok(fs.existsSync(filePath), "A file we can't decrypt must not be deleted");
+        } finally {
+            process.env.NERO_APPSTATE_KEY = "current-secret";
+            fs.rmSync(filePath);
+        }
+    });
+
+    it("should re-encrypt files with the new key during a rotation", () => {
+        const filePath = path.join(tempDir, "100000000000092.json");
+        const oldKid = appstateVault.getKeys().current.id;
+        appstateVault.writeFile(filePath, COOKIES);
+
+        process.env.NERO_APPSTATE_KEY = "rotated-secret";
+        process.env.NERO_APPSTATE_OLD_KEYS = "current-secret";
+        try {
+            assert.equal(appstateVault.rekeyFile(filePath), "rotated");
+            assert.equal(appstateVault.rekeyFile(filePath), "current");
+
+            delete process.env.NERO_APPSTATE_OLD_KEYS;
+            const { appState, kid } = appstateVault.readFile(filePath);
+            assert.deepEqual(appState, COOKIES);
+            assert.ok(kid !== oldKid);
+        } finally {
+            process.env.NERO_APPSTATE_KEY = "current-secret";
+            delete process.env.NERO_APPSTATE_OLD_KEYS;
+            fs.rmSync(filePath);
+        }
+    });
+
+    it("should serve encrypted appstate decrypted over the API", async () => {
+        const response = await fetch(`${baseUrl}/api/cookies/appstate?uid=${UID}`, {
+            headers: { "X-API-Key": "test-vault-key" },
+        });
+        const json = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(json.cookieCount, 4);
+        assert.equal(json.appstate[1].value, "secret-session");
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,168 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                    NERO - Unit Tests: BackgroundHandler                      ║
+ * ║                   Test Cron Parsing and Scheduled Task Runs                  ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/backgroundHandler.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, run } = require("../../core/tests/lib/test-framework");
+const { parseCron, isValidCron, getNextRun, getRunsBetween } = require("../../utils/cron");
+const BackgroundHandler = require("../backgroundHandler");
+
+function next(expression, from, timezone = "UTC") {
+    return getNextRun(expression, { from: new Date(from), timezone }).toISOString();
+}
+
+describe("BackgroundHandler", () => {
+    // ═══════════════════════════════════════════════════════════
+    // CRON PARSING
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Cron Parsing", () => {
+        it("should expand lists, ranges and steps", () => {
+            const cron = parseCron("*/15 9-11 * * mon-fri");
+            assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+            assert.deepEqual([...cron.hour], [9, 10, 11]);
+            assert.deepEqual([...cron.weekday], [1, 2, 3, 4, 5]);
+            assert.deepEqual([...cron.second], [0]);
+        });
+
+        it("should accept a leading seconds field and macros", () => {
+            assert.deepEqual([...parseCron("30 0 * * * *").second], [30]);
+            assert.deepEqual([...parseCron("@daily").hour], [0]);
+        });
+
+        it("should treat weekday 7 as Sunday", () => {
+            assert.deepEqual([...parseCron("0 0 * * 7").weekday], [0]);
+        });
+
+        it("should reject malformed expressions", () => {
+            assert.isFalse(isValidCron("* * *"));
+            assert.isFalse(isValidCron("60 * * * *"));
+            assert.isFalse(isValidCron("*/0 * * * *"));
+            assert.isFalse(isValidCron("5-1 * * * *"));
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // NEXT RUN COMPUTATION
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Next Run", () => {
+        it("should find the next half hour in the configured timezone", () => {
+            assert.equal(
+                next("0,30 * * * *", "2026-10-19T10:10:00Z", "Asia/Manila"),
+                "2026-10-19T10:30:00.000Z"
+            );
+        });
+
+        it("should skip to the next matching weekday", () => {
+            // Saturday 18:10 in Manila -> Monday 09:00 Manila
+            assert.equal(
+                next("0 9 * * mon-fri", "2026-10-17T10:10:00Z", "Asia/Manila"),
+                "2026-10-19T01:00:00.000Z"
+            );
+        });
+
+        it("should match day OR weekday when both are restricted", () => {
+            // Jan 1 2026 is a Thursday; the next Friday comes before the 13th
+            assert.equal(next("0 0 13 * 5", "2026-01-01T00:00:00Z"), "2026-01-02T00:00:00.000Z");
+        });
+
+        it("should follow daylight saving changes", () => {
+            // Midnight in New York is 05:00 UTC before the March change, 04:00 after
+            assert.equal(
+                next("0 0 * * *", "2026-03-07T12:00:00Z", "America/New_York"),
+                "2026-03-08T05:00:00.000Z"
+            );
+            assert.equal(
+                next("0 0 * * *", "2026-03-08T12:00:00Z", "America/New_York"),
+                "2026-03-09T04:00:00.000Z"
+            );
+        });
+
+        it("should return null for dates that never occur", () => {
+            assert.equal(getNextRun("0 0 30 2 *", { timezone: "UTC" }), null);
+        });
+
+        it("should list runs inside a window", () => {
+            const runs = getRunsBetween(
+                "0,30 * * * *",
+                new Date("2026-10-19T00:00:00Z"),
+                new Date("2026-10-19T01:00:00Z"),
+                { timezone: "UTC" }
+            );
+            assert.deepEqual(
+                runs.map((d) => d.toISOString()),
+                ["2026-10-19T00:30:00.000Z", "2026-10-19T01:00:00.000Z"]
+            );
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // CATCH-UP POLICY
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Catch-up Policy", () => {
+        async function runMissed(catchUp, schedule = "* * * * *") {
+            const calls = [];
+            const task = {
+                name: `catchup-${catchUp}`,
+                cron: parseCron(schedule),
+                timezone: "UTC",
+                catchUp,
+                misfireGrace: 60000,
+            };
+            // Pretend the timer fired five minutes late
+            const entry = { timer: null, nextRun: new Date(Date.now() - 5 * 60000 - 1000) };
+            const name = task.name.toLowerCase();
+
+            const originalExecute = BackgroundHandler.executeTask;
+            BackgroundHandler.executeTask = async (_task, scheduledAt) => calls.push(scheduledAt);
+            BackgroundHandler.scheduled.set(name, entry);
+
+            try {
+                await BackgroundHandler.runScheduled(task, entry);
+            } finally {
+                BackgroundHandler.executeTask = originalExecute;
+                clearTimeout(BackgroundHandler.scheduled.get(name)?.timer);
+                BackgroundHandler.scheduled.delete(name);
+            }
+
+            return { calls, task };
+        }
+
+        it("should drop late runs with 'skip'", async () => {
+            // Yearly schedule: the late slot is the only one due
+            const { calls, task } = await runMissed("skip", "@yearly");
+            assert.equal(calls.length, 0);
+            assert.ok(task.nextRun > new Date(), "Expected next run in the future");
+        });
+
+        it("should still run the latest on-time slot with 'skip'", async () => {
+            const { calls } = await runMissed("skip");
+            assert.equal(calls.length, 1);
+        });
+
+        it("should run once for the latest missed slot with 'once'", async () => {
+            const { calls } = await runMissed("once");
+            assert.equal(calls.length, 1);
+        });
+
+        it("should replay every missed slot with 'all'", async () => {
+            const { calls } = await runMissed("all");
+            assert.isTrue(calls.length >= 5, `Expected at least 5 runs, got ${calls.length}`);
+            assert.ok(calls.every((d, i) => i === 0 || d > calls[i - 1]));
+        });
+    });
+});
+
+// Run if called directly
+if (require.main === module) {
+    run();
+}
@@ -12,6 +12,9 @@
 
 const { describe, it, assert, run } = require("../../core/tests/lib/test-framework");
 const CommandHandler = require("../commandHandler");
+const { parseArgs, parseDuration, formatUsage } = require("../../utils/argParser");
+const { MiddlewarePipeline } = require("../../utils/middleware");
+const threadConfig = require("../../utils/threadConfig");
 
 // Mock dependencies if needed (CommandHandler uses require internally, so we might need to mock specifics later)
 // For now, we are testing the regex and parsing logic which is mostly pure.
@@ -86,6 +89,275 @@ describe("CommandHandler", () => {
             assert.deepEqual(parse(input), expected);
         });
     });
+
+    // ═══════════════════════════════════════════════════════════
+    // ARGUMENT SCHEMA
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Argument Schema", () => {
+        const event = {
+            senderID: "100000000000001",
+            threadID: "200000000000001",
+            mentions: { 100000000000009: "@Jane Doe" },
+        };
+
+        it("should resolve multi-word mentions, rest text and flags", () => {
+            const schema = {
+                args: [
+                    { name: "target", type: "user", required: true },
+                    { name: "reason", type: "rest" },
+                ],
+                flags: { time: { type: "duration", alias: "t" } },
+            };
+            const tokens = ["@Jane", "Doe", "being", "rude", "-t", "1h30m"];
+
+            const { params, flags } = parseArgs(schema, tokens, event);
+            assert.equal(params.target, "100000000000009");
+            assert.equal(params.reason, "being rude");
+            assert.equal(flags.time, 90 * 60 * 1000);
+        });
+
+        it("should fall back to the replied-to sender for user args", () => {
+            const schema = { args: [{ name: "target", type: "user", required: true }] };
+            const reply = { ...event, mentions: {}, messageReply: { senderID: "100000000000005" } };
+
+            assert.equal(parseArgs(schema, [], reply).params.target, "100000000000005");
+        });
+
+        it("should skip optional args that don't match and collect variadic users", () => {
+            const schema = {
+                args: [
+                    { name: "targets", type: "user", variadic: true },
+                    { name: "mode", type: "enum", values: ["all"] },
+                ],
+            };
+
+            assert.deepEqual(parseArgs(schema, ["all"], event).params, { mode: "all" });
+            assert.deepEqual(parseArgs(schema, ["100000000000002", "me"], event).params, {
+                targets: ["100000000000002", "100000000000001"],
+            });
+        });
+
+        it("should reject missing, invalid and unexpected input", () => {
+            const schema = {
+                args: [{ name: "count", type: "integer", required: true, min: 1 }],
+                flags: { silent: {} },
+            };
+
+            assert.throws(() => parseArgs(schema, [], event));
+            assert.throws(() => parseArgs(schema, ["0"], event));
+            assert.throws(() => parseArgs(schema, ["2", "extra"], event));
+            assert.throws(() => parseArgs(schema, ["2", "--loud"], event));
+            assert.isTrue(parseArgs(schema, ["2", "--silent"], event).flags.silent);
+        });
+
+        it("should parse durations and build usage lines", () => {
+            assert.equal(parseDuration("90s"), 90000);
+            assert.equal(parseDuration("5"), 5 * 60 * 1000);
+            assert.equal(parseDuration("soon"), null);
+
+            const usage = formatUsage("mute", {
+                args: [
+                    { name: "target", type: "user", required: true },
+                    { name: "reason", type: "rest" },
+                ],
+                flags: { time: { type: "duration" } },
+            });
+            assert.equal(usage, "mute <target> [reason...] [--time=<duration>]");
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // SUBCOMMANDS
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Subcommands", () => {
+        const parent = { name: "queue", cooldown: 5, permissions: "admin" };
+        const noop = async () => {};
+
+        const command = {
+            config: parent,
+            subcommands: CommandHandler.loadSubcommands(
+                {
+                    add: {
+                        aliases: ["-a"],
+                        args: [{ name: "item", type: "rest", required: true }],
+                        execute: noop,
+                    },
+                    clear: { cooldown: 0, permissions: "superadmin", execute: noop },
+                    item: {
+                        subcommands: {
+                            show: { args: [{ name: "id", type: "integer" }], execute: noop },
+                        },
+                    },
+                },
+                parent
+            ),
+        };
+
+        it("should inherit cooldown and permissions and generate usage", () => {
+            const { lookup } = command.subcommands;
+
+            assert.equal(lookup.get("-a"), lookup.get("add"));
+            assert.equal(lookup.get("add").config.cooldown, 5);
+            assert.equal(lookup.get("add").config.permissions, "admin");
+            assert.equal(lookup.get("add").config.usage, "queue add <item...>");
+            assert.equal(lookup.get("clear").config.cooldown, 0);
+            assert.equal(lookup.get("clear").config.permissions, "superadmin");
+            assert.equal(lookup.get("item").config.usage, "queue item <show>");
+        });
+
+        it("should resolve nested subcommands and leave the remaining args", () => {
+            const nested = CommandHandler.resolveSubcommand(command, ["ITEM", "show", "3"]);
+            assert.deepEqual(nested.path, ["queue", "item", "show"]);
+            assert.deepEqual(nested.args, ["3"]);
+
+            const root = CommandHandler.resolveSubcommand(command, ["unknown"]);
+            assert.equal(root.target, command);
+            assert.deepEqual(root.args, ["unknown"]);
+        });
+
+        it("should reject subcommands without a handler", () => {
+            assert.throws(() => CommandHandler.loadSubcommands({ broken: {} }, parent));
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // INTERACTIONS (awaitReply / awaitReaction)
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Interactions", () => {
+        const api = { getCurrentUserID: () => "100000000000000" };
+        const reply = (messageID, senderID, body) => ({
+            type: "message_reply",
+            threadID: "200000000000001",
+            senderID,
+            body,
+            messageReply: { messageID },
+        });
+
+        it("should resolve replies to the awaited message from the allowed sender", async () => {
+            const pending = CommandHandler.awaitReply(
+                { messageID: "mid.1" },
+                { senderID: "100000000000001", threadID: "200000000000001" }
+            );
+
+            assert.isFalse(CommandHandler.handleInteraction(api, reply("mid.1", "100000000000002")));
+            assert.isFalse(CommandHandler.handleInteraction(api, reply("mid.2", "100000000000001")));
+            assert.isTrue(
+                CommandHandler.handleInteraction(api, reply("mid.1", "100000000000001", "2"))
+            );
+
+            const event = await pending;
+            assert.equal(event.body, "2");
+            assert.equal(CommandHandler.pendingInteractions.size, 0);
+        });
+
+        it("should resolve reactions by the reacting user", async () => {
+            const pending = CommandHandler.awaitReaction("mid.3", {
+                senderID: "100000000000001",
+                filter: (event) => event.reaction === "👍",
+            });
+            const reaction = { type: "message_reaction", messageID: "mid.3", reaction: "👍" };
+
+            assert.isFalse(CommandHandler.handleInteraction(api, { ...reaction, reaction: "😆" }));
+            assert.isTrue(
+                CommandHandler.handleInteraction(api, { ...reaction, userID: "100000000000001" })
+            );
+            assert.equal((await pending).reaction, "👍");
+        });
+
+        it("should resolve with null on timeout or cancellation", async () => {
+            assert.equal(await CommandHandler.awaitReply("mid.4", { timeout: 10 }), null);
+
+            const pending = CommandHandler.awaitReaction("mid.5");
+            assert.isTrue(CommandHandler.cancelInteraction("mid.5"));
+            assert.equal(await pending, null);
+            assert.isFalse(CommandHandler.cancelInteraction("mid.5"));
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // MIDDLEWARE
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Middleware", () => {
+        it("should run middlewares in order around the final step", async () => {
+            const calls = [];
+            const pipeline = new MiddlewarePipeline("test")
+                .use(
+                    async (ctx, next) => {
+                        calls.push("a");
+                        await next();
+                        calls.push("a:after");
+                    },
+                    { name: "a" }
+                )
+                .use(async (ctx, next) => {
+                    calls.push("c");
+                    await next();
+                })
+                .use(
+                    async (ctx, next) => {
+                        calls.push("b");
+                        await next();
+                    },
+                    { after: "a" }
+                );
+
+            await pipeline.run({}, () => calls.push("final"));
+            assert.deepEqual(calls, ["a", "b", "c", "final", "a:after"]);
+            assert.throws(() => pipeline.use(async () => {}, { before: "missing" }));
+        });
+
+        it("should expose the built-in checks by name", () => {
+            assert.deepEqual(CommandHandler.middleware.list().slice(0, 3), [
+                "threadDisabled",
+                "maintenance",
+                "blocked",
+            ]);
+            assert.equal(CommandHandler.middleware.list().at(-1), "sharedGroup");
+        });
+
+        it("should let a middleware short-circuit a command", async () => {
+            let executed = false;
+            let seen = null;
+            CommandHandler.commands.set("mwtest", {
+                config: { name: "mwtest", enabled: true, permissions: "user", cooldown: 0 },
+                execute: async () => {
+                    executed = true;
+                },
+            });
+            CommandHandler.use(
+                async (ctx) => {
+                    seen = ctx.commandKey;
+                },
+                { name: "stop", before: "threadDisabled" }
+            );
+
+            try {
+                const settings = threadConfig.getAll("200000000000001");
+                const prefix = settings.prefixEnabled ? settings.prefix : "";
+                const result = await CommandHandler.handle(
+                    { getCurrentUserID: () => "100000000000000", sendMessage: async () => {} },
+                    {
+                        type: "message",
+                        body: `${prefix}mwtest`,
+                        senderID: "100000000000001",
+                        threadID: "200000000000001",
+                        isGroup: true,
+                    }
+                );
+
+                assert.isFalse(result);
+                assert.isFalse(executed);
+                assert.equal(seen, "mwtest");
+            } finally {
+                CommandHandler.middleware.remove("stop");
+                CommandHandler.commands.delete("mwtest");
+            }
+        });
+    });
 });
 
 // Run if called directly
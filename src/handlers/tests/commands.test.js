@@ -0,0 +1,315 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                   NERO - Unit Tests: Built-in Features                       ║
+ * ║        Run Each Command and Event Module Through the Feature Harness         ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Commands that need the network, a shell or a restart (ai, dl, music, eval,
+ * shell, restart, ...) are left out; everything here runs offline.
+ *
+ * @module handlers/tests/commands.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const path = require("path");
+const { describe, it, assert, afterAll, run } = require("../../core/tests/lib/test-framework");
+const { Harness } = require("./lib/harness");
+const config = require("../../config/config");
+const commandHandler = require("../commandHandler");
+const threadConfig = require("../../utils/threadConfig");
+const i18n = require("../../utils/i18n");
+
+const BOT = "100000000000900";
+const USER = "100000000000901";
+const ADMIN = "100000000000902";
+const GUEST = "100000000000903";
+const GROUP = "200000000000900";
+
+/** Replacements for output that changes between runs */
+const SCRUB_TIMES = [
+    [/\d+ms/g, "<ms>"],
+    [/Uptime: [\dhms ]+/g, "Uptime: <uptime>"],
+    [/[\d.]+ MB/g, "<mb>"],
+];
+
+/**
+ * A harness with a user, an admin and a guest in one group the bot administers
+ * @returns {Harness}
+ */
+function createHarness() {
+    return new Harness({
+        users: [
+            { id: ADMIN, name: "Ben Reyes" },
+            { id: GUEST, name: "Cara Lim" },
+        ],
+        threads: [
+            {
+                id: GROUP,
+                name: "Harness Group",
+                participants: [BOT, USER, ADMIN, GUEST],
+                admins: [BOT, ADMIN],
+            },
+        ],
+        config: { "bot.admins": [ADMIN] },
+    });
+}
+
+describe("Feature Harness", () => {
+    it("should record the API calls a command makes", async () => {
+        const harness = createHarness();
+        const result = await harness.command("commands/user/uid", "uid");
+
+        assert.equal(result.error, null);
+        assert.ok(result.executed);
+        assert.deepEqual(
+            result.calls.map((call) => call.method),
+            ["getUserInfo", "sendMessage"]
+        );
+        assert.includes(result.sent[0], `🔢 User ID: ${USER}`);
+        harness.matchSnapshot("uid: sender", result);
+    });
+
+    it("should build reply, mention and attachment events", async () => {
+        const harness = createHarness();
+
+        const original = await harness.message("hello", { senderID: GUEST });
+        const reply = await harness.reply(original, "uid");
+        assert.equal(reply.type, "message_reply");
+        assert.equal(reply.messageReply.senderID, GUEST);
+
+        const byReply = await harness.command("commands/user/uid", "uid", { event: reply });
+        assert.includes(byReply.sent[0], `🔢 User ID: ${GUEST}`);
+
+        const mention = await harness.mention("uid", [ADMIN]);
+        assert.equal(mention.body, "uid @Ben Reyes");
+        const byMention = await harness.command("commands/user/uid", mention.body, {
+            event: mention,
+        });
+        assert.includes(byMention.sent[0], `🔢 User ID: ${ADMIN}`);
+
+        const photo = await harness.attachment("photo", { body: "look" });
+        assert.equal(photo.attachments[0].type, "photo");
+        assert.equal(photo.body, "look");
+    });
+
+    it("should apply config overrides only while a module runs", async () => {
+        const harness = createHarness();
+        const result = await harness.command("commands/admin/admin", "admin list", {
+            senderID: ADMIN,
+        });
+
+        assert.includes(result.sent[0], ADMIN);
+        assert.notEqual(config.bot.admins.includes(ADMIN), true);
+    });
+
+    it("should answer routers and bad arguments like the handler does", async () => {
+        const harness = createHarness();
+
+        const router = await harness.command("commands/admin/block", "block", { senderID: ADMIN });
+        assert.equal(router.executed, false);
+        assert.includes(router.sent[0], "block add <target>");
+
+        const missing = await harness.command("commands/admin/block", "block add", {
+            senderID: ADMIN,
+        });
+        assert.equal(missing.executed, false);
+        assert.includes(missing.sent[0], "<target>");
+    });
+});
+
+describe("Built-in Commands", () => {
+    afterAll(() => {
+        threadConfig.reset(GROUP);
+    });
+
+    it("should show thread details (tid)", async () => {
+        const harness = createHarness();
+        harness.matchSnapshot("tid", await harness.command("commands/user/tid", "tid"));
+    });
+
+    it("should report latency and uptime (ping, uptime)", async () => {
+        const harness = createHarness();
+
+        harness.matchSnapshot("ping", await harness.command("commands/user/ping", "ping"), {
+            scrub: SCRUB_TIMES,
+        });
+
+        const uptime = await harness.command("commands/user/uptime", "uptime");
+        assert.includes(uptime.sent[0], "📅 Days: 0");
+        assert.includes(uptime.sent[0], "🚀 Started:");
+    });
+
+    it("should describe the bot (info)", async () => {
+        const harness = createHarness();
+        const result = await harness.command("commands/user/info", "info");
+
+        assert.equal(result.error, null);
+        assert.includes(result.sent[0], `Version: v${require("../../../package.json").version}`);
+        assert.includes(result.sent[0], "TODAY VS YESTERDAY");
+
+        const week = await harness.command("commands/user/info", "info 3");
+        assert.includes(week.sent[0], "3-DAY TREND");
+    });
+
+    it("should show and change the user's language (language)", async () => {
+        const harness = createHarness();
+
+        const language = (args) => harness.command("commands/user/language", `language ${args}`);
+
+        harness.matchSnapshot("language", await language(""));
+        harness.matchSnapshot("language: set", await language("set fil"));
+        assert.equal(i18n.getLocale({ userID: USER }), "fil");
+        await language("reset");
+        assert.equal(i18n.getLocale({ userID: USER }), i18n.defaultLocale);
+    });
+
+    it("should list loaded commands and explain one (help)", async () => {
+        const harness = createHarness();
+        for (const file of ["user/uid.js", "user/tid.js", "admin/block.js"]) {
+            await commandHandler.loadCommand(
+                path.basename(path.dirname(file)),
+                path.join(__dirname, "..", "..", "features", "commands", file)
+            );
+        }
+
+        const list = await harness.command("commands/user/help", "help");
+        assert.includes(list.sent[0], "• uid");
+        assert.notEqual(list.sent[0].includes("• block"), true, "Admin commands hidden from users");
+
+        harness.matchSnapshot(
+            "help: block",
+            await harness.command("commands/user/help", "help block", { senderID: ADMIN })
+        );
+    });
+
+    it("should show usage for commands run without arguments", async () => {
+        const harness = createHarness();
+
+        for (const name of ["bio", "clean", "kick", "unsend"]) {
+            harness.matchSnapshot(
+                `${name}: usage`,
+                await harness.command(`commands/admin/${name}`, name, { senderID: ADMIN })
+            );
+        }
+        harness.matchSnapshot(
+            "newgc: usage",
+            await harness.command("commands/user/newgc", "newgc", { senderID: ADMIN })
+        );
+    });
+
+    it("should block, list and unblock users (block)", async () => {
+        const harness = createHarness();
+        const block = (args) =>
+            harness.command("commands/admin/block", `block ${args}`, { senderID: ADMIN });
+
+        harness.matchSnapshot("block: add", await block(`add ${GUEST}`));
+        assert.ok(config.isBlocked(GUEST));
+        assert.includes((await block("list")).sent[0], GUEST);
+        harness.matchSnapshot("block: remove", await block(`remove ${GUEST}`));
+        assert.equal(config.isBlocked(GUEST), false);
+    });
+
+    it("should toggle the thread mute (mute)", async () => {
+        const harness = createHarness();
+        const mute = () => harness.command("commands/admin/mute", "mute", { senderID: ADMIN });
+
+        harness.matchSnapshot("mute: on", await mute());
+        assert.ok(config.isThreadBlocked(GROUP));
+        harness.matchSnapshot("mute: off", await mute());
+        assert.equal(config.isThreadBlocked(GROUP), false);
+    });
+
+    it("should change and show thread settings (setprefix, threadconfig)", async () => {
+        const harness = createHarness();
+
+        harness.matchSnapshot(
+            "setprefix",
+            await harness.command("commands/admin/setprefix", "setprefix ?", { senderID: ADMIN })
+        );
+        assert.equal(threadConfig.get(GROUP, "prefix"), "?");
+        harness.matchSnapshot(
+            "threadconfig",
+            await harness.command("commands/admin/threadconfig", "threadconfig", {
+                senderID: ADMIN,
+            })
+        );
+    });
+
+    it("should report maintenance, roles and thread lists", async () => {
+        const harness = createHarness();
+        const asAdmin = { senderID: ADMIN };
+
+        harness.matchSnapshot(
+            "maintenance: status",
+            await harness.command("commands/admin/maintenance", "maintenance status", asAdmin)
+        );
+        harness.matchSnapshot(
+            "role",
+            await harness.command("commands/admin/role", "role", asAdmin)
+        );
+        harness.matchSnapshot(
+            "threads",
+            await harness.command("commands/admin/threads", "threads", asAdmin)
+        );
+        harness.matchSnapshot(
+            "messagerequest: empty",
+            await harness.command("commands/admin/messagerequest", "messagerequest", asAdmin)
+        );
+    });
+
+    it("should remove mentioned members (kick)", async () => {
+        const harness = createHarness();
+        const event = await harness.mention("kick", [GUEST], { senderID: ADMIN });
+        const result = await harness.command("commands/admin/kick", event.body, { event });
+
+        assert.ok(result.calls.some((call) => call.method === "gcmember"));
+        assert.equal(harness.sim.getThread(GROUP).participantIDs.includes(GUEST), false);
+        harness.matchSnapshot("kick: mention", result);
+    });
+});
+
+describe("Built-in Events", () => {
+    it("should welcome new members but not the bot (welcome)", async () => {
+        const harness = createHarness();
+        const event = await harness.log("log:subscribe", {
+            addedParticipants: [
+                { userFbId: GUEST, fullName: "Cara Lim" },
+                { userFbId: BOT, fullName: "Nero" },
+            ],
+        });
+        const result = await harness.event("events/welcome/welcome", event);
+
+        assert.equal(result.sent.length, 1);
+        assert.includes(result.sent[0], "Cara Lim");
+    });
+
+    it("should say goodbye to members who leave (goodbye)", async () => {
+        const harness = createHarness();
+        const event = await harness.log("log:unsubscribe", { leftParticipantFbId: GUEST });
+        const result = await harness.event("events/welcome/goodbye", event);
+
+        assert.equal(result.sent.length, 1);
+        assert.includes(result.sent[0], "Cara Lim");
+    });
+
+    it("should re-add members who leave on their own (antiLeave)", async () => {
+        const harness = createHarness();
+        await harness.sim.leave(GROUP, GUEST);
+
+        const event = await harness.log(
+            "log:unsubscribe",
+            { leftParticipantFbId: GUEST },
+            { author: GUEST }
+        );
+        const result = await harness.event("events/protection/antiLeave", event);
+
+        assert.ok(harness.sim.getThread(GROUP).participantIDs.includes(GUEST));
+        harness.matchSnapshot("antiLeave: re-add", result);
+    });
+});
+
+if (require.main === module) {
+    run();
+}
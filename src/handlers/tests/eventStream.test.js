@@ -0,0 +1,289 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                     NERO - Unit Tests: Event Stream                          ║
+ * ║         Test Subscriber Filters, Logger Errors, SSE and WebSocket            ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/eventStream.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+// Must be set before config loads: the stream is refused without a key
+process.env.NERO_API_KEY = "test-stream-key";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const net = require("net");
+const WebSocket = require("ws");
+const {
+    describe,
+    it,
+    assert,
+    beforeAll,
+    afterAll,
+    run,
+} = require("../../core/tests/lib/test-framework");
+const { server, apiKeys } = require("../../../server");
+const eventStream = require("../../utils/eventStream");
+const logger = require("../../utils/logger");
+const threadConfig = require("../../utils/threadConfig");
+const { Simulator } = require("../../utils/simulator");
+const AccountManager = require("../../utils/accountManager");
+const CommandHandler = require("../commandHandler");
+const { createDispatcher } = require("../dispatcher");
+
+const BOT = "100000000000070";
+const USER = "100000000000071";
+const OTHER_BOT = "100000000000072";
+const THREAD = "200000000000070";
+const OTHER_THREAD = "200000000000071";
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {}, success() {} };
+
+let tempDir;
+let app;
+let baseUrl;
+
+/**
+ * Collects stream entries until a predicate matches
+ * @param {function(function(Object): void): void} attach - Registers the entry callback
+ * @param {function(Object[]): boolean} done - Resolves once true for the entries so far
+ * @returns {Promise<Object[]>}
+ */
+function collect(attach, done) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        const timer = setTimeout(() => reject(new Error("Timed out waiting for entries")), 3000);
+        attach((entry) => {
+            entries.push(entry);
+            if (done(entries)) {
+                clearTimeout(timer);
+                resolve(entries);
+            }
+        });
+    });
+}
+
+describe("Event Stream", () => {
+    beforeAll(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nero-stream-"));
+        apiKeys.file = path.join(tempDir, "server-keys.json");
+        apiKeys.auditFile = path.join(tempDir, "audit.log");
+
+        app = http.createServer(server.listeners("request")[0]);
+        app.on("upgrade", server.listeners("upgrade")[0]);
+        await new Promise((resolve) => {
+            app.listen(0, "127.0.0.1", resolve);
+        });
+        baseUrl = `127.0.0.1:${app.address().port}`;
+    });
+
+    afterAll(() => {
+        app.closeAllConnections();
+        app.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should only deliver entries that pass a subscriber's filter", () => {
+        const received = [];
+        const unsubscribe = eventStream.subscribe(
+            eventStream.parseFilter({ account: "main", level: "warn" }),
+            (entry) => received.push(entry)
+        );
+
+        eventStream.publish("command", { command: "ping" }, { account: "main" });
+        eventStream.publish("command", { command: "boom" }, { account: "alt", level: "warn" });
+        eventStream.publish("command", { command: "boom" }, { account: "main", level: "warn" });
+        logger.error("StreamTest", "Something broke");
+        logger.warn("StreamTest", "Not for this account");
+        unsubscribe();
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0].data.command, "boom");
+        assert.equal(eventStream.size, 0);
+
+        try {
+            eventStream.parseFilter({ level: "loud" });
+            assert.ok(false, "Expected a ValidationError");
+        } catch (error) {
+            assert.equal(error.name, "ValidationError");
+        }
+    });
+
+    it("should stream logger errors with their level", async () => {
+        const entries = await collect(
+            (send) => {
+                const unsubscribe = eventStream.subscribe(
+                    eventStream.parseFilter({ type: "log", level: "error" }),
+                    (entry) => {
+                        send(entry);
+                        unsubscribe();
+                    }
+                );
+                logger.warn("StreamTest", "Just a warning");
+                logger.error("StreamTest", "Disk full");
+            },
+            (list) => list.length === 1
+        );
+
+        assert.equal(entries[0].level, "error");
+        assert.deepEqual(entries[0].data, { module: "StreamTest", message: "Disk full" });
+    });
+
+    it("should require the API key and serve server-sent events", async () => {
+        const denied = await fetch(`http://${baseUrl}/api/stream`);
+        assert.equal(denied.status, 401);
+        await denied.body?.cancel();
+
+        const invalid = await fetch(`http://${baseUrl}/api/stream?key=test-stream-key&type=x`);
+        assert.equal(invalid.status, 400);
+        await invalid.body?.cancel();
+
+        const controller = new AbortController();
+        const response = await fetch(`http://${baseUrl}/api/stream?key=test-stream-key`, {
+            signal: controller.signal,
+        });
+        assert.equal(response.status, 200);
+        assert.includes(response.headers.get("content-type"), "text/event-stream");
+
+        eventStream.publish("account", { event: "loginSuccess" }, { account: "main" });
+
+        const reader = response.body.getReader();
+        let text = "";
+        while (!/event: account\ndata: .*\n\n/.test(text)) {
+            const { value } = await reader.read();
+            text += Buffer.from(value).toString();
+        }
+        controller.abort();
+
+        assert.includes(text, "event: account");
+        assert.includes(text, '"account":"main"');
+    });
+
+    it("should only stream a limited key's own accounts", async () => {
+        const { token } = apiKeys.create({
+            name: "limited-stream",
+            scopes: ["admin"],
+            accounts: [BOT],
+        });
+        const controller = new AbortController();
+        const response = await fetch(`http://${baseUrl}/api/stream?level=debug`, {
+            headers: { "X-API-Key": token },
+            signal: controller.signal,
+        });
+        assert.equal(response.status, 200);
+
+        // Neither another bot's entries nor ones tied to no bot get through
+        eventStream.publish("account", { event: "loginSuccess" }, { botID: OTHER_BOT });
+        eventStream.publish("account", { event: "loginSuccess" }, { account: "alt" });
+        logger.error("StreamTest", "Not tied to an account");
+        eventStream.publish("account", { event: "loginSuccess" }, { botID: BOT });
+
+        const reader = response.body.getReader();
+        let text = "";
+        while (!/event: account\ndata: .*\n\n/.test(text)) {
+            const { value } = await reader.read();
+            text += Buffer.from(value).toString();
+        }
+        controller.abort();
+
+        assert.includes(text, `"botID":"${BOT}"`);
+        assert.isFalse(text.includes(OTHER_BOT));
+        assert.isFalse(text.includes("event: log"));
+        assert.isFalse(text.includes('"account":"alt"'));
+    });
+
+    it("should answer and close upgrades with a malformed Host header", async () => {
+        const [host, port] = baseUrl.split(":");
+        const socket = net.connect(Number(port), host);
+        const reply = await new Promise((resolve, reject) => {
+            let data = "";
+            socket.setTimeout(3000, () => reject(new Error("Upgrade was never answered")));
+            socket.on("data", (chunk) => {
+                data += chunk;
+            });
+            socket.on("end", () => resolve(data));
+            socket.on("error", reject);
+            socket.write(
+                "GET /api/stream HTTP/1.1\r\n" +
+                    "Host: [::1\r\n" +
+                    "Connection: Upgrade\r\n" +
+                    "Upgrade: websocket\r\n" +
+                    "Sec-WebSocket-Version: 13\r\n" +
+                    "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n"
+            );
+        });
+        socket.destroy();
+
+        assert.ok(reply.startsWith("HTTP/1.1 401"));
+    });
+
+    it("should stream events and commands of one thread over WebSocket", async () => {
+        const sim = new Simulator({
+            bots: [{ id: BOT, name: "Nero", account: "sim" }],
+            users: [{ id: USER, name: "Ana Cruz" }],
+            threads: [
+                { id: THREAD, name: "Stream Group", participants: [BOT, USER] },
+                { id: OTHER_THREAD, name: "Other Group", participants: [BOT, USER] },
+            ],
+        });
+        const accountManager = new AccountManager({
+            simulator: sim,
+            logger: quietLogger,
+            autoSaveAppState: false,
+        });
+        CommandHandler.commands.set("streamping", {
+            config: { name: "streamping", enabled: true, permissions: "user", cooldown: 0 },
+            async execute({ api, event }) {
+                await api.sendMessage("pong", event.threadID);
+            },
+        });
+
+        const handleEvent = createDispatcher(accountManager);
+        const ws = new WebSocket(`ws://${baseUrl}/api/stream?thread=${THREAD}&type=event,command`, {
+            headers: { "X-API-Key": "test-stream-key" },
+        });
+        await new Promise((resolve, reject) => {
+            ws.on("open", resolve);
+            ws.on("error", reject);
+        });
+
+        const entries = collect(
+            (send) => ws.on("message", (data) => send(JSON.parse(data))),
+            (list) => list.some((entry) => entry.type === "command")
+        );
+
+        await accountManager.init();
+        await accountManager.loginAll();
+        accountManager.startAllListeners(handleEvent);
+
+        const settings = threadConfig.getAll(THREAD);
+        const prefix = settings.prefixEnabled ? settings.prefix : "";
+        await sim.send(USER, OTHER_THREAD, "elsewhere");
+        await sim.send(USER, THREAD, `${prefix}streamping`);
+
+        const received = await entries;
+        const event = received[0];
+        const command = received.find((entry) => entry.type === "command");
+        ws.close();
+        accountManager.stopAllListeners();
+        CommandHandler.commands.delete("streamping");
+
+        assert.equal(event.type, "event");
+        assert.equal(event.account, "sim");
+        assert.equal(event.threadID, THREAD);
+        assert.equal(command.type, "command");
+        assert.equal(command.account, "sim");
+        assert.equal(command.data.command, "streamping");
+        assert.equal(command.data.success, true);
+        assert.ok(command.data.duration >= 0);
+    });
+});
+
+if (require.main === module) {
+    run();
+}
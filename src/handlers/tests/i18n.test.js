@@ -0,0 +1,90 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                       NERO - Unit Tests: I18n                                ║
+ * ║           Test Catalog Lookup, Interpolation, Plurals and Fallbacks          ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/i18n.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { describe, it, assert, run } = require("../../core/tests/lib/test-framework");
+const i18n = require("../../utils/i18n");
+const threadConfig = require("../../utils/threadConfig");
+
+const USER = "900000000000011";
+const THREAD = "800000000000011";
+
+describe("I18n", () => {
+    // ═══════════════════════════════════════════════════════════
+    // TRANSLATION
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Translation", () => {
+        it("should interpolate and pick plural forms", () => {
+            assert.equal(
+                i18n.t("help.notFound", { name: "foo", prefix: "!" }, "en").split("\n")[0],
+                '❌ Command "foo" not found.'
+            );
+            assert.equal(i18n.t("help.total", { count: 1 }, "en"), "📊 1 command available");
+            assert.equal(i18n.t("help.total", { count: 5 }, "en"), "📊 5 commands available");
+        });
+
+        it("should fall back to the base language, then English, then the key", () => {
+            assert.equal(i18n.resolveLocale("fil-PH"), "fil");
+            assert.equal(i18n.t("handler.error", {}, "fil-PH"), i18n.t("handler.error", {}, "fil"));
+            assert.equal(i18n.t("handler.error", {}, "xx"), i18n.t("handler.error", {}, "en"));
+            assert.equal(i18n.t("no.such.key", {}, "fil"), "no.such.key");
+        });
+
+        it("should define every English key in each other catalog", () => {
+            const dir = path.resolve(__dirname, "..", "..", "locales");
+            const flatten = (node, prefix = "") =>
+                Object.entries(node).flatMap(([key, value]) =>
+                    value && typeof value === "object" && !Array.isArray(value) && !value.other
+                        ? flatten(value, `${prefix}${key}.`)
+                        : [`${prefix}${key}`]
+                );
+            const read = (locale) =>
+                JSON.parse(fs.readFileSync(path.join(dir, `${locale}.json`), "utf8"));
+
+            const english = flatten(read("en"));
+            for (const locale of i18n.getLocales().filter((code) => code !== "en")) {
+                const keys = flatten(read(locale));
+                const missing = english.filter((key) => !keys.includes(key));
+                assert.deepEqual(missing, [], `${locale} is missing keys`);
+            }
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // LOCALE SELECTION
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Locale Selection", () => {
+        it("should prefer the user's choice over the thread's language", () => {
+            threadConfig.set(THREAD, "language", "fil");
+
+            try {
+                assert.equal(i18n.getLocale({ userID: USER, threadID: THREAD }), "fil");
+
+                i18n.setUserLocale(USER, "en");
+                assert.equal(i18n.forContext({ userID: USER, threadID: THREAD }).locale, "en");
+                assert.throws(() => i18n.setUserLocale(USER, "xx"));
+            } finally {
+                i18n.setUserLocale(USER, null);
+                threadConfig.reset(THREAD);
+            }
+
+            assert.equal(i18n.getLocale({ userID: USER, threadID: THREAD }), "en");
+        });
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,553 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                      NERO - Feature Test Harness                             ║
+ * ║          Run One Command or Event Module Against a Recorded Fake API         ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Loads a file from features/commands or features/events the way the handlers do
+ * (same defaults, same context object), runs it once against an API backed by
+ * the offline simulator, and records every API call it makes. Tests then assert
+ * on the recorded calls or compare them with a stored snapshot.
+ *
+ * @example
+ * const harness = new Harness({ config: { "bot.admins": [ADMIN] } });
+ * const run = await harness.command("commands/user/uid", "uid", { senderID: ADMIN });
+ * assert.equal(run.error, null);
+ * harness.matchSnapshot("uid replies with the sender's ID", run);
+ *
+ * Config overrides only apply in memory while a module runs. If the module saves
+ * an overridden list (block, mute and admin save all of bot.admins/blocked*),
+ * the restored value is saved again afterwards.
+ *
+ * Snapshots live in tests/__snapshots__/<test file>.snap.json. New names are
+ * written on first run; run with UPDATE_SNAPSHOTS=1 to accept changed output.
+ *
+ * @module handlers/tests/lib/harness
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { assert } = require("../../../core/tests/lib/test-framework");
+const { fakeAttachment } = require("../../../core/tests/lib/helpers");
+const config = require("../../../config/config");
+const commandHandler = require("../../commandHandler");
+const eventHandler = require("../../eventHandler");
+const storage = require("../../../utils/storage");
+const threadConfig = require("../../../utils/threadConfig");
+const i18n = require("../../../utils/i18n");
+const { MiddlewarePipeline } = require("../../../utils/middleware");
+const { Simulator } = require("../../../utils/simulator");
+const { createSimulatedApi } = require("../../../utils/simulator/api");
+
+// ═══════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════
+
+const FEATURES_DIR = path.resolve(__dirname, "..", "..", "..", "features");
+const SNAPSHOT_DIR = path.resolve(__dirname, "..", "__snapshots__");
+const UPDATE_SNAPSHOTS = process.env.UPDATE_SNAPSHOTS === "1";
+
+/** Config paths that config.js persists, and their storage keys in the "config" namespace */
+const PERSISTED_CONFIG = {
+    "bot.admins": "admins",
+    "bot.blockedUsers": "blockedUsers",
+    "bot.blockedThreads": "blockedThreads",
+};
+
+/** @type {Map<string, Object>} Loaded snapshot files by path, shared by every harness in the process */
+const snapshotFiles = new Map();
+
+/** Built-in command middlewares that shape what a command receives (the rest are dispatch rules) */
+const COMMAND_MIDDLEWARES = ["router", "args"];
+
+const DEFAULTS = {
+    botID: "100000000000900",
+    senderID: "100000000000901",
+    threadID: "200000000000900",
+};
+
+// ═══════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Sets a dot-path in an object, returning the previous value. Arrays are
+ * refilled in place, which also works inside frozen config sections.
+ * @param {Object} target - Object to modify
+ * @param {string} keyPath - e.g. "bot.admins"
+ * @param {*} value - New value
+ * @returns {{existed: boolean, value: *}} What was there before
+ * @throws {Error} If the property can't be replaced (frozen section, not an array)
+ */
+function setPath(target, keyPath, value) {
+    const keys = keyPath.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => {
+        if (!obj[key] || typeof obj[key] !== "object") obj[key] = {};
+        return obj[key];
+    }, target);
+    const current = parent[last];
+
+    if (Array.isArray(current) && Array.isArray(value)) {
+        const previous = { existed: true, value: [...current] };
+        current.splice(0, current.length, ...value);
+        return previous;
+    }
+
+    if (Object.isFrozen(parent)) {
+        throw new Error(`Cannot override ${keyPath}: its config section is frozen`);
+    }
+
+    const previous = { existed: last in parent, value: current };
+    parent[last] = value;
+    return previous;
+}
+
+/**
+ * Undoes setPath
+ * @param {Object} target - Object that was modified
+ * @param {string} keyPath - Same path given to setPath
+ * @param {{existed: boolean, value: *}} previous - What setPath returned
+ */
+function restorePath(target, keyPath, previous) {
+    if (previous.existed) {
+        setPath(target, keyPath, previous.value);
+        return;
+    }
+
+    const keys = keyPath.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => obj?.[key], target);
+    if (parent) delete parent[last];
+}
+
+/**
+ * Turns recorded call arguments into plain JSON (functions, streams and
+ * buffers become short markers) and applies scrubbers to every string
+ * @param {*} value - Value to serialize
+ * @param {Array<[RegExp, string]>} scrub - Replacements for unstable text
+ * @returns {*}
+ */
+function serialize(value, scrub) {
+    if (typeof value === "string") {
+        return scrub.reduce(
+            (text, [pattern, replacement]) => text.replace(pattern, replacement),
+            value
+        );
+    }
+    if (typeof value === "function") return "[Function]";
+    if (value === undefined || value === null || typeof value !== "object") return value ?? null;
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length}]`;
+    if (value instanceof Error) return `[Error ${serialize(value.message, scrub)}]`;
+    if (typeof value.pipe === "function") {
+        return `[Stream ${value.path ? path.basename(String(value.path)) : ""}]`.replace(" ]", "]");
+    }
+    if (Array.isArray(value)) return value.map((item) => serialize(item, scrub));
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (item !== undefined) result[key] = serialize(item, scrub);
+    }
+    return result;
+}
+
+// ═══════════════════════════════════════════════════════════
+// HARNESS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Harness Class
+ * One simulated world, one recorded API and the config overrides for a test file
+ */
+class Harness {
+    /**
+     * Creates a new harness
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.users] - Extra simulator users
+     * @param {Array<Object>} [options.threads] - Threads (default: one group with the bot and sender)
+     * @param {string} [options.senderID] - Default sender of built events
+     * @param {string} [options.threadID] - Default thread of built events
+     * @param {Object<string, *>} [options.config] - Config overrides by dot-path, applied during runs
+     *   (frozen sections such as `bot` only accept arrays, e.g. "bot.admins")
+     * @param {Object<string, Function>} [options.api] - API methods to replace (still recorded)
+     * @param {string} [options.snapshotFile] - Test file the snapshots belong to (default: main module)
+     */
+    constructor(options = {}) {
+        this.botID = DEFAULTS.botID;
+        this.senderID = options.senderID || DEFAULTS.senderID;
+        this.threadID = options.threadID || DEFAULTS.threadID;
+        this.overrides = { ...options.config };
+
+        this.sim = new Simulator({
+            bots: [{ id: this.botID, name: "Nero", account: "harness" }],
+            users: [{ id: DEFAULTS.senderID, name: "Ana Cruz" }, ...(options.users || [])],
+            threads: options.threads || [
+                {
+                    id: DEFAULTS.threadID,
+                    name: "Harness Group",
+                    participants: [this.botID, DEFAULTS.senderID],
+                },
+            ],
+        });
+
+        /** @type {Array<{method: string, args: Array}>} Every API call, across runs */
+        this.calls = [];
+
+        this.api = this.createApi(options.api || {});
+
+        const snapshotFile = options.snapshotFile || require.main?.filename || "harness";
+        this.snapshotPath = path.join(SNAPSHOT_DIR, `${path.basename(snapshotFile)}.snap.json`);
+    }
+
+    /**
+     * Simulated API whose every method call is recorded
+     * @param {Object<string, Function>} replacements - Methods to swap in
+     * @returns {Object}
+     */
+    createApi(replacements) {
+        const base = {
+            ...createSimulatedApi(this.sim, this.botID, { selfListen: false, listenEvents: true }),
+            ...replacements,
+        };
+        const api = {};
+
+        for (const [method, value] of Object.entries(base)) {
+            api[method] =
+                typeof value === "function"
+                    ? (...args) => {
+                          this.calls.push({ method, args });
+                          return value(...args);
+                      }
+                    : value;
+        }
+
+        return api;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // LOADING
+    // ═══════════════════════════════════════════════════════
+
+    /**
+     * Loads a command or event module fresh, with the handler's defaults applied
+     * @param {string} feature - Path under features/ ("commands/user/uid") or absolute
+     * @returns {{kind: "command"|"event", data: Object}}
+     */
+    load(feature) {
+        const filePath = require.resolve(
+            path.isAbsolute(feature) ? feature : path.join(FEATURES_DIR, feature)
+        );
+        const relative = path.relative(FEATURES_DIR, filePath).split(path.sep);
+        const category = path.basename(path.dirname(filePath));
+
+        delete require.cache[filePath];
+        const module = require(filePath);
+
+        if (relative[0] === "commands") {
+            return {
+                kind: "command",
+                data: commandHandler.normalizeCommand(module, category, filePath),
+            };
+        }
+        if (relative[0] === "events") {
+            return { kind: "event", data: eventHandler.normalizeEvent(module, category, filePath) };
+        }
+        throw new Error(`${feature} is not under features/commands or features/events`);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // EVENT FACTORY
+    // ═══════════════════════════════════════════════════════
+
+    /**
+     * A user's message, stored in the simulated thread
+     * @param {string} body - Text
+     * @param {Object} [options]
+     * @param {string} [options.senderID] - Sender (default: harness sender)
+     * @param {string} [options.threadID] - Thread (default: harness thread)
+     * @param {Object<string, string>} [options.mentions] - { userID: "@Tag" }
+     * @param {Array<Object>} [options.attachments] - Attachment objects
+     * @param {string} [options.replyTo] - Message ID being replied to
+     * @returns {Promise<Object>} "message" / "message_reply" event
+     */
+    message(body, options = {}) {
+        return this.sim.send(
+            options.senderID || this.senderID,
+            options.threadID || this.threadID,
+            body,
+            {
+                mentions: options.mentions,
+                attachments: options.attachments,
+                replyTo: options.replyTo,
+            }
+        );
+    }
+
+    /**
+     * A reply to an existing message (pass a user's message to reply to them)
+     * @param {string|Object} message - Message ID or an event/sent result with messageID
+     * @param {string} body - Reply text
+     * @param {Object} [options] - See message
+     * @returns {Promise<Object>} "message_reply" event
+     */
+    async reply(message, body, options = {}) {
+        const original = this.sim.getMessage(message?.messageID ?? message);
+        if (!original) throw new Error(`No message ${message?.messageID ?? message} to reply to`);
+        return this.message(body, {
+            threadID: original.threadID,
+            ...options,
+            replyTo: original.messageID,
+        });
+    }
+
+    /**
+     * A message mentioning users; "@Name" tags are appended to the body
+     * @param {string} body - Text before the tags
+     * @param {Array<string>} userIDs - Mentioned users (must exist in the world)
+     * @param {Object} [options] - See message
+     * @returns {Promise<Object>} "message" event
+     */
+    mention(body, userIDs, options = {}) {
+        const mentions = {};
+        for (const id of userIDs) {
+            mentions[id] = `@${this.sim.getUser(id)?.name || id}`;
+        }
+        const text = [body, ...Object.values(mentions)].filter(Boolean).join(" ");
+        return this.message(text, { ...options, mentions });
+    }
+
+    /**
+     * A message carrying one attachment
+     * @param {string} type - "photo", "video", "audio", "file" or "sticker"
+     * @param {Object} [options] - See message, plus:
+     * @param {string} [options.body] - Caption
+     * @param {Object} [options.attachment] - Fields to override on the attachment
+     * @returns {Promise<Object>} "message" event
+     */
+    attachment(type, options = {}) {
+        const attachment = fakeAttachment(type, {
+            ID: `${this.sim.sequence + 1}`,
+            ...options.attachment,
+        });
+        return this.message(options.body || "", { ...options, attachments: [attachment] });
+    }
+
+    /**
+     * A thread log event (joins, leaves, renames, admin changes, ...)
+     * @param {string} logMessageType - e.g. "log:subscribe"
+     * @param {Object} logMessageData - Type-specific payload
+     * @param {Object} [options]
+     * @param {string} [options.author] - Who caused it (default: harness sender)
+     * @param {string} [options.threadID] - Thread (default: harness thread)
+     * @returns {Promise<Object>} "event" event
+     */
+    async log(logMessageType, logMessageData, options = {}) {
+        const threadID = options.threadID || this.threadID;
+        const thread = this.sim.getThread(threadID);
+
+        return {
+            type: "event",
+            threadID,
+            messageID: `mid.$sim${++this.sim.sequence}`,
+            logMessageType,
+            logMessageData,
+            logMessageBody: "",
+            timestamp: Date.now(),
+            author: options.author || this.senderID,
+            participantIDs: thread ? [...thread.participantIDs] : [],
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // RUNNING
+    // ═══════════════════════════════════════════════════════
+
+    /**
+     * Runs a command module as if a user had typed `text` (no prefix)
+     * @param {string} feature - Command file (see load)
+     * @param {string} text - Command name and arguments, e.g. "uid" or "block add 123"
+     * @param {Object} [options] - Event options (see message), plus:
+     * @param {Object} [options.event] - Use this event instead of building one
+     * @param {Object} [options.context] - Extra or replaced context fields
+     * @returns {Promise<Object>} Run result (see run)
+     */
+    async command(feature, text, options = {}) {
+        const { kind, data } = this.load(feature);
+        if (kind !== "command") throw new Error(`${feature} is not a command`);
+
+        const event = options.event || (await this.message(text, options));
+
+        return this.run(event, async () => {
+            const [, ...words] = commandHandler.splitArgs(text.trim());
+            const {
+                target,
+                args,
+                path: commandPath,
+            } = commandHandler.resolveSubcommand(data, words);
+
+            const ctx = {
+                api: this.api,
+                event,
+                command: data,
+                target,
+                args,
+                path: commandPath,
+                commandKey: commandPath.join(" "),
+                prefix: null,
+                userId: event.senderID,
+                threadId: event.threadID,
+                isGroup: event.isGroup,
+                threadSettings: threadConfig.getAll(event.threadID),
+                t: i18n.forContext({ userID: event.senderID, threadID: event.threadID }),
+                params: {},
+                flags: {},
+                handler: commandHandler,
+                executed: false,
+            };
+
+            // Routing answers and arg validation replies come from the handler itself
+            const pipeline = new MiddlewarePipeline("harness");
+            for (const entry of commandHandler.middleware.stack) {
+                if (COMMAND_MIDDLEWARES.includes(entry.name)) {
+                    pipeline.use(entry.fn, { name: entry.name });
+                }
+            }
+
+            await pipeline.run(ctx, async () => {
+                const context = commandHandler.createContext(ctx);
+                await target.execute.call(data, { ...context, ...options.context });
+                ctx.executed = true;
+            });
+
+            return ctx.executed;
+        });
+    }
+
+    /**
+     * Runs an event module on an event
+     * @param {string} feature - Event file (see load)
+     * @param {Object} event - Event, e.g. from log() or message()
+     * @param {Object} [options]
+     * @param {Object} [options.context] - Extra or replaced context fields
+     * @returns {Promise<Object>} Run result (see run)
+     */
+    async event(feature, event, options = {}) {
+        const { kind, data } = this.load(feature);
+        if (kind !== "event") throw new Error(`${feature} is not an event`);
+
+        return this.run(event, async () => {
+            const context = eventHandler.createContext(this.api, event);
+            await data.execute({ ...context, ...options.context });
+            return true;
+        });
+    }
+
+    /**
+     * Runs `fn` with the config overrides applied and collects the calls it made
+     * @param {Object} event - Triggering event
+     * @param {function(): Promise<boolean>} fn - Work to run; resolves whether the module's execute ran
+     * @returns {Promise<{event: Object, calls: Array, sent: Array<string>, executed: boolean,
+     *   error: Error|null}>} `sent` holds the text of each sendMessage call
+     */
+    async run(event, fn) {
+        const start = this.calls.length;
+        const stored = this.readPersisted();
+        const restore = Object.entries(this.overrides).map(([keyPath, value]) => [
+            keyPath,
+            setPath(config, keyPath, value),
+        ]);
+
+        let executed = false;
+        let error = null;
+        try {
+            executed = Boolean(await fn());
+        } catch (err) {
+            error = err;
+        } finally {
+            for (const [keyPath, previous] of restore.reverse()) {
+                restorePath(config, keyPath, previous);
+            }
+
+            // Don't leave overridden lists in storage if the module saved them
+            for (const [keyPath, json] of Object.entries(stored)) {
+                const key = PERSISTED_CONFIG[keyPath];
+                if (JSON.stringify(storage.get("config", key, [])) !== json) {
+                    storage.set("config", key, config.get(keyPath));
+                }
+            }
+        }
+
+        const calls = this.calls.slice(start);
+        const sent = calls
+            .filter((call) => call.method === "sendMessage")
+            .map(({ args: [message] }) => (typeof message === "string" ? message : message?.body));
+
+        return { event, calls, sent, executed, error };
+    }
+
+    /**
+     * Stored values of the persisted config paths this harness overrides
+     * @returns {Object<string, string>} JSON by config path
+     */
+    readPersisted() {
+        const stored = {};
+        for (const keyPath of Object.keys(this.overrides)) {
+            if (PERSISTED_CONFIG[keyPath]) {
+                stored[keyPath] = JSON.stringify(
+                    storage.get("config", PERSISTED_CONFIG[keyPath], [])
+                );
+            }
+        }
+        return stored;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SNAPSHOTS
+    // ═══════════════════════════════════════════════════════
+
+    /**
+     * Compares a run's API calls (and error) with the stored snapshot
+     * @param {string} name - Snapshot name, unique within the test file
+     * @param {Object} run - Result of command() / event()
+     * @param {Object} [options]
+     * @param {Array<[RegExp, string]>} [options.scrub] - Replacements for unstable text (times, IDs)
+     */
+    matchSnapshot(name, run, options = {}) {
+        const actual = serialize(
+            {
+                calls: run.calls.map(({ method, args }) => ({ method, args })),
+                error: run.error ? run.error.message : null,
+            },
+            options.scrub || []
+        );
+
+        if (!snapshotFiles.has(this.snapshotPath)) {
+            snapshotFiles.set(
+                this.snapshotPath,
+                fs.existsSync(this.snapshotPath)
+                    ? JSON.parse(fs.readFileSync(this.snapshotPath, "utf8"))
+                    : {}
+            );
+        }
+        const snapshots = snapshotFiles.get(this.snapshotPath);
+
+        if (!(name in snapshots) || UPDATE_SNAPSHOTS) {
+            snapshots[name] = actual;
+            fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+            fs.writeFileSync(this.snapshotPath, `${JSON.stringify(snapshots, null, 4)}\n`);
+            return;
+        }
+
+        assert.deepEqual(
+            actual,
+            snapshots[name],
+            `Snapshot "${name}" changed (run with UPDATE_SNAPSHOTS=1 to accept):\n` +
+                `${JSON.stringify(actual, null, 2)}`
+        );
+    }
+}
+
+module.exports = { Harness };
@@ -0,0 +1,166 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                  NERO - Unit Tests: Maintenance Windows                      ║
+ * ║        Test Scopes, Recurring Windows, Persistence and Announcements         ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/maintenanceWindows.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    describe,
+    it,
+    assert,
+    beforeEach,
+    afterEach,
+    run,
+} = require("../../core/tests/lib/test-framework");
+const maintenanceManager = require("../../utils/maintenanceManager");
+const storage = require("../../utils/storage");
+const i18n = require("../../utils/i18n");
+
+const BOT = "100000000000021";
+const THREAD = "800000000000021";
+const OTHER_THREAD = "800000000000022";
+
+/**
+ * AccountManager with one online bot that records what it sends
+ * @param {Array} sent - Receives { body, threadID }
+ * @returns {Object}
+ */
+function fakeAccountManager(sent) {
+    const account = {
+        name: "main",
+        status: "online",
+        api: {
+            sendMessage: async (body, threadID) => {
+                sent.push({ body, threadID });
+            },
+        },
+    };
+    return { getAccountByUserID: (id) => (id === BOT ? account : null) };
+}
+
+/** Storage of the current test, in its own temp directory */
+let store;
+
+/**
+ * Creates a maintenance manager on the test's storage; a second one
+ * stands in for the bot after a restart
+ * @returns {Object} MaintenanceManager instance
+ */
+function createManager() {
+    return new maintenanceManager.constructor({ storage: store });
+}
+
+describe("Maintenance Windows", () => {
+    beforeEach(() => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), "nero-maintenance-"));
+        store = new storage.constructor({ directory, flushInterval: 0 });
+    });
+
+    afterEach(() => {
+        store.close();
+        fs.rmSync(store.options.directory, { recursive: true, force: true });
+    });
+
+    it("should only stop what a scoped maintenance covers", () => {
+        const manager = createManager();
+        manager.enable({
+            reason: "Upgrading the AI backend",
+            scope: { threads: [THREAD], categories: "ai, media" },
+        });
+
+        assert.equal(manager.isEnabled(), false);
+        assert.equal(manager.getStatus().enabled, false);
+        assert.ok(manager.isEnabled({ threadID: THREAD, category: "ai" }));
+        assert.equal(manager.isEnabled({ threadID: THREAD, category: "fun" }), false);
+        assert.equal(manager.isEnabled({ threadID: OTHER_THREAD, category: "ai" }), false);
+        // Events have no category, so a category-scoped maintenance doesn't stop them
+        assert.equal(manager.isEnabled({ threadID: THREAD }), false);
+
+        const active = manager.getActive({ threadID: THREAD, category: "media" });
+        assert.equal(active.source, "manual");
+        assert.ok(manager.getMessage("en", active).includes("Upgrading the AI backend"));
+    });
+
+    it("should validate windows and work out recurring occurrences", () => {
+        const manager = createManager();
+        assert.throws(() => manager.schedule({ cron: "not cron" }));
+        assert.throws(() => manager.schedule({ reason: "no end" }));
+
+        const window = manager.schedule({
+            reason: "Nightly backup",
+            start: Date.UTC(2030, 0, 1),
+            cron: "0 3 * * *",
+            durationMinutes: 60,
+            timezone: "UTC",
+        });
+        assert.equal(window.active, false);
+        assert.equal(window.nextStart.getTime(), Date.UTC(2030, 0, 1, 3));
+        assert.equal(window.nextEnd.getTime(), Date.UTC(2030, 0, 1, 4));
+
+        const during = manager.getActive({}, Date.UTC(2030, 0, 5, 3, 30));
+        assert.equal(during.source, "window");
+        assert.equal(during.id, window.id);
+        assert.equal(during.endsAt.getTime(), Date.UTC(2030, 0, 5, 4));
+        assert.equal(manager.getActive({}, Date.UTC(2030, 0, 5, 4, 0)), null);
+        assert.equal(manager.getActive({}, Date.UTC(2029, 11, 31, 3, 30)), null);
+    });
+
+    it("should persist, announce starts and ends once, and drop finished windows", async () => {
+        const manager = createManager();
+        const sent = [];
+        const start = Date.now() + 60 * 1000;
+        const window = manager.schedule({
+            reason: "Moving servers",
+            start,
+            end: start + 60 * 60 * 1000,
+            scope: { accounts: ["main"], threads: [THREAD] },
+            announce: true,
+        });
+        manager.setAnnouncements(THREAD, BOT);
+        manager.setAnnouncements(OTHER_THREAD, BOT);
+        manager.accountManager = fakeAccountManager(sent);
+
+        assert.deepEqual((await manager.tick(start - 1)).started, []);
+        assert.deepEqual((await manager.tick(start + 1)).started, [window.id]);
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].threadID, THREAD);
+        assert.ok(sent[0].body.includes("Moving servers"));
+
+        // A restart picks the window up without announcing it again
+        const restarted = createManager();
+        restarted.accountManager = fakeAccountManager(sent);
+        assert.equal(restarted.listWindows().length, 1);
+        assert.deepEqual((await restarted.tick(start + 2)).started, []);
+        assert.ok(restarted.getActive({ account: "main", threadID: THREAD }, start + 2));
+
+        const ended = await restarted.tick(start + 60 * 60 * 1000);
+        assert.deepEqual(ended.ended, [window.id]);
+        assert.equal(sent.length, 2);
+        assert.equal(sent[1].body, i18n.t("maintenance.windowEnd", {}, "en"));
+        assert.equal(restarted.listWindows().length, 0);
+        assert.equal(createManager().listWindows().length, 0);
+    });
+
+    it("should keep manual maintenance on across restarts", () => {
+        const manager = createManager();
+        manager.enable({ reason: "Restarting", estimatedMinutes: 5 });
+
+        const restarted = createManager();
+        assert.ok(restarted.isEnabled());
+        assert.equal(restarted.getStatus().reason, "Restarting");
+        assert.ok(restarted.getStatus().estimatedEnd > new Date());
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,77 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                       NERO - Unit Tests: Metrics                             ║
+ * ║            Test Histograms and the OpenMetrics Text Exposition               ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/metrics.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, run } = require("../../core/tests/lib/test-framework");
+const metrics = require("../../utils/metrics");
+const commandHandler = require("../commandHandler");
+const statsTracker = require("../../utils/statsTracker");
+
+/**
+ * Sample lines of a family from an exposition
+ * @param {string} text - Exposition text
+ * @param {string} name - Sample name prefix
+ * @returns {string[]}
+ */
+function samples(text, name) {
+    return text.split("\n").filter((line) => line.startsWith(name));
+}
+
+describe("Metrics", () => {
+    it("should bucket durations into cumulative histograms", () => {
+        commandHandler.trackCommandStats("metricsprobe", "100000000000001", 80);
+        commandHandler.trackCommandStats("metricsprobe", "100000000000001", 700);
+        commandHandler.trackCommandStats("metricsprobe", "100000000000001", 90000);
+
+        const lines = samples(
+            metrics.collect(),
+            'nero_command_duration_seconds_bucket{command="metricsprobe"'
+        );
+        const counts = Object.fromEntries(
+            lines.map((line) => [line.match(/le="([^"]+)"/)[1], Number(line.split(" ")[1])])
+        );
+        assert.equal(counts["0.05"], 0);
+        assert.equal(counts["0.1"], 1);
+        assert.equal(counts["1"], 2);
+        assert.equal(counts["60"], 2);
+        assert.equal(counts["+Inf"], 3);
+    });
+
+    it("should render valid OpenMetrics families", () => {
+        statsTracker.recordBackgroundTask('quote"task', true, 20);
+        const text = metrics.collect({
+            accountManager: {
+                getAllAccounts: () => [
+                    { name: "main", status: "online", messageCount: 4, commandCount: 1 },
+                ],
+                getAccountStats: () => ({ total: 1, online: 1, offline: 0 }),
+                getAppStateSaveStats: () => ({ totalSaves: 2 }),
+            },
+        });
+
+        assert.ok(text.endsWith("# EOF\n"));
+        assert.includes(text, "# TYPE nero_commands counter");
+        assert.includes(
+            text,
+            'nero_background_task_runs_total{task="quote\\"task",result="success"}'
+        );
+        assert.includes(text, 'nero_account_online{account="main"} 1');
+        assert.includes(text, 'nero_appstate_saves_total{account="main"} 2');
+
+        for (const line of text.trim().split("\n")) {
+            assert.matches(line, /^(# (TYPE|HELP|EOF)|[a-z_]+(\{.*\})? [-+\w.]+$)/);
+        }
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,203 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                      NERO - Unit Tests: Moderation                           ║
+ * ║        Test Warnings, Escalation Ladders, Filters and Command Mutes          ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/moderation.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, afterEach, run } = require("../../core/tests/lib/test-framework");
+const { Harness } = require("./lib/harness");
+const moderation = require("../../utils/moderation");
+const commandHandler = require("../commandHandler");
+const threadConfig = require("../../utils/threadConfig");
+const storage = require("../../utils/storage");
+
+const BOT = "100000000000900";
+const ADMIN = "100000000000231";
+const MEMBER = "100000000000232";
+const THREAD = "200000000000231";
+
+/**
+ * Harness for a group where the bot is an admin and MEMBER takes part
+ * @returns {Harness}
+ */
+function createHarness() {
+    return new Harness({
+        config: { "bot.admins": [ADMIN] },
+        users: [{ id: MEMBER, name: "Rico Santos" }],
+        threadID: THREAD,
+        threads: [
+            {
+                id: THREAD,
+                name: "Moderated Group",
+                participants: [BOT, ADMIN, MEMBER],
+                admins: [BOT],
+            },
+        ],
+    });
+}
+
+describe("Moderation", () => {
+    afterEach(() => {
+        moderation.resetSettings(THREAD);
+        moderation.pardon(THREAD, MEMBER, { id: "all" });
+        moderation.recentMessages.clear();
+        storage.delete("modlog", THREAD);
+        threadConfig.reset(THREAD, "language");
+    });
+
+    it("should escalate warnings from a command mute to a kick", async () => {
+        const harness = createHarness();
+        moderation.setSetting(THREAD, "ladder", moderation.parseLadder("2:mute:30m 3:kick"));
+
+        const first = await harness.command("commands/admin/warn", `warn ${MEMBER} rude`, {
+            senderID: ADMIN,
+        });
+        assert.equal(first.error, null);
+        assert.ok(first.sent[0].includes("Rico Santos has been warned (1 warning)"));
+        assert.ok(first.sent[0].includes("Command mute at 2 warnings"));
+
+        await harness.command("commands/admin/warn", `warn ${MEMBER} still rude`, {
+            senderID: ADMIN,
+        });
+        const mute = moderation.getMute(THREAD, MEMBER);
+        assert.ok(mute.until - Date.now() > 29 * 60 * 1000);
+
+        const third = await harness.command("commands/admin/warn", `warn ${MEMBER}`, {
+            senderID: ADMIN,
+        });
+        assert.ok(third.sent[0].includes("Removed from the group"));
+        assert.ok(!harness.sim.getThread(THREAD).participantIDs.includes(MEMBER));
+        assert.deepEqual(
+            moderation.getLog(THREAD).map((entry) => entry.action),
+            ["kick", "warn", "mute", "warn", "warn"]
+        );
+
+        const pardoned = await harness.command("commands/admin/pardon", `pardon ${MEMBER} all`, {
+            senderID: ADMIN,
+        });
+        assert.ok(pardoned.sent[0].includes("Removed 3 warnings"));
+        assert.equal(moderation.getWarnings(THREAD, MEMBER).length, 0);
+        assert.equal(moderation.getMute(THREAD, MEMBER), null);
+    });
+
+    it("should warn for blocked words, links and floods but not moderators", async () => {
+        const harness = createHarness();
+        moderation.setSetting(THREAD, "words", ["heck"]);
+        moderation.setSetting(THREAD, "links", true);
+        moderation.setSetting(THREAD, "flood", 3);
+
+        const word = await harness.message("what the HECK", { senderID: MEMBER });
+        await harness.event("events/protection/moderation", word);
+        assert.ok(word.__blocked);
+
+        const partial = await harness.message("checking in", { senderID: MEMBER });
+        await harness.event("events/protection/moderation", partial);
+        assert.equal(partial.__blocked, undefined);
+
+        const link = await harness.message("see www.example.com", { senderID: MEMBER });
+        await harness.event("events/protection/moderation", link);
+        assert.ok(link.__blocked);
+
+        const flood = [];
+        for (let i = 0; i < 3; i++) {
+            const event = await harness.message("buy now", { senderID: MEMBER });
+            await harness.event("events/protection/moderation", event);
+            flood.push(Boolean(event.__blocked));
+        }
+        assert.deepEqual(flood, [false, false, true]);
+        assert.deepEqual(
+            moderation.getWarnings(THREAD, MEMBER).map((warning) => warning.source),
+            ["word", "link", "flood"]
+        );
+
+        const fromAdmin = await harness.message("heck www.example.com", { senderID: ADMIN });
+        await harness.event("events/protection/moderation", fromAdmin);
+        assert.equal(fromAdmin.__blocked, undefined);
+    });
+
+    it("should reply in the thread's language", async () => {
+        const harness = createHarness();
+        threadConfig.set(THREAD, "language", "fil");
+
+        const warned = await harness.command("commands/admin/warn", `warn ${MEMBER} spam`, {
+            senderID: ADMIN,
+        });
+        assert.ok(warned.sent[0].includes("Binigyan ng babala si Rico Santos (1 babala)"));
+        assert.ok(warned.sent[0].includes("Dahilan: spam"));
+
+        const listed = await harness.command("commands/admin/warnings", `warnings ${MEMBER}`, {
+            senderID: ADMIN,
+        });
+        assert.ok(listed.sent[0].startsWith("⚠️ Mga babala ni Rico Santos: 1"));
+
+        const pardoned = await harness.command("commands/admin/pardon", `pardon ${MEMBER}`, {
+            senderID: ADMIN,
+        });
+        assert.ok(pardoned.sent[0].includes("Tinanggal ang 1 babala ni Rico Santos"));
+    });
+
+    it("should reject invalid ladders", () => {
+        assert.throws(() => moderation.parseLadder("3:mute"), "needs a duration");
+        assert.throws(() => moderation.parseLadder("2:kick 2:mute:1h"), "Two steps at 2");
+        assert.throws(() => moderation.parseLadder("0:ban"), "Validation failed");
+        assert.deepEqual(moderation.parseLadder("5:kick, 3:mute:90"), [
+            { warnings: 3, action: "mute", minutes: 90 },
+            { warnings: 5, action: "kick" },
+        ]);
+        assert.deepEqual(moderation.parseLadder("none"), []);
+    });
+
+    it("should drop commands from muted members and tell them once", async () => {
+        let executed = 0;
+        let messages = 0;
+        const sent = [];
+        commandHandler.commands.set("modtest", {
+            config: { name: "modtest", enabled: true, permissions: "user", cooldown: 0 },
+            execute: async () => {
+                executed++;
+            },
+        });
+        moderation.mute(THREAD, MEMBER, 10 * 60 * 1000, { by: ADMIN, reason: "Cool off" });
+
+        try {
+            const settings = threadConfig.getAll(THREAD);
+            const prefix = settings.prefixEnabled ? settings.prefix : "";
+            const api = {
+                getCurrentUserID: () => BOT,
+                sendMessage: async (body) => sent.push(body),
+            };
+            const send = (senderID) =>
+                commandHandler.handle(api, {
+                    type: "message",
+                    body: `${prefix}modtest`,
+                    senderID,
+                    threadID: THREAD,
+                    messageID: `mid.modtest${++messages}`,
+                    isGroup: true,
+                });
+
+            assert.isFalse(await send(MEMBER));
+            assert.isFalse(await send(MEMBER));
+            assert.equal(executed, 0);
+            assert.equal(sent.length, 1);
+            assert.ok(sent[0].includes("10m"));
+
+            moderation.unmute(THREAD, MEMBER);
+            await send(MEMBER);
+            assert.equal(executed, 1);
+        } finally {
+            commandHandler.commands.delete("modtest");
+            moderation.unmute(THREAD, MEMBER);
+        }
+    });
+});
+
+if (require.main === module) {
+    run();
+}
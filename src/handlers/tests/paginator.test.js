@@ -0,0 +1,109 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                    NERO - Unit Tests: Paginator                              ║
+ * ║              Test Page Building and Reply/Reaction Navigation                ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/paginator.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, run } = require("../../core/tests/lib/test-framework");
+const CommandHandler = require("../commandHandler");
+const { paginate, buildPages, parseNavigation } = require("../../utils/paginator");
+
+const OWNER = "100000000000001";
+const THREAD = "200000000000001";
+
+/**
+ * Builds a command context whose api records sent and edited messages
+ * @returns {Object}
+ */
+function mockContext() {
+    const edits = [];
+    const api = {
+        getCurrentUserID: () => "100000000000000",
+        async sendMessage() {
+            return { messageID: "mid.page" };
+        },
+        async editMessage(text, messageID) {
+            edits.push({ text, messageID });
+        },
+    };
+    const options = { senderID: OWNER, threadID: THREAD };
+
+    return {
+        edits,
+        api,
+        event: { threadID: THREAD, messageID: "mid.cmd", senderID: OWNER },
+        awaitReply: (message, opts) => CommandHandler.awaitReply(message, { ...options, ...opts }),
+        awaitReaction: (message, opts) =>
+            CommandHandler.awaitReaction(message, { ...options, ...opts }),
+        cancelAwait: (message) => CommandHandler.cancelInteraction(message),
+    };
+}
+
+/** Lets the background navigation loop run */
+const tick = () =>
+    new Promise((resolve) => {
+        setImmediate(resolve);
+    });
+
+describe("Paginator", () => {
+    it("should split items into pages with overall indexes", () => {
+        const pages = buildPages({
+            items: ["a", "b", "c", "d", "e"],
+            perPage: 2,
+            render: (item, index) => `${index + 1}. ${item}`,
+        });
+
+        assert.deepEqual(pages, ["1. a\n2. b", "3. c\n4. d", "5. e"]);
+    });
+
+    it("should parse page navigation from replies and reactions", () => {
+        assert.equal(parseNavigation({ body: "next" }, 0, 3), 1);
+        assert.equal(parseNavigation({ body: "prev" }, 0, 3), 0);
+        assert.equal(parseNavigation({ body: "3" }, 0, 3), 2);
+        assert.equal(parseNavigation({ body: "4" }, 0, 3), null);
+        assert.equal(parseNavigation({ body: "hello" }, 0, 3), null);
+        assert.equal(parseNavigation({ type: "message_reaction", reaction: "⬅️" }, 2, 3), 1);
+    });
+
+    it("should edit the message in place for the invoker only", async () => {
+        const context = mockContext();
+        const result = await paginate(context, {
+            items: Array.from({ length: 25 }, (_, i) => `item ${i + 1}`),
+            timeout: 1000,
+        });
+        assert.equal(result.pages, 3);
+        await tick();
+
+        const reply = (senderID, body) => ({
+            type: "message_reply",
+            threadID: THREAD,
+            senderID,
+            body,
+            messageReply: { messageID: "mid.page" },
+        });
+
+        assert.isFalse(
+            CommandHandler.handleInteraction(context.api, reply("100000000000009", "2"))
+        );
+        assert.isTrue(CommandHandler.handleInteraction(context.api, reply(OWNER, "next")));
+        await tick();
+
+        assert.equal(context.edits.length, 1);
+        assert.ok(context.edits[0].text.includes("item 11"));
+        assert.ok(context.edits[0].text.includes("Page 2/3"));
+
+        result.stop();
+        await tick();
+        assert.equal(CommandHandler.pendingInteractions.size, 0);
+    });
+});
+
+if (require.main === module) {
+    run();
+}
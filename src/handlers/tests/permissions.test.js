@@ -0,0 +1,125 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                    NERO - Unit Tests: Permissions                            ║
+ * ║              Test Roles, Permission Nodes and Thread-Scoped Grants           ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/permissions.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, run } = require("../../core/tests/lib/test-framework");
+const config = require("../../config/config");
+const permissions = require("../../utils/permissions");
+const CommandHandler = require("../commandHandler");
+
+const USER = "900000000000001";
+const GROUP_ADMIN = "900000000000002";
+const THREAD = "800000000000001";
+const OTHER_THREAD = "800000000000002";
+
+function mockApi(adminIDs = []) {
+    let calls = 0;
+    return {
+        get calls() {
+            return calls;
+        },
+        async getThreadInfo() {
+            calls++;
+            return { adminIDs: adminIDs.map((id) => ({ id })) };
+        },
+    };
+}
+
+describe("Permissions", () => {
+    // ═══════════════════════════════════════════════════════════
+    // NODES & ROLES
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Nodes", () => {
+        it("should match exact, prefix wildcard and global wildcard nodes", () => {
+            assert.isTrue(permissions.matchNode("kick.use", "kick.use"));
+            assert.isTrue(permissions.matchNode("broadcast.*", "broadcast.all"));
+            assert.isTrue(permissions.matchNode("*", "anything.here"));
+            assert.isFalse(permissions.matchNode("kick.*", "kickall.use"));
+            assert.isFalse(permissions.matchNode("kick.use", "kick.all"));
+        });
+
+        it("should expand inherited role nodes", () => {
+            const nodes = permissions.getRoleNodes("threadAdmin");
+            assert.ok(nodes.includes("kick.use"));
+            assert.ok(nodes.includes("role.thread"));
+        });
+
+        it("should refuse to grant implicit or unknown roles", () => {
+            assert.throws(() => permissions.grant(USER, "admin"));
+            assert.throws(() => permissions.grant(USER, "nope"));
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // RESOLUTION
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Resolution", () => {
+        it("should scope thread grants to their thread", async () => {
+            permissions.grant(USER, "moderator", THREAD);
+
+            try {
+                assert.isTrue(await permissions.has(USER, "kick.use", { threadID: THREAD }));
+                assert.isFalse(await permissions.has(USER, "kick.use", { threadID: OTHER_THREAD }));
+            } finally {
+                permissions.revoke(USER, "moderator", THREAD);
+            }
+
+            assert.isFalse(await permissions.has(USER, "kick.use", { threadID: THREAD }));
+        });
+
+        it("should map Messenger group admins to threadAdmin and cache the lookup", async () => {
+            const api = mockApi([GROUP_ADMIN]);
+            permissions.invalidateThread(THREAD);
+
+            const roles = await permissions.getUserRoles(GROUP_ADMIN, { threadID: THREAD, api });
+            assert.ok(roles.includes("threadAdmin"));
+            assert.isFalse(await permissions.has(USER, "kick.use", { threadID: THREAD, api }));
+            assert.equal(api.calls, 1);
+
+            permissions.invalidateThread(THREAD);
+        });
+
+        it("should let node holders run admin commands", async () => {
+            const api = mockApi([GROUP_ADMIN]);
+            permissions.invalidateThread(THREAD);
+            const options = { threadID: THREAD, api, command: "threadconfig" };
+
+            assert.isTrue(await CommandHandler.checkPermission(GROUP_ADMIN, "admin", options));
+            assert.isFalse(await CommandHandler.checkPermission(USER, "admin", options));
+            assert.isTrue(await CommandHandler.checkPermission(USER, "user", options));
+
+            permissions.invalidateThread(THREAD);
+        });
+
+        it("should keep superadmin commands for config superadmins only", async () => {
+            const superAdmin = config.bot.superAdmins[0];
+            const api = mockApi([GROUP_ADMIN]);
+
+            assert.isFalse(
+                await CommandHandler.checkPermission(GROUP_ADMIN, "superadmin", {
+                    threadID: THREAD,
+                    api,
+                })
+            );
+            if (superAdmin) {
+                assert.isTrue(await CommandHandler.checkPermission(superAdmin, "superadmin"));
+            }
+
+            permissions.invalidateThread(THREAD);
+        });
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,244 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                     NERO - Unit Tests: Rate Limiter                          ║
+ * ║        Test Token Buckets, Scopes, Shared Messages and Command Feedback      ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/rateLimiter.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, afterEach, run } = require("../../core/tests/lib/test-framework");
+const rateLimiter = require("../../utils/rateLimiter");
+const commandHandler = require("../commandHandler");
+const threadConfig = require("../../utils/threadConfig");
+
+const THREAD = "200000000000241";
+const OTHER_THREAD = "200000000000242";
+const ALICE = "100000000000241";
+const BOB = "100000000000242";
+
+/**
+ * Creates a limiter with a clock the test moves by hand
+ * @returns {{limiter: Object, advance: function(number): void}}
+ */
+function createLimiter() {
+    let now = 1_000_000;
+    const limiter = new rateLimiter.constructor({ now: () => now });
+    return {
+        limiter,
+        advance: (ms) => {
+            now += ms;
+        },
+    };
+}
+
+describe("Rate Limiter", () => {
+    afterEach(() => {
+        rateLimiter.reset();
+        rateLimiter.decisions.clear();
+    });
+
+    it("should refill buckets over time and key them by scope", () => {
+        const { limiter, advance } = createLimiter();
+        const rule = { name: "music", limit: 2, per: "1m", scope: "thread" };
+        const inThread = (userID, threadID = THREAD) =>
+            limiter.consume([rule], { userID, threadID }).allowed;
+
+        assert.isTrue(inThread(ALICE));
+        assert.isTrue(inThread(BOB));
+        assert.isFalse(inThread(ALICE));
+        assert.isTrue(inThread(ALICE, OTHER_THREAD));
+
+        const denied = limiter.consume([rule], { userID: BOB, threadID: THREAD });
+        assert.equal(denied.retryAfter, 30 * 1000);
+        assert.equal(denied.rule.name, "music");
+
+        advance(29 * 1000);
+        assert.isFalse(inThread(BOB));
+        advance(1000);
+        assert.isTrue(inThread(BOB));
+
+        assert.equal(limiter.describeRule(rule), "2 per 1m per group");
+        assert.equal(limiter.formatWait(185 * 1000), "3m 5s");
+        assert.throws(() => limiter.normalizeRule({ limit: 0, per: 10 }), "whole number");
+        assert.throws(() => limiter.normalizeRule({ limit: 1, per: 10, scope: "guild" }), "guild");
+    });
+
+    it("should take from every bucket or none", () => {
+        const { limiter } = createLimiter();
+        const rules = [
+            { name: "cooldown:dl", limit: 1, per: 10, scope: "user" },
+            { name: "command:dl", limit: 2, per: "1h", scope: "global" },
+        ];
+
+        assert.isTrue(limiter.consume(rules, { userID: ALICE }).allowed);
+        const denied = limiter.consume(rules, { userID: ALICE });
+        assert.equal(denied.rule.name, "cooldown:dl");
+
+        // Alice's refused attempt did not use up the shared hourly token
+        assert.isTrue(limiter.consume(rules, { userID: BOB }).allowed);
+        const global = limiter.consume(rules, { userID: "100000000000243" });
+        assert.equal(global.rule.name, "command:dl");
+        assert.equal(global.retryAfter, 30 * 60 * 1000);
+    });
+
+    it("should count a message once for every account that receives it", () => {
+        const { limiter } = createLimiter();
+        const rule = { name: "messages", limit: 1, per: 10, scope: "user" };
+        const shared = (messageID, account) =>
+            limiter.consume([rule], { userID: ALICE, threadID: THREAD, messageID, account });
+
+        assert.isTrue(shared("mid.1", "bot-a").allowed);
+        const again = shared("mid.1", "bot-b");
+        assert.isTrue(again.allowed);
+        assert.isTrue(again.duplicate);
+
+        const next = shared("mid.2", "bot-a");
+        assert.isFalse(next.allowed);
+        assert.isFalse(next.duplicate);
+        assert.isTrue(shared("mid.2", "bot-b").duplicate);
+
+        // Per-account rules are counted by each account on its own
+        const perBot = { name: "replies", limit: 1, per: 10, scope: "account" };
+        assert.isTrue(limiter.consume([perBot], { messageID: "mid.3", account: "bot-a" }).allowed);
+        assert.isTrue(limiter.consume([perBot], { messageID: "mid.3", account: "bot-b" }).allowed);
+        assert.isFalse(limiter.consume([perBot], { messageID: "mid.4", account: "bot-a" }).allowed);
+    });
+
+    it("should refuse limited commands with the time until they are available", async () => {
+        let executed = 0;
+        let messages = 0;
+        const sent = [];
+        commandHandler.commands.set("limittest", {
+            config: {
+                name: "limittest",
+                enabled: true,
+                permissions: "user",
+                cooldown: 0,
+                rateLimit: { limit: 1, per: "1m", scope: "thread" },
+            },
+            execute: async () => {
+                executed++;
+            },
+        });
+
+        try {
+            const settings = threadConfig.getAll(THREAD);
+            const prefix = settings.prefixEnabled ? settings.prefix : "";
+            const apiFor = (account) => ({
+                getCurrentUserID: () => account,
+                sendMessage: async (body) => sent.push(body),
+            });
+            const send = (senderID, api = apiFor("100000000000900"), messageID = null) =>
+                commandHandler.handle(api, {
+                    type: "message",
+                    body: `${prefix}limittest`,
+                    senderID,
+                    threadID: THREAD,
+                    messageID: messageID || `mid.limittest${++messages}`,
+                    isGroup: true,
+                });
+
+            await send(ALICE);
+            assert.equal(executed, 1);
+
+            assert.isFalse(await send(BOB));
+            assert.equal(executed, 1);
+            assert.equal(sent.length, 1);
+            assert.ok(sent[0].includes("limittest is limited to 1 per 1m per group"));
+            assert.ok(sent[0].includes("Try again in 1m"));
+
+            // The same message seen by a second bot account is refused quietly
+            assert.isFalse(await send(BOB, apiFor("100000000000901"), `mid.limittest${messages}`));
+            assert.equal(sent.length, 1);
+        } finally {
+            commandHandler.commands.delete("limittest");
+        }
+    });
+
+    it("should refuse to load a command with an invalid rate limit", () => {
+        const load = (rateLimit) =>
+            commandHandler.normalizeCommand(
+                { config: { name: "badlimit", rateLimit }, execute: async () => {} },
+                "user",
+                "badlimit.js"
+            );
+
+        assert.throws(
+            () => load({ limit: 0, per: "1m" }),
+            "Command badlimit has invalid rateLimit: Must be a whole number above 0"
+        );
+        assert.throws(
+            () =>
+                load([
+                    { limit: 1, per: "1m" },
+                    { limit: 1, per: "soon" },
+                ]),
+            "duration"
+        );
+        assert.throws(() => load({ limit: 1, per: 10, scope: "guild" }), "Unknown scope: guild");
+        assert.deepEqual(load({ limit: 2, per: "1m", scope: "thread" }).config.rateLimit, {
+            limit: 2,
+            per: "1m",
+            scope: "thread",
+        });
+    });
+
+    it("should not use up a token on a call with invalid arguments", async () => {
+        const executed = [];
+        const sent = [];
+        commandHandler.commands.set("argslimit", {
+            config: {
+                name: "argslimit",
+                usage: "argslimit <count>",
+                enabled: true,
+                permissions: "user",
+                cooldown: 0,
+                args: [{ name: "count", type: "number", required: true }],
+                rateLimit: { limit: 1, per: "1m", scope: "user" },
+            },
+            execute: async ({ params }) => {
+                executed.push(params.count);
+            },
+        });
+
+        try {
+            const settings = threadConfig.getAll(THREAD);
+            const prefix = settings.prefixEnabled ? settings.prefix : "";
+            const api = {
+                getCurrentUserID: () => "100000000000900",
+                sendMessage: async (body) => sent.push(body),
+            };
+            let messages = 0;
+            const send = (text) =>
+                commandHandler.handle(api, {
+                    type: "message",
+                    body: `${prefix}${text}`,
+                    senderID: ALICE,
+                    threadID: THREAD,
+                    messageID: `mid.argslimit${++messages}`,
+                    isGroup: true,
+                });
+
+            await send("argslimit many");
+            assert.equal(sent.length, 1);
+            assert.ok(!sent[0].includes("limited to"));
+
+            await send("argslimit 3");
+            assert.deepEqual(executed, [3]);
+
+            await send("argslimit 4");
+            assert.deepEqual(executed, [3]);
+            assert.ok(sent[1].includes("argslimit is limited to 1 per 1m"));
+        } finally {
+            commandHandler.commands.delete("argslimit");
+        }
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,151 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                      NERO - Unit Tests: Send Queue                           ║
+ * ║        Test Thread Ordering, Concurrency, Retries and Backpressure           ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/sendQueue.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, afterEach, run } = require("../../core/tests/lib/test-framework");
+const sendQueue = require("../../utils/sendQueue");
+
+const ACCOUNT = "queue-test";
+
+/**
+ * Creates a queue with fast defaults
+ * @param {Object} [options] - Overrides
+ * @returns {Object} SendQueue instance
+ */
+function createQueue(options = {}) {
+    return new sendQueue.constructor({
+        enabled: true,
+        concurrency: 2,
+        globalConcurrency: 2,
+        intervalMs: 0,
+        maxDepth: 50,
+        retries: 2,
+        retryDelayMs: 1,
+        deadLetterSize: 10,
+        ...options,
+    });
+}
+
+/**
+ * A fake api whose sends finish a little later and are recorded
+ * @param {function(string, number): void} [fail] - Throws to fail an attempt
+ * @returns {{api: Object, log: Array<Object>, peak: function(): number}}
+ */
+function createApi(fail = () => {}) {
+    const log = [];
+    const attempts = new Map();
+    let inFlight = 0;
+    let peak = 0;
+
+    const api = {
+        async sendMessage(msg, threadID) {
+            const body = typeof msg === "string" ? msg : msg.body;
+            const attempt = (attempts.get(body) || 0) + 1;
+            attempts.set(body, attempt);
+
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            log.push({ body, threadID, start: Date.now() });
+            try {
+                await new Promise((resolve) => {
+                    setTimeout(resolve, 5);
+                });
+                fail(body, attempt);
+                return { threadID, messageID: `mid.${body}` };
+            } finally {
+                inFlight--;
+            }
+        },
+    };
+
+    return { api, log, peak: () => peak };
+}
+
+describe("Send Queue", () => {
+    afterEach(() => {
+        sendQueue.clearDeadLetters(ACCOUNT);
+    });
+
+    it("should keep each thread in order within the concurrency limit", async () => {
+        const queue = createQueue();
+        const { api, log, peak } = createApi();
+        queue.attach(api, ACCOUNT);
+
+        const sends = [
+            ["a1", "t1"],
+            ["a2", "t1"],
+            ["b1", "t2"],
+            ["a3", "t1"],
+            ["c1", "t3"],
+            ["b2", "t2"],
+        ].map(([body, threadID]) => api.sendMessage(body, threadID));
+
+        assert.equal(queue.getStats().accounts[ACCOUNT].queued, 4);
+        const results = await Promise.all(sends);
+
+        assert.equal(results[0].messageID, "mid.a1");
+        assert.equal(peak(), 2);
+        assert.deepEqual(
+            log.filter((entry) => entry.threadID === "t1").map((entry) => entry.body),
+            ["a1", "a2", "a3"]
+        );
+        assert.deepEqual(
+            log.filter((entry) => entry.threadID === "t2").map((entry) => entry.body),
+            ["b1", "b2"]
+        );
+
+        const stats = queue.getStats();
+        assert.equal(stats.queued, 0);
+        assert.equal(stats.sending, 0);
+        assert.equal(stats.accounts[ACCOUNT].sent, 6);
+    });
+
+    it("should retry transient failures and dead-letter the rest", async () => {
+        const queue = createQueue();
+        const { api } = createApi((body, attempt) => {
+            if (body === "flaky" && attempt === 1) throw new Error("Network error");
+            if (body === "gone") throw new Error("Error 1545012: not part of the conversation");
+        });
+        queue.attach(api, ACCOUNT);
+
+        const callbacks = [];
+        const flaky = await api.sendMessage("flaky", "t1", (err, info) => callbacks.push(info));
+        assert.equal(flaky.messageID, "mid.flaky");
+        assert.deepEqual(callbacks, [flaky]);
+
+        await assert.throwsAsync(() => api.sendMessage({ body: "gone" }, "t2"), "1545012");
+
+        const stats = queue.getStats().accounts[ACCOUNT];
+        assert.equal(stats.retried, 1);
+        assert.equal(stats.failed, 1);
+        const [letter] = queue.getDeadLetters(ACCOUNT);
+        assert.equal(letter.threadID, "t2");
+        assert.equal(letter.body, "gone");
+        assert.equal(letter.attempts, 1);
+    });
+
+    it("should refuse sends past the queue depth and space out starts", async () => {
+        const queue = createQueue({ concurrency: 1, maxDepth: 2, intervalMs: 30 });
+        const { api, log } = createApi();
+        queue.attach(api, ACCOUNT);
+
+        const first = api.sendMessage("one", "t1");
+        const second = api.sendMessage("two", "t2");
+        await assert.throwsAsync(() => api.sendMessage("three", "t3"), "is full");
+
+        await Promise.all([first, second]);
+        assert.ok(log[1].start - log[0].start >= 25);
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,135 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                     NERO - Unit Tests: Simulator                             ║
+ * ║        Test End-to-End Dispatch Against the Offline Messenger World          ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/simulator.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, afterAll, run } = require("../../core/tests/lib/test-framework");
+const { Simulator } = require("../../utils/simulator");
+const AccountManager = require("../../utils/accountManager");
+const CommandHandler = require("../commandHandler");
+const EventHandler = require("../eventHandler");
+const { createDispatcher } = require("../dispatcher");
+const threadConfig = require("../../utils/threadConfig");
+
+const BOT = "100000000000050";
+const USER = "100000000000051";
+const THREAD = "200000000000050";
+
+const quietLogger = {
+    info() {},
+    warn() {},
+    error() {},
+    debug() {},
+    success() {},
+};
+
+const sim = new Simulator({
+    bots: [{ id: BOT, name: "Nero", account: "sim" }],
+    users: [{ id: USER, name: "Ana Cruz" }],
+    threads: [{ id: THREAD, name: "Test Group", participants: [BOT, USER] }],
+});
+
+const accountManager = new AccountManager({
+    simulator: sim,
+    logger: quietLogger,
+    autoSaveAppState: false,
+    neroOptions: { selfListen: false, listenEvents: true },
+});
+
+CommandHandler.commands.set("simping", {
+    config: { name: "simping", enabled: true, permissions: "user", cooldown: 0 },
+    async execute({ api, event }) {
+        await api.sendMessage("pong", event.threadID, null, event.messageID);
+    },
+});
+
+CommandHandler.commands.set("simask", {
+    config: { name: "simask", enabled: true, permissions: "user", cooldown: 0 },
+    async execute({ api, event, awaitReply }) {
+        const question = await api.sendMessage("What's your name?", event.threadID);
+        const answer = await awaitReply(question, { timeout: 1000 });
+        await api.sendMessage(`Hi ${answer ? answer.body : "stranger"}`, event.threadID);
+    },
+});
+
+/**
+ * Command text as a user in the test thread has to type it
+ * @param {string} text - Command and args
+ * @returns {string}
+ */
+function command(text) {
+    const settings = threadConfig.getAll(THREAD);
+    return `${settings.prefixEnabled ? settings.prefix : ""}${text}`;
+}
+
+describe("Simulator", () => {
+    afterAll(() => {
+        accountManager.stopAllListeners();
+        CommandHandler.commands.delete("simping");
+        CommandHandler.commands.delete("simask");
+    });
+
+    it("should log simulated bots in through the account manager", async () => {
+        await accountManager.init();
+        const result = await accountManager.loginAll();
+
+        assert.equal(result.success, 1);
+        assert.equal(accountManager.getAccount("sim").userID, BOT);
+        assert.equal(accountManager.getAccount("sim").userName, "Nero");
+        assert.equal(accountManager.startAllListeners(createDispatcher(accountManager)), 1);
+    });
+
+    it("should run a command end to end and record the reply", async () => {
+        const event = await sim.send(USER, THREAD, command("simping"));
+        const reply = await sim.waitForMessage({ threadID: THREAD, match: "pong" });
+        await sim.settle();
+
+        assert.equal(reply.botID, BOT);
+        assert.equal(reply.replyTo, event.messageID);
+        assert.equal(accountManager.getAccount("sim").commandCount, 1);
+    });
+
+    it("should resume a command when the user replies to its question", async () => {
+        await sim.send(USER, THREAD, command("simask"));
+        const question = await sim.waitForMessage({ match: "name?" });
+
+        await sim.reply(USER, question.messageID, "Ana");
+        const greeting = await sim.waitForMessage({ match: /^Hi / });
+
+        assert.equal(greeting.body, "Hi Ana");
+    });
+
+    it("should deliver membership changes as log events", async () => {
+        const seen = [];
+        EventHandler.use(
+            async (ctx, next) => {
+                if (ctx.event.type === "event") seen.push(ctx.event);
+                await next();
+            },
+            { name: "simSpy", before: "availability" }
+        );
+
+        try {
+            await sim.join(THREAD, "100000000000052", { author: USER });
+            await sim.settle();
+
+            assert.equal(seen.length, 1);
+            assert.equal(seen[0].logMessageType, "log:subscribe");
+            assert.equal(seen[0].logMessageData.addedParticipants[0].userFbId, "100000000000052");
+            assert.ok(sim.getThreadInfo(THREAD).participantIDs.includes("100000000000052"));
+        } finally {
+            EventHandler.middleware.remove("simSpy");
+        }
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,157 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                    NERO - Unit Tests: Stats History                          ║
+ * ║          Test Hourly/Daily Buckets, Range Queries and Persistence            ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/statsHistory.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, run } = require("../../core/tests/lib/test-framework");
+const { StatsHistory, bucketStart } = require("../../utils/statsHistory");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * A history with a clock the test moves by hand
+ * @param {Object} [options] - StatsHistory options
+ * @returns {{history: StatsHistory, clock: {time: number}}}
+ */
+function createHistory(options = {}) {
+    const clock = { time: new Date(2026, 0, 15, 10, 30).getTime() };
+    const history = new StatsHistory({ ...options, now: () => clock.time });
+    return { history, clock };
+}
+
+describe("Stats History", () => {
+    it("should add activity to the current hour and day", () => {
+        const { history, clock } = createHistory();
+
+        history.recordMessage("T1");
+        history.recordCommand("ping", true);
+        clock.time += HOUR;
+        history.recordMessage("T2");
+        history.recordCommand("ping", true);
+        history.recordCommand("help", false);
+        history.recordBackgroundTask("cleanup", true, 30);
+        history.recordBackgroundTask("cleanup", false, 500);
+        history.recordAccount("main", "commands");
+
+        const hours = history.range({ from: clock.time - HOUR });
+        assert.deepEqual(
+            hours.map((bucket) => bucket.commands.total),
+            [1, 2]
+        );
+
+        const today = history.summarize(history.range({ from: clock.time, granularity: "day" }));
+        assert.equal(today.messages, 2);
+        assert.deepEqual(today.commands, { total: 3, failed: 1, blocked: 0 });
+        assert.deepEqual(today.background, { runs: 2, failed: 1, avgTime: 30 });
+        assert.deepEqual(today.topCommands[0], { name: "ping", count: 2 });
+        assert.equal(today.activeThreads, 2);
+        assert.deepEqual(today.topAccounts, [{ name: "main", count: 1 }]);
+    });
+
+    it("should fill quiet days with empty buckets and reject bad ranges", () => {
+        const { history, clock } = createHistory();
+        history.recordMessage("T1");
+        clock.time += 2 * 24 * HOUR;
+        history.recordMessage("T1");
+
+        const days = history.range({ from: clock.time - 2 * 24 * HOUR, granularity: "day" });
+        assert.deepEqual(
+            days.map((bucket) => bucket.messages),
+            [1, 0, 1]
+        );
+
+        for (const options of [{ granularity: "week" }, { from: "not a date" }]) {
+            try {
+                history.range(options);
+                assert.ok(false, "Expected a ValidationError");
+            } catch (error) {
+                assert.equal(error.name, "ValidationError");
+            }
+        }
+    });
+
+    it("should clip ranges to the retention window and cap their size", () => {
+        const { history, clock } = createHistory({ hourlyRetention: 48, dailyRetention: 5000 });
+        history.recordMessage("T1");
+
+        const hours = history.range({ from: -8640000000000000, to: clock.time + 365 * 24 * HOUR });
+        assert.equal(hours.length, 48);
+        assert.equal(hours[47].messages, 1);
+
+        try {
+            history.range({ from: 0, granularity: "day" });
+            assert.ok(false, "Expected a ValidationError");
+        } catch (error) {
+            assert.equal(error.name, "ValidationError");
+            assert.ok(error.message.includes("max 1000 days"));
+        }
+    });
+
+    it("should start hours and days in the configured time zone", () => {
+        const clock = { time: Date.UTC(2026, 0, 15, 15, 30) };
+        const history = new StatsHistory({ timeZone: "Asia/Manila", now: () => clock.time });
+
+        // 23:30 and 00:30 in Manila fall on different days, whatever the host's zone
+        history.recordMessage("T1");
+        clock.time += HOUR;
+        history.recordMessage("T1");
+
+        const days = history.range({ from: clock.time - HOUR, granularity: "day" });
+        assert.deepEqual(
+            days.map((bucket) => [new Date(bucket.start).toISOString(), bucket.messages]),
+            [
+                ["2026-01-14T16:00:00.000Z", 1],
+                ["2026-01-15T16:00:00.000Z", 1],
+            ]
+        );
+
+        // Half-hour zones start their hours on the half hour
+        assert.equal(
+            new Date(
+                bucketStart(Date.UTC(2026, 0, 15, 10, 10), "hour", "Asia/Kolkata")
+            ).toISOString(),
+            "2026-01-15T09:30:00.000Z"
+        );
+    });
+
+    it("should keep DST days 23 and 25 hours long", () => {
+        const clock = { time: Date.UTC(2026, 2, 9, 12) };
+        const history = new StatsHistory({ timeZone: "America/New_York", now: () => clock.time });
+
+        const days = history.range({ from: Date.UTC(2026, 2, 7, 12), granularity: "day" });
+        assert.deepEqual(
+            days.map((bucket) => new Date(bucket.start).toISOString()),
+            ["2026-03-07T05:00:00.000Z", "2026-03-08T05:00:00.000Z", "2026-03-09T04:00:00.000Z"]
+        );
+        assert.equal(
+            bucketStart(Date.UTC(2026, 10, 2, 4, 30), "day", "America/New_York"),
+            Date.UTC(2026, 10, 1, 4)
+        );
+    });
+
+    it("should survive a save/load round trip and prune by retention", () => {
+        const { history, clock } = createHistory({ hourlyRetention: 2, dailyRetention: 2 });
+        history.recordCommand("ping", true);
+
+        const restored = new StatsHistory({ now: () => clock.time });
+        restored.load(JSON.parse(JSON.stringify(history.toJSON())));
+        restored.recordCommand("ping", true);
+        assert.equal(restored.summarize(restored.range()).commands.total, 2);
+
+        clock.time += 3 * 24 * HOUR;
+        history.recordMessage("T1");
+        assert.equal(history.hourly.size, 1);
+        assert.equal(history.daily.size, 1);
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,190 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                      NERO - Unit Tests: Storage                              ║
+ * ║            Test JSON and SQLite Driver Persistence and Migrations            ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/storage.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, assert, afterAll, run } = require("../../core/tests/lib/test-framework");
+const storage = require("../../utils/storage");
+const { SqliteDriver } = require("../../utils/storage/sqliteDriver");
+
+const tempDirs = [];
+
+function createTempDir() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "nero-storage-"));
+    tempDirs.push(directory);
+    return directory;
+}
+
+function createStorage(migrations = [], driver = "json") {
+    return new storage.constructor({ driver, directory: createTempDir(), migrations });
+}
+
+function readNamespace(instance, namespace) {
+    const file = path.join(instance.options.directory, "storage", `${namespace}.json`);
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/** Whether node:sqlite or better-sqlite3 loads here (SQLite tests are skipped if not) */
+const hasSqlite = (() => {
+    try {
+        const driver = new SqliteDriver({ file: path.join(createTempDir(), "probe.db") });
+        driver.open();
+        driver.close();
+        return true;
+    } catch {
+        return false;
+    }
+})();
+
+describe("Storage", () => {
+    afterAll(() => {
+        for (const directory of tempDirs) {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // KEY/VALUE API
+    // ═══════════════════════════════════════════════════════════
+
+    for (const driver of ["json", "sqlite"]) {
+        const options = { skip: driver === "sqlite" && !hasSqlite };
+
+        describe(`${driver === "json" ? "JSON" : "SQLite"} Driver`, () => {
+            it(
+                "should get, set and delete values",
+                () => {
+                    const instance = createStorage([], driver);
+
+                    instance.set("test", "a", { count: 1 });
+                    assert.deepEqual(instance.get("test", "a"), { count: 1 });
+                    assert.equal(instance.get("test", "missing", "fallback"), "fallback");
+                    assert.isTrue(instance.delete("test", "a"));
+                    assert.isFalse(instance.has("test", "a"));
+
+                    instance.close();
+                },
+                options
+            );
+
+            it(
+                "should not leak references to stored values",
+                () => {
+                    const instance = createStorage([], driver);
+                    const value = { list: [1] };
+
+                    instance.set("test", "a", value);
+                    value.list.push(2);
+                    instance.get("test", "a").list.push(3);
+
+                    assert.deepEqual(instance.get("test", "a"), { list: [1] });
+                    instance.close();
+                },
+                options
+            );
+
+            it(
+                "should keep values and the schema version after reopening",
+                () => {
+                    const migrations = [{ version: 1, name: "first", up: () => {} }];
+                    const instance = createStorage(migrations, driver);
+
+                    instance.replace("test", { a: 1, b: 2 });
+                    instance.set("test", "c", 3);
+                    instance.close();
+
+                    assert.deepEqual(instance.getAll("test"), { a: 1, b: 2, c: 3 });
+                    assert.equal(instance.getVersion(), 1);
+                    instance.close();
+                },
+                options
+            );
+        });
+    }
+
+    describe("JSON Files", () => {
+        it("should persist to disk on flush and reload after close", () => {
+            const instance = createStorage();
+
+            instance.replace("test", { a: 1, b: 2 });
+            instance.flush();
+            assert.deepEqual(readNamespace(instance, "test"), { a: 1, b: 2 });
+
+            instance.set("test", "c", 3);
+            instance.close();
+
+            assert.deepEqual(instance.getAll("test"), { a: 1, b: 2, c: 3 });
+            instance.close();
+        });
+
+        it("should leave no temp files behind", () => {
+            const instance = createStorage();
+
+            instance.set("test", "a", 1);
+            instance.close();
+
+            const files = fs.readdirSync(path.join(instance.options.directory, "storage"));
+            assert.deepEqual(files, ["test.json"]);
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // MIGRATIONS
+    // ═══════════════════════════════════════════════════════════
+
+    describe("Migrations", () => {
+        it("should apply pending migrations once in version order", () => {
+            const applied = [];
+            const migrations = [
+                { version: 2, name: "second", up: () => applied.push(2) },
+                { version: 1, name: "first", up: (s) => applied.push(1) && s.set("m", "k", 1) },
+            ];
+            const instance = createStorage(migrations);
+
+            assert.equal(instance.getVersion(), 2);
+            assert.deepEqual(applied, [1, 2]);
+            assert.equal(instance.get("m", "k"), 1);
+
+            instance.close();
+            instance.open();
+            assert.deepEqual(applied, [1, 2]);
+
+            migrations.push({ version: 3, name: "third", up: () => applied.push(3) });
+            instance.close();
+            assert.equal(instance.getVersion(), 3);
+            assert.deepEqual(applied, [1, 2, 3]);
+            instance.close();
+        });
+
+        it("should not record a version when its migration fails", () => {
+            const instance = createStorage([
+                {
+                    version: 1,
+                    name: "broken",
+                    up: () => {
+                        throw new Error("boom");
+                    },
+                },
+            ]);
+
+            assert.throws(() => instance.open());
+            instance.options.migrations = [];
+            assert.equal(instance.getVersion(), 0);
+            instance.close();
+        });
+    });
+});
+
+if (require.main === module) {
+    run();
+}
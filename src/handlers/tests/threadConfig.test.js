@@ -0,0 +1,125 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                     NERO - Unit Tests: Thread Config                         ║
+ * ║        Test Overrides, Global Fallbacks, Validation and Event Toggles        ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * @module handlers/tests/threadConfig.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { describe, it, assert, afterEach, run } = require("../../core/tests/lib/test-framework");
+const threadConfig = require("../../utils/threadConfig");
+const config = require("../../config/config");
+
+const THREAD = "200000000000251";
+const OTHER_THREAD = "200000000000252";
+
+/** Instances made by the tests, so their overrides can be removed */
+const created = [];
+
+/**
+ * Creates a thread config loaded from storage
+ * @returns {Object} ThreadConfig instance
+ */
+function createThreadConfig() {
+    const instance = new threadConfig.constructor();
+    created.push(instance);
+    return instance;
+}
+
+/**
+ * The global prefix a thread without an override uses
+ * @returns {string}
+ */
+function globalPrefix() {
+    return Array.isArray(config.bot.prefix) ? config.bot.prefix[0] : config.bot.prefix;
+}
+
+describe("Thread Config", () => {
+    afterEach(() => {
+        for (const instance of created.splice(0)) {
+            instance.reset(THREAD);
+            instance.reset(OTHER_THREAD);
+        }
+    });
+
+    it("should fall back to the global prefix until a thread overrides it", () => {
+        const threads = createThreadConfig();
+        assert.equal(threads.get(THREAD, "prefix"), globalPrefix());
+        assert.deepEqual(threads.getOverrides(THREAD), {});
+
+        threads.set(THREAD, "prefix", threads.parseValue("prefix", " ?? "));
+        assert.equal(threads.get(THREAD, "prefix"), "??");
+        assert.equal(threads.getAll(THREAD).prefix, "??");
+        assert.equal(threads.get(OTHER_THREAD, "prefix"), globalPrefix());
+        assert.ok(threads.getConfiguredThreads().includes(THREAD));
+
+        // Overrides are persisted and seen by a fresh load
+        assert.equal(createThreadConfig().get(THREAD, "prefix"), "??");
+
+        assert.isTrue(threads.reset(THREAD, "prefix"));
+        assert.isFalse(threads.reset(THREAD, "prefix"));
+        assert.equal(threads.get(THREAD, "prefix"), globalPrefix());
+        assert.isFalse(threads.getConfiguredThreads().includes(THREAD));
+    });
+
+    it("should parse and validate values from chat", () => {
+        const threads = createThreadConfig();
+        assert.isTrue(threads.parseValue("prefixEnabled", "on"));
+        assert.isFalse(threads.parseValue("welcome", "Disabled"));
+        assert.equal(threads.parseValue("cooldownMultiplier", "2.5"), 2.5);
+        assert.deepEqual(threads.parseValue("disabledCommands", "Ping, help,,"), ["ping", "help"]);
+
+        assert.throws(() => threads.parseValue("volume", "5"), "Unknown setting: volume");
+        assert.throws(() => threads.parseValue("ai", "maybe"), "ai must be on or off");
+        assert.throws(() => threads.parseValue("cooldownMultiplier", "fast"), "must be a number");
+        assert.throws(() => threads.parseValue("cooldownMultiplier", "11"), "between 0 and 10");
+        assert.throws(() => threads.parseValue("prefix", "a b"), "no spaces");
+        assert.throws(() => threads.set(THREAD, "volume", 5), "Unknown setting");
+    });
+
+    it("should disable commands through the thread's list", () => {
+        const threads = createThreadConfig();
+        assert.isTrue(threads.isCommandEnabled(THREAD, "ping"));
+
+        assert.isTrue(threads.toggleListItem(THREAD, "disabledCommands", "Ping", true));
+        assert.isFalse(threads.toggleListItem(THREAD, "disabledCommands", "ping", true));
+        assert.isFalse(threads.isCommandEnabled(THREAD, "PING"));
+        assert.isTrue(threads.isCommandEnabled(OTHER_THREAD, "ping"));
+
+        assert.isTrue(threads.toggleListItem(THREAD, "disabledCommands", "ping", false));
+        assert.isTrue(threads.isCommandEnabled(THREAD, "ping"));
+        assert.deepEqual(threads.getOverrides(THREAD), {});
+    });
+
+    it("should enable events by toggle, list or the handler's own flag", () => {
+        const threads = createThreadConfig();
+
+        // No override: the handler's global flag decides
+        assert.isTrue(threads.isEventEnabled(THREAD, "welcome", true));
+        assert.isFalse(threads.isEventEnabled(THREAD, "betaAI", false));
+
+        // Toggles win over the global flag in both directions
+        threads.set(THREAD, "welcome", false);
+        threads.set(THREAD, "ai", true);
+        assert.isFalse(threads.isEventEnabled(THREAD, "welcome", true));
+        assert.isTrue(threads.isEventEnabled(THREAD, "betaAI", false));
+        assert.isTrue(threads.isEventEnabled(OTHER_THREAD, "welcome", true));
+
+        // A disabled event is off whatever its toggle says
+        threads.toggleListItem(THREAD, "disabledEvents", "betaAI", true);
+        assert.isFalse(threads.isEventEnabled(THREAD, "betaAI", true));
+        assert.isFalse(threads.isEventEnabled(THREAD, "goodbye", false));
+
+        threads.toggleListItem(THREAD, "disabledEvents", "goodbye", true);
+        assert.isFalse(threads.isEventEnabled(THREAD, "goodbye", true));
+        assert.isTrue(threads.isEventEnabled(THREAD, "autoreact", true));
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,178 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                       NERO - Unit Tests: Updater                             ║
+ * ║        Test Release Verification, Staged Checks, Swap and Rollback           ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Runs against throwaway git repositories: a bare "origin" with release tags
+ * and a clone standing in for the bot folder.
+ *
+ * @module handlers/tests/updater.test
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const {
+    describe,
+    it,
+    assert,
+    beforeEach,
+    afterEach,
+    run,
+} = require("../../core/tests/lib/test-framework");
+const Updater = require("../../utils/updater");
+
+const GIT_ENV = {
+    ...process.env,
+    GIT_AUTHOR_NAME: "Nero Tests",
+    GIT_AUTHOR_EMAIL: "tests@nero.invalid",
+    GIT_COMMITTER_NAME: "Nero Tests",
+    GIT_COMMITTER_EMAIL: "tests@nero.invalid",
+};
+
+let tempDir;
+let origin;
+let bot;
+
+/**
+ * Runs git and returns its trimmed output
+ * @param {string} cwd - Repository
+ * @param {...string} args - Git arguments
+ * @returns {string}
+ */
+function git(cwd, ...args) {
+    return execFileSync("git", args, { cwd, env: GIT_ENV, stdio: "pipe" }).toString().trim();
+}
+
+/**
+ * Commits a release to origin and tags it
+ * @param {string} version - package.json version
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Tag (default: v<version>)
+ * @param {boolean} [options.passes=true] - Whether check.js succeeds
+ * @returns {string} Tagged commit
+ */
+function release(version, { tag = `v${version}`, passes = true } = {}) {
+    const work = path.join(tempDir, "work");
+    fs.writeFileSync(path.join(work, "package.json"), JSON.stringify({ name: "nero", version }));
+    fs.writeFileSync(path.join(work, "check.js"), `process.exit(${passes ? 0 : 1});\n`);
+    git(work, "add", "-A");
+    git(work, "commit", "-m", `Release ${version}`);
+    git(work, "tag", tag);
+    git(work, "push", "-q", "origin", "HEAD:main", tag);
+    return git(work, "rev-parse", "HEAD");
+}
+
+/**
+ * Updater for the test bot folder
+ * @param {Object} [options] - Extra options
+ * @returns {Updater}
+ */
+function createUpdater(options = {}) {
+    return new Updater({
+        rootDir: bot,
+        install: null,
+        checks: ["node check.js"],
+        onProgress: () => {},
+        ...options,
+    });
+}
+
+describe("Updater", () => {
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nero-updater-"));
+        origin = path.join(tempDir, "origin.git");
+        bot = path.join(tempDir, "bot");
+
+        git(tempDir, "init", "-q", "--bare", "-b", "main", origin);
+        git(tempDir, "clone", "-q", origin, "work");
+        release("1.0.0");
+        git(tempDir, "clone", "-q", origin, "bot");
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("should test a release in staging, swap it in and wait for the health check", async () => {
+        const previous = git(bot, "rev-parse", "HEAD");
+        const target = release("1.1.0");
+        const updater = createUpdater();
+
+        const { commits } = await updater.getChangelog({ tag: "v1.1.0", version: "1.1.0" });
+        assert.deepEqual(
+            commits.map((commit) => commit.subject),
+            ["Release 1.1.0"]
+        );
+
+        const state = await updater.applyUpdate({ tag: "v1.1.0", version: "1.1.0" });
+        assert.equal(state.status, "pending");
+        assert.equal(state.previous, previous);
+        assert.equal(git(bot, "rev-parse", "HEAD"), target);
+        assert.equal(updater.currentVersion, "1.1.0");
+        assert.ok(!fs.existsSync(updater.stagingDir));
+
+        // The restarted bot comes online
+        const restarted = createUpdater();
+        assert.equal(await restarted.resumePendingUpdate(), "pending");
+        assert.ok(restarted.confirmHealthy());
+        assert.equal(restarted.readState().status, "healthy");
+    });
+
+    it("should leave the bot untouched when a release fails verification or its checks", async () => {
+        const previous = git(bot, "rev-parse", "HEAD");
+        release("1.1.0", { passes: false });
+        release("1.2.0", { tag: "v9.9.9" });
+        const updater = createUpdater();
+
+        await assert.throwsAsync(
+            () => updater.applyUpdate({ tag: "v1.1.0", version: "1.1.0" }),
+            "node check.js"
+        );
+        await assert.throwsAsync(
+            () => updater.applyUpdate({ tag: "v9.9.9", version: "9.9.9" }),
+            "contains version 1.2.0"
+        );
+
+        fs.writeFileSync(path.join(bot, "package.json"), "{}");
+        await assert.throwsAsync(
+            () => updater.applyUpdate({ tag: "v9.9.9", version: "1.2.0" }),
+            "Local changes"
+        );
+
+        assert.equal(git(bot, "rev-parse", "HEAD"), previous);
+        assert.equal(updater.readState(), null);
+        assert.ok(!fs.existsSync(updater.stagingDir));
+    });
+
+    it("should roll back an update that never came online", async () => {
+        const previous = git(bot, "rev-parse", "HEAD");
+        release("1.1.0");
+        await createUpdater().applyUpdate({ tag: "v1.1.0", version: "1.1.0" });
+
+        // First boot of the new version hangs: the health-check window runs out
+        const firstBoot = createUpdater({ healthCheckWindow: 0.05 });
+        assert.equal(await firstBoot.resumePendingUpdate(), "pending");
+        await new Promise((resolve) => {
+            firstBoot.watchHealth(resolve);
+        });
+        assert.equal(git(bot, "rev-parse", "HEAD"), previous);
+        assert.equal(firstBoot.readState().status, "rolled-back");
+        assert.equal(firstBoot.currentVersion, "1.0.0");
+
+        // Second update: the first boot crashes before the window, so the next boot rolls back
+        await createUpdater().applyUpdate({ tag: "v1.1.0", version: "1.1.0" });
+        assert.equal(await createUpdater().resumePendingUpdate(), "pending");
+        assert.equal(await createUpdater().resumePendingUpdate(), "rolled-back");
+        assert.equal(git(bot, "rev-parse", "HEAD"), previous);
+    });
+});
+
+if (require.main === module) {
+    run();
+}
@@ -152,19 +152,51 @@
  * @property {string} [example] - Example usage
  * @property {string} category - Command category (e.g., "user", "admin")
  * @property {number} [cooldown] - Cooldown in seconds (default: 3)
+ * @property {RateLimitRule|RateLimitRule[]} [rateLimit] - Usage limits shared by subcommands
+ * @property {string} [permissions] - "user", "admin", "superadmin" or a permission node (e.g. "kick.use")
  * @property {boolean} [adminOnly] - Restrict to admins only
  * @property {boolean} [groupOnly] - Only works in groups
  * @property {boolean} [dmOnly] - Only works in DMs
+ * @property {Array<CommandArg>} [args] - Typed positional arguments (see utils/argParser)
+ * @property {Object<string, CommandArg>} [flags] - Typed --flags keyed by name
+ */
+
+/**
+ * Declared command argument or flag
+ * @typedef {Object} CommandArg
+ * @property {string} [name] - Argument name (key in context.params)
+ * @property {string} [type] - string, number, integer, user, uid, thread, duration, enum, boolean, rest
+ * @property {boolean} [required] - Reject the command when missing
+ * @property {boolean} [variadic] - Collect every matching token into an array
+ * @property {Array<string>} [values] - Allowed values for enum
+ * @property {*} [default] - Value used when missing
+ * @property {string} [alias] - Single-letter alias (flags only)
+ * @property {string} [description] - Shown in help
  */
 
 /**
  * Command module structure
  * @typedef {Object} Command
  * @property {CommandConfig} config - Command configuration
- * @property {CommandExecute} execute - Command execution function
+ * @property {CommandExecute} [execute] - Command execution function (optional with subcommands)
+ * @property {Object<string, Subcommand>} [subcommands] - Named subcommands routed from the first args
  * @property {CommandInit} [onLoad] - Called when command is loaded
  */
 
+/**
+ * Subcommand definition (cooldown and permissions default to the parent's)
+ * @typedef {Object} Subcommand
+ * @property {string[]} [aliases] - Alternative names
+ * @property {string} [description] - Shown in help
+ * @property {string} [usage] - Usage syntax (generated from args/flags if omitted)
+ * @property {number} [cooldown] - Cooldown in seconds
+ * @property {string} [permissions] - "user", "admin", "superadmin" or a permission node
+ * @property {Array<CommandArg>} [args] - Typed positional arguments
+ * @property {Object<string, CommandArg>} [flags] - Typed --flags keyed by name
+ * @property {CommandExecute} [execute] - Handler (optional if it has nested subcommands)
+ * @property {Object<string, Subcommand>} [subcommands] - Nested subcommands
+ */
+
 /**
  * Command execute function signature
  * @callback CommandExecute
@@ -184,10 +216,62 @@
  * @property {NeroAPI} api - Nero API instance
  * @property {MessageEvent} event - Message event that triggered command
  * @property {string[]} args - Command arguments
+ * @property {Object} params - Values for declared args (see CommandConfig.args)
+ * @property {Object} flags - Values for declared flags
+ * @property {Object|null} subcommand - Config of the subcommand that was routed to (path, name, ...)
+ * @property {Object} threadSettings - Resolved per-thread settings (see utils/threadConfig)
+ * @property {function(string): Promise<boolean>} hasPermission - Check a permission node for the sender in this thread
+ * @property {function((string|Object), Object=): Promise<Object|null>} awaitReply - Wait for a reply to a sent message
+ * @property {function((string|Object), Object=): Promise<Object|null>} awaitReaction - Wait for a reaction on a sent message
+ * @property {function((string|Object)): boolean} cancelAwait - Cancel waits on a sent message
+ * @property {function(string, Object=): string} t - Translate a catalog key in the sender's locale
+ * @property {string} locale - Locale replies should use
  * @property {Object} Users - User utility methods
  * @property {Object} Threads - Thread utility methods
  */
 
+// ============================================================================
+// MIDDLEWARE TYPES
+// ============================================================================
+
+/**
+ * Dispatch middleware; return without calling next() to stop dispatch
+ * @callback Middleware
+ * @param {CommandDispatchContext|EventDispatchContext} ctx - Dispatch context
+ * @param {function(): Promise<void>} next - Runs the rest of the chain
+ * @returns {Promise<void>|void}
+ */
+
+/**
+ * Context passed through commandHandler middlewares
+ * @typedef {Object} CommandDispatchContext
+ * @property {NeroAPI} api - Nero API instance
+ * @property {MessageEvent} event - Message event
+ * @property {Command} command - Matched top-level command
+ * @property {Command|Subcommand} target - Command or subcommand that will run
+ * @property {string[]} args - Arguments after the command path
+ * @property {string[]} path - Command path, e.g. ["admin", "add"]
+ * @property {string} commandKey - Path joined with spaces (cooldown key)
+ * @property {string|null} prefix - Prefix used
+ * @property {UserID} userId - Sender
+ * @property {ThreadID} threadId - Thread
+ * @property {boolean} isGroup - Whether the thread is a group
+ * @property {Object} threadSettings - Effective thread settings
+ * @property {function(string, Object=): string} t - Translate for the sender
+ * @property {Object} params - Parsed args (filled by the `args` middleware)
+ * @property {Object} flags - Parsed flags (filled by the `args` middleware)
+ * @property {boolean} executed - Set once the command ran successfully
+ */
+
+/**
+ * Context passed through eventHandler middlewares
+ * @typedef {Object} EventDispatchContext
+ * @property {NeroAPI} api - Nero API instance
+ * @property {MessageEvent} event - Incoming event
+ * @property {boolean} isGroup - Whether the thread is a group
+ * @property {EventHandler[]} handlers - Handlers to run (filled by the `resolve` middleware)
+ */
+
 // ============================================================================
 // EVENT HANDLER TYPES
 // ============================================================================
@@ -228,6 +312,8 @@
  * @typedef {Object} EventContext
  * @property {NeroAPI} api - Nero API instance
  * @property {MessageEvent} event - Message event
+ * @property {function(string, Object=): string} t - Translate a catalog key for the thread/sender
+ * @property {string} locale - Locale replies should use
  * @property {Object} Users - User utility methods
  * @property {Object} Threads - Thread utility methods
  */
@@ -242,8 +328,12 @@
  * @property {string} name - Task unique identifier
  * @property {string} description - What the task does
  * @property {boolean} [enabled] - Whether task is enabled (default: true)
- * @property {number} interval - Execution interval in milliseconds
- * @property {boolean} [runOnStart] - Run immediately on start (default: false)
+ * @property {number} [interval] - Execution interval in milliseconds
+ * @property {string} [schedule] - Cron expression, 5 or 6 fields (e.g. "0,30 * * * *")
+ * @property {string} [timezone] - Timezone for schedule (default: config.bot.timeZone)
+ * @property {"skip"|"once"|"all"} [catchUp] - Policy for missed scheduled runs (default: "skip")
+ * @property {number} [misfireGrace] - How late (ms) a "skip" run may start (default: 60000)
+ * @property {boolean} [runOnStart] - Run immediately on start (default: true, false for schedule)
  * @property {TaskExecute} execute - Task execution function
  * @property {TaskInit} [init] - Called when task starts
  * @property {TaskStop} [stop] - Called when task stops (cleanup)
@@ -252,11 +342,20 @@
 /**
  * Task execute function signature
  * @callback TaskExecute
- * @param {NeroAPI} api - Nero API instance
- * @param {AccountManager} accountManager - Account manager instance
+ * @param {TaskContext} context - Task execution context
  * @returns {Promise<void>}
  */
 
+/**
+ * Task execution context
+ * @typedef {Object} TaskContext
+ * @property {NeroAPI} api - Nero API instance
+ * @property {Object} config - Bot configuration
+ * @property {Object} logger - Logger instance
+ * @property {AccountManager} accountManager - Account manager instance
+ * @property {Date} scheduledAt - Time the run was due (differs from now on catch-up runs)
+ */
+
 /**
  * Task initialization function
  * @callback TaskInit
@@ -354,8 +453,17 @@
  * Rate limit options
  * @typedef {Object} RateLimitOptions
  * @property {boolean} enabled - Enable rate limiting
- * @property {number} maxMessages - Max messages per window
- * @property {number} windowMs - Time window in milliseconds
+ * @property {RateLimitRule} messages - Messages per user before anti-spam blocks them
+ * @property {number} penaltySeconds - How long anti-spam ignores a user once over the limit
+ * @property {Object<string, RateLimitRule|RateLimitRule[]>} commands - Per-command limits
+ */
+
+/**
+ * Token-bucket rule (see utils/rateLimiter)
+ * @typedef {Object} RateLimitRule
+ * @property {number} limit - Uses allowed per period
+ * @property {number|string} per - Period in seconds, or a duration like "1m"
+ * @property {string|string[]} [scope="user"] - user, thread, account and/or global
  */
 
 // ============================================================================
@@ -25,6 +25,9 @@
 const fs = require("fs");
 const path = require("path");
 const EventEmitter = require("events");
+const appstateVault = require("./appstateVault");
+const sendQueue = require("./sendQueue");
+const { AppstateHistory } = require("./appstateHistory");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // ACCOUNT MANAGER CLASS
@@ -33,7 +36,7 @@ const EventEmitter = require("events");
 /**
  * @typedef {Object} AccountInfo
  * @property {string} name - Account file name (without extension)
- * @property {string} filePath - Full path to appstate file
+ * @property {string|null} filePath - Full path to appstate file (null for simulated accounts)
  * @property {Object|null} api - Nero API instance
  * @property {string|null} userID - Facebook User ID
  * @property {string|null} userName - Facebook display name
@@ -58,6 +61,8 @@ class AccountManager extends EventEmitter {
      * @param {number} options.retryDelay - Delay between retries in ms (default: 3000)
      * @param {boolean} options.autoSaveAppState - Enable auto-save appstate feature (default: true)
      * @param {number} options.autoSaveInterval - Auto-save interval in minutes (default: 30)
+     * @param {number} options.maxAppStateSnapshots - Appstate snapshots kept per account (default: 10)
+     * @param {Object} [options.simulator] - Offline Simulator to log in to instead of Facebook
      */
     constructor(options = {}) {
         super();
@@ -95,6 +100,18 @@ class AccountManager extends EventEmitter {
         /** @type {Map<string, Object>} Map of account name to save statistics */
         this.appStateSaveStats = new Map();
 
+        /** @type {AppstateHistory} Working appstates kept for rollback */
+        this.history = new AppstateHistory({
+            dir: path.join(this.accountsPath, ".history"),
+            maxSnapshots: options.maxAppStateSnapshots || 10,
+        });
+
+        /** @type {Object|null} Offline transport replacing nero login and appstate files */
+        this.simulator = options.simulator || null;
+
+        /** @type {Function|null} Last listener callback, reused when an account is restarted */
+        this.listenerCallback = null;
+
         /** @type {Object} Nero framework reference */
         this.nero = null;
 
@@ -112,7 +129,8 @@ class AccountManager extends EventEmitter {
      * @returns {Promise<void>}
      */
     async init(nero) {
-        this.nero = nero;
+        // A simulator stands in for the nero framework (same login signature)
+        this.nero = this.simulator || nero;
 
         // Ensure accounts folder exists
         if (!fs.existsSync(this.accountsPath)) {
@@ -130,9 +148,15 @@ class AccountManager extends EventEmitter {
 
     /**
      * Discover all appstate files in the accounts folder
+     * (encrypted files keep the .json name and are opened in validateAppState)
      * @returns {Array<{name: string, filePath: string}>} Array of account file info
      */
     discoverAccounts() {
+        // Simulated bots come from the simulator's world, not from files
+        if (this.simulator) {
+            return this.simulator.discoverAccounts();
+        }
+
         const accounts = [];
 
         if (!fs.existsSync(this.accountsPath)) {
@@ -165,14 +189,20 @@ class AccountManager extends EventEmitter {
     }
 
     /**
-     * Validate an appstate file
+     * Validate an appstate file (encrypted files are decrypted first)
      * @param {string} filePath - Path to appstate file
-     * @returns {{valid: boolean, appState?: Array, error?: string}}
+     * @returns {{valid: boolean, appState?: Array, error?: string, locked?: boolean}}
+     *   locked is set when an encrypted file can't be opened with the configured keys
      */
     validateAppState(filePath) {
         try {
-            const content = fs.readFileSync(filePath, "utf8");
-            const appState = JSON.parse(content);
+            let appState;
+            try {
+                ({ appState } = appstateVault.readFile(filePath));
+            } catch (error) {
+                if (error.name !== "AuthenticationError") throw error;
+                return { valid: false, locked: true, error: error.message };
+            }
 
             // Check if it's an array
             if (!Array.isArray(appState)) {
@@ -218,8 +248,8 @@ class AccountManager extends EventEmitter {
                     return;
                 }
 
-                // Successful login
-                accountInfo.api = api;
+                // Successful login (outbound messages go through the send queue)
+                accountInfo.api = sendQueue.attach(api, accountInfo.name);
                 accountInfo.userID = api.getCurrentUserID ? api.getCurrentUserID() : null;
                 accountInfo.status = "online";
                 accountInfo.loginTime = new Date();
@@ -262,6 +292,8 @@ class AccountManager extends EventEmitter {
      * @private
      */
     _deleteCookieFile(filePath, name) {
+        if (!filePath) return false;
+
         try {
             if (fs.existsSync(filePath)) {
                 // Delete the cookie file permanently
@@ -307,6 +339,11 @@ class AccountManager extends EventEmitter {
             return { success: false, error: "Account not online" };
         }
 
+        if (!account.filePath) {
+            this.logger.debug("AppStateSave", `[${name}] No appstate file, skipping save`);
+            return { success: false, error: "No appstate file" };
+        }
+
         if (!account.api.getAppState) {
             this.logger.error("AppStateSave", `[${name}] API missing getAppState method`);
             return { success: false, error: "getAppState method not available" };
@@ -331,16 +368,15 @@ class AccountManager extends EventEmitter {
             // Read existing appstate for comparison
             let existingCookieCount = 0;
             try {
-                const existingContent = fs.readFileSync(account.filePath, "utf8");
-                const existingState = JSON.parse(existingContent);
+                const existingState = appstateVault.readFile(account.filePath).appState;
                 existingCookieCount = Array.isArray(existingState) ? existingState.length : 0;
             } catch {
                 // File doesn't exist or invalid - that's fine, we'll create it
             }
 
-            // Write the fresh appstate to file
-            const jsonContent = JSON.stringify(freshAppState, null, 2);
-            fs.writeFileSync(account.filePath, jsonContent, "utf8");
+            // Write the fresh appstate to file (encrypted when NERO_APPSTATE_KEY is set)
+            const { encrypted } = appstateVault.writeFile(account.filePath, freshAppState);
+            this._recordSnapshot(name, freshAppState, reason);
 
             // Update save statistics
             const stats = this.appStateSaveStats.get(name) || {
@@ -375,6 +411,7 @@ class AccountManager extends EventEmitter {
                 "AppStateSave",
                 `│ File:            ${path.basename(account.filePath)}`
             );
+            this.logger.debug("AppStateSave", `│ Encrypted:        ${encrypted ? "yes" : "no"}`);
             this.logger.debug("AppStateSave", `│ Previous Cookies: ${existingCookieCount}`);
             this.logger.debug("AppStateSave", `│ Current Cookies:  ${cookieCount}`);
             this.logger.debug("AppStateSave", `│ Total Saves:      ${stats.totalSaves}`);
@@ -393,6 +430,7 @@ class AccountManager extends EventEmitter {
                 account: name,
                 userID: account.userID,
                 cookieCount,
+                encrypted,
                 reason,
                 filePath: account.filePath,
                 timestamp: stats.lastSaveTime,
@@ -526,12 +564,14 @@ class AccountManager extends EventEmitter {
 
     /**
      * Login a single account with retry logic
-     * Automatically deletes the cookie file after max retries
+     * If the appstate keeps failing, falls back to the newest good snapshot
+     * (see utils/appstateHistory) and only deletes the cookie file when that fails too
      * @param {string} name - Account name
-     * @param {string} filePath - Path to appstate file
+     * @param {string|null} filePath - Path to appstate file
+     * @param {Array} [appState] - Appstate to use instead of reading filePath (simulator)
      * @returns {Promise<AccountInfo>}
      */
-    async loginAccount(name, filePath) {
+    async loginAccount(name, filePath, appState = null) {
         // Create account info object
         const accountInfo = {
             name,
@@ -553,7 +593,15 @@ class AccountManager extends EventEmitter {
         this.accounts.set(name, accountInfo);
 
         // Validate appstate first
-        const validation = this.validateAppState(filePath);
+        const validation = appState ? { valid: true, appState } : this.validateAppState(filePath);
+
+        if (validation.locked) {
+            // Only the key is missing, the file itself may be fine - keep it
+            accountInfo.status = "error";
+            accountInfo.error = validation.error;
+            this.logger.error("AccountManager", `[${name}] ${validation.error}`);
+            return accountInfo;
+        }
 
         if (!validation.valid) {
             accountInfo.status = "error";
@@ -561,6 +609,10 @@ class AccountManager extends EventEmitter {
             accountInfo.loginAttempts = this.maxLoginRetries; // Max out attempts for invalid files
             this.logger.error("AccountManager", `[${name}] Invalid appstate: ${validation.error}`);
 
+            if (await this._loginFromSnapshot(accountInfo, null)) {
+                return accountInfo;
+            }
+
             // Delete invalid cookie file immediately
             this._deleteCookieFile(filePath, name);
             accountInfo.status = "deleted";
@@ -568,7 +620,44 @@ class AccountManager extends EventEmitter {
             return accountInfo;
         }
 
-        // Attempt login with retries
+        if (await this._loginWithRetries(accountInfo, validation.appState)) {
+            return accountInfo;
+        }
+
+        // All attempts failed - roll back to the last working appstate, if any
+        this.logger.error(
+            "AccountManager",
+            `[${name}] All ${this.maxLoginRetries} login attempts failed`
+        );
+
+        if (await this._loginFromSnapshot(accountInfo, validation.appState)) {
+            return accountInfo;
+        }
+
+        // Nothing to fall back to - delete the cookie file
+        const deleted = this._deleteCookieFile(filePath, name);
+
+        if (deleted) {
+            accountInfo.status = "deleted";
+            this.emit("accountDeleted", accountInfo);
+        } else {
+            accountInfo.status = "error";
+        }
+
+        this.emit("loginFailed", accountInfo);
+        return accountInfo;
+    }
+
+    /**
+     * Tries an appstate up to maxLoginRetries times
+     * @param {AccountInfo} accountInfo - Account being logged in
+     * @param {Array} appState - Validated appstate
+     * @returns {Promise<boolean>} Whether the account is online
+     * @private
+     */
+    async _loginWithRetries(accountInfo, appState) {
+        const { name, filePath } = accountInfo;
+
         for (let attempt = 1; attempt <= this.maxLoginRetries; attempt++) {
             accountInfo.loginAttempts = attempt;
 
@@ -577,7 +666,7 @@ class AccountManager extends EventEmitter {
                 `[${name}] Login attempt ${attempt}/${this.maxLoginRetries}...`
             );
 
-            const result = await this._attemptLogin(accountInfo, validation.appState);
+            const result = await this._attemptLogin(accountInfo, appState);
 
             if (result.success) {
                 const displayName = accountInfo.userName || "Unknown";
@@ -586,13 +675,18 @@ class AccountManager extends EventEmitter {
                     `[${name}] Logged in successfully - ${displayName} (UID: ${accountInfo.userID})`
                 );
 
-                // Start auto-save appstate if enabled
-                if (this.autoSaveAppState) {
+                // This appstate works - keep it for rollback
+                if (filePath) {
+                    this._recordSnapshot(name, appState, "login");
+                }
+
+                // Start auto-save appstate if enabled (nothing to save without a file)
+                if (this.autoSaveAppState && filePath) {
                     this.startAutoSaveAppState(name);
                 }
 
                 this.emit("loginSuccess", accountInfo);
-                return accountInfo;
+                return true;
             }
 
             // Login failed
@@ -612,23 +706,97 @@ class AccountManager extends EventEmitter {
             }
         }
 
-        // All attempts failed - delete the cookie file
-        this.logger.error(
+        return false;
+    }
+
+    /**
+     * Restores the newest good snapshot (other than the appstate that just
+     * failed) and logs in with it. A snapshot that fails too is marked failed.
+     * @param {AccountInfo} accountInfo - Account being logged in
+     * @param {Array|null} failedAppState - Appstate that failed, null if unreadable
+     * @returns {Promise<boolean>} Whether the account is online
+     * @private
+     */
+    async _loginFromSnapshot(accountInfo, failedAppState) {
+        const { name, filePath } = accountInfo;
+        if (!filePath) return false;
+
+        const snapshot = this.history.lastGood(name, failedAppState);
+        if (!snapshot) return false;
+
+        let appState;
+        try {
+            appState = this.history.restore(name, snapshot.id, filePath);
+        } catch (error) {
+            this.logger.error(
+                "AccountManager",
+                `[${name}] Could not restore snapshot ${snapshot.id}: ${error.message}`
+            );
+            return false;
+        }
+
+        this.logger.warn(
             "AccountManager",
-            `[${name}] All ${this.maxLoginRetries} login attempts failed`
+            `[${name}] Falling back to the appstate from ${new Date(snapshot.time).toISOString()} ` +
+                `(snapshot ${snapshot.id})`
         );
+        accountInfo.error = null;
 
-        const deleted = this._deleteCookieFile(filePath, name);
+        if (await this._loginWithRetries(accountInfo, appState)) {
+            this.emit("appStateRestored", { account: name, snapshot, automatic: true });
+            return true;
+        }
 
-        if (deleted) {
-            accountInfo.status = "deleted";
-            this.emit("accountDeleted", accountInfo);
-        } else {
-            accountInfo.status = "error";
+        this.history.markFailed(name, snapshot.id);
+        return false;
+    }
+
+    /**
+     * Keeps an appstate in the account's history; never fails the caller
+     * @param {string} name - Account name
+     * @param {Array} appState - Working appstate
+     * @param {string} reason - Why it was saved
+     * @private
+     */
+    _recordSnapshot(name, appState, reason) {
+        try {
+            this.history.record(name, appState, { reason, good: true });
+        } catch (error) {
+            this.logger.warn(
+                "AccountManager",
+                `[${name}] Could not snapshot appstate: ${error.message}`
+            );
         }
+    }
 
-        this.emit("loginFailed", accountInfo);
-        return accountInfo;
+    /**
+     * Restores a snapshot to an account's appstate file and logs in with it.
+     * An online account is logged out first (its final save is snapshotted
+     * too, so the restore can be undone).
+     * @param {string} name - Account name
+     * @param {string|number} ref - Snapshot ID or position (1 = newest)
+     * @returns {Promise<AccountInfo|null>} The account, or null if there is no such snapshot
+     */
+    async restoreAppState(name, ref) {
+        const snapshot = this.history.get(name, ref);
+        if (!snapshot) {
+            this.logger.warn("AccountManager", `[${name}] No appstate snapshot: ${ref}`);
+            return null;
+        }
+
+        const filePath =
+            this.accounts.get(name)?.filePath || path.join(this.accountsPath, `${name}.json`);
+
+        if (this.accounts.get(name)?.status === "online") {
+            this.stopListenerForAccount(name);
+            await this.logoutAccount(name);
+        }
+
+        this.history.restore(name, snapshot.id, filePath);
+        this.logger.info("AccountManager", `[${name}] Restored appstate snapshot ${snapshot.id}`);
+        this.emit("appStateRestored", { account: name, snapshot, automatic: false });
+
+        return this.startAccount(name);
     }
 
     /**
@@ -653,10 +821,10 @@ class AccountManager extends EventEmitter {
         let failed = 0;
 
         // Login accounts sequentially to avoid rate limiting
-        for (const { name, filePath } of discoveredAccounts) {
+        for (const { name, filePath, appState } of discoveredAccounts) {
             this.logger.info("AccountManager", `Logging in account: ${name}...`);
 
-            const accountInfo = await this.loginAccount(name, filePath);
+            const accountInfo = await this.loginAccount(name, filePath, appState);
             results.push(accountInfo);
 
             if (accountInfo.status === "online") {
@@ -666,7 +834,7 @@ class AccountManager extends EventEmitter {
             }
 
             // Small delay between logins to avoid rate limiting
-            if (discoveredAccounts.length > 1) {
+            if (discoveredAccounts.length > 1 && !this.simulator) {
                 await this.delay(2000);
             }
         }
@@ -777,6 +945,7 @@ class AccountManager extends EventEmitter {
      */
     startListenerForAccount(name, callback) {
         const account = this.accounts.get(name);
+        this.listenerCallback = callback;
 
         if (!account || account.status !== "online" || !account.api) {
             return false;
@@ -968,6 +1137,40 @@ class AccountManager extends EventEmitter {
         }
     }
 
+    /**
+     * Log in a known account that is offline and start its listener with the
+     * callback the other accounts use
+     * @param {string} name - Account name
+     * @returns {Promise<AccountInfo|null>} The account, or null if no appstate exists for it
+     */
+    async startAccount(name) {
+        const discovered = this.discoverAccounts().find((account) => account.name === name);
+        if (!discovered) {
+            this.logger.warn("AccountManager", `No appstate found for account: ${name}`);
+            return null;
+        }
+
+        const account = await this.loginAccount(name, discovered.filePath, discovered.appState);
+        if (account.status === "online" && this.listenerCallback) {
+            this.startListenerForAccount(name, this.listenerCallback);
+        }
+        return account;
+    }
+
+    /**
+     * Log out an account and start it again (fresh session, same appstate file)
+     * @param {string} name - Account name
+     * @returns {Promise<AccountInfo|null>} The account, or null if no appstate exists for it
+     */
+    async reloginAccount(name) {
+        if (this.accounts.has(name)) {
+            this.stopListenerForAccount(name);
+            await this.logoutAccount(name);
+        }
+        this.logger.info("AccountManager", `[${name}] Logging in again...`);
+        return this.startAccount(name);
+    }
+
     // ═══════════════════════════════════════════════════════════════════════════
     // GETTERS
     // ═══════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,580 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                              ADMIN API                                        ║
+ * ║           REST routes for managing the bot without Messenger                  ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Route table and handlers behind /api/admin/* on the REST server. Handlers
+ * get { params, query, body, accountManager, canAccessAccount }, return a plain
+ * object that is sent as `{ success: true, ...result }`, and throw errors from
+ * utils/errors (ValidationError, NotFoundError, ConflictError, ApiError) for
+ * everything else.
+ *
+ * Routes under /accounts/:name are marked as account routes: the server checks
+ * the request's API key may touch that account (see accountID) before running them.
+ *
+ *   GET    /api/admin/commands                  List commands
+ *   POST   /api/admin/commands/reload           Reload all commands
+ *   POST   /api/admin/commands/:name/(reload|enable|disable)
+ *   GET    /api/admin/events                    (same for event handlers)
+ *   GET    /api/admin/tasks                     (same for background tasks)
+ *   GET    /api/admin/maintenance               Maintenance status
+ *   POST   /api/admin/maintenance               { enabled, reason?, estimatedMinutes?, scope? }
+ *   GET    /api/admin/maintenance/windows       Scheduled maintenance windows
+ *   POST   /api/admin/maintenance/windows       { reason?, start?, end?, cron?, durationMinutes?,
+ *                                                 timezone?, scope?, announce? }
+ *   DELETE /api/admin/maintenance/windows/:id
+ *   GET    /api/admin/(admins|blocked-users|blocked-threads)
+ *   POST   /api/admin/(admins|blocked-users|blocked-threads)           { id }
+ *   DELETE /api/admin/(admins|blocked-users|blocked-threads)/:id
+ *   GET    /api/admin/accounts                  List accounts
+ *   POST   /api/admin/accounts/:name/(start|stop|relogin)
+ *   POST   /api/admin/accounts/:name/send       { threadID, body }
+ *   GET    /api/admin/accounts/:name/appstate   Appstate snapshots, newest first
+ *   POST   /api/admin/accounts/:name/appstate/restore   { snapshot } (ID or 1 = newest)
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const config = require("../config/config");
+const logger = require("./logger");
+const maintenanceManager = require("./maintenanceManager");
+const commandHandler = require("../handlers/commandHandler");
+const eventHandler = require("../handlers/eventHandler");
+const backgroundHandler = require("../handlers/backgroundHandler");
+const { ValidationError, NotFoundError, ConflictError, ApiError } = require("./errors");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Throws a ValidationError unless a value is a numeric Facebook ID
+ * @param {*} value - Value to check
+ * @param {string} field - Field name for the error
+ * @returns {string} The ID
+ */
+function requireId(value, field) {
+    const id = String(value ?? "").trim();
+    if (!/^\d{5,20}$/.test(id)) {
+        throw ValidationError.fromArray([{ field, message: `${field} must be a numeric ID` }]);
+    }
+    return id;
+}
+
+/**
+ * The running account manager
+ * @param {Object} [accountManager] - From the request context
+ * @returns {Object} AccountManager
+ * @throws {ConflictError} If the bot isn't running in this process
+ */
+function requireAccountManager(accountManager) {
+    if (!accountManager) {
+        throw new ConflictError("The bot is not running in this process");
+    }
+    return accountManager;
+}
+
+/**
+ * Finds an account by name or user ID
+ * @param {Object} accountManager - AccountManager
+ * @param {string} name - Account name or user ID
+ * @returns {Object} Account info
+ * @throws {NotFoundError} If there is no such account
+ */
+function requireAccount(accountManager, name) {
+    const account = accountManager.getAccount(name) || accountManager.getAccountByUserID(name);
+    if (!account) throw new NotFoundError("Account", name);
+    return account;
+}
+
+/**
+ * User ID an account route targets, for API key limits and the audit log.
+ * Accounts that never logged in fall back to their name (uploaded cookies are
+ * saved under the user ID, so the name is the ID for those).
+ * @param {Object} [accountManager] - AccountManager
+ * @param {string} name - Account name or user ID from the route
+ * @returns {string}
+ */
+function accountID(accountManager, name) {
+    const account = accountManager?.getAccount(name) || accountManager?.getAccountByUserID(name);
+    return String(account?.userID || account?.name || name);
+}
+
+/**
+ * Public fields of an account
+ * @param {Object} account - Account info
+ * @returns {Object}
+ */
+function describeAccount(account) {
+    return {
+        name: account.name,
+        userID: account.userID,
+        userName: account.userName,
+        status: account.status,
+        error: account.error,
+        listening: Boolean(account.stopListening),
+        loginTime: account.loginTime,
+        messageCount: account.messageCount,
+        commandCount: account.commandCount,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMMANDS, EVENTS, TASKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Feature types: how to list, find, reload, enable and disable each
+ * @type {Object<string, Object>}
+ */
+const FEATURES = {
+    commands: {
+        resource: "Command",
+        list: () =>
+            [...commandHandler.commands.values()].map((command) => ({
+                name: command.config.name,
+                category: command.config.category,
+                aliases: command.config.aliases,
+                permissions: command.config.permissions,
+                enabled: command.config.enabled,
+                uses: commandHandler.commandStats.get(command.config.name)?.uses || 0,
+            })),
+        find: (name) => commandHandler.getCommand(name),
+        reloadAll: () => commandHandler.init(),
+        reload: (name) => commandHandler.reloadCommand(name),
+        enable: (name) => commandHandler.enableCommand(name),
+        disable: (name) => commandHandler.disableCommand(name),
+    },
+    events: {
+        resource: "Event handler",
+        list: () =>
+            [...eventHandler.getAllHandlers().values()].map((handler) => ({
+                name: handler.config.name,
+                category: handler.config.category,
+                eventTypes: handler.config.eventTypes,
+                priority: handler.config.priority,
+                enabled: handler.config.enabled,
+            })),
+        find: (name) => eventHandler.getHandler(name),
+        reloadAll: () => eventHandler.init(),
+        reload: (name) => eventHandler.reloadEvent(name),
+        enable: (name) => eventHandler.enableHandler(name),
+        disable: (name) => eventHandler.disableHandler(name),
+    },
+    tasks: {
+        resource: "Background task",
+        list: () => {
+            const running = backgroundHandler.getRunningTasks().map((task) => task.name);
+            return backgroundHandler.getAllTasks().map((task) => ({
+                name: task.name,
+                category: task.category,
+                timing: backgroundHandler.describeTiming(task),
+                enabled: task.enabled,
+                running: running.includes(task.name),
+                lastRun: task.lastRun,
+                nextRun: task.nextRun,
+                runCount: task.runCount,
+                errorCount: task.errorCount,
+            }));
+        },
+        find: (name) => backgroundHandler.getTask(name),
+        reloadAll: () => backgroundHandler.reloadAll(),
+        reload: (name) => backgroundHandler.reloadTask(name),
+        enable: (name) => backgroundHandler.enableTask(name),
+        disable: (name) => backgroundHandler.disableTask(name),
+    },
+};
+
+/**
+ * Builds the list / reload-all / per-item routes for a feature type
+ * @param {string} type - Key of FEATURES
+ * @returns {Array<Array>} Route definitions
+ */
+function featureRoutes(type) {
+    const feature = FEATURES[type];
+    const base = `/api/admin/${type}`;
+
+    /**
+     * Runs a per-item action after checking the item exists
+     * @param {"reload"|"enable"|"disable"} action - Action name
+     * @returns {function(Object): Promise<Object>} Route handler
+     */
+    const itemAction =
+        (action) =>
+        async ({ params }) => {
+            if (!feature.find(params.name)) {
+                throw new NotFoundError(feature.resource, params.name);
+            }
+            if (!(await feature[action](params.name))) {
+                throw new Error(
+                    `Failed to ${action} ${feature.resource.toLowerCase()}: ${params.name}`
+                );
+            }
+            logger.info("AdminAPI", `${feature.resource} ${params.name}: ${action}`);
+            return { name: params.name, action };
+        };
+
+    return [
+        ["GET", base, () => ({ [type]: feature.list() })],
+        [
+            "POST",
+            `${base}/reload`,
+            async () => {
+                const loaded = await feature.reloadAll();
+                logger.info("AdminAPI", `Reloaded all ${type} (${loaded})`);
+                return { loaded };
+            },
+        ],
+        ["POST", `${base}/:name/reload`, itemAction("reload")],
+        ["POST", `${base}/:name/enable`, itemAction("enable")],
+        ["POST", `${base}/:name/disable`, itemAction("disable")],
+    ];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADMINS AND BLOCK LISTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * ID lists managed through the config helpers
+ * @type {Object<string, Object>}
+ */
+const LISTS = {
+    admins: {
+        field: "userID",
+        get: () => config.bot.admins,
+        add: (id) => {
+            if (config.isBlocked(id)) {
+                throw new ConflictError("Blocked users can't be admins", { id });
+            }
+            return config.addAdmin(id);
+        },
+        remove: (id) => {
+            if (config.isSuperAdmin(id)) {
+                throw new ConflictError("Super admins are set in the config file", { id });
+            }
+            return config.removeAdmin(id);
+        },
+    },
+    "blocked-users": {
+        field: "userID",
+        get: () => config.bot.blockedUsers,
+        add: (id) => {
+            if (config.isAdmin(id)) {
+                throw new ConflictError("Admins can't be blocked", { id });
+            }
+            return config.blockUser(id);
+        },
+        remove: (id) => config.unblockUser(id),
+    },
+    "blocked-threads": {
+        field: "threadID",
+        get: () => config.bot.blockedThreads,
+        add: (id) => config.blockThread(id),
+        remove: (id) => config.unblockThread(id),
+    },
+};
+
+/**
+ * Builds the list / add / remove routes for an ID list
+ * @param {string} name - Key of LISTS
+ * @returns {Array<Array>} Route definitions
+ */
+function idListRoutes(name) {
+    const list = LISTS[name];
+    const base = `/api/admin/${name}`;
+
+    return [
+        ["GET", base, () => ({ [name]: [...list.get()] })],
+        [
+            "POST",
+            base,
+            ({ body }) => {
+                const id = requireId(body[list.field] ?? body.id, list.field);
+                const added = list.add(id);
+                if (added) logger.info("AdminAPI", `Added ${id} to ${name}`);
+                return { id, added, [name]: [...list.get()] };
+            },
+        ],
+        [
+            "DELETE",
+            `${base}/:id`,
+            ({ params }) => {
+                const id = requireId(params.id, list.field);
+                const removed = list.remove(id);
+                if (!removed) throw new NotFoundError(`Entry in ${name}`, id);
+                logger.info("AdminAPI", `Removed ${id} from ${name}`);
+                return { id, removed, [name]: [...list.get()] };
+            },
+        ],
+    ];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAINTENANCE AND ACCOUNTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Throws a ValidationError unless a maintenance scope is missing or an object
+ * of ID lists ({ accounts?, threads?, categories? })
+ * @param {*} scope - Scope from the request body
+ */
+function requireScope(scope) {
+    if (scope === undefined || scope === null) return;
+    const valid =
+        typeof scope === "object" &&
+        !Array.isArray(scope) &&
+        ["accounts", "threads", "categories"].every(
+            (key) => scope[key] === undefined || Array.isArray(scope[key])
+        );
+    if (!valid) {
+        throw ValidationError.fromArray([
+            {
+                field: "scope",
+                message: "scope must be an object of accounts, threads and categories arrays",
+            },
+        ]);
+    }
+}
+
+/**
+ * POST /api/admin/maintenance
+ * @param {Object} context - Route context
+ * @returns {Object} New maintenance status
+ */
+function setMaintenance({ body }) {
+    if (typeof body.enabled !== "boolean") {
+        throw ValidationError.fromArray([
+            { field: "enabled", message: "enabled must be true or false" },
+        ]);
+    }
+    const minutes = body.estimatedMinutes;
+    if (minutes !== undefined && !(Number.isFinite(minutes) && minutes > 0)) {
+        throw ValidationError.fromArray([
+            { field: "estimatedMinutes", message: "estimatedMinutes must be a positive number" },
+        ]);
+    }
+
+    requireScope(body.scope);
+
+    const maintenance = body.enabled
+        ? maintenanceManager.enable({
+              reason: body.reason,
+              estimatedMinutes: minutes,
+              scope: body.scope,
+          })
+        : maintenanceManager.disable();
+    logger.info("AdminAPI", `Maintenance ${body.enabled ? "enabled" : "disabled"}`);
+    return { maintenance };
+}
+
+/**
+ * POST /api/admin/maintenance/windows
+ * @param {Object} context - Route context
+ * @returns {Object} The scheduled window
+ */
+function scheduleMaintenance({ body }) {
+    requireScope(body.scope);
+    const window = maintenanceManager.schedule({
+        reason: body.reason,
+        start: body.start,
+        end: body.end,
+        cron: body.cron,
+        durationMinutes: body.durationMinutes,
+        timezone: body.timezone,
+        scope: body.scope,
+        announce: body.announce,
+    });
+    logger.info("AdminAPI", `Maintenance window ${window.id} scheduled`);
+    return { window };
+}
+
+/**
+ * Builds a start/stop/relogin account route
+ * @param {"start"|"stop"|"relogin"} action - Action name
+ * @returns {function(Object): Promise<Object>} Route handler
+ */
+function accountAction(action) {
+    return async ({ params, accountManager }) => {
+        const manager = requireAccountManager(accountManager);
+        const existing = manager.getAccount(params.name) || manager.getAccountByUserID(params.name);
+        const name = existing?.name || params.name;
+
+        if (action === "stop") {
+            requireAccount(manager, name);
+            manager.stopListenerForAccount(name);
+            await manager.logoutAccount(name);
+        } else {
+            if (action === "start" && existing?.status === "online") {
+                throw new ConflictError(`Account ${name} is already online`);
+            }
+            const account =
+                action === "start"
+                    ? await manager.startAccount(name)
+                    : await manager.reloginAccount(name);
+            if (!account) throw new NotFoundError("Account", name);
+            if (account.status !== "online") {
+                throw new ApiError(`Login failed for ${name}: ${account.error}`, "Facebook");
+            }
+        }
+
+        logger.info("AdminAPI", `Account ${name}: ${action}`);
+        return { account: describeAccount(requireAccount(manager, name)) };
+    };
+}
+
+/**
+ * POST /api/admin/accounts/:name/send
+ * @param {Object} context - Route context
+ * @returns {Promise<Object>} Sent message info
+ */
+async function sendAsAccount({ params, body, accountManager }) {
+    const account = requireAccount(requireAccountManager(accountManager), params.name);
+    const threadID = requireId(body.threadID, "threadID");
+    if (typeof body.body !== "string" || body.body.trim() === "") {
+        throw ValidationError.fromArray([{ field: "body", message: "body must be text" }]);
+    }
+    if (account.status !== "online" || !account.api) {
+        throw new ConflictError(`Account ${account.name} is not online`, {
+            status: account.status,
+        });
+    }
+
+    try {
+        const info = await account.api.sendMessage(body.body, threadID);
+        logger.info("AdminAPI", `Sent a message to ${threadID} as ${account.name}`);
+        return { account: account.name, threadID, messageID: info?.messageID || null };
+    } catch (error) {
+        throw ApiError.fromFacebook(error);
+    }
+}
+
+/**
+ * GET /api/admin/accounts/:name/appstate
+ * @param {Object} context - Route context
+ * @returns {Object} Snapshots
+ */
+function listSnapshots({ params, accountManager }) {
+    const manager = requireAccountManager(accountManager);
+    const name = manager.getAccountByUserID(params.name)?.name || params.name;
+    return { account: name, snapshots: manager.history.list(name) };
+}
+
+/**
+ * POST /api/admin/accounts/:name/appstate/restore
+ * @param {Object} context - Route context
+ * @returns {Promise<Object>} Restored snapshot and the account after logging in
+ */
+async function restoreSnapshot({ params, body, accountManager }) {
+    const manager = requireAccountManager(accountManager);
+    const name = manager.getAccountByUserID(params.name)?.name || params.name;
+    const ref = String(body.snapshot ?? "").trim();
+    if (!ref) {
+        throw ValidationError.fromArray([
+            { field: "snapshot", message: "snapshot must be a snapshot ID or position" },
+        ]);
+    }
+
+    const snapshot = manager.history.get(name, ref);
+    if (!snapshot) throw new NotFoundError("Snapshot", ref);
+
+    const account = await manager.restoreAppState(name, snapshot.id);
+    if (!account || account.status !== "online") {
+        throw new ApiError(
+            `Restored snapshot ${snapshot.id} but login failed for ${name}: ${account?.error}`,
+            "Facebook"
+        );
+    }
+
+    logger.info("AdminAPI", `Account ${name}: restored appstate snapshot ${snapshot.id}`);
+    return { snapshot, account: describeAccount(account) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROUTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compiled routes: { method, pattern, keys, handler }
+ * @type {Array<Object>}
+ */
+const routes = [
+    ...featureRoutes("commands"),
+    ...featureRoutes("events"),
+    ...featureRoutes("tasks"),
+    ["GET", "/api/admin/maintenance", () => ({ maintenance: maintenanceManager.getStatus() })],
+    ["POST", "/api/admin/maintenance", setMaintenance],
+    [
+        "GET",
+        "/api/admin/maintenance/windows",
+        () => ({ windows: maintenanceManager.listWindows() }),
+    ],
+    ["POST", "/api/admin/maintenance/windows", scheduleMaintenance],
+    [
+        "DELETE",
+        "/api/admin/maintenance/windows/:id",
+        ({ params }) => ({ window: maintenanceManager.cancel(params.id) }),
+    ],
+    ...idListRoutes("admins"),
+    ...idListRoutes("blocked-users"),
+    ...idListRoutes("blocked-threads"),
+    [
+        "GET",
+        "/api/admin/accounts",
+        ({ accountManager, canAccessAccount = () => true }) => ({
+            accounts: requireAccountManager(accountManager)
+                .getAllAccounts()
+                .filter((account) => canAccessAccount(accountID(accountManager, account.name)))
+                .map(describeAccount),
+        }),
+    ],
+    ["POST", "/api/admin/accounts/:name/start", accountAction("start")],
+    ["POST", "/api/admin/accounts/:name/stop", accountAction("stop")],
+    ["POST", "/api/admin/accounts/:name/relogin", accountAction("relogin")],
+    ["POST", "/api/admin/accounts/:name/send", sendAsAccount],
+    ["GET", "/api/admin/accounts/:name/appstate", listSnapshots],
+    ["POST", "/api/admin/accounts/:name/appstate/restore", restoreSnapshot],
+].map(([method, path, handler]) => {
+    const keys = [];
+    const source = path.replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return "([^/]+)";
+    });
+    const account = path.startsWith("/api/admin/accounts/:name");
+    return { method, path, pattern: new RegExp(`^${source}$`), keys, handler, account };
+});
+
+/**
+ * Finds the admin route for a request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL path
+ * @returns {{handler: Function, params: Object, account: boolean}|null} Null if no route
+ *   matches; account is true when params.name is the account the route acts on
+ */
+function match(method, pathname) {
+    for (const route of routes) {
+        if (route.method !== method) continue;
+        const found = route.pattern.exec(pathname);
+        if (found) {
+            const params = Object.fromEntries(
+                route.keys.map((key, i) => [key, decodeURIComponent(found[i + 1])])
+            );
+            return { handler: route.handler, params, account: route.account };
+        }
+    }
+    return null;
+}
+
+/**
+ * Method and path of every admin route (for endpoint listings)
+ * @returns {string[]} e.g. ["GET /api/admin/commands", ...]
+ */
+function describeRoutes() {
+    return routes.map((route) => `${route.method} ${route.path}`);
+}
+
+module.exports = { match, describeRoutes, accountID, PREFIX: "/api/admin" };
@@ -0,0 +1,352 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                               API KEYS                                        ║
+ * ║         Named, scoped, revocable REST API keys with an audit trail            ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Keys look like `nero_<id>_<secret>`. Only a SHA-256 hash of each key is
+ * stored, next to its name, scopes, optional account list, expiry and
+ * revocation time. Mint and revoke them with `npm run keys` (keys.js).
+ *
+ * Keys live in their own file (data/apikeys.json) rather than in utils/storage:
+ * the JSON storage driver caches namespaces per process, and a key revoked
+ * from the CLI has to stop working in the running server immediately. The
+ * file is re-read whenever it changes on disk.
+ *
+ * Every authenticated request is appended to data/audit.log as one JSON line
+ * (time, key, ip, method, path, account, status). The log is never rewritten.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+const { ValidationError, NotFoundError, ConflictError, AuthenticationError } = require("./errors");
+
+/** Data directory (NERO_DATA_DIR moves it, e.g. for tests) */
+const DATA_DIR = process.env.NERO_DATA_DIR || path.resolve(__dirname, "..", "..", "data");
+
+/** Scopes a key can hold */
+const SCOPES = {
+    "stats:read": "Read /api/stats, /api/stats/history and /metrics",
+    "cookies:read": "Read account appstates",
+    "cookies:write": "Upload or validate cookies",
+    admin: "Admin API and live event stream",
+};
+
+/** Key ID used for the legacy single key from config.server.apiKey */
+const CONFIG_KEY_ID = "config";
+
+/**
+ * Hex SHA-256 of a key
+ * @param {string} token - Full key
+ * @returns {string}
+ */
+function hashKey(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Public fields of a key record (never the hash)
+ * @param {Object} record - Stored key
+ * @param {number} [now] - Current time
+ * @returns {Object}
+ */
+function describeKey(record, now = Date.now()) {
+    let status = "active";
+    if (record.revokedAt) status = "revoked";
+    else if (record.expiresAt && record.expiresAt <= now) status = "expired";
+
+    return {
+        id: record.id,
+        name: record.name,
+        scopes: record.scopes,
+        accounts: record.accounts,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt,
+        revokedAt: record.revokedAt,
+        status,
+    };
+}
+
+/**
+ * ApiKeyStore Class
+ * Mints, verifies and revokes keys and writes the audit log
+ */
+class ApiKeyStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.file] - Key file (default data/apikeys.json)
+     * @param {string} [options.auditFile] - Audit log (default data/audit.log)
+     * @param {string} [options.configKey] - Legacy full-access key (config.server.apiKey)
+     * @param {function(): number} [options.now] - Clock (for tests)
+     */
+    constructor(options = {}) {
+        this.file = options.file || path.join(DATA_DIR, "apikeys.json");
+        this.auditFile = options.auditFile || path.join(DATA_DIR, "audit.log");
+        this.configKey = options.configKey || null;
+        this.now = options.now || Date.now;
+
+        /** @type {Map<string, Object>} Key ID -> record */
+        this.keys = new Map();
+
+        /** @type {string} mtime and size of the key file when last read */
+        this.loadedVersion = "";
+    }
+
+    /**
+     * Re-reads the key file if it changed since the last read
+     * @returns {ApiKeyStore}
+     * @private
+     */
+    _refresh() {
+        let version = "";
+        try {
+            const stats = fs.statSync(this.file);
+            version = `${stats.mtimeMs}:${stats.size}`;
+        } catch {
+            // No key file yet
+        }
+        if (version === this.loadedVersion) return this;
+
+        const records = version ? JSON.parse(fs.readFileSync(this.file, "utf8")) : [];
+        this.keys = new Map(records.map((record) => [record.id, record]));
+        this.loadedVersion = version;
+        return this;
+    }
+
+    /**
+     * Writes the key file (owner-only permissions)
+     * @private
+     */
+    _save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify([...this.keys.values()], null, 2), { mode: 0o600 });
+        fs.renameSync(temp, this.file);
+        const stats = fs.statSync(this.file);
+        this.loadedVersion = `${stats.mtimeMs}:${stats.size}`;
+    }
+
+    /**
+     * Whether any key can authenticate (a stored one or the config key)
+     * @returns {boolean}
+     */
+    hasKeys() {
+        if (this.configKey) return true;
+        const now = this.now();
+        return [...this._refresh().keys.values()].some(
+            (record) => describeKey(record, now).status === "active"
+        );
+    }
+
+    /**
+     * Mints a key. The returned token is shown once and never stored.
+     * @param {Object} options
+     * @param {string} options.name - Unique label, e.g. "extension"
+     * @param {string[]} options.scopes - Keys of SCOPES
+     * @param {number|null} [options.expiresAt] - Expiry (epoch ms), null for none
+     * @param {string[]|null} [options.accounts] - Account user IDs the key is limited to
+     * @returns {{token: string, key: Object}}
+     * @throws {ValidationError|ConflictError}
+     */
+    create({ name, scopes, expiresAt = null, accounts = null }) {
+        const errors = [];
+        const label = String(name ?? "").trim();
+        if (!/^[\w.-]{1,40}$/.test(label)) {
+            errors.push({ field: "name", message: "name must be 1-40 letters, digits, . _ or -" });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            errors.push({ field: "scopes", message: "at least one scope is required" });
+        } else if (scopes.some((scope) => !SCOPES[scope])) {
+            errors.push({
+                field: "scopes",
+                message: `scopes must be from: ${Object.keys(SCOPES).join(", ")}`,
+            });
+        }
+        if (expiresAt !== null && !(Number.isFinite(expiresAt) && expiresAt > this.now())) {
+            errors.push({ field: "expiresAt", message: "expiry must be in the future" });
+        }
+        if (accounts !== null && !accounts.every((uid) => /^\d{5,20}$/.test(uid))) {
+            errors.push({ field: "accounts", message: "accounts must be numeric user IDs" });
+        }
+        if (errors.length > 0) throw ValidationError.fromArray(errors);
+
+        this._refresh();
+        const taken = [...this.keys.values()].some(
+            (record) => record.name === label && !record.revokedAt
+        );
+        if (taken) throw new ConflictError(`An active key named ${label} already exists`);
+
+        const id = crypto.randomBytes(4).toString("hex");
+        const token = `nero_${id}_${crypto.randomBytes(24).toString("base64url")}`;
+        const record = {
+            id,
+            name: label,
+            hash: hashKey(token),
+            scopes: [...new Set(scopes)],
+            accounts: accounts && accounts.length > 0 ? [...new Set(accounts)] : null,
+            createdAt: this.now(),
+            expiresAt,
+            revokedAt: null,
+        };
+
+        this.keys.set(id, record);
+        this._save();
+        return { token, key: describeKey(record, this.now()) };
+    }
+
+    /**
+     * All keys, newest first
+     * @returns {Object[]} Public key fields
+     */
+    list() {
+        const now = this.now();
+        return [...this._refresh().keys.values()]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map((record) => describeKey(record, now));
+    }
+
+    /**
+     * Revokes a key (kept on file so the audit log still resolves)
+     * @param {string} idOrName - Key ID or name of an active key
+     * @returns {Object} Public key fields
+     * @throws {NotFoundError}
+     */
+    revoke(idOrName) {
+        this._refresh();
+        const record =
+            this.keys.get(idOrName) ||
+            [...this.keys.values()].find(
+                (candidate) => candidate.name === idOrName && !candidate.revokedAt
+            );
+        if (!record) throw new NotFoundError("API key", idOrName);
+
+        if (!record.revokedAt) {
+            record.revokedAt = this.now();
+            this._save();
+        }
+        return describeKey(record, this.now());
+    }
+
+    /**
+     * Resolves a presented key
+     * @param {string|null} token - Key from the request
+     * @returns {{id: string, name: string, scopes: string[], accounts: string[]|null}}
+     * @throws {AuthenticationError} If missing, unknown, revoked or expired
+     */
+    verify(token) {
+        if (!token) throw AuthenticationError.invalidApiKey();
+
+        if (this.configKey && safeEqual(token, this.configKey)) {
+            return {
+                id: CONFIG_KEY_ID,
+                name: "server.apiKey",
+                scopes: Object.keys(SCOPES),
+                accounts: null,
+            };
+        }
+
+        const record = this.identify(token);
+        if (!record) throw AuthenticationError.invalidApiKey();
+        if (record.revokedAt) {
+            throw new AuthenticationError("API key has been revoked", "API_KEY_REVOKED");
+        }
+        if (record.expiresAt && record.expiresAt <= this.now()) {
+            throw AuthenticationError.expiredToken();
+        }
+
+        return {
+            id: record.id,
+            name: record.name,
+            scopes: record.scopes,
+            accounts: record.accounts,
+        };
+    }
+
+    /**
+     * The stored key a token belongs to, whatever its state
+     * @param {string|null} token - Key from the request
+     * @returns {Object|null} Key record
+     */
+    identify(token) {
+        const [, id] = /^nero_([0-9a-f]{8})_/.exec(token || "") || [];
+        const record = id && this._refresh().keys.get(id);
+        return record && safeEqual(hashKey(token), record.hash) ? record : null;
+    }
+
+    /**
+     * Whether a verified key holds a scope
+     * @param {Object} principal - From verify()
+     * @param {string} scope - Key of SCOPES
+     * @returns {boolean}
+     */
+    hasScope(principal, scope) {
+        return principal.scopes.includes(scope);
+    }
+
+    /**
+     * Whether a verified key may touch an account
+     * @param {Object} principal - From verify()
+     * @param {string} uid - Account user ID
+     * @returns {boolean}
+     */
+    canAccessAccount(principal, uid) {
+        return !principal.accounts || principal.accounts.includes(String(uid));
+    }
+
+    /**
+     * Appends an entry to the audit log. A failed write is logged, not thrown:
+     * a full disk must not turn the request being audited into a 500.
+     * @param {Object} entry - { key, ip, method, path, account?, status, reason? }
+     * @returns {boolean} Whether the entry was written
+     */
+    audit(entry) {
+        const line = JSON.stringify({ time: new Date(this.now()).toISOString(), ...entry });
+        try {
+            fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+            fs.appendFileSync(this.auditFile, `${line}\n`, { mode: 0o600 });
+            return true;
+        } catch (error) {
+            logger.error("ApiKeys", `Failed to write audit log: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Reads the newest audit entries
+     * @param {Object} [options]
+     * @param {string} [options.key] - Only this key ID
+     * @param {number} [options.limit=50] - Max entries
+     * @returns {Object[]} Oldest first
+     */
+    readAudit({ key, limit = 50 } = {}) {
+        if (!fs.existsSync(this.auditFile)) return [];
+        return fs
+            .readFileSync(this.auditFile, "utf8")
+            .split("\n")
+            .filter(Boolean)
+            .map((line) => JSON.parse(line))
+            .filter((entry) => !key || entry.key === key)
+            .slice(-limit);
+    }
+}
+
+module.exports = { ApiKeyStore, SCOPES, CONFIG_KEY_ID };
@@ -0,0 +1,250 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                           APPSTATE HISTORY                                    ║
+ * ║        Rotating per-account snapshots of appstate files for rollback          ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Every appstate that logs in or is saved from a live session is kept as a
+ * snapshot, so a bad save or a deleted cookie file can be rolled back:
+ *
+ *   accounts/.history/<account>/index.json   - Snapshot list (newest first)
+ *   accounts/.history/<account>/<id>.json    - Appstate (encrypted like the account
+ *                                              file, see utils/appstateVault)
+ *
+ * Each snapshot carries its time, why it was taken, the cookie count and a
+ * health score from cookieValidator.getCookieHealth. "good" marks appstates
+ * that are known to work (they logged in, or came from an online session);
+ * AccountManager falls back to the newest good snapshot when a login fails.
+ * Saving the same cookies again doesn't add a snapshot.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const appstateVault = require("./appstateVault");
+const { validateAppstate, getCookieHealth } = require("./cookieValidator");
+
+/** Score (0-100) for each getCookieHealth status */
+const HEALTH_SCORES = { healthy: 100, good: 75, acceptable: 50, invalid: 0 };
+
+/**
+ * Fingerprint of an appstate (to spot repeated saves)
+ * @param {Array} appState - Cookies
+ * @returns {string}
+ */
+function fingerprint(appState) {
+    return crypto.createHash("sha256").update(JSON.stringify(appState)).digest("hex");
+}
+
+/**
+ * Public fields of a snapshot (never the fingerprint)
+ * @param {Object} entry - Index entry
+ * @returns {Object}
+ */
+function describeSnapshot(entry) {
+    const { hash: _hash, ...snapshot } = entry;
+    return snapshot;
+}
+
+/**
+ * AppstateHistory Class
+ * Records, lists and restores appstate snapshots for each account
+ */
+class AppstateHistory {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - History folder (usually accounts/.history)
+     * @param {number} [options.maxSnapshots=10] - Snapshots kept per account
+     * @param {function(): number} [options.now] - Clock (for tests)
+     */
+    constructor(options) {
+        this.dir = options.dir;
+        this.maxSnapshots = options.maxSnapshots || 10;
+        this.now = options.now || Date.now;
+    }
+
+    /**
+     * Folder of one account's snapshots
+     * @param {string} name - Account name
+     * @returns {string}
+     * @private
+     */
+    _accountDir(name) {
+        return path.join(this.dir, path.basename(String(name)));
+    }
+
+    /**
+     * Reads an account's snapshot index (read from disk every time, so the
+     * REST server and the bot can share the folder)
+     * @param {string} name - Account name
+     * @returns {Object[]} Newest first
+     * @private
+     */
+    _readIndex(name) {
+        try {
+            return JSON.parse(
+                fs.readFileSync(path.join(this._accountDir(name), "index.json"), "utf8")
+            );
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Writes an account's snapshot index
+     * @param {string} name - Account name
+     * @param {Object[]} entries - Newest first
+     * @private
+     */
+    _writeIndex(name, entries) {
+        const file = path.join(this._accountDir(name), "index.json");
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(entries, null, 2), { mode: 0o600 });
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    /**
+     * Snapshots of an account, newest first
+     * @param {string} name - Account name
+     * @returns {Object[]} { id, time, reason, cookieCount, health, score, good, failedAt? }
+     */
+    list(name) {
+        return this._readIndex(name).map(describeSnapshot);
+    }
+
+    /**
+     * Finds a snapshot by ID or by its position in list() (1 = newest)
+     * @param {string} name - Account name
+     * @param {string|number} ref - Snapshot ID or position
+     * @returns {Object|null}
+     */
+    get(name, ref) {
+        const entries = this._readIndex(name);
+        const byId = entries.find((entry) => entry.id === String(ref));
+        const position = /^\d{1,3}$/.test(String(ref)) ? entries[Number(ref) - 1] : null;
+        const entry = byId || position;
+        return entry ? describeSnapshot(entry) : null;
+    }
+
+    /**
+     * Records an appstate. Cookies identical to an existing snapshot only
+     * update that snapshot's good flag.
+     * @param {string} name - Account name
+     * @param {Array} appState - Cookies
+     * @param {Object} [options]
+     * @param {string} [options.reason="manual"] - Why the snapshot was taken
+     * @param {boolean} [options.good=false] - Known to log in
+     * @returns {Object} The snapshot
+     */
+    record(name, appState, { reason = "manual", good = false } = {}) {
+        const entries = this._readIndex(name);
+        const hash = fingerprint(appState);
+
+        const existing = entries.find((entry) => entry.hash === hash);
+        if (existing) {
+            if (good && !existing.good) {
+                existing.good = true;
+                delete existing.failedAt;
+                this._writeIndex(name, entries);
+            }
+            return describeSnapshot(existing);
+        }
+
+        let time = this.now();
+        while (entries.some((entry) => entry.id === String(time))) time++;
+
+        const health = getCookieHealth(validateAppstate(appState)).status;
+        const entry = {
+            id: String(time),
+            time,
+            reason,
+            cookieCount: Array.isArray(appState) ? appState.length : 0,
+            health,
+            score: HEALTH_SCORES[health] ?? 0,
+            good,
+            hash,
+        };
+
+        appstateVault.writeFile(path.join(this._accountDir(name), `${entry.id}.json`), appState);
+        entries.unshift(entry);
+        this._writeIndex(name, this._prune(name, entries));
+        return describeSnapshot(entry);
+    }
+
+    /**
+     * Drops the oldest snapshots beyond maxSnapshots, always keeping the newest good one
+     * @param {string} name - Account name
+     * @param {Object[]} entries - Newest first
+     * @returns {Object[]} Entries kept
+     * @private
+     */
+    _prune(name, entries) {
+        const keep = entries.slice(0, this.maxSnapshots);
+        const newestGood = entries.find((entry) => entry.good);
+        if (newestGood && !keep.includes(newestGood)) {
+            keep[keep.length - 1] = newestGood;
+        }
+
+        for (const entry of entries) {
+            if (keep.includes(entry)) continue;
+            fs.rmSync(path.join(this._accountDir(name), `${entry.id}.json`), { force: true });
+        }
+        return keep;
+    }
+
+    /**
+     * Reads a snapshot's appstate
+     * @param {string} name - Account name
+     * @param {string} id - Snapshot ID
+     * @returns {Array} Cookies
+     */
+    read(name, id) {
+        return appstateVault.readFile(path.join(this._accountDir(name), `${id}.json`)).appState;
+    }
+
+    /**
+     * Newest good snapshot whose cookies differ from an appstate that just failed
+     * @param {string} name - Account name
+     * @param {*} [failedAppState] - Appstate to skip
+     * @returns {Object|null}
+     */
+    lastGood(name, failedAppState) {
+        const skip = Array.isArray(failedAppState) ? fingerprint(failedAppState) : null;
+        const entry = this._readIndex(name).find((item) => item.good && item.hash !== skip);
+        return entry ? describeSnapshot(entry) : null;
+    }
+
+    /**
+     * Marks a snapshot as not working (it failed to log in)
+     * @param {string} name - Account name
+     * @param {string} id - Snapshot ID
+     */
+    markFailed(name, id) {
+        const entries = this._readIndex(name);
+        const entry = entries.find((item) => item.id === id);
+        if (!entry) return;
+        entry.good = false;
+        entry.failedAt = this.now();
+        this._writeIndex(name, entries);
+    }
+
+    /**
+     * Writes a snapshot back to the account file
+     * @param {string} name - Account name
+     * @param {string} id - Snapshot ID
+     * @param {string} filePath - Account appstate file
+     * @returns {Array} The restored cookies
+     */
+    restore(name, id, filePath) {
+        const appState = this.read(name, id);
+        appstateVault.writeFile(filePath, appState);
+        return appState;
+    }
+}
+
+module.exports = { AppstateHistory, HEALTH_SCORES };
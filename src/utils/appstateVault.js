@@ -0,0 +1,226 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                            APPSTATE VAULT                                     ║
+ * ║       Encrypted-at-rest appstate files with transparent legacy fallback       ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * When NERO_APPSTATE_KEY is set, appstate files are written as an AES-256-GCM
+ * envelope instead of raw cookie JSON. The file keeps its accounts/<uid>.json
+ * name, so discovery and the REST server don't change:
+ *
+ *   { "nero": "appstate", "v": 1, "alg": "aes-256-gcm",
+ *     "kid": "<key id>", "iv": "<b64>", "tag": "<b64>", "data": "<b64>" }
+ *
+ * Plaintext (legacy) files are still read as they are and get encrypted the
+ * next time they are saved. The key ID in each envelope picks the key that
+ * opens it, so a rotation only needs the old key for as long as files still
+ * use it:
+ *
+ *   NERO_APPSTATE_KEY       - Key new files are encrypted with
+ *   NERO_APPSTATE_OLD_KEYS  - Comma-separated previous keys (read only)
+ *
+ * `npm run appstate -- rotate` (appstate.js) re-encrypts every file with the
+ * current key.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AuthenticationError } = require("./errors");
+
+/** Envelope marker and version */
+const FORMAT = "appstate";
+const VERSION = 1;
+const ALGORITHM = "aes-256-gcm";
+
+/** Salt for deriving a 256-bit key from the configured secret */
+const KEY_SALT = "nero-appstate-v1";
+
+/** @type {Map<string, {id: string, key: Buffer}>} Secret -> derived key */
+const derivedKeys = new Map();
+
+/**
+ * Derives the AES key and key ID for a secret (cached, scrypt is slow on purpose)
+ * @param {string} secret - Configured key
+ * @returns {{id: string, key: Buffer}}
+ */
+function deriveKey(secret) {
+    let derived = derivedKeys.get(secret);
+    if (!derived) {
+        const key = crypto.scryptSync(secret, KEY_SALT, 32);
+        const id = crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+        derived = { id, key };
+        derivedKeys.set(secret, derived);
+    }
+    return derived;
+}
+
+/**
+ * Keys from the environment (read on every call so tests and restarts pick up changes)
+ * @returns {{current: {id: string, key: Buffer}|null, all: Array<{id: string, key: Buffer}>}}
+ */
+function getKeys() {
+    const secret = process.env.NERO_APPSTATE_KEY || "";
+    const old = (process.env.NERO_APPSTATE_OLD_KEYS || "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+    const current = secret ? deriveKey(secret) : null;
+    const all = [current, ...old.map(deriveKey)].filter(Boolean);
+    return { current, all };
+}
+
+/**
+ * Whether new appstate files are encrypted
+ * @returns {boolean}
+ */
+function isEnabled() {
+    return Boolean(process.env.NERO_APPSTATE_KEY);
+}
+
+/**
+ * Whether parsed file content is an encrypted envelope
+ * @param {*} data - Parsed JSON
+ * @returns {boolean}
+ */
+function isEncrypted(data) {
+    return Boolean(data) && !Array.isArray(data) && data.nero === FORMAT;
+}
+
+/**
+ * Encrypts an appstate with the current key
+ * @param {Array} appState - Cookies
+ * @returns {Object} Envelope
+ * @throws {Error} If NERO_APPSTATE_KEY is not set
+ */
+function encrypt(appState) {
+    const { current } = getKeys();
+    if (!current) throw new Error("NERO_APPSTATE_KEY is not set");
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+    cipher.setAAD(Buffer.from(`${FORMAT}:${VERSION}:${current.id}`));
+    const data = Buffer.concat([cipher.update(JSON.stringify(appState), "utf8"), cipher.final()]);
+
+    return {
+        nero: FORMAT,
+        v: VERSION,
+        alg: ALGORITHM,
+        kid: current.id,
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        data: data.toString("base64"),
+    };
+}
+
+/**
+ * Decrypts an envelope with whichever configured key it was sealed with
+ * @param {Object} envelope - From encrypt()
+ * @returns {Array} Cookies
+ * @throws {AuthenticationError} APPSTATE_KEY_MISSING if no configured key matches,
+ *   APPSTATE_TAMPERED if the file fails authentication
+ */
+function decrypt(envelope) {
+    if (envelope.v !== VERSION || envelope.alg !== ALGORITHM) {
+        throw new AuthenticationError(
+            `Unsupported appstate encryption: v${envelope.v} ${envelope.alg}`,
+            "APPSTATE_UNSUPPORTED"
+        );
+    }
+
+    const match = getKeys().all.find((candidate) => candidate.id === envelope.kid);
+    if (!match) {
+        throw new AuthenticationError(
+            `Appstate is encrypted with key ${envelope.kid}, which is not configured ` +
+                "(set NERO_APPSTATE_KEY or NERO_APPSTATE_OLD_KEYS)",
+            "APPSTATE_KEY_MISSING"
+        );
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv(
+            ALGORITHM,
+            match.key,
+            Buffer.from(envelope.iv, "base64")
+        );
+        decipher.setAAD(Buffer.from(`${FORMAT}:${VERSION}:${envelope.kid}`));
+        decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+        const plain = Buffer.concat([
+            decipher.update(Buffer.from(envelope.data, "base64")),
+            decipher.final(),
+        ]);
+        return JSON.parse(plain.toString("utf8"));
+    } catch {
+        throw new AuthenticationError(
+            "Appstate failed to decrypt - the file was modified or is corrupt",
+            "APPSTATE_TAMPERED"
+        );
+    }
+}
+
+/**
+ * Reads an appstate file, decrypting it if needed
+ * @param {string} filePath - Appstate file
+ * @returns {{appState: *, encrypted: boolean, kid: string|null}} appState is the
+ *   parsed content (validate it before use)
+ * @throws {SyntaxError|AuthenticationError} On invalid JSON or a file that can't be decrypted
+ */
+function readFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!isEncrypted(data)) {
+        return { appState: data, encrypted: false, kid: null };
+    }
+    return { appState: decrypt(data), encrypted: true, kid: data.kid };
+}
+
+/**
+ * Writes an appstate file - encrypted when NERO_APPSTATE_KEY is set, plain JSON otherwise
+ * @param {string} filePath - Appstate file
+ * @param {Array} appState - Cookies
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypt] - Override (false writes plaintext even with a key)
+ * @returns {{encrypted: boolean}}
+ */
+function writeFile(filePath, appState, { encrypt: encrypted = isEnabled() } = {}) {
+    const content = encrypted ? encrypt(appState) : appState;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const temp = `${filePath}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(content, null, 2), { encoding: "utf8", mode: 0o600 });
+    fs.renameSync(temp, filePath);
+    return { encrypted };
+}
+
+/**
+ * Re-encrypts a file with the current key (plaintext files get encrypted)
+ * @param {string} filePath - Appstate file
+ * @returns {"rotated"|"encrypted"|"current"} What was done
+ * @throws {Error|AuthenticationError} If no key is set or the file can't be opened
+ */
+function rekeyFile(filePath) {
+    const { current } = getKeys();
+    if (!current) throw new Error("NERO_APPSTATE_KEY is not set");
+
+    const { appState, encrypted, kid } = readFile(filePath);
+    if (kid === current.id) return "current";
+
+    writeFile(filePath, appState, { encrypt: true });
+    return encrypted ? "rotated" : "encrypted";
+}
+
+module.exports = {
+    isEnabled,
+    isEncrypted,
+    encrypt,
+    decrypt,
+    readFile,
+    writeFile,
+    rekeyFile,
+    getKeys,
+};
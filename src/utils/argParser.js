@@ -0,0 +1,403 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                           ARGUMENT PARSER                                     ║
+ * ║        Declarative, typed command arguments and flags with validation         ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Commands may declare `args` and `flags` in their config. CommandHandler then
+ * resolves them before `execute` and passes the result as `context.params` and
+ * `context.flags`; bad input gets an automatic usage reply instead.
+ *
+ * @example
+ * config: {
+ *     args: [
+ *         { name: "target", type: "user", required: true },
+ *         { name: "reason", type: "rest" },
+ *     ],
+ *     flags: {
+ *         time: { type: "duration", alias: "t", description: "How long" },
+ *     },
+ * }
+ *
+ * Types:
+ * - string    one word (or a "quoted phrase")
+ * - number    any number; `integer` for whole numbers (`min` / `max` supported)
+ * - user      mention, numeric UID or "me"; falls back to the replied-to sender
+ * - uid       numeric UID only
+ * - thread    numeric thread ID, or "here" for the current thread
+ * - duration  30s, 10m, 1h30m, 2d (bare numbers use `unit`, default minutes) -> ms
+ * - enum      one of `values` (case-insensitive)
+ * - boolean   on/off, yes/no, true/false
+ * - rest      everything that is left, joined with spaces (must be last)
+ *
+ * Set `variadic: true` on a user/uid/thread/string/number arg to collect every
+ * matching token into an array. Optional args that don't match the next token
+ * are skipped, so `kick [@users...] [all]` style schemas work.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { ValidationError } = require("./errors");
+
+/** Milliseconds per duration unit */
+const DURATION_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+};
+
+const TRUE_WORDS = ["on", "yes", "true", "enable", "1"];
+const FALSE_WORDS = ["off", "no", "false", "disable", "0"];
+
+/**
+ * Parses a duration such as "90s", "10m", "1h30m" or "2d" into milliseconds
+ * @param {string} input - Duration text
+ * @param {string} [unit="m"] - Unit for bare numbers
+ * @returns {number|null} Milliseconds or null if invalid
+ */
+function parseDuration(input, unit = "m") {
+    const text = String(input).trim().toLowerCase();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(parseFloat(text) * DURATION_UNITS[unit]);
+    }
+
+    if (!/^(\d+(\.\d+)?[smhdw])+$/.test(text)) return null;
+
+    let total = 0;
+    for (const [, value, , suffix] of text.matchAll(/(\d+(\.\d+)?)([smhdw])/g)) {
+        total += parseFloat(value) * DURATION_UNITS[suffix];
+    }
+    return Math.round(total);
+}
+
+/**
+ * Replaces the words of each @mention with a single mention token
+ * @param {Array<string>} tokens - Raw argument tokens
+ * @param {Object<string, string>} mentions - event.mentions (ID -> "@Name")
+ * @returns {Array<string|{id: string, text: string}>}
+ */
+function collapseMentions(tokens, mentions = {}) {
+    const entries = Object.entries(mentions)
+        .map(([id, text]) => ({ id, text, words: text.trim().split(/\s+/) }))
+        .sort((a, b) => b.words.length - a.words.length);
+
+    if (entries.length === 0) return [...tokens];
+
+    const result = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const mention = entries.find(
+            ({ words }) => tokens.slice(i, i + words.length).join(" ") === words.join(" ")
+        );
+
+        if (mention) {
+            result.push({ id: mention.id, text: mention.text });
+            i += mention.words.length - 1;
+        } else {
+            result.push(tokens[i]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Gets the display text of a token
+ * @param {string|Object} token - Token
+ * @returns {string}
+ */
+function tokenText(token) {
+    return typeof token === "string" ? token : token.text;
+}
+
+/**
+ * Converts a single token to a typed value
+ * @param {Object} spec - Arg or flag spec
+ * @param {string|Object} token - Token
+ * @param {Object} event - Message event
+ * @returns {{ok: boolean, value?: *, error?: string}}
+ */
+function convert(spec, token, event) {
+    const text = tokenText(token);
+    const isMention = typeof token !== "string";
+
+    switch (spec.type || "string") {
+        case "user":
+            if (isMention) return { ok: true, value: token.id };
+            if (/^\d{5,}$/.test(text)) return { ok: true, value: text };
+            if (text.toLowerCase() === "me") return { ok: true, value: event.senderID };
+            return { ok: false, error: "must be a mention or user ID" };
+
+        case "uid":
+            if (/^\d{5,}$/.test(text)) return { ok: true, value: text };
+            return { ok: false, error: "must be a numeric user ID" };
+
+        case "thread":
+            if (/^\d{5,}$/.test(text)) return { ok: true, value: text };
+            if (["here", "this"].includes(text.toLowerCase())) {
+                return { ok: true, value: event.threadID };
+            }
+            return { ok: false, error: "must be a thread ID or 'here'" };
+
+        case "number":
+        case "integer": {
+            const value = Number(text);
+            if (isMention || text === "" || !Number.isFinite(value)) {
+                return { ok: false, error: "must be a number" };
+            }
+            if (spec.type === "integer" && !Number.isInteger(value)) {
+                return { ok: false, error: "must be a whole number" };
+            }
+            if (spec.min !== undefined && value < spec.min) {
+                return { ok: false, error: `must be at least ${spec.min}` };
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                return { ok: false, error: `must be at most ${spec.max}` };
+            }
+            return { ok: true, value };
+        }
+
+        case "duration": {
+            const value = isMention ? null : parseDuration(text, spec.unit);
+            if (value === null || value <= 0) {
+                return { ok: false, error: "must be a duration like 30s, 10m or 1h30m" };
+            }
+            return { ok: true, value };
+        }
+
+        case "enum": {
+            const value = spec.values.find((v) => v.toLowerCase() === text.toLowerCase());
+            if (value === undefined || isMention) {
+                return { ok: false, error: `must be one of: ${spec.values.join(", ")}` };
+            }
+            return { ok: true, value };
+        }
+
+        case "boolean": {
+            const lower = text.toLowerCase();
+            if (TRUE_WORDS.includes(lower)) return { ok: true, value: true };
+            if (FALSE_WORDS.includes(lower)) return { ok: true, value: false };
+            return { ok: false, error: "must be on or off" };
+        }
+
+        case "string":
+        default:
+            return { ok: true, value: text };
+    }
+}
+
+/**
+ * Builds a ValidationError for one argument
+ * @param {string} field - Arg or flag name
+ * @param {string} message - Error message
+ * @returns {ValidationError}
+ */
+function argError(field, message) {
+    return ValidationError.fromArray([{ field, message }]);
+}
+
+/**
+ * Pulls declared flags out of the token list
+ * @param {Object<string, Object>} flagSpecs - Flag schema
+ * @param {Array} tokens - Tokens (mutated copy is returned)
+ * @param {Object} event - Message event
+ * @returns {{flags: Object, rest: Array}}
+ * @throws {ValidationError}
+ */
+function extractFlags(flagSpecs, tokens, event) {
+    const flags = {};
+    const rest = [];
+    const aliases = {};
+
+    for (const [name, spec] of Object.entries(flagSpecs)) {
+        if (spec.alias) aliases[spec.alias] = name;
+        if (spec.default !== undefined) flags[name] = spec.default;
+        else if (spec.type === "boolean" || !spec.type) flags[name] = false;
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const text = typeof token === "string" ? token : "";
+
+        // "--" stops flag parsing
+        if (text === "--") {
+            rest.push(...tokens.slice(i + 1));
+            break;
+        }
+
+        const long = text.match(/^--([\w-]+)(?:=(.*))?$/);
+        const short = text.match(/^-([a-zA-Z])(?:=?(.+))?$/);
+        const name = long ? long[1] : short && aliases[short[1]];
+
+        if (!name) {
+            if (long) throw argError(long[1], `Unknown flag: --${long[1]}`);
+            rest.push(token);
+            continue;
+        }
+
+        const spec = flagSpecs[name];
+        if (!spec) throw argError(name, `Unknown flag: --${name}`);
+
+        const type = spec.type || "boolean";
+        let value = long ? long[2] : short[2];
+
+        if (type === "boolean" && value === undefined) {
+            flags[name] = true;
+            continue;
+        }
+
+        if (value === undefined) {
+            if (i + 1 >= tokens.length) throw argError(name, `Flag --${name} needs a value`);
+            value = tokens[++i];
+        }
+
+        const result = convert({ ...spec, type }, value, event);
+        if (!result.ok) throw argError(name, `--${name} ${result.error}`);
+        flags[name] = result.value;
+    }
+
+    return { flags, rest };
+}
+
+/**
+ * Parses tokens against a command's schema
+ * @param {Object} schema - Command config ({ args, flags })
+ * @param {Array<string>} tokens - Tokens after the command name
+ * @param {Object} event - Message event (mentions, reply, sender)
+ * @returns {{params: Object, flags: Object}}
+ * @throws {ValidationError} On missing or invalid input
+ */
+function parseArgs(schema, tokens, event = {}) {
+    const argSpecs = schema.args || [];
+    const collapsed = collapseMentions(tokens, event.mentions);
+    const { flags, rest: remaining } = extractFlags(schema.flags || {}, collapsed, event);
+
+    const params = {};
+    let replyUsed = false;
+    let index = 0;
+
+    const replySender = () => {
+        const senderID = event.messageReply?.senderID;
+        if (!senderID || replyUsed) return undefined;
+        replyUsed = true;
+        return senderID;
+    };
+
+    for (const spec of argSpecs) {
+        const type = spec.type || "string";
+
+        if (type === "rest") {
+            const text = remaining.slice(index).map(tokenText).join(" ");
+            index = remaining.length;
+            if (text) params[spec.name] = text;
+        } else if (spec.variadic) {
+            const values = [];
+            while (index < remaining.length) {
+                const result = convert(spec, remaining[index], event);
+                if (!result.ok) break;
+                values.push(result.value);
+                index++;
+            }
+            if (values.length === 0 && type === "user" && spec.fromReply !== false) {
+                const senderID = replySender();
+                if (senderID) values.push(senderID);
+            }
+            if (values.length > 0) params[spec.name] = values;
+        } else if (index < remaining.length) {
+            const result = convert(spec, remaining[index], event);
+            if (result.ok) {
+                params[spec.name] = result.value;
+                index++;
+            } else if (spec.required) {
+                throw argError(spec.name, `<${spec.name}> ${result.error}`);
+            }
+        }
+
+        if (params[spec.name] === undefined && type === "user" && spec.fromReply !== false) {
+            params[spec.name] = replySender();
+        }
+
+        if (params[spec.name] === undefined) {
+            if (spec.default !== undefined) {
+                params[spec.name] = spec.default;
+            } else if (spec.required) {
+                throw argError(spec.name, `Missing required argument: <${spec.name}>`);
+            }
+        }
+    }
+
+    if (index < remaining.length) {
+        const extra = tokenText(remaining[index]);
+        throw argError("args", `Unexpected argument: ${extra}`);
+    }
+
+    return { params, flags };
+}
+
+/**
+ * Builds a usage line from a schema
+ * @param {string} name - Command name
+ * @param {Object} schema - Command config ({ args, flags })
+ * @returns {string} e.g. "mute <target> [duration] [reason...] [--silent]"
+ */
+function formatUsage(name, schema) {
+    const parts = [name];
+
+    for (const spec of schema.args || []) {
+        let label = spec.type === "enum" ? spec.values.join("|") : spec.name;
+        if (spec.variadic || spec.type === "rest") label += "...";
+        parts.push(spec.required ? `<${label}>` : `[${label}]`);
+    }
+
+    for (const [flag, spec] of Object.entries(schema.flags || {})) {
+        const type = spec.type || "boolean";
+        parts.push(type === "boolean" ? `[--${flag}]` : `[--${flag}=<${type}>]`);
+    }
+
+    return parts.join(" ");
+}
+
+/**
+ * Describes each argument and flag for help output
+ * @param {Object} schema - Command config ({ args, flags })
+ * @returns {Array<string>} One line per arg/flag
+ */
+function describeArgs(schema) {
+    const lines = [];
+
+    for (const spec of schema.args || []) {
+        const type = spec.type === "enum" ? spec.values.join("|") : spec.type || "string";
+        const optional = spec.required ? "" : ", optional";
+        const description = spec.description ? ` - ${spec.description}` : "";
+        lines.push(`${spec.name} (${type}${optional})${description}`);
+    }
+
+    for (const [flag, spec] of Object.entries(schema.flags || {})) {
+        const alias = spec.alias ? `, -${spec.alias}` : "";
+        const description = spec.description ? ` - ${spec.description}` : "";
+        lines.push(`--${flag}${alias} (${spec.type || "boolean"})${description}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Checks if a command config declares a schema
+ * @param {Object} schema - Command config
+ * @returns {boolean}
+ */
+function hasSchema(schema) {
+    return Array.isArray(schema.args) || Boolean(schema.flags);
+}
+
+module.exports = {
+    parseArgs,
+    parseDuration,
+    formatUsage,
+    describeArgs,
+    hasSchema,
+};
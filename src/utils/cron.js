@@ -0,0 +1,383 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                            CRON EXPRESSIONS                                   ║
+ * ║       Timezone-aware cron parsing and next-run computation for tasks          ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Supports standard 5-field expressions (minute hour day month weekday) and the
+ * 6-field variant with a leading seconds field. Each field accepts `*`, single
+ * values, lists (`1,15`), ranges (`1-5`), steps (`*\/15`, `10-40/10`) and, for
+ * months and weekdays, three-letter names (`jan`, `mon-fri`). Weekday 7 is
+ * treated as Sunday. Shortcuts `@yearly`, `@monthly`, `@weekly`, `@daily` and
+ * `@hourly` are also recognized.
+ *
+ * When both day-of-month and day-of-week are restricted, a day matches if
+ * EITHER field matches (classic Vixie cron behavior).
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIELD DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const FIELDS = [
+    { name: "second", min: 0, max: 59 },
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day", min: 1, max: 31 },
+    {
+        name: "month",
+        min: 1,
+        max: 12,
+        names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+        offset: 1,
+    },
+    {
+        name: "weekday",
+        min: 0,
+        max: 7,
+        names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+        offset: 0,
+    },
+];
+
+const MACROS = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *",
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/** Maximum number of local days searched before giving up on an expression */
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/** @type {Map<string, Intl.DateTimeFormat>} Cached formatters per timezone */
+const formatters = new Map();
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parses a single value of a field (number or name)
+ * @param {string} value - Raw value
+ * @param {Object} field - Field definition
+ * @returns {number} Numeric value
+ */
+function parseValue(value, field) {
+    const lower = value.toLowerCase();
+
+    if (field.names) {
+        const index = field.names.indexOf(lower);
+        if (index !== -1) return index + field.offset;
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name} value "${value}"`);
+    }
+
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} value ${number} out of range (${field.min}-${field.max})`);
+    }
+
+    return number;
+}
+
+/**
+ * Parses one cron field into a set of allowed values
+ * @param {string} source - Raw field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Allowed values
+ */
+function parseField(source, field) {
+    const values = new Set();
+
+    for (const part of source.split(",")) {
+        const [rangePart, stepPart, extra] = part.split("/");
+
+        if (!rangePart || extra !== undefined) {
+            throw new Error(`Invalid ${field.name} field "${source}"`);
+        }
+
+        let step = 1;
+        if (stepPart !== undefined) {
+            if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+                throw new Error(`Invalid step "${stepPart}" in ${field.name} field`);
+            }
+            step = parseInt(stepPart, 10);
+        }
+
+        let start;
+        let end;
+
+        if (rangePart === "*" || rangePart === "?") {
+            start = field.min;
+            end = field.name === "weekday" ? 6 : field.max;
+        } else if (rangePart.includes("-")) {
+            const [from, to] = rangePart.split("-");
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) {
+                throw new Error(`Invalid ${field.name} range "${rangePart}"`);
+            }
+        } else {
+            start = parseValue(rangePart, field);
+            // "5/15" means "from 5 to the end of the range, every 15"
+            end = stepPart !== undefined ? field.max : start;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            // Weekday 7 is an alias for Sunday
+            values.add(field.name === "weekday" && value === 7 ? 0 : value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Cron expression (5 or 6 fields, or a macro)
+ * @returns {Object} Parsed expression
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+    if (typeof expression !== "string" || !expression.trim()) {
+        throw new Error("Cron expression must be a non-empty string");
+    }
+
+    const source = expression.trim();
+    const expanded = MACROS[source.toLowerCase()] || source;
+    const parts = expanded.split(/\s+/);
+
+    if (parts.length === 5) {
+        parts.unshift("0");
+    } else if (parts.length !== 6) {
+        throw new Error(`Cron expression "${source}" must have 5 or 6 fields, got ${parts.length}`);
+    }
+
+    const [second, minute, hour, day, month, weekday] = parts.map((part, i) =>
+        parseField(part, FIELDS[i])
+    );
+
+    return {
+        source,
+        second,
+        minute,
+        hour,
+        day,
+        month,
+        weekday,
+        // Restricted = not a wildcard; used for the day/weekday OR rule
+        dayRestricted: !/^[*?]$/.test(parts[3]),
+        weekdayRestricted: !/^[*?]$/.test(parts[5]),
+    };
+}
+
+/**
+ * Checks if a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TIMEZONE HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Gets a cached date formatter for a timezone
+ * @param {string} timezone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ * @throws {RangeError} If the timezone is unknown
+ */
+function getFormatter(timezone) {
+    let formatter = formatters.get(timezone);
+
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat("en-US", {
+            timeZone: timezone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric",
+            weekday: "short",
+        });
+        formatters.set(timezone, formatter);
+    }
+
+    return formatter;
+}
+
+/**
+ * Checks if a timezone name is supported by the runtime
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Gets wall-clock parts of a timestamp in a timezone
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ */
+function getZonedParts(timestamp, timezone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timezone).formatToParts(timestamp)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10) % 24,
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: WEEKDAYS[parts.weekday],
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEDULING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Checks if a local date matches the day, month and weekday fields
+ * @param {Object} cron - Parsed expression
+ * @param {Object} parts - Zoned date parts
+ * @returns {boolean}
+ */
+function matchesDate(cron, parts) {
+    if (!cron.month.has(parts.month)) return false;
+
+    const dayMatch = cron.day.has(parts.day);
+    const weekdayMatch = cron.weekday.has(parts.weekday);
+
+    if (cron.dayRestricted && cron.weekdayRestricted) {
+        return dayMatch || weekdayMatch;
+    }
+    return dayMatch && weekdayMatch;
+}
+
+/**
+ * Computes the next time an expression fires, strictly after a given time
+ * @param {string|Object} expression - Cron expression or parsed expression
+ * @param {Object} [options] - Options
+ * @param {Date|number} [options.from] - Reference time (default: now)
+ * @param {string} [options.timezone] - IANA timezone (default: system timezone)
+ * @returns {Date|null} Next run time, or null if the expression never fires
+ */
+function getNextRun(expression, options = {}) {
+    const cron = typeof expression === "string" ? parseCron(expression) : expression;
+    const timezone = options.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const from = options.from instanceof Date ? options.from.getTime() : options.from;
+
+    // Start at the next whole second after the reference time
+    let time = Math.floor((from ?? Date.now()) / 1000) * 1000 + 1000;
+    let daysSearched = 0;
+
+    while (daysSearched <= MAX_SEARCH_DAYS) {
+        const parts = getZonedParts(time, timezone);
+
+        if (!matchesDate(cron, parts)) {
+            // Jump to local midnight of the next day
+            const secondsIntoDay = parts.hour * 3600 + parts.minute * 60 + parts.second;
+            let next = time + (86400 - secondsIntoDay) * 1000;
+
+            // A DST change later today can land us past midnight; step back to it
+            const landed = getZonedParts(next, timezone);
+            if (landed.hour > 0 && landed.hour < 12) {
+                const back = next - (landed.hour * 3600 + landed.minute * 60) * 1000;
+                if (back > time) next = back;
+            }
+
+            time = next;
+            daysSearched++;
+            continue;
+        }
+
+        if (!cron.hour.has(parts.hour)) {
+            time += ((60 - parts.minute) * 60 - parts.second) * 1000;
+            continue;
+        }
+
+        if (!cron.minute.has(parts.minute)) {
+            time += (60 - parts.second) * 1000;
+            continue;
+        }
+
+        if (!cron.second.has(parts.second)) {
+            time += 1000;
+            continue;
+        }
+
+        return new Date(time);
+    }
+
+    return null;
+}
+
+/**
+ * Lists the fire times of an expression within a time window
+ * @param {string|Object} expression - Cron expression or parsed expression
+ * @param {Date|number} start - Window start (exclusive)
+ * @param {Date|number} end - Window end (inclusive)
+ * @param {Object} [options] - Options
+ * @param {string} [options.timezone] - IANA timezone
+ * @param {number} [options.limit=100] - Maximum number of results
+ * @returns {Array<Date>} Fire times in ascending order
+ */
+function getRunsBetween(expression, start, end, options = {}) {
+    const cron = typeof expression === "string" ? parseCron(expression) : expression;
+    const endTime = end instanceof Date ? end.getTime() : end;
+    const limit = options.limit ?? 100;
+    const runs = [];
+
+    let cursor = start;
+    while (runs.length < limit) {
+        const next = getNextRun(cron, { from: cursor, timezone: options.timezone });
+        if (!next || next.getTime() > endTime) break;
+        runs.push(next);
+        cursor = next;
+    }
+
+    return runs;
+}
+
+module.exports = {
+    parseCron,
+    isValidCron,
+    isValidTimezone,
+    getNextRun,
+    getRunsBetween,
+    getZonedParts,
+};
@@ -222,6 +222,25 @@ class NotFoundError extends BotError {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONFLICT ERROR
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Error for requests the resource's current state doesn't allow
+ * (e.g. sending as an account that is offline)
+ */
+class ConflictError extends BotError {
+    /**
+     * @param {string} message - What is in the way
+     * @param {Object} context - Current state details
+     */
+    constructor(message, context = {}) {
+        super(message, "CONFLICT", 409, context);
+        this.name = "ConflictError";
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // API ERROR
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -285,6 +304,7 @@ module.exports = {
     AuthenticationError,
     RateLimitError,
     NotFoundError,
+    ConflictError,
     ApiError,
 
     // Utility functions
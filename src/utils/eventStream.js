@@ -0,0 +1,286 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                              EVENT STREAM                                     ║
+ * ║          Live feed of bot activity for the REST server's /api/stream          ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Publishers (the dispatcher, the command handler, AccountManager events and
+ * logger warnings/errors) call publish(); every subscriber whose filter matches
+ * gets the entry. Transports (SSE and WebSocket in server.js) only subscribe
+ * and serialize, so the feed works the same for both.
+ *
+ * Entry: { id, type, level, time, account, botID, threadID, data }
+ *   type  - "event" | "command" | "account" | "appstate" | "log"
+ *   level - "info" | "warn" | "error" (filters keep this level and above)
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const logger = require("./logger");
+const { ValidationError } = require("./errors");
+
+/** Stream entry types */
+const TYPES = ["event", "command", "account", "appstate", "log"];
+
+/** Levels in increasing severity */
+const LEVELS = ["debug", "info", "warn", "error"];
+
+/** Logger levels that are streamed (and the stream level they map to) */
+const LOG_LEVELS = { warn: "warn", error: "error" };
+
+/** AccountManager events that change an account's status */
+const ACCOUNT_EVENTS = {
+    loginSuccess: "info",
+    loginFailed: "warn",
+    accountDeleted: "warn",
+    logout: "info",
+};
+
+/**
+ * Splits a comma-separated filter value into a Set (null when empty)
+ * @param {string|string[]|undefined|null} value - Filter value
+ * @returns {Set<string>|null}
+ */
+function toSet(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const items = (Array.isArray(value) ? value : String(value).split(","))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+    return items.length > 0 ? new Set(items) : null;
+}
+
+/**
+ * Whether an entry passes a subscriber filter
+ * @param {Object} filter - From eventStream.parseFilter
+ * @param {Object} entry - Stream entry
+ * @returns {boolean}
+ */
+function matches(filter, entry) {
+    // An API key limited to some accounts only sees entries from those bots
+    if (filter.allowedAccounts && !filter.allowedAccounts.has(entry.botID || entry.account)) {
+        return false;
+    }
+    if (LEVELS.indexOf(entry.level) < LEVELS.indexOf(filter.level)) return false;
+    if (filter.types && !filter.types.has(entry.type)) return false;
+    if (filter.threads && !filter.threads.has(entry.threadID)) return false;
+    if (filter.accounts) {
+        return filter.accounts.has(entry.account) || filter.accounts.has(entry.botID);
+    }
+    return true;
+}
+
+/**
+ * The parts of a Messenger event worth streaming
+ * @param {Object} event - Incoming event
+ * @returns {Object}
+ */
+function describeEvent(event) {
+    return {
+        type: event.type,
+        logMessageType: event.logMessageType,
+        messageID: event.messageID,
+        senderID: event.senderID || event.author || event.userID,
+        body: event.body,
+        attachments: event.attachments?.length || undefined,
+        reaction: event.reaction,
+        isGroup: event.isGroup,
+    };
+}
+
+/**
+ * EventStream Class
+ * Fans published entries out to filtered subscribers
+ */
+class EventStream {
+    constructor() {
+        /** @type {Set<{filter: Object, send: Function}>} */
+        this.subscribers = new Set();
+
+        /** @type {Set<Object>} Account managers whose events are streamed */
+        this.accountManagers = new Set();
+
+        /** @type {number} Last entry ID */
+        this.lastId = 0;
+
+        /** @type {Function|null} Removes the logger listener */
+        this.stopLogging = null;
+    }
+
+    /**
+     * Adds a subscriber
+     * @param {Object} filter - From eventStream.parseFilter
+     * @param {function(Object): void} send - Called with each matching entry
+     * @returns {function(): void} Unsubscribes
+     */
+    subscribe(filter, send) {
+        const subscriber = { filter, send };
+        this.subscribers.add(subscriber);
+
+        // Logger entries are only formatted while someone is listening
+        if (!this.stopLogging) {
+            this.stopLogging = logger.onEntry((entry) => {
+                if (!LOG_LEVELS[entry.level]) return;
+                this.publish(
+                    "log",
+                    { module: entry.module, message: entry.message },
+                    { level: LOG_LEVELS[entry.level] }
+                );
+            });
+        }
+
+        return () => {
+            this.subscribers.delete(subscriber);
+            if (this.subscribers.size === 0 && this.stopLogging) {
+                this.stopLogging();
+                this.stopLogging = null;
+            }
+        };
+    }
+
+    /**
+     * Builds a subscriber filter from query parameters or a JSON object
+     * @param {Object} [options]
+     * @param {string|string[]} [options.account] - Account names or bot user IDs
+     * @param {string|string[]} [options.thread] - Thread IDs
+     * @param {string|string[]} [options.type] - Entry types
+     * @param {string} [options.level] - Minimum level (default "info")
+     * @returns {{accounts: Set|null, threads: Set|null, types: Set|null, level: string,
+     *   allowedAccounts: Set|null}} allowedAccounts (bot user IDs an API key is limited
+     *   to) never comes from options; the server sets it from the request's key
+     * @throws {ValidationError} On an unknown type or level
+     */
+    parseFilter(options = {}) {
+        const errors = [];
+        const types = toSet(options.type);
+        const level = options.level ? String(options.level).toLowerCase() : "info";
+
+        for (const type of types || []) {
+            if (!TYPES.includes(type)) {
+                errors.push({ field: "type", message: `type must be one of: ${TYPES.join(", ")}` });
+                break;
+            }
+        }
+        if (!LEVELS.includes(level)) {
+            errors.push({ field: "level", message: `level must be one of: ${LEVELS.join(", ")}` });
+        }
+        if (errors.length > 0) throw ValidationError.fromArray(errors);
+
+        return {
+            accounts: toSet(options.account),
+            threads: toSet(options.thread),
+            types,
+            level,
+            allowedAccounts: null,
+        };
+    }
+
+    /**
+     * Number of subscribers
+     * @returns {number}
+     */
+    get size() {
+        return this.subscribers.size;
+    }
+
+    /**
+     * Sends an entry to every matching subscriber
+     * @param {string} type - Entry type (see TYPES)
+     * @param {Object} data - Entry payload
+     * @param {Object} [meta]
+     * @param {string} [meta.account] - Account name
+     * @param {string} [meta.botID] - Bot user ID (resolved to the account name)
+     * @param {string} [meta.threadID] - Thread ID
+     * @param {string} [meta.level="info"] - Entry level
+     * @returns {Object|null} The entry, or null if nobody is subscribed
+     */
+    publish(type, data, meta = {}) {
+        if (this.subscribers.size === 0) return null;
+
+        const botID = meta.botID ? String(meta.botID) : undefined;
+        const entry = {
+            id: ++this.lastId,
+            type,
+            level: meta.level || "info",
+            time: Date.now(),
+            account: meta.account || this.accountName(botID),
+            botID,
+            threadID: meta.threadID ? String(meta.threadID) : undefined,
+            data,
+        };
+
+        for (const subscriber of this.subscribers) {
+            if (!matches(subscriber.filter, entry)) continue;
+            try {
+                subscriber.send(entry);
+            } catch {
+                // Transports unsubscribe on close; a failed write just drops the entry
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * Publishes an incoming Messenger event
+     * @param {Object} event - Incoming event
+     * @param {Object} account - Account info it arrived on
+     */
+    publishEvent(event, account) {
+        if (this.subscribers.size === 0) return;
+        this.publish("event", describeEvent(event), {
+            account: account?.name,
+            botID: account?.userID,
+            threadID: event.threadID,
+        });
+    }
+
+    /**
+     * Streams an AccountManager's status changes and appstate saves
+     * (once per manager)
+     * @param {Object} accountManager - AccountManager (an EventEmitter)
+     */
+    watchAccounts(accountManager) {
+        if (!accountManager?.on || this.accountManagers.has(accountManager)) return;
+        this.accountManagers.add(accountManager);
+
+        for (const [name, level] of Object.entries(ACCOUNT_EVENTS)) {
+            accountManager.on(name, (account) => {
+                this.publish(
+                    "account",
+                    {
+                        event: name,
+                        status: account.status,
+                        userName: account.userName,
+                        error: account.error || undefined,
+                    },
+                    { account: account.name, botID: account.userID, level }
+                );
+            });
+        }
+        accountManager.on("appStateSaved", (info) => {
+            this.publish(
+                "appstate",
+                { cookieCount: info.cookieCount, reason: info.reason },
+                { account: info.account, botID: info.userID }
+            );
+        });
+    }
+
+    /**
+     * Account name for a bot user ID, from the watched account managers
+     * @param {string} [botID] - Bot user ID
+     * @returns {string|undefined}
+     */
+    accountName(botID) {
+        if (!botID) return undefined;
+        for (const accountManager of this.accountManagers) {
+            const account = accountManager.getAccountByUserID?.(botID);
+            if (account) return account.name;
+        }
+        return undefined;
+    }
+}
+
+module.exports = new EventStream();
@@ -0,0 +1,293 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                              NERO - I18N                                      ║
+ * ║          Message catalogs, interpolation, pluralization and locales           ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Catalogs live in src/locales/<code>.json as nested objects addressed with
+ * dotted keys (`handler.noPermission`). A value can be:
+ * - a string with `{name}` placeholders
+ * - an array of strings (one is picked at random, e.g. welcome templates)
+ * - a plural object keyed by Intl.PluralRules category (`one`, `other`, ...)
+ *   or an exact count (`=0`), selected with the `count` variable
+ *
+ * The locale for a reply is the user's own choice (`language` command), else
+ * the thread's `language` setting, else settings.i18n.defaultLocale. Missing
+ * keys fall back to the base language (fil-PH -> fil) and then to
+ * settings.i18n.fallbackLocale (English).
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const settings = require("../config/settings");
+const storage = require("./storage");
+const threadConfig = require("./threadConfig");
+const logger = require("./logger");
+const { ValidationError } = require("./errors");
+
+/** Directory holding the <locale>.json catalogs */
+const LOCALES_DIR = path.resolve(__dirname, "..", "locales");
+
+/** Storage namespace for per-user locale choices */
+const NAMESPACE = "locales";
+
+/**
+ * I18n Class
+ * Loads catalogs and translates keys for a user/thread
+ */
+class I18n {
+    /**
+     * Creates a new I18n instance
+     * @param {Object} [options]
+     * @param {string} [options.directory] - Catalog directory (default: src/locales)
+     */
+    constructor(options = {}) {
+        /** @type {string} */
+        this.directory = options.directory || LOCALES_DIR;
+
+        /** @type {Map<string, Object>|null} Loaded catalogs by locale code */
+        this.catalogs = null;
+
+        /** @type {Map<string, Intl.PluralRules>} */
+        this.pluralRules = new Map();
+    }
+
+    /**
+     * Default locale for threads and users that haven't picked one
+     * @returns {string}
+     */
+    get defaultLocale() {
+        return settings.i18n.defaultLocale;
+    }
+
+    /**
+     * Locale whose catalog fills in missing keys
+     * @returns {string}
+     */
+    get fallbackLocale() {
+        return settings.i18n.fallbackLocale;
+    }
+
+    /**
+     * Loads every catalog from disk (once)
+     * @returns {Map<string, Object>}
+     * @private
+     */
+    _load() {
+        if (this.catalogs) return this.catalogs;
+
+        this.catalogs = new Map();
+        if (!fs.existsSync(this.directory)) return this.catalogs;
+
+        for (const file of fs.readdirSync(this.directory)) {
+            if (!file.endsWith(".json")) continue;
+
+            const locale = path.basename(file, ".json");
+            try {
+                const catalog = JSON.parse(
+                    fs.readFileSync(path.join(this.directory, file), "utf8")
+                );
+                this.catalogs.set(locale, catalog);
+            } catch (error) {
+                logger.error("I18n", `Failed to load locale ${locale}: ${error.message}`);
+            }
+        }
+
+        logger.debug("I18n", `Loaded locales: ${[...this.catalogs.keys()].join(", ")}`);
+        return this.catalogs;
+    }
+
+    /**
+     * Drops loaded catalogs so they are read again on next use
+     */
+    reload() {
+        this.catalogs = null;
+        this.pluralRules.clear();
+    }
+
+    /**
+     * Available locale codes
+     * @returns {Array<string>}
+     */
+    getLocales() {
+        return [...this._load().keys()];
+    }
+
+    /**
+     * Display name of a locale (from its catalog's meta.name)
+     * @param {string} locale - Locale code
+     * @returns {string}
+     */
+    getLanguageName(locale) {
+        return this._load().get(locale)?.meta?.name || locale;
+    }
+
+    /**
+     * Maps a requested locale to an available one (exact, then base language)
+     * @param {string} locale - Requested locale, e.g. "fil-PH"
+     * @returns {string|null}
+     */
+    resolveLocale(locale) {
+        if (!locale) return null;
+
+        const catalogs = this._load();
+        if (catalogs.has(locale)) return locale;
+
+        const base = String(locale).split("-")[0];
+        return catalogs.has(base) ? base : null;
+    }
+
+    /**
+     * Gets the locale a user picked for themselves
+     * @param {string} userID - User ID
+     * @returns {string|null}
+     */
+    getUserLocale(userID) {
+        return userID ? storage.get(NAMESPACE, String(userID), null) : null;
+    }
+
+    /**
+     * Sets (or clears with null) a user's locale
+     * @param {string} userID - User ID
+     * @param {string|null} locale - Locale code
+     * @returns {string|null} The stored locale
+     * @throws {ValidationError} If the locale has no catalog
+     */
+    setUserLocale(userID, locale) {
+        if (!locale) {
+            storage.delete(NAMESPACE, String(userID));
+            return null;
+        }
+
+        const resolved = this.resolveLocale(locale);
+        if (!resolved) {
+            throw ValidationError.fromArray([
+                {
+                    field: "locale",
+                    message: `Unknown language "${locale}". Available: ${this.getLocales().join(", ")}`,
+                },
+            ]);
+        }
+
+        storage.set(NAMESPACE, String(userID), resolved);
+        return resolved;
+    }
+
+    /**
+     * Picks the locale for a reply: user choice > thread setting > default
+     * @param {Object} [scope]
+     * @param {string} [scope.userID] - User the reply is for
+     * @param {string} [scope.threadID] - Thread the reply goes to
+     * @returns {string}
+     */
+    getLocale({ userID, threadID } = {}) {
+        const candidates = [
+            this.getUserLocale(userID),
+            threadID ? threadConfig.getOverrides(threadID).language : null,
+            this.defaultLocale,
+        ];
+
+        for (const candidate of candidates) {
+            const resolved = this.resolveLocale(candidate);
+            if (resolved) return resolved;
+        }
+
+        return this.fallbackLocale;
+    }
+
+    /**
+     * Looks up a raw catalog value
+     * @param {string} locale - Locale code
+     * @param {string} key - Dotted key
+     * @returns {*}
+     * @private
+     */
+    _lookup(locale, key) {
+        let node = this._load().get(locale);
+        for (const part of key.split(".")) {
+            if (node === null || typeof node !== "object") return undefined;
+            node = node[part];
+        }
+        return node;
+    }
+
+    /**
+     * Picks the plural form for a count
+     * @param {Object} forms - Plural forms ({ one, other, "=0" })
+     * @param {number} count - Count
+     * @param {string} locale - Locale code
+     * @returns {string|undefined}
+     * @private
+     */
+    _plural(forms, count, locale) {
+        if (forms[`=${count}`] !== undefined) return forms[`=${count}`];
+
+        if (!this.pluralRules.has(locale)) {
+            let rules;
+            try {
+                rules = new Intl.PluralRules(locale);
+            } catch {
+                rules = new Intl.PluralRules("en");
+            }
+            this.pluralRules.set(locale, rules);
+        }
+
+        return forms[this.pluralRules.get(locale).select(count)] ?? forms.other;
+    }
+
+    /**
+     * Translates a key
+     * @param {string} key - Dotted catalog key
+     * @param {Object} [vars] - Placeholder values (`count` selects plural forms)
+     * @param {string} [locale] - Locale code (default locale if omitted)
+     * @returns {string} The translation, or the key itself when no catalog has it
+     */
+    t(key, vars = {}, locale = this.defaultLocale) {
+        const chain = [locale, String(locale).split("-")[0], this.fallbackLocale];
+
+        let value;
+        let usedLocale = locale;
+        for (const candidate of chain) {
+            value = this._lookup(candidate, key);
+            if (value !== undefined) {
+                usedLocale = candidate;
+                break;
+            }
+        }
+
+        if (value === undefined) return key;
+
+        if (Array.isArray(value)) {
+            value = value[Math.floor(Math.random() * value.length)];
+        } else if (value !== null && typeof value === "object") {
+            value =
+                typeof vars.count === "number"
+                    ? this._plural(value, vars.count, usedLocale)
+                    : value.other;
+        }
+
+        return String(value ?? key).replace(/\{(\w+)\}/g, (match, name) =>
+            vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+        );
+    }
+
+    /**
+     * Builds a `t()` bound to the locale of a user/thread (used for contexts)
+     * @param {Object} [scope] - See getLocale
+     * @returns {function(string, Object=): string} t with a `locale` property
+     */
+    forContext(scope = {}) {
+        const locale = this.getLocale(scope);
+        const t = (key, vars) => this.t(key, vars, locale);
+        t.locale = locale;
+        return t;
+    }
+}
+
+// Export singleton instance
+module.exports = new I18n();
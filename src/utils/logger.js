@@ -104,6 +104,8 @@ class Logger {
         };
 
         this.fileStream = null;
+        /** @type {Set<Function>} Entry listeners (see onEntry) */
+        this.listeners = new Set();
         this.startTime = Date.now();
         this.sessionId = this._generateSessionId();
         this.stats = {
@@ -246,16 +248,8 @@ class Logger {
      * @param {...any} args - Log message parts
      */
     log(level, module, ...args) {
-        if (!this.options.levels.includes(level)) return;
-
-        // Update stats
-        if (Object.prototype.hasOwnProperty.call(this.stats, level)) {
-            this.stats[level]++;
-        }
-
-        const cfg = LOG_LEVELS[level];
-        const ts = this.options.timestamps ? this._getTimestamp() : "";
-        const mod = this._formatModule(module);
+        const shown = this.options.levels.includes(level);
+        if (!shown && this.listeners.size === 0) return;
 
         // Format message
         const message = args
@@ -274,6 +268,26 @@ class Logger {
             })
             .join(" ");
 
+        // Listeners get every entry, even levels hidden from the console
+        for (const listener of this.listeners) {
+            try {
+                listener({ level, module, message, time: Date.now() });
+            } catch {
+                // A broken listener must never break logging
+            }
+        }
+
+        if (!shown) return;
+
+        // Update stats
+        if (Object.prototype.hasOwnProperty.call(this.stats, level)) {
+            this.stats[level]++;
+        }
+
+        const cfg = LOG_LEVELS[level];
+        const ts = this.options.timestamps ? this._getTimestamp() : "";
+        const mod = this._formatModule(module);
+
         // Console output
         if (this.options.console && this.options.colors) {
             const line =
@@ -797,6 +811,16 @@ class Logger {
     //  LIFECYCLE
     // ─────────────────────────────────────────────────────────────────────────
 
+    /**
+     * Calls a listener with every log entry ({ level, module, message, time })
+     * @param {Function} listener - Entry listener; must not log itself
+     * @returns {Function} Removes the listener
+     */
+    onEntry(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
     /**
      * Close file stream
      */
@@ -2,19 +2,111 @@
  * Maintenance Manager
  * Handles bot maintenance mode with anti-spam notification system
  *
+ * Maintenance comes from two places:
+ * - Manual mode (enable/disable), persisted so a restart keeps the bot closed
+ * - Windows scheduled in advance (schedule/cancel): one-off (start/end) or
+ *   recurring (cron expression + duration), ended automatically by tick()
+ *
+ * Either can be scoped to accounts (name or bot user ID), threads and command
+ * categories; an empty scope means everything. Threads that opted in with
+ * setAnnouncements() are told when a window with `announce` starts and ends.
+ *
  * @author 0x3EF8
  * @version 1.0.0
  */
 
 "use strict";
 
+const crypto = require("crypto");
+const i18n = require("./i18n");
+const storage = require("./storage");
+const logger = require("./logger");
+const { getNextRun, isValidCron, isValidTimezone } = require("./cron");
+const { ValidationError, NotFoundError } = require("./errors");
+
+/** Storage namespace: "manual", "windows", "announce" and "active" keys */
+const NAMESPACE = "maintenance";
+
+/** How often windows are checked for starting and ending */
+const TICK_INTERVAL = 30 * 1000;
+
+/** Scope dimensions */
+const SCOPE_KEYS = ["accounts", "threads", "categories"];
+
+/**
+ * Normalizes a scope: comma strings or arrays become string arrays
+ * @param {Object} [scope] - { accounts?, threads?, categories? }
+ * @returns {{accounts: string[], threads: string[], categories: string[]}}
+ */
+function normalizeScope(scope = {}) {
+    const normalized = {};
+    for (const key of SCOPE_KEYS) {
+        const value = scope?.[key];
+        const items = Array.isArray(value) ? value : value ? String(value).split(",") : [];
+        normalized[key] = [...new Set(items.map((item) => String(item).trim()).filter(Boolean))];
+    }
+    return normalized;
+}
+
+/**
+ * Whether a scope covers everything
+ * @param {Object} scope - Normalized scope
+ * @returns {boolean}
+ */
+function isGlobalScope(scope) {
+    return SCOPE_KEYS.every((key) => scope[key].length === 0);
+}
+
+/**
+ * Whether a scope covers a context. A restricted dimension the context
+ * doesn't have (e.g. categories for events) doesn't match.
+ * @param {Object} scope - Normalized scope
+ * @param {Object} context - { account?, botID?, threadID?, category? }
+ * @returns {boolean}
+ */
+function matchesScope(scope, context) {
+    if (
+        scope.accounts.length > 0 &&
+        !scope.accounts.includes(context.account) &&
+        !scope.accounts.includes(context.botID && String(context.botID))
+    ) {
+        return false;
+    }
+    if (scope.threads.length > 0 && !scope.threads.includes(String(context.threadID))) {
+        return false;
+    }
+    if (scope.categories.length > 0 && !scope.categories.includes(context.category)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Parses a time given as epoch ms, a Date or a date string
+ * @param {*} value - Time
+ * @returns {number|null} Epoch ms, null if missing, NaN if invalid
+ */
+function toTime(value) {
+    if (value === undefined || value === null || value === "") return null;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === "number") return value;
+    return new Date(value).getTime();
+}
+
 /**
  * MaintenanceManager Class
  * Manages maintenance mode state and user notifications
  */
 class MaintenanceManager {
-    constructor() {
-        /** @type {boolean} Whether maintenance mode is active */
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - StorageManager to persist to (default: the shared one)
+     */
+    constructor(options = {}) {
+        /** @type {Object} StorageManager holding the "maintenance" namespace */
+        this.storage = options.storage || storage;
+
+        /** @type {boolean} Whether manual maintenance mode is active */
         this.enabled = false;
 
         /** @type {string} Maintenance reason/message */
@@ -26,6 +118,24 @@ class MaintenanceManager {
         /** @type {Date|null} Estimated end time */
         this.estimatedEnd = null;
 
+        /** @type {Object} Scope of manual maintenance (empty = everything) */
+        this.scope = normalizeScope();
+
+        /** @type {Array<Object>} Scheduled windows */
+        this.windows = [];
+
+        /** @type {Object<string, string>} Thread ID -> bot user ID that announces there */
+        this.announceThreads = {};
+
+        /** @type {Set<string>} Window IDs that were active at the last tick */
+        this.activeWindows = new Set();
+
+        /** @type {Object|null} AccountManager used to send announcements */
+        this.accountManager = null;
+
+        /** @type {NodeJS.Timeout|null} Window check timer */
+        this.timer = null;
+
         /** @type {Set<string>} Users who have been notified (prevents spam) */
         this.notifiedUsers = new Set();
 
@@ -34,6 +144,44 @@ class MaintenanceManager {
 
         /** @type {Map<string, number>} Track when users were last notified */
         this.lastNotified = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Restores manual mode, windows and announcement opt-ins from storage
+     */
+    load() {
+        try {
+            const manual = this.storage.get(NAMESPACE, "manual", null);
+            if (manual) {
+                this.enabled = true;
+                this.reason = manual.reason;
+                this.startedAt = new Date(manual.startedAt);
+                this.estimatedEnd = manual.estimatedEnd ? new Date(manual.estimatedEnd) : null;
+                this.scope = normalizeScope(manual.scope);
+            }
+            this.windows = this.storage.get(NAMESPACE, "windows", []);
+            this.announceThreads = this.storage.get(NAMESPACE, "announce", {});
+            this.activeWindows = new Set(this.storage.get(NAMESPACE, "active", []));
+        } catch (error) {
+            logger.error("Maintenance", `Failed to load maintenance state: ${error.message}`);
+        }
+    }
+
+    /**
+     * Persists one storage key, logging instead of throwing
+     * @param {string} key - Storage key
+     * @param {*} value - Value, or null to delete
+     * @private
+     */
+    _save(key, value) {
+        try {
+            if (value === null) this.storage.delete(NAMESPACE, key);
+            else this.storage.set(NAMESPACE, key, value);
+        } catch (error) {
+            logger.error("Maintenance", `Failed to save maintenance state: ${error.message}`);
+        }
     }
 
     /**
@@ -41,12 +189,14 @@ class MaintenanceManager {
      * @param {Object} options - Maintenance options
      * @param {string} [options.reason] - Reason for maintenance
      * @param {number} [options.estimatedMinutes] - Estimated duration in minutes
+     * @param {Object} [options.scope] - { accounts?, threads?, categories? } (default: everything)
      * @returns {Object} Maintenance status
      */
     enable(options = {}) {
         this.enabled = true;
         this.reason = options.reason || "The bot is currently under maintenance.";
         this.startedAt = new Date();
+        this.scope = normalizeScope(options.scope);
 
         if (options.estimatedMinutes) {
             this.estimatedEnd = new Date(Date.now() + options.estimatedMinutes * 60 * 1000);
@@ -58,6 +208,7 @@ class MaintenanceManager {
         this.notifiedUsers.clear();
         this.lastNotified.clear();
 
+        this._saveManual();
         return this.getStatus();
     }
 
@@ -70,33 +221,397 @@ class MaintenanceManager {
         this.reason = "";
         this.startedAt = null;
         this.estimatedEnd = null;
+        this.scope = normalizeScope();
         this.notifiedUsers.clear();
         this.lastNotified.clear();
 
+        this._saveManual();
         return this.getStatus();
     }
 
     /**
-     * Check if maintenance mode is active
+     * Persists manual mode
+     * @private
+     */
+    _saveManual() {
+        this._save(
+            "manual",
+            this.enabled
+                ? {
+                      reason: this.reason,
+                      startedAt: this.startedAt.getTime(),
+                      estimatedEnd: this.estimatedEnd ? this.estimatedEnd.getTime() : null,
+                      scope: this.scope,
+                  }
+                : null
+        );
+    }
+
+    /**
+     * Check if maintenance applies. Without a context only maintenance that
+     * covers everything counts (what background tasks check).
+     * @param {Object} [context] - { account?, botID?, threadID?, category? }
+     * @returns {boolean}
+     */
+    isEnabled(context = {}) {
+        return this.getActive(context) !== null;
+    }
+
+    /**
+     * The maintenance that applies to a context right now (manual mode first)
+     * @param {Object} [context] - { account?, botID?, threadID?, category? }
+     * @param {number} [now] - Current time
+     * @returns {{source: string, id: string, reason: string, startedAt: Date, endsAt: Date|null, scope: Object}|null}
+     */
+    getActive(context = {}, now = Date.now()) {
+        if (this.enabled && matchesScope(this.scope, context)) {
+            return {
+                source: "manual",
+                id: "manual",
+                reason: this.reason,
+                startedAt: this.startedAt,
+                endsAt: this.estimatedEnd,
+                scope: this.scope,
+            };
+        }
+
+        for (const window of this.windows) {
+            const occurrence = this.getOccurrence(window, now);
+            if (occurrence && matchesScope(window.scope, context)) {
+                return {
+                    source: "window",
+                    id: window.id,
+                    reason: window.reason,
+                    startedAt: new Date(occurrence.start),
+                    endsAt: new Date(occurrence.end),
+                    scope: window.scope,
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Maintenance context of something a bot received
+     * @param {Object} api - API of the bot
+     * @param {string} threadID - Thread ID
+     * @param {string} [category] - Command category
+     * @returns {{account?: string, botID?: string, threadID: string, category?: string}}
+     */
+    contextOf(api, threadID, category) {
+        const botID = api?.getCurrentUserID?.();
+        const account = botID ? this.accountManager?.getAccountByUserID(botID)?.name : undefined;
+        return { account, botID, threadID, category };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SCHEDULED WINDOWS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Schedules a maintenance window
+     * @param {Object} options
+     * @param {string} [options.reason] - Shown to users
+     * @param {number|string|Date} [options.start] - One-off start, or when a recurring
+     *   window begins to apply (default: now)
+     * @param {number|string|Date} [options.end] - One-off end, or when a recurring window
+     *   stops applying
+     * @param {string} [options.cron] - Recurring: when each occurrence starts
+     * @param {number} [options.durationMinutes] - Recurring: length of each occurrence
+     * @param {string} [options.timezone] - Timezone of the cron expression
+     * @param {Object} [options.scope] - { accounts?, threads?, categories? }
+     * @param {boolean} [options.announce=false] - Tell opted-in threads when it starts/ends
+     * @returns {Object} The window
+     * @throws {ValidationError}
+     */
+    schedule(options = {}) {
+        const now = Date.now();
+        const errors = [];
+        const start = toTime(options.start) ?? now;
+        const end = toTime(options.end);
+        const cron = options.cron ? String(options.cron).trim() : null;
+        const durationMinutes = options.durationMinutes ?? null;
+
+        if (Number.isNaN(start)) errors.push({ field: "start", message: "start is not a date" });
+        if (Number.isNaN(end)) errors.push({ field: "end", message: "end is not a date" });
+
+        if (cron) {
+            if (!isValidCron(cron)) {
+                errors.push({ field: "cron", message: "cron is not a valid cron expression" });
+            }
+            if (!(Number.isFinite(durationMinutes) && durationMinutes > 0)) {
+                errors.push({
+                    field: "durationMinutes",
+                    message: "durationMinutes must be a positive number for a recurring window",
+                });
+            }
+            if (options.timezone && !isValidTimezone(options.timezone)) {
+                errors.push({ field: "timezone", message: "timezone is not a valid timezone" });
+            }
+        } else if (end === null) {
+            errors.push({ field: "end", message: "end is required (or a cron expression)" });
+        }
+        if (end && !Number.isNaN(end) && (end <= start || end <= now)) {
+            errors.push({ field: "end", message: "end must be in the future and after start" });
+        }
+        if (errors.length > 0) throw ValidationError.fromArray(errors);
+
+        const window = {
+            id: crypto.randomBytes(3).toString("hex"),
+            reason: options.reason || "Scheduled maintenance.",
+            start,
+            end,
+            cron,
+            durationMinutes: cron ? durationMinutes : null,
+            timezone: cron ? options.timezone || null : null,
+            scope: normalizeScope(options.scope),
+            announce: Boolean(options.announce),
+            createdAt: now,
+        };
+
+        this.windows.push(window);
+        this._save("windows", this.windows);
+        logger.info("Maintenance", `Scheduled maintenance window ${window.id}`);
+        return this.describeWindow(window, now);
+    }
+
+    /**
+     * Removes a window (an active one ends right away, without an announcement)
+     * @param {string} id - Window ID
+     * @returns {Object} The removed window
+     * @throws {NotFoundError}
+     */
+    cancel(id) {
+        const index = this.windows.findIndex((window) => window.id === id);
+        if (index === -1) throw new NotFoundError("Maintenance window", id);
+
+        const [window] = this.windows.splice(index, 1);
+        this.activeWindows.delete(id);
+        this._save("windows", this.windows);
+        this._save("active", [...this.activeWindows]);
+        return this.describeWindow(window);
+    }
+
+    /**
+     * Scheduled windows with their current state
+     * @param {number} [now] - Current time
+     * @returns {Array<Object>}
+     */
+    listWindows(now = Date.now()) {
+        return this.windows.map((window) => this.describeWindow(window, now));
+    }
+
+    /**
+     * A window plus whether it is active and when it next starts/ends
+     * @param {Object} window - Stored window
+     * @param {number} [now] - Current time
+     * @returns {Object}
+     */
+    describeWindow(window, now = Date.now()) {
+        const current = this.getOccurrence(window, now);
+        const next = current || this.getNextOccurrence(window, now);
+        return {
+            ...window,
+            active: Boolean(current),
+            nextStart: next ? new Date(next.start) : null,
+            nextEnd: next ? new Date(next.end) : null,
+        };
+    }
+
+    /**
+     * The occurrence of a window that covers a time
+     * @param {Object} window - Stored window
+     * @param {number} now - Time
+     * @returns {{start: number, end: number}|null}
+     */
+    getOccurrence(window, now) {
+        if (!window.cron) {
+            return window.start <= now && now < window.end
+                ? { start: window.start, end: window.end }
+                : null;
+        }
+
+        const duration = window.durationMinutes * 60 * 1000;
+        const from = Math.max(now - duration, window.start - 1000);
+        const start = getNextRun(window.cron, { from, timezone: window.timezone || undefined });
+        if (!start || start.getTime() > now) return null;
+        if (window.end && start.getTime() >= window.end) return null;
+
+        const end = Math.min(start.getTime() + duration, window.end || Infinity);
+        return now < end ? { start: start.getTime(), end } : null;
+    }
+
+    /**
+     * The next occurrence of a window that starts after a time
+     * @param {Object} window - Stored window
+     * @param {number} now - Time
+     * @returns {{start: number, end: number}|null}
+     */
+    getNextOccurrence(window, now) {
+        if (!window.cron) {
+            return window.start > now ? { start: window.start, end: window.end } : null;
+        }
+
+        const from = Math.max(now, window.start - 1000);
+        const start = getNextRun(window.cron, { from, timezone: window.timezone || undefined });
+        if (!start || (window.end && start.getTime() >= window.end)) return null;
+
+        const end = start.getTime() + window.durationMinutes * 60 * 1000;
+        return { start: start.getTime(), end: Math.min(end, window.end || Infinity) };
+    }
+
+    /**
+     * Starts checking windows (call once the accounts are online)
+     * @param {Object} [accountManager] - Sends announcements
+     */
+    start(accountManager = null) {
+        this.accountManager = accountManager;
+        this.stop();
+        this.timer = setInterval(() => {
+            this.tick().catch((error) => {
+                logger.error("Maintenance", `Window check failed: ${error.message}`);
+            });
+        }, TICK_INTERVAL);
+        this.timer.unref?.();
+        return this.tick();
+    }
+
+    /**
+     * Stops checking windows
+     */
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Announces windows that started or ended since the last check and drops
+     * one-off windows that are over
+     * @param {number} [now] - Current time
+     * @returns {Promise<{started: string[], ended: string[]}>} Window IDs
+     */
+    async tick(now = Date.now()) {
+        const started = [];
+        const ended = [];
+
+        for (const window of this.windows) {
+            const active = Boolean(this.getOccurrence(window, now));
+            if (active && !this.activeWindows.has(window.id)) started.push(window);
+            if (!active && this.activeWindows.has(window.id)) ended.push(window);
+        }
+
+        for (const window of started) this.activeWindows.add(window.id);
+        for (const window of ended) this.activeWindows.delete(window.id);
+
+        // Forget cancelled windows and drop windows that are over for good
+        const known = new Set(this.windows.map((window) => window.id));
+        for (const id of this.activeWindows) {
+            if (!known.has(id)) this.activeWindows.delete(id);
+        }
+        const remaining = this.windows.filter((window) => !window.end || window.end > now);
+        if (remaining.length !== this.windows.length) {
+            this.windows = remaining;
+            this._save("windows", this.windows);
+        }
+        if (started.length > 0 || ended.length > 0) {
+            this._save("active", [...this.activeWindows]);
+        }
+
+        for (const window of started) {
+            logger.warn("Maintenance", `Maintenance window ${window.id} started: ${window.reason}`);
+            if (window.announce) await this.announce(window, "start", now);
+        }
+        for (const window of ended) {
+            logger.info("Maintenance", `Maintenance window ${window.id} ended`);
+            if (window.announce) await this.announce(window, "end", now);
+        }
+
+        return {
+            started: started.map((window) => window.id),
+            ended: ended.map((window) => window.id),
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ANNOUNCEMENTS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Opts a thread in or out of window announcements
+     * @param {string} threadID - Thread ID
+     * @param {string|null} botID - Bot that announces there (null opts out)
+     */
+    setAnnouncements(threadID, botID) {
+        if (botID) this.announceThreads[String(threadID)] = String(botID);
+        else delete this.announceThreads[String(threadID)];
+        this._save("announce", this.announceThreads);
+    }
+
+    /**
+     * Whether a thread gets window announcements
+     * @param {string} threadID - Thread ID
      * @returns {boolean}
      */
-    isEnabled() {
-        return this.enabled;
+    hasAnnouncements(threadID) {
+        return Boolean(this.announceThreads[String(threadID)]);
     }
 
     /**
-     * Get current maintenance status
+     * Tells opted-in threads a window started or ended
+     * (categories don't limit who is told - the thread is still affected)
+     * @param {Object} window - Stored window
+     * @param {"start"|"end"} phase - What happened
+     * @param {number} now - Current time
+     * @returns {Promise<number>} Threads told
+     */
+    async announce(window, phase, now) {
+        let sent = 0;
+        const occurrence = this.getOccurrence(window, now);
+        const scope = { ...window.scope, categories: [] };
+
+        for (const [threadID, botID] of Object.entries(this.announceThreads)) {
+            const account = this.accountManager?.getAccountByUserID(botID);
+            if (!matchesScope(scope, { account: account?.name, botID, threadID })) continue;
+            if (!account?.api || account.status !== "online") continue;
+
+            const t = i18n.forContext({ threadID });
+            const message =
+                phase === "start"
+                    ? t("maintenance.windowStart", {
+                          reason: window.reason,
+                          time: this.formatDuration((occurrence?.end ?? now) - now),
+                      })
+                    : t("maintenance.windowEnd");
+
+            try {
+                await account.api.sendMessage(message, threadID);
+                sent++;
+            } catch (error) {
+                logger.warn(
+                    "Maintenance",
+                    `Could not announce maintenance to ${threadID}: ${error.message}`
+                );
+            }
+        }
+        return sent;
+    }
+
+    /**
+     * Get current maintenance status (of maintenance that covers everything)
      * @returns {Object}
      */
     getStatus() {
+        const active = this.getActive();
+        const startedAt = active ? active.startedAt : this.startedAt;
         return {
-            enabled: this.enabled,
-            reason: this.reason,
-            startedAt: this.startedAt,
-            estimatedEnd: this.estimatedEnd,
-            duration: this.startedAt
-                ? this.formatDuration(Date.now() - this.startedAt.getTime())
-                : null,
+            enabled: Boolean(active),
+            source: active?.source || null,
+            reason: active ? active.reason : this.reason,
+            startedAt,
+            estimatedEnd: active ? active.endsAt : this.estimatedEnd,
+            duration: startedAt ? this.formatDuration(Date.now() - startedAt.getTime()) : null,
+            scope: this.enabled && !isGlobalScope(this.scope) ? this.scope : null,
+            windows: this.listWindows(),
             notifiedCount: this.notifiedUsers.size,
         };
     }
@@ -108,8 +623,6 @@ class MaintenanceManager {
      * @returns {boolean} Whether to send notification
      */
     shouldNotify(userId) {
-        if (!this.enabled) return false;
-
         const lastTime = this.lastNotified.get(userId);
         const now = Date.now();
 
@@ -132,21 +645,27 @@ class MaintenanceManager {
 
     /**
      * Get maintenance message for users
+     * @param {string} [locale] - Locale for the message (default locale if omitted)
+     * @param {Object} [active] - From getActive() (default: global maintenance)
      * @returns {string}
      */
-    getMessage() {
-        let message = `🔧 Maintenance Mode\n\n${this.reason}`;
+    getMessage(locale, active = this.getActive()) {
+        const t = (key, vars) => i18n.t(key, vars, locale || i18n.defaultLocale);
+        const reason = active?.reason || this.reason;
+        const endsAt = active ? active.endsAt : this.estimatedEnd;
+
+        let message = `${t("maintenance.title")}\n\n${reason}`;
 
-        if (this.estimatedEnd) {
-            const remaining = this.estimatedEnd.getTime() - Date.now();
+        if (endsAt) {
+            const remaining = endsAt.getTime() - Date.now();
             if (remaining > 0) {
-                message += `\n\n⏱️ Estimated time remaining: ${this.formatDuration(remaining)}`;
+                message += `\n\n${t("maintenance.eta", { time: this.formatDuration(remaining) })}`;
             } else {
-                message += `\n\n⏱️ Should be back online soon...`;
+                message += `\n\n${t("maintenance.soon")}`;
             }
         }
 
-        message += `\n\nPlease try again later. Thank you for your patience.`;
+        message += `\n\n${t("maintenance.footer")}`;
 
         return message;
     }
@@ -179,6 +698,7 @@ class MaintenanceManager {
      */
     setReason(reason) {
         this.reason = reason;
+        if (this.enabled) this._saveManual();
     }
 
     /**
@@ -187,6 +707,7 @@ class MaintenanceManager {
      */
     setEstimatedTime(minutes) {
         this.estimatedEnd = new Date(Date.now() + minutes * 60 * 1000);
+        if (this.enabled) this._saveManual();
     }
 
     /**
@@ -194,6 +715,7 @@ class MaintenanceManager {
      */
     clearEstimatedTime() {
         this.estimatedEnd = null;
+        if (this.enabled) this._saveManual();
     }
 
     /**
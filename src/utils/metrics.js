@@ -0,0 +1,366 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                              METRICS                                          ║
+ * ║            OpenMetrics (Prometheus) exposition of bot statistics              ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Renders everything the bot already counts - statsTracker, the command, event
+ * and background handlers, accounts, Gemini keys and the Node.js process - as
+ * OpenMetrics text for the REST server's /metrics endpoint.
+ *
+ * Latency histograms are plain objects ({ buckets, sum, count }) kept next to
+ * the stats they belong to; create them with createHistogram() and feed them
+ * with observe().
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { monitorEventLoopDelay } = require("perf_hooks");
+
+/** Histogram bucket upper bounds in seconds */
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/** Content type for the exposition */
+const CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+/** Event loop sampling interval (ms); samples include it, so it is subtracted */
+const LAG_RESOLUTION = 10;
+
+/** Event loop delay sampler (started on load so the first scrape has data) */
+const eventLoopDelay = monitorEventLoopDelay({ resolution: LAG_RESOLUTION });
+eventLoopDelay.enable();
+
+/**
+ * An empty latency histogram
+ * @returns {{buckets: number[], sum: number, count: number}}
+ */
+function createHistogram() {
+    return { buckets: new Array(LATENCY_BUCKETS.length).fill(0), sum: 0, count: 0 };
+}
+
+/**
+ * Adds a duration to a histogram
+ * @param {Object} histogram - From createHistogram()
+ * @param {number} ms - Duration in milliseconds
+ */
+function observe(histogram, ms) {
+    const seconds = ms / 1000;
+    const index = LATENCY_BUCKETS.findIndex((bound) => seconds <= bound);
+    if (index !== -1) histogram.buckets[index]++;
+    histogram.sum += seconds;
+    histogram.count++;
+}
+
+/**
+ * Event loop lag in seconds from a sampler reading
+ * @param {number} nanoseconds - Sampled delay
+ * @returns {number}
+ */
+function toLag(nanoseconds) {
+    return Math.max(nanoseconds / 1e6 - LAG_RESOLUTION, 0) / 1000;
+}
+
+/**
+ * Escapes a label value
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * Formats a label set
+ * @param {Object} [labels] - Label names and values
+ * @returns {string} e.g. {command="ping"}
+ */
+function formatLabels(labels = {}) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Formats a sample value
+ * @param {number} value - Sample value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) return "+Inf";
+    return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+/**
+ * MetricsWriter Class
+ * Collects metric families and renders the OpenMetrics text
+ */
+class MetricsWriter {
+    constructor() {
+        /** @type {string[]} Output lines */
+        this.lines = [];
+    }
+
+    /**
+     * Starts a metric family
+     * @param {string} name - Family name (without _total for counters)
+     * @param {"counter"|"gauge"|"histogram"} type - Metric type
+     * @param {string} help - Description
+     * @returns {MetricsWriter} this
+     * @private
+     */
+    _family(name, type, help) {
+        this.lines.push(`# TYPE ${name} ${type}`, `# HELP ${name} ${help}`);
+        return this;
+    }
+
+    /**
+     * Adds a counter family
+     * @param {string} name - Family name; samples get the _total suffix
+     * @param {string} help - Description
+     * @param {Array<[Object, number]>} samples - [labels, value] pairs
+     */
+    counter(name, help, samples) {
+        this._family(name, "counter", help);
+        for (const [labels, value] of samples) {
+            this.lines.push(`${name}_total${formatLabels(labels)} ${formatValue(value)}`);
+        }
+    }
+
+    /**
+     * Adds a gauge family
+     * @param {string} name - Family name
+     * @param {string} help - Description
+     * @param {Array<[Object, number]>} samples - [labels, value] pairs
+     */
+    gauge(name, help, samples) {
+        this._family(name, "gauge", help);
+        for (const [labels, value] of samples) {
+            this.lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+    }
+
+    /**
+     * Adds a histogram family
+     * @param {string} name - Family name
+     * @param {string} help - Description
+     * @param {Array<[Object, Object]>} samples - [labels, histogram] pairs
+     */
+    histogram(name, help, samples) {
+        this._family(name, "histogram", help);
+        for (const [labels, histogram] of samples) {
+            let cumulative = 0;
+            LATENCY_BUCKETS.forEach((bound, i) => {
+                cumulative += histogram.buckets[i] || 0;
+                const bucketLabels = formatLabels({ ...labels, le: bound });
+                this.lines.push(`${name}_bucket${bucketLabels} ${cumulative}`);
+            });
+            const infLabels = formatLabels({ ...labels, le: "+Inf" });
+            this.lines.push(`${name}_bucket${infLabels} ${histogram.count}`);
+            this.lines.push(`${name}_sum${formatLabels(labels)} ${histogram.sum}`);
+            this.lines.push(`${name}_count${formatLabels(labels)} ${histogram.count}`);
+        }
+    }
+
+    /**
+     * Renders the exposition
+     * @returns {string}
+     */
+    toString() {
+        return `${this.lines.join("\n")}\n# EOF\n`;
+    }
+}
+
+/**
+ * Gemini usage, or null when the AI module isn't available
+ * @returns {Object|null}
+ */
+function getGeminiStats() {
+    try {
+        const { gemini } = require("../features/events/AI/beta/core/gemini");
+        return gemini.getStats();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Renders all bot metrics as OpenMetrics text
+ * @param {Object} [options]
+ * @param {Object} [options.accountManager] - AccountManager for per-account metrics
+ * @returns {string} Exposition text
+ */
+function collect(options = {}) {
+    // Required here: these modules import this one for createHistogram/observe
+    const statsTracker = require("./statsTracker");
+    const commandHandler = require("../handlers/commandHandler");
+    const eventHandler = require("../handlers/eventHandler");
+    const backgroundHandler = require("../handlers/backgroundHandler");
+    const sendQueue = require("./sendQueue");
+
+    const { accountManager } = options;
+    const stats = statsTracker.stats;
+    const writer = new MetricsWriter();
+
+    // Bot activity (statsTracker, persisted across restarts)
+    writer.counter("nero_messages", "Messages received", [
+        [{ type: "text" }, stats.messages.text],
+        [{ type: "attachment" }, stats.messages.attachments],
+        [
+            { type: "other" },
+            stats.messages.total - stats.messages.text - stats.messages.attachments,
+        ],
+    ]);
+    writer.counter("nero_reactions", "Reactions received", [[{}, stats.messages.reactions]]);
+    writer.counter("nero_commands", "Command executions by result", [
+        [{ result: "success" }, stats.commands.successful],
+        [{ result: "failure" }, stats.commands.failed],
+        [{ result: "blocked" }, stats.commands.blocked],
+    ]);
+    writer.counter(
+        "nero_command_uses",
+        "Executions per command",
+        [...statsTracker.commandUsage].map(([name, count]) => [{ command: name }, count])
+    );
+    writer.counter("nero_events", "Event handler runs by result", [
+        [{ result: "success" }, stats.events.triggered],
+        [{ result: "failure" }, stats.events.failed],
+    ]);
+    writer.counter(
+        "nero_background_task_runs",
+        "Background task runs by result",
+        [...statsTracker.backgroundTaskUsage].flatMap(([name, task]) => [
+            [{ task: name, result: "success" }, task.successful],
+            [{ task: name, result: "failure" }, task.failed],
+        ])
+    );
+    writer.histogram(
+        "nero_background_task_duration_seconds",
+        "Successful background task run time",
+        [...statsTracker.backgroundTaskUsage]
+            .filter(([, task]) => task.durations)
+            .map(([name, task]) => [{ task: name }, task.durations])
+    );
+    writer.gauge("nero_active_users", "Users seen", [[{}, statsTracker.userActivity.size]]);
+    writer.gauge("nero_active_threads", "Threads seen", [[{}, statsTracker.threadActivity.size]]);
+
+    // Handlers (this process)
+    writer.histogram(
+        "nero_command_duration_seconds",
+        "Successful command run time",
+        [...commandHandler.commandStats].map(([name, entry]) => [{ command: name }, entry.latency])
+    );
+    const commandInfo = commandHandler.getStats();
+    writer.gauge("nero_commands_loaded", "Loaded commands", [[{}, commandInfo.totalCommands]]);
+    writer.gauge("nero_rate_limit_buckets", "Rate-limit buckets in use", [
+        [{}, commandInfo.rateLimitBuckets],
+    ]);
+    writer.gauge("nero_event_handlers_loaded", "Loaded event handlers", [
+        [{}, eventHandler.stats.loaded],
+    ]);
+    const backgroundInfo = backgroundHandler.getStats();
+    writer.gauge("nero_background_tasks", "Background tasks by state", [
+        [{ state: "loaded" }, backgroundInfo.total],
+        [{ state: "running" }, backgroundInfo.running],
+    ]);
+
+    // Outbound send queues (this process)
+    const queues = Object.entries(sendQueue.getStats().accounts);
+    writer.gauge(
+        "nero_send_queue_depth",
+        "Outbound messages waiting or in flight",
+        queues.flatMap(([account, queue]) => [
+            [{ account, state: "queued" }, queue.queued],
+            [{ account, state: "sending" }, queue.sending],
+        ])
+    );
+    writer.counter(
+        "nero_sends",
+        "Outbound messages by result",
+        queues.flatMap(([account, queue]) => [
+            [{ account, result: "sent" }, queue.sent],
+            [{ account, result: "failed" }, queue.failed],
+        ])
+    );
+    writer.counter(
+        "nero_send_retries",
+        "Outbound send retries",
+        queues.map(([account, queue]) => [{ account }, queue.retried])
+    );
+
+    // Accounts
+    if (accountManager) {
+        const accounts = accountManager.getAllAccounts();
+        writer.gauge(
+            "nero_account_online",
+            "Whether an account is online (1) or not (0)",
+            accounts.map((account) => [
+                { account: account.name },
+                account.status === "online" ? 1 : 0,
+            ])
+        );
+        writer.gauge(
+            "nero_accounts",
+            "Accounts by status",
+            Object.entries(accountManager.getAccountStats())
+                .filter(([status]) => status !== "total")
+                .map(([status, count]) => [{ status }, count])
+        );
+        writer.counter(
+            "nero_account_messages",
+            "Messages received per account",
+            accounts.map((account) => [{ account: account.name }, account.messageCount])
+        );
+        writer.counter(
+            "nero_account_commands",
+            "Commands handled per account",
+            accounts.map((account) => [{ account: account.name }, account.commandCount])
+        );
+        writer.counter(
+            "nero_appstate_saves",
+            "Appstate saves per account",
+            accounts.map((account) => [
+                { account: account.name },
+                accountManager.getAppStateSaveStats(account.name)?.totalSaves || 0,
+            ])
+        );
+    }
+
+    // Gemini
+    const gemini = getGeminiStats();
+    if (gemini) {
+        writer.counter("nero_gemini_requests", "Gemini requests by result", [
+            [{ result: "success" }, gemini.success],
+            [{ result: "failure" }, gemini.failures],
+        ]);
+        writer.gauge("nero_gemini_keys", "Gemini API keys by health", [
+            [{ state: "healthy" }, Math.max(gemini.activeKeys - gemini.failedKeys, 0)],
+            [{ state: "failed" }, gemini.failedKeys],
+        ]);
+    }
+
+    // Process
+    const memory = process.memoryUsage();
+    const cpu = process.cpuUsage();
+    writer.gauge("nero_uptime_seconds", "Bot uptime", [[{}, statsTracker.getUptime()]]);
+    writer.counter("process_cpu_seconds", "User and system CPU time", [
+        [{}, (cpu.user + cpu.system) / 1e6],
+    ]);
+    writer.gauge("process_resident_memory_bytes", "Resident set size", [[{}, memory.rss]]);
+    writer.gauge("nodejs_heap_bytes", "V8 heap", [
+        [{ type: "used" }, memory.heapUsed],
+        [{ type: "total" }, memory.heapTotal],
+        [{ type: "external" }, memory.external],
+    ]);
+    writer.gauge("nodejs_eventloop_lag_seconds", "Event loop delay since the last scrape", [
+        [{ quantile: "0.5" }, toLag(eventLoopDelay.percentile(50))],
+        [{ quantile: "0.99" }, toLag(eventLoopDelay.percentile(99))],
+        [{ quantile: "1" }, toLag(eventLoopDelay.max)],
+    ]);
+    eventLoopDelay.reset();
+
+    return writer.toString();
+}
+
+module.exports = { collect, createHistogram, observe, CONTENT_TYPE, LATENCY_BUCKETS };
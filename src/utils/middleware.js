@@ -0,0 +1,139 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                             NERO - MIDDLEWARE                                 ║
+ * ║            Ordered (ctx, next) chains for command and event dispatch          ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A middleware is `async (ctx, next) => {}`. Calling `await next()` hands the
+ * context to the next middleware (and finally to the handler itself); returning
+ * without calling it stops dispatch. Code after `await next()` runs once
+ * everything downstream has finished, so a middleware can time or wrap it.
+ *
+ * Middlewares run in the order they were added. `before` / `after` place a new
+ * one next to a named middleware (e.g. the handlers' built-in checks).
+ *
+ * @example
+ * commandHandler.use(
+ *     async (ctx, next) => {
+ *         if (/badword/i.test(ctx.event.body)) return; // short-circuit
+ *         await next();
+ *     },
+ *     { name: "filter", before: "permission" }
+ * );
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { ValidationError } = require("./errors");
+
+/**
+ * MiddlewarePipeline Class
+ * Holds an ordered list of middlewares and runs a context through them
+ */
+class MiddlewarePipeline {
+    /**
+     * Creates a new pipeline
+     * @param {string} [name] - Pipeline name (for error messages)
+     */
+    constructor(name = "pipeline") {
+        /** @type {string} */
+        this.name = name;
+
+        /** @type {Array<{name: string|null, fn: function(Object, function(): Promise): *}>} */
+        this.stack = [];
+    }
+
+    /**
+     * Adds a middleware
+     * @param {function(Object, function(): Promise): *} fn - Middleware
+     * @param {Object} [options]
+     * @param {string} [options.name] - Name used by remove() and before/after
+     * @param {string} [options.before] - Insert before this middleware
+     * @param {string} [options.after] - Insert after this middleware
+     * @returns {MiddlewarePipeline} this (chainable)
+     * @throws {ValidationError} If fn isn't a function or the anchor doesn't exist
+     */
+    use(fn, options = {}) {
+        if (typeof fn !== "function") {
+            throw ValidationError.fromArray([
+                { field: "middleware", message: "Middleware must be a function" },
+            ]);
+        }
+
+        const entry = { name: options.name || fn.name || null, fn };
+        const anchor = options.before || options.after;
+
+        if (!anchor) {
+            this.stack.push(entry);
+            return this;
+        }
+
+        const index = this.stack.findIndex((item) => item.name === anchor);
+        if (index === -1) {
+            throw ValidationError.fromArray([
+                {
+                    field: options.before ? "before" : "after",
+                    message: `No middleware named "${anchor}" in the ${this.name} pipeline`,
+                },
+            ]);
+        }
+
+        this.stack.splice(options.before ? index : index + 1, 0, entry);
+        return this;
+    }
+
+    /**
+     * Removes a middleware by name or function
+     * @param {string|Function} nameOrFn - Middleware name or the function itself
+     * @returns {boolean} Whether one was removed
+     */
+    remove(nameOrFn) {
+        const index = this.stack.findIndex((item) =>
+            typeof nameOrFn === "function" ? item.fn === nameOrFn : item.name === nameOrFn
+        );
+        if (index === -1) return false;
+
+        this.stack.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Names of the middlewares in order (unnamed ones show as "anonymous")
+     * @returns {Array<string>}
+     */
+    list() {
+        return this.stack.map((item) => item.name || "anonymous");
+    }
+
+    /**
+     * Runs a context through every middleware, then `final`
+     * @param {Object} ctx - Dispatch context (shared and mutable)
+     * @param {function(Object): *} [final] - Runs when the last middleware calls next()
+     * @returns {Promise<*>} What the first middleware returns
+     */
+    async run(ctx, final) {
+        // Snapshot so use()/remove() during dispatch don't shift the chain
+        const stack = this.stack.map((item) => item.fn);
+        let current = -1;
+
+        const dispatch = async (index) => {
+            if (index <= current) {
+                throw new Error(`next() called multiple times in the ${this.name} pipeline`);
+            }
+            current = index;
+
+            if (index === stack.length) {
+                return final ? final(ctx) : undefined;
+            }
+
+            return stack[index](ctx, () => dispatch(index + 1));
+        };
+
+        return dispatch(0);
+    }
+}
+
+module.exports = { MiddlewarePipeline };
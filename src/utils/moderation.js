@@ -0,0 +1,659 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                             MODERATION                                        ║
+ * ║        Per-thread warnings, escalation ladders, command mutes and logs        ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Warnings are counted per user and thread and expire after
+ * `warningExpiryDays`. Each new warning is checked against the thread's
+ * escalation ladder and the highest step reached is applied:
+ *
+ *   { warnings: 3, action: "mute", minutes: 60 }  -> no bot commands for an hour
+ *   { warnings: 5, action: "kick" }               -> removed with api.gcmember
+ *
+ * Warnings come from the `warn` command or from the moderation event handler
+ * (blocked words, links and floods of identical messages). Everything that
+ * happens is written to the thread's moderation log.
+ *
+ * Storage namespaces:
+ *  • moderation - per-thread overrides of settings.moderation (by thread ID)
+ *  • warnings   - warning lists keyed "<threadID>:<userID>"
+ *  • mutes      - active command mutes keyed "<threadID>:<userID>"
+ *  • modlog     - moderation log entries by thread ID (newest last)
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const settings = require("../config/settings");
+const storage = require("./storage");
+const logger = require("./logger");
+const i18n = require("./i18n");
+const { parseDuration } = require("./argParser");
+const { ValidationError } = require("./errors");
+
+/** Settings a thread may override */
+const THREAD_SETTINGS = ["ladder", "words", "links", "flood", "floodSeconds"];
+
+/** Actions an escalation step can take */
+const ACTIONS = ["mute", "kick"];
+
+/** Matches http(s) links and bare www. addresses */
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/i;
+
+/** Milliseconds per day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * ModerationManager Class
+ * Tracks warnings, mutes and filters for every thread
+ */
+class ModerationManager {
+    constructor() {
+        /** @type {Map<string, {text: string, count: number, since: number}>} Last message per thread:user */
+        this.recentMessages = new Map();
+    }
+
+    /**
+     * Builds the storage key for a user in a thread
+     * @param {string} threadID - Thread ID
+     * @param {string} userID - User ID
+     * @returns {string}
+     * @private
+     */
+    _key(threadID, userID) {
+        return `${threadID}:${userID}`;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SETTINGS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Resolves a thread's settings (thread overrides on top of settings.moderation)
+     * @param {string} threadID - Thread ID
+     * @returns {{ladder: Array<Object>, words: string[], links: boolean, flood: number, floodSeconds: number, warningExpiryDays: number, logSize: number}}
+     */
+    getSettings(threadID) {
+        let overrides = {};
+        try {
+            overrides = storage.get("moderation", threadID, {});
+        } catch (error) {
+            logger.error("Moderation", `Failed to load settings for ${threadID}: ${error.message}`);
+        }
+        return { ...settings.moderation, ...overrides };
+    }
+
+    /**
+     * Gets the settings a thread has changed from the defaults
+     * @param {string} threadID - Thread ID
+     * @returns {Object}
+     */
+    getOverrides(threadID) {
+        return storage.get("moderation", threadID, {});
+    }
+
+    /**
+     * Overrides one setting for a thread
+     * @param {string} threadID - Thread ID
+     * @param {string} key - One of ladder, words, links, flood, floodSeconds
+     * @param {*} value - New value
+     * @returns {*} The stored value
+     * @throws {ValidationError} If the key or value is invalid
+     */
+    setSetting(threadID, key, value) {
+        if (!THREAD_SETTINGS.includes(key)) {
+            throw ValidationError.fromArray([
+                { field: key, message: `Unknown setting (use ${THREAD_SETTINGS.join(", ")})` },
+            ]);
+        }
+
+        if (key === "ladder") {
+            value = this.validateLadder(value);
+        } else if (key === "words") {
+            value = [...new Set(value.map((word) => word.trim().toLowerCase()).filter(Boolean))];
+        } else if (key === "links") {
+            value = Boolean(value);
+        } else if (!Number.isInteger(value) || value < 0 || value > 100) {
+            throw ValidationError.fromArray([
+                { field: key, message: "Must be a whole number between 0 and 100" },
+            ]);
+        }
+
+        const overrides = this.getOverrides(threadID);
+        overrides[key] = value;
+        storage.set("moderation", threadID, overrides);
+        return value;
+    }
+
+    /**
+     * Drops a thread's overrides
+     * @param {string} threadID - Thread ID
+     * @param {string} [key] - Setting to reset (all if omitted)
+     * @returns {boolean} False if nothing was overridden
+     */
+    resetSettings(threadID, key) {
+        const overrides = this.getOverrides(threadID);
+        if (key) {
+            if (!(key in overrides)) return false;
+            delete overrides[key];
+        }
+
+        if (!key || Object.keys(overrides).length === 0) {
+            if (!storage.has("moderation", threadID)) return false;
+            storage.delete("moderation", threadID);
+        } else {
+            storage.set("moderation", threadID, overrides);
+        }
+        return true;
+    }
+
+    /**
+     * Checks an escalation ladder and sorts it by warning count
+     * @param {Array<Object>} ladder - Steps like { warnings: 3, action: "mute", minutes: 60 }
+     * @returns {Array<Object>}
+     * @throws {ValidationError}
+     */
+    validateLadder(ladder) {
+        const errors = [];
+        const seen = new Set();
+
+        ladder.forEach((step, index) => {
+            const field = `step ${index + 1}`;
+            if (!Number.isInteger(step.warnings) || step.warnings < 1) {
+                errors.push({ field, message: "Warning count must be a whole number above 0" });
+            } else if (seen.has(step.warnings)) {
+                errors.push({ field, message: `Two steps at ${step.warnings} warnings` });
+            }
+            seen.add(step.warnings);
+
+            if (!ACTIONS.includes(step.action)) {
+                errors.push({
+                    field: `${field} action`,
+                    message: `Action must be one of ${ACTIONS.join(", ")}`,
+                });
+            }
+            if (step.action === "mute" && !(step.minutes > 0)) {
+                errors.push({ field: `${field} duration`, message: "A mute needs a duration" });
+            }
+        });
+
+        if (errors.length > 0) throw ValidationError.fromArray(errors);
+
+        return ladder
+            .map(({ warnings, action, minutes }) =>
+                action === "mute" ? { warnings, action, minutes } : { warnings, action }
+            )
+            .sort((a, b) => a.warnings - b.warnings);
+    }
+
+    /**
+     * Parses a ladder written as "3:mute:1h 5:kick" (bare mute durations are minutes)
+     * @param {string} text - Ladder text ("none" for no escalation)
+     * @returns {Array<Object>}
+     * @throws {ValidationError}
+     */
+    parseLadder(text) {
+        if (/^(none|off)$/i.test(text.trim())) return [];
+
+        const ladder = text
+            .trim()
+            .split(/[\s,]+/)
+            .map((token) => {
+                const [warnings, action = "", duration] = token.split(":");
+                const step = { warnings: Number(warnings), action: action.toLowerCase() };
+                if (step.action === "mute") {
+                    const ms = duration ? parseDuration(duration) : null;
+                    step.minutes = ms ? ms / 60000 : 0;
+                }
+                return step;
+            });
+
+        return this.validateLadder(ladder);
+    }
+
+    /**
+     * Describes a ladder in one line
+     * @param {Array<Object>} ladder - Escalation steps
+     * @returns {string}
+     */
+    describeLadder(ladder) {
+        if (ladder.length === 0) return "warnings only";
+        return ladder
+            .map((step) =>
+                step.action === "mute"
+                    ? `${step.warnings} → mute ${this.formatDuration(step.minutes * 60000)}`
+                    : `${step.warnings} → kick`
+            )
+            .join(", ");
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // FILTERS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Checks a message against the thread's word, link and flood filters
+     * @param {Object} event - Message event
+     * @param {number} [now] - Current time (ms)
+     * @returns {{type: string, reason: string}|null} The violation, if any
+     */
+    inspect(event, now = Date.now()) {
+        const body = (event.body || "").trim();
+        if (!body) return null;
+
+        const options = this.getSettings(event.threadID);
+
+        const word = options.words.find((entry) =>
+            new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(entry)}($|[^\\p{L}\\p{N}])`, "iu").test(
+                body
+            )
+        );
+        if (word) return { type: "word", reason: "Blocked word" };
+
+        if (options.links && LINK_PATTERN.test(body)) {
+            return { type: "link", reason: "Links are not allowed" };
+        }
+
+        if (options.flood > 0 && this._trackFlood(event, options, now)) {
+            return { type: "flood", reason: "Sending the same message repeatedly" };
+        }
+
+        return null;
+    }
+
+    /**
+     * Counts identical messages in a row; true once the flood limit is reached
+     * @param {Object} event - Message event
+     * @param {Object} options - Thread settings
+     * @param {number} now - Current time (ms)
+     * @returns {boolean}
+     * @private
+     */
+    _trackFlood(event, options, now) {
+        const key = this._key(event.threadID, event.senderID);
+        const text = event.body.trim().toLowerCase();
+        const last = this.recentMessages.get(key);
+
+        if (!last || last.text !== text || now - last.since > options.floodSeconds * 1000) {
+            this.recentMessages.set(key, { text, count: 1, since: now });
+            return false;
+        }
+
+        last.count++;
+        if (last.count < options.flood) return false;
+
+        this.recentMessages.delete(key);
+        return true;
+    }
+
+    /**
+     * Drops flood tracking older than a minute past the longest window
+     * @param {number} [now] - Current time (ms)
+     */
+    cleanup(now = Date.now()) {
+        for (const [key, entry] of this.recentMessages) {
+            if (now - entry.since > 60000 + settings.moderation.floodSeconds * 1000) {
+                this.recentMessages.delete(key);
+            }
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // WARNINGS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Gets a user's warnings in a thread that haven't expired
+     * @param {string} threadID - Thread ID
+     * @param {string} userID - User ID
+     * @param {number} [now] - Current time (ms)
+     * @returns {Array<{id: number, reason: string, by: string, source: string, at: number}>}
+     */
+    getWarnings(threadID, userID, now = Date.now()) {
+        const key = this._key(threadID, userID);
+        const warnings = storage.get("warnings", key, []);
+        const maxAge = this.getSettings(threadID).warningExpiryDays * DAY_MS;
+        const active = warnings.filter((warning) => now - warning.at < maxAge);
+
+        if (active.length !== warnings.length) {
+            if (active.length > 0) storage.set("warnings", key, active);
+            else storage.delete("warnings", key);
+        }
+        return active;
+    }
+
+    /**
+     * Lists users with warnings in a thread, most warned first
+     * @param {string} threadID - Thread ID
+     * @returns {Array<{userID: string, count: number}>}
+     */
+    listWarned(threadID) {
+        const prefix = `${threadID}:`;
+        return storage
+            .keys("warnings")
+            .filter((key) => key.startsWith(prefix))
+            .map((key) => {
+                const userID = key.slice(prefix.length);
+                return { userID, count: this.getWarnings(threadID, userID).length };
+            })
+            .filter((entry) => entry.count > 0)
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Warns a user and applies the escalation step their warning count reached
+     * @param {Object} options
+     * @param {Object} options.api - Nero API (needed to kick)
+     * @param {string} options.threadID - Thread ID
+     * @param {string} options.userID - User to warn
+     * @param {string} options.by - Moderator ID, or "auto" for filters
+     * @param {string} [options.reason] - Why
+     * @param {string} [options.source="manual"] - manual, word, link or flood
+     * @returns {Promise<{warning: Object, count: number, step: Object|null, next: Object|null, outcome: string|null, error: string|null}>}
+     */
+    async warn({ api, threadID, userID, by, reason = "No reason given", source = "manual" }) {
+        const warnings = this.getWarnings(threadID, userID);
+        const warning = {
+            id: warnings.reduce((max, entry) => Math.max(max, entry.id), 0) + 1,
+            reason,
+            by,
+            source,
+            at: Date.now(),
+        };
+        warnings.push(warning);
+        storage.set("warnings", this._key(threadID, userID), warnings);
+        this.log(threadID, { action: "warn", userID, by, reason, source });
+
+        const count = warnings.length;
+        const step = this.getStep(threadID, count);
+        const next = this.getSettings(threadID).ladder.find((entry) => entry.warnings > count);
+        const result = { warning, count, step, next: next || null, outcome: null, error: null };
+        if (!step) return result;
+
+        const stepReason = `Reached ${step.warnings} warnings`;
+        if (step.action === "mute") {
+            this.mute(threadID, userID, step.minutes * 60000, { by: "auto", reason: stepReason });
+            result.outcome = "muted";
+        } else if (step.action === "kick") {
+            const kick = await this.kick(api, threadID, userID, { by: "auto", reason: stepReason });
+            result.outcome = kick.ok ? "kicked" : "kickFailed";
+            result.error = kick.error;
+        }
+        return result;
+    }
+
+    /**
+     * Gets the highest escalation step a warning count has reached
+     * @param {string} threadID - Thread ID
+     * @param {number} count - Active warnings
+     * @returns {Object|null}
+     */
+    getStep(threadID, count) {
+        const reached = this.getSettings(threadID).ladder.filter((step) => step.warnings <= count);
+        return reached.length > 0 ? reached[reached.length - 1] : null;
+    }
+
+    /**
+     * Removes warnings from a user
+     * @param {string} threadID - Thread ID
+     * @param {string} userID - User ID
+     * @param {Object} [options]
+     * @param {number|"all"} [options.id] - Warning to remove ("all" also lifts a mute; latest if omitted)
+     * @param {string} [options.by] - Moderator ID
+     * @returns {{removed: number, unmuted: boolean}}
+     */
+    pardon(threadID, userID, { id, by } = {}) {
+        const key = this._key(threadID, userID);
+        const warnings = this.getWarnings(threadID, userID);
+
+        let remaining;
+        if (id === "all") remaining = [];
+        else if (id === undefined) remaining = warnings.slice(0, -1);
+        else remaining = warnings.filter((warning) => warning.id !== id);
+
+        const removed = warnings.length - remaining.length;
+        if (remaining.length > 0) storage.set("warnings", key, remaining);
+        else storage.delete("warnings", key);
+
+        const unmuted = id === "all" && this.unmute(threadID, userID, { by });
+        if (removed > 0) {
+            this.log(threadID, {
+                action: "pardon",
+                userID,
+                by,
+                reason: id === "all" ? "All warnings" : `${removed} warning(s)`,
+            });
+        }
+        return { removed, unmuted };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // MUTES & KICKS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Stops a user from using bot commands in a thread for a while
+     * @param {string} threadID - Thread ID
+     * @param {string} userID - User ID
+     * @param {number} durationMs - How long
+     * @param {Object} [options]
+     * @param {string} [options.by] - Moderator ID or "auto"
+     * @param {string} [options.reason] - Why
+     * @returns {{until: number, reason: string, by: string}}
+     */
+    mute(threadID, userID, durationMs, { by, reason = "No reason given" } = {}) {
+        const mute = { until: Date.now() + durationMs, reason, by, notified: false };
+        storage.set("mutes", this._key(threadID, userID), mute);
+        const duration = this.formatDuration(durationMs);
+        this.log(threadID, { action: "mute", userID, by, reason, duration });
+        logger.info("Moderation", `Muted ${userID} in ${threadID} for ${duration}`);
+        return mute;
+    }
+
+    /**
+     * Lifts a command mute
+     * @param {string} threadID - Thread ID
+     * @param {string} userID - User ID
+     * @param {Object} [options]
+     * @param {string} [options.by] - Moderator ID
+     * @returns {boolean} False if the user wasn't muted
+     */
+    unmute(threadID, userID, { by } = {}) {
+        if (!this.getMute(threadID, userID)) return false;
+        storage.delete("mutes", this._key(threadID, userID));
+        this.log(threadID, { action: "unmute", userID, by });
+        return true;
+    }
+
+    /**
+     * Gets a user's active mute in a thread (expired mutes are dropped)
+     * @param {string} threadID - Thread ID
+     * @param {string} userID - User ID
+     * @param {number} [now] - Current time (ms)
+     * @returns {{until: number, reason: string, by: string, notified: boolean}|null}
+     */
+    getMute(threadID, userID, now = Date.now()) {
+        const key = this._key(threadID, userID);
+        const mute = storage.get("mutes", key, null);
+        if (!mute) return null;
+        if (mute.until <= now) {
+            storage.delete("mutes", key);
+            return null;
+        }
+        return mute;
+    }
+
+    /**
+     * Marks a mute as announced to its user, so they are only told once
+     * @param {string} threadID - Thread ID
+     * @param {string} userID - User ID
+     * @returns {boolean} True the first time it is called for a mute
+     */
+    markMuteNotified(threadID, userID) {
+        const mute = this.getMute(threadID, userID);
+        if (!mute || mute.notified) return false;
+        storage.set("mutes", this._key(threadID, userID), { ...mute, notified: true });
+        return true;
+    }
+
+    /**
+     * Lists active mutes in a thread
+     * @param {string} threadID - Thread ID
+     * @returns {Array<{userID: string, until: number, reason: string}>}
+     */
+    listMutes(threadID) {
+        const prefix = `${threadID}:`;
+        return storage
+            .keys("mutes")
+            .filter((key) => key.startsWith(prefix))
+            .map((key) => {
+                const userID = key.slice(prefix.length);
+                return { userID, ...this.getMute(threadID, userID) };
+            })
+            .filter((entry) => entry.until);
+    }
+
+    /**
+     * Removes a user from the group with api.gcmember (the bot must be a group admin)
+     * @param {Object} api - Nero API
+     * @param {string} threadID - Thread ID
+     * @param {string} userID - User ID
+     * @param {Object} [options]
+     * @param {string} [options.by] - Moderator ID or "auto"
+     * @param {string} [options.reason] - Why
+     * @returns {Promise<{ok: boolean, error: string|null}>}
+     */
+    async kick(api, threadID, userID, { by, reason } = {}) {
+        let error = null;
+        if (!api?.gcmember) {
+            error = "Member removal is not available in this API version";
+        } else {
+            try {
+                const result = await api.gcmember("remove", userID, threadID);
+                if (!result || result.type === "error_gc") {
+                    error = result?.error || "The bot needs to be a group admin";
+                }
+            } catch (err) {
+                error = err.message || String(err);
+            }
+        }
+
+        this.log(threadID, { action: error ? "kickFailed" : "kick", userID, by, reason, error });
+        if (error) logger.warn("Moderation", `Could not kick ${userID} from ${threadID}: ${error}`);
+        return { ok: !error, error };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // LOG
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Appends an entry to a thread's moderation log (capped at logSize)
+     * @param {string} threadID - Thread ID
+     * @param {Object} entry - { action, userID, by, reason, ... }
+     */
+    log(threadID, entry) {
+        try {
+            const entries = storage.get("modlog", threadID, []);
+            entries.push({ ...entry, at: Date.now() });
+            storage.set("modlog", threadID, entries.slice(-settings.moderation.logSize));
+        } catch (error) {
+            logger.error("Moderation", `Failed to write moderation log: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets the newest moderation log entries for a thread, newest first
+     * @param {string} threadID - Thread ID
+     * @param {number} [limit=10] - How many
+     * @returns {Array<Object>}
+     */
+    getLog(threadID, limit = 10) {
+        return storage.get("modlog", threadID, []).slice(-limit).reverse();
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // FORMATTING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Describes the result of warn() for the thread
+     * @param {Object} result - Result of warn()
+     * @param {string} [name] - Display name of the warned user (omit to address them)
+     * @param {string} [locale] - Locale for the message (default locale if omitted)
+     * @returns {string}
+     */
+    formatWarning(result, name, locale) {
+        const t = (key, vars) => i18n.t(key, vars, locale || i18n.defaultLocale);
+        const { warning, count, step, next, outcome, error } = result;
+        const total = t("moderation.count", { count });
+        let msg = name
+            ? t("moderation.warned", { name, total })
+            : t("moderation.warnedYou", { total });
+        msg += `\n${t("moderation.reason", { reason: warning.reason })}`;
+
+        if (outcome === "muted") {
+            msg += `\n\n${t("moderation.muted", { time: this.formatDuration(step.minutes * 60000) })}`;
+        } else if (outcome === "kicked") {
+            msg += `\n\n${t("moderation.kicked")}`;
+        } else if (outcome === "kickFailed") {
+            msg += `\n\n${t("moderation.kickFailed", { error })}`;
+        } else if (next) {
+            const key = next.action === "mute" ? "moderation.nextMute" : "moderation.nextKick";
+            msg += `\n\n${t(key, { count: next.warnings })}`;
+        }
+        return msg;
+    }
+
+    /**
+     * Gets a display name for a user (mention text, then profile, then ID)
+     * @param {Object} api - Nero API
+     * @param {Object} event - Message event
+     * @param {string} userID - User ID
+     * @returns {Promise<string>}
+     */
+    async getName(api, event, userID) {
+        const mentioned = event.mentions?.[userID];
+        if (mentioned) return mentioned.replace("@", "");
+        try {
+            const info = await api.getUserInfo(userID);
+            if (info?.[userID]?.name) return info[userID].name;
+        } catch {
+            // Fall back to the ID
+        }
+        return `User ${userID}`;
+    }
+
+    /**
+     * Format duration to human readable string
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string}
+     */
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+
+        if (days > 0) {
+            return hours % 24 > 0 ? `${days}d ${hours % 24}h` : `${days}d`;
+        } else if (hours > 0) {
+            return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+        }
+        return `${Math.max(minutes, 1)}m`;
+    }
+}
+
+// Export singleton instance
+module.exports = new ModerationManager();
@@ -0,0 +1,253 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                             NERO - PAGINATOR                                  ║
+ * ║          Paginated list messages with reply / reaction navigation             ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Sends the first page of a long list and lets the user who ran the command
+ * flip through it by replying "next", "prev", "last" or a page number, or by
+ * reacting ⬅️ / ➡️. The message is edited in place (editMessage) and falls back
+ * to sending a new page when editing isn't available.
+ *
+ * Navigation is built on the command context's awaitReply / awaitReaction, so
+ * only the invoker can turn pages and the session expires after a period
+ * without navigation (commands.paginationTimeout seconds).
+ *
+ * @example
+ * const { paginate } = require("../../../utils/paginator");
+ * await paginate(context, {
+ *     title: "👥 Groups",
+ *     items: groups,
+ *     render: (group, index) => `${index + 1}. ${group.name}`,
+ * });
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const config = require("../config/config");
+const logger = require("./logger");
+
+/** Reactions that turn pages */
+const PREV_REACTIONS = ["⬅️", "⬅", "◀️", "◀"];
+const NEXT_REACTIONS = ["➡️", "➡", "▶️", "▶"];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PAGE BUILDING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Splits items into pages
+ * @param {Array} items - Items to split
+ * @param {number} perPage - Items per page
+ * @returns {Array<Array>}
+ */
+function chunk(items, perPage) {
+    const size = Math.max(1, perPage);
+    const pages = [];
+    for (let i = 0; i < items.length; i += size) {
+        pages.push(items.slice(i, i + size));
+    }
+    return pages.length > 0 ? pages : [[]];
+}
+
+/**
+ * Builds the page bodies from options
+ * @param {Object} options - See paginate
+ * @returns {Array<string>}
+ */
+function buildPages(options) {
+    if (Array.isArray(options.pages)) {
+        return options.pages.length > 0 ? options.pages.map(String) : [""];
+    }
+
+    const items = options.items || [];
+    const perPage = options.perPage || 10;
+    const render = options.render || ((item) => String(item));
+    const separator = options.separator ?? "\n";
+
+    return chunk(items, perPage).map((pageItems, pageIndex) =>
+        pageItems.map((item, i) => render(item, pageIndex * perPage + i)).join(separator)
+    );
+}
+
+/**
+ * Renders one page with its title and navigation footer
+ * @param {Array<string>} pages - Page bodies
+ * @param {number} page - Zero-based page index
+ * @param {Object} options - See paginate
+ * @returns {string}
+ */
+function renderPage(pages, page, options) {
+    let text = options.title ? `${options.title}\n\n` : "";
+    text += pages[page];
+
+    if (options.footer) {
+        text += `\n\n${options.footer}`;
+    }
+
+    if (pages.length > 1) {
+        text += `\n\n📄 Page ${page + 1}/${pages.length}`;
+        text += ` • Reply "next", "prev" or a number, or react ⬅️/➡️`;
+    }
+
+    return text;
+}
+
+/**
+ * Works out which page a reply or reaction asks for
+ * @param {Object} event - Reply or reaction event
+ * @param {number} page - Current zero-based page
+ * @param {number} total - Number of pages
+ * @returns {number|null} Target page, or null when the event isn't navigation
+ */
+function parseNavigation(event, page, total) {
+    if (event.type === "message_reaction") {
+        if (PREV_REACTIONS.includes(event.reaction)) return Math.max(0, page - 1);
+        if (NEXT_REACTIONS.includes(event.reaction)) return Math.min(total - 1, page + 1);
+        return null;
+    }
+
+    const input = String(event.body || "")
+        .trim()
+        .toLowerCase();
+
+    if (["next", "n", ">", "more"].includes(input)) return Math.min(total - 1, page + 1);
+    if (["prev", "previous", "p", "back", "<"].includes(input)) return Math.max(0, page - 1);
+    if (input === "first") return 0;
+    if (input === "last") return total - 1;
+
+    if (/^\d+$/.test(input)) {
+        const number = parseInt(input, 10);
+        return number >= 1 && number <= total ? number - 1 : null;
+    }
+
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NAVIGATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Shows a page, editing the current message when possible
+ * @param {Object} api - Nero API object
+ * @param {Object} session - Pagination session
+ * @param {string} text - Page text
+ * @returns {Promise<void>}
+ */
+async function showPage(api, session, text) {
+    if (typeof api.editMessage === "function") {
+        try {
+            await api.editMessage(text, session.messageID);
+            return;
+        } catch (error) {
+            logger.debug("Paginator", `Edit failed, sending a new page: ${error.message}`);
+        }
+    }
+
+    const sent = await api.sendMessage(text, session.threadID);
+    if (sent?.messageID) session.messageID = sent.messageID;
+}
+
+/**
+ * Waits for navigation on the session's message until it expires
+ * @param {Object} context - Command context
+ * @param {Object} session - Pagination session
+ * @param {Array<string>} pages - Page bodies
+ * @param {Object} options - See paginate
+ * @returns {Promise<void>}
+ */
+async function navigate(context, session, pages, options) {
+    const { api, awaitReply, awaitReaction, cancelAwait } = context;
+
+    while (!session.stopped) {
+        const wait = {
+            timeout: session.timeout,
+            filter: (event) => parseNavigation(event, session.page, pages.length) !== null,
+        };
+        const messageID = session.messageID;
+
+        const event = await Promise.race([
+            awaitReply(messageID, wait),
+            awaitReaction(messageID, wait),
+        ]);
+        cancelAwait(messageID);
+
+        if (!event || session.stopped) break;
+
+        const target = parseNavigation(event, session.page, pages.length);
+        if (target === null || target === session.page) continue;
+
+        session.page = target;
+        await showPage(api, session, renderPage(pages, target, options));
+    }
+
+    session.stopped = true;
+}
+
+/**
+ * Sends a paginated list. Resolves once the first page is sent; navigation keeps
+ * running in the background until it expires or `stop()` is called.
+ * @param {Object} context - Command context (api, event, awaitReply, awaitReaction, cancelAwait)
+ * @param {Object} options
+ * @param {Array} [options.items] - Items to list
+ * @param {function(*, number): string} [options.render] - Renders one item (gets its overall index)
+ * @param {number} [options.perPage] - Items per page (default: 10)
+ * @param {string} [options.separator] - Joins items on a page (default: newline)
+ * @param {Array<string>} [options.pages] - Pre-rendered pages (instead of items)
+ * @param {string} [options.title] - Shown above every page
+ * @param {string} [options.footer] - Shown below every page
+ * @param {number} [options.timeout] - Milliseconds without navigation before expiry
+ * @returns {Promise<{messageID: string|null, pages: number, stop: function(): void}>}
+ */
+async function paginate(context, options = {}) {
+    const { api, event } = context;
+    const pages = buildPages(options);
+
+    const sent = await api.sendMessage(
+        renderPage(pages, 0, options),
+        event.threadID,
+        null,
+        event.messageID
+    );
+
+    const session = {
+        threadID: event.threadID,
+        messageID: sent?.messageID || null,
+        page: 0,
+        stopped: false,
+        timeout: options.timeout ?? (config.commands.paginationTimeout || 120) * 1000,
+    };
+
+    const stop = () => {
+        session.stopped = true;
+        if (session.messageID) context.cancelAwait?.(session.messageID);
+    };
+
+    // Single page or no way to wait for input: nothing to navigate
+    if (pages.length < 2 || !session.messageID || typeof context.awaitReply !== "function") {
+        session.stopped = true;
+        return { messageID: session.messageID, pages: pages.length, stop };
+    }
+
+    navigate(context, session, pages, options).catch((error) => {
+        logger.debug("Paginator", `Navigation stopped: ${error.message}`);
+    });
+
+    return { messageID: session.messageID, pages: pages.length, stop };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODULE EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    paginate,
+    buildPages,
+    renderPage,
+    parseNavigation,
+    chunk,
+};
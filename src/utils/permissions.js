@@ -0,0 +1,316 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                          PERMISSION MANAGER                                   ║
+ * ║        Named roles, granular permission nodes and thread-scoped grants        ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A role is a named set of permission nodes (e.g. `kick.use`, `broadcast.all`)
+ * and may inherit other roles. Nodes support wildcards: `kick.*` or `*`.
+ *
+ * Users get roles from:
+ * - config admins / superAdmins      -> admin / superadmin (implicit)
+ * - Messenger group admins            -> threadAdmin in that thread (implicit)
+ * - Grants made with the `role` command, either global or for one thread
+ *
+ * Grants are persisted in the "roles" storage namespace keyed by user ID.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const config = require("../config/config");
+const settings = require("../config/settings");
+const storage = require("./storage");
+const logger = require("./logger");
+const { ValidationError } = require("./errors");
+
+/** Storage namespace for role grants */
+const NAMESPACE = "roles";
+
+/** Roles granted automatically - they cannot be assigned with the role command */
+const IMPLICIT_ROLES = ["user", "threadAdmin", "admin", "superadmin"];
+
+/**
+ * Built-in roles. Extra roles (or overrides) come from settings.permissions.roles.
+ * @type {Object<string, {description: string, nodes: string[], inherits?: string[]}>}
+ */
+const DEFAULT_ROLES = {
+    user: {
+        description: "Everyone",
+        nodes: [],
+    },
+    moderator: {
+        description: "Can moderate members",
+        nodes: ["kick.use", "moderation.use"],
+    },
+    threadAdmin: {
+        description: "Messenger group admin (automatic)",
+        inherits: ["moderator"],
+        nodes: ["threadconfig.use", "setprefix.use", "role.thread", "moderation.config"],
+    },
+    admin: {
+        description: "Bot administrator (from config)",
+        nodes: ["*"],
+    },
+    superadmin: {
+        description: "Bot owner (from config)",
+        inherits: ["admin"],
+        nodes: [],
+    },
+};
+
+/**
+ * PermissionManager Class
+ * Resolves a user's roles and permission nodes in a thread
+ */
+class PermissionManager {
+    constructor() {
+        const options = settings.permissions || {};
+
+        /** @type {Object<string, Object>} Role definitions */
+        this.roles = { ...DEFAULT_ROLES, ...(options.roles || {}) };
+
+        /** @type {number} How long group admin lists are cached (ms) */
+        this.threadAdminTTL = (options.threadAdminCacheSeconds ?? 300) * 1000;
+
+        /** @type {Map<string, {ids: Set<string>, expires: number}>} Thread ID -> admin IDs */
+        this.threadAdmins = new Map();
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ROLE DEFINITIONS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Gets a role definition
+     * @param {string} name - Role name
+     * @returns {Object|null}
+     */
+    getRole(name) {
+        return this.roles[name] || null;
+    }
+
+    /**
+     * Lists role names that can be granted with the role command
+     * @returns {Array<string>}
+     */
+    getAssignableRoles() {
+        return Object.keys(this.roles).filter((name) => !IMPLICIT_ROLES.includes(name));
+    }
+
+    /**
+     * Expands a role into its nodes, following inheritance
+     * @param {string} name - Role name
+     * @param {Set<string>} [seen] - Roles already visited (cycle guard)
+     * @returns {Array<string>}
+     */
+    getRoleNodes(name, seen = new Set()) {
+        const role = this.roles[name];
+        if (!role || seen.has(name)) return [];
+        seen.add(name);
+
+        const nodes = [...(role.nodes || [])];
+        for (const parent of role.inherits || []) {
+            nodes.push(...this.getRoleNodes(parent, seen));
+        }
+        return [...new Set(nodes)];
+    }
+
+    /**
+     * Checks a node against a granted pattern (`*`, `kick.*`, `kick.use`)
+     * @param {string} pattern - Granted node pattern
+     * @param {string} node - Required node
+     * @returns {boolean}
+     */
+    matchNode(pattern, node) {
+        if (pattern === "*" || pattern === node) return true;
+        return pattern.endsWith(".*") && node.startsWith(pattern.slice(0, -1));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // GRANTS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Gets stored grants for a user
+     * @param {string} userID - User ID
+     * @returns {{global: string[], threads: Object<string, string[]>}}
+     */
+    getGrants(userID) {
+        return storage.get(NAMESPACE, userID, { global: [], threads: {} });
+    }
+
+    /**
+     * Grants a role to a user
+     * @param {string} userID - User ID
+     * @param {string} role - Role name
+     * @param {string|null} [threadID] - Thread to scope the grant to (null = global)
+     * @returns {boolean} False if the user already had the role
+     * @throws {ValidationError} If the role is unknown or implicit
+     */
+    grant(userID, role, threadID = null) {
+        this._assertAssignable(role);
+
+        const grants = this.getGrants(userID);
+        const list = threadID ? (grants.threads[threadID] ||= []) : grants.global;
+        if (list.includes(role)) return false;
+
+        list.push(role);
+        storage.set(NAMESPACE, userID, grants);
+
+        logger.info("Permissions", `Granted ${role} to ${userID} (${threadID || "global"})`);
+        return true;
+    }
+
+    /**
+     * Revokes a role from a user
+     * @param {string} userID - User ID
+     * @param {string} role - Role name
+     * @param {string|null} [threadID] - Thread the grant was scoped to (null = global)
+     * @returns {boolean} False if the user did not have the role
+     */
+    revoke(userID, role, threadID = null) {
+        const grants = this.getGrants(userID);
+        const list = threadID ? grants.threads[threadID] || [] : grants.global;
+        const index = list.indexOf(role);
+        if (index === -1) return false;
+
+        list.splice(index, 1);
+        if (threadID && list.length === 0) {
+            delete grants.threads[threadID];
+        }
+
+        if (grants.global.length === 0 && Object.keys(grants.threads).length === 0) {
+            storage.delete(NAMESPACE, userID);
+        } else {
+            storage.set(NAMESPACE, userID, grants);
+        }
+
+        logger.info("Permissions", `Revoked ${role} from ${userID} (${threadID || "global"})`);
+        return true;
+    }
+
+    /**
+     * @param {string} role - Role name
+     * @throws {ValidationError}
+     * @private
+     */
+    _assertAssignable(role) {
+        if (!this.roles[role]) {
+            throw ValidationError.fromArray([{ field: "role", message: `Unknown role: ${role}` }]);
+        }
+        if (IMPLICIT_ROLES.includes(role)) {
+            throw ValidationError.fromArray([
+                { field: "role", message: `Role ${role} is assigned automatically` },
+            ]);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // THREAD ADMINS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Gets Messenger group admin IDs for a thread (cached)
+     * @param {Object} api - Nero API instance
+     * @param {string} threadID - Thread ID
+     * @returns {Promise<Set<string>>}
+     */
+    async getThreadAdmins(api, threadID) {
+        const cached = this.threadAdmins.get(threadID);
+        if (cached && cached.expires > Date.now()) return cached.ids;
+
+        let ids = new Set();
+        try {
+            const info = await api.getThreadInfo(threadID);
+            ids = new Set((info?.adminIDs || []).map((admin) => String(admin.id || admin)));
+        } catch (error) {
+            logger.debug("Permissions", `Could not fetch admins for ${threadID}: ${error.message}`);
+        }
+
+        this.threadAdmins.set(threadID, { ids, expires: Date.now() + this.threadAdminTTL });
+        return ids;
+    }
+
+    /**
+     * Drops cached group admins for a thread (e.g. after an admin change event)
+     * @param {string} threadID - Thread ID
+     * @returns {void}
+     */
+    invalidateThread(threadID) {
+        this.threadAdmins.delete(threadID);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // RESOLUTION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Resolves every role a user holds in a thread
+     * @param {string} userID - User ID
+     * @param {Object} [options]
+     * @param {string} [options.threadID] - Thread ID
+     * @param {Object} [options.api] - API used to look up group admins
+     * @returns {Promise<Array<string>>}
+     */
+    async getUserRoles(userID, { threadID, api } = {}) {
+        const roles = new Set(["user"]);
+        const grants = this.getGrants(userID);
+
+        if (config.isSuperAdmin(userID)) roles.add("superadmin");
+        if (config.isAdmin(userID)) roles.add("admin");
+
+        grants.global.forEach((role) => roles.add(role));
+        if (threadID) {
+            (grants.threads[threadID] || []).forEach((role) => roles.add(role));
+        }
+
+        if (api && threadID && threadID !== userID) {
+            const admins = await this.getThreadAdmins(api, threadID);
+            if (admins.has(String(userID))) roles.add("threadAdmin");
+        }
+
+        return [...roles].filter((role) => this.roles[role]);
+    }
+
+    /**
+     * Resolves every node a user holds in a thread
+     * @param {string} userID - User ID
+     * @param {Object} [options] - See getUserRoles
+     * @returns {Promise<Array<string>>}
+     */
+    async getUserNodes(userID, options = {}) {
+        const roles = await this.getUserRoles(userID, options);
+        return [...new Set(roles.flatMap((role) => this.getRoleNodes(role)))];
+    }
+
+    /**
+     * Checks if a user holds a permission node in a thread
+     * @param {string} userID - User ID
+     * @param {string} node - Permission node (e.g. "kick.use")
+     * @param {Object} [options] - See getUserRoles
+     * @returns {Promise<boolean>}
+     */
+    async has(userID, node, options = {}) {
+        const nodes = await this.getUserNodes(userID, options);
+        return nodes.some((pattern) => this.matchNode(pattern, node));
+    }
+
+    /**
+     * Checks if a set of held nodes covers every node of a role.
+     * Used to stop users granting roles more powerful than their own.
+     * @param {Array<string>} heldNodes - Nodes the granting user holds
+     * @param {string} role - Role to grant
+     * @returns {boolean}
+     */
+    covers(heldNodes, role) {
+        return this.getRoleNodes(role).every((node) =>
+            heldNodes.some((pattern) => this.matchNode(pattern, node))
+        );
+    }
+}
+
+// Export singleton instance
+module.exports = new PermissionManager();
@@ -0,0 +1,276 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                            RATE LIMITER                                       ║
+ * ║        Token buckets keyed by user, thread, command and bot account           ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A rule allows `limit` uses per `per` (seconds, or a duration like "1m"/"1h")
+ * for each value of its scope. Buckets refill continuously, so `2 per 1m` lets
+ * a thread use a command twice in a row and then once every 30 seconds.
+ *
+ * @example
+ * { limit: 2, per: "1m", scope: "thread" }            // 2 a minute per group
+ * { limit: 5, per: "1h", scope: "user" }              // 5 an hour per person
+ * { limit: 1, per: 10, scope: ["user", "thread"] }    // per person, per group
+ *
+ * Scopes: user, thread, account (bot ID), global (everyone together).
+ *
+ * The limiter is one shared instance per process. Every bot account in a
+ * shared group receives the same message; checks carry the message ID, so
+ * the first account's decision is reused instead of taking a second token.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { parseDuration } = require("./argParser");
+const { ValidationError } = require("./errors");
+
+/** Scopes a rule can key its buckets by, and the context field each one reads */
+const SCOPES = {
+    user: "userID",
+    thread: "threadID",
+    account: "account",
+    global: null,
+};
+
+/** How long a message's decision is reused for other accounts (ms) */
+const DECISION_TTL = 60 * 1000;
+
+/**
+ * RateLimiter Class
+ * Holds token buckets and checks rules against them
+ */
+class RateLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {function(): number} [options.now] - Clock (ms), for tests
+     */
+    constructor(options = {}) {
+        /** @type {function(): number} */
+        this.now = options.now || Date.now;
+
+        /** @type {Map<string, {tokens: number, updated: number, capacity: number, periodMs: number}>} */
+        this.buckets = new Map();
+
+        /** @type {Map<string, {result: Object, expires: number}>} Decisions by message ID */
+        this.decisions = new Map();
+    }
+
+    /**
+     * Number of buckets in use
+     * @returns {number}
+     */
+    get size() {
+        return this.buckets.size;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // RULES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Validates a rule and resolves its period to milliseconds
+     * @param {Object} rule - { limit, per, scope }
+     * @returns {{limit: number, periodMs: number, scope: string[]}}
+     * @throws {ValidationError}
+     */
+    normalizeRule(rule) {
+        const errors = [];
+        const periodMs = typeof rule.per === "number" ? rule.per * 1000 : parseDuration(rule.per);
+        const scope = [].concat(rule.scope || "user");
+
+        if (!Number.isInteger(rule.limit) || rule.limit < 1) {
+            errors.push({ field: "limit", message: "Must be a whole number above 0" });
+        }
+        if (!(periodMs > 0)) {
+            errors.push({ field: "per", message: "Must be seconds or a duration like 1m" });
+        }
+        const unknown = scope.filter((name) => !(name in SCOPES));
+        if (unknown.length > 0) {
+            errors.push({ field: "scope", message: `Unknown scope: ${unknown.join(", ")}` });
+        }
+
+        if (errors.length > 0) throw ValidationError.fromArray(errors);
+        return { limit: rule.limit, periodMs, scope };
+    }
+
+    /**
+     * Builds the bucket key for a rule
+     * @param {string} name - What is limited (command key, "messages", ...)
+     * @param {string[]} scope - Scopes of the rule
+     * @param {Object} context - { userID, threadID, account }
+     * @returns {string}
+     * @private
+     */
+    _key(name, scope, context) {
+        const parts = scope.map((entry) =>
+            SCOPES[entry] ? `${entry}:${context[SCOPES[entry]] ?? "-"}` : entry
+        );
+        return `${name}|${parts.join("|")}`;
+    }
+
+    /**
+     * Refills a bucket up to now
+     * @param {string} key - Bucket key
+     * @param {{limit: number, periodMs: number}} rule - Normalized rule
+     * @param {number} now - Current time (ms)
+     * @returns {Object} The bucket
+     * @private
+     */
+    _refill(key, rule, now) {
+        const { limit: capacity, periodMs } = rule;
+        let bucket = this.buckets.get(key);
+
+        if (!bucket) {
+            bucket = { tokens: capacity, updated: now, capacity, periodMs };
+            this.buckets.set(key, bucket);
+            return bucket;
+        }
+
+        // A changed rule takes effect on the existing bucket
+        bucket.capacity = capacity;
+        bucket.periodMs = periodMs;
+        bucket.tokens = Math.min(
+            capacity,
+            bucket.tokens + ((now - bucket.updated) * capacity) / periodMs
+        );
+        bucket.updated = now;
+        return bucket;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // CHECKS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Takes one token from every rule's bucket, or none if any bucket is empty
+     * @param {Array<Object>} rules - Rules, each with a `name` plus { limit, per, scope }
+     * @param {Object} context
+     * @param {string} [context.userID] - User ID
+     * @param {string} [context.threadID] - Thread ID
+     * @param {string} [context.account] - Bot account (user ID of the bot)
+     * @param {string} [context.messageID] - Message that triggered the check
+     * @returns {{allowed: boolean, retryAfter: number, rule: Object|null, duplicate: boolean}}
+     *   `retryAfter` is in ms; `rule` is the rule that refused; `duplicate` means another
+     *   account already decided this message
+     */
+    consume(rules, context = {}) {
+        const now = this.now();
+        // Per-account rules are the only ones each account should count for itself
+        const perAccount = rules.some((rule) => [].concat(rule.scope).includes("account"));
+        const decisionKey = context.messageID
+            ? [
+                  context.messageID,
+                  perAccount ? context.account : "",
+                  ...rules.map((r) => r.name),
+              ].join("|")
+            : null;
+
+        const previous = decisionKey && this.decisions.get(decisionKey);
+        if (previous && previous.expires > now) {
+            return { ...previous.result, duplicate: true };
+        }
+
+        const checks = rules.map((rule) => {
+            const normalized = this.normalizeRule(rule);
+            const key = this._key(rule.name, normalized.scope, context);
+            return { rule, bucket: this._refill(key, normalized, now) };
+        });
+
+        let result = { allowed: true, retryAfter: 0, rule: null, duplicate: false };
+        for (const { rule, bucket } of checks) {
+            if (bucket.tokens >= 1) continue;
+            const wait = Math.ceil(((1 - bucket.tokens) * bucket.periodMs) / bucket.capacity);
+            if (wait > result.retryAfter) {
+                result = { allowed: false, retryAfter: wait, rule, duplicate: false };
+            }
+        }
+
+        if (result.allowed) {
+            checks.forEach(({ bucket }) => {
+                bucket.tokens -= 1;
+            });
+        }
+
+        if (decisionKey) {
+            this.decisions.set(decisionKey, { result, expires: now + DECISION_TTL });
+        }
+        return result;
+    }
+
+    /**
+     * Forgets buckets whose key starts with a prefix, so they start full again
+     * @param {string} [prefix] - e.g. "music|" for every music bucket
+     * @returns {number} Buckets removed
+     */
+    reset(prefix = "") {
+        let removed = 0;
+        for (const key of this.buckets.keys()) {
+            if (key.startsWith(prefix)) {
+                this.buckets.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Drops full buckets and expired decisions (a full bucket is the same as none)
+     */
+    cleanup() {
+        const now = this.now();
+        for (const [key, bucket] of this.buckets) {
+            const refill = ((now - bucket.updated) * bucket.capacity) / bucket.periodMs;
+            if (bucket.tokens + refill >= bucket.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+        for (const [key, decision] of this.decisions) {
+            if (decision.expires <= now) this.decisions.delete(key);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // FORMATTING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Describes a rule, e.g. "2 per 1m in this group"
+     * @param {Object} rule - { limit, per, scope }
+     * @returns {string}
+     */
+    describeRule(rule) {
+        const { limit, periodMs, scope } = this.normalizeRule(rule);
+        const where = {
+            user: "per person",
+            thread: "per group",
+            account: "per bot",
+            global: "for everyone",
+        };
+        return `${limit} per ${this.formatWait(periodMs)} ${scope.map((s) => where[s]).join(", ")}`;
+    }
+
+    /**
+     * Formats a wait in ms, e.g. "45s", "3m 5s", "1h 2m"
+     * @param {number} ms - Milliseconds
+     * @returns {string}
+     */
+    formatWait(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        if (hours > 0) {
+            return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+        } else if (minutes > 0) {
+            return seconds % 60 > 0 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+        }
+        return `${seconds}s`;
+    }
+}
+
+// Export singleton instance (shared by every account in the process)
+module.exports = new RateLimiter();
@@ -228,4 +228,7 @@ const withRetry = async (fn, options = {}) => {
 module.exports = {
     // Main retry function
     withRetry,
+
+    // Default retry condition (for callers that add their own checks)
+    isRetryableError,
 };
@@ -0,0 +1,386 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                             SEND QUEUE                                        ║
+ * ║        Outbound messages per account, in order per thread, with retries       ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Every account's api.sendMessage is routed through a queue when it logs in
+ * (see attach()). Callers keep using api.sendMessage and get the same promise
+ * back; the queue decides when the message actually goes out:
+ *
+ *  • Messages to one thread are sent one at a time, in the order they were queued
+ *  • At most `concurrency` threads per account, and `globalConcurrency` sends
+ *    across all accounts, are in flight at once
+ *  • Sends from one account start at least `intervalMs` apart
+ *  • Transient failures (network, 5xx, 429) are retried with utils/retry
+ *  • Sends that still fail are recorded as dead letters, then rejected
+ *  • Past `maxDepth` waiting messages an account refuses new sends (RateLimitError)
+ *
+ * Storage namespaces:
+ *  • deadLetters - failed sends by account name (newest last)
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const settings = require("../config/settings");
+const storage = require("./storage");
+const logger = require("./logger");
+const { withRetry, isRetryableError } = require("./retry");
+const { RateLimitError, NotFoundError } = require("./errors");
+
+/** Characters of a failed message kept in its dead letter */
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Gets a message's attachments as an array
+ * @param {string|Object} msg - Message given to sendMessage
+ * @returns {Array}
+ */
+function attachmentsOf(msg) {
+    return msg && typeof msg === "object" && msg.attachment ? [].concat(msg.attachment) : [];
+}
+
+/**
+ * Whether a message can be sent again: streams are used up by the first try,
+ * and only file streams can be opened again
+ * @param {string|Object} msg - Message given to sendMessage
+ * @returns {boolean}
+ */
+function canResend(msg) {
+    return attachmentsOf(msg).every(
+        (item) => typeof item?.pipe !== "function" || item instanceof fs.ReadStream
+    );
+}
+
+/**
+ * Copies a message with its file streams opened again, for a retry
+ * @param {string|Object} msg - Message given to sendMessage
+ * @returns {string|Object}
+ */
+function reopenAttachments(msg) {
+    if (attachmentsOf(msg).length === 0) return msg;
+
+    const reopen = (item) =>
+        item instanceof fs.ReadStream ? fs.createReadStream(item.path) : item;
+    return {
+        ...msg,
+        attachment: Array.isArray(msg.attachment)
+            ? msg.attachment.map(reopen)
+            : reopen(msg.attachment),
+    };
+}
+
+/**
+ * AccountQueue Class
+ * Messages waiting for one account, grouped by thread
+ */
+class AccountQueue {
+    /**
+     * @param {string} account - Account name
+     * @param {Function} send - The account's original sendMessage
+     */
+    constructor(account, send) {
+        /** @type {string} */
+        this.account = account;
+
+        /** @type {Function} */
+        this.send = send;
+
+        /** @type {Map<string, Array<Object>>} Waiting jobs by thread (oldest first) */
+        this.threads = new Map();
+
+        /** @type {string[]} Threads with a job waiting and nothing in flight, in turn order */
+        this.ready = [];
+
+        /** @type {Set<string>} Threads with a send in flight */
+        this.sending = new Set();
+
+        /** @type {number} When the last send started (ms) */
+        this.lastStart = 0;
+
+        /** @type {NodeJS.Timeout|null} Wakes the queue once `intervalMs` has passed */
+        this.timer = null;
+
+        /** @type {{sent: number, failed: number, retried: number}} */
+        this.counts = { sent: 0, failed: 0, retried: 0 };
+    }
+
+    /**
+     * Messages waiting to be sent
+     * @returns {number}
+     */
+    get queued() {
+        let total = 0;
+        for (const jobs of this.threads.values()) total += jobs.length;
+        return total;
+    }
+
+    /**
+     * Messages waiting or in flight
+     * @returns {number}
+     */
+    get depth() {
+        return this.queued + this.sending.size;
+    }
+}
+
+/**
+ * SendQueue Class
+ * Schedules outbound messages for every account in the process
+ */
+class SendQueue {
+    /**
+     * @param {Object} [options] - Overrides for settings.sendQueue
+     */
+    constructor(options = {}) {
+        /** @type {Object} */
+        this.options = { ...settings.sendQueue, ...options };
+
+        /** @type {Map<string, AccountQueue>} Queues by account name */
+        this.queues = new Map();
+
+        /** @type {number} Sends in flight across all accounts */
+        this.running = 0;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SETUP
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Routes an account's api.sendMessage through its queue (in place).
+     * Logging in again keeps the queue and swaps in the new session's sender.
+     * @param {Object} api - Nero API of the account
+     * @param {string} account - Account name
+     * @returns {Object} The same api
+     */
+    attach(api, account) {
+        if (!this.options.enabled || !api?.sendMessage || api.sendMessage.queued) return api;
+
+        const send = api.sendMessage.bind(api);
+        let queue = this.queues.get(account);
+        if (queue) {
+            queue.send = send;
+        } else {
+            queue = new AccountQueue(account, send);
+            this.queues.set(account, queue);
+        }
+
+        // Same signature as nero's sendMessage; the callback is settled here so
+        // a retried send does not call it once per attempt
+        api.sendMessage = (msg, threadID, callback, ...rest) => {
+            const promise = this.push(account, threadID, [msg, threadID, null, ...rest]);
+            if (typeof callback === "function") {
+                promise.then(
+                    (info) => callback(null, info),
+                    (error) => callback(error)
+                );
+            }
+            return promise;
+        };
+        api.sendMessage.queued = true;
+        return api;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // QUEUEING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Queues a send behind earlier messages to the same thread
+     * @param {string} account - Account name (from attach)
+     * @param {string|string[]} threadID - Target thread (or users for a new group)
+     * @param {Array} args - Arguments for the original sendMessage
+     * @returns {Promise<Object>} Resolves with the message info once sent
+     */
+    push(account, threadID, args) {
+        const queue = this.queues.get(account);
+        if (!queue) {
+            return Promise.reject(new NotFoundError("Send queue", account));
+        }
+
+        if (queue.depth >= this.options.maxDepth) {
+            const wait = Math.ceil((queue.depth * this.options.intervalMs) / 1000);
+            return Promise.reject(
+                new RateLimitError(`Send queue for ${account} is full`, wait, {
+                    limit: this.options.maxDepth,
+                    remaining: 0,
+                })
+            );
+        }
+
+        const key = String(threadID);
+        return new Promise((resolve, reject) => {
+            if (!queue.threads.has(key)) {
+                queue.threads.set(key, []);
+                if (!queue.sending.has(key)) queue.ready.push(key);
+            }
+            queue.threads.get(key).push({ threadID: key, args, resolve, reject });
+            this._pump(queue);
+        });
+    }
+
+    /**
+     * Starts as many waiting sends as the limits allow
+     * @param {AccountQueue} queue - Account queue
+     * @private
+     */
+    _pump(queue) {
+        const { concurrency, globalConcurrency, intervalMs } = this.options;
+
+        while (
+            queue.ready.length > 0 &&
+            queue.sending.size < concurrency &&
+            this.running < globalConcurrency
+        ) {
+            const wait = queue.lastStart + intervalMs - Date.now();
+            if (wait > 0) {
+                if (!queue.timer) {
+                    queue.timer = setTimeout(() => {
+                        queue.timer = null;
+                        this._pump(queue);
+                    }, wait);
+                }
+                return;
+            }
+
+            const key = queue.ready.shift();
+            const jobs = queue.threads.get(key);
+            const job = jobs.shift();
+            if (jobs.length === 0) queue.threads.delete(key);
+
+            queue.sending.add(key);
+            queue.lastStart = Date.now();
+            this.running++;
+            this._run(queue, job);
+        }
+    }
+
+    /**
+     * Sends one message with retries, then moves its thread along
+     * @param {AccountQueue} queue - Account queue
+     * @param {Object} job - Queued send
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _run(queue, job) {
+        const [msg, ...rest] = job.args;
+        let attempts = 0;
+
+        try {
+            const info = await withRetry(
+                () => queue.send(attempts++ > 0 ? reopenAttachments(msg) : msg, ...rest),
+                {
+                    maxRetries: this.options.retries,
+                    initialDelay: this.options.retryDelayMs,
+                    retryOn: (error) => isRetryableError(error) && canResend(msg),
+                    onRetry: () => queue.counts.retried++,
+                    module: "SendQueue",
+                }
+            );
+            queue.counts.sent++;
+            job.resolve(info);
+        } catch (error) {
+            queue.counts.failed++;
+            this._deadLetter(queue.account, job.threadID, msg, error, attempts);
+            job.reject(error);
+        } finally {
+            queue.sending.delete(job.threadID);
+            if (queue.threads.has(job.threadID)) queue.ready.push(job.threadID);
+            this.running--;
+
+            // A freed slot may let any account's queue move on
+            for (const next of this.queues.values()) this._pump(next);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // DEAD LETTERS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Records a send that failed for good
+     * @param {string} account - Account name
+     * @param {string} threadID - Target thread
+     * @param {string|Object} msg - Message given to sendMessage
+     * @param {Error} error - Last error
+     * @param {number} attempts - Tries made
+     * @private
+     */
+    _deadLetter(account, threadID, msg, error, attempts) {
+        const body = typeof msg === "string" ? msg : msg?.body || "";
+        logger.warn(
+            "SendQueue",
+            `[${account}] Gave up on message to ${threadID}: ${error.message}`
+        );
+
+        try {
+            const letters = storage.get("deadLetters", account, []);
+            letters.push({
+                threadID,
+                body: body.slice(0, PREVIEW_LENGTH),
+                attachments: attachmentsOf(msg).length,
+                error: error.message,
+                attempts,
+                at: Date.now(),
+            });
+            storage.set("deadLetters", account, letters.slice(-this.options.deadLetterSize));
+        } catch (storageError) {
+            logger.error("SendQueue", `Failed to record dead letter: ${storageError.message}`);
+        }
+    }
+
+    /**
+     * Gets an account's failed sends, newest first
+     * @param {string} account - Account name
+     * @param {number} [limit=20] - How many
+     * @returns {Array<Object>}
+     */
+    getDeadLetters(account, limit = 20) {
+        return storage.get("deadLetters", account, []).slice(-limit).reverse();
+    }
+
+    /**
+     * Forgets an account's failed sends
+     * @param {string} account - Account name
+     * @returns {number} Dead letters removed
+     */
+    clearDeadLetters(account) {
+        const count = storage.get("deadLetters", account, []).length;
+        storage.delete("deadLetters", account);
+        return count;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // STATS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Queue depth and send counts
+     * @returns {{queued: number, sending: number, accounts: Object<string, Object>}}
+     */
+    getStats() {
+        const accounts = {};
+        let queued = 0;
+
+        for (const [name, queue] of this.queues) {
+            accounts[name] = {
+                queued: queue.queued,
+                sending: queue.sending.size,
+                threads: queue.threads.size,
+                ...queue.counts,
+                deadLetters: storage.get("deadLetters", name, []).length,
+            };
+            queued += queue.queued;
+        }
+
+        return { queued, sending: this.running, accounts };
+    }
+}
+
+// Export singleton instance (shared by every account in the process)
+module.exports = new SendQueue();
@@ -0,0 +1,237 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                          NERO - SIMULATED API                                 ║
+ * ║          The NeroAPI surface backed by the simulator's in-memory world        ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * One instance per logged-in bot account. Method signatures and return shapes
+ * follow nero-core (src/core/src/api) closely enough for commands and events to
+ * run unchanged: promise-returning, with the optional node-style callbacks the
+ * real API accepts. Calls with no world equivalent (typing, read receipts,
+ * presence) resolve without doing anything.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const EventEmitter = require("events");
+const { NotFoundError } = require("../errors");
+
+/**
+ * Settles a promise through an optional node-style callback too
+ * @param {Promise} promise - Result
+ * @param {Function} [callback] - (err, data) callback
+ * @returns {Promise}
+ */
+function withCallback(promise, callback) {
+    if (typeof callback === "function") {
+        promise.then(
+            (data) => callback(null, data),
+            (error) => callback(error)
+        );
+    }
+    return promise;
+}
+
+/**
+ * Builds the API object for one bot account
+ * @param {import('./index').Simulator} simulator - Owning simulator
+ * @param {string} botID - The bot's user ID
+ * @param {Object} [options] - Nero options given to login (selfListen, listenEvents)
+ * @returns {Object} NeroAPI-compatible object
+ */
+function createSimulatedApi(simulator, botID, options = {}) {
+    const noop = async () => true;
+
+    const api = {
+        /** Marks the object so tools can tell a simulated session apart */
+        isSimulated: true,
+
+        getCurrentUserID: () => botID,
+
+        getAppState: () => simulator.getAppState(botID),
+
+        getOptions: (key) => (key ? options[key] : { ...options }),
+
+        setOptions: (next = {}) => Object.assign(options, next),
+
+        // ═══════════════════════════════════════════════════════════════
+        // LISTENING
+        // ═══════════════════════════════════════════════════════════════
+
+        listenMqtt(callback) {
+            const emitter = new EventEmitter();
+            const listener = { botID, callback, emitter, options };
+            emitter.stop = () => simulator._removeListener(listener);
+            emitter.stopListening = emitter.stop;
+
+            simulator._addListener(listener);
+            return emitter;
+        },
+
+        // ═══════════════════════════════════════════════════════════════
+        // MESSAGING
+        // ═══════════════════════════════════════════════════════════════
+
+        sendMessage(msg, threadID, callback, replyToMessage) {
+            return withCallback(
+                Promise.resolve().then(() => {
+                    const message = typeof msg === "string" ? { body: msg } : msg || {};
+                    const record = simulator._postMessage(botID, String(threadID), {
+                        body: message.body || "",
+                        attachments: [].concat(message.attachment || []),
+                        mentions: message.mentions || [],
+                        replyTo: typeof replyToMessage === "string" ? replyToMessage : null,
+                    });
+                    return {
+                        threadID: record.threadID,
+                        messageID: record.messageID,
+                        timestamp: record.timestamp,
+                    };
+                }),
+                callback
+            );
+        },
+
+        editMessage(text, messageID, callback) {
+            return withCallback(
+                Promise.resolve().then(() => simulator._editMessage(botID, messageID, text)),
+                callback
+            );
+        },
+
+        unsendMessage(messageID, callback) {
+            return withCallback(
+                Promise.resolve().then(() => simulator._unsendMessage(botID, messageID)),
+                callback
+            );
+        },
+
+        setMessageReaction(reaction, messageID, callback) {
+            return withCallback(
+                Promise.resolve().then(() => simulator._react(botID, messageID, reaction)),
+                typeof callback === "function" ? callback : undefined
+            );
+        },
+
+        getStoredMessage: (messageID) => simulator.getMessage(messageID),
+
+        sendTypingIndicator: noop,
+        markAsRead: noop,
+        markAsReadAll: noop,
+        markAsDelivered: noop,
+        markAsSeen: noop,
+
+        // ═══════════════════════════════════════════════════════════════
+        // USERS & THREADS
+        // ═══════════════════════════════════════════════════════════════
+
+        getUserInfo(ids, usePayload, callback) {
+            if (typeof usePayload === "function") callback = usePayload;
+
+            return withCallback(
+                Promise.resolve().then(() => {
+                    if (Array.isArray(ids)) {
+                        const result = {};
+                        for (const id of ids) result[id] = simulator.getUserInfo(id);
+                        return result;
+                    }
+
+                    // Callers read both `info.name` and `info[id].name` for a single ID
+                    const user = simulator.getUserInfo(ids);
+                    return { ...user, [user.id]: user };
+                }),
+                callback
+            );
+        },
+
+        getThreadInfo(threadID, callback) {
+            return withCallback(
+                Promise.resolve().then(() => {
+                    if (Array.isArray(threadID)) {
+                        const result = {};
+                        for (const id of threadID) result[id] = simulator.getThreadInfo(id);
+                        return result;
+                    }
+                    return simulator.getThreadInfo(threadID);
+                }),
+                callback
+            );
+        },
+
+        async getThreadList(limit = 20, _timestamp = null, tags = ["INBOX"]) {
+            const folder = [].concat(tags)[0] || "INBOX";
+            return simulator
+                .getThreads()
+                .filter((thread) => thread.participantIDs.includes(botID))
+                .filter((thread) => thread.folder === folder)
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .slice(0, limit)
+                .map((thread) => simulator.getThreadInfo(thread.threadID));
+        },
+
+        async getThreadHistory(threadID, amount = 20) {
+            return simulator.getHistory(threadID).slice(-amount);
+        },
+
+        gcmember(action, userIDs, threadID, callback) {
+            return withCallback(
+                Promise.resolve().then(() =>
+                    simulator._changeMembers(botID, action, [].concat(userIDs), threadID)
+                ),
+                callback
+            );
+        },
+
+        changeAdminStatus(threadID, userID, adminStatus, callback) {
+            return withCallback(
+                Promise.resolve().then(() =>
+                    simulator._setAdmins(botID, threadID, [].concat(userID), adminStatus)
+                ),
+                callback
+            );
+        },
+
+        nickname(nickname, threadID, participantID, callback) {
+            return withCallback(
+                Promise.resolve().then(() =>
+                    simulator._setNickname(botID, threadID, participantID, nickname)
+                ),
+                callback
+            );
+        },
+
+        async handleMessageRequest(threadID, accept = true) {
+            for (const id of [].concat(threadID)) {
+                const thread = simulator.getThread(id);
+                if (!thread) throw new NotFoundError("Thread", id);
+                thread.folder = accept ? "INBOX" : "ARCHIVED";
+            }
+            return true;
+        },
+
+        async deleteThread(threadID) {
+            for (const id of [].concat(threadID)) simulator.removeThread(id);
+            return true;
+        },
+
+        // ═══════════════════════════════════════════════════════════════
+        // SESSION
+        // ═══════════════════════════════════════════════════════════════
+
+        async refreshSession() {
+            return { success: true };
+        },
+
+        logout(callback) {
+            simulator._removeListenersFor(botID);
+            return withCallback(Promise.resolve(), callback);
+        },
+    };
+
+    return api;
+}
+
+module.exports = { createSimulatedApi };
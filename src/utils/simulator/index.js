@@ -0,0 +1,999 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                           NERO - SIMULATOR                                    ║
+ * ║        Offline Messenger transport for end-to-end tests and local runs        ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * An in-memory world of users, bot accounts and threads standing in for
+ * Facebook. The simulator is a drop-in for nero-core's `login()`, so an
+ * AccountManager created with `{ simulator }` logs its bots in here instead of
+ * using appstate files, and everything downstream (dispatcher, event handlers,
+ * commands) runs unchanged against the simulated API (./api.js).
+ *
+ * The scripting side plays the humans: `send`, `reply`, `react`, `unsend`,
+ * `join`, `leave` and `inject` produce the same event shapes the MQTT listener
+ * does. Whatever the bots do is recorded in `outbox` and can be awaited with
+ * `waitForMessage`.
+ *
+ * @example
+ * const { Simulator } = require("./src/utils/simulator");
+ * const sim = new Simulator({
+ *     bots: [{ id: "100000000000000", name: "Nero", account: "main" }],
+ *     users: [{ id: "100000000000001", name: "Alice" }],
+ *     threads: [{ id: "200000000000001", participants: ["100000000000000", "100000000000001"] }],
+ * });
+ * const accountManager = new AccountManager({ simulator: sim, autoSaveAppState: false });
+ * await accountManager.init();
+ * await accountManager.loginAll();
+ * accountManager.startAllListeners(createDispatcher(accountManager));
+ *
+ * await sim.send("100000000000001", "200000000000001", "!ping");
+ * const reply = await sim.waitForMessage({ threadID: "200000000000001" });
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const EventEmitter = require("events");
+const { createSimulatedApi } = require("./api");
+const { NotFoundError, ValidationError } = require("../errors");
+
+/** Default time waitForMessage waits for a bot message */
+const DEFAULT_WAIT_TIMEOUT = 2000;
+
+/**
+ * Simulator Class
+ * Holds the simulated world and delivers events to listening bot accounts
+ */
+class Simulator extends EventEmitter {
+    /**
+     * Creates a new simulator
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.bots] - Bot accounts (see addBot)
+     * @param {Array<Object>} [options.users] - Users (see addUser)
+     * @param {Array<Object>} [options.threads] - Threads (see addThread)
+     */
+    constructor(options = {}) {
+        super();
+
+        /** @type {Map<string, Object>} Users (bots included) by ID */
+        this.users = new Map();
+
+        /** @type {Map<string, Object>} Threads by ID */
+        this.threads = new Map();
+
+        /** @type {Map<string, Object>} Every message by ID */
+        this.messages = new Map();
+
+        /** @type {Set<Object>} Active listenMqtt registrations */
+        this.listeners = new Set();
+
+        /** @type {Array<Object>} Everything the bots did, in order */
+        this.outbox = [];
+
+        /** @type {Set<Promise>} Listener callbacks still running */
+        this.inflight = new Set();
+
+        /** @type {number} Sequence for IDs and ordering */
+        this.sequence = 0;
+
+        /** @type {number} Sequence of the last scripted input (see waitForMessage) */
+        this.lastInput = 0;
+
+        for (const bot of options.bots || []) this.addBot(bot);
+        for (const user of options.users || []) this.addUser(user);
+        for (const thread of options.threads || []) this.addThread(thread);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // WORLD
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Adds (or replaces) a user
+     * @param {Object} user
+     * @param {string} user.id - User ID
+     * @param {string} [user.name] - Full name
+     * @param {string} [user.firstName] - Short name (default: first word of name)
+     * @param {string} [user.gender] - Gender
+     * @param {boolean} [user.isFriend] - Whether the bots are friends with them
+     * @returns {Object} The stored user
+     */
+    addUser(user) {
+        if (!user || !user.id) {
+            throw ValidationError.fromArray([{ field: "id", message: "User ID is required" }]);
+        }
+
+        const id = String(user.id);
+        const name = user.name || `User ${id}`;
+        const stored = {
+            id,
+            name,
+            firstName: user.firstName || name.split(" ")[0],
+            gender: user.gender || "no specific gender",
+            isFriend: Boolean(user.isFriend),
+            isBot: Boolean(user.isBot),
+            account: user.account || null,
+        };
+
+        this.users.set(id, stored);
+        return stored;
+    }
+
+    /**
+     * Adds a bot account that AccountManager can log in as
+     * @param {Object} bot - Same fields as addUser, plus:
+     * @param {string} [bot.account] - Account name (default: the ID)
+     * @returns {Object} The stored user
+     */
+    addBot(bot) {
+        return this.addUser({ ...bot, isBot: true, account: bot.account || String(bot.id) });
+    }
+
+    /**
+     * Adds (or replaces) a thread. Unknown participants are added as users.
+     * @param {Object} thread
+     * @param {string} thread.id - Thread ID (for a DM, the other user's ID)
+     * @param {Array<string>} thread.participants - Participant IDs
+     * @param {string} [thread.name] - Group name
+     * @param {boolean} [thread.isGroup] - Default: more than two participants or a name
+     * @param {Array<string>} [thread.admins] - Group admin IDs
+     * @param {string} [thread.folder] - "INBOX" (default) or "PENDING" for message requests
+     * @returns {Object} The stored thread
+     */
+    addThread(thread) {
+        if (!thread || !thread.id) {
+            throw ValidationError.fromArray([{ field: "id", message: "Thread ID is required" }]);
+        }
+
+        const participantIDs = (thread.participants || []).map(String);
+        for (const id of participantIDs) {
+            if (!this.users.has(id)) this.addUser({ id });
+        }
+
+        const stored = {
+            threadID: String(thread.id),
+            threadName: thread.name || null,
+            participantIDs,
+            adminIDs: (thread.admins || []).map(String),
+            isGroup: thread.isGroup ?? (participantIDs.length > 2 || Boolean(thread.name)),
+            nicknames: { ...thread.nicknames },
+            emoji: thread.emoji || null,
+            folder: thread.folder || "INBOX",
+            timestamp: Date.now(),
+            history: [],
+        };
+
+        this.threads.set(stored.threadID, stored);
+        return stored;
+    }
+
+    /**
+     * Removes a thread and its messages
+     * @param {string} threadID - Thread ID
+     * @returns {boolean}
+     */
+    removeThread(threadID) {
+        const thread = this.threads.get(String(threadID));
+        if (!thread) return false;
+
+        for (const message of thread.history) this.messages.delete(message.messageID);
+        return this.threads.delete(String(threadID));
+    }
+
+    /**
+     * @param {string} id - User ID
+     * @returns {Object|null}
+     */
+    getUser(id) {
+        return this.users.get(String(id)) || null;
+    }
+
+    /**
+     * @param {string} threadID - Thread ID
+     * @returns {Object|null}
+     */
+    getThread(threadID) {
+        return this.threads.get(String(threadID)) || null;
+    }
+
+    /**
+     * @returns {Array<Object>}
+     */
+    getThreads() {
+        return [...this.threads.values()];
+    }
+
+    /**
+     * Bot accounts in the world
+     * @returns {Array<Object>}
+     */
+    getBots() {
+        return [...this.users.values()].filter((user) => user.isBot);
+    }
+
+    /**
+     * @param {string} messageID - Message ID
+     * @returns {Object|null}
+     */
+    getMessage(messageID) {
+        return this.messages.get(messageID) || null;
+    }
+
+    /**
+     * Messages of a thread, oldest first (unsent ones excluded)
+     * @param {string} threadID - Thread ID
+     * @returns {Array<Object>}
+     */
+    getHistory(threadID) {
+        return this._requireThread(threadID).history.filter((message) => !message.unsent);
+    }
+
+    /**
+     * User info in nero-core's getUserInfo shape (unknown IDs get a placeholder)
+     * @param {string} id - User ID
+     * @returns {Object}
+     */
+    getUserInfo(id) {
+        const user = this.getUser(id) || { id: String(id), name: "Facebook User" };
+
+        return {
+            id: user.id,
+            name: user.name,
+            firstName: user.firstName || user.name.split(" ")[0],
+            lastName: null,
+            vanity: user.id,
+            profilePicUrl: null,
+            profileUrl: `https://www.facebook.com/profile.php?id=${user.id}`,
+            gender: user.gender || "no specific gender",
+            type: "user",
+            isFriend: Boolean(user.isFriend),
+            isBirthday: false,
+        };
+    }
+
+    /**
+     * Thread info in nero-core's getThreadInfo shape
+     * @param {string} threadID - Thread ID
+     * @returns {Object}
+     * @throws {NotFoundError} If the thread doesn't exist
+     */
+    getThreadInfo(threadID) {
+        const thread = this._requireThread(threadID);
+
+        return {
+            threadID: thread.threadID,
+            threadName: thread.threadName,
+            participantIDs: [...thread.participantIDs],
+            userInfo: thread.participantIDs.map((id) => this.getUserInfo(id)),
+            unreadCount: 0,
+            messageCount: thread.history.length,
+            timestamp: thread.timestamp,
+            muteUntil: null,
+            isGroup: thread.isGroup,
+            isSubscribed: true,
+            isArchived: thread.folder === "ARCHIVED",
+            folder: thread.folder,
+            cannotReplyReason: null,
+            eventReminders: null,
+            emoji: thread.emoji,
+            color: null,
+            threadTheme: null,
+            nicknames: { ...thread.nicknames },
+            adminIDs: [...thread.adminIDs],
+            approvalMode: false,
+            approvalQueue: [],
+            reactionsMuteMode: null,
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // TRANSPORT (nero-core login compatible)
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Logs a bot in. Same signature as nero-core's login: the bot is picked by
+     * the `c_user` cookie of `appState` (or `loginData.userID`).
+     * @param {Object} loginData - { appState } or { userID }
+     * @param {Object|Function} [options] - Nero options (selfListen, listenEvents, ...)
+     * @param {Function} [callback] - (err, api)
+     * @returns {Promise<Object>} The simulated API
+     */
+    login(loginData = {}, options = {}, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+
+        const cookie = (loginData.appState || []).find(
+            (item) => item.key === "c_user" || item.name === "c_user"
+        );
+        const userID = String(loginData.userID || cookie?.value || "");
+        const bot = this.getUser(userID);
+
+        const promise = new Promise((resolve, reject) => {
+            setImmediate(() => {
+                if (!bot || !bot.isBot) {
+                    reject(new NotFoundError("Simulated account", userID || "(no c_user)"));
+                } else {
+                    resolve(createSimulatedApi(this, bot.id, { ...options }));
+                }
+            });
+        });
+
+        if (typeof callback === "function") {
+            promise.then(
+                (api) => callback(null, api),
+                (error) => callback(error)
+            );
+        }
+        return promise;
+    }
+
+    /**
+     * Fake appstate for a bot (only `c_user` matters to login)
+     * @param {string} botID - Bot user ID
+     * @returns {Array<Object>}
+     */
+    getAppState(botID) {
+        return [
+            { key: "c_user", value: String(botID), domain: "facebook.com", path: "/" },
+            { key: "xs", value: "simulated", domain: "facebook.com", path: "/" },
+        ];
+    }
+
+    /**
+     * Accounts for AccountManager to log in instead of appstate files
+     * @returns {Array<{name: string, filePath: null, appState: Array}>}
+     */
+    discoverAccounts() {
+        return this.getBots().map((bot) => ({
+            name: bot.account,
+            filePath: null,
+            appState: this.getAppState(bot.id),
+        }));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SCRIPTING (the humans)
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * A user sends a message
+     * @param {string} senderID - Sender ID
+     * @param {string} threadID - Thread ID
+     * @param {string} body - Message text
+     * @param {Object} [options]
+     * @param {Object} [options.mentions] - { userID: "@Name" }
+     * @param {Array<Object>} [options.attachments] - Attachment objects
+     * @param {string} [options.replyTo] - Message ID being replied to
+     * @returns {Promise<Object>} The delivered event
+     */
+    async send(senderID, threadID, body, options = {}) {
+        const record = this._postMessage(String(senderID), String(threadID), {
+            body,
+            mentions: options.mentions || {},
+            attachments: options.attachments || [],
+            replyTo: options.replyTo || null,
+        });
+        this.lastInput = record.seq;
+        return this._toMessageEvent(record);
+    }
+
+    /**
+     * A user replies to a message
+     * @param {string} senderID - Sender ID
+     * @param {string} messageID - Message being replied to
+     * @param {string} body - Reply text
+     * @param {Object} [options] - See send
+     * @returns {Promise<Object>} The delivered event
+     */
+    async reply(senderID, messageID, body, options = {}) {
+        const original = this._requireMessage(messageID);
+        return this.send(senderID, original.threadID, body, { ...options, replyTo: messageID });
+    }
+
+    /**
+     * A user reacts to a message ("" removes the reaction)
+     * @param {string} userID - Reacting user
+     * @param {string} messageID - Message ID
+     * @param {string} reaction - Emoji
+     * @returns {Promise<Object>} The delivered event
+     */
+    async react(userID, messageID, reaction) {
+        const event = this._react(String(userID), messageID, reaction);
+        this.lastInput = this.sequence;
+        return event;
+    }
+
+    /**
+     * A user unsends one of their messages
+     * @param {string} userID - Author
+     * @param {string} messageID - Message ID
+     * @returns {Promise<Object>} The delivered event
+     */
+    async unsend(userID, messageID) {
+        const event = this._unsendMessage(String(userID), messageID);
+        this.lastInput = this.sequence;
+        return event;
+    }
+
+    /**
+     * Users join a group (log:subscribe)
+     * @param {string} threadID - Thread ID
+     * @param {string|Array<string>} userIDs - Joining users
+     * @param {Object} [options]
+     * @param {string} [options.author] - Who added them (default: the first joiner)
+     * @returns {Promise<Object>} The delivered event
+     */
+    async join(threadID, userIDs, options = {}) {
+        const ids = [].concat(userIDs).map(String);
+        const result = this._changeMembers(options.author || ids[0], "add", ids, threadID);
+        this.lastInput = this.sequence;
+        return result;
+    }
+
+    /**
+     * A user leaves (or is removed from) a group (log:unsubscribe)
+     * @param {string} threadID - Thread ID
+     * @param {string} userID - Leaving user
+     * @param {Object} [options]
+     * @param {string} [options.author] - Who removed them (default: themselves)
+     * @returns {Promise<Object>} The delivered event
+     */
+    async leave(threadID, userID, options = {}) {
+        const result = this._changeMembers(options.author || userID, "remove", [userID], threadID);
+        this.lastInput = this.sequence;
+        return result;
+    }
+
+    /**
+     * Delivers a raw event to every listening bot in its thread
+     * @param {Object} event - Event object (threadID decides who receives it)
+     * @returns {Promise<Object>} The event
+     */
+    async inject(event) {
+        this.lastInput = ++this.sequence;
+        this._deliver({ timestamp: Date.now(), ...event }, event.senderID || event.author);
+        return event;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ASSERTIONS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Messages sent by bots
+     * @param {Object} [filter]
+     * @param {string} [filter.threadID] - Only this thread
+     * @param {string} [filter.botID] - Only this bot
+     * @returns {Array<Object>}
+     */
+    sent(filter = {}) {
+        return this.outbox.filter(
+            (action) =>
+                action.type === "message" &&
+                (!filter.threadID || action.threadID === String(filter.threadID)) &&
+                (!filter.botID || action.botID === String(filter.botID))
+        );
+    }
+
+    /**
+     * Resolves with the first bot message after the last scripted input that
+     * matches the filter (including ones already sent)
+     * @param {Object} [filter]
+     * @param {string} [filter.threadID] - Only this thread
+     * @param {string} [filter.botID] - Only this bot
+     * @param {string|RegExp|Function} [filter.match] - Substring, pattern or predicate on the body
+     * @param {number} [filter.since] - Only after this outbox seq (default: last scripted input)
+     * @param {number} [timeout] - Milliseconds (default: 2000)
+     * @returns {Promise<Object>} The outbox record
+     * @throws {Error} When nothing matches in time
+     */
+    waitForMessage(filter = {}, timeout = DEFAULT_WAIT_TIMEOUT) {
+        const since = filter.since ?? this.lastInput;
+        const matches = (action) =>
+            action.type === "message" &&
+            action.seq > since &&
+            (!filter.threadID || action.threadID === String(filter.threadID)) &&
+            (!filter.botID || action.botID === String(filter.botID)) &&
+            this._matchBody(action.body, filter.match);
+
+        const existing = this.outbox.find(matches);
+        if (existing) return Promise.resolve(existing);
+
+        return new Promise((resolve, reject) => {
+            const onAction = (action) => {
+                if (!matches(action)) return;
+                clearTimeout(timer);
+                this.off("action", onAction);
+                resolve(action);
+            };
+            const timer = setTimeout(() => {
+                this.off("action", onAction);
+                reject(new Error(`No matching bot message within ${timeout}ms`));
+            }, timeout);
+
+            this.on("action", onAction);
+        });
+    }
+
+    /**
+     * Waits until every listener callback (and what they triggered) has finished.
+     * Commands blocked on awaitReply/awaitReaction keep this pending, so await
+     * waitForMessage instead around those.
+     * @returns {Promise<void>}
+     */
+    async settle() {
+        while (this.inflight.size > 0) {
+            await Promise.allSettled([...this.inflight]);
+        }
+    }
+
+    /**
+     * Forgets messages and recorded bot actions (users and threads stay)
+     */
+    clear() {
+        this.messages.clear();
+        this.outbox = [];
+        this.lastInput = this.sequence;
+        for (const thread of this.threads.values()) thread.history = [];
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // INTERNALS (shared with the simulated API)
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * @param {Object} listener - Registration from listenMqtt
+     * @private
+     */
+    _addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * @param {Object} listener - Registration from listenMqtt
+     * @private
+     */
+    _removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * Stops every listener of a bot (logout)
+     * @param {string} botID - Bot ID
+     * @private
+     */
+    _removeListenersFor(botID) {
+        for (const listener of [...this.listeners]) {
+            if (listener.botID === botID) this.listeners.delete(listener);
+        }
+    }
+
+    /**
+     * @param {string} threadID - Thread ID
+     * @returns {Object}
+     * @throws {NotFoundError}
+     * @private
+     */
+    _requireThread(threadID) {
+        const thread = this.getThread(threadID);
+        if (!thread) throw new NotFoundError("Thread", threadID);
+        return thread;
+    }
+
+    /**
+     * @param {string} messageID - Message ID
+     * @returns {Object}
+     * @throws {NotFoundError}
+     * @private
+     */
+    _requireMessage(messageID) {
+        const message = this.getMessage(messageID);
+        if (!message) throw new NotFoundError("Message", messageID);
+        return message;
+    }
+
+    /**
+     * @param {string} body - Message text
+     * @param {string|RegExp|Function} [match] - Matcher
+     * @returns {boolean}
+     * @private
+     */
+    _matchBody(body, match) {
+        if (match === undefined || match === null) return true;
+        if (match instanceof RegExp) return match.test(body);
+        if (typeof match === "function") return Boolean(match(body));
+        return String(body).includes(String(match));
+    }
+
+    /**
+     * Records what a bot did and notifies waitForMessage
+     * @param {Object} action - Outbox record
+     * @private
+     */
+    _record(action) {
+        if (!this.getUser(action.botID)?.isBot) return;
+
+        this.outbox.push(action);
+        this.emit("action", action);
+    }
+
+    /**
+     * Stores a message from anyone and delivers it
+     * @param {string} senderID - Author
+     * @param {string} threadID - Thread ID
+     * @param {Object} content - body, mentions, attachments, replyTo
+     * @returns {Object} The stored message
+     * @private
+     */
+    _postMessage(senderID, threadID, content) {
+        const thread = this._requireThread(threadID);
+        if (content.replyTo) this._requireMessage(content.replyTo);
+
+        // Bots mention with [{ tag, id }], events carry { id: tag }
+        const mentions = Array.isArray(content.mentions)
+            ? Object.fromEntries(content.mentions.map((m) => [String(m.id), m.tag]))
+            : { ...content.mentions };
+
+        const seq = ++this.sequence;
+        const message = {
+            seq,
+            type: "message",
+            botID: senderID,
+            senderID,
+            threadID,
+            messageID: `mid.$sim${seq}`,
+            body: String(content.body ?? ""),
+            attachments: content.attachments || [],
+            mentions,
+            replyTo: content.replyTo || null,
+            reactions: {},
+            unsent: false,
+            timestamp: Date.now(),
+        };
+
+        this.messages.set(message.messageID, message);
+        thread.history.push(message);
+        thread.timestamp = message.timestamp;
+
+        this._record(message);
+        this._deliver(this._toMessageEvent(message), senderID);
+        return message;
+    }
+
+    /**
+     * Event shape the MQTT listener produces for a stored message
+     * @param {Object} message - Stored message
+     * @returns {Object}
+     * @private
+     */
+    _toMessageEvent(message) {
+        const thread = this._requireThread(message.threadID);
+        const event = {
+            type: message.replyTo ? "message_reply" : "message",
+            senderID: message.senderID,
+            body: message.body,
+            threadID: message.threadID,
+            messageID: message.messageID,
+            attachments: message.attachments,
+            mentions: message.mentions,
+            timestamp: message.timestamp,
+            isGroup: thread.isGroup,
+            participantIDs: [...thread.participantIDs],
+        };
+
+        if (message.replyTo) {
+            const original = this.getMessage(message.replyTo);
+            event.messageReply = {
+                threadID: original.threadID,
+                messageID: original.messageID,
+                senderID: original.senderID,
+                attachments: original.attachments,
+                body: original.body,
+                isGroup: thread.isGroup,
+                mentions: original.mentions,
+                timestamp: original.timestamp,
+            };
+        }
+
+        return event;
+    }
+
+    /**
+     * @param {string} actorID - Editing bot
+     * @param {string} messageID - Message ID
+     * @param {string} text - New text
+     * @returns {Object} The edited message
+     * @private
+     */
+    _editMessage(actorID, messageID, text) {
+        const message = this._requireMessage(messageID);
+        if (message.senderID !== actorID) {
+            throw new Error("You can only edit your own messages");
+        }
+
+        message.body = String(text);
+        this._record({
+            seq: ++this.sequence,
+            type: "edit",
+            botID: actorID,
+            threadID: message.threadID,
+            messageID,
+            body: message.body,
+            timestamp: Date.now(),
+        });
+        return message;
+    }
+
+    /**
+     * @param {string} actorID - Who unsends
+     * @param {string} messageID - Message ID
+     * @returns {Object} The delivered message_unsend event
+     * @private
+     */
+    _unsendMessage(actorID, messageID) {
+        const message = this._requireMessage(messageID);
+        if (message.senderID !== actorID) {
+            throw new Error("You can only unsend your own messages");
+        }
+
+        message.unsent = true;
+        const timestamp = Date.now();
+        this._record({
+            seq: ++this.sequence,
+            type: "unsend",
+            botID: actorID,
+            threadID: message.threadID,
+            messageID,
+            timestamp,
+        });
+
+        const event = {
+            type: "message_unsend",
+            threadID: message.threadID,
+            messageID,
+            senderID: actorID,
+            deletionTimestamp: timestamp,
+            timestamp,
+        };
+        this._deliver(event, actorID);
+        return event;
+    }
+
+    /**
+     * @param {string} actorID - Reacting user or bot
+     * @param {string} messageID - Message ID
+     * @param {string} reaction - Emoji ("" removes)
+     * @returns {Object} The delivered message_reaction event
+     * @private
+     */
+    _react(actorID, messageID, reaction) {
+        const message = this._requireMessage(messageID);
+
+        if (reaction) {
+            message.reactions[actorID] = reaction;
+        } else {
+            delete message.reactions[actorID];
+        }
+
+        this._record({
+            seq: ++this.sequence,
+            type: "reaction",
+            botID: actorID,
+            threadID: message.threadID,
+            messageID,
+            reaction: reaction || "",
+            timestamp: Date.now(),
+        });
+
+        const event = {
+            type: "message_reaction",
+            threadID: message.threadID,
+            messageID,
+            reaction: reaction || "",
+            senderID: message.senderID,
+            userID: actorID,
+        };
+        this._deliver(event, actorID);
+        return event;
+    }
+
+    /**
+     * Adds or removes group members like api.gcmember (errors are returned, not thrown)
+     * @param {string} actorID - Who makes the change
+     * @param {string} action - "add" or "remove"
+     * @param {Array<string>} userIDs - Users
+     * @param {string} threadID - Thread ID
+     * @returns {Object} gc_member_update or error_gc
+     * @private
+     */
+    _changeMembers(actorID, action, userIDs, threadID) {
+        const thread = this.getThread(threadID);
+        const ids = userIDs.map(String);
+
+        if (!["add", "remove"].includes(String(action).toLowerCase())) {
+            return { type: "error_gc", error: "Invalid action. Must be one of: add, remove" };
+        }
+        if (!thread) return { type: "error_gc", error: "Could not retrieve thread information." };
+        if (!thread.isGroup) {
+            return {
+                type: "error_gc",
+                error: "This feature is only for group chats, not private messages.",
+            };
+        }
+
+        const adding = action.toLowerCase() === "add";
+        const changed = ids.filter((id) => thread.participantIDs.includes(id) !== adding);
+        if (changed.length === 0) {
+            return {
+                type: "error_gc",
+                error: adding
+                    ? "All specified users are already in the group."
+                    : "The specified user is not in this group.",
+            };
+        }
+
+        for (const id of changed) {
+            if (!this.users.has(id)) this.addUser({ id });
+
+            if (adding) {
+                thread.participantIDs.push(id);
+            } else {
+                thread.participantIDs = thread.participantIDs.filter((p) => p !== id);
+                thread.adminIDs = thread.adminIDs.filter((p) => p !== id);
+            }
+        }
+
+        this._record({
+            seq: ++this.sequence,
+            type: "members",
+            botID: String(actorID),
+            threadID: thread.threadID,
+            action: adding ? "add" : "remove",
+            userIDs: changed,
+            timestamp: Date.now(),
+        });
+
+        if (adding) {
+            this._logEvent(thread, actorID, "log:subscribe", {
+                addedParticipants: changed.map((id) => ({
+                    userFbId: id,
+                    fullName: this.getUser(id).name,
+                    firstName: this.getUser(id).firstName,
+                })),
+            });
+        } else {
+            // Real removals arrive one event per user
+            for (const id of changed) {
+                this._logEvent(thread, actorID, "log:unsubscribe", { leftParticipantFbId: id });
+            }
+        }
+
+        return {
+            type: "gc_member_update",
+            threadID: thread.threadID,
+            userIDs: changed,
+            action: adding ? "add" : "remove",
+            senderID: String(actorID),
+            BotID: String(actorID),
+            timestamp: Date.now(),
+        };
+    }
+
+    /**
+     * @param {string} actorID - Who makes the change
+     * @param {string} threadID - Thread ID
+     * @param {Array<string>} userIDs - Users
+     * @param {boolean} isAdmin - Promote or demote
+     * @returns {boolean}
+     * @private
+     */
+    _setAdmins(actorID, threadID, userIDs, isAdmin) {
+        const thread = this._requireThread(threadID);
+
+        for (const id of userIDs.map(String)) {
+            thread.adminIDs = thread.adminIDs.filter((admin) => admin !== id);
+            if (isAdmin) thread.adminIDs.push(id);
+
+            this._logEvent(thread, actorID, "log:thread-admins", {
+                ADMIN_EVENT: isAdmin ? "add_admin" : "remove_admin",
+                TARGET_ID: id,
+            });
+        }
+        return true;
+    }
+
+    /**
+     * @param {string} actorID - Who makes the change
+     * @param {string} threadID - Thread ID
+     * @param {string} participantID - Whose nickname
+     * @param {string} nickname - New nickname ("" clears)
+     * @returns {boolean}
+     * @private
+     */
+    _setNickname(actorID, threadID, participantID, nickname) {
+        const thread = this._requireThread(threadID);
+
+        if (nickname) {
+            thread.nicknames[participantID] = nickname;
+        } else {
+            delete thread.nicknames[participantID];
+        }
+
+        this._logEvent(thread, actorID, "log:user-nickname", {
+            participant_id: String(participantID),
+            nickname: nickname || "",
+        });
+        return true;
+    }
+
+    /**
+     * Delivers a thread log event (type "event")
+     * @param {Object} thread - Stored thread
+     * @param {string} actorID - Author
+     * @param {string} logMessageType - e.g. "log:subscribe"
+     * @param {Object} logMessageData - Type-specific data
+     * @private
+     */
+    _logEvent(thread, actorID, logMessageType, logMessageData) {
+        this._deliver(
+            {
+                type: "event",
+                threadID: thread.threadID,
+                messageID: `mid.$sim${++this.sequence}`,
+                logMessageType,
+                logMessageData,
+                logMessageBody: "",
+                timestamp: Date.now(),
+                author: String(actorID),
+                participantIDs: [...thread.participantIDs],
+            },
+            String(actorID)
+        );
+    }
+
+    /**
+     * Hands an event to each listening bot in the thread, honouring the
+     * selfListen / selfListenEvent / listenEvents options it logged in with
+     * @param {Object} event - Event
+     * @param {string} [actorID] - Who caused it
+     * @private
+     */
+    _deliver(event, actorID) {
+        const thread = event.threadID ? this.getThread(event.threadID) : null;
+        const isMessage = event.type === "message" || event.type === "message_reply";
+
+        for (const listener of [...this.listeners]) {
+            const { botID, options } = listener;
+
+            // Removed members (e.g. a bot leaving) still see their own removal
+            const involved =
+                !thread ||
+                thread.participantIDs.includes(botID) ||
+                event.logMessageData?.leftParticipantFbId === botID;
+            if (!involved) continue;
+
+            if (!isMessage && options.listenEvents === false) continue;
+            if (botID === actorID) {
+                if (isMessage && !options.selfListen) continue;
+                if (!isMessage && !options.selfListenEvent) continue;
+            }
+
+            // Each account gets its own copy (handlers tag and block events)
+            const copy = { ...event };
+            listener.emitter.emit("message", copy);
+
+            const running = Promise.resolve()
+                .then(() => listener.callback(null, copy))
+                .catch((error) => this.emit("dispatchError", error))
+                .finally(() => this.inflight.delete(running));
+            this.inflight.add(running);
+        }
+    }
+}
+
+module.exports = { Simulator };
@@ -0,0 +1,465 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                          STATS HISTORY                                        ║
+ * ║             Hourly and daily activity buckets for trends and ranges           ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Every recorded activity is added to the bucket for the current hour and the
+ * bucket for the current day, in the history's time zone (statsTracker uses
+ * config.bot.timeZone, so days roll over at the bot's midnight, not the host's). Buckets hold messages, reactions,
+ * commands by name, events by name, background task runs and durations, and
+ * per-thread and per-account activity. Old buckets are pruned by retention.
+ *
+ * statsTracker owns one instance and persists it; query it through
+ * statsTracker.getHistory() / getSummary() / compareDays() / getTrend().
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const { ValidationError } = require("./errors");
+
+/** One hour / one day in ms */
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/** Supported bucket sizes */
+const GRANULARITIES = ["hour", "day"];
+
+/** Most buckets one range() call builds */
+const MAX_BUCKETS = 1000;
+
+/** @type {Map<string, Intl.DateTimeFormat>} Formatters by time zone */
+const formatters = new Map();
+
+/**
+ * How far a time zone's wall clock is ahead of UTC at a moment
+ * @param {number} time - Timestamp in ms
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in ms
+ */
+function zoneOffset(time, timeZone) {
+    let format = formatters.get(timeZone);
+    if (!format) {
+        format = new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric",
+        });
+        formatters.set(timeZone, format);
+    }
+
+    const parts = {};
+    for (const { type, value } of format.formatToParts(time)) parts[type] = Number(value);
+    const wallClock = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+    );
+    return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Start of the hour or day containing a timestamp, in a time zone
+ * @param {number} time - Timestamp in ms
+ * @param {"hour"|"day"} granularity - Bucket size
+ * @param {string} [timeZone] - IANA time zone (default: "UTC")
+ * @returns {number} Bucket start in ms
+ */
+function bucketStart(time, granularity, timeZone = "UTC") {
+    const offset = zoneOffset(time, timeZone);
+    const wallClock = time + offset;
+    const size = granularity === "day" ? DAY : HOUR;
+    const start = wallClock - (((wallClock % size) + size) % size);
+
+    // Midnight can have another offset than `time` on a DST day
+    return granularity === "day" ? start - zoneOffset(start - offset, timeZone) : start - offset;
+}
+
+/**
+ * Start of the bucket after `start` (days are found again, as DST days are 23 or 25 hours)
+ * @param {number} start - Bucket start in ms
+ * @param {"hour"|"day"} granularity - Bucket size
+ * @param {string} [timeZone] - IANA time zone (default: "UTC")
+ * @returns {number}
+ */
+function nextBucket(start, granularity, timeZone = "UTC") {
+    return granularity === "day"
+        ? bucketStart(start + DAY + 2 * HOUR, "day", timeZone)
+        : start + HOUR;
+}
+
+/**
+ * An empty bucket
+ * @param {number} start - Bucket start in ms
+ * @returns {Object}
+ */
+function emptyBucket(start) {
+    return {
+        start,
+        messages: 0,
+        reactions: 0,
+        commands: { total: 0, failed: 0, blocked: 0, byName: {} },
+        events: { total: 0, failed: 0, byName: {} },
+        background: { runs: 0, failed: 0, totalTime: 0, byTask: {} },
+        threads: {},
+        accounts: {},
+    };
+}
+
+/**
+ * Adds numbers from `source` into `target`, recursing into nested objects
+ * @param {Object} target - Accumulator (modified)
+ * @param {Object} source - Values to add
+ * @returns {Object} target
+ */
+function addInto(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (key === "start") continue;
+        if (typeof value === "number") {
+            target[key] = (target[key] || 0) + value;
+        } else if (value && typeof value === "object") {
+            target[key] = addInto(target[key] || {}, value);
+        }
+    }
+    return target;
+}
+
+/**
+ * Sorts a { name: count } map into the top entries
+ * @param {Object<string, number>} counts - Counts by name
+ * @param {number} limit - Max entries
+ * @param {string} [key] - Property name for the name ("name")
+ * @returns {Array<Object>} e.g. [{ name, count }]
+ */
+function top(counts, limit, key = "name") {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([name, count]) => ({ [key]: name, count }));
+}
+
+/**
+ * Turns a Date, timestamp or date string into ms
+ * @param {Date|number|string} value - Time
+ * @param {string} field - Name for the error message
+ * @returns {number}
+ * @throws {ValidationError} If it isn't a valid time
+ */
+function toTime(value, field) {
+    const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    if (!Number.isFinite(time)) {
+        throw ValidationError.fromArray([{ field, message: `Invalid time: ${value}` }]);
+    }
+    return time;
+}
+
+/**
+ * StatsHistory Class
+ * Time-bucketed counters with retention
+ */
+class StatsHistory {
+    /**
+     * Creates a new history
+     * @param {Object} [options]
+     * @param {number} [options.hourlyRetention] - Hours of hourly buckets to keep (default: 168)
+     * @param {number} [options.dailyRetention] - Days of daily buckets to keep (default: 90)
+     * @param {string} [options.timeZone] - IANA time zone buckets start in (default: "UTC")
+     * @param {function(): number} [options.now] - Clock (for tests)
+     */
+    constructor(options = {}) {
+        this.hourlyRetention = options.hourlyRetention ?? 168;
+        this.dailyRetention = options.dailyRetention ?? 90;
+        this.timeZone = options.timeZone || "UTC";
+        this.now = options.now || Date.now;
+
+        /** @type {Map<number, Object>} Hourly buckets by start */
+        this.hourly = new Map();
+
+        /** @type {Map<number, Object>} Daily buckets by start */
+        this.daily = new Map();
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // RECORDING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Applies a change to the current hour's and day's buckets
+     * @param {function(Object): void} update - Mutates a bucket
+     * @private
+     */
+    _record(update) {
+        const now = this.now();
+
+        for (const [buckets, granularity] of [
+            [this.hourly, "hour"],
+            [this.daily, "day"],
+        ]) {
+            const start = bucketStart(now, granularity, this.timeZone);
+            if (!buckets.has(start)) {
+                buckets.set(start, emptyBucket(start));
+                this.prune();
+            }
+            update(buckets.get(start));
+        }
+    }
+
+    /**
+     * Records a message
+     * @param {string} [threadID] - Thread it was sent in
+     */
+    recordMessage(threadID) {
+        this._record((bucket) => {
+            bucket.messages++;
+            if (threadID) bucket.threads[threadID] = (bucket.threads[threadID] || 0) + 1;
+        });
+    }
+
+    /**
+     * Records a reaction
+     */
+    recordReaction() {
+        this._record((bucket) => {
+            bucket.reactions++;
+        });
+    }
+
+    /**
+     * Records a command execution
+     * @param {string} name - Command name
+     * @param {boolean} success - Whether it succeeded
+     */
+    recordCommand(name, success) {
+        this._record((bucket) => {
+            bucket.commands.total++;
+            if (!success) bucket.commands.failed++;
+            bucket.commands.byName[name] = (bucket.commands.byName[name] || 0) + 1;
+        });
+    }
+
+    /**
+     * Records a command stopped before running (blocked user/thread)
+     */
+    recordBlockedCommand() {
+        this._record((bucket) => {
+            bucket.commands.blocked++;
+        });
+    }
+
+    /**
+     * Records an event handler run
+     * @param {string} name - Event handler name
+     * @param {boolean} success - Whether it succeeded
+     */
+    recordEvent(name, success) {
+        this._record((bucket) => {
+            bucket.events.total++;
+            if (!success) bucket.events.failed++;
+            bucket.events.byName[name] = (bucket.events.byName[name] || 0) + 1;
+        });
+    }
+
+    /**
+     * Records a background task run
+     * @param {string} name - Task name
+     * @param {boolean} success - Whether it succeeded
+     * @param {number} duration - Run time in ms (only successful runs count towards totalTime)
+     */
+    recordBackgroundTask(name, success, duration) {
+        this._record((bucket) => {
+            const task = (bucket.background.byTask[name] ||= { runs: 0, failed: 0, totalTime: 0 });
+            bucket.background.runs++;
+            task.runs++;
+            if (success) {
+                bucket.background.totalTime += duration;
+                task.totalTime += duration;
+            } else {
+                bucket.background.failed++;
+                task.failed++;
+            }
+        });
+    }
+
+    /**
+     * Records activity handled by a bot account
+     * @param {string} account - Account name
+     * @param {"messages"|"commands"} type - What it handled
+     */
+    recordAccount(account, type) {
+        this._record((bucket) => {
+            const entry = (bucket.accounts[account] ||= { messages: 0, commands: 0 });
+            entry[type]++;
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // QUERYING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Buckets covering a time range, oldest first; hours/days without activity
+     * are included as empty buckets so trends have no gaps. The range is clipped
+     * to the retention window and to now.
+     * @param {Object} [options]
+     * @param {Date|number|string} [options.from] - Range start (default: 24 buckets back)
+     * @param {Date|number|string} [options.to] - Range end (default: now)
+     * @param {"hour"|"day"} [options.granularity] - Bucket size (default: "hour")
+     * @returns {Array<Object>} Buckets
+     * @throws {ValidationError} On an unknown granularity, invalid times or a range
+     *   of more than MAX_BUCKETS buckets
+     */
+    range(options = {}) {
+        const granularity = options.granularity || "hour";
+        if (!GRANULARITIES.includes(granularity)) {
+            throw ValidationError.fromArray([
+                {
+                    field: "granularity",
+                    message: `Must be one of: ${GRANULARITIES.join(", ")}`,
+                },
+            ]);
+        }
+
+        const step = granularity === "day" ? DAY : HOUR;
+        const now = this.now();
+        const to = Math.min(options.to !== undefined ? toTime(options.to, "to") : now, now);
+        const from = Math.max(
+            options.from !== undefined ? toTime(options.from, "from") : to - 23 * step,
+            this._oldest(granularity)
+        );
+        if ((to - from) / step >= MAX_BUCKETS) {
+            throw ValidationError.fromArray([
+                {
+                    field: "from",
+                    message: `Range is too long (max ${MAX_BUCKETS} ${granularity}s)`,
+                },
+            ]);
+        }
+        const buckets = granularity === "day" ? this.daily : this.hourly;
+
+        const result = [];
+        for (let start = bucketStart(from, granularity, this.timeZone); start <= to;) {
+            result.push(buckets.get(start) || emptyBucket(start));
+            start = nextBucket(start, granularity, this.timeZone);
+        }
+        return result;
+    }
+
+    /**
+     * Adds buckets up into one summary
+     * @param {Array<Object>} buckets - Buckets from range()
+     * @param {number} [limit] - Entries in the top lists (default: 5)
+     * @returns {Object} Totals plus topCommands, topThreads and topAccounts; from/to
+     *   are the starts of the first and last bucket
+     */
+    summarize(buckets, limit = 5) {
+        const totals = buckets.reduce((sum, bucket) => addInto(sum, bucket), emptyBucket(null));
+        const successfulRuns = totals.background.runs - totals.background.failed;
+        const accountTotals = Object.fromEntries(
+            Object.entries(totals.accounts).map(([name, entry]) => [
+                name,
+                entry.messages + entry.commands,
+            ])
+        );
+
+        return {
+            from: buckets.length > 0 ? new Date(buckets[0].start).toISOString() : null,
+            to:
+                buckets.length > 0
+                    ? new Date(buckets[buckets.length - 1].start).toISOString()
+                    : null,
+            messages: totals.messages,
+            reactions: totals.reactions,
+            commands: {
+                total: totals.commands.total,
+                failed: totals.commands.failed,
+                blocked: totals.commands.blocked,
+            },
+            events: { total: totals.events.total, failed: totals.events.failed },
+            background: {
+                runs: totals.background.runs,
+                failed: totals.background.failed,
+                avgTime:
+                    successfulRuns > 0
+                        ? Math.round(totals.background.totalTime / successfulRuns)
+                        : 0,
+            },
+            activeThreads: Object.keys(totals.threads).length,
+            topCommands: top(totals.commands.byName, limit),
+            topThreads: top(totals.threads, limit, "threadID"),
+            topAccounts: top(accountTotals, limit),
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // PERSISTENCE
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Start of the oldest bucket the retention window keeps
+     * @param {"hour"|"day"} granularity - Bucket size
+     * @returns {number}
+     * @private
+     */
+    _oldest(granularity) {
+        const now = this.now();
+        return granularity === "day"
+            ? bucketStart(now - (this.dailyRetention - 1) * DAY, "day", this.timeZone)
+            : bucketStart(now, "hour", this.timeZone) - (this.hourlyRetention - 1) * HOUR;
+    }
+
+    /**
+     * Drops buckets older than the retention windows
+     */
+    prune() {
+        const oldestHour = this._oldest("hour");
+        const oldestDay = this._oldest("day");
+
+        for (const start of this.hourly.keys()) {
+            if (start < oldestHour) this.hourly.delete(start);
+        }
+        for (const start of this.daily.keys()) {
+            if (start < oldestDay) this.daily.delete(start);
+        }
+    }
+
+    /**
+     * Plain object for storage
+     * @returns {{hourly: Array<Object>, daily: Array<Object>}}
+     */
+    toJSON() {
+        return { hourly: [...this.hourly.values()], daily: [...this.daily.values()] };
+    }
+
+    /**
+     * Restores buckets saved with toJSON (merging into any recorded since boot)
+     * @param {{hourly?: Array<Object>, daily?: Array<Object>}} data - Saved history
+     */
+    load(data = {}) {
+        for (const [buckets, saved] of [
+            [this.hourly, data.hourly],
+            [this.daily, data.daily],
+        ]) {
+            for (const bucket of saved || []) {
+                const current = buckets.get(bucket.start);
+                buckets.set(
+                    bucket.start,
+                    current ? addInto(current, bucket) : addInto(emptyBucket(bucket.start), bucket)
+                );
+            }
+        }
+        this.prune();
+    }
+}
+
+module.exports = { StatsHistory, bucketStart };
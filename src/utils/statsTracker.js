@@ -10,12 +10,37 @@
  * - Events triggered
  * - Per-command and per-user stats
  *
+ * Cumulative counters are persisted to the "stats" storage namespace so
+ * history survives restarts. Uptime and recent activity are per-process.
+ * Hourly/daily buckets (utils/statsHistory) go to "statsHistory" and back
+ * the range queries: getSummary(), compareDays(), getTrend().
+ *
  * @author 0x3EF8
  * @version 1.0.0
  */
 
 "use strict";
 
+const storage = require("./storage");
+const logger = require("./logger");
+const settings = require("../config/settings");
+const config = require("../config/config");
+const { StatsHistory, bucketStart } = require("./statsHistory");
+const { createHistogram, observe } = require("./metrics");
+
+/** Storage namespace for persisted stats */
+const NAMESPACE = "stats";
+
+/** Storage namespace for hourly/daily buckets */
+const HISTORY_NAMESPACE = "statsHistory";
+
+/** One hour / one day in ms */
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/** How often stats are written to storage (ms) */
+const SAVE_INTERVAL = 30 * 1000;
+
 /**
  * StatsTracker Class
  * Global singleton for tracking bot statistics
@@ -69,6 +94,84 @@ class StatsTracker {
 
         /** @type {number} Max recent activity entries */
         this.maxRecentActivity = 100;
+
+        /** @type {StatsHistory} Hourly/daily activity buckets, by the bot's clock */
+        this.history = new StatsHistory({
+            ...settings.stats,
+            timeZone: config.bot?.timeZone || "UTC",
+        });
+
+        this.load();
+
+        /** @type {NodeJS.Timeout} Periodic save timer */
+        this.saveTimer = setInterval(() => this.save(), SAVE_INTERVAL);
+        this.saveTimer.unref();
+
+        process.on("exit", () => {
+            this.save();
+            storage.flush();
+        });
+    }
+
+    /**
+     * Loads persisted stats from storage
+     * @returns {void}
+     */
+    load() {
+        try {
+            const saved = storage.getAll(NAMESPACE);
+
+            for (const [group, counters] of Object.entries(saved.counters || {})) {
+                Object.assign(this.stats[group] || {}, counters);
+            }
+
+            this.commandUsage = new Map(Object.entries(saved.commandUsage || {}));
+
+            this.backgroundTaskUsage = new Map(
+                Object.entries(saved.backgroundTaskUsage || {}).map(([name, task]) => [
+                    name,
+                    { ...task, lastRun: task.lastRun ? new Date(task.lastRun) : null },
+                ])
+            );
+
+            this.userActivity = new Map(
+                Object.entries(saved.userActivity || {}).map(([userId, user]) => [
+                    userId,
+                    {
+                        ...user,
+                        firstSeen: new Date(user.firstSeen),
+                        lastSeen: new Date(user.lastSeen),
+                    },
+                ])
+            );
+
+            this.threadActivity = new Map(Object.entries(saved.threadActivity || {}));
+
+            this.history.load(storage.getAll(HISTORY_NAMESPACE));
+        } catch (error) {
+            logger.error("StatsTracker", `Failed to load stats: ${error.message}`);
+        }
+    }
+
+    /**
+     * Writes cumulative stats to storage
+     * @returns {boolean} Success status
+     */
+    save() {
+        try {
+            storage.replace(NAMESPACE, {
+                counters: this.stats,
+                commandUsage: Object.fromEntries(this.commandUsage),
+                backgroundTaskUsage: Object.fromEntries(this.backgroundTaskUsage),
+                userActivity: Object.fromEntries(this.userActivity),
+                threadActivity: Object.fromEntries(this.threadActivity),
+            });
+            storage.replace(HISTORY_NAMESPACE, this.history.toJSON());
+            return true;
+        } catch (error) {
+            logger.error("StatsTracker", `Failed to save stats: ${error.message}`);
+            return false;
+        }
     }
 
     /**
@@ -95,6 +198,8 @@ class StatsTracker {
             const count = this.threadActivity.get(event.threadID) || 0;
             this.threadActivity.set(event.threadID, count + 1);
         }
+
+        this.history.recordMessage(event.threadID);
     }
 
     /**
@@ -115,6 +220,7 @@ class StatsTracker {
         // Track per-command usage
         const count = this.commandUsage.get(commandName) || 0;
         this.commandUsage.set(commandName, count + 1);
+        this.history.recordCommand(commandName, success);
 
         // Track user activity
         if (userId) {
@@ -136,6 +242,7 @@ class StatsTracker {
      */
     recordBlockedCommand() {
         this.stats.commands.blocked++;
+        this.history.recordBlockedCommand();
     }
 
     /**
@@ -151,6 +258,7 @@ class StatsTracker {
         } else {
             this.stats.events.failed++;
         }
+        this.history.recordEvent(eventName, success);
 
         // Add to recent activity
         this._addRecentActivity({
@@ -185,6 +293,7 @@ class StatsTracker {
                 failed: 0,
                 totalTime: 0,
                 lastRun: null,
+                durations: createHistogram(),
             });
         }
 
@@ -193,10 +302,12 @@ class StatsTracker {
         if (success) {
             taskStats.successful++;
             taskStats.totalTime += duration;
+            observe((taskStats.durations ||= createHistogram()), duration);
         } else {
             taskStats.failed++;
         }
         taskStats.lastRun = new Date();
+        this.history.recordBackgroundTask(taskName, success, duration);
 
         // Add to recent activity
         this._addRecentActivity({
@@ -213,6 +324,18 @@ class StatsTracker {
      */
     recordReaction() {
         this.stats.messages.reactions++;
+        this.history.recordReaction();
+    }
+
+    /**
+     * Record activity handled by a bot account (multi-account setups)
+     * @param {string} accountName - Account that received the event
+     * @param {"messages"|"commands"} type - Activity type
+     */
+    recordAccountActivity(accountName, type) {
+        if (accountName) {
+            this.history.recordAccount(accountName, type);
+        }
     }
 
     /**
@@ -277,9 +400,14 @@ class StatsTracker {
     /**
      * Get top commands by usage
      * @param {number} limit - Max number to return
+     * @param {Object} [range] - Only count this window ({ from, to } or { days }); all-time if omitted
      * @returns {Array<Object>} Top commands
      */
-    getTopCommands(limit = 10) {
+    getTopCommands(limit = 10, range = null) {
+        if (range) {
+            return this.getSummary({ ...range, granularity: "day", limit }).topCommands;
+        }
+
         return Array.from(this.commandUsage.entries())
             .sort((a, b) => b[1] - a[1])
             .slice(0, limit)
@@ -287,10 +415,76 @@ class StatsTracker {
     }
 
     /**
-     * Get top users by activity
-     * @param {number} limit - Max number to return
-     * @returns {Array<Object>} Top users
+     * Get hourly or daily buckets for a time range
+     * @param {Object} [options] - { from, to, granularity: "hour"|"day" }
+     * @returns {Array<Object>} Buckets, oldest first
+     * @throws {ValidationError} On an unknown granularity or invalid times
+     */
+    getHistory(options = {}) {
+        return this.history.range(options);
+    }
+
+    /**
+     * Get totals for a time range
+     * @param {Object} [options] - { from, to, granularity, limit }, or { days } for the
+     *   last N days including today; limit sizes the top lists
+     * @returns {Object} Summary (messages, commands, events, background, top lists)
+     * @throws {ValidationError} On an unknown granularity or invalid times
      */
+    getSummary(options = {}) {
+        const range = options.days
+            ? { from: this._startOfDay(options.days - 1), granularity: "day" }
+            : options;
+        return this.history.summarize(this.history.range(range), options.limit);
+    }
+
+    /**
+     * Compare today's activity with yesterday's
+     * @returns {{today: Object, yesterday: Object}} Day summaries
+     */
+    compareDays() {
+        const today = this._startOfDay(0);
+        const yesterday = this._startOfDay(1);
+
+        return {
+            today: this.getSummary({ from: today, granularity: "day" }),
+            yesterday: this.getSummary({ from: yesterday, to: today - 1, granularity: "day" }),
+        };
+    }
+
+    /**
+     * Get per-day totals for the last few days
+     * @param {number} [days] - Number of days including today (default: 7)
+     * @returns {Array<Object>} [{ date (YYYY-MM-DD), messages, commands, failed, events }], oldest first
+     */
+    getTrend(days = 7) {
+        return this.history
+            .range({ from: this._startOfDay(days - 1), granularity: "day" })
+            .map((bucket) => ({
+                date: new Date(bucket.start).toLocaleDateString("en-CA", {
+                    timeZone: this.history.timeZone,
+                }),
+                messages: bucket.messages,
+                commands: bucket.commands.total,
+                failed: bucket.commands.failed,
+                events: bucket.events.total,
+            }));
+    }
+
+    /**
+     * Start of the day a number of days ago (in the bot's time zone)
+     * @param {number} daysAgo - 0 for today
+     * @returns {number} Timestamp in ms
+     * @private
+     */
+    _startOfDay(daysAgo) {
+        const { timeZone } = this.history;
+        const today = bucketStart(this.history.now(), "day", timeZone);
+
+        // Noon of that day is inside it however many DST changes lie between
+        return bucketStart(today + 12 * HOUR - daysAgo * DAY, "day", timeZone);
+    }
+
     /**
      * Get complete stats summary for API
      * @returns {Object} Full stats object
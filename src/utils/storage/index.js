@@ -0,0 +1,274 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                            STORAGE MANAGER                                    ║
+ * ║       Pluggable key/value persistence for bot state (JSON or SQLite)          ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * All persisted bot state (config lists, thread settings, reminders, AI memory,
+ * stats) goes through this module. Data is grouped into namespaces; each
+ * namespace is a flat map of string keys to JSON-serializable values.
+ *
+ * The backend is chosen in settings.storage.driver:
+ * - "json"   - one file per namespace in data/storage/ (default)
+ * - "sqlite" - single database file at data/nero.db
+ *
+ * Storage opens lazily on first use and applies pending migrations.
+ * NERO_DATA_DIR moves the data directory (the test runner points it at a temp
+ * directory so tests never touch real bot state).
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const path = require("path");
+const settings = require("../../config/settings");
+const logger = require("../logger");
+const { JsonDriver } = require("./jsonDriver");
+const { SqliteDriver } = require("./sqliteDriver");
+const { migrations } = require("./migrations");
+
+const DATA_DIR = path.resolve(__dirname, "..", "..", "..", "data");
+const META_NAMESPACE = "_meta";
+
+/**
+ * StorageManager Class
+ * Opens the configured driver, runs migrations and exposes a key/value API
+ */
+class StorageManager {
+    /**
+     * @param {Object} [options] - Overrides for settings.storage
+     * @param {string} [options.driver] - "json" or "sqlite"
+     * @param {string} [options.directory] - Data directory (default NERO_DATA_DIR or data/)
+     * @param {number} [options.flushInterval] - JSON driver write delay (ms)
+     * @param {Array<Object>} [options.migrations] - Migration list
+     */
+    constructor(options = {}) {
+        const storageSettings = settings.storage || {};
+
+        this.options = {
+            driver: null, // Resolved on open so .env overrides are picked up
+            directory: null,
+            flushInterval: storageSettings.flushInterval ?? 1000,
+            migrations,
+            ...options,
+        };
+
+        /** @type {string} Driver from settings.js */
+        this.defaultDriver = storageSettings.driver || "json";
+
+        /** @type {JsonDriver|SqliteDriver|null} Active driver */
+        this.driver = null;
+
+        this._onExit = () => this.close();
+    }
+
+    /**
+     * Opens the driver and applies migrations (no-op if already open)
+     * @returns {StorageManager}
+     */
+    open() {
+        if (this.driver) return this;
+
+        const directory = (this.options.directory =
+            this.options.directory || process.env.NERO_DATA_DIR || DATA_DIR);
+        const { flushInterval } = this.options;
+        const driver = (this.options.driver =
+            this.options.driver || process.env.NERO_STORAGE_DRIVER || this.defaultDriver);
+
+        if (driver === "sqlite") {
+            this.driver = new SqliteDriver({ file: path.join(directory, "nero.db") });
+        } else if (driver === "json") {
+            this.driver = new JsonDriver({
+                directory: path.join(directory, "storage"),
+                flushInterval,
+            });
+        } else {
+            throw new Error(`Unknown storage driver: ${driver}`);
+        }
+
+        this.driver.open();
+
+        try {
+            this.migrate();
+        } catch (error) {
+            this.driver.close();
+            this.driver = null;
+            throw error;
+        }
+
+        // Make sure batched writes hit the disk however the process exits
+        process.on("exit", this._onExit);
+
+        logger.debug("Storage", `Opened ${driver} storage (schema v${this.getVersion()})`);
+        return this;
+    }
+
+    /**
+     * Applies migrations newer than the stored schema version
+     * @returns {number} Number of migrations applied
+     */
+    migrate() {
+        const current = this.driver.get(META_NAMESPACE, "schemaVersion") || 0;
+        const pending = this.options.migrations
+            .filter((migration) => migration.version > current)
+            .sort((a, b) => a.version - b.version);
+
+        for (const migration of pending) {
+            try {
+                migration.up(this);
+            } catch (error) {
+                logger.error(
+                    "Storage",
+                    `Migration ${migration.version} (${migration.name}) failed: ${error.message}`
+                );
+                throw error;
+            }
+
+            this.driver.set(META_NAMESPACE, "schemaVersion", migration.version);
+            logger.info("Storage", `Applied migration ${migration.version}: ${migration.name}`);
+        }
+
+        return pending.length;
+    }
+
+    /**
+     * Gets the current schema version
+     * @returns {number}
+     */
+    getVersion() {
+        return this.open().driver.get(META_NAMESPACE, "schemaVersion") || 0;
+    }
+
+    /**
+     * Gets a value
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key
+     * @param {*} [defaultValue] - Returned when the key is missing
+     * @returns {*}
+     */
+    get(namespace, key, defaultValue = undefined) {
+        const value = this.open().driver.get(namespace, String(key));
+        return value === undefined ? defaultValue : value;
+    }
+
+    /**
+     * Sets a value
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key
+     * @param {*} value - JSON-serializable value
+     * @returns {void}
+     */
+    set(namespace, key, value) {
+        this.open().driver.set(namespace, String(key), value);
+    }
+
+    /**
+     * Deletes a value
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key
+     * @returns {boolean} True if the key existed
+     */
+    delete(namespace, key) {
+        return this.open().driver.delete(namespace, String(key));
+    }
+
+    /**
+     * Checks if a key exists
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key
+     * @returns {boolean}
+     */
+    has(namespace, key) {
+        return this.get(namespace, key) !== undefined;
+    }
+
+    /**
+     * Lists keys in a namespace
+     * @param {string} namespace - Namespace
+     * @returns {Array<string>}
+     */
+    keys(namespace) {
+        return this.open().driver.keys(namespace);
+    }
+
+    /**
+     * Gets every entry in a namespace
+     * @param {string} namespace - Namespace
+     * @returns {Object<string, *>}
+     */
+    getAll(namespace) {
+        return this.open().driver.getAll(namespace);
+    }
+
+    /**
+     * Replaces the whole contents of a namespace in one write
+     * @param {string} namespace - Namespace
+     * @param {Object<string, *>} entries - New contents
+     * @returns {void}
+     */
+    replace(namespace, entries) {
+        this.open().driver.replace(namespace, entries);
+    }
+
+    /**
+     * Gets a view bound to one namespace
+     * @param {string} namespace - Namespace
+     * @returns {Object} Object with get/set/delete/has/keys/getAll/replace
+     */
+    namespace(namespace) {
+        return {
+            get: (key, defaultValue) => this.get(namespace, key, defaultValue),
+            set: (key, value) => this.set(namespace, key, value),
+            delete: (key) => this.delete(namespace, key),
+            has: (key) => this.has(namespace, key),
+            keys: () => this.keys(namespace),
+            getAll: () => this.getAll(namespace),
+            replace: (entries) => this.replace(namespace, entries),
+        };
+    }
+
+    /**
+     * Writes any buffered changes to disk
+     * @returns {void}
+     */
+    flush() {
+        if (this.driver) {
+            this.driver.flush();
+        }
+    }
+
+    /**
+     * Flushes and closes the driver
+     * @returns {void}
+     */
+    close() {
+        if (!this.driver) return;
+
+        try {
+            this.driver.close();
+        } catch (error) {
+            logger.error("Storage", `Failed to close storage: ${error.message}`);
+        }
+
+        this.driver = null;
+        process.removeListener("exit", this._onExit);
+    }
+
+    /**
+     * Gets storage info for diagnostics
+     * @returns {Object}
+     */
+    getInfo() {
+        return {
+            driver: this.options.driver,
+            directory: this.options.directory,
+            open: this.driver !== null,
+            schemaVersion: this.driver ? this.getVersion() : null,
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new StorageManager();
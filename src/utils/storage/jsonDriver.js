@@ -0,0 +1,181 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                          JSON STORAGE DRIVER                                  ║
+ * ║          One JSON file per namespace, batched atomic writes to disk           ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Keeps every namespace in memory and writes dirty namespaces back to disk
+ * after `flushInterval` ms. Files are written to a temp file, fsynced and
+ * renamed into place so a crash mid-write never leaves a truncated file.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Writes a file atomically (temp file + fsync + rename)
+ * @param {string} filePath - Destination path
+ * @param {string} data - File contents
+ * @returns {void}
+ */
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, "w");
+
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * JsonDriver Class
+ * File-per-namespace key/value storage
+ */
+class JsonDriver {
+    /**
+     * @param {Object} options - Driver options
+     * @param {string} options.directory - Directory holding namespace files
+     * @param {number} [options.flushInterval=1000] - Delay before dirty data is written (ms)
+     */
+    constructor({ directory, flushInterval = 1000 }) {
+        this.name = "json";
+        this.directory = directory;
+        this.flushInterval = flushInterval;
+
+        /** @type {Map<string, Object>} Loaded namespaces */
+        this.namespaces = new Map();
+
+        /** @type {Set<string>} Namespaces with unsaved changes */
+        this.dirty = new Set();
+
+        /** @type {NodeJS.Timeout|null} Pending flush timer */
+        this.flushTimer = null;
+    }
+
+    /**
+     * Prepares the storage directory
+     * @returns {void}
+     */
+    open() {
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    /**
+     * Gets the file path for a namespace
+     * @param {string} namespace - Namespace name
+     * @returns {string}
+     * @private
+     */
+    _filePath(namespace) {
+        return path.join(this.directory, `${namespace.replace(/[^\w.-]/g, "_")}.json`);
+    }
+
+    /**
+     * Loads a namespace from disk on first access
+     * @param {string} namespace - Namespace name
+     * @returns {Object} Namespace data
+     * @private
+     */
+    _load(namespace) {
+        let data = this.namespaces.get(namespace);
+        if (data) return data;
+
+        const filePath = this._filePath(namespace);
+        data = {};
+
+        if (fs.existsSync(filePath)) {
+            try {
+                data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+            } catch (error) {
+                // Keep the unreadable file around for manual recovery
+                fs.renameSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+                throw new Error(`Corrupt storage file ${filePath}: ${error.message}`);
+            }
+        }
+
+        this.namespaces.set(namespace, data);
+        return data;
+    }
+
+    /**
+     * Marks a namespace dirty and schedules a flush
+     * @param {string} namespace - Namespace name
+     * @private
+     */
+    _markDirty(namespace) {
+        this.dirty.add(namespace);
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+            this.flushTimer.unref?.();
+        }
+    }
+
+    get(namespace, key) {
+        const value = this._load(namespace)[key];
+        return value === undefined ? undefined : structuredClone(value);
+    }
+
+    set(namespace, key, value) {
+        this._load(namespace)[key] = structuredClone(value);
+        this._markDirty(namespace);
+    }
+
+    delete(namespace, key) {
+        const data = this._load(namespace);
+        if (!(key in data)) return false;
+
+        delete data[key];
+        this._markDirty(namespace);
+        return true;
+    }
+
+    keys(namespace) {
+        return Object.keys(this._load(namespace));
+    }
+
+    getAll(namespace) {
+        return structuredClone(this._load(namespace));
+    }
+
+    replace(namespace, entries) {
+        this.namespaces.set(namespace, structuredClone(entries));
+        this._markDirty(namespace);
+    }
+
+    /**
+     * Writes all dirty namespaces to disk
+     * @returns {void}
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        for (const namespace of this.dirty) {
+            writeFileAtomic(
+                this._filePath(namespace),
+                JSON.stringify(this.namespaces.get(namespace), null, 2)
+            );
+        }
+        this.dirty.clear();
+    }
+
+    close() {
+        this.flush();
+        this.namespaces.clear();
+    }
+}
+
+module.exports = { JsonDriver, writeFileAtomic };
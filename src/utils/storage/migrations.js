@@ -0,0 +1,83 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                          STORAGE MIGRATIONS                                   ║
+ * ║          Ordered, versioned upgrades applied once per storage backend         ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Each migration runs exactly once; the last applied version is recorded in
+ * the `_meta` namespace. Add new migrations to the end of the list with the
+ * next version number - never edit or reorder one that has shipped.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const SRC_DIR = path.resolve(__dirname, "..", "..");
+
+/**
+ * Reads a legacy JSON file if it exists
+ * @param {string} filePath - File path
+ * @returns {Object|null} Parsed contents or null
+ */
+function readLegacyFile(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Sequential version number
+ * @property {string} name - Short description
+ * @property {function(Object): void} up - Applies the migration to a storage instance
+ */
+
+/** @type {Array<Migration>} */
+const migrations = [
+    {
+        version: 1,
+        name: "import config/dynamic.json",
+        up(storage) {
+            const legacy = readLegacyFile(path.join(SRC_DIR, "config", "dynamic.json"));
+            if (!legacy) return;
+
+            for (const key of ["admins", "blockedUsers", "blockedThreads"]) {
+                if (Array.isArray(legacy[key])) {
+                    storage.set("config", key, legacy[key]);
+                }
+            }
+        },
+    },
+    {
+        version: 2,
+        name: "import config/threads.json",
+        up(storage) {
+            const legacy = readLegacyFile(path.join(SRC_DIR, "config", "threads.json"));
+            if (!legacy) return;
+
+            for (const [threadID, overrides] of Object.entries(legacy)) {
+                storage.set("threads", threadID, overrides);
+            }
+        },
+    },
+    {
+        version: 3,
+        name: "import AI reminders",
+        up(storage) {
+            const legacy = readLegacyFile(
+                path.join(SRC_DIR, "features", "events", "AI", "beta", "data", "reminders.json")
+            );
+            if (!legacy) return;
+
+            for (const [id, reminder] of Object.entries(legacy)) {
+                storage.set("reminders", id, reminder);
+            }
+        },
+    },
+];
+
+module.exports = { migrations };
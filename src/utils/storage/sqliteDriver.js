@@ -0,0 +1,152 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                         SQLITE STORAGE DRIVER                                 ║
+ * ║            Embedded SQLite key/value store (WAL, transactional)               ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Uses the built-in `node:sqlite` module when available (Node 22.5+) and falls
+ * back to the `better-sqlite3` package (an optionalDependency, so Node 20 works
+ * whenever it built). Every namespace lives in a single `kv`
+ * table; values are stored as JSON text. Each write is its own transaction, so
+ * there is nothing to flush.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Opens a SQLite database with whichever binding is installed
+ * @param {string} filePath - Database file path
+ * @returns {Object} Database handle exposing exec() and prepare()
+ * @throws {Error} If no SQLite binding is available
+ */
+function openDatabase(filePath) {
+    try {
+        const { DatabaseSync } = require("node:sqlite");
+        return new DatabaseSync(filePath);
+    } catch {
+        // Not available on this Node version - try the npm package
+    }
+
+    try {
+        const Database = require("better-sqlite3");
+        return new Database(filePath);
+    } catch {
+        throw new Error(
+            "SQLite storage needs Node.js 22.5+ or the 'better-sqlite3' package (npm install better-sqlite3)"
+        );
+    }
+}
+
+/**
+ * SqliteDriver Class
+ * Single-table key/value storage
+ */
+class SqliteDriver {
+    /**
+     * @param {Object} options - Driver options
+     * @param {string} options.file - Database file path
+     */
+    constructor({ file }) {
+        this.name = "sqlite";
+        this.file = file;
+
+        /** @type {Object|null} Database handle */
+        this.db = null;
+
+        /** @type {Object} Prepared statements */
+        this.statements = {};
+    }
+
+    /**
+     * Opens the database and creates the schema
+     * @returns {void}
+     */
+    open() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        this.db = openDatabase(this.file);
+        this.db.exec("PRAGMA journal_mode = WAL");
+        this.db.exec("PRAGMA synchronous = NORMAL");
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS kv (
+                namespace TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (namespace, key)
+            )
+        `);
+
+        this.statements = {
+            get: this.db.prepare("SELECT value FROM kv WHERE namespace = ? AND key = ?"),
+            set: this.db.prepare(
+                "INSERT INTO kv (namespace, key, value, updated_at) VALUES (?, ?, ?, ?) " +
+                    "ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at"
+            ),
+            delete: this.db.prepare("DELETE FROM kv WHERE namespace = ? AND key = ?"),
+            keys: this.db.prepare("SELECT key FROM kv WHERE namespace = ? ORDER BY key"),
+            all: this.db.prepare("SELECT key, value FROM kv WHERE namespace = ?"),
+            clear: this.db.prepare("DELETE FROM kv WHERE namespace = ?"),
+        };
+    }
+
+    get(namespace, key) {
+        const row = this.statements.get.get(namespace, key);
+        return row ? JSON.parse(row.value) : undefined;
+    }
+
+    set(namespace, key, value) {
+        this.statements.set.run(namespace, key, JSON.stringify(value), Date.now());
+    }
+
+    delete(namespace, key) {
+        return this.statements.delete.run(namespace, key).changes > 0;
+    }
+
+    keys(namespace) {
+        return this.statements.keys.all(namespace).map((row) => row.key);
+    }
+
+    getAll(namespace) {
+        const result = {};
+        for (const row of this.statements.all.all(namespace)) {
+            result[row.key] = JSON.parse(row.value);
+        }
+        return result;
+    }
+
+    replace(namespace, entries) {
+        const now = Date.now();
+
+        this.db.exec("BEGIN");
+        try {
+            this.statements.clear.run(namespace);
+            for (const [key, value] of Object.entries(entries)) {
+                this.statements.set.run(namespace, key, JSON.stringify(value), now);
+            }
+            this.db.exec("COMMIT");
+        } catch (error) {
+            this.db.exec("ROLLBACK");
+            throw error;
+        }
+    }
+
+    flush() {
+        // Writes are committed immediately
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = { SqliteDriver };
@@ -0,0 +1,369 @@
+/**
+ * ╔═══════════════════════════════════════════════════════════════════════════════╗
+ * ║                          THREAD CONFIG STORE                                  ║
+ * ║          Persistent per-thread settings that override global config           ║
+ * ╚═══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Each thread may override a small set of settings (prefix, cooldown multiplier,
+ * language, disabled commands/events and feature toggles). Anything not
+ * overridden falls back to the global value from config.js / settings.js.
+ * Overrides are persisted in the "threads" storage namespace.
+ *
+ * @author 0x3EF8
+ * @version 1.0.0
+ */
+
+"use strict";
+
+const config = require("../config/config");
+const settings = require("../config/settings");
+const storage = require("./storage");
+const logger = require("./logger");
+const { ValidationError } = require("./errors");
+
+/** Storage namespace holding overrides keyed by thread ID */
+const NAMESPACE = "threads";
+
+/**
+ * Feature toggles mapped to the event handler they control.
+ * `null` means "inherit the handler's own enabled flag".
+ */
+const EVENT_TOGGLES = {
+    welcome: "welcome",
+    goodbye: "goodbye",
+    ai: "betaAI",
+};
+
+/**
+ * Supported per-thread settings
+ * Each entry defines its type, global fallback and a short description
+ */
+const SCHEMA = {
+    prefix: {
+        type: "string",
+        description: "Command prefix for this thread",
+        fallback: () =>
+            Array.isArray(config.bot.prefix) ? config.bot.prefix[0] : config.bot.prefix,
+        validate: (value) => value.length >= 1 && value.length <= 5 && !/\s/.test(value),
+        hint: "1-5 characters, no spaces",
+    },
+    prefixEnabled: {
+        type: "boolean",
+        description: "Require the prefix for commands",
+        fallback: () => config.bot.prefixEnabled !== false,
+    },
+    language: {
+        type: "string",
+        description: "Language code for bot replies",
+        fallback: () => settings.i18n.defaultLocale,
+        validate: (value) => /^[a-z]{2,3}(-[A-Z]{2})?$/.test(value),
+        hint: "language code like en or fil-PH",
+    },
+    cooldownMultiplier: {
+        type: "number",
+        description: "Multiplier applied to command cooldowns",
+        fallback: () => 1,
+        validate: (value) => value >= 0 && value <= 10,
+        hint: "number between 0 and 10",
+    },
+    disabledCommands: {
+        type: "list",
+        description: "Commands disabled in this thread",
+        fallback: () => [],
+    },
+    disabledEvents: {
+        type: "list",
+        description: "Event handlers disabled in this thread",
+        fallback: () => [],
+    },
+    welcome: {
+        type: "toggle",
+        description: "Welcome messages for new members",
+        fallback: () => null,
+    },
+    goodbye: {
+        type: "toggle",
+        description: "Goodbye messages for leaving members",
+        fallback: () => null,
+    },
+    ai: {
+        type: "toggle",
+        description: "AI replies",
+        fallback: () => null,
+    },
+};
+
+/**
+ * ThreadConfig Class
+ * Loads, resolves and persists per-thread overrides
+ */
+class ThreadConfig {
+    constructor() {
+        /** @type {Object<string, Object>} Overrides keyed by thread ID */
+        this.threads = this.load();
+    }
+
+    /**
+     * Loads overrides from storage
+     * @returns {Object<string, Object>}
+     */
+    load() {
+        try {
+            return storage.getAll(NAMESPACE);
+        } catch (error) {
+            logger.error("ThreadConfig", `Failed to load thread config: ${error.message}`);
+        }
+        return {};
+    }
+
+    /**
+     * Persists one thread's overrides to storage
+     * @param {string} threadID - Thread ID
+     * @returns {boolean} Success status
+     */
+    save(threadID) {
+        try {
+            if (this.threads[threadID]) {
+                storage.set(NAMESPACE, threadID, this.threads[threadID]);
+            } else {
+                storage.delete(NAMESPACE, threadID);
+            }
+            return true;
+        } catch (error) {
+            logger.error("ThreadConfig", `Failed to save thread config: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Gets the list of supported setting keys
+     * @returns {Array<string>}
+     */
+    getKeys() {
+        return Object.keys(SCHEMA);
+    }
+
+    /**
+     * Gets the schema entry for a key
+     * @param {string} key - Setting key
+     * @returns {Object|null}
+     */
+    getSchema(key) {
+        return SCHEMA[key] || null;
+    }
+
+    /**
+     * Gets raw overrides for a thread (no fallbacks)
+     * @param {string} threadID - Thread ID
+     * @returns {Object}
+     */
+    getOverrides(threadID) {
+        return { ...(this.threads[threadID] || {}) };
+    }
+
+    /**
+     * Gets a resolved setting for a thread, falling back to the global value
+     * @param {string} threadID - Thread ID
+     * @param {string} key - Setting key
+     * @returns {*}
+     */
+    get(threadID, key) {
+        const schema = SCHEMA[key];
+        if (!schema) return undefined;
+
+        const overrides = this.threads[threadID];
+        if (overrides && overrides[key] !== undefined) {
+            return overrides[key];
+        }
+        return schema.fallback();
+    }
+
+    /**
+     * Gets all resolved settings for a thread
+     * @param {string} threadID - Thread ID
+     * @returns {Object}
+     */
+    getAll(threadID) {
+        const resolved = {};
+        for (const key of Object.keys(SCHEMA)) {
+            resolved[key] = this.get(threadID, key);
+        }
+        return resolved;
+    }
+
+    /**
+     * Parses a raw chat value into the type a key expects
+     * @param {string} key - Setting key
+     * @param {string} raw - Raw value from chat
+     * @returns {*} Parsed value
+     * @throws {ValidationError} If the key or value is invalid
+     */
+    parseValue(key, raw) {
+        const schema = SCHEMA[key];
+        if (!schema) {
+            throw ValidationError.fromArray([{ field: key, message: `Unknown setting: ${key}` }]);
+        }
+
+        const text = String(raw ?? "").trim();
+        let value;
+
+        switch (schema.type) {
+            case "boolean":
+            case "toggle": {
+                const lower = text.toLowerCase();
+                if (["on", "true", "yes", "enable", "enabled", "1"].includes(lower)) {
+                    value = true;
+                } else if (["off", "false", "no", "disable", "disabled", "0"].includes(lower)) {
+                    value = false;
+                } else {
+                    throw ValidationError.fromArray([
+                        { field: key, message: `${key} must be on or off` },
+                    ]);
+                }
+                break;
+            }
+            case "number":
+                value = Number(text);
+                if (!text || Number.isNaN(value)) {
+                    throw ValidationError.fromArray([
+                        { field: key, message: `${key} must be a number` },
+                    ]);
+                }
+                break;
+            case "list":
+                value = text
+                    .split(",")
+                    .map((item) => item.trim().toLowerCase())
+                    .filter(Boolean);
+                break;
+            default:
+                value = text;
+        }
+
+        if (schema.validate && !schema.validate(value)) {
+            throw ValidationError.fromArray([
+                { field: key, message: `Invalid ${key}: expected ${schema.hint}` },
+            ]);
+        }
+
+        return value;
+    }
+
+    /**
+     * Sets an override for a thread
+     * @param {string} threadID - Thread ID
+     * @param {string} key - Setting key
+     * @param {*} value - Value (already parsed)
+     * @returns {boolean} Success status
+     * @throws {ValidationError} If the key is unknown
+     */
+    set(threadID, key, value) {
+        if (!SCHEMA[key]) {
+            throw ValidationError.fromArray([{ field: key, message: `Unknown setting: ${key}` }]);
+        }
+
+        if (!this.threads[threadID]) {
+            this.threads[threadID] = {};
+        }
+        this.threads[threadID][key] = value;
+
+        logger.info("ThreadConfig", `Thread ${threadID}: ${key} = ${JSON.stringify(value)}`);
+        return this.save(threadID);
+    }
+
+    /**
+     * Removes overrides for a thread
+     * @param {string} threadID - Thread ID
+     * @param {string} [key] - Setting to reset (all settings if omitted)
+     * @returns {boolean} True if anything was removed
+     */
+    reset(threadID, key) {
+        const overrides = this.threads[threadID];
+        if (!overrides) return false;
+
+        if (key) {
+            if (overrides[key] === undefined) return false;
+            delete overrides[key];
+        }
+
+        if (!key || Object.keys(overrides).length === 0) {
+            delete this.threads[threadID];
+        }
+
+        this.save(threadID);
+        return true;
+    }
+
+    /**
+     * Adds or removes a name from a list setting
+     * @param {string} threadID - Thread ID
+     * @param {string} key - List setting key
+     * @param {string} name - Item to add/remove
+     * @param {boolean} include - True to add, false to remove
+     * @returns {boolean} True if the list changed
+     */
+    toggleListItem(threadID, key, name, include) {
+        const list = [...this.get(threadID, key)];
+        const item = name.toLowerCase();
+        const index = list.indexOf(item);
+
+        if (include && index === -1) {
+            list.push(item);
+        } else if (!include && index !== -1) {
+            list.splice(index, 1);
+        } else {
+            return false;
+        }
+
+        if (list.length === 0) {
+            this.reset(threadID, key);
+        } else {
+            this.set(threadID, key, list);
+        }
+        return true;
+    }
+
+    /**
+     * Checks if a command is enabled in a thread
+     * @param {string} threadID - Thread ID
+     * @param {string} commandName - Command name
+     * @returns {boolean}
+     */
+    isCommandEnabled(threadID, commandName) {
+        return !this.get(threadID, "disabledCommands").includes(commandName.toLowerCase());
+    }
+
+    /**
+     * Checks if an event handler is enabled in a thread
+     * Thread toggles (welcome/goodbye/ai) take precedence over the handler's own flag
+     * @param {string} threadID - Thread ID
+     * @param {string} eventName - Event handler name
+     * @param {boolean} globalEnabled - Handler's global enabled flag
+     * @returns {boolean}
+     */
+    isEventEnabled(threadID, eventName, globalEnabled) {
+        if (this.get(threadID, "disabledEvents").includes(eventName.toLowerCase())) {
+            return false;
+        }
+
+        for (const [key, handlerName] of Object.entries(EVENT_TOGGLES)) {
+            if (handlerName === eventName) {
+                const toggle = this.get(threadID, key);
+                return toggle === null ? globalEnabled : toggle;
+            }
+        }
+
+        return globalEnabled;
+    }
+
+    /**
+     * Gets the thread IDs that have overrides
+     * @returns {Array<string>}
+     */
+    getConfiguredThreads() {
+        return Object.keys(this.threads);
+    }
+}
+
+// Export singleton instance
+module.exports = new ThreadConfig();
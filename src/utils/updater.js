@@ -4,6 +4,18 @@
  * ║              GitHub Release Checker & Auto-Update System                  ║
  * ╚═══════════════════════════════════════════════════════════════════════════╝
  *
+ * Updates are staged so a bad release never replaces working code:
+ *   1. Pre-flight: git is available and tracked files have no local changes
+ *   2. Verify: the release tag builds on the running commit and its
+ *      package.json has the release version
+ *   3. Stage: check the tag out in .update/staging, install dependencies
+ *      there and run the checks (npm test, tests/utils/checkImports.js)
+ *   4. Swap: move the staged node_modules in (keeping the old ones) and
+ *      fast-forward to the release; the previous commit goes in .update/state.json
+ *   5. Health check: the restarted bot calls confirmHealthy() once it is
+ *      online. If it doesn't within the window - or crashes and boots again -
+ *      the previous commit and node_modules are restored.
+ *
  * @author 0x3EF8
  * @version 1.0.0
  */
@@ -13,9 +25,14 @@
 const https = require("https");
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
+const { promisify } = require("util");
+const { exec, execFile } = require("child_process");
 const readline = require("readline");
 const chalk = require("chalk");
+const { ConflictError } = require("./errors");
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONSTANTS
@@ -24,13 +41,48 @@ const chalk = require("chalk");
 const GITHUB_OWNER = "0x3EF8";
 const GITHUB_REPO = "Nero";
 const GITHUB_API = `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}`;
+const RELEASES_URL = `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/releases`;
+
+const ROOT_DIR = path.join(__dirname, "..", "..");
+
+/** Longest a git, install or check command may run */
+const COMMAND_TIMEOUT = 10 * 60 * 1000;
+const MAX_BUFFER = 20 * 1024 * 1024;
+
+/** Run in the staged release before it is swapped in */
+const DEFAULT_CHECKS = ["npm test", "node tests/utils/checkImports.js"];
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // UPDATER CLASS
 // ═══════════════════════════════════════════════════════════════════════════════
 
 class Updater {
-    constructor() {
+    /**
+     * @param {Object} [options] - See settings.updater
+     * @param {string} [options.rootDir] - Bot folder (a git checkout)
+     * @param {string} [options.remote="origin"] - Remote to fetch release tags from
+     * @param {string|null} [options.install] - Install command (null skips installing)
+     * @param {string[]} [options.checks] - Commands that must pass in the staged release
+     * @param {number} [options.healthCheckWindow=120] - Seconds the updated bot has to come online
+     * @param {function(string): void} [options.onProgress] - Progress messages (default: console)
+     */
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || ROOT_DIR;
+        this.remote = options.remote || "origin";
+        this.install =
+            options.install === undefined ? "npm install --no-audit --no-fund" : options.install;
+        this.checks = options.checks || DEFAULT_CHECKS;
+        this.healthCheckWindow = options.healthCheckWindow ?? 120;
+        this.onProgress =
+            options.onProgress ||
+            ((message) => console.log(chalk.cyan("[Updater]") + " " + message));
+
+        this.workDir = path.join(this.rootDir, ".update");
+        this.stateFile = path.join(this.workDir, "state.json");
+        this.stagingDir = path.join(this.workDir, "staging");
+        this.previousModules = path.join(this.workDir, "previous_modules");
+        this.healthTimer = null;
+
         this.currentVersion = this.getCurrentVersion();
         this.latestRelease = null;
         this.updateAvailable = false;
@@ -41,8 +93,7 @@ class Updater {
      */
     getCurrentVersion() {
         try {
-            // Go up two directories from src/utils/ to reach root package.json
-            const packagePath = path.join(__dirname, "..", "..", "package.json");
+            const packagePath = path.join(this.rootDir, "package.json");
             const packageJson = JSON.parse(fs.readFileSync(packagePath, "utf8"));
             return packageJson.version || "0.0.0";
         } catch {
@@ -124,7 +175,7 @@ class Updater {
                     tag: latestTag.name,
                     name: latestTag.name,
                     body: "",
-                    url: `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/releases/tag/${latestTag.name}`,
+                    url: `${RELEASES_URL}/tag/${latestTag.name}`,
                     tarball: latestTag.tarball_url,
                     zipball: latestTag.zipball_url,
                 };
@@ -209,147 +260,399 @@ class Updater {
         });
     }
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // STAGED UPDATE
+    // ═══════════════════════════════════════════════════════════════════════════
+
     /**
-     * Perform the update using git
+     * Runs git in the bot folder (or another folder)
+     * @param {string[]} args - Git arguments
+     * @param {string} [cwd] - Working directory
+     * @returns {Promise<string>} Trimmed stdout
      */
-    async performUpdate() {
-        console.log();
-        console.log(chalk.cyan("[Updater]") + " " + chalk.yellow("Starting update process..."));
+    async git(args, cwd = this.rootDir) {
+        const { stdout } = await execFileAsync("git", args, {
+            cwd,
+            timeout: COMMAND_TIMEOUT,
+            maxBuffer: MAX_BUFFER,
+        });
+        return stdout.trim();
+    }
 
+    /**
+     * Runs a shell command (install step or check)
+     * @param {string} command - Command line
+     * @param {string} cwd - Working directory
+     * @returns {Promise<{stdout: string, stderr: string}>}
+     */
+    run(command, cwd) {
+        return execAsync(command, { cwd, timeout: COMMAND_TIMEOUT, maxBuffer: MAX_BUFFER });
+    }
+
+    /**
+     * Reads the update state ({ status, version, fromVersion, previous, target, ... })
+     * @returns {Object|null} Null if the bot was never updated this way
+     */
+    readState() {
         try {
-            // Check if git is available
-            try {
-                execSync("git --version", { stdio: "pipe" });
-            } catch {
-                console.log(
-                    chalk.red("[Updater]") + " Git is not installed. Please update manually."
-                );
-                console.log(
-                    chalk.dim(
-                        `          Download from: https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/releases`
-                    )
-                );
-                return false;
-            }
+            return JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+        } catch {
+            return null;
+        }
+    }
 
-            // Check if this is a git repository
-            const rootDir = path.join(__dirname, "..", "..");
-            const gitDir = path.join(rootDir, ".git");
-
-            if (!fs.existsSync(gitDir)) {
-                console.log(chalk.yellow("[Updater]") + " Not a git repository. Initializing...");
-
-                // Initialize git and set remote
-                execSync("git init", { cwd: rootDir, stdio: "pipe" });
-                execSync(
-                    `git remote add origin https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}.git`,
-                    {
-                        cwd: rootDir,
-                        stdio: "pipe",
-                    }
-                );
-            }
+    /**
+     * Writes the update state (temp file + rename)
+     * @param {Object} state - Update state
+     * @returns {Object} The state
+     */
+    writeState(state) {
+        fs.mkdirSync(this.workDir, { recursive: true });
+        fs.writeFileSync(`${this.stateFile}.tmp`, JSON.stringify(state, null, 2));
+        fs.renameSync(`${this.stateFile}.tmp`, this.stateFile);
+        return state;
+    }
 
-            // Stash any local changes
-            console.log(chalk.cyan("[Updater]") + " Saving local changes...");
-            try {
-                execSync("git stash", { cwd: rootDir, stdio: "pipe" });
-            } catch {
-                // No changes to stash, that's fine
-            }
+    /**
+     * Makes sure an update can be applied: git is there, the tree has no local
+     * changes to tracked files and no earlier update is waiting for its health check
+     * @returns {Promise<string>} The running commit
+     * @throws {ConflictError}
+     */
+    async preflight() {
+        try {
+            await this.git(["--version"]);
+        } catch {
+            throw new ConflictError(`Git is not installed - update manually from ${RELEASES_URL}`);
+        }
+        if (!fs.existsSync(path.join(this.rootDir, ".git"))) {
+            throw new ConflictError(`Not a git checkout - update manually from ${RELEASES_URL}`);
+        }
 
-            // Fetch latest
-            console.log(chalk.cyan("[Updater]") + " Fetching latest version...");
-            execSync("git fetch origin main", { cwd: rootDir, stdio: "pipe" });
+        const changed = await this.git(["status", "--porcelain", "--untracked-files=no"]);
+        if (changed) {
+            throw new ConflictError("Local changes would be overwritten - commit or stash them", {
+                files: changed.split("\n").map((line) => line.slice(3)),
+            });
+        }
 
-            // Reset to latest
-            console.log(chalk.cyan("[Updater]") + " Applying update...");
-            execSync("git reset --hard origin/main", { cwd: rootDir, stdio: "pipe" });
+        if (this.readState()?.status === "pending") {
+            throw new ConflictError("The last update hasn't passed its health check yet");
+        }
 
-            // Try to restore local changes
-            console.log(chalk.cyan("[Updater]") + " Restoring local changes...");
-            try {
-                execSync("git stash pop", { cwd: rootDir, stdio: "pipe" });
-            } catch {
-                // Stash was empty or conflicts - that's okay
-            }
+        return this.git(["rev-parse", "HEAD"]);
+    }
+
+    /**
+     * Fetches a release tag
+     * @param {Object} [release] - Release from checkForUpdates ({ tag, version })
+     * @returns {Promise<string>} Commit the tag points at
+     * @throws {ConflictError} Without a release
+     */
+    async fetchRelease(release = this.latestRelease) {
+        if (!release?.tag) {
+            throw new ConflictError("No release to update to - check for updates first");
+        }
+        const ref = `refs/tags/${release.tag}`;
+        await this.git(["fetch", "--force", "--no-tags", this.remote, `${ref}:${ref}`]);
+        return this.git(["rev-parse", `${ref}^{commit}`]);
+    }
 
-            // Install dependencies
-            console.log(chalk.cyan("[Updater]") + " Installing dependencies...");
-            execSync("npm install", { cwd: rootDir, stdio: "inherit" });
+    /**
+     * Checks that a release is safe to move to: it builds on the running commit
+     * (no downgrades or rewritten history) and its package.json has the
+     * version the release claims
+     * @param {Object} release - Release ({ tag, version })
+     * @param {string} commit - Commit of the release tag
+     * @param {string} current - Running commit
+     * @throws {ConflictError}
+     */
+    async verifyRelease(release, commit, current) {
+        if (commit === current) {
+            throw new ConflictError(`Already running ${release.tag}`);
+        }
 
-            console.log();
-            console.log(
-                chalk.green("[Updater]") +
-                    " Update successful! Now running " +
-                    chalk.cyan(`v${this.latestRelease.version}`)
+        try {
+            await this.git(["merge-base", "--is-ancestor", current, commit]);
+        } catch {
+            throw new ConflictError(`${release.tag} doesn't build on the running commit`, {
+                current,
+                commit,
+            });
+        }
+
+        let version = null;
+        try {
+            version = JSON.parse(await this.git(["show", `${commit}:package.json`])).version;
+        } catch {
+            // Missing or broken package.json - reported below
+        }
+        if (version !== release.version) {
+            throw new ConflictError(
+                `${release.tag} contains version ${version || "unknown"}, expected ${release.version}`
             );
-            console.log(chalk.green("[Updater]") + " Restarting automatically...");
-            console.log();
+        }
+    }
 
-            return true;
+    /**
+     * Commits between the running code and a release, plus its release notes
+     * @param {Object} [release] - Release from checkForUpdates
+     * @returns {Promise<{release: Object, commit: string, commits: Array<{hash: string, subject: string}>}>}
+     */
+    async getChangelog(release = this.latestRelease) {
+        const commit = await this.fetchRelease(release);
+        const log = await this.git(["log", "--no-merges", "--format=%h %s", `HEAD..${commit}`]);
+        const commits = log
+            ? log.split("\n").map((line) => {
+                  const [hash, ...subject] = line.split(" ");
+                  return { hash, subject: subject.join(" ") };
+              })
+            : [];
+        return { release, commit, commits };
+    }
+
+    /**
+     * Checks a release out in .update/staging, installs its dependencies and
+     * runs the pre-flight checks there
+     * @param {string} commit - Release commit
+     * @returns {Promise<string>} Staging folder
+     * @throws {ConflictError} If a step fails (the staging folder is removed)
+     */
+    async stageRelease(commit) {
+        await this.removeStaging();
+        await this.git(["worktree", "add", "--detach", "--force", this.stagingDir, commit]);
+
+        const steps = [
+            ...(this.install ? [["Installing dependencies", this.install]] : []),
+            ...this.checks.map((check) => [`Running ${check}`, check]),
+        ];
+
+        try {
+            for (const [label, command] of steps) {
+                this.onProgress(`${label} in staging...`);
+                try {
+                    await this.run(command, this.stagingDir);
+                } catch (error) {
+                    const output = `${error.stdout || ""}${error.stderr || ""}`.trim();
+                    throw new ConflictError(`Pre-flight step failed: ${command}`, {
+                        command,
+                        output: output.split("\n").slice(-15).join("\n"),
+                    });
+                }
+            }
         } catch (error) {
-            console.log(chalk.red("[Updater]") + ` Git update failed: ${error.message}`);
-            console.log(chalk.yellow("[Updater]") + " Attempting direct download fallback...");
+            await this.removeStaging();
+            throw error;
+        }
+
+        return this.stagingDir;
+    }
 
-            return await this.performDirectUpdate();
+    /**
+     * Removes the staging worktree
+     */
+    async removeStaging() {
+        try {
+            await this.git(["worktree", "remove", "--force", this.stagingDir]);
+        } catch {
+            // Not there
         }
+        fs.rmSync(this.stagingDir, { recursive: true, force: true });
+        await this.git(["worktree", "prune"]).catch(() => {});
     }
 
     /**
-     * Fallback: Download and extract update directly
+     * Verifies, stages and tests a release, then swaps it in: the staged
+     * node_modules replace the current ones (kept for rollback) and the branch
+     * fast-forwards to the release. The update stays "pending" until
+     * confirmHealthy() is called from the restarted bot.
+     * @param {Object} [release] - Release from checkForUpdates
+     * @returns {Promise<Object>} Update state
+     * @throws {ConflictError} If a check fails (nothing is changed)
      */
-    async performDirectUpdate() {
-        const rootDir = path.join(__dirname, "..", "..");
+    async applyUpdate(release = this.latestRelease) {
+        const previous = await this.preflight();
+
+        this.onProgress(`Fetching ${release?.tag || "release"}...`);
+        const commit = await this.fetchRelease(release);
+        await this.verifyRelease(release, commit, previous);
+        await this.stageRelease(commit);
+
+        this.onProgress("Applying update...");
+        const state = this.writeState({
+            status: "applying",
+            version: release.version,
+            fromVersion: this.currentVersion,
+            previous,
+            target: commit,
+            startedAt: Date.now(),
+        });
+
+        const modules = path.join(this.rootDir, "node_modules");
+        const stagedModules = path.join(this.stagingDir, "node_modules");
+        const swapModules = this.install && fs.existsSync(stagedModules);
 
         try {
-            // Use tar command which is standard in most containers (uid 999 suggests linux container)
-            const tarballUrl = this.latestRelease.tarball;
+            if (swapModules) {
+                fs.rmSync(this.previousModules, { recursive: true, force: true });
+                if (fs.existsSync(modules)) fs.renameSync(modules, this.previousModules);
+                fs.renameSync(stagedModules, modules);
+            }
+            await this.git(["merge", "--ff-only", commit]);
+        } catch (error) {
+            if (swapModules && fs.existsSync(this.previousModules)) {
+                fs.rmSync(modules, { recursive: true, force: true });
+                fs.renameSync(this.previousModules, modules);
+            }
+            this.writeState({ ...state, status: "failed", error: error.message });
+            throw error;
+        } finally {
+            await this.removeStaging();
+        }
+
+        this.currentVersion = this.getCurrentVersion();
+        return this.writeState({ ...state, status: "pending", appliedAt: Date.now(), boots: 0 });
+    }
 
-            console.log(chalk.cyan("[Updater]") + " Downloading latest version...");
+    /**
+     * Goes back to the commit (and node_modules) from before the last update
+     * @param {string} reason - Why
+     * @returns {Promise<Object>} Update state
+     * @throws {ConflictError} If there is nothing to roll back
+     */
+    async rollback(reason) {
+        const state = this.readState();
+        if (!state?.previous || !["pending", "healthy"].includes(state.status)) {
+            throw new ConflictError("There is no update to roll back");
+        }
+
+        this.onProgress(`Rolling back to ${state.previous.slice(0, 7)}: ${reason}`);
+        await this.git(["reset", "--keep", state.previous]);
+
+        const modules = path.join(this.rootDir, "node_modules");
+        if (fs.existsSync(this.previousModules)) {
+            fs.rmSync(modules, { recursive: true, force: true });
+            fs.renameSync(this.previousModules, modules);
+        } else if (this.install) {
+            await this.run(this.install, this.rootDir);
+        }
+
+        this.currentVersion = this.getCurrentVersion();
+        return this.writeState({
+            ...state,
+            status: "rolled-back",
+            rolledBackAt: Date.now(),
+            reason,
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // HEALTH CHECK
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Call on startup. A pending update gets one boot to come online: if the
+     * previous boot never called confirmHealthy() (it crashed or hung), the
+     * update is rolled back.
+     * @returns {Promise<"pending"|"rolled-back"|null>} Null if no update is pending
+     */
+    async resumePendingUpdate() {
+        const state = this.readState();
+        if (state?.status !== "pending") return null;
+
+        if (state.boots >= 1) {
+            await this.rollback(`v${state.version} did not come online after the update`);
+            return "rolled-back";
+        }
+
+        this.writeState({ ...state, boots: (state.boots || 0) + 1 });
+        return "pending";
+    }
 
-            // Try curl first, then wget
+    /**
+     * Rolls a pending update back if confirmHealthy() isn't called within the
+     * health-check window
+     * @param {function(): void} onRollback - Called after a rollback (restart the bot here)
+     */
+    watchHealth(onRollback) {
+        if (this.readState()?.status !== "pending") return;
+
+        clearTimeout(this.healthTimer);
+        this.healthTimer = setTimeout(async () => {
+            if (this.readState()?.status !== "pending") return;
             try {
-                // curl -L -k (allow insecure just in case) | tar -xz --strip-components=1 --overwrite
-                execSync(`curl -L -k "${tarballUrl}" | tar -xz --strip-components=1 --overwrite`, {
-                    cwd: rootDir,
-                    stdio: "pipe",
-                    maxBuffer: 10 * 1024 * 1024,
-                });
-            } catch (_curlError) {
-                console.error("[Updater] Failed to open update URL automatically.");
-                console.log(chalk.yellow("[Updater]") + " Curl failed, trying wget...");
-                // wget -O - (output to stdout) | tar ...
-                execSync(
-                    `wget -qO- --no-check-certificate "${tarballUrl}" | tar -xz --strip-components=1 --overwrite`,
-                    {
-                        cwd: rootDir,
-                        stdio: "pipe",
-                        maxBuffer: 10 * 1024 * 1024,
-                    }
-                );
+                await this.rollback(`Not online within ${this.healthCheckWindow}s of the update`);
+                onRollback();
+            } catch (error) {
+                this.onProgress(`Rollback failed: ${error.message}`);
             }
+        }, this.healthCheckWindow * 1000);
+        this.healthTimer.unref?.();
+    }
 
-            console.log(chalk.cyan("[Updater]") + " Installing dependencies...");
-            execSync("npm install", { cwd: rootDir, stdio: "inherit" });
+    /**
+     * Marks a pending update as working (call once the bot is online)
+     * @returns {boolean} Whether an update was pending
+     */
+    confirmHealthy() {
+        clearTimeout(this.healthTimer);
+        const state = this.readState();
+        if (state?.status !== "pending") return false;
 
-            console.log();
-            console.log(
-                chalk.green("[Updater]") +
-                    " Direct update successful! Now running " +
-                    chalk.cyan(`v${this.latestRelease.version}`)
-            );
-            console.log(chalk.green("[Updater]") + " Restarting automatically...");
-            return true;
-        } catch (directError) {
-            console.log(chalk.red("[Updater]") + ` Direct update failed: ${directError.message}`);
-            console.log(
-                chalk.dim(
-                    `          Please update manually from: https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}`
-                )
-            );
+        this.writeState({ ...state, status: "healthy", confirmedAt: Date.now() });
+        return true;
+    }
+
+    /**
+     * Running version and commit plus the last update
+     * @returns {Promise<Object>}
+     */
+    async getStatus() {
+        let commit = null;
+        try {
+            commit = await this.git(["rev-parse", "--short", "HEAD"]);
+        } catch {
+            // Not a git checkout
+        }
+        return {
+            version: this.currentVersion,
+            commit,
+            latest: this.latestRelease,
+            updateAvailable: this.updateAvailable,
+            lastUpdate: this.readState(),
+        };
+    }
+
+    /**
+     * Staged update for the startup prompt (prints instead of throwing)
+     * @returns {Promise<boolean>} Whether the bot should restart
+     */
+    async performUpdate() {
+        console.log();
+        this.onProgress(chalk.yellow("Starting update process..."));
+
+        try {
+            await this.applyUpdate();
+        } catch (error) {
+            console.log(chalk.red("[Updater]") + ` Update failed: ${error.message}`);
+            if (error.context?.output) console.log(chalk.dim(error.context.output));
+            console.log(chalk.yellow("[Updater]") + " Nothing was changed.");
             return false;
         }
+
+        console.log();
+        console.log(
+            chalk.green("[Updater]") +
+                " Update successful! Now running " +
+                chalk.cyan(`v${this.latestRelease.version}`)
+        );
+        console.log(
+            chalk.green("[Updater]") +
+                ` Restarting - rolls back if not online within ${this.healthCheckWindow}s`
+        );
+        console.log();
+
+        return true;
     }
 
     /**